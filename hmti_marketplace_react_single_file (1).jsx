@@ -1,249 +1,3960 @@
-import React, { useEffect, useState, useMemo } from "react";
+import React, { useCallback, useEffect, useState, useMemo, useRef } from "react";
 
 // MarketMate - Single-file React scaffold (production-ready structure in one file)
 // Features included in this demo scaffold:
-// - Nationwide listings (state/LGA) and location-based search
-// - Seller onboarding + verification flow (mock: ID upload + phone + BVN placeholder)
-// - Buyer/Seller roles, simple auth (email + phone OTP mock)
-// - Create / edit / delete listings with image uploads (stored as base64)
+// - Nationwide listings (state/LGA) and location-based search (within N km, nearest first)
+// - Ranked search with typo tolerance, facet counts and infinite scroll
+// - Saved searches with alerts on new matches (in-app, instant or daily/weekly email/SMS digests, delivery mocked)
+// - Favourites with price-drop and back-in-stock alerts; sellers see how many buyers saved each listing
+// - Category tree (Electronics › Phones) with per-category attributes that drive listing fields and Browse filters
+// - Variants (size/colour/pack size) with their own price, stock and photo; checkout takes stock from the chosen one
+// - Stock history (sales, restocks, adjustments), unpaid orders released after 30 minutes, sold-out listings
+//   hidden from Browse, low-stock alerts for sellers
+// - Seller verification in tiers (phone, government ID, CAC registration) that raise listing and payout limits;
+//   review with notes, requests for more information, resubmission and expiry (ID/CAC photos kept encrypted
+//   outside localStorage and the export, BVN/NIN only as a salted hash + last 4, admin views time-limited and logged)
+// - NIN/BVN identity checks with name and date-of-birth matching through a provider adapter (mock provider:
+//   22222222222 is Adaeze Chioma Okafor, born 1990-04-12; numbers starting 000 are not found, ending 999 fail)
+// - Buyer accounts (addresses, payment preference) with upgrade to seller (shop profile, payout account)
+// - Password login with lockout, reset by one-time code (delivery mocked)
+// - Sessions per device: list, log out one/all, admin force logout
+// - Create / edit / delete listings with photo uploads: resized to thumb/medium/full WebP, EXIF stripped, de-duplicated by hash
 // - Reviews & ratings
-// - Delivery option and payment placeholder (Pay on Delivery / Online stub)
+// - Seller storefronts (#/shop/<slug>) with rating, sales and response stats, follow, and share links
+// - Buyer–seller messages per listing (text and photos, read receipts, unread counts, off-platform warnings);
+//   either side can report a thread for support to read and moderate. Other tabs get new messages live
+// - Cart + multi-seller orders with escrow; online payment stub and Pay on Delivery (delivery codes)
+// - Delivery zones and fees per seller, quotes at checkout, shipment tracking timeline
 // - Local persistence via localStorage + import/export JSON
-// - Admin panel to review/verify sellers
+// - Admin panel to review seller verifications and reported conversations, manage roles (buyer, seller, support, admin), sessions and categories
 // Tailwind-ready and designed to be extracted into multiple files easily.
 
 const STORAGE_KEY = "marketmate_v1";
+const SESSION_KEY = "marketmate_session"; // this tab's session id, in sessionStorage
 
-const STATES = [
-  "Abia","Adamawa","Akwa Ibom","Anambra","Bauchi","Bayelsa","Benue","Borno",
-  "Cross River","Delta","Ebonyi","Edo","Ekiti","Enugu","Gombe","Imo","Jigawa",
-  "Kaduna","Kano","Katsina","Kebbi","Kogi","Kwara","Lagos","Nasarawa","Niger",
-  "Ogun","Ondo","Osun","Oyo","Plateau","Rivers","Sokoto","Taraba","Yobe","Zamfara","FCT"
+// Local Government Areas by state (774 in all); STATES is derived from it.
+const LGAS = {
+  'Abia': ['Aba North', 'Aba South', 'Arochukwu', 'Bende', 'Ikwuano', 'Isiala Ngwa North', 'Isiala Ngwa South',
+    'Isuikwuato', 'Obi Ngwa', 'Ohafia', 'Osisioma', 'Ugwunagbo', 'Ukwa East', 'Ukwa West', 'Umuahia North',
+    'Umuahia South', 'Umu Nneochi'],
+  'Adamawa': ['Demsa', 'Fufure', 'Ganye', 'Gayuk', 'Gombi', 'Grie', 'Hong', 'Jada', 'Lamurde', 'Madagali',
+    'Maiha', 'Mayo Belwa', 'Michika', 'Mubi North', 'Mubi South', 'Numan', 'Shelleng', 'Song', 'Toungo',
+    'Yola North', 'Yola South'],
+  'Akwa Ibom': ['Abak', 'Eastern Obolo', 'Eket', 'Esit Eket', 'Essien Udim', 'Etim Ekpo', 'Etinan', 'Ibeno',
+    'Ibesikpo Asutan', 'Ibiono-Ibom', 'Ika', 'Ikono', 'Ikot Abasi', 'Ikot Ekpene', 'Ini', 'Itu', 'Mbo',
+    'Mkpat-Enin', 'Nsit-Atai', 'Nsit-Ibom', 'Nsit-Ubium', 'Obot Akara', 'Okobo', 'Onna', 'Oron', 'Oruk Anam',
+    'Udung-Uko', 'Ukanafun', 'Uruan', 'Urue-Offong/Oruko', 'Uyo'],
+  'Anambra': ['Aguata', 'Anambra East', 'Anambra West', 'Anaocha', 'Awka North', 'Awka South', 'Ayamelum',
+    'Dunukofia', 'Ekwusigo', 'Idemili North', 'Idemili South', 'Ihiala', 'Njikoka', 'Nnewi North',
+    'Nnewi South', 'Ogbaru', 'Onitsha North', 'Onitsha South', 'Orumba North', 'Orumba South', 'Oyi'],
+  'Bauchi': ['Alkaleri', 'Bauchi', 'Bogoro', 'Damban', 'Darazo', 'Dass', 'Gamawa', 'Ganjuwa', 'Giade',
+    'Itas/Gadau', "Jama'are", 'Katagum', 'Kirfi', 'Misau', 'Ningi', 'Shira', 'Tafawa Balewa', 'Toro', 'Warji',
+    'Zaki'],
+  'Bayelsa': ['Brass', 'Ekeremor', 'Kolokuma/Opokuma', 'Nembe', 'Ogbia', 'Sagbama', 'Southern Ijaw', 'Yenagoa'],
+  'Benue': ['Ado', 'Agatu', 'Apa', 'Buruku', 'Gboko', 'Guma', 'Gwer East', 'Gwer West', 'Katsina-Ala',
+    'Konshisha', 'Kwande', 'Logo', 'Makurdi', 'Obi', 'Ogbadibo', 'Ohimini', 'Oju', 'Okpokwu', 'Otukpo', 'Tarka',
+    'Ukum', 'Ushongo', 'Vandeikya'],
+  'Borno': ['Abadam', 'Askira/Uba', 'Bama', 'Bayo', 'Biu', 'Chibok', 'Damboa', 'Dikwa', 'Gubio', 'Guzamala',
+    'Gwoza', 'Hawul', 'Jere', 'Kaga', 'Kala/Balge', 'Konduga', 'Kukawa', 'Kwaya Kusar', 'Mafa', 'Magumeri',
+    'Maiduguri', 'Marte', 'Mobbar', 'Monguno', 'Ngala', 'Nganzai', 'Shani'],
+  'Cross River': ['Abi', 'Akamkpa', 'Akpabuyo', 'Bakassi', 'Bekwarra', 'Biase', 'Boki', 'Calabar Municipal',
+    'Calabar South', 'Etung', 'Ikom', 'Obanliku', 'Obubra', 'Obudu', 'Odukpani', 'Ogoja', 'Yakuur', 'Yala'],
+  'Delta': ['Aniocha North', 'Aniocha South', 'Bomadi', 'Burutu', 'Ethiope East', 'Ethiope West',
+    'Ika North East', 'Ika South', 'Isoko North', 'Isoko South', 'Ndokwa East', 'Ndokwa West', 'Okpe',
+    'Oshimili North', 'Oshimili South', 'Patani', 'Sapele', 'Udu', 'Ughelli North', 'Ughelli South', 'Ukwuani',
+    'Uvwie', 'Warri North', 'Warri South', 'Warri South West'],
+  'Ebonyi': ['Abakaliki', 'Afikpo North', 'Afikpo South', 'Ebonyi', 'Ezza North', 'Ezza South', 'Ikwo',
+    'Ishielu', 'Ivo', 'Izzi', 'Ohaozara', 'Ohaukwu', 'Onicha'],
+  'Edo': ['Akoko-Edo', 'Egor', 'Esan Central', 'Esan North-East', 'Esan South-East', 'Esan West',
+    'Etsako Central', 'Etsako East', 'Etsako West', 'Igueben', 'Ikpoba-Okha', 'Oredo', 'Orhionmwon',
+    'Ovia North-East', 'Ovia South-West', 'Owan East', 'Owan West', 'Uhunmwonde'],
+  'Ekiti': ['Ado Ekiti', 'Efon', 'Ekiti East', 'Ekiti South-West', 'Ekiti West', 'Emure', 'Gbonyin', 'Ido-Osi',
+    'Ijero', 'Ikere', 'Ikole', 'Ilejemeje', 'Irepodun/Ifelodun', 'Ise/Orun', 'Moba', 'Oye'],
+  'Enugu': ['Aninri', 'Awgu', 'Enugu East', 'Enugu North', 'Enugu South', 'Ezeagu', 'Igbo-Etiti',
+    'Igbo-Eze North', 'Igbo-Eze South', 'Isi-Uzo', 'Nkanu East', 'Nkanu West', 'Nsukka', 'Oji River', 'Udenu',
+    'Udi', 'Uzo-Uwani'],
+  'Gombe': ['Akko', 'Balanga', 'Billiri', 'Dukku', 'Funakaye', 'Gombe', 'Kaltungo', 'Kwami', 'Nafada',
+    'Shongom', 'Yamaltu/Deba'],
+  'Imo': ['Aboh Mbaise', 'Ahiazu Mbaise', 'Ehime Mbano', 'Ezinihitte', 'Ideato North', 'Ideato South',
+    'Ihitte/Uboma', 'Ikeduru', 'Isiala Mbano', 'Isu', 'Mbaitoli', 'Ngor Okpala', 'Njaba', 'Nkwerre', 'Nwangele',
+    'Obowo', 'Oguta', 'Ohaji/Egbema', 'Okigwe', 'Onuimo', 'Orlu', 'Orsu', 'Oru East', 'Oru West',
+    'Owerri Municipal', 'Owerri North', 'Owerri West'],
+  'Jigawa': ['Auyo', 'Babura', 'Biriniwa', 'Birnin Kudu', 'Buji', 'Dutse', 'Gagarawa', 'Garki', 'Gumel', 'Guri',
+    'Gwaram', 'Gwiwa', 'Hadejia', 'Jahun', 'Kafin Hausa', 'Kaugama', 'Kazaure', 'Kiri Kasama', 'Kiyawa',
+    'Maigatari', 'Malam Madori', 'Miga', 'Ringim', 'Roni', 'Sule Tankarkar', 'Taura', 'Yankwashi'],
+  'Kaduna': ['Birnin Gwari', 'Chikun', 'Giwa', 'Igabi', 'Ikara', 'Jaba', "Jema'a", 'Kachia', 'Kaduna North',
+    'Kaduna South', 'Kagarko', 'Kajuru', 'Kaura', 'Kauru', 'Kubau', 'Kudan', 'Lere', 'Makarfi', 'Sabon Gari',
+    'Sanga', 'Soba', 'Zangon Kataf', 'Zaria'],
+  'Kano': ['Ajingi', 'Albasu', 'Bagwai', 'Bebeji', 'Bichi', 'Bunkure', 'Dala', 'Dambatta', 'Dawakin Kudu',
+    'Dawakin Tofa', 'Doguwa', 'Fagge', 'Gabasawa', 'Garko', 'Garun Mallam', 'Gaya', 'Gezawa', 'Gwale', 'Gwarzo',
+    'Kabo', 'Kano Municipal', 'Karaye', 'Kibiya', 'Kiru', 'Kumbotso', 'Kunchi', 'Kura', 'Madobi', 'Makoda',
+    'Minjibir', 'Nasarawa', 'Rano', 'Rimin Gado', 'Rogo', 'Shanono', 'Sumaila', 'Takai', 'Tarauni', 'Tofa',
+    'Tsanyawa', 'Tudun Wada', 'Ungogo', 'Warawa', 'Wudil'],
+  'Katsina': ['Bakori', 'Batagarawa', 'Batsari', 'Baure', 'Bindawa', 'Charanchi', 'Dan Musa', 'Dandume',
+    'Danja', 'Daura', 'Dutsi', 'Dutsin Ma', 'Faskari', 'Funtua', 'Ingawa', 'Jibia', 'Kafur', 'Kaita', 'Kankara',
+    'Kankia', 'Katsina', 'Kurfi', 'Kusada', "Mai'Adua", 'Malumfashi', 'Mani', 'Mashi', 'Matazu', 'Musawa',
+    'Rimi', 'Sabuwa', 'Safana', 'Sandamu', 'Zango'],
+  'Kebbi': ['Aleiro', 'Arewa Dandi', 'Argungu', 'Augie', 'Bagudo', 'Birnin Kebbi', 'Bunza', 'Dandi', 'Fakai',
+    'Gwandu', 'Jega', 'Kalgo', 'Koko/Besse', 'Maiyama', 'Ngaski', 'Sakaba', 'Shanga', 'Suru', 'Wasagu/Danko',
+    'Yauri', 'Zuru'],
+  'Kogi': ['Adavi', 'Ajaokuta', 'Ankpa', 'Bassa', 'Dekina', 'Ibaji', 'Idah', 'Igalamela-Odolu', 'Ijumu',
+    'Kabba/Bunu', 'Kogi', 'Lokoja', 'Mopa-Muro', 'Ofu', 'Ogori/Magongo', 'Okehi', 'Okene', 'Olamaboro', 'Omala',
+    'Yagba East', 'Yagba West'],
+  'Kwara': ['Asa', 'Baruten', 'Edu', 'Ekiti', 'Ifelodun', 'Ilorin East', 'Ilorin South', 'Ilorin West',
+    'Irepodun', 'Isin', 'Kaiama', 'Moro', 'Offa', 'Oke Ero', 'Oyun', 'Pategi'],
+  'Lagos': ['Agege', 'Ajeromi-Ifelodun', 'Alimosho', 'Amuwo-Odofin', 'Apapa', 'Badagry', 'Epe', 'Eti-Osa',
+    'Ibeju-Lekki', 'Ifako-Ijaiye', 'Ikeja', 'Ikorodu', 'Kosofe', 'Lagos Island', 'Lagos Mainland', 'Mushin',
+    'Ojo', 'Oshodi-Isolo', 'Shomolu', 'Surulere'],
+  'Nasarawa': ['Akwanga', 'Awe', 'Doma', 'Karu', 'Keana', 'Keffi', 'Kokona', 'Lafia', 'Nasarawa',
+    'Nasarawa Egon', 'Obi', 'Toto', 'Wamba'],
+  'Niger': ['Agaie', 'Agwara', 'Bida', 'Borgu', 'Bosso', 'Chanchaga', 'Edati', 'Gbako', 'Gurara', 'Katcha',
+    'Kontagora', 'Lapai', 'Lavun', 'Magama', 'Mariga', 'Mashegu', 'Mokwa', 'Munya', 'Paikoro', 'Rafi', 'Rijau',
+    'Shiroro', 'Suleja', 'Tafa', 'Wushishi'],
+  'Ogun': ['Abeokuta North', 'Abeokuta South', 'Ado-Odo/Ota', 'Ewekoro', 'Ifo', 'Ijebu East', 'Ijebu North',
+    'Ijebu North East', 'Ijebu Ode', 'Ikenne', 'Imeko Afon', 'Ipokia', 'Obafemi Owode', 'Odeda', 'Odogbolu',
+    'Ogun Waterside', 'Remo North', 'Shagamu', 'Yewa North', 'Yewa South'],
+  'Ondo': ['Akoko North-East', 'Akoko North-West', 'Akoko South-East', 'Akoko South-West', 'Akure North',
+    'Akure South', 'Ese Odo', 'Idanre', 'Ifedore', 'Ilaje', 'Ile Oluji/Okeigbo', 'Irele', 'Odigbo', 'Okitipupa',
+    'Ondo East', 'Ondo West', 'Ose', 'Owo'],
+  'Osun': ['Aiyedaade', 'Aiyedire', 'Atakunmosa East', 'Atakunmosa West', 'Boluwaduro', 'Boripe', 'Ede North',
+    'Ede South', 'Egbedore', 'Ejigbo', 'Ife Central', 'Ife East', 'Ife North', 'Ife South', 'Ifedayo',
+    'Ifelodun', 'Ila', 'Ilesa East', 'Ilesa West', 'Irepodun', 'Irewole', 'Isokan', 'Iwo', 'Obokun', 'Odo Otin',
+    'Ola Oluwa', 'Olorunda', 'Oriade', 'Orolu', 'Osogbo'],
+  'Oyo': ['Afijio', 'Akinyele', 'Atiba', 'Atisbo', 'Egbeda', 'Ibadan North', 'Ibadan North-East',
+    'Ibadan North-West', 'Ibadan South-East', 'Ibadan South-West', 'Ibarapa Central', 'Ibarapa East',
+    'Ibarapa North', 'Ido', 'Irepo', 'Iseyin', 'Itesiwaju', 'Iwajowa', 'Kajola', 'Lagelu', 'Ogbomosho North',
+    'Ogbomosho South', 'Ogo Oluwa', 'Olorunsogo', 'Oluyole', 'Ona Ara', 'Orelope', 'Ori Ire', 'Oyo East',
+    'Oyo West', 'Saki East', 'Saki West', 'Surulere'],
+  'Plateau': ['Barkin Ladi', 'Bassa', 'Bokkos', 'Jos East', 'Jos North', 'Jos South', 'Kanam', 'Kanke',
+    'Langtang North', 'Langtang South', 'Mangu', 'Mikang', 'Pankshin', "Qua'an Pan", 'Riyom', 'Shendam', 'Wase'],
+  'Rivers': ['Abua/Odual', 'Ahoada East', 'Ahoada West', 'Akuku-Toru', 'Andoni', 'Asari-Toru', 'Bonny',
+    'Degema', 'Eleme', 'Emohua', 'Etche', 'Gokana', 'Ikwerre', 'Khana', 'Obio/Akpor', 'Ogba/Egbema/Ndoni',
+    'Ogu/Bolo', 'Okrika', 'Omuma', 'Opobo/Nkoro', 'Oyigbo', 'Port Harcourt', 'Tai'],
+  'Sokoto': ['Binji', 'Bodinga', 'Dange Shuni', 'Gada', 'Goronyo', 'Gudu', 'Gwadabawa', 'Illela', 'Isa',
+    'Kebbe', 'Kware', 'Rabah', 'Sabon Birni', 'Shagari', 'Silame', 'Sokoto North', 'Sokoto South', 'Tambuwal',
+    'Tangaza', 'Tureta', 'Wamako', 'Wurno', 'Yabo'],
+  'Taraba': ['Ardo Kola', 'Bali', 'Donga', 'Gashaka', 'Gassol', 'Ibi', 'Jalingo', 'Karim Lamido', 'Kumi', 'Lau',
+    'Sardauna', 'Takum', 'Ussa', 'Wukari', 'Yorro', 'Zing'],
+  'Yobe': ['Bade', 'Bursari', 'Damaturu', 'Fika', 'Fune', 'Geidam', 'Gujba', 'Gulani', 'Jakusko', 'Karasuwa',
+    'Machina', 'Nangere', 'Nguru', 'Potiskum', 'Tarmuwa', 'Yunusari', 'Yusufari'],
+  'Zamfara': ['Anka', 'Bakura', 'Birnin Magaji/Kiyaw', 'Bukkuyum', 'Bungudu', 'Gummi', 'Gusau', 'Kaura Namoda',
+    'Maradun', 'Maru', 'Shinkafi', 'Talata Mafara', 'Tsafe', 'Zurmi'],
+  'FCT': ['Abaji', 'Bwari', 'Gwagwalada', 'Kuje', 'Kwali', 'Municipal Area Council'],
+};
+const STATES = Object.keys(LGAS);
+
+// Optional towns/areas people search by, keyed by state and LGA. Not exhaustive: a listing's area is
+// free text, these only feed the suggestions and map hand-typed towns ("Lekki") back to their LGA.
+const AREAS = {
+  'Lagos': {
+    'Agege': ['Dopemu', 'Orile Agege'],
+    'Alimosho': ['Egbeda', 'Idimu', 'Igando', 'Ikotun', 'Ipaja'],
+    'Amuwo-Odofin': ['Festac Town', 'Mile 2', 'Satellite Town'],
+    'Eti-Osa': ['Ajah', 'Ikoyi', 'Lekki', 'Oniru', 'Victoria Island'],
+    'Ibeju-Lekki': ['Awoyaya', 'Eleko', 'Lakowe'],
+    'Ikeja': ['Alausa', 'Allen', 'Computer Village', 'GRA Ikeja', 'Opebi', 'Oregun'],
+    'Ikorodu': ['Igbogbo', 'Ijede'],
+    'Kosofe': ['Ketu', 'Mile 12', 'Ogudu', 'Ojota'],
+    'Lagos Island': ['Idumota', 'Marina', 'Obalende'],
+    'Lagos Mainland': ['Ebute Metta', 'Oyingbo', 'Yaba'],
+    'Mushin': ['Idi-Araba', 'Papa Ajao'],
+    'Ojo': ['Alaba', 'Iba'],
+    'Oshodi-Isolo': ['Ajao Estate', 'Ejigbo', 'Isolo', 'Okota'],
+    'Shomolu': ['Bariga', 'Onipanu'],
+    'Surulere': ['Aguda', 'Ijesha', 'Ojuelegba'],
+  },
+  'FCT': {
+    'Bwari': ['Dutse', 'Kubwa'],
+    'Municipal Area Council': ['Asokoro', 'Garki', 'Gwarinpa', 'Jabi', 'Lugbe', 'Maitama', 'Utako', 'Wuse'],
+  },
+  'Rivers': {
+    'Obio/Akpor': ['Choba', 'Eliozu', 'Rumuokoro', 'Rumuola'],
+    'Port Harcourt': ['Borokiri', 'D-Line', 'Diobu', 'Old GRA'],
+  },
+  'Oyo': {
+    'Ibadan North': ['Agodi', 'Bodija', 'Sango'],
+    'Ibadan South-West': ['Oke-Ado', 'Ring Road'],
+  },
+  'Kano': {
+    'Fagge': ['Sabon Gari'],
+    'Nasarawa': ['Bompai'],
+  },
+  'Enugu': {
+    'Enugu North': ['Asata', 'GRA Enugu', 'Ogui'],
+    'Enugu South': ['Achara Layout', 'Uwani'],
+  },
+};
+
+// Comparison key for place names typed by hand: "Ikeja LGA", "ikeja " and "IKEJA" all match "Ikeja".
+function placeKey(name) {
+  return String(name || '').toLowerCase().replace(/\b(local government( area)?|lga)\b/g, '').replace(/[^a-z0-9]/g, '');
+}
+
+// The official spelling of a hand-typed LGA (or of a town listed in AREAS) in a state, or null.
+function normalizeLga(state, name) {
+  const key = placeKey(name);
+  if (!key || !LGAS[state]) return null;
+  const areas = AREAS[state] || {};
+  return LGAS[state].find(l => placeKey(l) === key)
+    || Object.keys(areas).find(l => areas[l].some(a => placeKey(a) === key))
+    || null;
+}
+
+function locationProblem(state, lga, { lgaRequired = false } = {}) {
+  if (!LGAS[state]) return 'Choose a state';
+  if (!lga) return lgaRequired ? 'Choose an LGA' : null;
+  if (!LGAS[state].includes(lga)) return `${lga} is not an LGA in ${state}`;
+  return null;
+}
+
+// Listings saved before the LGA picker have free-text LGAs ("ikeja ", "Ikeja LGA", "Unknown").
+// Recognisable ones are rewritten to the official name; the rest are cleared for the seller to pick.
+function cleanListingLocations(state) {
+  return { ...state, listings: (state.listings || []).map(l => LGAS[l.state] && LGAS[l.state].includes(l.lga) ? l : { ...l, lga: normalizeLga(l.state, l.lga) || '' }) };
+}
+
+// Approximate coordinates [lat, lng] of each state capital, used when a listing's LGA has no centroid below.
+const STATE_CENTRES = {
+  'Abia': [5.53, 7.49], 'Adamawa': [9.20, 12.50], 'Akwa Ibom': [5.04, 7.91], 'Anambra': [6.21, 7.07], 'Bauchi': [10.32, 9.84],
+  'Bayelsa': [4.93, 6.27], 'Benue': [7.73, 8.54], 'Borno': [11.83, 13.15], 'Cross River': [4.98, 8.34], 'Delta': [6.20, 6.73],
+  'Ebonyi': [6.32, 8.11], 'Edo': [6.34, 5.60], 'Ekiti': [7.62, 5.22], 'Enugu': [6.46, 7.55], 'Gombe': [10.29, 11.17],
+  'Imo': [5.49, 7.04], 'Jigawa': [11.76, 9.34], 'Kaduna': [10.51, 7.42], 'Kano': [12.00, 8.59], 'Katsina': [12.99, 7.60],
+  'Kebbi': [12.45, 4.20], 'Kogi': [7.80, 6.73], 'Kwara': [8.50, 4.54], 'Lagos': [6.60, 3.35], 'Nasarawa': [8.49, 8.52],
+  'Niger': [9.61, 6.56], 'Ogun': [7.15, 3.36], 'Ondo': [7.26, 5.21], 'Osun': [7.78, 4.54], 'Oyo': [7.38, 3.95],
+  'Plateau': [9.90, 8.86], 'Rivers': [4.82, 7.05], 'Sokoto': [13.01, 5.25], 'Taraba': [8.89, 11.37], 'Yobe': [11.75, 11.96],
+  'Zamfara': [12.16, 6.66], 'FCT': [9.08, 7.40],
+};
+
+// Approximate LGA centroids for the busiest metros. The server has all 774, built from the LGA boundaries.
+const LGA_CENTRES = {
+  'Lagos': {
+    'Agege': [6.62, 3.32], 'Ajeromi-Ifelodun': [6.46, 3.33], 'Alimosho': [6.60, 3.26], 'Amuwo-Odofin': [6.46, 3.28],
+    'Apapa': [6.45, 3.36], 'Badagry': [6.42, 2.88], 'Epe': [6.58, 3.98], 'Eti-Osa': [6.45, 3.53], 'Ibeju-Lekki': [6.47, 3.85],
+    'Ifako-Ijaiye': [6.66, 3.32], 'Ikeja': [6.60, 3.35], 'Ikorodu': [6.62, 3.51], 'Kosofe': [6.59, 3.39],
+    'Lagos Island': [6.46, 3.39], 'Lagos Mainland': [6.50, 3.38], 'Mushin': [6.53, 3.35], 'Ojo': [6.46, 3.18],
+    'Oshodi-Isolo': [6.54, 3.31], 'Shomolu': [6.54, 3.39], 'Surulere': [6.50, 3.35],
+  },
+  'Ogun': { 'Ado-Odo/Ota': [6.69, 3.23], 'Ifo': [6.82, 3.20], 'Obafemi Owode': [6.95, 3.50], 'Shagamu': [6.84, 3.65] },
+  'FCT': {
+    'Abaji': [8.48, 6.95], 'Bwari': [9.28, 7.38], 'Gwagwalada': [8.94, 7.08], 'Kuje': [8.88, 7.23], 'Kwali': [8.77, 7.01],
+    'Municipal Area Council': [9.04, 7.49],
+  },
+  'Rivers': { 'Obio/Akpor': [4.87, 6.99], 'Port Harcourt': [4.78, 7.01] },
+};
+
+// Where a place is: the LGA centroid when we have one, else the state capital.
+function placeCoords(state, lga) {
+  const c = ((LGA_CENTRES[state] || {})[lga]) || STATE_CENTRES[state];
+  return c ? { lat: c[0], lng: c[1] } : null;
+}
+
+// A seller's pin wins over the LGA. Listings saved before pins existed fall back to their LGA.
+function listingCoords(l) {
+  return l.lat != null && l.lng != null ? { lat: l.lat, lng: l.lng } : placeCoords(l.state, l.lga);
+}
+
+// Pins are kept to two decimals (about 1 km): enough for distance, not a street address.
+function roundCoord(v) { return Math.round(v * 100) / 100; }
+
+// Great-circle distance in km (haversine).
+function distanceKm(a, b) {
+  const rad = d => d * Math.PI / 180;
+  const dLat = rad(b.lat - a.lat), dLng = rad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * 6371 * Math.asin(Math.sqrt(h));
+}
+
+// Coordinates to store on a listing: the seller's pin, else the centre of its LGA (or state).
+function listingGeo(l) {
+  if (l.geoSource === 'pin' && l.lat != null && l.lng != null) return { lat: roundCoord(l.lat), lng: roundCoord(l.lng), geoSource: 'pin' };
+  const c = placeCoords(l.state, l.lga);
+  return { lat: c ? c.lat : null, lng: c ? c.lng : null, geoSource: 'place' };
+}
+
+function pinProblem(pin) {
+  if (!pin || !(pin.lat >= 4 && pin.lat <= 14 && pin.lng >= 2.6 && pin.lng <= 14.7)) return 'That location is outside Nigeria';
+  return null;
+}
+
+function formatKm(km) { return km < 1 ? 'under 1 km' : `${Math.round(km)} km`; }
+
+const RADII_KM = [5, 10, 25, 50, 100, 250];
+
+// --- Categories (same ids as the server's seed; admins edit them in the Admin panel) ---
+// Attribute types are 'select' (options), 'number' (unit, min, max) and 'text'. filter: true adds it to Browse.
+// A category also has its ancestors' attributes, so "Condition" on Electronics applies to Phones.
+// aliases: free-text categories from before the taxonomy that map to this one.
+const ATTRIBUTE_TYPES = ['select', 'number', 'text'];
+const DEFAULT_CATEGORIES = [
+  { id: 'electronics', name: 'Electronics', parentId: null, aliases: ['electronic', 'gadgets'], attributes: [
+    { key: 'condition', label: 'Condition', type: 'select', options: ['Brand new', 'UK used', 'Nigerian used'], required: true, filter: true },
+  ] },
+  { id: 'phones', name: 'Phones', parentId: 'electronics', aliases: ['phone', 'mobile phones', 'smartphones', 'handsets'], attributes: [
+    { key: 'brand', label: 'Brand', type: 'select', options: ['Apple', 'Samsung', 'Tecno', 'Infinix', 'itel', 'Xiaomi', 'Nokia', 'Other'], required: true, filter: true },
+    { key: 'model', label: 'Model', type: 'text' },
+    { key: 'storage', label: 'Storage', type: 'select', options: ['32GB', '64GB', '128GB', '256GB', '512GB'], filter: true },
+  ] },
+  { id: 'computers', name: 'Laptops & Computers', parentId: 'electronics', aliases: ['laptop', 'computer'], attributes: [
+    { key: 'brand', label: 'Brand', type: 'select', options: ['Apple', 'HP', 'Dell', 'Lenovo', 'Asus', 'Acer', 'Other'], required: true, filter: true },
+    { key: 'ram', label: 'RAM', type: 'select', options: ['4GB', '8GB', '16GB', '32GB'], filter: true },
+  ] },
+  { id: 'tv-audio', name: 'TV & Audio', parentId: 'electronics', aliases: ['tv', 'television', 'speaker'], attributes: [] },
+  { id: 'vehicles', name: 'Vehicles', parentId: null, aliases: ['vehicle'], attributes: [] },
+  { id: 'cars', name: 'Cars', parentId: 'vehicles', aliases: ['car', 'automobile'], attributes: [
+    { key: 'make', label: 'Make', type: 'select', options: ['Toyota', 'Honda', 'Lexus', 'Mercedes-Benz', 'Hyundai', 'Kia', 'Ford', 'Other'], required: true, filter: true },
+    { key: 'model', label: 'Model', type: 'text' },
+    { key: 'year', label: 'Year', type: 'number', min: 1960, max: 2100, required: true, filter: true },
+    { key: 'mileage', label: 'Mileage', type: 'number', unit: 'km', min: 0, filter: true },
+    { key: 'transmission', label: 'Transmission', type: 'select', options: ['Automatic', 'Manual'], filter: true },
+    { key: 'condition', label: 'Condition', type: 'select', options: ['Brand new', 'Foreign used', 'Nigerian used'], required: true, filter: true },
+  ] },
+  { id: 'motorcycles', name: 'Motorcycles & Tricycles', parentId: 'vehicles', aliases: ['motorcycle', 'okada', 'keke', 'tricycle'], attributes: [] },
+  { id: 'food', name: 'Food & Groceries', parentId: null, aliases: ['foodstuff', 'groceries', 'provisions'], attributes: [
+    { key: 'unit', label: 'Sold per', type: 'select', options: ['kg', 'bag', 'mudu', 'tuber', 'crate', 'carton', 'litre', 'paint bucket'], required: true, filter: true },
+    { key: 'weight', label: 'Weight', type: 'number', unit: 'kg', min: 0 },
+  ] },
+  { id: 'grains', name: 'Rice & Grains', parentId: 'food', aliases: ['rice', 'beans', 'grain'], attributes: [] },
+  { id: 'tubers', name: 'Yams & Tubers', parentId: 'food', aliases: ['yam', 'tuber', 'garri'], attributes: [] },
+  { id: 'oils', name: 'Oils & Spices', parentId: 'food', aliases: ['palm oil', 'oil', 'spice'], attributes: [] },
+  { id: 'fashion', name: 'Fashion', parentId: null, aliases: ['clothes', 'clothing', 'shoes'], attributes: [
+    { key: 'gender', label: 'For', type: 'select', options: ['Men', 'Women', 'Unisex', 'Children'], filter: true },
+    { key: 'size', label: 'Size', type: 'text' },
+  ] },
+  { id: 'home', name: 'Home & Garden', parentId: null, aliases: ['furniture', 'kitchen', 'household'], attributes: [] },
+  { id: 'other', name: 'Other', parentId: null, aliases: ['general', 'misc', 'others'], attributes: [] },
 ];
 
-function uid(prefix = "") {
-  return prefix + Math.random().toString(36).slice(2, 9);
+function categoryById(categories, id) { return categories.find(c => c.id === id) || null; }
+
+// Root first, e.g. [Electronics, Phones]
+function categoryTrail(categories, id) {
+  const trail = [];
+  for (let c = categoryById(categories, id); c && trail.length < 10; c = categoryById(categories, c.parentId)) trail.unshift(c);
+  return trail;
 }
 
-function nowISO() { return new Date().toISOString(); }
+function categoryLabel(categories, id) {
+  return categoryTrail(categories, id).map(c => c.name).join(' › ') || 'Other';
+}
 
-function readStorage() {
-  try {
-    const raw = localStorage.getItem(STORAGE_KEY);
-    if (!raw) return null;
-    return JSON.parse(raw);
-  } catch (e) { return null; }
+// New listings can go in a category only while it and its parents are not archived
+function categoryOpen(categories, id) {
+  const trail = categoryTrail(categories, id);
+  return trail.length > 0 && !trail.some(c => c.archived);
 }
 
-function saveStorage(state) {
-  localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+// The attributes a listing in this category has: inherited ones first.
+function attributeSchema(categories, id) {
+  return categoryTrail(categories, id).flatMap(c => c.attributes || []);
 }
 
-const sample = () => ({
-  users: [
-    { id: 'admin', name: 'MarketMate Admin', email: 'admin@marketmate.local', role: 'admin', verified: true }
-  ],
-  sessions: {},
-  listings: [],
-  reviews: [],
-});
+// The tree in display order, for selects and the admin list: [{ category, depth }]
+function categoryOptions(categories, { includeArchived = false } = {}) {
+  const out = [];
+  const walk = (parentId, depth) => categories
+    .filter(c => c.parentId === parentId && (includeArchived || !c.archived))
+    .sort((a, b) => (a.id === 'other') - (b.id === 'other') || a.name.localeCompare(b.name))
+    .forEach(c => { out.push({ category: c, depth }); walk(c.id, depth + 1); });
+  walk(null, 0);
+  return out;
+}
 
-export default function MarketMateApp() {
-  const [data, setData] = useState(() => readStorage() || sample());
-  const [currentUser, setCurrentUser] = useState(null);
-  const [view, setView] = useState('browse'); // browse | create | dashboard | verify | admin
-  const [filters, setFilters] = useState({ q: '', state: 'All', lga: '', category: 'All', delivery: 'any', sort: 'newest' });
+// The category a free-text one belongs to: "phone", "Mobile Phones" -> Phones. Null when nothing fits.
+function matchCategory(categories, text) {
+  const key = searchTokens(text).join(' ');
+  if (!key) return null;
+  return categories.find(c => [c.name, ...(c.aliases || [])].some(n => searchTokens(n).join(' ') === key)) || null;
+}
 
-  useEffect(() => saveStorage(data), [data]);
+// The category fields stored on a listing. category (the name) is what search and the cards read.
+function listingCategory(categories, id) {
+  const trail = categoryTrail(categories, id);
+  return { categoryId: id, categoryPath: trail.map(c => c.id), category: trail.length ? trail[trail.length - 1].name : 'Other' };
+}
 
-  // --- Auth & Seller verification (mock flows) ---
-  function registerSeller({ name, email, phone, password }) {
-    if (!email || !phone || !name) return { error: 'Provide name, email and phone' };
-    if (data.users.find(u => u.email === email)) return { error: 'Email already registered' };
-    const user = { id: uid('u_'), name, email, phone, role: 'seller', verified: false, createdAt: nowISO() };
-    const next = { ...data, users: [user, ...data.users] };
-    setData(next);
-    setCurrentUser(user);
-    return { ok: true, user };
+// Returns { attributes }, with numbers as numbers and keys outside the schema dropped, or { error }.
+function cleanAttributes(schema, values = {}) {
+  const attributes = {};
+  for (const a of schema) {
+    const raw = values[a.key];
+    if (raw === undefined || raw === null || String(raw).trim() === '') {
+      if (a.required) return { error: `${a.label} is required` };
+      continue;
+    }
+    if (a.type === 'number') {
+      const n = Number(raw);
+      if (!Number.isFinite(n)) return { error: `${a.label} must be a number` };
+      if (a.min != null && n < a.min) return { error: `${a.label} must be at least ${a.min}` };
+      if (a.max != null && n > a.max) return { error: `${a.label} must be at most ${a.max}` };
+      attributes[a.key] = n;
+    } else if (a.type === 'select') {
+      if (!a.options.includes(raw)) return { error: `${a.label} must be one of ${a.options.join(', ')}` };
+      attributes[a.key] = raw;
+    } else {
+      attributes[a.key] = String(raw).trim().slice(0, 100);
+    }
   }
+  return { attributes };
+}
 
-  function loginMock({ emailOrPhone }) {
-    const user = data.users.find(u => u.email === emailOrPhone || u.phone === emailOrPhone);
-    if (!user) return { error: 'No user found' };
-    setCurrentUser(user);
-    return { ok: true };
+// Checks a category's own attributes against the ones it inherits. Returns an error message or null.
+function schemaProblem(attributes, inherited) {
+  const keys = new Set(inherited.map(a => a.key));
+  for (const a of attributes) {
+    if (!a.label.trim()) return 'Every attribute needs a label';
+    if (!ATTRIBUTE_TYPES.includes(a.type)) return `Unknown attribute type: ${a.type}`;
+    if (a.type === 'select' && !(a.options || []).length) return `${a.label} needs at least one option`;
+    if (keys.has(a.key)) return `${a.label} is already an attribute of this category or a parent`;
+    keys.add(a.key);
+  }
+  return null;
+}
+
+// Attribute filters from Browse: { brand: 'Samsung', year: { min: 2010, max: '' } }. Empty values are ignored.
+function attributesMatch(values = {}, attrs = {}) {
+  for (const [key, want] of Object.entries(attrs)) {
+    if (want === '' || want == null) continue;
+    const v = values[key];
+    if (typeof want === 'object') {
+      if (want.min !== '' && want.min != null && !(v >= Number(want.min))) return false;
+      if (want.max !== '' && want.max != null && !(v <= Number(want.max))) return false;
+    } else if (String(v ?? '').toLowerCase() !== String(want).toLowerCase()) return false;
+  }
+  return true;
+}
+
+// Numbers with a unit are quantities ("85,000 km"); without one they are read as-is (a year: "2012")
+function attributeValue(a, v) {
+  if (a.type !== 'number') return v;
+  return a.unit ? `${Number(v).toLocaleString()} ${a.unit}` : String(v);
+}
+
+// "Toyota • 2012 • 85,000 km" for cards
+function attributeSummary(schema, values = {}) {
+  return schema.filter(a => a.filter && values[a.key] !== undefined).map(a => attributeValue(a, values[a.key])).join(' • ');
+}
+
+// Listings and saved searches from before the taxonomy carry free-text categories. Each is mapped
+// to the category it names, or to Other.
+function cleanListingCategories(state) {
+  const categories = state.categories || DEFAULT_CATEGORIES;
+  const idFor = text => (matchCategory(categories, text) || { id: 'other' }).id;
+  const savedSearches = Object.fromEntries(Object.entries(state.savedSearches || {}).map(([userId, list]) => [userId, list.map(s => {
+    const c = s.filters.category;
+    return c === 'All' || categoryById(categories, c) ? s : { ...s, filters: { ...s.filters, category: (matchCategory(categories, c) || { id: 'All' }).id, attrs: {} } };
+  })]));
+  return {
+    ...state,
+    categories,
+    savedSearches,
+    listings: (state.listings || []).map(l => l.categoryId ? l : { ...l, ...listingCategory(categories, idFor(l.category)), attributes: l.attributes || {} }),
+  };
+}
+
+// --- Variants (sizes, colours, pack sizes) ---
+// variantAxes names what differs between them, e.g. ['Size', 'Colour']; every variant has a value for
+// each, plus its own price, stock and photos. A listing with variants keeps price (the lowest) and
+// qty (the total) in step with them, so search, sorting, favourites and "Sold out" work unchanged.
+const MAX_VARIANT_AXES = 3;
+const MAX_VARIANTS = 50;
+const VARIANT_AXIS_SUGGESTIONS = ['Size', 'Colour', 'Weight', 'Pack size'];
+
+// "42 / Black"
+function variantLabel(variant, axes) {
+  return axes.map(a => variant.options[a]).join(' / ');
+}
+
+// Returns { variantAxes, variants } in the stored shape, or { error }. No axes means no variants.
+function cleanVariants(axes = [], variants = []) {
+  const variantAxes = [...new Set(axes.map(a => String(a || '').trim()).filter(Boolean))];
+  if (variantAxes.length > MAX_VARIANT_AXES) return { error: `Variants can differ in up to ${MAX_VARIANT_AXES} ways` };
+  if (!variantAxes.length) return variants.length ? { error: 'Say what differs between the variants, e.g. Size' } : { variantAxes, variants: [] };
+  if (!variants.length) return { error: 'Add at least one variant, or remove the variant options' };
+  if (variants.length > MAX_VARIANTS) return { error: `A listing can have up to ${MAX_VARIANTS} variants` };
+  const seen = new Set();
+  const out = [];
+  for (const v of variants) {
+    const options = {};
+    for (const a of variantAxes) {
+      options[a] = String((v.options || {})[a] || '').trim();
+      if (!options[a]) return { error: `Every variant needs a ${a.toLowerCase()}` };
+    }
+    const label = variantLabel({ options }, variantAxes);
+    const key = label.toLowerCase();
+    if (seen.has(key)) return { error: `${label} is listed twice` };
+    seen.add(key);
+    const price = Number(v.price);
+    if (String(v.price ?? '').trim() === '' || !Number.isInteger(price) || price <= 0) return { error: `Enter a price for ${label}` };
+    const qty = Number(v.qty);
+    if (!Number.isInteger(qty) || qty < 0) return { error: `Enter the stock for ${label}` };
+    out.push({ id: v.id || uid('v_'), options, price, qty, images: v.images || [] });
   }
+  return { variantAxes, variants: out };
+}
+
+function variantTotals(variants) {
+  return { price: Math.min(...variants.map(v => v.price)), qty: variants.reduce((n, v) => n + v.qty, 0) };
+}
+
+// "NGN 25,000", or "from NGN 25,000" when the variants differ in price
+function priceLabel(listing) {
+  const varies = new Set((listing.variants || []).map(v => v.price)).size > 1;
+  return `${varies ? 'from ' : ''}NGN ${Number(listing.price).toLocaleString()}`;
+}
+
+function variantOf(listing, variantId) {
+  return (listing.variants || []).find(v => v.id === variantId) || null;
+}
+
+// Price, stock, photos and label of what the buyer picked: a variant, or the listing itself
+function offerOf(listing, variantId) {
+  const v = variantOf(listing, variantId);
+  if (!v) return { price: Number(listing.price), qty: Number(listing.qty), images: listing.images, label: '' };
+  return { price: v.price, qty: v.qty, images: v.images.length ? v.images : listing.images, label: variantLabel(v, listing.variantAxes) };
+}
+
+// Moves stock for lines ({ listingId, variantId, delta }): a negative delta takes it, a positive one gives it back.
+// A line for a variant the seller has since removed changes nothing.
+function adjustStock(listings, lines) {
+  return listings.map(l => {
+    const mine = lines.filter(i => i.listingId === l.id);
+    if (!mine.length) return l;
+    const moved = match => mine.filter(match).reduce((n, i) => n + i.delta, 0);
+    if (!(l.variants || []).length) return { ...l, qty: Number(l.qty) + moved(() => true) };
+    const variants = l.variants.map(v => ({ ...v, qty: v.qty + moved(i => i.variantId === v.id) }));
+    return { ...l, variants, ...variantTotals(variants) };
+  });
+}
+
+// --- Inventory (mirrors src/services/inventory.js) ---
+// Every stock change is kept as a movement: { id, listingId, variantId, delta, qtyAfter, reason, orderId, by, note, at }.
+// Checkout takes stock as a sale straight away; an online order then holds it until reservedUntil,
+// and if it is still unpaid by then the order is cancelled and the stock goes back on sale.
+// A listing with no stock left is sold out: it drops out of Browse until it is restocked.
+const STOCK_REASONS = {
+  sale: 'Sale',
+  cancellation: 'Order cancelled',
+  reservation_expired: 'Not paid in time',
+  restock: 'Restock',
+  adjustment: 'Adjustment',
+};
+const RESERVATION_MINUTES = 30;
+const LOW_STOCK_DEFAULT = 2;
 
-  function logout() { setCurrentUser(null); setView('browse'); }
+function lowStockLevel(listing) {
+  return listing.lowStockAt ?? LOW_STOCK_DEFAULT;
+}
+
+// Stock of one variant, or of the listing itself; a removed variant, or the listing's own count
+// once it has variants, is 0
+function stockOf(listing, variantId) {
+  if (variantId) return (variantOf(listing, variantId) || { qty: 0 }).qty;
+  return (listing.variants || []).length ? 0 : Number(listing.qty);
+}
+
+// One movement per line, with the stock left after it. A line may carry its own reason, orderId or note.
+// listings is the stock after the change.
+function movementsFor(listings, lines, meta) {
+  const at = nowISO();
+  return lines.map(({ listingId, variantId = null, delta, ...own }) => {
+    const l = listings.find(x => x.id === listingId);
+    return { id: uid('sm_'), listingId, variantId, delta, qtyAfter: l ? stockOf(l, variantId) : 0, reason: null, orderId: null, by: null, note: '', ...meta, ...own, at };
+  });
+}
+
+// What an edit did to the stock, one line per variant (or the listing) whose count changed. More is a restock.
+function stockDiff(before, after) {
+  const counts = l => new Map((l.variants || []).length ? l.variants.map(v => [v.id, v.qty]) : [[null, Number(l.qty)]]);
+  const was = counts(before);
+  const now = counts(after);
+  return [...new Set([...was.keys(), ...now.keys()])]
+    .map(variantId => ({ listingId: after.id, variantId, delta: (now.get(variantId) || 0) - (was.get(variantId) || 0) }))
+    .filter(i => i.delta)
+    .map(i => ({ ...i, reason: i.delta > 0 ? 'restock' : 'adjustment' }));
+}
 
-  function submitVerification(userId, { idImageBase64, bvn }) {
-    // store verification request (simple flag)
-    const users = data.users.map(u => u.id === userId ? { ...u, verificationRequest: { idImageBase64, bvn, submittedAt: nowISO(), status: 'pending' } } : u);
-    const next = { ...data, users };
-    setData(next);
+// A seller hears once when a sale takes a line down to its listing's low-stock level, not on every sale below it.
+function lowStockAlerts(alerts, listings, movements) {
+  const next = { ...alerts };
+  for (const m of movements) {
+    const l = listings.find(x => x.id === m.listingId);
+    if (!l || m.reason !== 'sale') continue;
+    const level = lowStockLevel(l);
+    if (m.qtyAfter > level || m.qtyAfter - m.delta <= level) continue;
+    const alert = { id: uid('al_'), type: 'low_stock', listingId: l.id, variantId: m.variantId, qty: m.qtyAfter, createdAt: nowISO(), readAt: null };
+    next[l.sellerId] = [alert, ...(next[l.sellerId] || [])];
   }
+  return next;
+}
 
-  function adminReviewVerification(userId, approve = false) {
-    const users = data.users.map(u => {
-      if (u.id !== userId) return u;
-      if (approve) return { ...u, verified: true, verificationRequest: { ...u.verificationRequest, status: 'approved', reviewedAt: nowISO() } };
-      return { ...u, verified: false, verificationRequest: { ...u.verificationRequest, status: 'rejected', reviewedAt: nowISO() } };
+// Lines that give an order's stock back
+function returnedLines(order) {
+  return order.items.map(i => ({ listingId: i.listingId, variantId: i.variantId || null, delta: i.qty, orderId: order.id }));
+}
+
+// Online orders whose stock is still held for a payment that never came
+function expiredReservations(orders, now) {
+  return orders.filter(o => o.status === 'pending_payment' && o.paymentMode !== 'cod' && o.reservedUntil && new Date(o.reservedUntil).getTime() <= now);
+}
+
+// --- Photos (mirrors POST /api/uploads and src/services/images.js) ---
+// A photo is stored once per content hash, as three renditions, and listings keep refs like
+// 'img:3f9a…' instead of base64. The renditions live in IndexedDB, the demo's stand-in for the server's
+// local-disk/S3 driver, which keeps them out of the ~5 MB localStorage. data: URLs in older saves are
+// moved over on load (see inlineImageRefs).
+const IMAGE_RENDITIONS = { thumb: 320, medium: 800, full: 1600 }; // longest side, px; never enlarged
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+const MAX_UPLOAD_BYTES = 10 * 1024 * 1024;
+const MIN_IMAGE_SIDE = 200;
+
+// Storage driver: put / get / has by key ('<hash>/<rendition>'), the same interface as the server's drivers.
+const imageDriver = {
+  db: null,
+  open() {
+    this.db = this.db || new Promise((resolve, reject) => {
+      const req = indexedDB.open('marketmate_images', 1);
+      req.onupgradeneeded = () => req.result.createObjectStore('renditions');
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    return this.db;
+  },
+  async run(mode, fn) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const req = fn(db.transaction('renditions', mode).objectStore('renditions'));
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
     });
-    setData({ ...data, users });
+  },
+  put(key, blob) { return this.run('readwrite', store => store.put(blob, key)); },
+  get(key) { return this.run('readonly', store => store.get(key)); },
+  async has(key) { return (await this.run('readonly', store => store.count(key))) > 0; },
+};
+
+async function sha256Hex(buffer) {
+  return Array.from(new Uint8Array(await crypto.subtle.digest('SHA-256', buffer)), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// Drawing through a canvas re-encodes the pixels only, so EXIF (GPS included) is dropped.
+// createImageBitmap has already turned the photo the way its EXIF orientation says.
+async function renderImage(bitmap, maxSide) {
+  const scale = Math.min(1, maxSide / Math.max(bitmap.width, bitmap.height));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(bitmap.width * scale);
+  canvas.height = Math.round(bitmap.height * scale);
+  canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  const webp = await new Promise(resolve => canvas.toBlob(resolve, 'image/webp', 0.82));
+  if (webp && webp.type === 'image/webp') return webp;
+  return new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.85)); // browsers without a WebP encoder
+}
+
+// Returns { ok, ref } or { error }. The same photo uploaded twice is stored once.
+async function uploadImage(file) {
+  if (!file || !IMAGE_TYPES.includes(file.type)) return { error: 'Choose a JPEG, PNG or WebP photo' };
+  if (file.size > MAX_UPLOAD_BYTES) return { error: `Photos can be up to ${MAX_UPLOAD_BYTES / 1024 / 1024} MB` };
+  const hash = await sha256Hex(await file.arrayBuffer());
+  const ref = `img:${hash}`;
+  if (await imageDriver.has(`${hash}/full`)) return { ok: true, ref };
+  let bitmap;
+  try { bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' }); } catch (e) { return { error: 'That file is not a photo we can read' }; }
+  if (Math.min(bitmap.width, bitmap.height) < MIN_IMAGE_SIDE) return { error: `Photos need to be at least ${MIN_IMAGE_SIDE} px on each side` };
+  // full goes last: its presence is what marks a photo as stored
+  for (const name of ['thumb', 'medium', 'full']) await imageDriver.put(`${hash}/${name}`, await renderImage(bitmap, IMAGE_RENDITIONS[name]));
+  bitmap.close();
+  return { ok: true, ref };
+}
+
+const imageUrls = new Map(); // '<hash>/<rendition>' -> object URL, for the life of the page
+
+// A rendition's URL; data: and http(s) URLs (older saves, imports) are used as they are.
+async function imageUrl(src, rendition) {
+  if (!String(src).startsWith('img:')) return src;
+  const key = `${src.slice(4)}/${rendition}`;
+  if (!imageUrls.has(key)) {
+    const blob = await imageDriver.get(key);
+    if (!blob) return null;
+    imageUrls.set(key, URL.createObjectURL(blob));
   }
+  return imageUrls.get(key);
+}
 
-  // --- Listings CRUD ---
-  function createListing(payload) {
-    if (!currentUser) return { error: 'Login required' };
-    if (currentUser.role !== 'seller' && currentUser.role !== 'admin') return { error: 'Only sellers can create listings' };
-    const listing = {
-      id: uid('l_'),
-      sellerId: currentUser.id,
-      title: payload.title || 'Untitled',
-      description: payload.description || '',
-      price: Number(payload.price) || 0,
-      currency: 'NGN',
-      category: payload.category || 'General',
-      state: payload.state || 'Unknown',
-      lga: payload.lga || 'Unknown',
-      images: payload.images || [], // base64 strings
-      delivery: payload.delivery || 'pickup', // pickup | delivery
-      createdAt: nowISO(),
-      verifiedBySeller: !!currentUser.verified,
-      active: true,
-      qty: payload.qty || 1,
-    };
-    setData({ ...data, listings: [listing, ...data.listings] });
-    setView('browse');
-    return { ok: true, listing };
+// <img> for a stored photo at the rendition the spot needs: thumb for cards, medium for the listing page.
+function Photo({ src, rendition = 'medium', alt = '', className = '' }) {
+  const cached = String(src).startsWith('img:') ? imageUrls.get(`${src.slice(4)}/${rendition}`) : src;
+  const [url, setUrl] = useState(cached || null);
+  useEffect(() => {
+    let live = true;
+    imageUrl(src, rendition).then(u => { if (live) setUrl(u); });
+    return () => { live = false; };
+  }, [src, rendition]);
+  return url ? <img src={url} alt={alt} className={className} /> : <div className={`${className} bg-gray-100`} />;
+}
+
+// State for what is typed into the views defined inside MarketMateApp. Those views are new components
+// each time the app re-renders (a message from another tab, an expired reservation), so React remounts
+// them; the values live in the app's drafts ref and each mounted copy follows them.
+function useDraft(drafts, key, initial) {
+  const store = drafts.current;
+  if (!(key in store.values)) store.values[key] = typeof initial === 'function' ? initial() : initial;
+  const [value, setValue] = useState(store.values[key]);
+  useEffect(() => {
+    store.listeners[key] = setValue;
+    setValue(store.values[key]); // whatever changed while this copy was mounting
+    return () => { if (store.listeners[key] === setValue) delete store.listeners[key]; };
+  }, [store, key]);
+  // photo and location callbacks may finish after the copy that started them has been replaced
+  const set = useCallback(next => {
+    store.values[key] = typeof next === 'function' ? next(store.values[key]) : next;
+    (store.listeners[key] || setValue)(store.values[key]);
+  }, [store, key]);
+  return [value, set];
+}
+
+// Shop logo and banner refs, for the same moves as listing photos
+const shopImages = users => users.flatMap(u => u.sellerProfile ? [u.sellerProfile.logo, u.sellerProfile.banner] : []).filter(Boolean);
+
+// Stores the data: URLs an older save kept in listings, variants and shop profiles, and returns data URL -> ref.
+async function inlineImageRefs(listings, users = []) {
+  const inline = new Set([...listings.flatMap(l => [...(l.images || []), ...(l.variants || []).flatMap(v => v.images)]), ...shopImages(users)].filter(src => String(src).startsWith('data:')));
+  const refs = new Map();
+  for (const src of inline) {
+    const blob = await (await fetch(src)).blob();
+    const res = await uploadImage(new File([blob], 'photo', { type: blob.type }));
+    if (res.ok) refs.set(src, res.ref);
   }
+  return refs;
+}
 
-  function updateListing(id, patch) {
-    const listings = data.listings.map(l => l.id === id ? { ...l, ...patch } : l);
-    setData({ ...data, listings });
+// Export files carry the stored renditions as data URLs, so photos survive a move to another browser.
+async function exportImages(listings, conversations = [], users = []) {
+  const srcs = [...listings.flatMap(l => [...(l.images || []), ...(l.variants || []).flatMap(v => v.images)]), ...conversations.flatMap(c => c.messages.map(m => m.image)), ...shopImages(users)];
+  const hashes = new Set(srcs.filter(src => String(src).startsWith('img:')).map(src => src.slice(4)));
+  const files = {};
+  for (const hash of hashes) {
+    for (const name of Object.keys(IMAGE_RENDITIONS)) {
+      const blob = await imageDriver.get(`${hash}/${name}`);
+      if (blob) files[`${hash}/${name}`] = await new Promise(resolve => { const r = new FileReader(); r.onload = () => resolve(r.result); r.readAsDataURL(blob); });
+    }
   }
+  return files;
+}
 
-  function deleteListing(id) {
-    const listings = data.listings.filter(l => l.id !== id);
-    setData({ ...data, listings });
+async function importImages(files = {}) {
+  for (const [key, src] of Object.entries(files)) await imageDriver.put(key, await (await fetch(src)).blob());
+}
+
+// --- ID documents & BVN (mirrors src/services/vault.js) ---
+// Sellers' ID photos never touch localStorage or the export file. They sit AES-GCM encrypted in their
+// own IndexedDB database, under a key generated in this browser that can't be read back out (the server
+// keeps its VAULT_KEY outside the database). A BVN or NIN is kept only as a salted hash plus its last 4 digits.
+const DOCUMENT_LINK_SECONDS = 300; // how long an admin's View ID link keeps working
+const BVN_PATTERN = /^\d{11}$/;
+const MAX_DOCUMENT_SIDE = 2000;
+
+const vault = {
+  db: null,
+  open() {
+    this.db = this.db || new Promise((resolve, reject) => {
+      const req = indexedDB.open('marketmate_vault', 1);
+      req.onupgradeneeded = () => { req.result.createObjectStore('documents'); req.result.createObjectStore('keys'); };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    return this.db;
+  },
+  async run(storeName, mode, fn) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const req = fn(db.transaction(storeName, mode).objectStore(storeName));
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  },
+  async key() {
+    const stored = await this.run('keys', 'readonly', store => store.get('current'));
+    if (stored) return stored;
+    const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+    await this.run('keys', 'readwrite', store => store.put(key, 'current'));
+    return key;
+  },
+};
+
+// Returns { ok, documentId } or { error }. The photo is re-encoded first, so its EXIF (GPS included) goes too.
+async function storeDocument(file) {
+  if (!file || !IMAGE_TYPES.includes(file.type)) return { error: 'Choose a JPEG, PNG or WebP photo of your ID' };
+  if (file.size > MAX_UPLOAD_BYTES) return { error: `ID photos can be up to ${MAX_UPLOAD_BYTES / 1024 / 1024} MB` };
+  let bitmap;
+  try { bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' }); } catch (e) { return { error: 'That file is not a photo we can read' }; }
+  const blob = await renderImage(bitmap, MAX_DOCUMENT_SIDE);
+  bitmap.close();
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, await vault.key(), await blob.arrayBuffer());
+  const documentId = uid('doc_');
+  await vault.run('documents', 'readwrite', store => store.put({ iv, data, type: blob.type, createdAt: nowISO() }, documentId));
+  return { ok: true, documentId };
+}
+
+// The decrypted document as a Blob, or null if it is missing or can't be decrypted.
+async function openDocument(documentId) {
+  const doc = await vault.run('documents', 'readonly', store => store.get(documentId));
+  if (!doc) return null;
+  try {
+    return new Blob([await crypto.subtle.decrypt({ name: 'AES-GCM', iv: doc.iv }, await vault.key(), doc.data)], { type: doc.type });
+  } catch (e) { return null; }
+}
+
+function deleteDocument(documentId) {
+  return vault.run('documents', 'readwrite', store => store.delete(documentId));
+}
+
+async function protectBvn(bvn) {
+  return { bvnHash: await hashSecret(bvn), bvnLast4: bvn.slice(-4) };
+}
+
+async function protectNin(nin) {
+  return { ninHash: await hashSecret(nin), ninLast4: nin.slice(-4) };
+}
+
+// Verification fields that stay in this browser: never exported, never taken from an import.
+// idImageBase64 and bvn are what older saves kept in the clear; verificationRequest is the pre-KYC record.
+const PRIVATE_VERIFICATION_FIELDS = ['documentId', 'bvnHash', 'bvnLast4', 'idImageBase64', 'bvn'];
+
+function withoutVerificationSecrets(users = []) {
+  return users.map(u => {
+    let next = u;
+    if (u.verificationRequest) {
+      const request = { ...u.verificationRequest };
+      for (const field of PRIVATE_VERIFICATION_FIELDS) delete request[field];
+      next = { ...next, verificationRequest: request };
+    }
+    if (u.kyc) {
+      const { bvn, nin, ...documents } = u.kyc.documents || {};
+      next = { ...next, kyc: { ...u.kyc, documents: Object.fromEntries(Object.entries(documents).map(([kind, { documentId, ...rest }]) => [kind, rest])) } };
+    }
+    return next;
+  });
+}
+
+// --- KYC (mirrors src/services/kyc.js) ---
+// Sellers verify in tiers: a confirmed phone, then a government ID, then CAC business registration.
+// Each tier raises how much they may list and withdraw. The phone tier is granted as soon as the SMS
+// code checks out; ID and CAC go through review by support.
+const KYC_TIERS = [ // amounts in NGN; null means no limit
+  { tier: 0, label: 'Unverified', requires: [], maxActiveListings: 3, maxListingPrice: 50000, dailyPayout: 0 },
+  { tier: 1, label: 'Phone verified', requires: ['phone'], maxActiveListings: 10, maxListingPrice: 250000, dailyPayout: 100000 },
+  { tier: 2, label: 'ID verified', requires: ['phone', 'government_id'], maxActiveListings: 50, maxListingPrice: 2000000, dailyPayout: 1000000 },
+  { tier: 3, label: 'Registered business', requires: ['phone', 'government_id', 'cac'], maxActiveListings: null, maxListingPrice: null, dailyPayout: 10000000 },
+];
+
+const KYC_DOCUMENTS = {
+  phone: { label: 'Phone number', hint: 'confirmed with a code we send by SMS' },
+  government_id: { label: 'Government ID', hint: "NIN slip, international passport, driver's licence or voter's card" },
+  cac: { label: 'CAC certificate', hint: 'with your RC (company) or BN (business name) number' },
+};
+const ID_TYPES = ['NIN slip', 'International passport', "Driver's licence", "Voter's card"];
+
+// KYC lifecycle: each status lists the statuses a case may move to next. The seller submits, support
+// moves it through review, and 'expired' is set by the clock: an approved ID past its expiry date, or
+// a request for more information left unanswered for KYC_INFO_DAYS.
+const KYC_TRANSITIONS = {
+  not_started: ['submitted'],
+  submitted: ['in_review'],
+  in_review: ['approved', 'needs_more_info', 'rejected'],
+  needs_more_info: ['submitted', 'expired'],
+  approved: ['submitted', 'expired'], // submitted again to apply for the next tier
+  rejected: ['submitted'],
+  expired: ['submitted'],
+};
+const KYC_REVIEW_STEPS = ['in_review', 'approved', 'needs_more_info', 'rejected'];
+const KYC_NOTE_REQUIRED = ['approved', 'needs_more_info', 'rejected']; // a decision always tells the seller why
+const KYC_INFO_DAYS = 14;
+const PHONE_CODE_MINUTES = 10;
+
+// A user's KYC record: { tier, status, applyingFor, requested, documents, checks, phoneVerifiedAt, history,
+// updatedAt }; checks are the identity checks (see runIdentityChecks) on the latest ID.
+// Saves from before tiers have a verificationRequest (or just verified: true) instead; those map onto tier 2.
+function kycOf(user) {
+  if (user && user.kyc) return user.kyc;
+  const blank = { tier: 0, status: 'not_started', applyingFor: null, requested: [], documents: {}, checks: [], phoneVerifiedAt: null, history: [], updatedAt: null };
+  const vr = user && user.verificationRequest;
+  if (!vr) return user && user.verified ? { ...blank, tier: 2, status: 'approved' } : blank;
+  const status = vr.status === 'pending' ? 'submitted' : vr.status; // approved | rejected
+  const documents = {
+    ...(vr.documentId ? { government_id: { documentId: vr.documentId, submittedAt: vr.submittedAt } } : {}),
+    ...(vr.bvnHash ? { bvn: { bvnHash: vr.bvnHash, bvnLast4: vr.bvnLast4 } } : {}),
+  };
+  const at = vr.reviewedAt || vr.submittedAt;
+  return { ...blank, tier: status === 'approved' ? 2 : 0, status, applyingFor: status === 'approved' ? null : 2, documents, updatedAt: at, history: [{ status, tier: 2, at, by: null, note: 'Carried over from the earlier verification' }] };
+}
+
+function kycTier(user) { return KYC_TIERS[kycOf(user).tier]; }
+
+// What a tier still needs: documents never sent, plus any a reviewer asked for again.
+function missingDocuments(kyc, tier) {
+  return ((KYC_TIERS[tier] || {}).requires || []).filter(kind => (kind === 'phone' ? !kyc.phoneVerifiedAt : !kyc.documents[kind]) || kyc.requested.includes(kind));
+}
+
+// Moves a KYC record to `to`. Returns { kyc } or { error }; patch is what changes along with the status.
+function kycTransition(kyc, to, { by = null, note = '', at = nowISO(), patch = {} } = {}) {
+  if (!(KYC_TRANSITIONS[kyc.status] || []).includes(to)) return { error: `Cannot move verification from ${kyc.status.replace(/_/g, ' ')} to ${to.replace(/_/g, ' ')}` };
+  const text = String(note || '').trim();
+  if (KYC_NOTE_REQUIRED.includes(to) && !text) return { error: 'Add a note for the seller' };
+  const next = { ...kyc, ...patch, status: to, updatedAt: at };
+  return { kyc: { ...next, history: [...kyc.history, { status: to, tier: next.applyingFor ?? next.tier, at, by, note: text }] } };
+}
+
+// Why a document can't be sent as given, or null. fields: { idType, file, expiresOn, legalName,
+// dateOfBirth, nin, bvn } for government_id, { businessName, rcNumber, file } for cac.
+function kycDocumentProblem(kind, fields, today) {
+  if (!fields.file) return `Add a photo of your ${KYC_DOCUMENTS[kind].label}`;
+  if (kind === 'government_id') {
+    if (!ID_TYPES.includes(fields.idType)) return 'Choose the type of ID';
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(fields.expiresOn || '')) return 'Enter the expiry date printed on your ID';
+    if (fields.expiresOn <= today) return 'That ID has expired; use one that is still valid';
+    if (nameTokens(fields.legalName).length < 2) return 'Enter your full name as it appears on your ID';
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(fields.dateOfBirth || '') || fields.dateOfBirth >= today) return 'Enter your date of birth';
+    if (fields.idType === 'NIN slip' && !fields.nin) return 'Enter the NIN printed on your slip';
+    if (fields.nin && !NIN_PATTERN.test(fields.nin)) return 'A NIN is 11 digits';
+    if (fields.bvn && !BVN_PATTERN.test(fields.bvn)) return 'A BVN is 11 digits';
   }
+  if (kind === 'cac') {
+    if (!String(fields.businessName || '').trim()) return 'Enter the registered business name';
+    if (!/^(RC|BN)\s?\d{4,8}$/i.test(String(fields.rcNumber || '').trim())) return 'Enter the RC or BN number, e.g. RC 1234567';
+  }
+  return null;
+}
 
-  // --- Reviews ---
-  function addReview(listingId, rating, text) {
-    if (!currentUser) return { error: 'Login required' };
-    const r = { id: uid('r_'), listingId, userId: currentUser.id, rating: Number(rating), text, createdAt: nowISO() };
-    setData({ ...data, reviews: [r, ...data.reviews] });
-    return { ok: true };
+// Cases the clock should expire: [{ userId, note, patch }]. An expired ID drops the seller to the phone
+// tier until a new one is approved.
+function dueKycExpiries(users, now) {
+  const today = new Date(now).toISOString().slice(0, 10);
+  const due = [];
+  for (const u of users) {
+    const kyc = kycOf(u);
+    const id = kyc.documents.government_id;
+    if (kyc.status === 'approved' && kyc.tier >= 2 && id && id.expiresOn && id.expiresOn < today) {
+      due.push({ userId: u.id, note: `Government ID expired on ${id.expiresOn}`, patch: { tier: kyc.phoneVerifiedAt ? 1 : 0, applyingFor: 2, requested: ['government_id'] } });
+    } else if (kyc.status === 'needs_more_info' && now - new Date(kyc.updatedAt).getTime() > KYC_INFO_DAYS * 86400000) {
+      due.push({ userId: u.id, note: `No reply within ${KYC_INFO_DAYS} days`, patch: {} });
+    }
   }
+  return due;
+}
 
-  // --- Helpers / derived data ---
-  const listings = useMemo(() => data.listings || [], [data.listings]);
-  const users = data.users || [];
+// Listing limits per tier, checked when a listing is created or edited. Limits only bite on a change
+// that goes past them, so listings from before the limits stay as they are.
+function priceLimitProblem(seller, listing) {
+  const t = kycTier(seller);
+  const top = Math.max(Number(listing.price) || 0, ...(listing.variants || []).map(v => Number(v.price) || 0));
+  if (t.maxListingPrice === null || top <= t.maxListingPrice) return null;
+  return `${t.label} sellers can list items up to NGN ${t.maxListingPrice.toLocaleString()}. Verify to raise the limit.`;
+}
 
-  function sellerOf(listing) { return users.find(u => u.id === listing.sellerId) || { name: 'Unknown' }; }
+function activeLimitProblem(seller, listings, exceptId) {
+  const t = kycTier(seller);
+  const active = listings.filter(l => l.sellerId === seller.id && l.active && l.id !== exceptId).length;
+  if (t.maxActiveListings === null || active < t.maxActiveListings) return null;
+  return `${t.label} sellers can have ${t.maxActiveListings} active listings. Verify to raise the limit.`;
+}
 
-  // --- Import / Export ---
-  function exportJSON() {
-    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url; a.download = 'marketmate_export.json'; a.click(); URL.revokeObjectURL(url);
-  }
+function tierLimitsText(t) {
+  return [
+    t.maxActiveListings === null ? 'unlimited listings' : `up to ${t.maxActiveListings} active listings`,
+    t.maxListingPrice === null ? 'any price' : `items up to NGN ${t.maxListingPrice.toLocaleString()}`,
+    t.dailyPayout ? `withdraw up to NGN ${t.dailyPayout.toLocaleString()} a day` : 'no withdrawals',
+  ].join(' • ');
+}
 
-  function importJSON(file) {
-    const reader = new FileReader();
-    reader.onload = () => {
-      try {
-        const parsed = JSON.parse(reader.result);
-        setData(prev => ({ ...parsed, users: [...(parsed.users||[]), ...(prev.users||[])] }));
-        alert('Imported data — merged with existing state');
-      } catch (e) { alert('Failed to import: ' + e.message); }
-    };
-    reader.readAsText(file);
+// --- Identity checks (mirrors src/services/identity/) ---
+// A provider looks up the person registered to a BVN or NIN, and compareIdentity scores that record
+// against the name and date of birth the seller gave. Reviewers see the score next to the documents.
+// Only the scores are kept, never the provider's record. The demo ships just the mock provider.
+const NIN_PATTERN = /^\d{11}$/;
+const IDENTITY_MATCH_AT = 0.85; // confidence at or above which a check is a 'match'
+const IDENTITY_PARTIAL_AT = 0.5; // below this it is 'no_match'
+const IDENTITY_STATUSES = {
+  match: { label: 'Match', className: 'text-green-700' },
+  partial: { label: 'Partial match', className: 'text-yellow-700' },
+  no_match: { label: 'No match', className: 'text-red-700' },
+  not_found: { label: 'Number not found', className: 'text-red-700' },
+  error: { label: 'Check failed', className: 'text-gray-600' },
+};
+
+function nameTokens(name) {
+  return String(name || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').split(/[^a-z]+/).filter(Boolean);
+}
+
+// 0..1. Word order doesn't matter, and leaving out a middle name costs nothing; a single name against
+// a full one scores at most half.
+function nameScore(claimed, recorded) {
+  const a = nameTokens(claimed), b = nameTokens(recorded);
+  if (!a.length || !b.length) return 0;
+  const similarity = (x, y) => { const len = Math.max(x.length, y.length); return 1 - editDistance(x, y, len) / len; };
+  const total = a.reduce((sum, x) => sum + Math.max(...b.map(y => similarity(x, y))), 0);
+  return total / Math.max(a.length, Math.min(b.length, 2));
+}
+
+function phoneDigits(phone) { return String(phone || '').replace(/\D/g, '').slice(-10); }
+
+// claimed: { name, dateOfBirth, phone }; record: the provider's { firstName, middleName, lastName,
+// dateOfBirth, phone }. Returns { status, confidence, fields }; phone is null when either side lacks one.
+function compareIdentity(claimed, record) {
+  const name = Math.round(nameScore(claimed.name, [record.firstName, record.middleName, record.lastName].join(' ')) * 100) / 100;
+  const dateOfBirth = !!claimed.dateOfBirth && claimed.dateOfBirth === record.dateOfBirth;
+  const phone = claimed.phone && record.phone ? phoneDigits(claimed.phone) === phoneDigits(record.phone) : null;
+  const parts = [[name, 0.6], [dateOfBirth ? 1 : 0, 0.3], ...(phone === null ? [] : [[phone ? 1 : 0, 0.1]])];
+  const confidence = Math.round(parts.reduce((s, [v, w]) => s + v * w, 0) / parts.reduce((s, [, w]) => s + w, 0) * 100) / 100;
+  const status = confidence >= IDENTITY_MATCH_AT && dateOfBirth && name >= 0.8 ? 'match' : confidence >= IDENTITY_PARTIAL_AT ? 'partial' : 'no_match';
+  return { status, confidence, fields: { name, dateOfBirth, phone } };
+}
+
+// Deterministic stand-in for a BVN/NIN provider (mirrors src/services/identity/mock.js). The numbers in
+// MOCK_IDENTITIES return their person; numbers starting 000 are not found; numbers ending 999 act as
+// if the provider is down. Any other number gets a made-up person built from its digits.
+const MOCK_IDENTITIES = {
+  '22222222222': { firstName: 'Adaeze', middleName: 'Chioma', lastName: 'Okafor', dateOfBirth: '1990-04-12', phone: '08031234567' },
+  '12345678901': { firstName: 'Musa', middleName: '', lastName: 'Ibrahim', dateOfBirth: '1985-11-02', phone: '08059876543' },
+};
+const MOCK_FIRST_NAMES = ['Chinedu', 'Aisha', 'Tunde', 'Ngozi', 'Emeka', 'Funke', 'Ibrahim', 'Kemi', 'Obinna', 'Zainab'];
+const MOCK_LAST_NAMES = ['Adeyemi', 'Bello', 'Eze', 'Okonkwo', 'Balogun', 'Nwosu', 'Abubakar', 'Oyelaran', 'Danjuma', 'Igwe'];
+
+const mockIdentityProvider = {
+  name: 'mock',
+  lookup(number) {
+    if (number.endsWith('999')) return { error: 'Identity provider unavailable' };
+    if (number.startsWith('000')) return { found: false };
+    const reference = `mock_${number.slice(-4)}`;
+    if (MOCK_IDENTITIES[number]) return { found: true, record: MOCK_IDENTITIES[number], reference };
+    const d = [...number].map(Number);
+    const pair = i => d[i] * 10 + d[i + 1];
+    const pad = n => String(n).padStart(2, '0');
+    return { found: true, reference, record: {
+      firstName: MOCK_FIRST_NAMES[pair(0) % 10], middleName: '', lastName: MOCK_LAST_NAMES[pair(2) % 10],
+      dateOfBirth: `19${60 + pair(4) % 40}-${pad(1 + pair(6) % 12)}-${pad(1 + pair(8) % 28)}`, phone: null,
+    } };
+  },
+  async lookupBvn(bvn) { return this.lookup(bvn); },
+  async lookupNin(nin) { return this.lookup(nin); },
+  async matchPerson(claimed, record) { return compareIdentity(claimed, record); },
+};
+
+// numbers: { bvn, nin }, either may be empty. Returns one check per number given:
+// { kind, provider, status, confidence, fields, reference, message, checkedAt }. A provider that throws
+// or is down gives status 'error' rather than failing the submission.
+async function runIdentityChecks(numbers, claimed, provider = mockIdentityProvider) {
+  const checks = [];
+  for (const [kind, number] of Object.entries(numbers)) {
+    if (!number) continue;
+    const base = { kind, provider: provider.name, checkedAt: nowISO() };
+    let found;
+    try { found = await (kind === 'bvn' ? provider.lookupBvn(number) : provider.lookupNin(number)); } catch (e) { found = { error: e.message }; }
+    if (found.error) checks.push({ ...base, status: 'error', confidence: null, message: found.error });
+    else if (!found.found) checks.push({ ...base, status: 'not_found', confidence: 0 });
+    else checks.push({ ...base, ...(await provider.matchPerson(claimed, found.record)), reference: found.reference });
   }
+  return checks;
+}
 
-  // --- UI small components ---
-  function SellerBadge({ user }) {
-    return (
-      <span className={`text-xs px-2 py-0.5 rounded-full ${user?.verified ? 'bg-green-100 text-green-800' : 'bg-yellow-100 text-yellow-800'}`}>
-        {user?.verified ? 'Verified Seller' : (user?.verificationRequest ? 'Verifying...' : 'Unverified')}
-      </span>
-    );
+// --- Search (mirrors GET /api/listings) ---
+const PAGE_SIZE = 12;
+const PRICE_BUCKETS = [
+  { key: 'under_5k', label: 'Under NGN 5,000', min: 0, max: 5000 },
+  { key: '5k_20k', label: 'NGN 5,000 – 20,000', min: 5000, max: 20000 },
+  { key: '20k_100k', label: 'NGN 20,000 – 100,000', min: 20000, max: 100000 },
+  { key: '100k_500k', label: 'NGN 100,000 – 500,000', min: 100000, max: 500000 },
+  { key: 'over_500k', label: 'Over NGN 500,000', min: 500000, max: null },
+];
+const SEARCH_FIELDS = [['title', 3], ['category', 2], ['description', 1]]; // field, weight
+
+// Plural and simple suffix folding, so "phones" finds "phone" and "batteries" finds "battery".
+function stem(word) {
+  if (word.length < 4) return word;
+  if (word.endsWith('ies')) return word.slice(0, -3) + 'y';
+  if (/(ss|x|z|ch|sh)es$/.test(word)) return word.slice(0, -2);
+  if (word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  return word;
+}
+
+function searchTokens(text) {
+  return (String(text || '').toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '').match(/[a-z0-9]+/g) || []).map(stem);
+}
+
+// Levenshtein distance, giving up (returning max + 1) once it cannot be within max.
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    if (Math.min(...row) > max) return max + 1;
+    prev = row;
   }
+  return prev[b.length];
+}
 
-  // --- Browse view ---
-  function Browse() {
-    const filtered = listings.filter(l => {
-      if (!l.active) return false;
-      if (filters.state !== 'All' && l.state !== filters.state) return false;
-      if (filters.category !== 'All' && l.category !== filters.category) return false;
-      if (filters.q) {
-        const q = filters.q.toLowerCase();
-        if (!(l.title.toLowerCase().includes(q) || l.description.toLowerCase().includes(q))) return false;
+// Typos allowed per word: none for short words, where they would match too much.
+function typoBudget(term) { return term.length < 4 ? 0 : term.length < 7 ? 1 : 2; }
+
+// Relevance of one listing, or null when some query term matches nothing. Exact words score
+// fully, prefixes ("sams" while typing) half and typos less, weighted by field.
+// seen collects which terms matched as typed and which only through a typo (term -> catalogue word).
+function relevance(listing, terms, seen) {
+  let score = 0;
+  for (const term of terms) {
+    let best = 0;
+    for (const [field, weight] of SEARCH_FIELDS) {
+      for (const word of searchTokens(listing[field])) {
+        let match = 0;
+        if (word === term) match = 1;
+        else if (term.length >= 3 && word.startsWith(term)) match = 0.5;
+        else if (editDistance(word, term, typoBudget(term)) <= typoBudget(term)) match = 0.4;
+        if (match >= 0.5) seen.exact.add(term);
+        else if (match && !seen.fixes[term]) seen.fixes[term] = word;
+        best = Math.max(best, match * weight);
       }
-      if (filters.delivery !== 'any' && filters.delivery !== l.delivery) return false;
-      return true;
-    }).sort((a,b) => {
-      if (filters.sort === 'price_asc') return a.price - b.price;
-      if (filters.sort === 'price_desc') return b.price - a.price;
-      if (filters.sort === 'newest') return new Date(b.createdAt) - new Date(a.createdAt);
-      return 0;
-    });
+    }
+    if (best === 0) return null;
+    score += best;
+  }
+  return score;
+}
 
-    const categories = ['All', ...Array.from(new Set(listings.map(l => l.category)))];
+function priceBucket(price) {
+  return PRICE_BUCKETS.find(b => price >= b.min && (b.max === null || price < b.max)).key;
+}
 
-    return (
-      <div>
-        <div className="flex gap-2 items-center mb-4">
-          <input value={filters.q} onChange={e => setFilters({...filters, q: e.target.value})} placeholder="Search products, e.g. rice, phone" className="flex-1 p-2 border rounded" />
-          <select value={filters.state} onChange={e => setFilters({...filters, state: e.target.value})} className="p-2 border rounded">
-            <option>All</option>
-            {STATES.map(s => <option key={s}>{s}</option>)}
-          </select>
-          <select value={filters.category} onChange={e => setFilters({...filters, category: e.target.value})} className="p-2 border rounded">
-            {categories.map(c => <option key={c}>{c}</option>)}
-          </select>
-          <select value={filters.delivery} onChange={e => setFilters({...filters, delivery: e.target.value})} className="p-2 border rounded">
-            <option value="any">Any</option>
-            <option value="pickup">Pickup</option>
-            <option value="delivery">Delivery</option>
-          </select>
-          <select value={filters.sort} onChange={e => setFilters({...filters, sort: e.target.value})} className="p-2 border rounded">
-            <option value="newest">Newest</option>
-            <option value="price_asc">Price: Low → High</option>
-            <option value="price_desc">Price: High → Low</option>
-          </select>
-        </div>
+// Search with facet counts. Each facet counts the results with every other filter applied but its
+// own, so picking "Lagos" still shows how many hits the other states have.
+// distances: listing id -> km from the chosen origin (see Browse), or null when searching anywhere.
+function searchListings(listings, f, distances) {
+  const terms = searchTokens(f.q);
+  const seen = { exact: new Set(), fixes: {} };
+  const scored = [];
+  for (const l of listings) {
+    if (!l.active || Number(l.qty) <= 0) continue; // sold out until restocked
+    if (distances && f.radiusKm && !(distances[l.id] <= f.radiusKm)) continue;
+    const score = terms.length ? relevance(l, terms, seen) : 0;
+    if (score !== null) scored.push({ listing: l, score, distanceKm: distances ? distances[l.id] : null });
+  }
+  const passes = (h, except) => {
+    const l = h.listing;
+    if (except !== 'state' && f.state !== 'All' && (l.state !== f.state || (f.lga && l.lga !== f.lga))) return false;
+    // a category includes its subcategories: Electronics finds Phones
+    if (except !== 'category' && f.category !== 'All' && !(l.categoryPath || []).includes(f.category)) return false;
+    if (!attributesMatch(l.attributes, f.attrs)) return false;
+    if (except !== 'delivery' && f.delivery !== 'any' && l.delivery !== f.delivery) return false;
+    if (except !== 'price' && f.price && priceBucket(Number(l.price)) !== f.price) return false;
+    return true;
+  };
+  // keyOf may return several keys: a listing counts toward each category on its path
+  const count = (facet, keyOf) => scored.filter(h => passes(h, facet)).reduce((acc, h) => {
+    for (const k of [].concat(keyOf(h.listing))) acc[k] = (acc[k] || 0) + 1;
+    return acc;
+  }, {});
+  const facets = {
+    category: count('category', l => l.categoryPath || []),
+    state: count('state', l => l.state),
+    delivery: count('delivery', l => l.delivery),
+    price: count('price', l => priceBucket(Number(l.price))),
+  };
 
-        <div className="grid sm:grid-cols-2 lg:grid-cols-3 gap-4">
-          {filtered.length === 0 && <div className="p-6 bg-white rounded shadow text-center">No items found. Try changing filters or create the first listing.</div>}
-          {filtered.map(l => (
-            <div key={l.id} className="bg-white rounded p-4 shadow flex flex-col">
-              <div className="flex gap-3">
+  const sort = f.sort === 'relevance' && !terms.length ? 'newest' : f.sort;
+  const hits = scored.filter(h => passes(h)).sort((a, b) => {
+    if (sort === 'relevance') return b.score - a.score || new Date(b.listing.createdAt) - new Date(a.listing.createdAt);
+    if (sort === 'price_asc') return a.listing.price - b.listing.price;
+    if (sort === 'price_desc') return b.listing.price - a.listing.price;
+    if (sort === 'nearest' && distances) return a.distanceKm - b.distanceKm;
+    return new Date(b.listing.createdAt) - new Date(a.listing.createdAt);
+  });
+  // Only terms that matched nothing as typed count as typos
+  const fixes = Object.fromEntries(Object.entries(seen.fixes).filter(([term]) => !seen.exact.has(term)));
+  const corrected = Object.keys(fixes).length ? f.q.toLowerCase().split(/\s+/).map(w => fixes[stem(w)] || w).join(' ') : null;
+  return { hits, total: hits.length, facets, corrected };
+}
+
+// One page of hits after the cursor (the last listing id of the previous page).
+function pageAfter(hits, cursor, size = PAGE_SIZE) {
+  const start = cursor ? hits.findIndex(h => h.listing.id === cursor) + 1 : 0;
+  const items = hits.slice(start, start + size);
+  return { items, nextCursor: start + size < hits.length ? items[items.length - 1].listing.id : null };
+}
+
+// Where distances are measured from: the browser's position (or the one saved with a search), or a chosen place.
+function searchOrigin(f, myPosition) {
+  if (f.near === 'me') return f.point || myPosition;
+  if (f.near === 'place') return placeCoords(f.nearState, f.nearLga);
+  return null;
+}
+
+// listing id -> km from origin; listings with no known place are infinitely far.
+function distancesFrom(origin, listings) {
+  return Object.fromEntries(listings.map(l => {
+    const c = listingCoords(l);
+    return [l.id, c ? distanceKm(origin, c) : Infinity];
+  }));
+}
+
+// --- Saved searches & alerts (mirrors /api/me/searches and the digest job) ---
+const MAX_SAVED_SEARCHES = 20;
+const ALERT_FREQUENCIES = [
+  { key: 'instant', label: 'Instantly' },
+  { key: 'daily', label: 'Daily digest' },
+  { key: 'weekly', label: 'Weekly digest' },
+  { key: 'never', label: 'In-app only' },
+];
+const DIGEST_PERIOD_MS = { daily: 24 * 3600000, weekly: 7 * 24 * 3600000 };
+
+// The filters worth keeping: a "near me" search keeps the position it was saved at,
+// because alerts are matched long after the browser stops sharing it.
+function savedFilters(f, myPosition) {
+  return { ...f, point: f.near === 'me' ? (f.point || myPosition) : null };
+}
+
+// Default name for a saved search, e.g. "Cars in Lagos, Toyota, under NGN 5,000".
+function describeSearch(f, categories = []) {
+  const where = f.near ? `within ${f.radiusKm ? `${f.radiusKm} km` : 'any distance'} of ${f.near === 'me' ? 'my location' : f.nearLga || f.nearState}`
+    : f.state !== 'All' ? `in ${f.lga || f.state}` : '';
+  const bucket = PRICE_BUCKETS.find(b => b.key === f.price);
+  const parts = [f.q.trim() || (f.category !== 'All' ? (categoryById(categories, f.category) || { name: f.category }).name : 'Anything'), where].filter(Boolean).join(' ');
+  const picked = Object.values(f.attrs || {}).filter(v => typeof v === 'string' && v); // select values such as "Toyota"
+  return [parts, ...picked, bucket && bucket.label.replace(/^Under/, 'under').replace(/^Over/, 'over'), f.delivery === 'delivery' && 'with delivery']
+    .filter(Boolean).join(', ');
+}
+
+// Whether a new listing would show up in a saved search's results.
+function savedSearchMatches(search, listing) {
+  const origin = searchOrigin(search.filters, null);
+  if (search.filters.near && !origin) return false;
+  return searchListings([listing], search.filters, origin ? distancesFrom(origin, [listing]) : null).total > 0;
+}
+
+// Demo stand-in for the email/SMS senders: one message per channel, covering every search in the batch.
+// groups: [{ search, listings }]
+function deliverAlerts(user, groups) {
+  const summary = g => `${g.search.name}: ${g.listings.map(l => `${l.title} (NGN ${Number(l.price).toLocaleString()})`).join(', ')}`;
+  const byEmail = groups.filter(g => g.search.email);
+  const bySms = groups.filter(g => g.search.sms);
+  const count = gs => gs.reduce((n, g) => n + g.listings.length, 0);
+  if (byEmail.length && user.email) console.info(`email to ${user.email}: ${count(byEmail)} new listing(s) for your saved searches\n${byEmail.map(summary).join('\n')}`);
+  if (bySms.length && user.phone) console.info(`SMS to ${user.phone}: MarketMate: ${count(bySms)} new listing(s) for "${bySms[0].search.name}"${bySms.length > 1 ? ` and ${bySms.length - 1} more` : ''}`);
+}
+
+// Daily and weekly searches that are due, with the alerts not yet sent: [{ user, groups: [{ search, alerts, listings }] }].
+// A search is sent at most once per period (the first batch straight away); one with nothing new waits until something matches.
+function dueDigests(state, now) {
+  const due = [];
+  for (const [userId, searches] of Object.entries(state.savedSearches || {})) {
+    const user = state.users.find(u => u.id === userId);
+    const pending = ((state.alerts || {})[userId] || []).filter(a => !a.digestedAt);
+    const groups = searches
+      .filter(s => DIGEST_PERIOD_MS[s.frequency] && (s.email || s.sms) && (!s.lastDigestAt || now - new Date(s.lastDigestAt).getTime() >= DIGEST_PERIOD_MS[s.frequency]))
+      .map(s => {
+        const alerts = pending.filter(a => a.searchId === s.id);
+        return { search: s, alerts, listings: alerts.map(a => state.listings.find(l => l.id === a.listingId)).filter(Boolean) };
+      })
+      .filter(g => g.listings.length);
+    if (user && groups.length) due.push({ user, groups });
+  }
+  return due;
+}
+
+// What buyers who saved a listing should hear about after an edit, or null: a lower price, or stock after selling out.
+function favouriteEvent(before, after) {
+  if (!after.active) return null;
+  if (Number(after.price) < Number(before.price)) return { type: 'price_drop', oldPrice: Number(before.price), price: Number(after.price) };
+  if (Number(before.qty) <= 0 && Number(after.qty) > 0) return { type: 'back_in_stock', qty: Number(after.qty) };
+  return null;
+}
+
+// --- Messages (mirrors src/services/messages.js) ---
+// One conversation per listing and buyer: { id, listingId, buyerId, sellerId, messages, lastReadAt,
+// report, createdAt, updatedAt, lastMessageAt }. A message is { id, senderId, text, image, flags,
+// createdAt }, plus support: true from a moderator, system: true for notices, hiddenAt once removed.
+// Support and admins can read a conversation only after one side reports it.
+const MAX_MESSAGE_LENGTH = 2000;
+const REPORT_REASONS = ['Asked to pay or chat outside MarketMate', 'Scam or fake item', 'Abusive or threatening', 'Problem with an order', 'Other'];
+
+// What usually means someone is taking the deal off the platform. Flagged messages are still delivered;
+// the other side sees a warning under them.
+const OFF_PLATFORM_PATTERNS = [
+  ['phone', /(?:\+?234|\b0)[789][01](?:[\s-]?\d){8}\b/],
+  ['link', /\bhttps?:\/\/|\bwww\.|\bwa\.me\/|\bt\.me\//i],
+  ['chat_app', /\bwhats\s?app\b|\btelegram\b|\bsignal\b/i],
+  ['bank', /\bacc(?:oun)?t\.?\s*(?:no|num|number)\b|\btransfer\s+(?:it\s+)?to\b|\bpay\s+(?:in)?to\s+my\b/i],
+];
+const FLAG_WARNINGS = {
+  phone: 'shares a phone number',
+  link: 'contains a link',
+  chat_app: 'mentions another chat app',
+  bank: 'asks for a bank transfer',
+};
+
+function messageFlags(text) {
+  return OFF_PLATFORM_PATTERNS.filter(([, pattern]) => pattern.test(text)).map(([flag]) => flag);
+}
+
+// Messages from the other side (and support) newer than the user's last read; notices don't count.
+function unreadCount(conversation, userId) {
+  const readAt = (conversation.lastReadAt || {})[userId] || '';
+  return conversation.messages.filter(m => m.senderId !== userId && !m.system && m.createdAt > readAt).length;
+}
+
+// Another tab's copy of the conversations (the demo's stand-in for message:new over Socket.io): the
+// messages of both, read marks and the report from whichever copy changed last.
+function mergeConversations(mine = [], theirs = []) {
+  const byId = new Map(mine.map(c => [c.id, c]));
+  for (const c of theirs) {
+    const m = byId.get(c.id);
+    if (!m) { byId.set(c.id, c); continue; }
+    const newer = c.updatedAt > m.updatedAt ? c : m;
+    const messages = new Map();
+    for (const x of [...m.messages, ...c.messages]) {
+      const seen = messages.get(x.id);
+      if (!seen || (x.hiddenAt && !seen.hiddenAt)) messages.set(x.id, x); // once removed, a message stays removed
+    }
+    const lastReadAt = { ...m.lastReadAt };
+    for (const [userId, at] of Object.entries(c.lastReadAt || {})) if (!lastReadAt[userId] || at > lastReadAt[userId]) lastReadAt[userId] = at;
+    byId.set(c.id, { ...newer, lastReadAt, messages: [...messages.values()].sort((a, b) => a.createdAt.localeCompare(b.createdAt)) });
+  }
+  return [...byId.values()];
+}
+
+// Order lifecycle: each status lists the statuses an order may move to next.
+const ORDER_TRANSITIONS = {
+  pending_payment: ['paid', 'cancelled'],
+  paid: ['shipped', 'cancelled'],
+  shipped: ['delivered'],
+  delivered: ['completed'],
+  completed: [],
+  cancelled: [],
+};
+
+// Pay on Delivery orders ship before they are paid. The seller (or rider) records the cash
+// by entering the buyer's delivery code, which moves the order to paid and then delivered.
+const COD_TRANSITIONS = {
+  pending_payment: ['shipped', 'cancelled'],
+  shipped: ['paid', 'cancelled'],
+  paid: ['delivered'],
+  delivered: ['completed'],
+  completed: [],
+  cancelled: [],
+};
+
+function transitionsFor(order) { return order.paymentMode === 'cod' ? COD_TRANSITIONS : ORDER_TRANSITIONS; }
+
+// Who takes each step by hand (ACTIONS in the server's routes/orders.js). Payment is recorded by the
+// payment provider or the delivery code, never as a step.
+const ORDER_STEP_PARTY = { shipped: 'seller', delivered: 'seller', completed: 'buyer', cancelled: 'either' };
+
+// Whoever holds the parcel gets 5 tries at the delivery code; then the buyer has to get a new one.
+const DELIVERY_CODE_ATTEMPTS = 5;
+const newDeliveryCode = () => String(Math.floor(100000 + Math.random() * 900000));
+
+// settings: { enabled, maxOrderValue, states }. A seller with no settings accepts COD everywhere.
+function codAllowed(settings, shipTo, total) {
+  if (!settings) return { ok: true };
+  if (!settings.enabled) return { error: 'does not offer Pay on Delivery' };
+  if (settings.maxOrderValue && total > settings.maxOrderValue) return { error: `only accepts Pay on Delivery up to NGN ${Number(settings.maxOrderValue).toLocaleString()}` };
+  if ((settings.states || []).length && !settings.states.includes(shipTo.state)) return { error: `does not offer Pay on Delivery to ${shipTo.state}` };
+  return { ok: true };
+}
+
+// Fees (NGN) for sellers who have not set up delivery zones, by distance from the listing's location.
+const DEFAULT_DELIVERY_FEES = {
+  sameLga: { fee: 1000, days: 1 },
+  sameState: { fee: 2500, days: 2 },
+  interstate: { fee: 5000, days: 5 },
+};
+
+// A shipment moves through these in order; 'delivered' is recorded together with the order status.
+const SHIPMENT_STEPS = ['booked', 'picked_up', 'in_transit', 'out_for_delivery', 'delivered'];
+
+// zones: the seller's [{ id, state, lga, fee, days }]. A zone with an LGA beats a state-wide zone.
+// Returns { fee, days } or { error } when the seller has zones but none covers shipTo.
+function deliveryQuote(zones, listing, shipTo) {
+  if (listing.delivery !== 'delivery') return { fee: 0, days: 0, pickup: true };
+  const same = (a, b) => String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+  if (!zones || zones.length === 0) {
+    if (!same(listing.state, shipTo.state)) return DEFAULT_DELIVERY_FEES.interstate;
+    return listing.lga && same(listing.lga, shipTo.lga) ? DEFAULT_DELIVERY_FEES.sameLga : DEFAULT_DELIVERY_FEES.sameState;
+  }
+  const zone = zones.find(z => z.lga && same(z.state, shipTo.state) && same(z.lga, shipTo.lga))
+    || zones.find(z => !z.lga && same(z.state, shipTo.state));
+  if (!zone) return { error: `does not deliver to ${shipTo.lga ? `${shipTo.lga}, ` : ''}${shipTo.state}` };
+  return { fee: Number(zone.fee), days: Number(zone.days) || 0 };
+}
+
+// One parcel per seller order: the order pays the dearest line's fee, and pickup-only orders pay nothing.
+function orderShipping(zones, listings, shipTo) {
+  const quotes = listings.map(l => deliveryQuote(zones, l, shipTo));
+  const failed = quotes.find(q => q.error);
+  if (failed) return failed;
+  const delivered = quotes.filter(q => !q.pickup);
+  if (delivered.length === 0) return { fulfilment: 'pickup', fee: 0, days: 0 };
+  return { fulfilment: 'delivery', fee: Math.max(...delivered.map(q => q.fee)), days: Math.max(...delivered.map(q => q.days)) };
+}
+
+// Password rules (mirrors the server's services/passwords.js).
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_LOGIN_ATTEMPTS = 5;
+const LOCKOUT_MINUTES = 15;
+const RESET_CODE_MINUTES = 15;
+
+// Sessions idle for longer than this are treated as signed out (the server's refresh token lifetime).
+const SESSION_IDLE_DAYS = 30;
+
+function sessionActive(session) {
+  return !!session && !session.revokedAt && Date.now() - new Date(session.lastSeenAt).getTime() < SESSION_IDLE_DAYS * 86400000;
+}
+
+function randomHex(bytes = 16) {
+  return Array.from(crypto.getRandomValues(new Uint8Array(bytes)), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// PBKDF2-SHA256 through Web Crypto. The server uses bcrypt; the browser has no bcrypt without a dependency.
+async function hashSecret(secret, salt = randomHex()) {
+  const enc = new TextEncoder();
+  const key = await crypto.subtle.importKey('raw', enc.encode(secret), 'PBKDF2', false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', salt: enc.encode(salt), iterations: 100000, hash: 'SHA-256' }, key, 256);
+  return { salt, hash: Array.from(new Uint8Array(bits), b => b.toString(16).padStart(2, '0')).join('') };
+}
+
+async function secretMatches(secret, stored) {
+  if (!stored || !stored.hash) return false;
+  return (await hashSecret(secret, stored.salt)).hash === stored.hash;
+}
+
+function passwordProblem(password) {
+  if (!password || password.length < MIN_PASSWORD_LENGTH) return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  if (!/[a-zA-Z]/.test(password) || !/[0-9]/.test(password)) return 'Password must contain letters and numbers';
+  return null;
+}
+
+// --- Roles & permissions (same names as the server's services/permissions.js) ---
+// Each permission lists the roles that hold it and their scope: 'all' records, or only 'own' ones.
+const ROLES = ['buyer', 'seller', 'support', 'admin']; // support = customer support / moderator
+const PERMISSIONS = {
+  'listing:create': { seller: 'all', admin: 'all' },
+  'listing:update': { seller: 'own', support: 'all', admin: 'all' },
+  'listing:delete': { seller: 'own', support: 'all', admin: 'all' },
+  'verification:review': { support: 'all', admin: 'all' },
+  'verification:audit': { admin: 'all' },
+  'user:list': { support: 'all', admin: 'all' },
+  'user:assign_role': { admin: 'all' },
+  'session:revoke': { buyer: 'own', seller: 'own', support: 'all', admin: 'all' },
+  'seller:open': { buyer: 'own' },
+  'seller:settings': { seller: 'own' },
+  'category:manage': { admin: 'all' },
+  'order:read': { buyer: 'own', seller: 'own', support: 'all', admin: 'all' },
+  'order:update': { buyer: 'own', seller: 'own', admin: 'all' },
+  'conversation:read': { buyer: 'own', seller: 'own', support: 'own', admin: 'own' },
+  'conversation:moderate': { support: 'all', admin: 'all' }, // reported conversations only
+};
+// Who owns a record, per resource type (the part of the permission name before ':').
+const OWNERS = {
+  listing: l => [l.sellerId],
+  session: s => [s.userId],
+  order: o => [o.buyerId, o.sellerId, o.riderId],
+  conversation: c => [c.buyerId, c.sellerId],
+};
+
+// A misspelt permission throws, as on the server, rather than quietly denying everyone.
+function scopeOf(user, permission) {
+  const grants = PERMISSIONS[permission];
+  if (!grants) throw new Error(`Unknown permission: ${permission}`);
+  return (user && grants[user.role]) || null;
+}
+
+function can(user, permission, resource) {
+  const scope = scopeOf(user, permission);
+  if (!scope) return false;
+  if (scope === 'all' || !resource) return true;
+  return OWNERS[permission.split(':')[0]](resource).filter(Boolean).includes(user.id);
+}
+
+// --- Buyer & seller profiles ---
+// Every account is a buyer; "Start selling" adds a seller profile to the same account.
+const PAYMENT_PREFERENCES = ['online', 'cod'];
+const BANKS = [
+  { code: '044', name: 'Access Bank' }, { code: '011', name: 'First Bank' }, { code: '058', name: 'GTBank' },
+  { code: '50211', name: 'Kuda' }, { code: '50515', name: 'Moniepoint' }, { code: '999992', name: 'OPay' },
+  { code: '033', name: 'UBA' }, { code: '057', name: 'Zenith Bank' },
+];
+
+function addressProblem(a) {
+  if (!a || !a.recipient || !a.phone || !a.line1 || !a.state) return 'Recipient, phone, street address and state are required';
+  return locationProblem(a.state, a.lga);
+}
+
+function sellerProfileProblem(p) {
+  if (!p || !String(p.shopName || '').trim()) return 'Shop name is required';
+  const addr = p.businessAddress || {};
+  if (!addr.line1 || !STATES.includes(addr.state)) return 'Business address and state are required';
+  const place = locationProblem(addr.state, addr.lga);
+  if (place) return place;
+  const bank = p.bank || {};
+  if (!BANKS.some(b => b.code === bank.bankCode)) return 'Choose your bank';
+  if (!/^\d{10}$/.test(bank.accountNumber || '')) return 'Account number must be 10 digits (NUBAN)';
+  if (!String(bank.accountName || '').trim()) return 'Account name is required';
+  if (String(p.description || '').length > 500) return 'Shop description is limited to 500 characters';
+  return null;
+}
+
+function slugify(text) {
+  return String(text || '').toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '').replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40) || 'shop';
+}
+
+// Shareable storefront link; the demo has no router, so shops live under the URL hash.
+function shopLink(slug) {
+  return `${window.location.origin}${window.location.pathname}#/shop/${slug}`;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function formatDuration(ms) {
+  const hours = ms / 3600000;
+  if (hours < 1) return `${Math.max(1, Math.round(ms / 60000))} min`;
+  if (hours < 48) return `${Math.round(hours)} h`;
+  return `${Math.round(hours / 24)} days`;
+}
+
+// Public storefront numbers. Response time is the median time from an order needing the seller
+// (paid, or placed for Pay on Delivery) to the seller shipping or cancelling it.
+function shopStats(sellerId, { listings, reviews, orders }) {
+  const listingIds = new Set(listings.filter(l => l.sellerId === sellerId).map(l => l.id));
+  const ratings = reviews.filter(r => listingIds.has(r.listingId)).map(r => Number(r.rating));
+  const sellerOrders = orders.filter(o => o.sellerId === sellerId);
+  const responses = sellerOrders.map(o => {
+    const history = o.history || [];
+    const start = history.find(e => e.status === (o.paymentMode === 'cod' ? 'pending_payment' : 'paid'));
+    const reply = history.find(e => ['shipped', 'cancelled'].includes(e.status) && e.by === sellerId);
+    return start && reply ? new Date(reply.at) - new Date(start.at) : null;
+  }).filter(ms => ms !== null && ms >= 0);
+  return {
+    rating: ratings.length ? ratings.reduce((a, b) => a + b, 0) / ratings.length : null,
+    ratingCount: ratings.length,
+    completedSales: sellerOrders.filter(o => o.status === 'completed').length,
+    responseMs: responses.length ? median(responses) : null,
+  };
+}
+
+function maskAccount(accountNumber) {
+  return `••••${String(accountNumber || '').slice(-4)}`;
+}
+
+// Accounts created before profiles existed have none yet.
+function buyerProfileOf(user) {
+  return (user && user.buyerProfile) || { addresses: [], paymentMode: 'online' };
+}
+
+// Listings and carts show the shop name once the seller has set one.
+function shopNameOf(seller) {
+  return (seller && seller.sellerProfile && seller.sellerProfile.shopName) || (seller ? seller.name : 'Unknown');
+}
+
+function uid(prefix = "") {
+  return prefix + Math.random().toString(36).slice(2, 9);
+}
+
+function nowISO() { return new Date().toISOString(); }
+
+function readStorage() {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    if (!raw) return null;
+    return JSON.parse(raw);
+  } catch (e) { return null; }
+}
+
+function saveStorage(state) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+}
+
+const sample = () => ({
+  users: [
+    { id: 'admin', name: 'MarketMate Admin', email: 'admin@marketmate.local', role: 'admin', verified: true }
+  ],
+  sessions: {}, // sessionId -> { id, userId, device, createdAt, lastSeenAt, revokedAt }
+  credentials: {}, // userId -> { salt, hash, failedAttempts, lockedUntil, reset: { salt, hash, expires } }
+  listings: [],
+  reviews: [],
+  carts: {}, // userId -> [{ listingId, variantId, qty }]; variantId is null for listings without variants
+  orders: [],
+  ledger: [], // escrow journal rows, see escrowRows()
+  codSettings: {}, // sellerId -> { enabled, maxOrderValue, states }
+  deliveryZones: {}, // sellerId -> [{ id, state, lga, fee, days }]
+  follows: {}, // userId -> [sellerId]
+  savedSearches: {}, // userId -> [{ id, name, filters, frequency, email, sms, createdAt, lastDigestAt }]
+  alerts: {}, // userId -> [{ id, type, listingId, createdAt, readAt, ... }], see alertsForListing and favouriteAlerts
+  favourites: {}, // userId -> [{ listingId, priceAtSave, createdAt }]
+  stockMovements: [], // newest first, see movementsFor
+  documentAccess: [], // newest first: { id, documentId, userId, viewerId, createdAt, expiresAt }; never exported
+  conversations: [], // see the Messages section
+  categories: DEFAULT_CATEGORIES, // [{ id, name, parentId, aliases, attributes, archived }]
+});
+
+export default function MarketMateApp() {
+  const [data, setData] = useState(() => cleanListingCategories(cleanListingLocations(readStorage() || sample())));
+  const [currentUser, setCurrentUser] = useState(null);
+  const [sessionId, setSessionId] = useState(null);
+  const [view, setView] = useState('browse'); // browse | create | dashboard | verify | admin | cart | orders | account | searches | shop | inbox
+  const [openConversationId, setOpenConversationId] = useState(null); // thread shown in the inbox
+  const drafts = useRef({ values: {}, listeners: {} }); // form state of the views below, see useDraft
+  const [shopKey, setShopKey] = useState(null); // slug (or seller id for shops without a profile) shown in the 'shop' view
+  // near: '' (anywhere) | 'me' (browser location) | 'place' (nearState/nearLga); radiusKm: '' means any distance
+  // sort 'relevance' means newest first until there is a search term
+  // category is a category id; attrs filters on its attributes, e.g. { make: 'Toyota', year: { min: 2010, max: '' } }
+  const [filters, setFilters] = useState({ q: '', state: 'All', lga: '', category: 'All', attrs: {}, delivery: 'any', price: '', sort: 'relevance', near: '', nearState: 'Lagos', nearLga: '', radiusKm: 25 });
+  const [myPosition, setMyPosition] = useState(null); // { lat, lng } once the browser shares it
+  const [browsePages, setBrowsePages] = useState(1); // pages of results loaded by infinite scroll
+
+  useEffect(() => setBrowsePages(1), [filters]);
+
+  useEffect(() => saveStorage(data), [data]);
+
+  // Messages sent from another tab (someone else signed in there) arrive through the storage event,
+  // standing in for message:new over Socket.io. That tab's save is the newest state, so it is taken
+  // whole (new accounts, orders, sessions…) and this tab's conversations are merged into it. Merged
+  // onto theirs, unchanged conversations come out identical, so the save that follows writes the same
+  // string and fires no event back.
+  useEffect(() => {
+    function onStorage(e) {
+      if (e.key !== STORAGE_KEY || !e.newValue) return;
+      const theirs = JSON.parse(e.newValue);
+      setData(prev => JSON.stringify(prev) === e.newValue ? prev : { ...theirs, conversations: mergeConversations(theirs.conversations, prev.conversations) });
+    }
+    window.addEventListener('storage', onStorage);
+    return () => window.removeEventListener('storage', onStorage);
+  }, []);
+
+  // Alert digests, expired reservations and KYC expiry. The server runs these from timers; the demo
+  // checks on load and once a minute while open. The state only changes when something was due, so an
+  // idle tab doesn't re-render every minute.
+  useEffect(() => {
+    const run = () => setData(prev => withDueWork(prev, Date.now()));
+    run();
+    const id = setInterval(run, 60000);
+    return () => clearInterval(id);
+  }, []);
+
+  // The state after the timed jobs, or the same state when none was due
+  function withDueWork(state, now) {
+    let next = state;
+    if (expiredReservations(next.orders || [], now).length) next = { ...next, ...releaseExpired(next) };
+
+    const expiries = dueKycExpiries(next.users, now);
+    if (expiries.length) {
+      next = {
+        ...next,
+        users: next.users.map(u => {
+          const d = expiries.find(x => x.userId === u.id);
+          const res = d && kycTransition(kycOf(u), 'expired', { note: d.note, patch: d.patch });
+          if (!res || res.error) return u;
+          const { verificationRequest, ...rest } = u;
+          return { ...rest, kyc: res.kyc, verified: res.kyc.tier >= 2 };
+        }),
+      };
+    }
+
+    const digests = dueDigests(next, now);
+    if (digests.length) {
+      digests.forEach(d => deliverAlerts(d.user, d.groups));
+      const sentAt = nowISO();
+      const sent = new Set(digests.flatMap(d => d.groups.flatMap(g => g.alerts.map(a => a.id))));
+      const searchIds = new Set(digests.flatMap(d => d.groups.map(g => g.search.id)));
+      next = {
+        ...next,
+        alerts: Object.fromEntries(Object.entries(next.alerts || {}).map(([userId, list]) => [userId, list.map(a => sent.has(a.id) ? { ...a, digestedAt: sentAt } : a)])),
+        savedSearches: Object.fromEntries(Object.entries(next.savedSearches || {}).map(([userId, list]) => [userId, list.map(s => searchIds.has(s.id) ? { ...s, lastDigestAt: sentAt } : s)])),
+      };
+    }
+    return next;
+  }
+
+  // Older saves kept photos as data: URLs inside listings and shop profiles. They move to the photo
+  // store once, which frees most of the localStorage they took.
+  useEffect(() => {
+    inlineImageRefs(data.listings, data.users).then(refs => {
+      if (!refs.size) return;
+      const swap = images => (images || []).map(src => refs.get(src) || src);
+      const swapShop = p => p && { ...p, logo: refs.get(p.logo) || p.logo, banner: refs.get(p.banner) || p.banner };
+      setData(prev => ({
+        ...prev,
+        listings: prev.listings.map(l => ({ ...l, images: swap(l.images), ...(l.variants ? { variants: l.variants.map(v => ({ ...v, images: swap(v.images) })) } : {}) })),
+        users: prev.users.map(u => u.sellerProfile ? { ...u, sellerProfile: swapShop(u.sellerProfile) } : u),
+      }));
+    }).catch(e => console.error('Moving photos out of localStorage failed', e));
+  }, []);
+
+  // Older saves kept the ID photo as a data: URL and the BVN in the clear on the user. Both move
+  // into the vault (the BVN as a hash) and are deleted from localStorage.
+  useEffect(() => {
+    const clear = data.users.filter(u => u.verificationRequest && (u.verificationRequest.idImageBase64 || u.verificationRequest.bvn));
+    if (!clear.length) return;
+    (async () => {
+      const moved = {};
+      for (const u of clear) {
+        const { idImageBase64, bvn, ...rest } = u.verificationRequest;
+        const next = { ...rest };
+        if (idImageBase64) {
+          const blob = await (await fetch(idImageBase64)).blob();
+          const doc = await storeDocument(new File([blob], 'id', { type: blob.type }));
+          if (doc.ok) next.documentId = doc.documentId;
+        }
+        if (bvn && BVN_PATTERN.test(bvn)) Object.assign(next, await protectBvn(bvn));
+        moved[u.id] = next;
+      }
+      setData(prev => ({ ...prev, users: prev.users.map(u => moved[u.id] ? { ...u, verificationRequest: moved[u.id] } : u) }));
+    })().catch(e => console.error('Moving ID documents into the vault failed', e));
+  }, []);
+
+  // The seeded admin has no password. On first run one is generated and printed to the console once
+  // (the server seeds it from ADMIN_PASSWORD instead).
+  useEffect(() => {
+    if ((data.credentials || {}).admin) return;
+    const password = randomHex(6);
+    hashSecret(password).then(cred => {
+      setData(prev => ({ ...prev, credentials: { ...(prev.credentials || {}), admin: { ...cred, failedAttempts: 0, lockedUntil: null } } }));
+      console.info(`MarketMate demo admin login: admin@marketmate.local / ${password}`);
+    });
+  }, []);
+
+  // Restores this tab's session after a reload, and signs the tab out as soon as its session
+  // is revoked (from Account → Sessions on another device, or by an admin).
+  useEffect(() => {
+    const id = sessionId || sessionStorage.getItem(SESSION_KEY);
+    if (!id) return;
+    const session = (data.sessions || {})[id];
+    if (!sessionActive(session)) {
+      sessionStorage.removeItem(SESSION_KEY);
+      if (currentUser) { drafts.current.values = {}; setCurrentUser(null); setSessionId(null); setView('browse'); alert('You have been signed out'); }
+      return;
+    }
+    if (!currentUser) {
+      const user = data.users.find(u => u.id === session.userId);
+      if (user) { setCurrentUser(user); setSessionId(id); }
+    }
+  }, [data.sessions]);
+
+  // last-seen is refreshed on navigation, at most once a minute
+  useEffect(() => {
+    const session = sessionId && (data.sessions || {})[sessionId];
+    if (!sessionActive(session) || Date.now() - new Date(session.lastSeenAt).getTime() < 60000) return;
+    setData(prev => ({ ...prev, sessions: { ...prev.sessions, [sessionId]: { ...prev.sessions[sessionId], lastSeenAt: nowISO() } } }));
+  }, [view]);
+
+  // Shop links (#/shop/<slug>) open the storefront, including when the page is first loaded from one.
+  useEffect(() => {
+    function openFromHash() {
+      const m = window.location.hash.match(/^#\/shop\/([\w-]+)$/);
+      if (m) { setShopKey(m[1]); setView('shop'); }
+    }
+    openFromHash();
+    window.addEventListener('hashchange', openFromHash);
+    return () => window.removeEventListener('hashchange', openFromHash);
+  }, []);
+
+  useEffect(() => {
+    if (view !== 'shop' && window.location.hash.startsWith('#/shop/')) window.history.replaceState(null, '', window.location.pathname + window.location.search);
+  }, [view]);
+
+  // --- Sessions ---
+  function startSession(user) {
+    const session = { id: uid('ses_'), userId: user.id, device: navigator.userAgent, createdAt: nowISO(), lastSeenAt: nowISO(), revokedAt: null };
+    setData(prev => ({ ...prev, sessions: { ...(prev.sessions || {}), [session.id]: session } }));
+    sessionStorage.setItem(SESSION_KEY, session.id);
+    drafts.current.values = {}; // half-filled forms belong to whoever typed them
+    setSessionId(session.id);
+    setCurrentUser(user);
+  }
+
+  // Revokes the user's active sessions, optionally keeping one (the caller's own).
+  function revokeSessions(userId, { except = null, only = null } = {}) {
+    setData(prev => {
+      const sessions = { ...(prev.sessions || {}) };
+      for (const s of Object.values(sessions)) {
+        if (s.userId !== userId || s.revokedAt || s.id === except || (only && s.id !== only)) continue;
+        sessions[s.id] = { ...s, revokedAt: nowISO() };
+      }
+      return { ...prev, sessions };
+    });
+  }
+
+  // The user-facing version: people end their own sessions, support/admin anyone's.
+  function endSessions(userId, opts) {
+    if (!can(currentUser, 'session:revoke', { userId })) return { error: 'Forbidden' };
+    revokeSessions(userId, opts);
+    return { ok: true };
+  }
+
+  function sessionsOf(userId) {
+    return Object.values(data.sessions || {}).filter(s => s.userId === userId && sessionActive(s)).sort((a, b) => b.lastSeenAt.localeCompare(a.lastSeenAt));
+  }
+
+  // --- Auth & Seller verification (mock flows) ---
+  function setCredential(userId, patch) {
+    setData(prev => ({ ...prev, credentials: { ...(prev.credentials || {}), [userId]: { ...((prev.credentials || {})[userId] || {}), ...patch } } }));
+  }
+
+  // Emails match whatever their case; phones by their last 10 digits, so 0803… and +234803… are one number.
+  function findUser(emailOrPhone) {
+    const id = String(emailOrPhone || '').trim().toLowerCase();
+    const digits = id.includes('@') ? '' : phoneDigits(id);
+    return id ? data.users.find(u => (u.email || '').toLowerCase() === id || (digits.length === 10 && phoneDigits(u.phone) === digits)) : null;
+  }
+
+  // Sign-up always creates a buyer; selling is an upgrade of the same account (saveSellerProfile).
+  async function registerBuyer({ name, email, phone, password }) {
+    email = String(email || '').trim().toLowerCase();
+    phone = String(phone || '').trim();
+    if (!email || !phone || !name) return { error: 'Provide name, email and phone' };
+    if (phoneDigits(phone).length !== 10) return { error: 'Enter a valid phone number' };
+    if (data.users.some(u => (u.email || '').toLowerCase() === email)) return { error: 'Email already registered' };
+    if (data.users.some(u => phoneDigits(u.phone) === phoneDigits(phone))) return { error: 'Phone number already registered' };
+    const problem = passwordProblem(password);
+    if (problem) return { error: problem };
+    const user = { id: uid('u_'), name, email, phone, role: 'buyer', verified: false, createdAt: nowISO(), buyerProfile: buyerProfileOf(null) };
+    const cred = await hashSecret(password);
+    setData(prev => ({ ...prev, users: [user, ...prev.users], credentials: { ...(prev.credentials || {}), [user.id]: { ...cred, failedAttempts: 0, lockedUntil: null } } }));
+    startSession(user);
+    return { ok: true, user };
+  }
+
+  // Every failure counts toward the lockout; unknown users and wrong passwords get the same message.
+  async function login({ emailOrPhone, password }) {
+    const user = findUser(emailOrPhone);
+    const cred = user && (data.credentials || {})[user.id];
+    if (!user || !cred) return { error: 'Invalid credentials' };
+    if (cred.lockedUntil && new Date(cred.lockedUntil) > new Date()) {
+      return { error: `Too many failed attempts. Try again after ${new Date(cred.lockedUntil).toLocaleTimeString()} or reset your password.` };
+    }
+    if (!(await secretMatches(password, cred))) {
+      const failedAttempts = (cred.failedAttempts || 0) + 1;
+      const locked = failedAttempts >= MAX_LOGIN_ATTEMPTS;
+      setCredential(user.id, { failedAttempts: locked ? 0 : failedAttempts, lockedUntil: locked ? new Date(Date.now() + LOCKOUT_MINUTES * 60000).toISOString() : null });
+      return { error: locked ? `Too many failed attempts. Account locked for ${LOCKOUT_MINUTES} minutes.` : 'Invalid credentials' };
+    }
+    setCredential(user.id, { failedAttempts: 0, lockedUntil: null });
+    startSession(user);
+    return { ok: true };
+  }
+
+  // Demo stand-in for POST /auth/password/forgot: the code would be emailed or sent by SMS.
+  // Always reports success so the form does not reveal which accounts exist.
+  async function requestPasswordReset(emailOrPhone) {
+    const user = findUser(emailOrPhone);
+    if (!user) return { ok: true };
+    const code = String(Math.floor(100000 + Math.random() * 900000));
+    const reset = { ...(await hashSecret(code)), expires: new Date(Date.now() + RESET_CODE_MINUTES * 60000).toISOString() };
+    setCredential(user.id, { reset });
+    console.info(`sendOTP to ${user.email}: ${code}`);
+    return { ok: true };
+  }
+
+  async function resetPassword({ emailOrPhone, code, password }) {
+    const user = findUser(emailOrPhone);
+    const reset = user && ((data.credentials || {})[user.id] || {}).reset;
+    if (!reset || new Date(reset.expires) < new Date() || !(await secretMatches(String(code || '').trim(), reset))) return { error: 'Invalid or expired reset code' };
+    const problem = passwordProblem(password);
+    if (problem) return { error: problem };
+    setCredential(user.id, { ...(await hashSecret(password)), failedAttempts: 0, lockedUntil: null, reset: null });
+    revokeSessions(user.id);
+    return { ok: true };
+  }
+
+  async function changePassword(currentPassword, newPassword) {
+    if (!currentUser) return { error: 'Login required' };
+    if (!(await secretMatches(currentPassword, (data.credentials || {})[currentUser.id]))) return { error: 'Current password is incorrect' };
+    const problem = passwordProblem(newPassword);
+    if (problem) return { error: problem };
+    setCredential(currentUser.id, await hashSecret(newPassword));
+    revokeSessions(currentUser.id, { except: sessionId });
+    return { ok: true };
+  }
+
+  function logout() {
+    if (sessionId) revokeSessions(currentUser.id, { only: sessionId });
+    sessionStorage.removeItem(SESSION_KEY);
+    drafts.current.values = {};
+    setSessionId(null);
+    setCurrentUser(null);
+    setView('browse');
+  }
+
+  // --- Profiles ---
+  // Profile edits change the signed-in user's own record, so currentUser is replaced along with it.
+  function updateOwnUser(patch) {
+    const user = { ...data.users.find(u => u.id === currentUser.id), ...patch };
+    setData(prev => ({ ...prev, users: prev.users.map(u => u.id === user.id ? user : u) }));
+    setCurrentUser(user);
+    return user;
+  }
+
+  function saveAddress(address) {
+    if (!currentUser) return { error: 'Login required' };
+    const problem = addressProblem(address);
+    if (problem) return { error: problem };
+    const profile = buyerProfileOf(currentUser);
+    const saved = { ...address, id: address.id || uid('adr_') };
+    let addresses = profile.addresses.some(a => a.id === saved.id) ? profile.addresses.map(a => a.id === saved.id ? saved : a) : [...profile.addresses, saved];
+    if (saved.isDefault || addresses.length === 1) addresses = addresses.map(a => ({ ...a, isDefault: a.id === saved.id }));
+    updateOwnUser({ buyerProfile: { ...profile, addresses } });
+    return { ok: true, address: saved };
+  }
+
+  function removeAddress(id) {
+    const profile = buyerProfileOf(currentUser);
+    let addresses = profile.addresses.filter(a => a.id !== id);
+    if (addresses.length && !addresses.some(a => a.isDefault)) addresses = addresses.map((a, i) => ({ ...a, isDefault: i === 0 }));
+    updateOwnUser({ buyerProfile: { ...profile, addresses } });
+  }
+
+  function setPaymentPreference(paymentMode) {
+    if (!PAYMENT_PREFERENCES.includes(paymentMode)) return { error: 'Unknown payment option' };
+    updateOwnUser({ buyerProfile: { ...buyerProfileOf(currentUser), paymentMode } });
+    return { ok: true };
+  }
+
+  // Opens a shop on a buyer account (role becomes 'seller'), or edits an existing shop profile.
+  // Staff accounts do not sell, and nobody can reach support/admin this way.
+  function saveSellerProfile(profile) {
+    if (!currentUser) return { error: 'Login required' };
+    if (!can(currentUser, currentUser.role === 'seller' ? 'seller:settings' : 'seller:open')) return { error: 'Staff accounts cannot open a shop' };
+    const problem = sellerProfileProblem(profile);
+    if (problem) return { error: problem };
+    const existing = currentUser.sellerProfile || {};
+    // the slug is fixed once chosen, so links already shared keep working after a rename
+    const slug = existing.slug || uniqueSlug(slugify(profile.shopName));
+    updateOwnUser({ role: 'seller', sellerProfile: { ...profile, slug, shopName: profile.shopName.trim(), createdAt: existing.createdAt || nowISO(), updatedAt: nowISO() } });
+    return { ok: true };
+  }
+
+  function uniqueSlug(base) {
+    const taken = new Set(data.users.filter(u => u.id !== currentUser.id && u.sellerProfile).map(u => u.sellerProfile.slug));
+    let slug = base;
+    for (let n = 2; taken.has(slug); n++) slug = `${base}-${n}`;
+    return slug;
+  }
+
+  // --- Storefronts & follows ---
+  function showShop(sellerId) {
+    const seller = data.users.find(u => u.id === sellerId);
+    const key = (seller && seller.sellerProfile && seller.sellerProfile.slug) || sellerId;
+    window.location.hash = `/shop/${key}`;
+    setShopKey(key);
+    setView('shop');
+  }
+
+  function followsOf(userId) { return (data.follows || {})[userId] || []; }
+
+  function followerCount(sellerId) {
+    return Object.values(data.follows || {}).filter(ids => ids.includes(sellerId)).length;
+  }
+
+  function toggleFollow(sellerId) {
+    if (!currentUser) return { error: 'Login to follow shops' };
+    if (sellerId === currentUser.id) return { error: 'You cannot follow your own shop' };
+    const mine = followsOf(currentUser.id);
+    const next = mine.includes(sellerId) ? mine.filter(id => id !== sellerId) : [...mine, sellerId];
+    setData(prev => ({ ...prev, follows: { ...(prev.follows || {}), [currentUser.id]: next } }));
+    return { ok: true, following: next.includes(sellerId) };
+  }
+
+  // --- Saved searches & alerts ---
+  function savedSearchesOf(userId) { return (data.savedSearches || {})[userId] || []; }
+  function alertsOf(userId) { return (data.alerts || {})[userId] || []; }
+
+  function saveSearch(name, f) {
+    if (!currentUser) return { error: 'Login to save searches' };
+    const mine = savedSearchesOf(currentUser.id);
+    if (mine.length >= MAX_SAVED_SEARCHES) return { error: `You can save up to ${MAX_SAVED_SEARCHES} searches. Delete one first.` };
+    // an empty search would alert on every new listing
+    if (!f.q.trim() && f.category === 'All' && f.state === 'All' && !f.near) return { error: 'Add a search term, category or location before saving' };
+    if (f.near === 'me' && !(f.point || myPosition)) return { error: 'Share your location again, or choose a place, before saving' };
+    const search = { id: uid('ss_'), name: String(name || '').trim() || describeSearch(f, data.categories), filters: savedFilters(f, myPosition), frequency: 'daily', email: true, sms: false, createdAt: nowISO(), lastDigestAt: null };
+    setData(prev => ({ ...prev, savedSearches: { ...(prev.savedSearches || {}), [currentUser.id]: [...((prev.savedSearches || {})[currentUser.id] || []), search] } }));
+    return { ok: true, search };
+  }
+
+  function updateSavedSearch(id, patch) {
+    if (patch.frequency && !ALERT_FREQUENCIES.some(f => f.key === patch.frequency)) return { error: 'Unknown alert frequency' };
+    if (patch.sms && !currentUser.phone) return { error: 'Add a phone number to get SMS alerts' };
+    const { name, frequency, email, sms } = patch;
+    const allowed = Object.fromEntries(Object.entries({ name, frequency, email, sms }).filter(([, v]) => v !== undefined));
+    setData(prev => ({ ...prev, savedSearches: { ...prev.savedSearches, [currentUser.id]: prev.savedSearches[currentUser.id].map(s => s.id === id ? { ...s, ...allowed } : s) } }));
+    return { ok: true };
+  }
+
+  function deleteSavedSearch(id) {
+    setData(prev => ({
+      ...prev,
+      savedSearches: { ...prev.savedSearches, [currentUser.id]: prev.savedSearches[currentUser.id].filter(s => s.id !== id) },
+      alerts: { ...(prev.alerts || {}), [currentUser.id]: ((prev.alerts || {})[currentUser.id] || []).filter(a => a.searchId !== id) },
+    }));
+  }
+
+  function markAlertsRead(ids) {
+    const readAt = nowISO();
+    setData(prev => ({ ...prev, alerts: { ...(prev.alerts || {}), [currentUser.id]: ((prev.alerts || {})[currentUser.id] || []).map(a => !a.readAt && (!ids || ids.includes(a.id)) ? { ...a, readAt } : a) } }));
+  }
+
+  // Alerts for a new listing: one per matching saved search, never for the seller's own searches.
+  // Instant searches are sent straight away; the rest wait for their digest.
+  function alertsForListing(listing) {
+    const alerts = { ...(data.alerts || {}) };
+    for (const [userId, searches] of Object.entries(data.savedSearches || {})) {
+      if (userId === listing.sellerId) continue;
+      const matched = searches.filter(s => savedSearchMatches(s, listing));
+      if (!matched.length) continue;
+      const instant = matched.filter(s => s.frequency === 'instant');
+      const user = data.users.find(u => u.id === userId);
+      if (instant.length && user) deliverAlerts(user, instant.map(search => ({ search, listings: [listing] })));
+      const created = matched.map(s => ({ id: uid('al_'), type: 'search_match', searchId: s.id, listingId: listing.id, createdAt: nowISO(), readAt: null, digestedAt: s.frequency === 'instant' ? nowISO() : null }));
+      alerts[userId] = [...created, ...(alerts[userId] || [])];
+    }
+    return alerts;
+  }
+
+  // --- Favourites ---
+  function favouritesOf(userId) { return (data.favourites || {})[userId] || []; }
+
+  function isFavourite(listingId) {
+    return !!currentUser && favouritesOf(currentUser.id).some(f => f.listingId === listingId);
+  }
+
+  function favouriteCount(listingId) {
+    return Object.values(data.favourites || {}).filter(list => list.some(f => f.listingId === listingId)).length;
+  }
+
+  function toggleFavourite(listing) {
+    if (!currentUser) return { error: 'Login to save listings' };
+    if (listing.sellerId === currentUser.id) return { error: 'You cannot save your own listing' };
+    const mine = favouritesOf(currentUser.id);
+    const saved = mine.some(f => f.listingId === listing.id);
+    const next = saved ? mine.filter(f => f.listingId !== listing.id) : [{ listingId: listing.id, priceAtSave: Number(listing.price), createdAt: nowISO() }, ...mine];
+    setData(prev => ({ ...prev, favourites: { ...(prev.favourites || {}), [currentUser.id]: next } }));
+    return { ok: true, saved: !saved };
+  }
+
+  // Alerts for everyone who saved a listing when an edit lowers its price or stock comes back, added to alerts.
+  function favouriteAlerts(before, after, alerts = data.alerts || {}) {
+    const event = favouriteEvent(before, after);
+    if (!event) return alerts;
+    const next = { ...alerts };
+    for (const [userId, list] of Object.entries(data.favourites || {})) {
+      if (userId === after.sellerId || !list.some(f => f.listingId === after.id)) continue;
+      next[userId] = [{ id: uid('al_'), ...event, listingId: after.id, createdAt: nowISO(), readAt: null }, ...(next[userId] || [])];
+    }
+    return next;
+  }
+
+  // --- KYC ---
+  function userById(id) { return data.users.find(u => u.id === id); }
+
+  // Writes a user's KYC record; `verified` (the badge) follows the tier.
+  function setKyc(userId, kyc) {
+    const apply = u => { const { verificationRequest, ...rest } = u; return { ...rest, kyc, verified: kyc.tier >= 2 }; };
+    setData(prev => ({ ...prev, users: prev.users.map(u => u.id === userId ? apply(u) : u) }));
+    if (currentUser && currentUser.id === userId) setCurrentUser(apply(currentUser));
+  }
+
+  // Demo stand-in for POST /api/verification/phone/code: the code would go out by SMS.
+  async function requestPhoneCode() {
+    if (!currentUser || !currentUser.phone) return { error: 'Add a phone number to your account first' };
+    const code = String(Math.floor(100000 + Math.random() * 900000));
+    setCredential(currentUser.id, { phoneCode: { ...(await hashSecret(code)), phone: currentUser.phone, expires: new Date(Date.now() + PHONE_CODE_MINUTES * 60000).toISOString() } });
+    console.info(`SMS to ${currentUser.phone}: your MarketMate code is ${code}`);
+    return { ok: true };
+  }
+
+  // The phone tier needs no review: the right code grants it.
+  async function confirmPhone(code) {
+    const pending = ((data.credentials || {})[currentUser.id] || {}).phoneCode;
+    if (!pending || pending.phone !== currentUser.phone || new Date(pending.expires) < new Date() || !(await secretMatches(String(code || '').trim(), pending))) return { error: 'Invalid or expired code' };
+    setCredential(currentUser.id, { phoneCode: null });
+    const kyc = kycOf(userById(currentUser.id));
+    const at = nowISO();
+    setKyc(currentUser.id, {
+      ...kyc, tier: Math.max(kyc.tier, 1), phoneVerifiedAt: at, requested: kyc.requested.filter(kind => kind !== 'phone'), updatedAt: at,
+      // not a status change: the history just records it next to the reviews
+      history: [...kyc.history, { status: 'phone_confirmed', tier: 1, at, by: currentUser.id, note: `${currentUser.phone}, by SMS code` }],
+    });
+    return { ok: true };
+  }
+
+  // Sends what `tier` still needs (see missingDocuments). fields: { government_id: {...}, cac: {...} },
+  // see kycDocumentProblem. Files go into the vault; documents they replace are deleted. A new ID runs
+  // the identity checks on its BVN and NIN, and their results replace the previous ones.
+  async function submitKyc(tier, fields, note = '') {
+    if (!currentUser) return { error: 'Login required' };
+    const kyc = kycOf(userById(currentUser.id));
+    if (!KYC_TIERS[tier] || tier < 2) return { error: 'Unknown tier' };
+    if (tier <= kyc.tier) return { error: `You are already ${KYC_TIERS[kyc.tier].label}` };
+    if (tier > kyc.tier + 1) return { error: `Get ${KYC_TIERS[tier - 1].label} first` };
+    if (!KYC_TRANSITIONS[kyc.status].includes('submitted')) return { error: 'Your documents are already with our review team' };
+    const missing = missingDocuments(kyc, tier);
+    if (missing.includes('phone')) return { error: 'Confirm your phone number first' };
+    if (!missing.length) return { error: 'Nothing new to send for this tier' };
+    const today = nowISO().slice(0, 10);
+    for (const kind of missing) {
+      const problem = kycDocumentProblem(kind, fields[kind] || {}, today);
+      if (problem) return { error: problem };
+    }
+    const documents = { ...kyc.documents };
+    const replaced = [];
+    let checks = kyc.checks || [];
+    for (const kind of missing) {
+      const { file, bvn, nin, ...details } = fields[kind];
+      const doc = await storeDocument(file);
+      if (doc.error) return doc;
+      if (documents[kind] && documents[kind].documentId) replaced.push(documents[kind].documentId);
+      documents[kind] = { ...details, ...(kind === 'cac' ? { rcNumber: details.rcNumber.trim().toUpperCase() } : { legalName: details.legalName.trim() }), documentId: doc.documentId, submittedAt: nowISO() };
+      if (kind === 'government_id') {
+        checks = await runIdentityChecks({ bvn, nin }, { name: details.legalName, dateOfBirth: details.dateOfBirth, phone: currentUser.phone });
+        delete documents.bvn;
+        delete documents.nin;
+        if (bvn) documents.bvn = await protectBvn(bvn);
+        if (nin) documents.nin = await protectNin(nin);
+      }
+    }
+    const res = kycTransition(kyc, 'submitted', { by: currentUser.id, note, patch: { applyingFor: tier, documents, checks, requested: [] } });
+    if (res.error) return res;
+    setKyc(currentUser.id, res.kyc);
+    for (const id of replaced) await deleteDocument(id);
+    return { ok: true };
+  }
+
+  // Support's moves: in_review, then approved, needs_more_info or rejected. `requested` is what the seller
+  // must send again; a rejection asks again for the tier's own document unless the reviewer picks others.
+  // Approving an ID without a matching identity check takes `override`, and the note says so.
+  function reviewKyc(userId, to, note, requested = [], override = false) {
+    if (!can(currentUser, 'verification:review')) return { error: 'Forbidden' };
+    if (userId === currentUser.id) return { error: 'You cannot review your own verification' };
+    if (!KYC_REVIEW_STEPS.includes(to)) return { error: 'Unknown decision' };
+    const kyc = kycOf(userById(userId));
+    if (to === 'needs_more_info' && !requested.length) return { error: 'Tick what the seller needs to send again' };
+    const unmatched = to === 'approved' && KYC_TIERS[kyc.applyingFor].requires.includes('government_id') && !(kyc.checks || []).some(c => c.status === 'match');
+    if (unmatched && !override) return { error: 'No identity check matched this seller', code: 'identity_unmatched' };
+    if (unmatched && String(note || '').trim()) note = `${note.trim()} (approved without a matching identity check)`;
+    const patch = to === 'approved' ? { tier: kyc.applyingFor, applyingFor: null, requested: [] }
+      : to === 'needs_more_info' ? { requested }
+      : to === 'rejected' ? { requested: requested.length ? requested : KYC_TIERS[kyc.applyingFor].requires.slice(-1) }
+      : {};
+    const res = kycTransition(kyc, to, { by: currentUser.id, note: to === 'in_review' ? (note || 'Review started') : note, patch });
+    if (res.error) return res;
+    setKyc(userId, res.kyc);
+    return { ok: true };
+  }
+
+  // Returns { ok, url } or { error }. Every view is logged, and the link stops working after
+  // DOCUMENT_LINK_SECONDS (a tab already showing the document keeps it until closed).
+  async function viewKycDocument(userId, kind) {
+    if (!can(currentUser, 'verification:review')) return { error: 'Forbidden' };
+    const documentId = (kycOf(userById(userId)).documents[kind] || {}).documentId;
+    if (!documentId) return { error: `No ${KYC_DOCUMENTS[kind].label} on file` };
+    const blob = await openDocument(documentId);
+    if (!blob) return { error: 'The document could not be read' };
+    const createdAt = new Date();
+    const entry = { id: uid('da_'), documentId, kind, userId, viewerId: currentUser.id, createdAt: createdAt.toISOString(), expiresAt: new Date(createdAt.getTime() + DOCUMENT_LINK_SECONDS * 1000).toISOString() };
+    setData(prev => ({ ...prev, documentAccess: [entry, ...(prev.documentAccess || [])] }));
+    const url = URL.createObjectURL(blob);
+    setTimeout(() => URL.revokeObjectURL(url), DOCUMENT_LINK_SECONDS * 1000);
+    return { ok: true, url };
+  }
+
+  // --- Messages ---
+  function conversationById(id) { return (data.conversations || []).find(c => c.id === id); }
+
+  function updateConversation(id, fn) {
+    setData(prev => ({ ...prev, conversations: (prev.conversations || []).map(c => c.id === id ? { ...fn(c), updatedAt: nowISO() } : c) }));
+  }
+
+  // Opens (creating if needed) the conversation about a listing. Buyers start from the listing; a seller
+  // passes the buyer, to message them about an order.
+  function openConversation(listingId, buyerId = currentUser && currentUser.id) {
+    if (!currentUser) return alert('Please login to send messages');
+    const listing = data.listings.find(l => l.id === listingId);
+    if (!listing) return alert('Listing not found');
+    if (buyerId === listing.sellerId) return alert('This is your own listing');
+    if (![buyerId, listing.sellerId].includes(currentUser.id)) return alert('Forbidden');
+    let conversation = (data.conversations || []).find(c => c.listingId === listingId && c.buyerId === buyerId);
+    if (!conversation) {
+      const at = nowISO();
+      conversation = { id: uid('cv_'), listingId, buyerId, sellerId: listing.sellerId, messages: [], lastReadAt: {}, report: null, createdAt: at, updatedAt: at, lastMessageAt: null };
+      setData(prev => ({ ...prev, conversations: [conversation, ...(prev.conversations || [])] }));
+    }
+    setOpenConversationId(conversation.id);
+    setView('inbox');
+  }
+
+  // Text, a photo, or both. The photo goes through the listing photo pipeline (resized, EXIF stripped).
+  async function sendMessage(conversationId, { text = '', file = null }) {
+    const conversation = conversationById(conversationId);
+    if (!conversation || !can(currentUser, 'conversation:read', conversation)) return { error: 'Forbidden' };
+    const body = text.trim();
+    if (!body && !file) return { error: 'Write a message or add a photo' };
+    if (body.length > MAX_MESSAGE_LENGTH) return { error: `Messages can be up to ${MAX_MESSAGE_LENGTH} characters` };
+    let image = null;
+    if (file) {
+      const up = await uploadImage(file);
+      if (up.error) return up;
+      image = up.ref;
+    }
+    const message = { id: uid('msg_'), senderId: currentUser.id, text: body, image, flags: messageFlags(body), createdAt: nowISO() };
+    updateConversation(conversationId, c => ({ ...c, messages: [...c.messages, message], lastMessageAt: message.createdAt, lastReadAt: { ...c.lastReadAt, [currentUser.id]: message.createdAt } }));
+    return { ok: true };
+  }
+
+  // The read receipt: the other side sees "Seen" on messages up to this time.
+  function markConversationRead(conversationId) {
+    const conversation = conversationById(conversationId);
+    if (!conversation || !can(currentUser, 'conversation:read', conversation) || !unreadCount(conversation, currentUser.id)) return;
+    updateConversation(conversationId, c => ({ ...c, lastReadAt: { ...c.lastReadAt, [currentUser.id]: nowISO() } }));
+  }
+
+  // Either side may report; from then on support and admins can open the conversation.
+  function reportConversation(conversationId, reason, details = '') {
+    const conversation = conversationById(conversationId);
+    if (!conversation || !can(currentUser, 'conversation:read', conversation)) return { error: 'Forbidden' };
+    if (!REPORT_REASONS.includes(reason)) return { error: 'Choose a reason' };
+    if (conversation.report && !conversation.report.resolvedAt) return { error: 'This conversation has already been reported' };
+    const at = nowISO();
+    const notice = { id: uid('msg_'), senderId: null, system: true, text: `${currentUser.name} reported this conversation (${reason}). MarketMate support can now read it.`, image: null, flags: [], createdAt: at };
+    updateConversation(conversationId, c => ({ ...c, report: { by: currentUser.id, reason, details: details.trim(), at, resolvedAt: null, resolvedBy: null, note: '' }, messages: [...c.messages, notice] }));
+    return { ok: true };
+  }
+
+  function moderationProblem(conversation) {
+    if (!can(currentUser, 'conversation:moderate')) return 'Forbidden';
+    if (!conversation || !conversation.report) return 'Only reported conversations can be opened';
+    return null;
+  }
+
+  // Moderator actions: a message from support, removing a message, and closing the report with a note.
+  function postSupportMessage(conversationId, text) {
+    const conversation = conversationById(conversationId);
+    const problem = moderationProblem(conversation);
+    if (problem) return { error: problem };
+    if (conversation.report.resolvedAt) return { error: 'This report is closed. Support can write again if the conversation is reported again' };
+    const body = String(text || '').trim();
+    if (!body) return { error: 'Write a message' };
+    const message = { id: uid('msg_'), senderId: currentUser.id, support: true, text: body, image: null, flags: [], createdAt: nowISO() };
+    updateConversation(conversationId, c => ({ ...c, messages: [...c.messages, message], lastMessageAt: message.createdAt }));
+    return { ok: true };
+  }
+
+  function hideMessage(conversationId, messageId) {
+    const problem = moderationProblem(conversationById(conversationId));
+    if (problem) return { error: problem };
+    updateConversation(conversationId, c => ({ ...c, messages: c.messages.map(m => m.id === messageId ? { ...m, hiddenAt: nowISO(), hiddenBy: currentUser.id } : m) }));
+    return { ok: true };
+  }
+
+  function resolveReport(conversationId, note) {
+    const conversation = conversationById(conversationId);
+    const problem = moderationProblem(conversation);
+    if (problem) return { error: problem };
+    if (conversation.report.resolvedAt) return { error: 'This report is already closed' };
+    const text = String(note || '').trim();
+    if (!text) return { error: 'Add a note for both sides' };
+    const at = nowISO();
+    const notice = { id: uid('msg_'), senderId: null, system: true, text: `MarketMate support closed the report: ${text}`, image: null, flags: [], createdAt: at };
+    updateConversation(conversationId, c => ({ ...c, report: { ...c.report, resolvedAt: at, resolvedBy: currentUser.id, note: text }, messages: [...c.messages, notice] }));
+    return { ok: true };
+  }
+
+  function setUserRole(userId, role) {
+    if (!can(currentUser, 'user:assign_role')) return { error: 'Forbidden' };
+    if (!ROLES.includes(role)) return { error: 'Unknown role' };
+    if (userId === currentUser.id) return { error: 'You cannot change your own role' };
+    setData({ ...data, users: data.users.map(u => u.id === userId ? { ...u, role } : u) });
+    return { ok: true };
+  }
+
+  // --- Categories (admin) ---
+  function addCategory(name, parentId = null) {
+    if (!can(currentUser, 'category:manage')) return { error: 'Forbidden' };
+    const clean = String(name || '').trim();
+    if (!clean) return { error: 'Enter a category name' };
+    if (parentId && !categoryById(data.categories, parentId)) return { error: 'Parent category not found' };
+    if (data.categories.some(c => c.parentId === (parentId || null) && c.name.toLowerCase() === clean.toLowerCase())) return { error: `${clean} already exists there` };
+    let id = slugify(clean);
+    for (let n = 2; categoryById(data.categories, id); n++) id = `${slugify(clean)}-${n}`;
+    const category = { id, name: clean, parentId: parentId || null, aliases: [], attributes: [] };
+    setData({ ...data, categories: [...data.categories, category] });
+    return { ok: true, category };
+  }
+
+  // changes: { name, aliases, attributes, archived }. The parent never changes, so the categoryPath
+  // stored on listings stays right. Attribute keys never change either: listings store values by key.
+  function updateCategory(id, changes) {
+    if (!can(currentUser, 'category:manage')) return { error: 'Forbidden' };
+    const cat = categoryById(data.categories, id);
+    if (!cat) return { error: 'Category not found' };
+    const next = { ...cat };
+    if ('name' in changes) {
+      next.name = String(changes.name || '').trim();
+      if (!next.name) return { error: 'Enter a category name' };
+    }
+    if ('aliases' in changes) next.aliases = changes.aliases.map(a => a.trim().toLowerCase()).filter(Boolean);
+    if ('archived' in changes) next.archived = !!changes.archived;
+    if ('attributes' in changes) {
+      next.attributes = changes.attributes.map(a => ({
+        key: a.key || slugify(a.label).replace(/-/g, '_'),
+        label: String(a.label || '').trim(),
+        type: a.type,
+        ...(a.type === 'select' ? { options: a.options } : {}),
+        ...(a.type === 'number' && a.unit ? { unit: a.unit.trim() } : {}),
+        ...(a.type === 'number' && a.min != null ? { min: a.min } : {}),
+        ...(a.type === 'number' && a.max != null ? { max: a.max } : {}),
+        ...(a.required ? { required: true } : {}),
+        ...(a.filter ? { filter: true } : {}),
+      }));
+    }
+    const categories = data.categories.map(c => c.id === id ? next : c);
+    // a new attribute here must not clash with one a subcategory already has
+    for (const c of categories.filter(c => categoryTrail(categories, c.id).some(t => t.id === id))) {
+      const problem = schemaProblem(c.attributes || [], attributeSchema(categories, c.parentId));
+      if (problem) return { error: c.id === id ? problem : `${c.name}: ${problem}` };
+    }
+    // listings keep a copy of the name for search and the cards
+    const listings = next.name === cat.name ? data.listings : data.listings.map(l => l.categoryId === id ? { ...l, category: next.name } : l);
+    setData({ ...data, categories, listings });
+    return { ok: true };
+  }
+
+  // --- Listings CRUD ---
+  function createListing(payload) {
+    if (!currentUser) return { error: 'Login required' };
+    if (!can(currentUser, 'listing:create')) return { error: 'Only sellers can create listings' };
+    const place = locationProblem(payload.state, payload.lga, { lgaRequired: true });
+    if (place) return { error: place };
+    if (payload.geoSource === 'pin' && pinProblem(payload)) return { error: pinProblem(payload) };
+    if (!categoryOpen(data.categories, payload.categoryId)) return { error: 'Choose a category' };
+    const attrs = cleanAttributes(attributeSchema(data.categories, payload.categoryId), payload.attributes);
+    if (attrs.error) return { error: attrs.error };
+    const variants = cleanVariants(payload.variantAxes, payload.variants);
+    if (variants.error) return { error: variants.error };
+    const qty = Number(payload.qty ?? 1); // 0 is a listing that starts sold out
+    if (!variants.variants.length && (!Number.isInteger(qty) || qty < 0)) return { error: 'Enter the quantity in stock' };
+    const seller = userById(currentUser.id);
+    const limit = priceLimitProblem(seller, { price: payload.price, variants: variants.variants }) || activeLimitProblem(seller, data.listings);
+    if (limit) return { error: limit };
+    const listing = {
+      id: uid('l_'),
+      sellerId: currentUser.id,
+      title: payload.title || 'Untitled',
+      description: payload.description || '',
+      price: Number(payload.price) || 0,
+      currency: 'NGN',
+      ...listingCategory(data.categories, payload.categoryId), // categoryId, categoryPath, category (name)
+      attributes: attrs.attributes, // per the category's schema, e.g. { brand: 'Samsung', storage: '128GB' }
+      state: payload.state,
+      lga: payload.lga,
+      area: String(payload.area || '').trim(), // optional town, e.g. "Lekki" in Eti-Osa
+      ...listingGeo(payload), // lat, lng, geoSource: 'pin' | 'place'
+      images: payload.images || [], // 'img:<hash>' refs from uploadImage
+      delivery: payload.delivery || 'pickup', // pickup | delivery
+      createdAt: nowISO(),
+      verifiedBySeller: kycOf(seller).tier >= 2,
+      active: true,
+      qty,
+      ...variants, // variantAxes, variants: [{ id, options, price, qty, images }]
+      ...(variants.variants.length ? variantTotals(variants.variants) : {}),
+    };
+    setData({ ...data, listings: [listing, ...data.listings], alerts: alertsForListing(listing) });
+    setView('browse');
+    return { ok: true, listing };
+  }
+
+  function updateListing(id, patch) {
+    const listing = data.listings.find(l => l.id === id);
+    if (!listing || !can(currentUser, 'listing:update', listing)) return { error: 'You cannot edit this listing' };
+    const { sellerId, ...allowed } = patch; // ownership never changes through an edit
+    if ('state' in allowed || 'lga' in allowed) {
+      const place = locationProblem(allowed.state ?? listing.state, allowed.lga ?? listing.lga, { lgaRequired: true });
+      if (place) return { error: place };
+    }
+    if (allowed.geoSource === 'pin' && pinProblem(allowed)) return { error: pinProblem(allowed) };
+    delete allowed.categoryPath; delete allowed.category; // derived from categoryId below
+    if ('categoryId' in allowed || 'attributes' in allowed) {
+      const categoryId = allowed.categoryId ?? listing.categoryId;
+      // a listing may stay in a category that has since been archived, but not move into one
+      if (categoryId !== listing.categoryId && !categoryOpen(data.categories, categoryId)) return { error: 'Choose a category' };
+      if (!categoryById(data.categories, categoryId)) return { error: 'Choose a category' };
+      const attrs = cleanAttributes(attributeSchema(data.categories, categoryId), allowed.attributes ?? listing.attributes);
+      if (attrs.error) return { error: attrs.error };
+      Object.assign(allowed, listingCategory(data.categories, categoryId), { attributes: attrs.attributes });
+    }
+    if ('variantAxes' in allowed || 'variants' in allowed) {
+      const variants = cleanVariants(allowed.variantAxes ?? listing.variantAxes, allowed.variants ?? listing.variants);
+      if (variants.error) return { error: variants.error };
+      Object.assign(allowed, variants);
+    }
+    // with variants, price and qty follow them and can't be set directly
+    const variants = allowed.variants ?? listing.variants ?? [];
+    if (variants.length) Object.assign(allowed, variantTotals(variants));
+    const listings = data.listings.map(l => l.id === id ? { ...l, ...allowed, ...listingGeo({ ...l, ...allowed }) } : l);
+    const updated = listings.find(l => l.id === id);
+    const seller = userById(listing.sellerId);
+    const topPrice = l => Math.max(Number(l.price) || 0, ...(l.variants || []).map(v => Number(v.price) || 0));
+    const limit = (topPrice(updated) > topPrice(listing) && priceLimitProblem(seller, updated))
+      || (updated.active && !listing.active && activeLimitProblem(seller, data.listings, id));
+    if (limit) return { error: limit };
+    const moved = stockDiff(listing, updated);
+    setData({ ...data, ...(moved.length ? stockRecords(data, listings, moved, { note: 'listing edited' }) : { listings, alerts: favouriteAlerts(listing, updated) }) });
+    return { ok: true };
+  }
+
+  function deleteListing(id) {
+    const listing = data.listings.find(l => l.id === id);
+    if (!listing || !can(currentUser, 'listing:delete', listing)) return { error: 'You cannot delete this listing' };
+    const listings = data.listings.filter(l => l.id !== id);
+    setData({ ...data, listings });
+    return { ok: true };
+  }
+
+  // --- Reviews ---
+  function addReview(listingId, rating, text) {
+    if (!currentUser) return { error: 'Login required' };
+    const r = { id: uid('r_'), listingId, userId: currentUser.id, rating: Number(rating), text, createdAt: nowISO() };
+    setData({ ...data, reviews: [r, ...data.reviews] });
+    return { ok: true };
+  }
+
+  // --- Cart & orders ---
+  function cartOf(userId) { return (data.carts || {})[userId] || []; }
+
+  function setCart(userId, items) {
+    setData({ ...data, carts: { ...(data.carts || {}), [userId]: items } });
+  }
+
+  // A cart line is a listing, or one variant of it
+  const sameLine = (i, listingId, variantId) => i.listingId === listingId && (i.variantId || null) === (variantId || null);
+
+  function addToCart(listingId, qty = 1, variantId = null) {
+    if (!currentUser) return { error: 'Login required' };
+    const listing = data.listings.find(l => l.id === listingId);
+    if (!listing || !listing.active) return { error: 'Listing is no longer available' };
+    if (listing.sellerId === currentUser.id) return { error: 'You cannot buy your own listing' };
+    if ((listing.variants || []).length && !variantOf(listing, variantId)) return { error: `Choose a ${listing.variantAxes.join(' and ').toLowerCase()} first` };
+    const stock = offerOf(listing, variantId).qty;
+    const cart = cartOf(currentUser.id);
+    const existing = cart.find(i => sameLine(i, listingId, variantId));
+    const nextQty = (existing ? existing.qty : 0) + Number(qty);
+    if (nextQty > stock) return { error: `Only ${stock} in stock` };
+    const items = existing ? cart.map(i => i === existing ? { ...i, qty: nextQty } : i) : [...cart, { listingId, variantId, qty: nextQty }];
+    setCart(currentUser.id, items);
+    return { ok: true };
+  }
+
+  function updateCartItem(listingId, qty, variantId = null) {
+    if (!currentUser) return { error: 'Login required' };
+    const cart = cartOf(currentUser.id);
+    if (Number(qty) <= 0) { setCart(currentUser.id, cart.filter(i => !sameLine(i, listingId, variantId))); return { ok: true }; }
+    const listing = data.listings.find(l => l.id === listingId);
+    const stock = listing && offerOf(listing, variantId).qty;
+    if (listing && Number(qty) > stock) return { error: `Only ${stock} in stock` };
+    setCart(currentUser.id, cart.map(i => sameLine(i, listingId, variantId) ? { ...i, qty: Number(qty) } : i));
+    return { ok: true };
+  }
+
+  // Checks every cart line against stock, then creates one order per seller and takes the stock
+  // (from the chosen variant, if any) so two buyers can't both get the last one. Cancelling gives it back.
+  // All orders from the same checkout share a checkoutRef, which is what the payment is made against.
+  // Pay on Delivery orders each get a delivery code instead (kept on the order in this demo; the server sends it by SMS).
+  // Each order's total includes its delivery fee, quoted from the seller's zones against shipTo.
+  function checkout({ paymentMode = 'online', shipTo = {} } = {}) {
+    if (!currentUser) return { error: 'Login required' };
+    const cart = cartOf(currentUser.id);
+    if (cart.length === 0) return { error: 'Your cart is empty' };
+    const lines = [];
+    for (const item of cart) {
+      const listing = data.listings.find(l => l.id === item.listingId);
+      if (!listing || !listing.active) return { error: 'An item in your cart is no longer available' };
+      if ((listing.variants || []).length && !variantOf(listing, item.variantId)) return { error: `The option you picked for ${listing.title} is no longer available` };
+      const offer = offerOf(listing, item.variantId);
+      const title = offer.label ? `${listing.title} (${offer.label})` : listing.title;
+      if (item.qty > offer.qty) return { error: `Only ${offer.qty} left of ${title}` };
+      lines.push({ listing, listingId: listing.id, variantId: item.variantId || null, sellerId: listing.sellerId, title: listing.title, variant: offer.label, price: offer.price, qty: item.qty });
+    }
+    const checkoutRef = uid('chk_');
+    const sellerIds = Array.from(new Set(lines.map(i => i.sellerId)));
+    const shipping = {};
+    for (const sellerId of sellerIds) {
+      const q = orderShipping((data.deliveryZones || {})[sellerId], lines.filter(i => i.sellerId === sellerId).map(i => i.listing), shipTo);
+      if (q.error) return { error: `${(users.find(u => u.id === sellerId) || { name: 'A seller' }).name} ${q.error}` };
+      shipping[sellerId] = q;
+    }
+    const orders = sellerIds.map(sellerId => {
+      const items = lines.filter(i => i.sellerId === sellerId).map(({ listingId, variantId, title, variant, price, qty }) => ({ listingId, variantId, title, variant, price, qty }));
+      const subtotal = items.reduce((sum, i) => sum + i.price * i.qty, 0);
+      return {
+        id: uid('o_'),
+        checkoutRef,
+        buyerId: currentUser.id,
+        sellerId,
+        items,
+        subtotal,
+        shippingFee: shipping[sellerId].fee,
+        total: subtotal + shipping[sellerId].fee,
+        currency: 'NGN',
+        status: 'pending_payment',
+        paymentMode,
+        fulfilment: shipping[sellerId].fulfilment,
+        etaDays: shipping[sellerId].days,
+        shipTo,
+        deliveryCode: paymentMode === 'cod' ? newDeliveryCode() : undefined,
+        stockReserved: true, // orders from before reservations never took stock, so cancelling them gives none back
+        // Pay on Delivery orders are paid at the door, so only online orders wait on a payment
+        reservedUntil: paymentMode === 'cod' ? null : new Date(Date.now() + RESERVATION_MINUTES * 60000).toISOString(),
+        history: [{ status: 'pending_payment', at: nowISO(), by: currentUser.id }],
+        createdAt: nowISO(),
+      };
+    });
+    if (paymentMode === 'cod') {
+      if (!shipTo.state) return { error: 'Choose a delivery state for Pay on Delivery' };
+      for (const o of orders) {
+        const res = codAllowed((data.codSettings || {})[o.sellerId], shipTo, o.total);
+        if (res.error) return { error: `${(users.find(u => u.id === o.sellerId) || { name: 'A seller' }).name} ${res.error}` };
+      }
+    }
+    const sold = lines.map(i => ({ listingId: i.listingId, variantId: i.variantId, delta: -i.qty, orderId: orders.find(o => o.sellerId === i.sellerId).id }));
+    setData({
+      ...data,
+      ...stockRecords(data, adjustStock(data.listings, sold), sold, { reason: 'sale' }),
+      orders: [...orders, ...(data.orders || [])],
+      carts: { ...(data.carts || {}), [currentUser.id]: [] },
+    });
+    return { ok: true, checkoutRef, orders };
+  }
+
+  function transitionOrder(orderId, to, note) {
+    const order = (data.orders || []).find(o => o.id === orderId);
+    if (!order || !can(currentUser, 'order:update', order)) return { error: 'Order not found' };
+    if (!transitionsFor(order)[order.status].includes(to)) return { error: `Cannot move order from ${order.status} to ${to}` };
+    if (order.paymentMode === 'cod' && to === 'paid') return { error: 'Pay on Delivery orders are marked paid with the delivery code' };
+    const party = ORDER_STEP_PARTY[to];
+    const isBuyer = order.buyerId === currentUser.id;
+    const isSeller = order.sellerId === currentUser.id;
+    const allowed = scopeOf(currentUser, 'order:update') === 'all'
+      || (party === 'seller' && isSeller)
+      || (party === 'buyer' && isBuyer)
+      // buyers may only cancel before paying; after that the seller (or admin) cancels
+      || (party === 'either' && (isSeller || (isBuyer && order.status === 'pending_payment')));
+    if (!party || !allowed) return { error: 'You cannot make this change to the order' };
+    const orders = data.orders.map(o => {
+      if (o.id !== orderId) return o;
+      let next = { ...o, status: to, history: [...(o.history || []), { status: to, at: nowISO(), by: currentUser?.id, note }] };
+      if (to === 'shipped' && o.fulfilment === 'delivery') next = { ...next, shipment: bookShipment(o) };
+      if (to === 'delivered') next = withShipmentEvent(next, 'delivered');
+      if (to === 'cancelled') next = withShipmentEvent(next, 'returned', 'order cancelled');
+      return next;
+    });
+    const back = to === 'cancelled' && order.stockReserved ? returnedLines(order) : [];
+    const stock = back.length ? stockRecords(data, adjustStock(data.listings, back), back, { reason: 'cancellation', note: note || '' }) : {};
+    setData({ ...data, orders, ...stock, ledger: [...escrowRows(order, to), ...(data.ledger || [])] });
+    return { ok: true };
+  }
+
+  // Demo stand-in for the provider redirect + /payments/verify: marks every order in the checkout as paid.
+  // Too late, and the reservation is released instead.
+  function payCheckout(checkoutRef) {
+    const due = (data.orders || []).filter(o => o.checkoutRef === checkoutRef && o.status === 'pending_payment' && o.paymentMode !== 'cod' && can(currentUser, 'order:update', o));
+    if (!due.length) return { error: 'Order not found' };
+    if (expiredReservations(due, Date.now()).length) {
+      setData({ ...data, ...releaseExpired(data) });
+      return { error: `This order was not paid within ${RESERVATION_MINUTES} minutes, so it was cancelled and the items went back on sale` };
+    }
+    const orders = (data.orders || []).map(o => due.includes(o)
+      ? { ...o, status: 'paid', history: [...(o.history || []), { status: 'paid', at: nowISO(), by: currentUser?.id, note: 'demo payment' }] }
+      : o);
+    const rows = due.flatMap(o => escrowRows(o, 'paid'));
+    setData({ ...data, orders, ledger: [...rows, ...(data.ledger || [])] });
+    return { ok: true };
+  }
+
+  // Seller/rider enters the code the buyer shows at handover: records the cash and the delivery in one go.
+  function confirmCodDelivery(orderId, code) {
+    const order = (data.orders || []).find(o => o.id === orderId);
+    if (!order || !can(currentUser, 'order:update', order)) return { error: 'Order not found' };
+    if (scopeOf(currentUser, 'order:update') !== 'all' && ![order.sellerId, order.riderId].includes(currentUser.id)) return { error: 'Only the seller or rider enters the delivery code' };
+    if (order.paymentMode !== 'cod') return { error: 'Not a Pay on Delivery order' };
+    if (order.status !== 'shipped') return { error: 'Order must be shipped first' };
+    const locked = 'Too many wrong codes. The buyer needs to get a new delivery code';
+    if (!order.deliveryCode) return { error: locked };
+    if (String(code || '').trim() !== order.deliveryCode) {
+      const codeAttempts = (order.codeAttempts || 0) + 1;
+      const spent = codeAttempts >= DELIVERY_CODE_ATTEMPTS;
+      setData({ ...data, orders: data.orders.map(o => o.id === orderId ? { ...o, codeAttempts, ...(spent ? { deliveryCode: null } : {}) } : o) });
+      return { error: spent ? locked : 'Wrong delivery code' };
+    }
+    const at = nowISO();
+    const history = [...(order.history || []),
+      { status: 'paid', at, by: currentUser?.id, note: 'cash collected (delivery code)' },
+      { status: 'delivered', at, by: currentUser?.id }];
+    const orders = data.orders.map(o => o.id === orderId ? withShipmentEvent({ ...o, status: 'delivered', deliveryCode: undefined, history }, 'delivered') : o);
+    setData({ ...data, orders });
+    return { ok: true };
+  }
+
+  // Buyer replaces a code that was used up by wrong attempts (POST /api/orders/:id/cod/resend on the server).
+  function resendDeliveryCode(orderId) {
+    const order = (data.orders || []).find(o => o.id === orderId);
+    if (!order || !can(currentUser, 'order:update', order)) return { error: 'Order not found' };
+    if (order.buyerId !== currentUser.id) return { error: 'Only the buyer can get a new delivery code' };
+    if (order.paymentMode !== 'cod' || !['pending_payment', 'shipped'].includes(order.status)) return { error: 'This order has no delivery code' };
+    setData({ ...data, orders: data.orders.map(o => o.id === orderId ? { ...o, deliveryCode: newDeliveryCode(), codeAttempts: 0 } : o) });
+    return { ok: true };
+  }
+
+  function saveCodSettings(sellerId, settings) {
+    setData({ ...data, codSettings: { ...(data.codSettings || {}), [sellerId]: settings } });
+  }
+
+  // --- Inventory ---
+  // listings already has the change; returns the listings, movements and alerts to store with it:
+  // low stock for the seller, and back in stock for buyers who saved the listing.
+  function stockRecords(state, listings, lines, meta) {
+    const movements = movementsFor(listings, lines, { by: currentUser?.id || null, ...meta });
+    let alerts = lowStockAlerts(state.alerts || {}, listings, movements);
+    for (const id of new Set(lines.map(i => i.listingId))) {
+      const before = state.listings.find(l => l.id === id);
+      const after = listings.find(l => l.id === id);
+      if (before && after) alerts = favouriteAlerts(before, after, alerts);
+    }
+    return { listings, alerts, stockMovements: [...movements, ...(state.stockMovements || [])] };
+  }
+
+  // Cancels online orders left unpaid past their reservation and puts their stock back on sale.
+  function releaseExpired(state) {
+    const expired = expiredReservations(state.orders || [], Date.now());
+    if (!expired.length) return {};
+    const at = nowISO();
+    const orders = state.orders.map(o => expired.includes(o)
+      ? { ...o, status: 'cancelled', history: [...(o.history || []), { status: 'cancelled', at, by: null, note: 'payment not received in time' }] }
+      : o);
+    const back = expired.flatMap(returnedLines);
+    return { orders, ...stockRecords(state, adjustStock(state.listings, back), back, { reason: 'reservation_expired', by: null }) };
+  }
+
+  // Stock changes outside orders. A restock adds what arrived; an adjustment sets the count after a
+  // recount, damage or a sale made elsewhere, and needs a reason.
+  function updateStock(listingId, variantId, { add, count, note = '' }) {
+    const listing = data.listings.find(l => l.id === listingId);
+    if (!listing || !can(currentUser, 'listing:update', listing)) return { error: 'You cannot change this stock' };
+    if ((listing.variants || []).length && !variantOf(listing, variantId)) return { error: 'Choose a variant' };
+    const restock = add !== undefined;
+    const n = Number(restock ? add : count);
+    if (String(restock ? add : count).trim() === '' || !Number.isInteger(n) || n < (restock ? 1 : 0)) return { error: restock ? 'Enter how many arrived' : 'Enter the count' };
+    const delta = restock ? n : n - stockOf(listing, variantId);
+    if (!delta) return { ok: true };
+    if (!restock && !String(note).trim()) return { error: 'Say why the stock changed, e.g. damaged or recounted' };
+    const lines = [{ listingId, variantId: variantId || null, delta }];
+    setData({ ...data, ...stockRecords(data, adjustStock(data.listings, lines), lines, { reason: restock ? 'restock' : 'adjustment', note: String(note).trim() }) });
+    return { ok: true };
+  }
+
+  function setLowStockLevel(listingId, level) {
+    const n = Number(level);
+    if (String(level).trim() === '' || !Number.isInteger(n) || n < 0) return { error: 'Enter 0 or more (0 warns only when it sells out)' };
+    return updateListing(listingId, { lowStockAt: n });
+  }
+
+  function movementsOf(sellerId) {
+    const mine = new Set(data.listings.filter(l => l.sellerId === sellerId).map(l => l.id));
+    return (data.stockMovements || []).filter(m => mine.has(m.listingId));
+  }
+
+  // --- Delivery zones & shipments ---
+  function saveDeliveryZones(sellerId, zones) {
+    setData({ ...data, deliveryZones: { ...(data.deliveryZones || {}), [sellerId]: zones } });
+  }
+
+  // Demo stand-in for the server's local mock carrier: booking returns a tracking number,
+  // and every update is appended to shipment.events, which the buyer sees as a timeline.
+  function bookShipment(order) {
+    return { carrier: 'local', trackingNumber: uid('MM').toUpperCase(), status: 'booked', events: [{ status: 'booked', at: nowISO(), note: `Booked for delivery to ${order.shipTo?.state || 'buyer'}` }] };
+  }
+
+  function withShipmentEvent(order, status, note) {
+    if (!order.shipment) return order;
+    return { ...order, shipment: { ...order.shipment, status, events: [...order.shipment.events, { status, at: nowISO(), note }] } };
+  }
+
+  // Seller/carrier tracking updates between booking and delivery. Steps only move forward;
+  // 'delivered' is left to the order transition (or the COD delivery code).
+  function updateShipment(orderId, status, note) {
+    const order = (data.orders || []).find(o => o.id === orderId);
+    if (!order || !can(currentUser, 'order:update', order)) return { error: 'Order not found' };
+    if (scopeOf(currentUser, 'order:update') !== 'all' && order.sellerId !== currentUser.id) return { error: 'Only the seller updates tracking' };
+    if (!order.shipment) return { error: 'This order has no shipment' };
+    if (order.status !== 'shipped') return { error: 'Only shipped orders can be tracked' };
+    if (status === 'delivered' || SHIPMENT_STEPS.indexOf(status) <= SHIPMENT_STEPS.indexOf(order.shipment.status)) {
+      return { error: `Cannot move shipment from ${order.shipment.status} to ${status}` };
+    }
+    setData({ ...data, orders: data.orders.map(o => o.id === orderId ? withShipmentEvent(o, status, note) : o) });
+    return { ok: true };
+  }
+
+  // --- Escrow ledger (double-entry) ---
+  // Every posting is a balanced pair of rows sharing a txnId. Payment credits the seller's held
+  // bucket; buyer confirmation moves it to available; cancelling a paid order owes it back to the buyer.
+  function escrowRows(order, to) {
+    if (order.paymentMode === 'cod') return []; // cash is collected by the seller, never held by us
+    const txnId = uid('txn_');
+    const row = (account, debit, credit, kind) => ({ id: uid('le_'), txnId, kind, orderId: order.id, sellerId: order.sellerId, account, debit, credit, createdAt: nowISO() });
+    const held = `seller:${order.sellerId}:held`;
+    if (to === 'paid') return [row('platform:clearing', order.total, 0, 'payment'), row(held, 0, order.total, 'payment')];
+    if (to === 'completed') return [row(held, order.total, 0, 'release'), row(`seller:${order.sellerId}:available`, 0, order.total, 'release')];
+    if (to === 'cancelled' && order.status === 'paid') return [row(held, order.total, 0, 'cancel'), row('platform:refunds_due', 0, order.total, 'cancel')];
+    return [];
+  }
+
+  function sellerBalances(sellerId) {
+    const sum = bucket => (data.ledger || []).filter(e => e.account === `seller:${sellerId}:${bucket}`).reduce((n, e) => n + e.credit - e.debit, 0);
+    return { held: sum('held'), available: sum('available') };
+  }
+
+  // --- Helpers / derived data ---
+  const listings = useMemo(() => data.listings || [], [data.listings]);
+  const users = data.users || [];
+
+  function sellerOf(listing) { return users.find(u => u.id === listing.sellerId) || { name: 'Unknown' }; }
+
+  // --- Import / Export ---
+  // Password hashes, ID documents, BVN details and the document access log never leave the browser,
+  // and an import can never set them.
+  async function exportJSON() {
+    const { credentials, documentAccess, ...exportable } = data;
+    const images = await exportImages(data.listings, data.conversations, data.users);
+    const blob = new Blob([JSON.stringify({ ...exportable, users: withoutVerificationSecrets(data.users), images }, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url; a.download = 'marketmate_export.json'; a.click(); URL.revokeObjectURL(url);
+  }
+
+  function importJSON(file) {
+    const reader = new FileReader();
+    reader.onload = async () => {
+      try {
+        const { images, ...parsed } = JSON.parse(reader.result);
+        await importImages(images);
+        setData(prev => cleanListingCategories(cleanListingLocations({ ...parsed, categories: parsed.categories || prev.categories, users: [...withoutVerificationSecrets(parsed.users), ...(prev.users||[])], credentials: prev.credentials || {}, documentAccess: prev.documentAccess || [], conversations: mergeConversations(prev.conversations, parsed.conversations) })));
+        alert('Imported data — merged with existing state');
+      } catch (e) { alert('Failed to import: ' + e.message); }
+    };
+    reader.readAsText(file);
+  }
+
+  // --- UI small components ---
+  function SellerBadge({ user }) {
+    return (
+      <span className={`text-xs px-2 py-0.5 rounded-full ${user?.verified ? 'bg-green-100 text-green-800' : 'bg-yellow-100 text-yellow-800'}`}>
+        {kycOf(user).tier >= 3 ? 'Verified Business' : user?.verified ? 'Verified Seller' : (['submitted', 'in_review'].includes(kycOf(user).status) ? 'Verifying...' : 'Unverified')}
+      </span>
+    );
+  }
+
+  // Dependent LGA picker: only the chosen state's LGAs, disabled until a state is chosen.
+  // emptyLabel names the blank choice ("All LGAs" in filters, "Whole state" for delivery zones).
+  function LgaSelect({ state, value, onChange, emptyLabel = 'Choose LGA', className = 'p-2 border rounded' }) {
+    const lgas = LGAS[state] || [];
+    return (
+      <select value={value || ''} onChange={e => onChange(e.target.value)} disabled={!lgas.length} className={className}>
+        <option value="">{emptyLabel}</option>
+        {lgas.map(l => <option key={l}>{l}</option>)}
+      </select>
+    );
+  }
+
+  // Buyers save a listing with the heart; its seller sees how many have instead.
+  function FavouriteButton({ listing }) {
+    if (can(currentUser, 'listing:update', listing)) return <span className="text-xs text-gray-500" title="Buyers who saved this listing">♥ {favouriteCount(listing.id)} saved</span>;
+    const saved = isFavourite(listing.id);
+    return (
+      <button onClick={() => { const res = toggleFavourite(listing); if (res.error) alert(res.error); }} title={saved ? 'Remove from favourites' : 'Save to favourites'} className={`px-3 py-1 border rounded ${saved ? 'text-red-600' : ''}`}>
+        {saved ? '♥' : '♡'}
+      </button>
+    );
+  }
+
+  function placeLabel(l) {
+    return [l.state, l.lga].filter(Boolean).join(' / ') + (l.area ? ` (${l.area})` : '');
+  }
+
+  // --- Browse view ---
+  function Browse() {
+    const origin = searchOrigin(filters, myPosition);
+    const distances = origin ? distancesFrom(origin, listings) : {};
+
+    const result = searchListings(listings, filters, origin ? distances : null);
+    // Follow the cursors page by page, as the client does against the server.
+    const shown = [];
+    let cursor = null;
+    for (let i = 0; i < browsePages; i++) {
+      const page = pageAfter(result.hits, cursor);
+      shown.push(...page.items);
+      cursor = page.nextCursor;
+      if (!cursor) break;
+    }
+
+    // Infinite scroll: load the next page when the end of the list comes into view.
+    const sentinel = useRef(null);
+    useEffect(() => {
+      if (!cursor || !sentinel.current) return;
+      const observer = new IntersectionObserver(entries => { if (entries[0].isIntersecting) setBrowsePages(n => n + 1); }, { rootMargin: '200px' });
+      observer.observe(sentinel.current);
+      return () => observer.disconnect();
+    }, [cursor]);
+
+    // Distance replaces the state filter: the nearest seller may be across a state line.
+    function chooseNear(near) {
+      if (!near) return setFilters({ ...filters, near, sort: filters.sort === 'nearest' ? 'relevance' : filters.sort });
+      if (near === 'place') return setFilters({ ...filters, near, state: 'All', lga: '', sort: 'nearest' });
+      if (!navigator.geolocation) return alert('This browser cannot share your location. Choose a place instead.');
+      navigator.geolocation.getCurrentPosition(
+        pos => { setMyPosition({ lat: pos.coords.latitude, lng: pos.coords.longitude }); setFilters(f => ({ ...f, near: 'me', state: 'All', lga: '', sort: 'nearest' })); },
+        () => alert('Location permission was denied. Choose a place instead.'),
+      );
+    }
+
+    function saveCurrentSearch() {
+      const name = prompt('Name this search. We will let you know when new listings match it.', describeSearch(filters, data.categories));
+      if (name === null) return;
+      const res = saveSearch(name, filters);
+      if (res.error) return alert(res.error);
+      alert('Search saved. Choose how often to hear about it under Saved.');
+    }
+
+    const counted = (label, n) => n ? `${label} (${n})` : label;
+    const attrFilters = filters.category !== 'All' ? attributeSchema(data.categories, filters.category).filter(a => a.filter) : [];
+    const setAttr = (key, v) => setFilters({ ...filters, attrs: { ...filters.attrs, [key]: v } });
+
+    return (
+      <div>
+        <div className="flex gap-2 items-center mb-4">
+          <input value={filters.q} onChange={e => setFilters({...filters, q: e.target.value})} placeholder="Search products, e.g. rice, phone" className="flex-1 p-2 border rounded" />
+          <select value={filters.state} onChange={e => setFilters({...filters, state: e.target.value, lga: ''})} className="p-2 border rounded">
+            <option>All</option>
+            {STATES.map(s => <option key={s} value={s}>{counted(s, result.facets.state[s])}</option>)}
+          </select>
+          <LgaSelect state={filters.state} value={filters.lga} onChange={lga => setFilters({...filters, lga})} emptyLabel="All LGAs" />
+          <select value={filters.category} onChange={e => setFilters({...filters, category: e.target.value, attrs: {}})} className="p-2 border rounded">
+            <option value="All">All categories</option>
+            {categoryOptions(data.categories).map(({ category: c, depth }) => (
+              <option key={c.id} value={c.id}>{'\u00a0\u00a0'.repeat(depth)}{counted(c.name, result.facets.category[c.id])}</option>
+            ))}
+          </select>
+          <select value={filters.delivery} onChange={e => setFilters({...filters, delivery: e.target.value})} className="p-2 border rounded">
+            <option value="any">Any</option>
+            <option value="pickup">{counted('Pickup', result.facets.delivery.pickup)}</option>
+            <option value="delivery">{counted('Delivery', result.facets.delivery.delivery)}</option>
+          </select>
+          <select value={filters.price} onChange={e => setFilters({...filters, price: e.target.value})} className="p-2 border rounded">
+            <option value="">Any price</option>
+            {PRICE_BUCKETS.map(b => <option key={b.key} value={b.key}>{counted(b.label, result.facets.price[b.key])}</option>)}
+          </select>
+          <select value={filters.sort} onChange={e => setFilters({...filters, sort: e.target.value})} className="p-2 border rounded">
+            <option value="relevance">{filters.q ? 'Best match' : 'Newest'}</option>
+            <option value="newest">Newest</option>
+            <option value="price_asc">Price: Low → High</option>
+            <option value="price_desc">Price: High → Low</option>
+            <option value="nearest" disabled={!origin}>Nearest first</option>
+          </select>
+        </div>
+        <div className="flex gap-2 items-center mb-4 text-sm">
+          <span className="text-gray-600">Near</span>
+          <select value={filters.near} onChange={e => chooseNear(e.target.value)} className="p-2 border rounded">
+            <option value="">Anywhere</option>
+            <option value="me">My location</option>
+            <option value="place">A place…</option>
+          </select>
+          {filters.near === 'place' && (
+            <>
+              <select value={filters.nearState} onChange={e => setFilters({ ...filters, nearState: e.target.value, nearLga: '' })} className="p-2 border rounded">
+                {STATES.map(s => <option key={s}>{s}</option>)}
+              </select>
+              <LgaSelect state={filters.nearState} value={filters.nearLga} onChange={nearLga => setFilters({ ...filters, nearLga })} emptyLabel="Anywhere in the state" />
+            </>
+          )}
+          {filters.near && (
+            <select value={filters.radiusKm} onChange={e => setFilters({ ...filters, radiusKm: Number(e.target.value) || '' })} className="p-2 border rounded">
+              {RADII_KM.map(km => <option key={km} value={km}>within {km} km</option>)}
+              <option value="">any distance</option>
+            </select>
+          )}
+        </div>
+        {attrFilters.length > 0 && (
+          <div className="flex gap-2 items-center mb-4 text-sm flex-wrap">
+            <span className="text-gray-600">{categoryById(data.categories, filters.category).name}</span>
+            {attrFilters.map(a => {
+              const v = filters.attrs[a.key];
+              if (a.type === 'select') return (
+                <select key={a.key} value={v || ''} onChange={e => setAttr(a.key, e.target.value)} className="p-2 border rounded">
+                  <option value="">{a.label}: any</option>
+                  {a.options.map(o => <option key={o}>{o}</option>)}
+                </select>
+              );
+              if (a.type === 'number') return (
+                <span key={a.key} className="flex gap-1 items-center">
+                  {a.label}{a.unit ? ` (${a.unit})` : ''}
+                  <input type="number" value={(v || {}).min ?? ''} onChange={e => setAttr(a.key, { ...(v || {}), min: e.target.value })} placeholder="from" className="w-24 p-2 border rounded" />
+                  <input type="number" value={(v || {}).max ?? ''} onChange={e => setAttr(a.key, { ...(v || {}), max: e.target.value })} placeholder="to" className="w-24 p-2 border rounded" />
+                </span>
+              );
+              return <input key={a.key} value={v || ''} onChange={e => setAttr(a.key, e.target.value)} placeholder={a.label} className="p-2 border rounded" />;
+            })}
+          </div>
+        )}
+
+        <div className="flex items-center text-sm text-gray-600 mb-2">
+          <div>
+            {result.total} result{result.total === 1 ? '' : 's'}
+            {result.corrected && <> • Showing results for <b>{result.corrected}</b></>}
+          </div>
+          {currentUser && <button onClick={saveCurrentSearch} className="ml-auto px-3 py-1 border rounded">Save this search</button>}
+        </div>
+
+        <div className="grid sm:grid-cols-2 lg:grid-cols-3 gap-4">
+          {result.total === 0 && <div className="p-6 bg-white rounded shadow text-center">No items found. Try changing filters or create the first listing.</div>}
+          {shown.map(({ listing: l }) => (
+            <div key={l.id} className="bg-white rounded p-4 shadow flex flex-col">
+              <div className="flex gap-3">
                 <div className="w-24 h-24 bg-gray-100 rounded overflow-hidden flex items-center justify-center">
-                  {l.images[0] ? <img src={l.images[0]} alt="product" className="object-cover w-full h-full" /> : <div className="text-xs text-gray-500">No image</div>}
+                  {l.images[0] ? <Photo src={l.images[0]} rendition="thumb" alt="product" className="object-cover w-full h-full" /> : <div className="text-xs text-gray-500">No image</div>}
+                </div>
+                <div className="flex-1">
+                  <h3 className="font-semibold">{l.title}</h3>
+                  <div className="text-xs text-gray-500">{l.category} • {placeLabel(l)}{origin && distances[l.id] !== Infinity ? ` • ${formatKm(distances[l.id])} away` : ''}</div>
+                  <div className="text-xs text-gray-600">{attributeSummary(attributeSchema(data.categories, l.categoryId), l.attributes)}</div>
+                  <div className="mt-2 font-bold">{priceLabel(l)}</div>
+                </div>
+              </div>
+
+              <p className="text-sm text-gray-700 mt-3 flex-1">{l.description}</p>
+
+              <div className="mt-3 flex items-center justify-between">
+                <div className="flex gap-2 items-center">
+                  <button onClick={() => showShop(l.sellerId)} className="text-xs underline">Seller: {shopNameOf(sellerOf(l))}</button>
+                  <SellerBadge user={sellerOf(l)} />
+                </div>
+                <div className="flex gap-2 items-center">
+                  <FavouriteButton listing={l} />
+                  <button onClick={() => { setView('details'); setSelectedListing(l); }} className="px-3 py-1 border rounded">View</button>
+                  {can(currentUser, 'listing:update', l) && (
+                    <button onClick={() => { setView('create'); setEditingListing(l); }} className="px-3 py-1 border rounded">Edit</button>
+                  )}
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+        {cursor && (
+          <div ref={sentinel} className="text-center mt-4">
+            <button onClick={() => setBrowsePages(n => n + 1)} className="px-3 py-1 border rounded text-sm">Load more</button>
+          </div>
+        )}
+      </div>
+    );
+  }
+
+  // --- Create/Edit listing view ---
+  const [editingListing, setEditingListing] = useState(null);
+  function CreateEdit() {
+    const draftKey = `listing:${editingListing ? editingListing.id : 'new'}`;
+    const [form, setForm] = useDraft(drafts, draftKey, () => editingListing ? { variantAxes: [], variants: [], ...editingListing } : { title: '', description: '', price: '', categoryId: '', attributes: {}, state: STATES[0], lga: '', area: '', images: [], delivery: 'pickup', qty: 1, variantAxes: [], variants: [] });
+    const close = () => { delete drafts.current.values[draftKey]; setEditingListing(null); setView('browse'); };
+    const schema = attributeSchema(data.categories, form.categoryId);
+    const setAttr = (key, v) => setForm({ ...form, attributes: { ...form.attributes, [key]: v } });
+
+    const [processing, setProcessing] = useState(0); // photos being resized
+
+    // Resizes and stores the photo, then keeps its ref; the form never holds the file itself.
+    async function addPhoto(file, keep) {
+      if (!file) return;
+      setProcessing(n => n + 1);
+      const res = await uploadImage(file);
+      setProcessing(n => n - 1);
+      if (res.error) return alert(res.error);
+      keep(res.ref);
+    }
+
+    function handleImage(file) {
+      addPhoto(file, ref => setForm(prev => ({ ...prev, images: [ref, ...(prev.images || []).filter(src => src !== ref)] })));
+    }
+
+    // --- variants ---
+    const hasVariants = form.variantAxes.length > 0;
+    const setVariant = (i, patch) => setForm({ ...form, variants: form.variants.map((v, j) => j === i ? { ...v, ...patch } : v) });
+
+    function addAxis() {
+      const name = VARIANT_AXIS_SUGGESTIONS.find(a => !form.variantAxes.includes(a)) || '';
+      // the first option starts one variant at the listing's own price and stock
+      const variants = form.variants.length ? form.variants : [{ options: {}, price: form.price, qty: form.qty, images: [] }];
+      setForm({ ...form, variantAxes: [...form.variantAxes, name], variants });
+    }
+
+    // renaming an option keeps the values typed under it
+    function renameAxis(i, name) {
+      const old = form.variantAxes[i];
+      const variants = form.variants.map(v => {
+        const { [old]: value, ...rest } = v.options || {};
+        return { ...v, options: { ...rest, [name]: value } };
+      });
+      setForm({ ...form, variantAxes: form.variantAxes.map((a, j) => j === i ? name : a), variants });
+    }
+
+    function removeAxis(i) {
+      const variantAxes = form.variantAxes.filter((_, j) => j !== i);
+      setForm({ ...form, variantAxes, variants: variantAxes.length ? form.variants : [] });
+    }
+
+    function variantImage(i, file) {
+      addPhoto(file, ref => setForm(prev => ({ ...prev, variants: prev.variants.map((v, j) => j === i ? { ...v, images: [ref] } : v) })));
+    }
+
+    function dropPin() {
+      if (!navigator.geolocation) return alert('This browser cannot share your location');
+      navigator.geolocation.getCurrentPosition(
+        pos => setForm(prev => ({ ...prev, lat: roundCoord(pos.coords.latitude), lng: roundCoord(pos.coords.longitude), geoSource: 'pin' })),
+        () => alert('Location permission was denied'),
+      );
+    }
+
+    function save(e) {
+      e.preventDefault();
+      if (processing) return alert('Wait for your photos to finish');
+      if (editingListing) {
+        const res = updateListing(editingListing.id, { ...form });
+        if (res.error) return alert(res.error);
+        return close();
+      }
+      const res = createListing(form);
+      if (res.error) return alert(res.error);
+      close();
+    }
+
+    return (
+      <form onSubmit={save} className="bg-white p-4 rounded shadow">
+        <div className="grid md:grid-cols-2 gap-3">
+          <div>
+            <label className="text-xs">Title</label>
+            <input value={form.title} onChange={e => setForm({...form, title: e.target.value})} className="w-full p-2 border rounded mb-2" />
+            <label className="text-xs">Description</label>
+            <textarea value={form.description} onChange={e => setForm({...form, description: e.target.value})} rows={4} className="w-full p-2 border rounded mb-2" />
+            <div className="flex gap-2">
+              <div className="w-36">
+                <label className="text-xs">Price (NGN)</label>
+                {hasVariants
+                  ? <div className="p-2 mb-2 text-sm text-gray-500">Set per variant</div>
+                  : <input value={form.price} onChange={e => setForm({...form, price: e.target.value.replace(/[^0-9]/g,'')})} className="w-full p-2 border rounded mb-2" />}
+              </div>
+              <div className="flex-1">
+                <label className="text-xs">Category</label>
+                <select value={form.categoryId} onChange={e => setForm({...form, categoryId: e.target.value})} className="w-full p-2 border rounded mb-2">
+                  <option value="">Choose a category</option>
+                  {categoryOptions(data.categories, { includeArchived: true })
+                    .filter(({ category: c }) => c.id === form.categoryId || categoryOpen(data.categories, c.id))
+                    .map(({ category: c, depth }) => <option key={c.id} value={c.id}>{'\u00a0\u00a0'.repeat(depth)}{c.name}</option>)}
+                </select>
+              </div>
+            </div>
+            {schema.length > 0 && (
+              <div className="grid grid-cols-2 gap-2 mb-2">
+                {schema.map(a => (
+                  <div key={a.key}>
+                    <label className="text-xs">{a.label}{a.unit ? ` (${a.unit})` : ''}{a.required ? ' *' : ''}</label>
+                    {a.type === 'select'
+                      ? <select value={form.attributes[a.key] ?? ''} onChange={e => setAttr(a.key, e.target.value)} className="w-full p-2 border rounded">
+                          <option value="">—</option>
+                          {a.options.map(o => <option key={o}>{o}</option>)}
+                        </select>
+                      : <input type={a.type === 'number' ? 'number' : 'text'} min={a.min} max={a.max} value={form.attributes[a.key] ?? ''} onChange={e => setAttr(a.key, e.target.value)} className="w-full p-2 border rounded" />}
+                  </div>
+                ))}
+              </div>
+            )}
+
+            <div className="flex gap-2">
+              <select value={form.state} onChange={e => setForm({...form, state: e.target.value, lga: '', area: ''})} className="p-2 border rounded w-1/2">
+                {STATES.map(s => <option key={s}>{s}</option>)}
+              </select>
+              <LgaSelect state={form.state} value={form.lga} onChange={lga => setForm({...form, lga, area: ''})} className="p-2 border rounded w-1/2" />
+            </div>
+            <input list="listing-areas" value={form.area || ''} onChange={e => setForm({...form, area: e.target.value})} placeholder="Area / town (optional)" className="w-full p-2 border rounded mt-2" />
+            <datalist id="listing-areas">
+              {((AREAS[form.state] || {})[form.lga] || []).map(a => <option key={a} value={a} />)}
+            </datalist>
+            <div className="flex gap-2 items-center mt-2 text-xs text-gray-600">
+              {form.geoSource === 'pin'
+                ? <>
+                    <span>Pinned at {form.lat}, {form.lng}</span>
+                    <button type="button" onClick={() => setForm({ ...form, geoSource: 'place' })} className="px-2 py-1 border rounded">Use the LGA instead</button>
+                  </>
+                : <>
+                    <span>Distance is measured from the centre of the LGA.</span>
+                    <button type="button" onClick={dropPin} className="px-2 py-1 border rounded">Pin my current location</button>
+                  </>}
+            </div>
+
+            <div className="mt-2">
+              <label className="text-xs">Delivery option</label>
+              <select value={form.delivery} onChange={e => setForm({...form, delivery: e.target.value})} className="p-2 border rounded w-full">
+                <option value="pickup">Pickup</option>
+                <option value="delivery">Delivery</option>
+              </select>
+            </div>
+          </div>
+
+          <div>
+            <label className="text-xs">Images</label>
+            <div className="flex gap-2 flex-wrap mt-2">
+              {(form.images || []).map((src, i) => (
+                <div key={i} className="w-24 h-24 bg-gray-100 rounded overflow-hidden relative">
+                  <Photo src={src} rendition="thumb" alt="img" className="object-cover w-full h-full" />
+                  <button type="button" onClick={() => setForm({...form, images: form.images.filter((_, idx)=> idx!==i)})} className="absolute top-1 right-1 bg-white rounded-full p-0.5 text-xs">×</button>
+                </div>
+              ))}
+              <label className="w-24 h-24 flex items-center justify-center bg-gray-50 border rounded cursor-pointer">
+                <input type="file" accept={IMAGE_TYPES.join(',')} onChange={e => handleImage(e.target.files[0])} style={{display:'none'}} />
+                Add
+              </label>
+            </div>
+            {processing > 0 && <div className="text-xs text-gray-500 mt-1">Preparing photo…</div>}
+
+            {!hasVariants && (
+              <div className="mt-4">
+                <label className="text-xs">Quantity (0 marks it sold out)</label>
+                <input type="number" min="0" value={form.qty} onChange={e => setForm({...form, qty: Number(e.target.value)})} className="w-32 p-2 border rounded" />
+              </div>
+            )}
+
+            <div className="mt-4">
+              <label className="text-xs">Variants — sizes, colours or pack sizes, each with its own price and stock</label>
+              <div className="flex gap-2 items-center mt-1 flex-wrap">
+                {form.variantAxes.map((a, i) => (
+                  <span key={i} className="flex items-center gap-1">
+                    <input list="variant-axes" value={a} onChange={e => renameAxis(i, e.target.value)} placeholder="e.g. Size" className="w-24 p-1 border rounded text-sm" />
+                    <button type="button" onClick={() => removeAxis(i)} className="px-1 border rounded text-xs">×</button>
+                  </span>
+                ))}
+                {form.variantAxes.length < MAX_VARIANT_AXES && (
+                  <button type="button" onClick={addAxis} className="px-2 py-1 border rounded text-xs">{hasVariants ? 'Add another option' : 'Add options'}</button>
+                )}
+                <datalist id="variant-axes">{VARIANT_AXIS_SUGGESTIONS.map(a => <option key={a} value={a} />)}</datalist>
+              </div>
+              {hasVariants && (
+                <div className="mt-2 text-sm">
+                  <div className="flex gap-1 text-xs text-gray-500">
+                    {form.variantAxes.map((a, i) => <span key={i} className="w-20">{a}</span>)}
+                    <span className="w-24">Price (NGN)</span><span className="w-16">Stock</span><span>Photo</span>
+                  </div>
+                  {form.variants.map((v, i) => (
+                    <div key={v.id || i} className="flex gap-1 items-center mb-1">
+                      {form.variantAxes.map((a, k) => (
+                        <input key={k} value={(v.options || {})[a] || ''} onChange={e => setVariant(i, { options: { ...v.options, [a]: e.target.value } })} className="w-20 p-1 border rounded" />
+                      ))}
+                      <input value={v.price} onChange={e => setVariant(i, { price: e.target.value.replace(/[^0-9]/g, '') })} className="w-24 p-1 border rounded" />
+                      <input type="number" min="0" value={v.qty} onChange={e => setVariant(i, { qty: Number(e.target.value) })} className="w-16 p-1 border rounded" />
+                      <label className="w-9 h-9 bg-gray-50 border rounded cursor-pointer overflow-hidden flex items-center justify-center text-xs">
+                        {(v.images || [])[0] ? <Photo src={v.images[0]} rendition="thumb" alt="variant" className="object-cover w-full h-full" /> : '+'}
+                        <input type="file" accept={IMAGE_TYPES.join(',')} onChange={e => variantImage(i, e.target.files[0])} style={{display:'none'}} />
+                      </label>
+                      <button type="button" onClick={() => setForm({ ...form, variants: form.variants.filter((_, j) => j !== i) })} className="px-2 border rounded text-xs">×</button>
+                    </div>
+                  ))}
+                  {form.variants.length < MAX_VARIANTS && (
+                    <button type="button" onClick={() => setForm({ ...form, variants: [...form.variants, { options: {}, price: '', qty: 1, images: [] }] })} className="px-2 py-1 border rounded text-xs">Add variant</button>
+                  )}
+                </div>
+              )}
+            </div>
+
+            <div className="mt-6 flex gap-2">
+              <button className="px-4 py-2 bg-blue-600 text-white rounded">Save Listing</button>
+              <button type="button" onClick={close} className="px-4 py-2 border rounded">Cancel</button>
+              {editingListing && (
+                <button type="button" onClick={() => {
+                  if (!confirm('Delete this listing?')) return;
+                  const res = deleteListing(editingListing.id);
+                  if (res.error) return alert(res.error);
+                  close();
+                }} className="px-4 py-2 border border-red-300 text-red-700 rounded">Delete</button>
+              )}
+            </div>
+          </div>
+        </div>
+      </form>
+    );
+  }
+
+  // --- Details view ---
+  const [selectedListing, setSelectedListing] = useState(null);
+  const [variantChoice, setVariantChoice] = useState({}); // listingId -> { Size: '42', Colour: 'Black' }
+  function Details() {
+    // the stored copy, so stock taken by a checkout shows straight away
+    const l = selectedListing && (listings.find(x => x.id === selectedListing.id) || selectedListing);
+    if (!l) return <div className="p-4">No listing selected</div>;
+    const seller = sellerOf(l);
+    const listingReviews = data.reviews.filter(r => r.listingId === l.id);
+    const axes = (l.variants || []).length ? l.variantAxes : [];
+    const valuesOf = axis => Array.from(new Set(l.variants.map(v => v.options[axis])));
+    // an option with a single value needs no choosing
+    const choice = { ...Object.fromEntries(axes.filter(a => valuesOf(a).length === 1).map(a => [a, valuesOf(a)[0]])), ...(variantChoice[l.id] || {}) };
+    const chosen = axes.length ? l.variants.find(v => axes.every(a => v.options[a] === choice[a])) || null : null;
+    const offer = offerOf(l, chosen && chosen.id);
+    const choose = (axis, value) => setVariantChoice({ ...variantChoice, [l.id]: { ...choice, [axis]: value } });
+
+    // the tab is opened first, while the click still counts as the user's, then pointed at the full rendition
+    function openFullSize(src) {
+      const tab = window.open('', '_blank');
+      imageUrl(src, 'full').then(url => { if (url) tab.location = url; else tab.close(); });
+    }
+    // a value is greyed out when nothing with it (and the other picks) is in stock
+    const inStock = (axis, value) => l.variants.some(v => v.qty > 0 && v.options[axis] === value && axes.every(a => a === axis || !choice[a] || v.options[a] === choice[a]));
+    const buy = then => { const res = addToCart(l.id, 1, chosen && chosen.id); if (res.error) alert(res.error); else then(); };
+    return (
+      <div className="bg-white p-4 rounded shadow">
+        <div className="grid md:grid-cols-3 gap-4">
+          <div className="col-span-1">
+            <div className="w-full h-64 bg-gray-100 rounded overflow-hidden">
+              {offer.images[0] ? (
+                <button onClick={() => openFullSize(offer.images[0])} className="w-full h-full" title="View full size">
+                  <Photo src={offer.images[0]} rendition="medium" alt="main" className="object-cover w-full h-full" />
+                </button>
+              ) : <div className="p-6 text-gray-500">No image</div>}
+            </div>
+            <div className="grid grid-cols-4 gap-2 mt-2">
+              {l.images.map((im, i) => (
+                <button key={i} onClick={() => openFullSize(im)} title="View full size">
+                  <Photo src={im} rendition="thumb" className="w-full h-16 object-cover rounded" alt="thumb" />
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div className="col-span-2">
+            <h2 className="text-2xl font-semibold">{l.title}</h2>
+            <div className="text-sm text-gray-500">{categoryLabel(data.categories, l.categoryId)} • {placeLabel(l)}</div>
+            <div className="mt-3 flex items-center gap-3">
+              <div className="text-xl font-bold">{axes.length && !chosen ? priceLabel(l) : `NGN ${offer.price.toLocaleString()}`}</div>
+              {Number(l.qty) <= 0 ? <span className="text-sm text-red-600">Sold out</span>
+                : chosen ? <span className={`text-sm ${chosen.qty > 0 ? 'text-gray-600' : 'text-red-600'}`}>{chosen.qty > 0 ? `${chosen.qty} in stock` : `${offer.label} is sold out`}</span>
+                : axes.length > 0 && axes.every(a => choice[a]) ? <span className="text-sm text-red-600">Not available in {variantLabel({ options: choice }, axes)}</span>
+                : null}
+              <FavouriteButton listing={l} />
+            </div>
+            {axes.map(axis => (
+              <div key={axis} className="mt-3 flex gap-2 items-center flex-wrap text-sm">
+                <span className="w-20 text-gray-500">{axis}</span>
+                {valuesOf(axis).map(value => (
+                  <button key={value} onClick={() => choose(axis, value)}
+                    className={`px-3 py-1 border rounded ${choice[axis] === value ? 'bg-blue-600 text-white' : ''} ${inStock(axis, value) ? '' : 'line-through text-gray-400'}`}>
+                    {value}
+                  </button>
+                ))}
+              </div>
+            ))}
+            <p className="mt-4 text-gray-700">{l.description}</p>
+            {attributeSchema(data.categories, l.categoryId).some(a => l.attributes[a.key] !== undefined) && (
+              <table className="mt-4 text-sm">
+                <tbody>
+                  {attributeSchema(data.categories, l.categoryId).filter(a => l.attributes[a.key] !== undefined).map(a => (
+                    <tr key={a.key}>
+                      <td className="pr-4 text-gray-500">{a.label}</td>
+                      <td>{attributeValue(a, l.attributes[a.key])}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+
+            <div className="mt-6 flex gap-2 items-center">
+              <div>
+                <div className="text-sm">Seller: <button onClick={() => showShop(l.sellerId)} className="font-semibold underline">{shopNameOf(seller)}</button></div>
+                <SellerBadge user={seller} />
+                <div className="text-xs text-gray-500">Keep chat and payment on MarketMate; we can't help with deals made elsewhere.</div>
+              </div>
+
+              <div className="ml-auto flex gap-2">
+                {(!currentUser || currentUser.id !== l.sellerId) && <button onClick={() => openConversation(l.id)} className="px-4 py-2 border rounded">Message Seller</button>}
+                <button onClick={() => buy(() => alert('Added to cart'))} className="px-4 py-2 border rounded">Add to Cart</button>
+                <button onClick={() => buy(() => setView('cart'))} className="px-4 py-2 bg-green-600 text-white rounded">Buy Now</button>
+              </div>
+            </div>
+
+            <div className="mt-6">
+              <h3 className="font-semibold">Reviews</h3>
+              {listingReviews.length === 0 && <div className="text-sm text-gray-500">No reviews yet — be first to review.</div>}
+              {listingReviews.map(r => (
+                <div key={r.id} className="border-t pt-2 mt-2">
+                  <div className="text-sm font-semibold">{(data.users.find(u=>u.id===r.userId)||{name:'User'}).name} — {r.rating}★</div>
+                  <div className="text-sm text-gray-700">{r.text}</div>
+                </div>
+              ))}
+
+              {currentUser && (
+                <div className="mt-3">
+                  <label className="text-xs">Leave a review</label>
+                  <ReviewForm listingId={l.id} onDone={() => setSelectedListing({...l})} />
                 </div>
+              )}
+            </div>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  function ReviewForm({ listingId, onDone }) {
+    const [rating, setRating] = useDraft(drafts, `review:${listingId}:rating`, 5);
+    const [text, setText] = useDraft(drafts, `review:${listingId}:text`, '');
+    function send(e) { e.preventDefault(); addReview(listingId, rating, text); setText(''); setRating(5); onDone && onDone(); }
+    return (
+      <form onSubmit={send} className="mt-2">
+        <div className="flex gap-2">
+          <select value={rating} onChange={e=>setRating(e.target.value)} className="p-2 border rounded w-20">
+            <option value={5}>5</option>
+            <option value={4}>4</option>
+            <option value={3}>3</option>
+            <option value={2}>2</option>
+            <option value={1}>1</option>
+          </select>
+          <input value={text} onChange={e=>setText(e.target.value)} placeholder="Write your review" className="flex-1 p-2 border rounded" />
+          <button className="px-3 py-2 bg-blue-600 text-white rounded">Post</button>
+        </div>
+      </form>
+    );
+  }
+
+  // --- Cart view ---
+  function Cart() {
+    const profile = buyerProfileOf(currentUser); // the empty profile when signed out
+    const [paymentMode, setPaymentMode] = useDraft(drafts, 'cart:paymentMode', profile.paymentMode);
+    const [addressId, setAddressId] = useDraft(drafts, 'cart:addressId', (profile.addresses.find(a => a.isDefault) || {}).id || '');
+    const [shipTo, setShipTo] = useDraft(drafts, 'cart:shipTo', () => shipToFrom(profile.addresses.find(a => a.isDefault)));
+    if (!currentUser) return <div className="p-4">Please login to view your cart.</div>;
+    const lines = cartOf(currentUser.id).map(i => {
+      const listing = listings.find(l => l.id === i.listingId);
+      return { ...i, listing, offer: listing && offerOf(listing, i.variantId) };
+    }).filter(i => i.listing);
+    const sellerIds = Array.from(new Set(lines.map(i => i.listing.sellerId)));
+    const quotes = Object.fromEntries(sellerIds.map(sellerId => [sellerId,
+      orderShipping((data.deliveryZones || {})[sellerId], lines.filter(i => i.listing.sellerId === sellerId).map(i => i.listing), shipTo)]));
+    const shippingTotal = sellerIds.reduce((sum, id) => sum + (quotes[id].fee || 0), 0);
+    const total = lines.reduce((sum, i) => sum + i.offer.price * i.qty, 0) + shippingTotal;
+
+    function shipToFrom(address) {
+      return address ? { state: address.state, lga: address.lga || '', address: address.line1 } : { state: STATES[0], lga: '', address: '' };
+    }
+
+    function change(item, qty) {
+      const res = updateCartItem(item.listingId, qty, item.variantId);
+      if (res.error) alert(res.error);
+    }
+
+    function placeOrder() {
+      const res = checkout({ paymentMode, shipTo });
+      if (res.error) return alert(res.error);
+      ['cart:paymentMode', 'cart:addressId', 'cart:shipTo'].forEach(k => delete drafts.current.values[k]); // the next checkout starts from the profile again
+      setView('orders');
+    }
+
+    return (
+      <div className="bg-white p-4 rounded shadow">
+        <h2 className="font-semibold">Your Cart</h2>
+        {lines.length === 0 && <div className="text-sm text-gray-500 mt-2">Your cart is empty.</div>}
+        {sellerIds.map(sellerId => (
+          <div key={sellerId} className="border-t mt-3 pt-3">
+            <div className="text-xs text-gray-500">Sold by {shopNameOf(users.find(u => u.id === sellerId))}</div>
+            {lines.filter(i => i.listing.sellerId === sellerId).map(i => (
+              <div key={`${i.listingId}:${i.variantId || ''}`} className="flex gap-3 items-center mt-2">
                 <div className="flex-1">
-                  <h3 className="font-semibold">{l.title}</h3>
-                  <div className="text-xs text-gray-500">{l.category} • {l.state} / {l.lga}</div>
-                  <div className="mt-2 font-bold">NGN {Number(l.price).toLocaleString()}</div>
+                  <div className="font-semibold text-sm">{i.listing.title}{i.offer.label && <span className="font-normal text-gray-600"> — {i.offer.label}</span>}</div>
+                  <div className="text-xs text-gray-500">NGN {i.offer.price.toLocaleString()} • {i.offer.qty} in stock</div>
                 </div>
+                <input type="number" min="0" value={i.qty} onChange={e => change(i, e.target.value)} className="w-20 p-1 border rounded" />
+                <button onClick={() => change(i, 0)} className="px-2 py-1 border rounded text-sm">Remove</button>
               </div>
+            ))}
+            <div className={`text-xs mt-2 ${quotes[sellerId].error ? 'text-red-600' : 'text-gray-600'}`}>
+              {quotes[sellerId].error ? `This seller ${quotes[sellerId].error}`
+                : quotes[sellerId].fulfilment === 'pickup' ? 'Pickup from seller — no delivery fee'
+                : `Delivery to ${shipTo.lga ? `${shipTo.lga}, ` : ''}${shipTo.state}: NGN ${quotes[sellerId].fee.toLocaleString()} (about ${quotes[sellerId].days} day${quotes[sellerId].days === 1 ? '' : 's'})`}
+            </div>
+          </div>
+        ))}
+        {lines.length > 0 && (
+          <div className="mt-4 border-t pt-3">
+            <label className="text-xs">Deliver to</label>
+            {profile.addresses.length > 0 && (
+              <select value={addressId} onChange={e => { setAddressId(e.target.value); setShipTo(shipToFrom(profile.addresses.find(a => a.id === e.target.value))); }} className="p-2 border rounded w-full mb-2">
+                {profile.addresses.map(a => <option key={a.id} value={a.id}>{a.label || a.recipient} — {a.line1}, {a.state}</option>)}
+                <option value="">Another address</option>
+              </select>
+            )}
+            <div className="flex gap-2">
+              <select value={shipTo.state} onChange={e => setShipTo({ ...shipTo, state: e.target.value, lga: '' })} className="p-2 border rounded">
+                {STATES.map(s => <option key={s}>{s}</option>)}
+              </select>
+              <LgaSelect state={shipTo.state} value={shipTo.lga} onChange={lga => setShipTo({ ...shipTo, lga })} className="p-2 border rounded w-40" />
+              <input value={shipTo.address} onChange={e => setShipTo({ ...shipTo, address: e.target.value })} placeholder="Street address" className="flex-1 p-2 border rounded" />
+            </div>
+            <label className="text-xs mt-2 block">Payment</label>
+            <select value={paymentMode} onChange={e => setPaymentMode(e.target.value)} className="p-2 border rounded">
+              <option value="online">Pay online (Paystack / Flutterwave)</option>
+              <option value="cod">Pay on Delivery</option>
+            </select>
+          </div>
+        )}
+        {lines.length > 0 && (
+          <div className="mt-4 flex items-center">
+            <div className="font-bold">Total: NGN {total.toLocaleString()}</div>
+            {shippingTotal > 0 && <div className="text-xs text-gray-500 ml-2">incl. NGN {shippingTotal.toLocaleString()} delivery</div>}
+            {sellerIds.length > 1 && <div className="text-xs text-gray-500 ml-2">({sellerIds.length} sellers — one order each)</div>}
+            <button onClick={placeOrder} className="ml-auto px-4 py-2 bg-green-600 text-white rounded">Checkout</button>
+          </div>
+        )}
+      </div>
+    );
+  }
 
-              <p className="text-sm text-gray-700 mt-3 flex-1">{l.description}</p>
+  // --- Seller stock ---
+  function StockPanel() {
+    const mine = listings.filter(l => l.sellerId === currentUser.id);
+    const history = movementsOf(currentUser.id).slice(0, 10);
+    const [amounts, setAmounts] = useDraft(drafts, 'stock:amounts', {}); // `${listingId}:${variantId}` -> what was typed
+
+    function change(l, variantId, how) {
+      const value = amounts[`${l.id}:${variantId || ''}`] ?? '';
+      let res;
+      if (how === 'restock') res = updateStock(l.id, variantId, { add: value });
+      else {
+        const note = prompt('Why did the count change? (e.g. damaged, recounted, sold in the shop)');
+        if (note === null) return;
+        res = updateStock(l.id, variantId, { count: value, note });
+      }
+      if (res.error) alert(res.error);
+    }
+
+    function warnAt(l) {
+      const level = prompt(`Warn me when stock of "${l.title}" is down to (0 = only when it sells out)`, String(lowStockLevel(l)));
+      if (level === null) return;
+      const res = setLowStockLevel(l.id, level);
+      if (res.error) alert(res.error);
+    }
+
+    function movementTitle(m) {
+      const l = listings.find(x => x.id === m.listingId);
+      const v = l && variantOf(l, m.variantId);
+      return l ? `${l.title}${v ? ` (${variantLabel(v, l.variantAxes)})` : ''}` : 'Removed listing';
+    }
+
+    return (
+      <div className="mt-6 border-t pt-3">
+        <h3 className="font-semibold text-sm">Stock</h3>
+        <div className="text-xs text-gray-500">Sold-out listings are hidden from Browse until you restock them. Unpaid online orders hold their items for {RESERVATION_MINUTES} minutes.</div>
+        {mine.length === 0 && <div className="text-sm text-gray-500 mt-2">No listings yet.</div>}
+        {mine.map(l => {
+          const lines = (l.variants || []).length
+            ? l.variants.map(v => ({ variantId: v.id, label: variantLabel(v, l.variantAxes), qty: v.qty }))
+            : [{ variantId: null, label: 'In stock', qty: Number(l.qty) }];
+          return (
+            <div key={l.id} className="border-t py-2 text-sm mt-2">
+              <div className="flex items-center gap-2">
+                <div className="flex-1 font-medium">{l.title}</div>
+                {Number(l.qty) <= 0 && <span className="text-xs px-2 py-0.5 rounded-full bg-red-100 text-red-800">Sold out</span>}
+                <button onClick={() => warnAt(l)} className="px-2 py-1 border rounded text-xs">Warn at {lowStockLevel(l)}</button>
+              </div>
+              {lines.map(line => {
+                const key = `${l.id}:${line.variantId || ''}`;
+                return (
+                  <div key={key} className="flex items-center gap-2 mt-1">
+                    <div className="flex-1 text-xs">{line.label}: <strong className={line.qty <= lowStockLevel(l) ? 'text-red-600' : ''}>{line.qty}</strong></div>
+                    <input value={amounts[key] ?? ''} onChange={e => setAmounts({ ...amounts, [key]: e.target.value.replace(/[^0-9]/g, '') })} placeholder="Qty" className="w-16 p-1 border rounded text-xs" />
+                    <button onClick={() => change(l, line.variantId, 'restock')} className="px-2 py-1 border rounded text-xs">Restock</button>
+                    <button onClick={() => change(l, line.variantId, 'count')} className="px-2 py-1 border rounded text-xs">Set count</button>
+                  </div>
+                );
+              })}
+            </div>
+          );
+        })}
+        {history.length > 0 && (
+          <>
+            <div className="font-semibold text-xs mt-3">Recent stock changes</div>
+            <ul className="text-xs text-gray-600">
+              {history.map(m => (
+                <li key={m.id}>{m.delta > 0 ? '+' : ''}{m.delta} {movementTitle(m)} • {STOCK_REASONS[m.reason]}{m.note ? ` (${m.note})` : ''} • {m.qtyAfter} left • {new Date(m.at).toLocaleString()}</li>
+              ))}
+            </ul>
+          </>
+        )}
+      </div>
+    );
+  }
+
+  // --- Seller Pay on Delivery settings ---
+  function CodSettingsForm() {
+    const current = (data.codSettings || {})[currentUser.id] || { enabled: true, maxOrderValue: 0, states: [] };
+    const [form, setForm] = useDraft(drafts, 'cod:settings', { ...current, maxOrderValue: current.maxOrderValue || '' });
+
+    function save(e) {
+      e.preventDefault();
+      saveCodSettings(currentUser.id, { enabled: form.enabled, maxOrderValue: Number(form.maxOrderValue) || 0, states: form.states });
+      alert('Pay on Delivery settings saved');
+    }
+
+    return (
+      <form onSubmit={save} className="mt-6 border-t pt-3">
+        <h3 className="font-semibold text-sm">Pay on Delivery</h3>
+        <label className="text-sm flex gap-2 items-center mt-1">
+          <input type="checkbox" checked={form.enabled} onChange={e => setForm({ ...form, enabled: e.target.checked })} /> Accept Pay on Delivery
+        </label>
+        <div className="flex gap-3 mt-2 items-start">
+          <div>
+            <label className="text-xs">Max order value (NGN, empty = no limit)</label>
+            <input value={form.maxOrderValue} onChange={e => setForm({ ...form, maxOrderValue: e.target.value.replace(/[^0-9]/g,'') })} className="w-40 p-2 border rounded block" />
+          </div>
+          <div>
+            <label className="text-xs">Only these states (none selected = everywhere)</label>
+            <select multiple value={form.states} onChange={e => setForm({ ...form, states: Array.from(e.target.selectedOptions, o => o.value) })} className="p-2 border rounded h-24 block">
+              {STATES.map(s => <option key={s}>{s}</option>)}
+            </select>
+          </div>
+          <button className="px-3 py-2 bg-blue-600 text-white rounded text-sm self-end">Save</button>
+        </div>
+      </form>
+    );
+  }
+
+  // --- Seller delivery zones ---
+  function DeliveryZonesForm() {
+    const zones = (data.deliveryZones || {})[currentUser.id] || [];
+    const [form, setForm] = useDraft(drafts, 'delivery:zone', { state: STATES[0], lga: '', fee: '', days: '' });
+
+    function add(e) {
+      e.preventDefault();
+      if (!form.fee) return alert('Enter a delivery fee');
+      const place = locationProblem(form.state, form.lga);
+      if (place) return alert(place);
+      if (zones.some(z => z.state === form.state && (z.lga || '') === form.lga)) return alert('You already have a zone for that area');
+      saveDeliveryZones(currentUser.id, [...zones, { id: uid('z_'), state: form.state, lga: form.lga, fee: Number(form.fee), days: Number(form.days) || 1 }]);
+      setForm({ ...form, lga: '', fee: '', days: '' });
+    }
+
+    return (
+      <form onSubmit={add} className="mt-6 border-t pt-3">
+        <h3 className="font-semibold text-sm">Delivery zones</h3>
+        <div className="text-xs text-gray-500">
+          {zones.length === 0
+            ? `No zones yet — buyers are charged NGN ${DEFAULT_DELIVERY_FEES.sameLga.fee.toLocaleString()} in the listing's LGA, NGN ${DEFAULT_DELIVERY_FEES.sameState.fee.toLocaleString()} in its state and NGN ${DEFAULT_DELIVERY_FEES.interstate.fee.toLocaleString()} elsewhere.`
+            : 'Delivery listings can only be shipped to these areas. An LGA zone overrides a state-wide one.'}
+        </div>
+        {zones.map(z => (
+          <div key={z.id} className="flex gap-2 items-center text-sm mt-1">
+            <div className="flex-1">{z.lga ? `${z.lga}, ` : 'All of '}{z.state}</div>
+            <div>NGN {Number(z.fee).toLocaleString()} • {z.days} day{z.days === 1 ? '' : 's'}</div>
+            <button type="button" onClick={() => saveDeliveryZones(currentUser.id, zones.filter(x => x.id !== z.id))} className="px-2 py-1 border rounded text-xs">Remove</button>
+          </div>
+        ))}
+        <div className="flex gap-2 mt-2">
+          <select value={form.state} onChange={e => setForm({ ...form, state: e.target.value, lga: '' })} className="p-2 border rounded">
+            {STATES.map(s => <option key={s}>{s}</option>)}
+          </select>
+          <LgaSelect state={form.state} value={form.lga} onChange={lga => setForm({ ...form, lga })} emptyLabel="Whole state" className="p-2 border rounded w-48" />
+          <input value={form.fee} onChange={e => setForm({ ...form, fee: e.target.value.replace(/[^0-9]/g,'') })} placeholder="Fee (NGN)" className="p-2 border rounded w-28" />
+          <input value={form.days} onChange={e => setForm({ ...form, days: e.target.value.replace(/[^0-9]/g,'') })} placeholder="Days" className="p-2 border rounded w-20" />
+          <button className="px-3 py-2 bg-blue-600 text-white rounded text-sm">Add zone</button>
+        </div>
+      </form>
+    );
+  }
+
+  // --- Orders view (purchases + sales) ---
+  function OrderStatusBadge({ status }) {
+    const cls = status === 'completed' || status === 'delivered' ? 'bg-green-100 text-green-800'
+      : status === 'cancelled' ? 'bg-red-100 text-red-800'
+      : status === 'pending_payment' ? 'bg-yellow-100 text-yellow-800' : 'bg-blue-100 text-blue-800';
+    return <span className={`text-xs px-2 py-0.5 rounded-full ${cls}`}>{status.replace('_', ' ')}</span>;
+  }
+
+  function Orders() {
+    if (!currentUser) return <div className="p-4">Please login to view your orders.</div>;
+    const purchases = (data.orders || []).filter(o => o.buyerId === currentUser.id);
+    const sales = (data.orders || []).filter(o => o.sellerId === currentUser.id);
+
+    function move(orderId, to) {
+      const res = transitionOrder(orderId, to);
+      if (res.error) alert(res.error);
+    }
+
+    function pay(checkoutRef) {
+      const res = payCheckout(checkoutRef);
+      if (res.error) alert(res.error);
+    }
+
+    function enterCode(orderId) {
+      const code = prompt('Delivery code from the buyer');
+      if (code === null) return;
+      const res = confirmCodDelivery(orderId, code);
+      if (res.error) alert(res.error);
+    }
+
+    function newCode(orderId) {
+      const res = resendDeliveryCode(orderId);
+      if (res.error) alert(res.error);
+    }
+
+    function trackingUpdate(o, status) {
+      const note = prompt(`Note for "${status.replace(/_/g, ' ')}" (optional, e.g. location)`);
+      if (note === null) return;
+      const res = updateShipment(o.id, status, note.trim() || undefined);
+      if (res.error) alert(res.error);
+    }
+
+    function OrderRow({ o, asSeller }) {
+      const nextStep = o.shipment && SHIPMENT_STEPS[SHIPMENT_STEPS.indexOf(o.shipment.status) + 1];
+      const other = users.find(u => u.id === (asSeller ? o.buyerId : o.sellerId)) || { name: 'Unknown' };
+      return (
+        <div className="border-t py-3">
+          <div className="flex gap-2 items-center">
+            <div className="font-semibold text-sm">Order {o.id}</div>
+            <OrderStatusBadge status={o.status} />
+            {o.paymentMode === 'cod' && <span className="text-xs px-2 py-0.5 rounded-full bg-gray-100">Pay on Delivery</span>}
+            <div className="ml-auto text-sm font-bold">NGN {o.total.toLocaleString()}</div>
+          </div>
+          <div className="text-xs text-gray-500">{asSeller ? 'Buyer' : 'Seller'}: {other.name} • {new Date(o.createdAt).toLocaleString()}</div>
+          <ul className="text-sm mt-1">
+            {o.items.map(i => <li key={`${i.listingId}:${i.variantId || ''}`}>{i.qty} × {i.title}{i.variant ? ` (${i.variant})` : ''} @ NGN {i.price.toLocaleString()}</li>)}
+            {o.shippingFee > 0 && <li className="text-gray-600">Delivery: NGN {o.shippingFee.toLocaleString()}</li>}
+          </ul>
+          {o.fulfilment === 'pickup' && <div className="text-xs text-gray-500">Pickup from seller</div>}
+          {o.fulfilment === 'delivery' && !o.shipment && <div className="text-xs text-gray-500">Delivery to {o.shipTo?.lga ? `${o.shipTo.lga}, ` : ''}{o.shipTo?.state} • about {o.etaDays} day{o.etaDays === 1 ? '' : 's'} after dispatch</div>}
+          {o.shipment && (
+            <div className="mt-2 text-xs">
+              <div className="text-gray-500">Tracking {o.shipment.trackingNumber} ({o.shipment.carrier})</div>
+              <ol className="border-l ml-1 mt-1">
+                {o.shipment.events.map((ev, idx) => (
+                  <li key={idx} className="pl-2">
+                    <span className="font-semibold">{ev.status.replace(/_/g, ' ')}</span> — {new Date(ev.at).toLocaleString()}{ev.note ? ` • ${ev.note}` : ''}
+                  </li>
+                ))}
+              </ol>
+            </div>
+          )}
+          {!asSeller && o.deliveryCode && (
+            <div className="text-sm mt-1">Delivery code: <strong>{o.deliveryCode}</strong> <span className="text-xs text-gray-500">— give it to the seller or rider only once you have your items.</span></div>
+          )}
+          {!asSeller && o.paymentMode === 'cod' && o.status === 'shipped' && o.deliveryCode === null && (
+            <div className="text-sm mt-1 text-red-700">The delivery code was entered wrongly too many times. <button onClick={() => newCode(o.id)} className="underline">Get a new code</button></div>
+          )}
+          {!asSeller && o.status === 'pending_payment' && o.reservedUntil && (
+            <div className="text-xs text-gray-500 mt-1">Held for you until {new Date(o.reservedUntil).toLocaleTimeString()}. Pay by then or the items go back on sale.</div>
+          )}
+          <div className="mt-2 flex gap-2">
+            <button onClick={() => openConversation(o.items[0].listingId, o.buyerId)} className="px-3 py-1 border rounded text-sm">Message {asSeller ? 'buyer' : 'seller'}</button>
+            {!asSeller && o.status === 'pending_payment' && o.paymentMode !== 'cod' && <button onClick={() => pay(o.checkoutRef)} className="px-3 py-1 bg-green-600 text-white rounded text-sm">Pay now (demo)</button>}
+            {!asSeller && o.status === 'delivered' && <button onClick={() => move(o.id, 'completed')} className="px-3 py-1 bg-green-600 text-white rounded text-sm">Confirm receipt</button>}
+            {asSeller && o.status === 'paid' && <button onClick={() => move(o.id, 'shipped')} className="px-3 py-1 bg-blue-600 text-white rounded text-sm">Mark shipped</button>}
+            {asSeller && o.paymentMode === 'cod' && o.status === 'pending_payment' && <button onClick={() => move(o.id, 'shipped')} className="px-3 py-1 bg-blue-600 text-white rounded text-sm">Mark shipped</button>}
+            {asSeller && o.status === 'shipped' && nextStep && nextStep !== 'delivered' && <button onClick={() => trackingUpdate(o, nextStep)} className="px-3 py-1 border rounded text-sm">Mark {nextStep.replace(/_/g, ' ')}</button>}
+            {asSeller && o.paymentMode === 'cod' && o.status === 'shipped' && <button onClick={() => enterCode(o.id)} className="px-3 py-1 bg-green-600 text-white rounded text-sm">Enter delivery code</button>}
+            {asSeller && o.paymentMode !== 'cod' && o.status === 'shipped' && <button onClick={() => move(o.id, 'delivered')} className="px-3 py-1 bg-blue-600 text-white rounded text-sm">Mark delivered</button>}
+            {transitionsFor(o)[o.status].includes('cancelled') && (asSeller || o.status === 'pending_payment') && (
+              <button onClick={() => move(o.id, 'cancelled')} className="px-3 py-1 border rounded text-sm">Cancel</button>
+            )}
+          </div>
+        </div>
+      );
+    }
+
+    return (
+      <div className="bg-white p-4 rounded shadow">
+        <h2 className="font-semibold">My Orders</h2>
+        {purchases.length === 0 && <div className="text-sm text-gray-500 mt-2">No purchases yet.</div>}
+        {purchases.map(o => <OrderRow key={o.id} o={o} asSeller={false} />)}
+        {currentUser.role !== 'buyer' && (
+          <div className="mt-6">
+            <h2 className="font-semibold">Sales</h2>
+            <div className="flex gap-4 text-sm mt-1">
+              <div>Held in escrow: <strong>NGN {sellerBalances(currentUser.id).held.toLocaleString()}</strong></div>
+              <div>Available: <strong>NGN {sellerBalances(currentUser.id).available.toLocaleString()}</strong></div>
+            </div>
+            <div className="text-xs text-gray-500 mt-1">
+              {kycTier(userById(currentUser.id)).label}: {tierLimitsText(kycTier(userById(currentUser.id)))}.{' '}
+              {kycOf(userById(currentUser.id)).tier < KYC_TIERS.length - 1 && <button onClick={() => setView('verify')} className="underline">Raise your limits</button>}
+            </div>
+            {sales.length === 0 && <div className="text-sm text-gray-500 mt-2">No sales yet.</div>}
+            {sales.map(o => <OrderRow key={o.id} o={o} asSeller />)}
+            <StockPanel />
+            <CodSettingsForm />
+            <DeliveryZonesForm />
+          </div>
+        )}
+      </div>
+    );
+  }
+
+  // --- Storefront ---
+  function Storefront() {
+    const seller = users.find(u => (u.sellerProfile && u.sellerProfile.slug === shopKey) || u.id === shopKey);
+    if (!seller) return <div className="p-4">Shop not found</div>;
+    const profile = seller.sellerProfile || {};
+    const address = profile.businessAddress || {};
+    const shopListings = listings.filter(l => l.sellerId === seller.id && l.active);
+    const stats = shopStats(seller.id, { listings, reviews: data.reviews, orders: data.orders || [] });
+    const following = currentUser && followsOf(currentUser.id).includes(seller.id);
+    const link = shopLink(profile.slug || seller.id);
+    const isOwner = currentUser && currentUser.id === seller.id;
+
+    function follow() {
+      const res = toggleFollow(seller.id);
+      if (res.error) alert(res.error);
+    }
+
+    function copyLink() {
+      navigator.clipboard.writeText(link).then(() => alert('Shop link copied — paste it in your Instagram bio or anywhere else'), () => prompt('Copy your shop link', link));
+    }
+
+    return (
+      <div className="bg-white rounded shadow overflow-hidden">
+        <div className="h-40 bg-gray-200">{profile.banner && <Photo src={profile.banner} rendition="full" alt="banner" className="w-full h-full object-cover" />}</div>
+        <div className="p-4">
+          <div className="flex gap-4 items-end -mt-12">
+            <div className="w-20 h-20 rounded-full border-4 border-white bg-gray-100 overflow-hidden flex items-center justify-center text-2xl font-bold">
+              {profile.logo ? <Photo src={profile.logo} rendition="thumb" alt="logo" className="w-full h-full object-cover" /> : shopNameOf(seller).charAt(0)}
+            </div>
+            <div className="flex-1">
+              <h2 className="text-xl font-semibold">{shopNameOf(seller)}</h2>
+              <div className="flex gap-2 items-center text-xs text-gray-500">
+                <SellerBadge user={seller} />
+                {address.state && <span>{address.lga ? `${address.lga}, ` : ''}{address.state}</span>}
+                {seller.createdAt && <span>• Member since {new Date(seller.createdAt).toLocaleDateString(undefined, { month: 'long', year: 'numeric' })}</span>}
+              </div>
+            </div>
+            <div className="flex gap-2">
+              {!isOwner && <button onClick={follow} className={`px-3 py-1 rounded text-sm ${following ? 'border' : 'bg-blue-600 text-white'}`}>{following ? 'Following' : 'Follow'}</button>}
+              <a href={`https://wa.me/?text=${encodeURIComponent(`${shopNameOf(seller)} on MarketMate: ${link}`)}`} target="_blank" rel="noreferrer" className="px-3 py-1 border rounded text-sm">Share on WhatsApp</a>
+              <button onClick={copyLink} className="px-3 py-1 border rounded text-sm">Copy link</button>
+              {isOwner && <button onClick={() => setView('account')} className="px-3 py-1 border rounded text-sm">Edit shop</button>}
+            </div>
+          </div>
+          {profile.description && <p className="mt-3 text-sm text-gray-700">{profile.description}</p>}
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-2 mt-4 text-center">
+            <div className="p-2 border rounded"><div className="font-bold">{stats.rating === null ? '—' : `${stats.rating.toFixed(1)}★`}</div><div className="text-xs text-gray-500">{stats.ratingCount} review{stats.ratingCount === 1 ? '' : 's'}</div></div>
+            <div className="p-2 border rounded"><div className="font-bold">{stats.completedSales}</div><div className="text-xs text-gray-500">completed sales</div></div>
+            <div className="p-2 border rounded"><div className="font-bold">{stats.responseMs === null ? '—' : formatDuration(stats.responseMs)}</div><div className="text-xs text-gray-500">typical response</div></div>
+            <div className="p-2 border rounded"><div className="font-bold">{followerCount(seller.id)}</div><div className="text-xs text-gray-500">followers</div></div>
+          </div>
+          <h3 className="font-semibold mt-6">Listings ({shopListings.length})</h3>
+          {shopListings.length === 0 && <div className="text-sm text-gray-500">No active listings.</div>}
+          <div className="grid sm:grid-cols-2 lg:grid-cols-4 gap-3 mt-2">
+            {shopListings.map(l => (
+              <button key={l.id} onClick={() => { setSelectedListing(l); setView('details'); }} className="text-left border rounded p-2">
+                <div className="h-28 bg-gray-100 rounded overflow-hidden">{l.images[0] && <Photo src={l.images[0]} rendition="thumb" alt={l.title} className="w-full h-full object-cover" />}</div>
+                <div className="text-sm font-semibold mt-1">{l.title}</div>
+                <div className="text-sm">{priceLabel(l)}</div>
+              </button>
+            ))}
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  // --- Buyer profile: delivery addresses and payment preference ---
+  function BuyerProfileForm() {
+    const profile = buyerProfileOf(currentUser);
+    const blank = { label: '', recipient: currentUser.name, phone: currentUser.phone || '', line1: '', lga: '', state: STATES[0], isDefault: false };
+    const [form, setForm] = useDraft(drafts, 'profile:address', blank);
+
+    function submit(e) {
+      e.preventDefault();
+      const res = saveAddress(form);
+      if (res.error) return alert(res.error);
+      setForm(blank);
+    }
+
+    return (
+      <div className="mt-6">
+        <h3 className="font-semibold text-sm">Delivery addresses</h3>
+        {profile.addresses.length === 0 && <div className="text-xs text-gray-500">No saved addresses. The default one is filled in at checkout.</div>}
+        {profile.addresses.map(a => (
+          <div key={a.id} className="flex gap-2 items-center border-t py-2 text-sm">
+            <div className="flex-1">
+              <div>{a.label ? <strong>{a.label}: </strong> : null}{a.recipient} • {a.phone}</div>
+              <div className="text-xs text-gray-500">{a.line1}{a.lga ? `, ${a.lga}` : ''}, {a.state}</div>
+            </div>
+            {a.isDefault ? <span className="text-xs text-green-700">Default</span>
+              : <button onClick={() => saveAddress({ ...a, isDefault: true })} className="px-2 py-1 border rounded text-xs">Make default</button>}
+            <button onClick={() => removeAddress(a.id)} className="px-2 py-1 border rounded text-xs">Remove</button>
+          </div>
+        ))}
+        <form onSubmit={submit} className="grid grid-cols-2 gap-2 mt-2">
+          <input placeholder="Label (Home, Office)" value={form.label} onChange={e=>setForm({...form, label: e.target.value})} className="p-2 border rounded text-sm" />
+          <input required placeholder="Recipient" value={form.recipient} onChange={e=>setForm({...form, recipient: e.target.value})} className="p-2 border rounded text-sm" />
+          <input required placeholder="Phone" value={form.phone} onChange={e=>setForm({...form, phone: e.target.value})} className="p-2 border rounded text-sm" />
+          <input required placeholder="Street address" value={form.line1} onChange={e=>setForm({...form, line1: e.target.value})} className="p-2 border rounded text-sm" />
+          <select value={form.state} onChange={e=>setForm({...form, state: e.target.value, lga: ''})} className="p-2 border rounded text-sm">
+            {STATES.map(st => <option key={st}>{st}</option>)}
+          </select>
+          <LgaSelect state={form.state} value={form.lga} onChange={lga => setForm({...form, lga})} className="p-2 border rounded text-sm" />
+          <label className="text-xs flex items-center gap-1"><input type="checkbox" checked={form.isDefault} onChange={e=>setForm({...form, isDefault: e.target.checked})} /> Use as default</label>
+          <button className="px-3 py-2 bg-blue-600 text-white rounded text-sm">Add address</button>
+        </form>
+        <label className="text-xs mt-3 block">Preferred payment at checkout</label>
+        <select value={profile.paymentMode} onChange={e => setPaymentPreference(e.target.value)} className="p-2 border rounded text-sm">
+          <option value="online">Pay online (Paystack / Flutterwave)</option>
+          <option value="cod">Pay on Delivery</option>
+        </select>
+      </div>
+    );
+  }
+
+  // --- Seller profile: opens a shop on this account, or edits it ---
+  function SellerProfileForm() {
+    const existing = currentUser.sellerProfile;
+    const [form, setForm] = useDraft(drafts, 'profile:shop', () => existing || {
+      shopName: '', description: '', logo: null, banner: null,
+      businessAddress: { line1: '', lga: '', state: STATES[0] }, bank: { bankCode: '', accountNumber: '', accountName: currentUser.name },
+    });
+    const [editing, setEditing] = useDraft(drafts, 'profile:shop:editing', !existing);
+    const setAddress = patch => setForm({ ...form, businessAddress: { ...form.businessAddress, ...patch } });
+    const setBank = patch => setForm({ ...form, bank: { ...form.bank, ...patch } });
+
+    const [uploading, setUploading] = useState(0); // logo/banner being resized
+
+    // Logo and banner go through the listing photo pipeline; the profile keeps the 'img:<hash>' ref.
+    async function handleImage(field, file) {
+      if (!file) return;
+      setUploading(n => n + 1);
+      const res = await uploadImage(file);
+      setUploading(n => n - 1);
+      if (res.error) return alert(res.error);
+      setForm(prev => ({ ...prev, [field]: res.ref }));
+    }
+
+    function submit(e) {
+      e.preventDefault();
+      if (uploading) return alert('Wait for your photos to finish');
+      const res = saveSellerProfile(form);
+      if (res.error) return alert(res.error);
+      setEditing(false);
+      if (!existing) { alert('Your shop is open — you can now create listings'); setEditingListing(null); setView('create'); }
+    }
+
+    if (!editing) {
+      const bank = BANKS.find(b => b.code === existing.bank.bankCode) || { name: existing.bank.bankCode };
+      return (
+        <div className="mt-6 text-sm">
+          <div className="flex items-center gap-2">
+            <h3 className="font-semibold text-sm">Shop</h3>
+            <button onClick={() => showShop(currentUser.id)} className="ml-auto px-2 py-1 border rounded text-xs">View storefront</button>
+            <button onClick={() => setEditing(true)} className="px-2 py-1 border rounded text-xs">Edit</button>
+          </div>
+          <div>{existing.shopName}</div>
+          <div className="text-xs text-gray-500">{existing.businessAddress.line1}{existing.businessAddress.lga ? `, ${existing.businessAddress.lga}` : ''}, {existing.businessAddress.state}</div>
+          <div className="text-xs text-gray-500">Payouts to {bank.name} {maskAccount(existing.bank.accountNumber)} ({existing.bank.accountName})</div>
+        </div>
+      );
+    }
+
+    return (
+      <form onSubmit={submit} className="mt-6 space-y-2">
+        <h3 className="font-semibold text-sm">{existing ? 'Edit shop' : 'Start selling'}</h3>
+        {!existing && <div className="text-xs text-gray-500">Open a shop on this account. You keep your orders, cart and login; buyers see your shop name on your listings.</div>}
+        <input required placeholder="Shop name" value={form.shopName} onChange={e=>setForm({...form, shopName: e.target.value})} className="w-full p-2 border rounded text-sm" />
+        <textarea placeholder="About your shop (shown on your storefront)" maxLength={500} value={form.description || ''} onChange={e=>setForm({...form, description: e.target.value})} className="w-full p-2 border rounded text-sm" />
+        <div className="flex gap-3 items-center text-xs">
+          <label className="p-2 border rounded cursor-pointer">Logo<input type="file" accept={IMAGE_TYPES.join(',')} onChange={e=>handleImage('logo', e.target.files[0])} style={{display:'none'}} /></label>
+          {form.logo && <Photo src={form.logo} rendition="thumb" alt="logo" className="w-10 h-10 rounded-full object-cover" />}
+          <label className="p-2 border rounded cursor-pointer">Banner<input type="file" accept={IMAGE_TYPES.join(',')} onChange={e=>handleImage('banner', e.target.files[0])} style={{display:'none'}} /></label>
+          {form.banner && <Photo src={form.banner} rendition="thumb" alt="banner" className="w-24 h-10 rounded object-cover" />}
+          {uploading > 0 && <span className="text-gray-500">Preparing photo…</span>}
+        </div>
+        <div className="flex gap-2">
+          <input required placeholder="Business address" value={form.businessAddress.line1} onChange={e=>setAddress({ line1: e.target.value })} className="flex-1 p-2 border rounded text-sm" />
+          <select value={form.businessAddress.state} onChange={e=>setAddress({ state: e.target.value, lga: '' })} className="p-2 border rounded text-sm">
+            {STATES.map(st => <option key={st}>{st}</option>)}
+          </select>
+          <LgaSelect state={form.businessAddress.state} value={form.businessAddress.lga} onChange={lga => setAddress({ lga })} className="w-32 p-2 border rounded text-sm" />
+        </div>
+        <label className="text-xs block">Payout bank account</label>
+        <div className="flex gap-2">
+          <select required value={form.bank.bankCode} onChange={e=>setBank({ bankCode: e.target.value })} className="p-2 border rounded text-sm">
+            <option value="">Bank</option>
+            {BANKS.map(b => <option key={b.code} value={b.code}>{b.name}</option>)}
+          </select>
+          <input required inputMode="numeric" placeholder="Account number" value={form.bank.accountNumber} onChange={e=>setBank({ accountNumber: e.target.value.replace(/[^0-9]/g, '').slice(0, 10) })} className="w-36 p-2 border rounded text-sm" />
+          <input required placeholder="Account name" value={form.bank.accountName} onChange={e=>setBank({ accountName: e.target.value })} className="flex-1 p-2 border rounded text-sm" />
+        </div>
+        <div className="flex gap-2">
+          <button className="px-3 py-2 bg-blue-600 text-white rounded text-sm">{existing ? 'Save shop' : 'Open my shop'}</button>
+          {existing && <button type="button" onClick={() => { setForm(existing); setEditing(false); }} className="px-3 py-2 border rounded text-sm">Cancel</button>}
+        </div>
+      </form>
+    );
+  }
+
+  // --- Account: profile, password change, sessions ---
+  function Account() {
+    const [form, setForm] = useDraft(drafts, 'account:password', { current: '', next: '', confirm: '' });
+    if (!currentUser) return <div className="p-4">Please login to manage your account.</div>;
+    const sessions = sessionsOf(currentUser.id);
+
+    async function submit(e) {
+      e.preventDefault();
+      if (form.next !== form.confirm) return alert('New passwords do not match');
+      const res = await changePassword(form.current, form.next);
+      if (res.error) return alert(res.error);
+      setForm({ current: '', next: '', confirm: '' });
+      alert('Password changed');
+    }
 
-              <div className="mt-3 flex items-center justify-between">
-                <div className="flex gap-2 items-center">
-                  <div className="text-xs">Seller: {sellerOf(l).name}</div>
-                  <SellerBadge user={sellerOf(l)} />
-                </div>
-                <div className="flex gap-2">
-                  <button onClick={() => { setView('details'); setSelectedListing(l); }} className="px-3 py-1 border rounded">View</button>
-                  {currentUser && currentUser.id === l.sellerId && (
-                    <button onClick={() => { setView('create'); setEditingListing(l); }} className="px-3 py-1 border rounded">Edit</button>
-                  )}
-                </div>
+    return (
+      <div className="bg-white p-4 rounded shadow max-w-md">
+        <h2 className="font-semibold">Account</h2>
+        <div className="text-sm text-gray-600">{currentUser.name} • {currentUser.email} • {currentUser.phone}</div>
+        <form onSubmit={submit} className="mt-4 space-y-2">
+          <h3 className="font-semibold text-sm">Change password</h3>
+          <input required type="password" autoComplete="current-password" placeholder="Current password" value={form.current} onChange={e=>setForm({...form, current: e.target.value})} className="w-full p-2 border rounded" />
+          <input required type="password" autoComplete="new-password" placeholder={`New password (min ${MIN_PASSWORD_LENGTH} characters, letters and numbers)`} value={form.next} onChange={e=>setForm({...form, next: e.target.value})} className="w-full p-2 border rounded" />
+          <input required type="password" autoComplete="new-password" placeholder="Confirm new password" value={form.confirm} onChange={e=>setForm({...form, confirm: e.target.value})} className="w-full p-2 border rounded" />
+          <button className="px-3 py-2 bg-blue-600 text-white rounded text-sm">Change password</button>
+        </form>
+        <BuyerProfileForm />
+        {followsOf(currentUser.id).length > 0 && (
+          <div className="mt-6">
+            <h3 className="font-semibold text-sm">Shops you follow</h3>
+            {followsOf(currentUser.id).map(id => (
+              <div key={id} className="flex items-center border-t py-2 text-sm">
+                <button onClick={() => showShop(id)} className="flex-1 text-left underline">{shopNameOf(users.find(u => u.id === id))}</button>
+                <button onClick={() => toggleFollow(id)} className="px-2 py-1 border rounded text-xs">Unfollow</button>
+              </div>
+            ))}
+          </div>
+        )}
+        {(can(currentUser, 'seller:open') || can(currentUser, 'seller:settings')) && <SellerProfileForm />}
+        <div className="mt-6">
+          <div className="flex items-center">
+            <h3 className="font-semibold text-sm">Active sessions</h3>
+            {sessions.length > 1 && <button onClick={() => endSessions(currentUser.id, { except: sessionId })} className="ml-auto px-2 py-1 border rounded text-xs">Log out all other sessions</button>}
+          </div>
+          {sessions.map(s => (
+            <div key={s.id} className="flex gap-2 items-center border-t py-2 text-sm">
+              <div className="flex-1">
+                <div className="truncate" title={s.device}>{s.device}</div>
+                <div className="text-xs text-gray-500">Signed in {new Date(s.createdAt).toLocaleString()} • last seen {new Date(s.lastSeenAt).toLocaleString()}</div>
               </div>
+              {s.id === sessionId ? <span className="text-xs text-green-700">This device</span>
+                : <button onClick={() => endSessions(currentUser.id, { only: s.id })} className="px-2 py-1 border rounded text-xs">Log out</button>}
             </div>
           ))}
         </div>
@@ -251,260 +3962,708 @@ export default function MarketMateApp() {
     );
   }
 
-  // --- Create/Edit listing view ---
-  const [editingListing, setEditingListing] = useState(null);
-  function CreateEdit() {
-    const [form, setForm] = useState(() => editingListing ? { ...editingListing } : { title: '', description: '', price: '', category: 'Foodstuff', state: STATES[0], lga: '', images: [], delivery: 'pickup', qty: 1 });
-
-    useEffect(() => { if (editingListing) setForm(editingListing); }, [editingListing]);
+  // --- Saved searches: new matches and alert settings ---
+  function SavedSearches() {
+    if (!currentUser) return <div className="p-4">Please login to see your favourites and saved searches.</div>;
+    const searches = savedSearchesOf(currentUser.id);
+    const alerts = alertsOf(currentUser.id);
+    const searchName = id => (searches.find(s => s.id === id) || {}).name;
+    const favourites = favouritesOf(currentUser.id);
 
-    function handleImage(file) {
-      const reader = new FileReader();
-      reader.onload = () => setForm(prev => ({ ...prev, images: [reader.result, ...(prev.images||[])] }));
-      reader.readAsDataURL(file);
+    function alertNote(a) {
+      if (a.type === 'price_drop') return `Price dropped from NGN ${a.oldPrice.toLocaleString()} to NGN ${a.price.toLocaleString()}`;
+      if (a.type === 'back_in_stock') return 'Back in stock';
+      if (a.type === 'low_stock') {
+        const l = listings.find(x => x.id === a.listingId);
+        const variant = l && variantOf(l, a.variantId);
+        const what = variant ? `${variantLabel(variant, l.variantAxes)}: ` : '';
+        return a.qty > 0 ? `${what}only ${a.qty} left. Restock it under Orders → Stock` : `${what}sold out. Restock it under Orders → Stock`;
+      }
+      return `Matches “${searchName(a.searchId)}”`;
     }
 
-    function save(e) {
-      e.preventDefault();
-      if (editingListing) {
-        updateListing(editingListing.id, { ...form });
-        setEditingListing(null);
-        setView('browse');
-        return;
-      }
-      const res = createListing(form);
+    function change(id, patch) {
+      const res = updateSavedSearch(id, patch);
       if (res.error) alert(res.error);
     }
 
+    function openListing(a) {
+      const l = listings.find(x => x.id === a.listingId);
+      if (!l) return alert('This listing has been removed');
+      markAlertsRead([a.id]);
+      setSelectedListing(l);
+      setView('details');
+    }
+
     return (
-      <form onSubmit={save} className="bg-white p-4 rounded shadow">
-        <div className="grid md:grid-cols-2 gap-3">
-          <div>
-            <label className="text-xs">Title</label>
-            <input value={form.title} onChange={e => setForm({...form, title: e.target.value})} className="w-full p-2 border rounded mb-2" />
-            <label className="text-xs">Description</label>
-            <textarea value={form.description} onChange={e => setForm({...form, description: e.target.value})} rows={4} className="w-full p-2 border rounded mb-2" />
-            <div className="flex gap-2">
-              <div className="flex-1">
-                <label className="text-xs">Price (NGN)</label>
-                <input value={form.price} onChange={e => setForm({...form, price: e.target.value.replace(/[^0-9]/g,'')})} className="w-full p-2 border rounded mb-2" />
+      <div className="grid md:grid-cols-2 gap-4">
+        <div className="bg-white p-4 rounded shadow">
+          <div className="flex items-center">
+            <h2 className="font-semibold">Updates</h2>
+            {alerts.some(a => !a.readAt) && <button onClick={() => markAlertsRead()} className="ml-auto px-2 py-1 border rounded text-xs">Mark all read</button>}
+          </div>
+          {alerts.length === 0 && <div className="text-sm text-gray-500 mt-2">Nothing yet. New listings for your saved searches, and price drops on your favourites, appear here.</div>}
+          {alerts.map(a => {
+            const l = listings.find(x => x.id === a.listingId);
+            return (
+              <button key={a.id} onClick={() => openListing(a)} className={`block w-full text-left border-t py-2 text-sm ${a.readAt ? 'text-gray-500' : 'font-semibold'}`}>
+                {l ? `${l.title} • NGN ${Number(l.price).toLocaleString()}` : 'Listing removed'}
+                <div className="text-xs font-normal text-gray-500">{alertNote(a)} • {new Date(a.createdAt).toLocaleString()}</div>
+              </button>
+            );
+          })}
+        </div>
+
+        <div className="bg-white p-4 rounded shadow">
+          <h2 className="font-semibold">Favourites</h2>
+          {favourites.length === 0 && <div className="text-sm text-gray-500 mt-2">Tap ♡ on a listing to keep it here and hear when its price drops.</div>}
+          {favourites.map(f => {
+            const l = listings.find(x => x.id === f.listingId);
+            if (!l) return null;
+            const drop = f.priceAtSave - Number(l.price);
+            return (
+              <div key={f.listingId} className="flex items-center gap-2 border-t py-2 text-sm">
+                <button onClick={() => { setSelectedListing(l); setView('details'); }} className="flex-1 text-left">
+                  {l.title} • NGN {Number(l.price).toLocaleString()}
+                  <div className="text-xs text-gray-500">
+                    {!l.active ? 'No longer listed' : Number(l.qty) <= 0 ? 'Sold out' : drop > 0 ? `NGN ${drop.toLocaleString()} less than when you saved it` : `Saved ${new Date(f.createdAt).toLocaleDateString()}`}
+                  </div>
+                </button>
+                <button onClick={() => toggleFavourite(l)} className="px-2 py-1 border rounded text-xs">Remove</button>
               </div>
-              <div className="w-36">
-                <label className="text-xs">Category</label>
-                <input value={form.category} onChange={e => setForm({...form, category: e.target.value})} className="w-full p-2 border rounded mb-2" />
+            );
+          })}
+        </div>
+
+        <div className="bg-white p-4 rounded shadow">
+          <h2 className="font-semibold">Saved searches</h2>
+          {searches.length === 0 && <div className="text-sm text-gray-500 mt-2">Use “Save this search” on Browse to be told when new listings match.</div>}
+          {searches.map(s => (
+            <div key={s.id} className="border-t py-2 text-sm space-y-1">
+              <div className="flex items-center gap-2">
+                <div className="flex-1 font-medium">{s.name}</div>
+                <button onClick={() => { setFilters(s.filters); setView('browse'); }} className="px-2 py-1 border rounded text-xs">Show results</button>
+                <button onClick={() => { if (confirm(`Delete “${s.name}”?`)) deleteSavedSearch(s.id); }} className="px-2 py-1 border rounded text-xs">Delete</button>
+              </div>
+              <div className="text-xs text-gray-500">{describeSearch(s.filters, data.categories)}</div>
+              <div className="flex items-center gap-3 text-xs">
+                <select value={s.frequency} onChange={e => change(s.id, { frequency: e.target.value })} className="p-1 border rounded">
+                  {ALERT_FREQUENCIES.map(f => <option key={f.key} value={f.key}>{f.label}</option>)}
+                </select>
+                <label><input type="checkbox" checked={s.email} disabled={s.frequency === 'never'} onChange={e => change(s.id, { email: e.target.checked })} /> Email</label>
+                <label><input type="checkbox" checked={s.sms} disabled={s.frequency === 'never'} onChange={e => change(s.id, { sms: e.target.checked })} /> SMS</label>
               </div>
             </div>
+          ))}
+        </div>
+      </div>
+    );
+  }
 
-            <div className="flex gap-2">
-              <select value={form.state} onChange={e => setForm({...form, state: e.target.value})} className="p-2 border rounded w-1/2">
-                {STATES.map(s => <option key={s}>{s}</option>)}
-              </select>
-              <input value={form.lga} onChange={e => setForm({...form, lga: e.target.value})} placeholder="LGA / City" className="p-2 border rounded w-1/2" />
-            </div>
+  // --- Verification dashboard for sellers ---
+  function SellerVerification() {
+    const me = currentUser && (userById(currentUser.id) || currentUser);
+    const [codeSent, setCodeSent] = useDraft(drafts, 'kyc:codeSent', false);
+    const [code, setCode] = useDraft(drafts, 'kyc:code', '');
+    const [fields, setFields] = useDraft(drafts, 'kyc:fields', {
+      government_id: { idType: ID_TYPES[0], file: null, expiresOn: '', legalName: (me && me.name) || '', dateOfBirth: '', nin: '', bvn: '' },
+      cac: { businessName: '', rcNumber: '', file: null },
+    });
+    const [note, setNote] = useDraft(drafts, 'kyc:note', '');
+    const [sending, setSending] = useState(false);
+    if (!currentUser) return <div className="p-4">Please login to access verification.</div>;
+    const kyc = kycOf(me);
+    const target = kyc.applyingFor || (kyc.tier < KYC_TIERS.length - 1 ? kyc.tier + 1 : null);
+    const missing = target ? missingDocuments(kyc, target) : [];
+    const canSubmit = KYC_TRANSITIONS[kyc.status].includes('submitted');
+    const decision = [...kyc.history].reverse().find(h => ['needs_more_info', 'rejected', 'expired'].includes(h.status));
+    const set = (kind, patch) => setFields({ ...fields, [kind]: { ...fields[kind], ...patch } });
 
-            <div className="mt-2">
-              <label className="text-xs">Delivery option</label>
-              <select value={form.delivery} onChange={e => setForm({...form, delivery: e.target.value})} className="p-2 border rounded w-full">
-                <option value="pickup">Pickup</option>
-                <option value="delivery">Delivery</option>
-              </select>
+    async function sendCode() {
+      const res = await requestPhoneCode();
+      if (res.error) return alert(res.error);
+      setCodeSent(true);
+    }
+
+    async function checkCode() {
+      const res = await confirmPhone(code);
+      if (res.error) return alert(res.error);
+      setCodeSent(false);
+      setCode('');
+    }
+
+    async function submit() {
+      setSending(true);
+      const res = await submitKyc(target, fields, note);
+      setSending(false);
+      if (res.error) return alert(res.error);
+      setNote('');
+      alert('Verification submitted — our team will review it.');
+    }
+
+    const fileInput = kind => (
+      <label className="p-2 border rounded cursor-pointer inline-block text-sm">
+        <input type="file" accept={IMAGE_TYPES.join(',')} onChange={e => set(kind, { file: e.target.files[0] || null })} style={{display:'none'}} />
+        {fields[kind].file ? fields[kind].file.name : `Choose photo of ${KYC_DOCUMENTS[kind].label}`}
+      </label>
+    );
+
+    return (
+      <div className="bg-white p-4 rounded shadow">
+        <h2 className="font-semibold">Seller Verification</h2>
+        <p className="text-sm text-gray-500">Each step raises what you can list and withdraw, and verified sellers get a badge on their listings.</p>
+
+        <div className="mt-3 text-sm">
+          {KYC_TIERS.map(t => (
+            <div key={t.tier} className={`flex gap-2 py-1 px-2 rounded ${t.tier === kyc.tier ? 'bg-green-50 font-semibold' : ''}`}>
+              <div className="w-44">{t.tier === kyc.tier ? '✓ ' : ''}{t.label}</div>
+              <div className="text-gray-600">{tierLimitsText(t)}</div>
             </div>
+          ))}
+        </div>
+
+        <div className="mt-3 text-sm text-gray-600">
+          <strong>Status:</strong> {kyc.status.replace(/_/g, ' ')}{kyc.applyingFor ? ` (${KYC_TIERS[kyc.applyingFor].label})` : ''}
+          {kyc.documents.nin && <span> • NIN ending {kyc.documents.nin.ninLast4}</span>}
+          {kyc.documents.bvn && <span> • BVN ending {kyc.documents.bvn.bvnLast4}</span>}
+        </div>
+
+        {decision && kyc.status === decision.status && (
+          <div className={`mt-3 p-3 rounded text-sm ${decision.status === 'rejected' ? 'bg-red-50' : 'bg-yellow-50'}`}>
+            <div className="font-semibold">{decision.status === 'needs_more_info' ? 'We need a bit more from you' : decision.status === 'rejected' ? 'Your verification was not approved' : 'Your verification has expired'}</div>
+            {decision.note && <div className="mt-1">“{decision.note}”</div>}
+            {kyc.requested.length > 0 && <div className="mt-1">Please send again: {kyc.requested.map(kind => KYC_DOCUMENTS[kind].label).join(', ')}.</div>}
+            {decision.status === 'needs_more_info' && <div className="text-xs text-gray-500 mt-1">Requests without a reply for {KYC_INFO_DAYS} days expire.</div>}
           </div>
+        )}
 
-          <div>
-            <label className="text-xs">Images</label>
-            <div className="flex gap-2 flex-wrap mt-2">
-              {(form.images || []).map((src, i) => (
-                <div key={i} className="w-24 h-24 bg-gray-100 rounded overflow-hidden relative">
-                  <img src={src} alt="img" className="object-cover w-full h-full" />
-                  <button type="button" onClick={() => setForm({...form, images: form.images.filter((_, idx)=> idx!==i)})} className="absolute top-1 right-1 bg-white rounded-full p-0.5 text-xs">×</button>
+        {['submitted', 'in_review'].includes(kyc.status) && <div className="mt-3 p-3 bg-blue-50 rounded text-sm">Your documents are with our review team. We'll let you know here.</div>}
+
+        {target && canSubmit && (
+          <div className="mt-4">
+            <h3 className="font-semibold text-sm">Next: {KYC_TIERS[target].label}</h3>
+            <div className="mt-1 text-sm">
+              {KYC_TIERS[target].requires.map(kind => (
+                <div key={kind} className={missing.includes(kind) ? 'text-gray-700' : 'text-green-700'}>
+                  {missing.includes(kind) ? '○' : '✓'} {KYC_DOCUMENTS[kind].label} <span className="text-xs text-gray-500">— {KYC_DOCUMENTS[kind].hint}</span>
                 </div>
               ))}
-              <label className="w-24 h-24 flex items-center justify-center bg-gray-50 border rounded cursor-pointer">
-                <input type="file" accept="image/*" onChange={e => handleImage(e.target.files[0])} style={{display:'none'}} />
-                Add
-              </label>
             </div>
 
-            <div className="mt-4">
-              <label className="text-xs">Quantity</label>
-              <input type="number" min="1" value={form.qty} onChange={e => setForm({...form, qty: Number(e.target.value)})} className="w-32 p-2 border rounded" />
-            </div>
+            {missing.includes('phone') && (
+              <div className="mt-3 flex gap-2 items-center text-sm">
+                <span>{currentUser.phone || 'No phone number on your account'}</span>
+                <button onClick={sendCode} disabled={!currentUser.phone} className="px-3 py-1 border rounded">{codeSent ? 'Send again' : 'Send code'}</button>
+                {codeSent && <input value={code} onChange={e => setCode(e.target.value.replace(/[^0-9]/g, ''))} placeholder="6-digit code" inputMode="numeric" className="p-1 border rounded w-28" />}
+                {codeSent && <button onClick={checkCode} className="px-3 py-1 bg-blue-600 text-white rounded">Confirm</button>}
+              </div>
+            )}
 
-            <div className="mt-6 flex gap-2">
-              <button className="px-4 py-2 bg-blue-600 text-white rounded">Save Listing</button>
-              <button type="button" onClick={() => { setEditingListing(null); setView('browse'); }} className="px-4 py-2 border rounded">Cancel</button>
-            </div>
+            {!missing.includes('phone') && missing.includes('government_id') && (
+              <div className="mt-3 p-3 border rounded text-sm">
+                <div className="font-semibold">{KYC_DOCUMENTS.government_id.label}</div>
+                <div className="flex flex-wrap gap-2 mt-2 items-center">
+                  <select value={fields.government_id.idType} onChange={e => set('government_id', { idType: e.target.value })} className="p-2 border rounded">
+                    {ID_TYPES.map(t => <option key={t}>{t}</option>)}
+                  </select>
+                  {fileInput('government_id')}
+                  <label className="text-xs">Expires <input type="date" value={fields.government_id.expiresOn} onChange={e => set('government_id', { expiresOn: e.target.value })} className="p-1 border rounded" /></label>
+                </div>
+                <div className="flex flex-wrap gap-2 mt-2 items-center">
+                  <input value={fields.government_id.legalName} onChange={e => set('government_id', { legalName: e.target.value })} placeholder="Full name as on your ID" className="p-2 border rounded w-64" />
+                  <label className="text-xs">Date of birth <input type="date" value={fields.government_id.dateOfBirth} onChange={e => set('government_id', { dateOfBirth: e.target.value })} className="p-1 border rounded" /></label>
+                  <label className="text-xs">NIN{fields.government_id.idType === 'NIN slip' ? '' : ' (optional)'} <input value={fields.government_id.nin} onChange={e => set('government_id', { nin: e.target.value.replace(/[^0-9]/g, '').slice(0, 11) })} inputMode="numeric" className="p-1 border rounded w-36" /></label>
+                  <label className="text-xs">BVN (optional) <input value={fields.government_id.bvn} onChange={e => set('government_id', { bvn: e.target.value.replace(/[^0-9]/g, '').slice(0, 11) })} inputMode="numeric" className="p-1 border rounded w-36" /></label>
+                </div>
+                <div className="text-xs text-gray-500 mt-1">We check your NIN and BVN against the national records for this name and date of birth, which usually speeds up review.</div>
+              </div>
+            )}
+
+            {!missing.includes('phone') && missing.includes('cac') && (
+              <div className="mt-3 p-3 border rounded text-sm">
+                <div className="font-semibold">{KYC_DOCUMENTS.cac.label}</div>
+                <div className="flex flex-wrap gap-2 mt-2 items-center">
+                  <input value={fields.cac.businessName} onChange={e => set('cac', { businessName: e.target.value })} placeholder="Registered business name" className="p-2 border rounded" />
+                  <input value={fields.cac.rcNumber} onChange={e => set('cac', { rcNumber: e.target.value })} placeholder="RC 1234567 or BN 1234567" className="p-2 border rounded w-48" />
+                  {fileInput('cac')}
+                </div>
+              </div>
+            )}
+
+            {!missing.includes('phone') && missing.length > 0 && (
+              <div className="mt-3">
+                <div className="text-xs text-gray-500">Documents are stored encrypted and only opened by our review team; each view is logged. We keep your NIN and BVN only as a one-way hash and their last 4 digits.</div>
+                <input value={note} onChange={e => setNote(e.target.value)} placeholder="Anything the reviewer should know (optional)" className="mt-2 p-2 border rounded w-full text-sm" />
+                <button onClick={submit} disabled={sending} className="mt-2 px-4 py-2 bg-blue-600 text-white rounded">{sending ? 'Encrypting…' : 'Submit for Review'}</button>
+              </div>
+            )}
           </div>
-        </div>
-      </form>
+        )}
+
+        {kyc.history.length > 0 && (
+          <div className="mt-5">
+            <h3 className="font-semibold text-sm">History</h3>
+            {[...kyc.history].reverse().map((h, i) => (
+              <div key={i} className="border-t py-1 text-sm">
+                <span className="text-xs text-gray-500">{new Date(h.at).toLocaleString()}</span> • {h.status.replace(/_/g, ' ')}{h.tier ? ` (${KYC_TIERS[h.tier].label})` : ''}
+                {h.note && <span className="text-gray-600"> — {h.note}</span>}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
     );
   }
 
-  // --- Details view ---
-  const [selectedListing, setSelectedListing] = useState(null);
-  function Details() {
-    const l = selectedListing;
-    if (!l) return <div className="p-4">No listing selected</div>;
-    const seller = sellerOf(l);
-    const listingReviews = data.reviews.filter(r => r.listingId === l.id);
+  // --- Messages ---
+  // One thread. Participants read, write and report; a moderator (support/admin on a reported
+  // conversation) sees names on every message, can remove messages, write as support and close the report.
+  function Thread({ conversation: c, moderator = false }) {
+    const listing = data.listings.find(l => l.id === c.listingId);
+    const nameOf = id => (userById(id) || { name: 'User' }).name;
+    const otherId = currentUser.id === c.buyerId ? c.sellerId : c.buyerId;
+    const otherReadAt = (c.lastReadAt || {})[otherId] || '';
+    const lastMine = [...c.messages].reverse().find(m => m.senderId === currentUser.id && !m.support);
+    const relatedOrders = (data.orders || []).filter(o => o.buyerId === c.buyerId && o.sellerId === c.sellerId && o.items.some(i => i.listingId === c.listingId));
+    const [text, setText] = useDraft(drafts, `thread:${c.id}:text`, '');
+    const [file, setFile] = useDraft(drafts, `thread:${c.id}:file`, null);
+    const [sending, setSending] = useState(false);
+    const [reporting, setReporting] = useDraft(drafts, `thread:${c.id}:report`, null); // { reason, details } while the report form is open
+    const [note, setNote] = useDraft(drafts, `thread:${c.id}:resolution`, '');
+    const endRef = useRef(null);
+
+    useEffect(() => {
+      if (!moderator) markConversationRead(c.id);
+      if (endRef.current) endRef.current.scrollIntoView({ block: 'end' });
+    }, [c.messages.length]);
+
+    async function send(e) {
+      e.preventDefault();
+      setSending(true);
+      const res = moderator ? postSupportMessage(c.id, text) : await sendMessage(c.id, { text, file });
+      setSending(false);
+      if (res.error) return alert(res.error);
+      setText('');
+      setFile(null);
+    }
+
+    function report() {
+      const res = reportConversation(c.id, reporting.reason, reporting.details);
+      if (res.error) return alert(res.error);
+      setReporting(null);
+    }
+
+    function resolve() {
+      const res = resolveReport(c.id, note);
+      if (res.error) return alert(res.error);
+      setNote('');
+    }
+
+    function remove(messageId) {
+      if (!confirm('Remove this message for both sides?')) return;
+      const res = hideMessage(c.id, messageId);
+      if (res.error) alert(res.error);
+    }
+
     return (
-      <div className="bg-white p-4 rounded shadow">
-        <div className="grid md:grid-cols-3 gap-4">
-          <div className="col-span-1">
-            <div className="w-full h-64 bg-gray-100 rounded overflow-hidden">
-              {l.images[0] ? <img src={l.images[0]} alt="main" className="object-cover w-full h-full" /> : <div className="p-6 text-gray-500">No image</div>}
-            </div>
-            <div className="grid grid-cols-4 gap-2 mt-2">
-              {l.images.map((im, i) => <img key={i} src={im} className="w-full h-16 object-cover rounded" alt="thumb" />)}
-            </div>
+      <div>
+        <div className="flex gap-2 items-center text-sm">
+          <div className="flex-1">
+            <button onClick={() => { if (listing) { setSelectedListing(listing); setView('details'); } }} className="font-semibold underline">{listing ? listing.title : 'Listing removed'}</button>
+            <div className="text-xs text-gray-500">{moderator ? `Buyer ${nameOf(c.buyerId)} • seller ${nameOf(c.sellerId)}` : currentUser.id === c.buyerId ? `Seller: ${nameOf(c.sellerId)}` : `Buyer: ${nameOf(c.buyerId)}`}</div>
           </div>
+          {!moderator && !(c.report && !c.report.resolvedAt) && !reporting && <button onClick={() => setReporting({ reason: REPORT_REASONS[0], details: '' })} className="px-2 py-1 border rounded text-xs text-red-700">Report</button>}
+        </div>
 
-          <div className="col-span-2">
-            <h2 className="text-2xl font-semibold">{l.title}</h2>
-            <div className="text-sm text-gray-500">{l.category} • {l.state} / {l.lga}</div>
-            <div className="mt-3 text-xl font-bold">NGN {Number(l.price).toLocaleString()}</div>
-            <p className="mt-4 text-gray-700">{l.description}</p>
+        {c.report && (
+          <div className={`mt-2 p-2 rounded text-xs ${c.report.resolvedAt ? 'bg-gray-100' : 'bg-yellow-50'}`}>
+            Reported by {nameOf(c.report.by)} — {c.report.reason}{c.report.details ? `: “${c.report.details}”` : ''} • {new Date(c.report.at).toLocaleString()}
+            {c.report.resolvedAt ? <div>Closed by {nameOf(c.report.resolvedBy)}: {c.report.note}</div> : <div>MarketMate support can now read this conversation.</div>}
+          </div>
+        )}
 
-            <div className="mt-6 flex gap-2 items-center">
-              <div>
-                <div className="text-sm">Seller: <strong>{seller.name}</strong></div>
-                <SellerBadge user={seller} />
-                <div className="text-xs text-gray-500">Contact: {seller.phone || 'Not provided'}</div>
+        {reporting && (
+          <div className="mt-2 p-2 border rounded text-sm">
+            <select value={reporting.reason} onChange={e => setReporting({ ...reporting, reason: e.target.value })} className="p-1 border rounded">
+              {REPORT_REASONS.map(r => <option key={r}>{r}</option>)}
+            </select>
+            <input value={reporting.details} onChange={e => setReporting({ ...reporting, details: e.target.value })} placeholder="What happened? (optional)" className="ml-2 p-1 border rounded w-64" />
+            <div className="text-xs text-gray-500 mt-1">Reporting lets MarketMate support read this conversation, including earlier messages.</div>
+            <div className="flex gap-2 mt-1">
+              <button onClick={report} className="px-3 py-1 bg-red-600 text-white rounded text-xs">Report</button>
+              <button onClick={() => setReporting(null)} className="px-3 py-1 border rounded text-xs">Cancel</button>
+            </div>
+          </div>
+        )}
+
+        <div className="mt-2 h-96 overflow-y-auto border rounded p-2 bg-gray-50">
+          {c.messages.length === 0 && <div className="text-sm text-gray-500">No messages yet. Ask about the item, delivery or pickup — and keep payment on MarketMate.</div>}
+          {c.messages.map(m => {
+            if (m.system) return <div key={m.id} className="text-center text-xs text-gray-500 my-2">{m.text}</div>;
+            const mine = m.senderId === currentUser.id;
+            const hidden = !!m.hiddenAt;
+            return (
+              <div key={m.id} className={`my-1 flex ${mine ? 'justify-end' : 'justify-start'}`}>
+                <div className={`max-w-sm p-2 rounded text-sm ${m.support ? 'bg-purple-100' : mine ? 'bg-blue-600 text-white' : 'bg-white border'}`}>
+                  {(m.support || moderator) && <div className="text-xs font-semibold">{m.support ? 'MarketMate support' : nameOf(m.senderId)}</div>}
+                  {hidden && !moderator ? <em className="text-xs">Message removed by MarketMate support</em> : (
+                    <>
+                      {m.image && <Photo src={m.image} rendition="medium" alt="photo" className="rounded mb-1 max-h-60" />}
+                      {m.text && <div className="whitespace-pre-wrap">{m.text}</div>}
+                    </>
+                  )}
+                  <div className={`text-xs mt-1 ${mine && !m.support ? 'text-blue-100' : 'text-gray-500'}`}>
+                    {new Date(m.createdAt).toLocaleString()}
+                    {lastMine && m.id === lastMine.id && (otherReadAt >= m.createdAt ? ' • Seen' : ' • Sent')}
+                    {hidden && moderator && ' • removed'}
+                  </div>
+                  {!mine && !m.support && !hidden && (m.flags || []).length > 0 && (
+                    <div className="text-xs text-red-700 mt-1">⚠ This message {m.flags.map(f => FLAG_WARNINGS[f]).join(' and ')}. Keep chat and payment on MarketMate; we can't help with deals made elsewhere.</div>
+                  )}
+                  {moderator && !hidden && !m.support && <button onClick={() => remove(m.id)} className="text-xs underline">Remove</button>}
+                </div>
               </div>
+            );
+          })}
+          <div ref={endRef} />
+        </div>
 
-              <div className="ml-auto flex gap-2">
-                <button onClick={() => alert('Contact via WhatsApp or Chat (stub)')} className="px-4 py-2 border rounded">Contact Seller</button>
-                <button onClick={() => alert('Checkout flow (stub) — integrate Paystack/Flutterwave here')} className="px-4 py-2 bg-green-600 text-white rounded">Buy Now</button>
+        {(!moderator || !c.report.resolvedAt) && (
+          <form onSubmit={send} className="mt-2 flex gap-2 items-start">
+            <textarea value={text} onChange={e => setText(e.target.value)} maxLength={MAX_MESSAGE_LENGTH} autoFocus={!moderator} rows={2}
+              placeholder={moderator ? 'Message both sides as MarketMate support' : 'Write a message'} className="flex-1 p-2 border rounded text-sm" />
+            {!moderator && (
+              <label className="px-3 py-2 border rounded cursor-pointer text-sm" title="Add a photo">
+                <input type="file" accept={IMAGE_TYPES.join(',')} onChange={e => setFile(e.target.files[0] || null)} style={{display:'none'}} />
+                {file ? file.name.slice(0, 16) : 'Photo'}
+              </label>
+            )}
+            <button disabled={sending} className="px-4 py-2 bg-blue-600 text-white rounded text-sm">{sending ? 'Sending…' : 'Send'}</button>
+          </form>
+        )}
+
+        {moderator && (
+          <div className="mt-3 text-sm">
+            <div className="font-semibold text-xs">Orders between them for this listing</div>
+            {relatedOrders.length === 0 && <div className="text-xs text-gray-500">None</div>}
+            {relatedOrders.map(o => <div key={o.id} className="text-xs">Order {o.id} • {o.status.replace(/_/g, ' ')} • NGN {o.total.toLocaleString()} • {new Date(o.createdAt).toLocaleDateString()}</div>)}
+            {!c.report.resolvedAt && (
+              <div className="flex gap-2 mt-2">
+                <input value={note} onChange={e => setNote(e.target.value)} placeholder="Outcome, shown to both sides (required)" className="flex-1 p-1 border rounded" />
+                <button onClick={resolve} className="px-3 py-1 bg-green-600 text-white rounded text-xs">Close report</button>
               </div>
-            </div>
+            )}
+          </div>
+        )}
+      </div>
+    );
+  }
 
-            <div className="mt-6">
-              <h3 className="font-semibold">Reviews</h3>
-              {listingReviews.length === 0 && <div className="text-sm text-gray-500">No reviews yet — be first to review.</div>}
-              {listingReviews.map(r => (
-                <div key={r.id} className="border-t pt-2 mt-2">
-                  <div className="text-sm font-semibold">{(data.users.find(u=>u.id===r.userId)||{name:'User'}).name} — {r.rating}★</div>
-                  <div className="text-sm text-gray-700">{r.text}</div>
-                </div>
-              ))}
+  function Inbox() {
+    if (!currentUser) return <div className="p-4">Please login to see your messages.</div>;
+    // a seller doesn't see a conversation until the buyer has written something
+    const conversations = (data.conversations || [])
+      .filter(c => can(currentUser, 'conversation:read', c) && (c.messages.length > 0 || c.buyerId === currentUser.id))
+      .sort((a, b) => (b.lastMessageAt || b.createdAt).localeCompare(a.lastMessageAt || a.createdAt));
+    const open = conversations.find(c => c.id === openConversationId);
 
-              {currentUser && (
-                <div className="mt-3">
-                  <label className="text-xs">Leave a review</label>
-                  <ReviewForm listingId={l.id} onDone={() => setSelectedListing({...l})} />
-                </div>
-              )}
-            </div>
+    return (
+      <div className="bg-white p-4 rounded shadow">
+        <h2 className="font-semibold">Messages</h2>
+        <div className="mt-3 flex gap-4">
+          <div className="w-72 shrink-0">
+            {conversations.length === 0 && <div className="text-sm text-gray-500">No conversations yet. Use “Message seller” on a listing to ask about it.</div>}
+            {conversations.map(c => {
+              const listing = data.listings.find(l => l.id === c.listingId);
+              const other = userById(currentUser.id === c.buyerId ? c.sellerId : c.buyerId) || { name: 'User' };
+              const last = [...c.messages].reverse().find(m => !m.system);
+              const unread = unreadCount(c, currentUser.id);
+              return (
+                <button key={c.id} onClick={() => setOpenConversationId(c.id)} className={`w-full flex gap-2 text-left p-2 border-t ${c.id === openConversationId ? 'bg-blue-50' : ''}`}>
+                  <div className="w-10 h-10 bg-gray-100 rounded overflow-hidden shrink-0">{listing && listing.images[0] && <Photo src={listing.images[0]} rendition="thumb" alt="listing" className="object-cover w-full h-full" />}</div>
+                  <div className="flex-1 min-w-0">
+                    <div className="flex gap-1 items-center text-sm">
+                      <span className={`truncate ${unread ? 'font-semibold' : ''}`}>{other.name}</span>
+                      {c.report && !c.report.resolvedAt && <span className="text-xs text-red-700">reported</span>}
+                      {unread > 0 && <span className="ml-auto text-xs px-2 rounded-full bg-blue-600 text-white">{unread}</span>}
+                    </div>
+                    <div className="text-xs text-gray-500 truncate">{listing ? listing.title : 'Listing removed'}</div>
+                    <div className="text-xs text-gray-600 truncate">{!last ? 'No messages yet' : last.hiddenAt ? 'Message removed' : last.text || 'Photo'}</div>
+                  </div>
+                </button>
+              );
+            })}
           </div>
+          <div className="flex-1 min-w-0">{open ? <Thread conversation={open} /> : <div className="text-sm text-gray-500">Choose a conversation.</div>}</div>
         </div>
       </div>
     );
   }
 
-  function ReviewForm({ listingId, onDone }) {
-    const [rating, setRating] = useState(5);
-    const [text, setText] = useState('');
-    function send(e) { e.preventDefault(); addReview(listingId, rating, text); setText(''); setRating(5); onDone && onDone(); }
+  // Admin panel: reported conversations, open reports first
+  function ReportedConversations() {
+    const reported = (data.conversations || []).filter(c => c.report)
+      .sort((a, b) => (!!a.report.resolvedAt - !!b.report.resolvedAt) || b.report.at.localeCompare(a.report.at));
+    const open = reported.find(c => c.id === openConversationId);
+    if (reported.length === 0) return <div className="text-sm text-gray-500">No reported conversations.</div>;
     return (
-      <form onSubmit={send} className="mt-2">
-        <div className="flex gap-2">
-          <select value={rating} onChange={e=>setRating(e.target.value)} className="p-2 border rounded w-20">
-            <option value={5}>5</option>
-            <option value={4}>4</option>
-            <option value={3}>3</option>
-            <option value={2}>2</option>
-            <option value={1}>1</option>
-          </select>
-          <input value={text} onChange={e=>setText(e.target.value)} placeholder="Write your review" className="flex-1 p-2 border rounded" />
-          <button className="px-3 py-2 bg-blue-600 text-white rounded">Post</button>
-        </div>
-      </form>
+      <div className="text-sm">
+        {reported.map(c => {
+          const listing = data.listings.find(l => l.id === c.listingId);
+          return (
+            <div key={c.id} className="flex gap-2 items-center border-t py-1">
+              <div className="flex-1">
+                {(userById(c.buyerId) || { name: 'User' }).name} ↔ {(userById(c.sellerId) || { name: 'User' }).name} about {listing ? listing.title : 'a removed listing'}
+                <div className="text-xs text-gray-500">{c.report.reason} • reported {new Date(c.report.at).toLocaleString()}{c.report.resolvedAt ? ' • closed' : ''}</div>
+              </div>
+              <button onClick={() => setOpenConversationId(c.id === openConversationId ? null : c.id)} className="px-2 py-1 border rounded text-xs">{c.id === openConversationId ? 'Close' : 'Open thread'}</button>
+            </div>
+          );
+        })}
+        {open && <div className="mt-2 p-3 border rounded"><Thread conversation={open} moderator /></div>}
+      </div>
     );
   }
 
-  // --- Verification dashboard for sellers ---
-  function SellerVerification() {
-    if (!currentUser) return <div className="p-4">Please login to access verification.</div>;
-    const vr = currentUser.verificationRequest || {};
-    const [idFile, setIdFile] = useState(null);
-    const [bvn, setBvn] = useState('');
+  // --- Admin panel ---
+  function CategoryAdmin() {
+    const [editing, setEditing] = useDraft(drafts, 'categories:editing', null); // draft of the category being edited; options as text
+    const [adding, setAdding] = useDraft(drafts, 'categories:adding', { name: '', parentId: '' });
+    const counts = {};
+    for (const l of data.listings) for (const id of l.categoryPath || []) counts[id] = (counts[id] || 0) + 1;
+    const splitList = text => String(text || '').split(',').map(s => s.trim()).filter(Boolean);
+    const setAttr = (i, patch) => setEditing({ ...editing, attributes: editing.attributes.map((a, j) => j === i ? { ...a, ...patch } : a) });
+
+    function edit(c) {
+      setEditing({ id: c.id, name: c.name, aliases: (c.aliases || []).join(', '), attributes: (c.attributes || []).map(a => ({ ...a, options: (a.options || []).join(', ') })) });
+    }
 
-    function handleFile(file) {
-      const reader = new FileReader();
-      reader.onload = () => { setIdFile(reader.result); };
-      reader.readAsDataURL(file);
+    function save() {
+      const res = updateCategory(editing.id, {
+        name: editing.name,
+        aliases: splitList(editing.aliases),
+        attributes: editing.attributes.map(a => ({ ...a, options: splitList(a.options) })),
+      });
+      if (res.error) return alert(res.error);
+      setEditing(null);
     }
 
-    function submit() {
-      if (!idFile) return alert('Upload ID image');
-      submitVerification(currentUser.id, { idImageBase64: idFile, bvn });
-      // update currentUser in state reference
-      setData(prev => ({ ...prev }));
-      alert('Verification submitted — admin will review.');
+    function add(e) {
+      e.preventDefault();
+      const res = addCategory(adding.name, adding.parentId || null);
+      if (res.error) return alert(res.error);
+      setAdding({ name: '', parentId: '' });
     }
 
     return (
-      <div className="bg-white p-4 rounded shadow">
-        <h2 className="font-semibold">Seller Verification</h2>
-        <p className="text-sm text-gray-500">Submit a government ID and BVN to get the Verified badge shown on your listings.</p>
-        <div className="mt-3">
-          <label className="text-xs">Upload ID image</label>
-          <div className="mt-2">
-            <label className="p-3 border rounded cursor-pointer inline-block">
-              <input type="file" accept="image/*" onChange={e=>handleFile(e.target.files[0])} style={{display:'none'}} />
-              Choose file
-            </label>
-            {idFile && <img src={idFile} className="w-32 h-20 object-cover inline-block ml-3 rounded" alt="id" />}
-          </div>
-          <div className="mt-2">
-            <label className="text-xs">BVN (optional)</label>
-            <input value={bvn} onChange={e=>setBvn(e.target.value.replace(/[^0-9]/g,''))} className="p-2 border rounded w-56" />
-          </div>
-          <div className="mt-3">
-            <button onClick={submit} className="px-4 py-2 bg-blue-600 text-white rounded">Submit for Review</button>
+      <div className="mt-1">
+        {categoryOptions(data.categories, { includeArchived: true }).map(({ category: c, depth }) => (
+          <div key={c.id} className="border-t py-2 text-sm" style={{ paddingLeft: depth * 16 }}>
+            <div className="flex gap-2 items-center">
+              <div className={`flex-1 ${c.archived ? 'text-gray-400 line-through' : ''}`}>{c.name}</div>
+              <div className="text-xs text-gray-500">{(c.attributes || []).length} attributes • {counts[c.id] || 0} listings</div>
+              <button onClick={() => edit(c)} className="px-2 py-1 border rounded text-xs">Edit</button>
+              <button onClick={() => { const res = updateCategory(c.id, { archived: !c.archived }); if (res.error) alert(res.error); }} className="px-2 py-1 border rounded text-xs">{c.archived ? 'Restore' : 'Archive'}</button>
+            </div>
+            {editing && editing.id === c.id && (
+              <div className="mt-2 p-3 bg-gray-50 rounded text-xs">
+                <div className="flex gap-2 mb-2">
+                  <input value={editing.name} onChange={e => setEditing({ ...editing, name: e.target.value })} className="p-1 border rounded" />
+                  <input value={editing.aliases} onChange={e => setEditing({ ...editing, aliases: e.target.value })} placeholder="Other names sellers use, comma-separated" className="flex-1 p-1 border rounded" />
+                </div>
+                {c.parentId && <div className="text-gray-500 mb-1">From parent categories: {attributeSchema(data.categories, c.parentId).map(a => a.label).join(', ') || 'none'}</div>}
+                {editing.attributes.map((a, i) => (
+                  <div key={i} className="flex gap-2 items-center mb-1">
+                    <input value={a.label} onChange={e => setAttr(i, { label: e.target.value })} placeholder="Label" className="w-32 p-1 border rounded" />
+                    <select value={a.type} disabled={!!a.key} onChange={e => setAttr(i, { type: e.target.value })} className="p-1 border rounded">
+                      {ATTRIBUTE_TYPES.map(t => <option key={t}>{t}</option>)}
+                    </select>
+                    {a.type === 'select' && <input value={a.options} onChange={e => setAttr(i, { options: e.target.value })} placeholder="Options, comma-separated" className="flex-1 p-1 border rounded" />}
+                    {a.type === 'number' && <input value={a.unit || ''} onChange={e => setAttr(i, { unit: e.target.value })} placeholder="Unit, e.g. km" className="w-24 p-1 border rounded" />}
+                    <label><input type="checkbox" checked={!!a.required} onChange={e => setAttr(i, { required: e.target.checked })} /> required</label>
+                    <label><input type="checkbox" checked={!!a.filter} onChange={e => setAttr(i, { filter: e.target.checked })} /> filter in Browse</label>
+                    <button onClick={() => setEditing({ ...editing, attributes: editing.attributes.filter((_, j) => j !== i) })} className="px-2 border rounded">×</button>
+                  </div>
+                ))}
+                <div className="flex gap-2 mt-2">
+                  <button onClick={() => setEditing({ ...editing, attributes: [...editing.attributes, { label: '', type: 'select', options: '' }] })} className="px-2 py-1 border rounded">Add attribute</button>
+                  <button onClick={save} className="px-2 py-1 bg-blue-600 text-white rounded">Save</button>
+                  <button onClick={() => setEditing(null)} className="px-2 py-1 border rounded">Cancel</button>
+                </div>
+              </div>
+            )}
           </div>
+        ))}
+        <form onSubmit={add} className="flex gap-2 border-t pt-2 text-sm">
+          <input value={adding.name} onChange={e => setAdding({ ...adding, name: e.target.value })} placeholder="New category" className="p-1 border rounded" />
+          <select value={adding.parentId} onChange={e => setAdding({ ...adding, parentId: e.target.value })} className="p-1 border rounded">
+            <option value="">Top level</option>
+            {categoryOptions(data.categories).map(({ category: c, depth }) => <option key={c.id} value={c.id}>{'\u00a0\u00a0'.repeat(depth)}{c.name}</option>)}
+          </select>
+          <button className="px-3 py-1 border rounded">Add category</button>
+        </form>
+      </div>
+    );
+  }
+
+  function KycReview() {
+    const queue = data.users.filter(u => ['submitted', 'in_review'].includes(kycOf(u).status));
+    const [reviews, setReviews] = useDraft(drafts, 'kyc:reviews', {}); // userId -> { note, requested }
+    const draftOf = id => reviews[id] || { note: '', requested: [] };
+    const setDraft = (id, patch) => setReviews({ ...reviews, [id]: { ...draftOf(id), ...patch } });
 
-          <div className="mt-4 text-sm text-gray-600">
-            <strong>Current status:</strong> {vr.status || (currentUser.verified ? 'approved' : 'not submitted')}
+    // the tab is opened while the click still counts as the user's, then pointed at the decrypted document
+    function viewDocument(userId, kind) {
+      const tab = window.open('', '_blank');
+      viewKycDocument(userId, kind).then(res => {
+        if (res.ok) tab.location = res.url;
+        else { tab.close(); alert(res.error); }
+      });
+    }
+
+    function decide(userId, to) {
+      const d = draftOf(userId);
+      let res = reviewKyc(userId, to, d.note, d.requested);
+      if (res.code === 'identity_unmatched' && confirm(`${res.error}. Approve anyway?`)) res = reviewKyc(userId, to, d.note, d.requested, true);
+      if (res.error) alert(res.error);
+    }
+
+    if (queue.length === 0) return <div className="text-sm text-gray-500">No verifications waiting.</div>;
+    return queue.map(u => {
+      const kyc = kycOf(u);
+      const reviewed = KYC_TIERS[kyc.applyingFor].requires.filter(kind => kind !== 'phone');
+      const sent = [...kyc.history].reverse().find(h => h.status === 'submitted');
+      const d = draftOf(u.id);
+      const id = kyc.documents.government_id;
+      return (
+        <div key={u.id} className="border-t py-3 text-sm">
+          <div className="flex gap-4 items-start">
+            <div>
+              <div className="font-semibold">{u.name} ({u.email || u.phone})</div>
+              <div className="text-xs text-gray-500">
+                For {KYC_TIERS[kyc.applyingFor].label} • {kyc.status.replace(/_/g, ' ')} • submitted {sent ? new Date(sent.at).toLocaleString() : '—'}
+                {' • '}{kyc.phoneVerifiedAt ? 'phone confirmed' : 'phone not confirmed'}
+                {kyc.documents.nin ? ` • NIN ending ${kyc.documents.nin.ninLast4}` : ' • no NIN'}{kyc.documents.bvn ? ` • BVN ending ${kyc.documents.bvn.bvnLast4}` : ' • no BVN'}
+              </div>
+              {sent && sent.note && <div className="text-xs mt-1">Seller: “{sent.note}”</div>}
+              {id && (
+                <div className="mt-1 text-xs">
+                  <div>Name on ID: {id.legalName || '—'}{id.dateOfBirth ? `, born ${id.dateOfBirth}` : ''}</div>
+                  {(kyc.checks || []).length === 0 && <div className="text-gray-500">No NIN or BVN given, so there was nothing to check against.</div>}
+                  {(kyc.checks || []).map(c => (
+                    <div key={c.kind} title={`Checked ${new Date(c.checkedAt).toLocaleString()}${c.reference ? `, reference ${c.reference}` : ''}`}>
+                      {c.kind.toUpperCase()} check ({c.provider}): <span className={`font-semibold ${IDENTITY_STATUSES[c.status].className}`}>{IDENTITY_STATUSES[c.status].label}{c.confidence !== null && c.status !== 'not_found' ? `, ${Math.round(c.confidence * 100)}% confidence` : ''}</span>
+                      {c.fields && <span className="text-gray-600"> • name {Math.round(c.fields.name * 100)}% • date of birth {c.fields.dateOfBirth ? '✓' : '✗'} • phone {c.fields.phone === null ? 'not on record' : c.fields.phone ? '✓' : '✗'}</span>}
+                      {c.message && <span className="text-gray-600"> • {c.message}; check the documents by hand or ask for them again</span>}
+                    </div>
+                  ))}
+                </div>
+              )}
+              {reviewed.map(kind => {
+                const doc = kyc.documents[kind];
+                return (
+                  <div key={kind} className="flex gap-2 items-center mt-1">
+                    <button onClick={() => viewDocument(u.id, kind)} disabled={!doc || !doc.documentId} title={`Opens for ${DOCUMENT_LINK_SECONDS / 60} minutes; the view is logged`} className="px-2 py-1 border rounded text-xs">View {KYC_DOCUMENTS[kind].label}</button>
+                    <span className="text-xs text-gray-600">
+                      {!doc ? 'not sent' : kind === 'government_id' ? `${doc.idType || 'ID'}${doc.expiresOn ? `, expires ${doc.expiresOn}` : ''}` : `${doc.businessName}, ${doc.rcNumber}`}
+                    </span>
+                  </div>
+                );
+              })}
+            </div>
+            {kyc.status === 'submitted' && <button onClick={() => decide(u.id, 'in_review')} className="ml-auto px-3 py-1 border rounded">Start review</button>}
           </div>
+          {kyc.status === 'in_review' && (
+            <div className="mt-2 p-2 bg-gray-50 rounded">
+              <input value={d.note} onChange={e => setDraft(u.id, { note: e.target.value })} placeholder="Note to the seller (required): what you checked, or what is wrong" className="w-full p-1 border rounded" />
+              <div className="flex flex-wrap gap-3 mt-2 items-center text-xs">
+                <span>Send again:</span>
+                {reviewed.map(kind => (
+                  <label key={kind}><input type="checkbox" checked={d.requested.includes(kind)} onChange={e => setDraft(u.id, { requested: e.target.checked ? [...d.requested, kind] : d.requested.filter(k => k !== kind) })} /> {KYC_DOCUMENTS[kind].label}</label>
+                ))}
+                <div className="ml-auto flex gap-2">
+                  <button onClick={() => decide(u.id, 'approved')} className="px-3 py-1 bg-green-600 text-white rounded">Approve</button>
+                  <button onClick={() => decide(u.id, 'needs_more_info')} className="px-3 py-1 border rounded">Ask for more info</button>
+                  <button onClick={() => decide(u.id, 'rejected')} className="px-3 py-1 border rounded text-red-700">Reject</button>
+                </div>
+              </div>
+            </div>
+          )}
         </div>
-      </div>
-    );
+      );
+    });
   }
 
-  // --- Admin panel ---
   function AdminPanel() {
-    if (!currentUser || currentUser.role !== 'admin') return <div className="p-4">Admin access only</div>;
-    const pending = data.users.filter(u => u.verificationRequest && u.verificationRequest.status === 'pending');
+    if (!can(currentUser, 'user:list')) return <div className="p-4">Admin access only</div>;
+    const nameOf = id => (data.users.find(u => u.id === id) || { name: id }).name;
 
     return (
       <div className="bg-white p-4 rounded shadow">
         <h2 className="font-semibold">Admin - Verification Review</h2>
-        <p className="text-sm text-gray-500">Review seller ID submissions and approve or reject.</p>
+        <p className="text-sm text-gray-500">Check each seller's documents, then approve, ask for more or reject. Every decision needs a note; the seller sees it.</p>
         <div className="mt-3">
-          {pending.length === 0 && <div className="text-sm text-gray-500">No pending verifications.</div>}
-          {pending.map(u => (
-            <div key={u.id} className="border-t py-3">
-              <div className="flex gap-4 items-center">
-                <div>
-                  <div className="font-semibold">{u.name} ({u.email || u.phone})</div>
-                  <div className="text-xs text-gray-500">Submitted: {u.verificationRequest.submittedAt}</div>
-                </div>
-                <div className="ml-auto flex gap-2">
-                  <a href={u.verificationRequest.idImageBase64} target="_blank" rel="noreferrer" className="px-3 py-1 border rounded">View ID</a>
-                  <button onClick={()=>adminReviewVerification(u.id,true)} className="px-3 py-1 bg-green-600 text-white rounded">Approve</button>
-                  <button onClick={()=>adminReviewVerification(u.id,false)} className="px-3 py-1 border rounded">Reject</button>
+          <KycReview />
+        </div>
+
+        {can(currentUser, 'verification:audit') && (
+          <>
+            <h2 className="font-semibold mt-6">Verification document access</h2>
+            <div className="mt-1 text-sm">
+              {(data.documentAccess || []).length === 0 && <div className="text-gray-500">No verification documents opened yet.</div>}
+              {(data.documentAccess || []).slice(0, 50).map(a => (
+                <div key={a.id} className="flex gap-2 border-t py-1">
+                  <div className="flex-1">{nameOf(a.viewerId)} opened {nameOf(a.userId)}'s {KYC_DOCUMENTS[a.kind || 'government_id'].label}</div>
+                  <div className="text-xs text-gray-500">{new Date(a.createdAt).toLocaleString()} • link until {new Date(a.expiresAt).toLocaleTimeString()}</div>
                 </div>
-              </div>
+              ))}
             </div>
-          ))}
+          </>
+        )}
+
+        {can(currentUser, 'conversation:moderate') && (
+          <>
+            <h2 className="font-semibold mt-6">Reported conversations</h2>
+            <p className="text-sm text-gray-500">Threads either side has reported. Remove messages that break the rules, reply as support, and close the report with an outcome both sides will see.</p>
+            <div className="mt-1"><ReportedConversations /></div>
+          </>
+        )}
+
+        <h2 className="font-semibold mt-6">Users & sessions</h2>
+        <div className="mt-1">
+          {data.users.map(u => {
+            const active = sessionsOf(u.id);
+            return (
+              <div key={u.id} className="flex gap-2 items-center border-t py-2 text-sm">
+                <div className="flex-1">{u.name} ({u.email || u.phone})</div>
+                {can(currentUser, 'user:assign_role') && u.id !== currentUser.id ? (
+                  <select value={u.role} onChange={e => { const res = setUserRole(u.id, e.target.value); if (res.error) alert(res.error); }} className="p-1 border rounded text-xs">
+                    {ROLES.map(r => <option key={r}>{r}</option>)}
+                  </select>
+                ) : <div className="text-xs">{u.role}</div>}
+                <div className="text-xs text-gray-500">{active.length} active session{active.length === 1 ? '' : 's'}</div>
+                {u.id !== currentUser.id && active.length > 0 && (
+                  <button onClick={() => { if (confirm(`Sign ${u.name} out everywhere?`)) endSessions(u.id); }} className="px-2 py-1 border rounded text-xs">Force logout</button>
+                )}
+              </div>
+            );
+          })}
         </div>
+
+        {can(currentUser, 'category:manage') && (
+          <>
+            <h2 className="font-semibold mt-6">Categories</h2>
+            <p className="text-sm text-gray-500">Archived categories take no new listings; existing listings stay where they are.</p>
+            <CategoryAdmin />
+          </>
+        )}
       </div>
     );
   }
 
   // --- Top navigation and main layout ---
+  const unreadAlerts = currentUser ? alertsOf(currentUser.id).filter(a => !a.readAt).length : 0;
+  const unreadMessages = currentUser ? (data.conversations || []).filter(c => can(currentUser, 'conversation:read', c)).reduce((n, c) => n + unreadCount(c, currentUser.id), 0) : 0;
   return (
     <div className="min-h-screen bg-gray-50 p-6">
       <div className="max-w-6xl mx-auto">
@@ -517,11 +4676,20 @@ export default function MarketMateApp() {
             <button onClick={()=>{ setView('browse'); setSelectedListing(null); }} className={`px-3 py-2 rounded ${view==='browse'?'bg-blue-600 text-white':'border'}`}>Browse</button>
             <button onClick={()=>{ setView('create'); setEditingListing(null); }} className={`px-3 py-2 rounded ${view==='create'?'bg-blue-600 text-white':'border'}`}>Sell</button>
             <button onClick={()=>setView('verify')} className={`px-3 py-2 rounded ${view==='verify'?'bg-blue-600 text-white':'border'}`}>Verify</button>
-            {currentUser && currentUser.role === 'admin' && (
+            {currentUser && (
+              <>
+                <button onClick={()=>setView('cart')} className={`px-3 py-2 rounded ${view==='cart'?'bg-blue-600 text-white':'border'}`}>Cart ({cartOf(currentUser.id).reduce((n, i) => n + i.qty, 0)})</button>
+                <button onClick={()=>setView('orders')} className={`px-3 py-2 rounded ${view==='orders'?'bg-blue-600 text-white':'border'}`}>Orders</button>
+                <button onClick={()=>setView('searches')} className={`px-3 py-2 rounded ${view==='searches'?'bg-blue-600 text-white':'border'}`}>Saved{unreadAlerts ? ` (${unreadAlerts} new)` : ''}</button>
+                <button onClick={()=>setView('inbox')} className={`px-3 py-2 rounded ${view==='inbox'?'bg-blue-600 text-white':'border'}`}>Messages{unreadMessages ? ` (${unreadMessages})` : ''}</button>
+              </>
+            )}
+            {can(currentUser, 'user:list') && (
               <button onClick={()=>setView('admin')} className={`px-3 py-2 rounded ${view==='admin'?'bg-blue-600 text-white':'border'}`}>Admin</button>
             )}
 
-            <div className="ml-2">{currentUser ? <span className="text-sm">Hello, {currentUser.name}</span> : <AuthPanel onRegister={registerSeller} onLogin={loginMock} />}</div>
+            <div className="ml-2">{currentUser ? <span className="text-sm">Hello, {currentUser.name}</span> : <AuthPanel onRegister={registerBuyer} onLogin={login} onForgot={requestPasswordReset} onReset={resetPassword} />}</div>
+            {currentUser && <button onClick={()=>setView('account')} className={`px-3 py-2 rounded ${view==='account'?'bg-blue-600 text-white':'border'}`}>Account</button>}
             {currentUser && <button onClick={logout} className="px-3 py-2 border rounded">Logout</button>}
 
             <div className="ml-2">
@@ -536,10 +4704,18 @@ export default function MarketMateApp() {
 
         <main>
           {view === 'browse' && <Browse />}
-          {view === 'create' && <CreateEdit />}
+          {view === 'create' && (can(currentUser, 'seller:open')
+            ? <div className="bg-white p-4 rounded shadow max-w-md"><SellerProfileForm /></div>
+            : <CreateEdit />)}
           {view === 'verify' && <SellerVerification />}
           {view === 'admin' && <AdminPanel />}
           {view === 'details' && <Details />}
+          {view === 'cart' && <Cart />}
+          {view === 'orders' && <Orders />}
+          {view === 'account' && <Account />}
+          {view === 'searches' && <SavedSearches />}
+          {view === 'shop' && <Storefront />}
+          {view === 'inbox' && <Inbox />}
         </main>
 
         <footer className="text-center text-xs text-gray-500 mt-8">MarketMate • Built for Nigeria • Demo data stored locally</footer>
@@ -548,19 +4724,33 @@ export default function MarketMateApp() {
   );
 }
 
-function AuthPanel({ onRegister, onLogin }) {
-  const [mode, setMode] = useState('login');
-  const [form, setForm] = useState({ name: '', email: '', phone: '', password: '' });
+function AuthPanel({ onRegister, onLogin, onForgot, onReset }) {
+  const [mode, setMode] = useState('login'); // login | register | forgot | reset
+  const [form, setForm] = useState({ name: '', email: '', phone: '', password: '', code: '' });
+  const [busy, setBusy] = useState(false);
 
-  function submit(e) {
+  async function submit(e) {
     e.preventDefault();
-    if (mode === 'login') {
-      const res = onLogin({ emailOrPhone: form.email || form.phone });
-      if (res && res.error) alert(res.error); else alert('Logged in (mock)');
-      return;
-    }
-    const res = onRegister({ name: form.name, email: form.email, phone: form.phone, password: form.password });
-    if (res && res.error) alert(res.error); else alert('Registered and logged in (mock)');
+    setBusy(true);
+    try {
+      if (mode === 'login') {
+        const res = await onLogin({ emailOrPhone: form.email || form.phone, password: form.password });
+        if (res && res.error) alert(res.error);
+      } else if (mode === 'register') {
+        const res = await onRegister({ name: form.name, email: form.email, phone: form.phone, password: form.password });
+        if (res && res.error) alert(res.error); else alert('Registered and logged in');
+      } else if (mode === 'forgot') {
+        await onForgot(form.email || form.phone);
+        alert('If that account exists, a reset code has been sent (demo: see the browser console).');
+        setMode('reset');
+      } else {
+        const res = await onReset({ emailOrPhone: form.email || form.phone, code: form.code, password: form.password });
+        if (res && res.error) return alert(res.error);
+        alert('Password updated — you can now log in');
+        setForm({ ...form, password: '', code: '' });
+        setMode('login');
+      }
+    } finally { setBusy(false); }
   }
 
   return (
@@ -568,8 +4758,11 @@ function AuthPanel({ onRegister, onLogin }) {
       {mode === 'register' && <input required placeholder="Full name" value={form.name} onChange={e=>setForm({...form, name:e.target.value})} className="p-2 border rounded text-sm" />}
       <input required placeholder="Email or Phone" value={form.email || form.phone} onChange={e=>setForm({...form, email:e.target.value, phone: e.target.value})} className="p-2 border rounded text-sm" />
       {mode === 'register' && <input required placeholder="Phone" value={form.phone} onChange={e=>setForm({...form, phone:e.target.value})} className="p-2 border rounded text-sm" />}
-      <button className="px-3 py-2 bg-blue-600 text-white rounded text-sm">{mode === 'login' ? 'Login' : 'Register'}</button>
+      {mode === 'reset' && <input required placeholder="Reset code" value={form.code} onChange={e=>setForm({...form, code:e.target.value})} className="p-2 border rounded text-sm w-28" />}
+      {mode !== 'forgot' && <input required type="password" placeholder={mode === 'reset' ? 'New password' : 'Password'} autoComplete={mode === 'login' ? 'current-password' : 'new-password'} value={form.password} onChange={e=>setForm({...form, password:e.target.value})} className="p-2 border rounded text-sm" />}
+      <button disabled={busy} className="px-3 py-2 bg-blue-600 text-white rounded text-sm">{{ login: 'Login', register: 'Register', forgot: 'Send code', reset: 'Set password' }[mode]}</button>
       <button type="button" onClick={()=>setMode(mode==='login'?'register':'login')} className="px-2 py-1 border rounded text-sm">{mode==='login'?'Sign up':'Sign in'}</button>
+      {mode === 'login' && <button type="button" onClick={()=>setMode('forgot')} className="text-xs underline">Forgot password?</button>}
     </form>
   );
 }
@@ -0,0 +1,571 @@
+# MarketMate — Orders & Cart (multi-seller checkout + order lifecycle)
+
+This update replaces the `alert('Checkout flow (stub) ...')` behind **Buy Now** with a real order system:
+
+- **Prisma `CartItem`, `Order`, `OrderItem`, `OrderEvent` models** — a persistent cart per buyer and orders with an audit trail of status changes
+- **Multi-seller checkout** — one checkout splits the cart into one `Order` per seller; all of them share a `checkoutRef` and are paid with a single `Payment`
+- **Stock check on checkout** — every cart line is checked against `listing.qty` (and `listing.active`) before any order is created
+- **Explicit order lifecycle** — `pending_payment → paid → shipped → delivered → completed`, with `cancelled` reachable from `pending_payment` and `paid`
+- **`/payments/verify` and both webhooks now move orders forward** — a successful payment marks its orders `paid` and notifies buyer and seller over Socket.io
+
+The single-file demo (`MarketMateApp`) gets the same behaviour against `localStorage`: **Add to Cart / Buy Now** in `Details`, a **Cart** view grouped by seller, and an **Orders** view with purchases and sales.
+
+---
+
+## 1) Prisma: cart and order models
+
+Add to `prisma/schema.prisma` and run `npx prisma migrate dev --name add_orders_cart`.
+
+```prisma
+model CartItem {
+  id        String   @id @default(cuid())
+  user      User     @relation(fields: [userId], references: [id])
+  userId    String
+  listing   Listing  @relation(fields: [listingId], references: [id])
+  listingId String
+  qty       Int      @default(1)
+  createdAt DateTime @default(now())
+
+  @@unique([userId, listingId])
+}
+
+model Order {
+  id          String       @id @default(cuid())
+  buyer       User         @relation("OrderBuyer", fields: [buyerId], references: [id])
+  buyerId     String
+  seller      User         @relation("OrderSeller", fields: [sellerId], references: [id])
+  sellerId    String
+  payment     Payment?     @relation(fields: [paymentId], references: [id])
+  paymentId   String?
+  checkoutRef String       // shared by every order created in the same checkout
+  status      String       @default("pending_payment") // pending_payment | paid | shipped | delivered | completed | cancelled
+  total       Int          // kobo, same unit as Payment.amount
+  currency    String       @default("NGN")
+  items       OrderItem[]
+  events      OrderEvent[]
+  createdAt   DateTime     @default(now())
+  updatedAt   DateTime     @updatedAt
+
+  @@index([checkoutRef])
+}
+
+model OrderItem {
+  id        String  @id @default(cuid())
+  order     Order   @relation(fields: [orderId], references: [id])
+  orderId   String
+  listing   Listing @relation(fields: [listingId], references: [id])
+  listingId String
+  title     String  // snapshot at checkout time
+  unitPrice Int     // kobo
+  qty       Int
+}
+
+model OrderEvent {
+  id        String   @id @default(cuid())
+  order     Order    @relation(fields: [orderId], references: [id])
+  orderId   String
+  from      String?
+  to        String
+  actorId   String?  // null when moved by a payment verification/webhook
+  note      String?
+  createdAt DateTime @default(now())
+}
+```
+
+Add the back-relations and the checkout reference to the existing models:
+
+```prisma
+model User {
+  // ...existing fields
+  cartItems CartItem[]
+  orders    Order[]    @relation("OrderBuyer")
+  sales     Order[]    @relation("OrderSeller")
+}
+
+model Listing {
+  // ...existing fields
+  cartItems  CartItem[]
+  orderItems OrderItem[]
+}
+
+model Payment {
+  // ...existing fields
+  checkoutRef String?  // links a payment to the orders it pays for
+  orders      Order[]
+}
+```
+
+---
+
+## 2) Order service: `src/services/orders.js`
+
+All order state changes go through `transitionOrder`, so the lifecycle rules live in one place.
+
+```js
+import crypto from 'crypto';
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+// Order lifecycle: each status lists the statuses an order may move to next.
+export const ORDER_TRANSITIONS = {
+  pending_payment: ['paid', 'cancelled'],
+  paid: ['shipped', 'cancelled'],
+  shipped: ['delivered'],
+  delivered: ['completed'],
+  completed: [],
+  cancelled: [],
+};
+
+export function canTransition(from, to) {
+  return (ORDER_TRANSITIONS[from] || []).includes(to);
+}
+
+export async function transitionOrder(orderId, to, { actorId = null, note = null, data = {} } = {}) {
+  const order = await prisma.order.findUnique({ where: { id: orderId } });
+  if (!order) return { error: 'Order not found' };
+  if (!canTransition(order.status, to)) return { error: `Cannot move order from ${order.status} to ${to}` };
+  const updated = await prisma.order.update({
+    where: { id: orderId },
+    data: { ...data, status: to, events: { create: { from: order.status, to, actorId, note } } },
+    include: { items: true },
+  });
+  return { ok: true, order: updated };
+}
+
+// Checks every cart line against stock, then creates one order per seller and empties the cart.
+export async function checkoutCart(buyerId) {
+  const cart = await prisma.cartItem.findMany({ where: { userId: buyerId }, include: { listing: true } });
+  if (cart.length === 0) return { error: 'Cart is empty' };
+  for (const item of cart) {
+    if (!item.listing.active) return { error: `${item.listing.title} is no longer available` };
+    if (item.qty > item.listing.qty) return { error: `Only ${item.listing.qty} left of ${item.listing.title}` };
+  }
+
+  const bySeller = new Map();
+  for (const item of cart) {
+    const list = bySeller.get(item.listing.sellerId) || [];
+    list.push(item);
+    bySeller.set(item.listing.sellerId, list);
+  }
+
+  const checkoutRef = `chk_${crypto.randomBytes(8).toString('hex')}`;
+  const creates = Array.from(bySeller, ([sellerId, items]) => prisma.order.create({
+    data: {
+      buyerId,
+      sellerId,
+      checkoutRef,
+      total: items.reduce((sum, i) => sum + i.listing.price * 100 * i.qty, 0),
+      items: { create: items.map(i => ({ listingId: i.listingId, title: i.listing.title, unitPrice: i.listing.price * 100, qty: i.qty })) },
+      events: { create: { to: 'pending_payment', actorId: buyerId } },
+    },
+    include: { items: true },
+  }));
+  const results = await prisma.$transaction([...creates, prisma.cartItem.deleteMany({ where: { userId: buyerId } })]);
+  const orders = results.slice(0, creates.length);
+  const total = orders.reduce((sum, o) => sum + o.total, 0);
+  return { ok: true, checkoutRef, orders, total };
+}
+
+// Called after /payments/verify or a webhook has upserted a Payment.
+// Moves the checkout's pending orders to `paid` once the full amount has been received.
+export async function applyPaymentToOrders(payment) {
+  if (payment.status !== 'success' || !payment.checkoutRef) return [];
+  const orders = await prisma.order.findMany({ where: { checkoutRef: payment.checkoutRef, status: 'pending_payment' } });
+  if (orders.length === 0) return [];
+  const due = orders.reduce((sum, o) => sum + o.total, 0);
+  if (payment.amount < due) {
+    console.warn(`payment ${payment.providerRef} short: got ${payment.amount}, orders need ${due}`);
+    return [];
+  }
+  const moved = [];
+  for (const o of orders) {
+    const r = await transitionOrder(o.id, 'paid', { note: `${payment.provider} ${payment.providerRef}`, data: { paymentId: payment.id } });
+    if (r.ok) moved.push(r.order);
+  }
+  return moved;
+}
+```
+
+A failed payment leaves the orders in `pending_payment`, so the buyer can retry the payment or cancel.
+
+---
+
+## 3) Cart routes: `src/routes/cart.js`
+
+```js
+import express from 'express';
+import { PrismaClient } from '@prisma/client';
+import authMiddleware from '../middlewares/auth.js';
+
+const prisma = new PrismaClient();
+const router = express.Router();
+
+router.use(authMiddleware);
+
+// GET /api/cart
+router.get('/', async (req, res) => {
+  try {
+    const items = await prisma.cartItem.findMany({ where: { userId: req.user.id }, include: { listing: true }, orderBy: { createdAt: 'asc' } });
+    const total = items.reduce((sum, i) => sum + i.listing.price * i.qty, 0); // NGN
+    res.json({ ok: true, items, total });
+  } catch (e) { console.error('cart error', e); res.status(500).json({ error: e.message }); }
+});
+
+// POST /api/cart/items { listingId, qty }
+router.post('/items', async (req, res) => {
+  try {
+    const { listingId } = req.body;
+    const qty = Number(req.body.qty || 1);
+    if (!listingId || qty < 1) return res.status(400).json({ error: 'listingId and qty required' });
+    const listing = await prisma.listing.findUnique({ where: { id: listingId } });
+    if (!listing || !listing.active) return res.status(404).json({ error: 'Listing not available' });
+    if (listing.sellerId === req.user.id) return res.status(400).json({ error: 'You cannot buy your own listing' });
+
+    const existing = await prisma.cartItem.findUnique({ where: { userId_listingId: { userId: req.user.id, listingId } } });
+    const nextQty = (existing ? existing.qty : 0) + qty;
+    if (nextQty > listing.qty) return res.status(400).json({ error: `Only ${listing.qty} in stock` });
+    const item = await prisma.cartItem.upsert({
+      where: { userId_listingId: { userId: req.user.id, listingId } },
+      update: { qty: nextQty },
+      create: { userId: req.user.id, listingId, qty },
+    });
+    res.json({ ok: true, item });
+  } catch (e) { console.error('cart add error', e); res.status(500).json({ error: e.message }); }
+});
+
+// PATCH /api/cart/items/:listingId { qty } — qty 0 removes the line
+router.patch('/items/:listingId', async (req, res) => {
+  try {
+    const { listingId } = req.params;
+    const qty = Number(req.body.qty);
+    const where = { userId_listingId: { userId: req.user.id, listingId } };
+    if (!qty || qty < 1) {
+      await prisma.cartItem.delete({ where }).catch(_=>null);
+      return res.json({ ok: true });
+    }
+    const listing = await prisma.listing.findUnique({ where: { id: listingId } });
+    if (listing && qty > listing.qty) return res.status(400).json({ error: `Only ${listing.qty} in stock` });
+    const item = await prisma.cartItem.update({ where, data: { qty } });
+    res.json({ ok: true, item });
+  } catch (e) { console.error('cart update error', e); res.status(500).json({ error: e.message }); }
+});
+
+// DELETE /api/cart/items/:listingId
+router.delete('/items/:listingId', async (req, res) => {
+  try {
+    await prisma.cartItem.delete({ where: { userId_listingId: { userId: req.user.id, listingId: req.params.listingId } } }).catch(_=>null);
+    res.json({ ok: true });
+  } catch (e) { console.error('cart delete error', e); res.status(500).json({ error: e.message }); }
+});
+
+export default router;
+```
+
+---
+
+## 4) Order routes: `src/routes/orders.js`
+
+Checkout creates the orders, initializes the payment against `checkoutRef` and returns the provider checkout URL. Using `checkoutRef` as the provider reference (Paystack `reference`, Flutterwave `tx_ref`) lets verification and webhooks find the orders without extra lookups.
+
+```js
+import express from 'express';
+import { PrismaClient } from '@prisma/client';
+import authMiddleware from '../middlewares/auth.js';
+import { initPaystackTransaction, initFlutterwaveTransaction } from '../services/payment.js';
+import { checkoutCart, transitionOrder } from '../services/orders.js';
+import { notifyOrderUpdated } from '../index.js';
+
+const prisma = new PrismaClient();
+const router = express.Router();
+
+router.use(authMiddleware);
+
+// POST /api/orders/checkout { provider: 'paystack' | 'flutterwave', callbackUrl }
+router.post('/checkout', async (req, res) => {
+  try {
+    const { provider = 'paystack', callbackUrl } = req.body;
+    if (!['paystack', 'flutterwave'].includes(provider)) return res.status(400).json({ error: 'Unsupported provider' });
+    const result = await checkoutCart(req.user.id);
+    if (result.error) return res.status(400).json({ error: result.error });
+    const { checkoutRef, orders, total } = result;
+
+    let checkoutUrl;
+    let meta;
+    if (provider === 'paystack') {
+      meta = await initPaystackTransaction(total, req.user.email, callbackUrl, { reference: checkoutRef });
+      if (!meta.status) return res.status(502).json({ error: 'Paystack init failed', detail: meta });
+      checkoutUrl = meta.data.authorization_url;
+    } else {
+      meta = await initFlutterwaveTransaction({
+        tx_ref: checkoutRef,
+        amount: total / 100,
+        currency: 'NGN',
+        redirect_url: callbackUrl,
+        customer: { email: req.user.email },
+      });
+      if (meta.status !== 'success') return res.status(502).json({ error: 'Flutterwave init failed', detail: meta });
+      checkoutUrl = meta.data.link;
+    }
+
+    const payment = await prisma.payment.create({ data: {
+      provider,
+      providerRef: checkoutRef,
+      checkoutRef,
+      amount: total,
+      currency: 'NGN',
+      status: 'pending',
+      buyerId: req.user.id,
+      sellerId: orders.length === 1 ? orders[0].sellerId : null, // multi-seller payments are split per order
+      meta,
+    }});
+
+    res.json({ ok: true, checkoutRef, checkoutUrl, orders, payment });
+  } catch (e) { console.error('checkout error', e); res.status(500).json({ error: e.message }); }
+});
+
+// GET /api/orders — buyer's purchases
+router.get('/', async (req, res) => {
+  try {
+    const orders = await prisma.order.findMany({ where: { buyerId: req.user.id }, include: { items: true }, orderBy: { createdAt: 'desc' } });
+    res.json({ ok: true, orders });
+  } catch (e) { console.error('orders error', e); res.status(500).json({ error: e.message }); }
+});
+
+// GET /api/orders/sales — seller's incoming orders
+router.get('/sales', async (req, res) => {
+  try {
+    const orders = await prisma.order.findMany({ where: { sellerId: req.user.id }, include: { items: true }, orderBy: { createdAt: 'desc' } });
+    res.json({ ok: true, orders });
+  } catch (e) { console.error('sales error', e); res.status(500).json({ error: e.message }); }
+});
+
+// GET /api/orders/:id — buyer, seller or admin
+router.get('/:id', async (req, res) => {
+  try {
+    const order = await prisma.order.findUnique({ where: { id: req.params.id }, include: { items: true, events: { orderBy: { createdAt: 'asc' } } } });
+    if (!order) return res.status(404).json({ error: 'Order not found' });
+    if (![order.buyerId, order.sellerId].includes(req.user.id) && req.user.role !== 'admin') return res.status(403).json({ error: 'Forbidden' });
+    res.json({ ok: true, order });
+  } catch (e) { console.error('order error', e); res.status(500).json({ error: e.message }); }
+});
+
+// Who may make which move. `paid` is never set by hand — only payment verification does that.
+const ACTIONS = {
+  ship: { to: 'shipped', party: 'seller' },
+  deliver: { to: 'delivered', party: 'seller' },
+  complete: { to: 'completed', party: 'buyer' },
+  cancel: { to: 'cancelled', party: 'either' },
+};
+
+// POST /api/orders/:id/(ship|deliver|complete|cancel) { note }
+router.post('/:id/:action', async (req, res) => {
+  try {
+    const action = ACTIONS[req.params.action];
+    if (!action) return res.status(404).json({ error: 'Unknown action' });
+    const order = await prisma.order.findUnique({ where: { id: req.params.id } });
+    if (!order) return res.status(404).json({ error: 'Order not found' });
+
+    const isBuyer = order.buyerId === req.user.id;
+    const isSeller = order.sellerId === req.user.id;
+    const allowed = req.user.role === 'admin'
+      || (action.party === 'seller' && isSeller)
+      || (action.party === 'buyer' && isBuyer)
+      // buyers may only cancel before paying; after that the seller (or admin) cancels
+      || (action.party === 'either' && (isSeller || (isBuyer && order.status === 'pending_payment')));
+    if (!allowed) return res.status(403).json({ error: 'Forbidden' });
+
+    const r = await transitionOrder(order.id, action.to, { actorId: req.user.id, note: req.body.note || null });
+    if (r.error) return res.status(400).json({ error: r.error });
+    notifyOrderUpdated(r.order);
+    res.json({ ok: true, order: r.order });
+  } catch (e) { console.error('order action error', e); res.status(500).json({ error: e.message }); }
+});
+
+export default router;
+```
+
+`initPaystackTransaction` gains an optional 4th argument so the reference can be chosen by us:
+
+```js
+export async function initPaystackTransaction(amountKobo, email, callbackUrl, extra = {}) {
+  const res = await fetch('https://api.paystack.co/transaction/initialize', {
+    method: 'POST', headers: { Authorization: `Bearer ${process.env.PAYSTACK_SECRET}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ amount: amountKobo, email, callback_url: callbackUrl, ...extra })
+  });
+  return res.json();
+}
+```
+
+---
+
+## 5) Payments: verification and webhooks move orders forward
+
+In `src/routes/payments.js`, record the `checkoutRef` on every upsert and hand the resulting payment to `applyPaymentToOrders`. Paystack returns our reference as `data.reference`; Flutterwave returns it as `data.tx_ref`.
+
+```js
+import { applyPaymentToOrders } from '../services/orders.js';
+import { notifyPaymentUpdated, notifyOrderUpdated } from '../index.js';
+
+// shared by /verify and both webhooks, after the Payment row has been written
+async function afterPaymentUpsert(payment) {
+  const orders = await applyPaymentToOrders(payment);
+  orders.forEach(notifyOrderUpdated);
+  notifyPaymentUpdated({ payment, sellerId: payment.sellerId, buyerId: payment.buyerId });
+  return orders;
+}
+```
+
+`/verify` (changes only):
+
+```js
+    let checkoutRef = null;
+    if (provider === 'paystack') {
+      // ...existing mapping
+      checkoutRef = verification?.data?.reference || null;
+    }
+    if (provider === 'flutterwave') {
+      // ...existing mapping
+      amount = Math.round((verification?.data?.charged_amount || 0) * 100); // naira -> kobo, like Paystack
+      checkoutRef = verification?.data?.tx_ref || null;
+    }
+
+    // Checkout payments are created with providerRef = checkoutRef; find them by either key
+    const existing = await prisma.payment.findFirst({ where: { OR: [{ providerRef }, ...(checkoutRef ? [{ checkoutRef }] : [])] } });
+    if (existing) {
+      const updated = await prisma.payment.update({ where: { id: existing.id }, data: { status, amount: Number(amount), currency, meta: verification } });
+      const orders = await afterPaymentUpsert(updated);
+      return res.json({ ok: true, payment: updated, orders, verification });
+    }
+
+    const created = await prisma.payment.create({ data: {
+      provider, providerRef, checkoutRef, amount: Number(amount), currency, status, meta: verification
+    }});
+    const orders = await afterPaymentUpsert(created);
+    res.json({ ok: true, payment: created, orders, verification });
+```
+
+Paystack webhook (changes only):
+
+```js
+      const payment = await prisma.payment.upsert({ where: { providerRef }, update: { status, amount, meta: verification }, create: { provider: 'paystack', providerRef, checkoutRef: providerRef, amount, currency: 'NGN', status, meta: verification } });
+      await afterPaymentUpsert(payment);
+```
+
+Flutterwave webhook (changes only). Flutterwave reports the transaction `id` while checkout stored `tx_ref`, so look the payment up by `checkoutRef` first:
+
+```js
+      const amount = Math.round((verification?.data?.charged_amount || 0) * 100); // naira -> kobo
+      const checkoutRef = verification?.data?.tx_ref || null;
+      const existing = checkoutRef ? await prisma.payment.findFirst({ where: { checkoutRef } }) : null;
+      const payment = existing
+        ? await prisma.payment.update({ where: { id: existing.id }, data: { status, amount, meta: verification } })
+        : await prisma.payment.upsert({ where: { providerRef: String(providerRef) }, update: { status, amount, meta: verification }, create: { provider: 'flutterwave', providerRef: String(providerRef), checkoutRef, amount, currency: verification?.data?.currency || 'NGN', status, meta: verification } });
+      await afterPaymentUpsert(payment);
+```
+
+Flutterwave reports `charged_amount` in naira while `Payment.amount` is in kobo, so both Flutterwave paths now convert before storing; otherwise `applyPaymentToOrders` would always see a short payment.
+
+---
+
+## 6) Server: mount routes + order notifications in `src/index.js`
+
+```js
+import cartRouter from './routes/cart.js';
+import ordersRouter from './routes/orders.js';
+
+app.use('/api/cart', cartRouter);
+app.use('/api/orders', ordersRouter);
+
+// helper to broadcast when an order changes status
+export function notifyOrderUpdated(order) {
+  const payload = { order };
+  emitToUser(order.buyerId, 'order:updated', payload);
+  emitToUser(order.sellerId, 'order:updated', payload);
+  io.to('admins').emit('order:updated', payload);
+}
+```
+
+---
+
+## 7) Client: API helpers in `client/src/utils/api.js`
+
+```js
+function authHeaders(token) {
+  return { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` };
+}
+
+export async function fetchCart(token) {
+  return fetch(`${API}/cart`, { headers: authHeaders(token) }).then(r => r.json());
+}
+
+export async function addToCart(listingId, qty, token) {
+  return fetch(`${API}/cart/items`, { method: 'POST', headers: authHeaders(token), body: JSON.stringify({ listingId, qty }) }).then(r => r.json());
+}
+
+export async function updateCartItem(listingId, qty, token) {
+  return fetch(`${API}/cart/items/${listingId}`, { method: 'PATCH', headers: authHeaders(token), body: JSON.stringify({ qty }) }).then(r => r.json());
+}
+
+// Returns { checkoutUrl } — redirect the buyer there, then call /payments/verify on the callback page.
+export async function checkout(provider, callbackUrl, token) {
+  return fetch(`${API}/orders/checkout`, { method: 'POST', headers: authHeaders(token), body: JSON.stringify({ provider, callbackUrl }) }).then(r => r.json());
+}
+
+export async function fetchOrders(token, { sales = false } = {}) {
+  return fetch(`${API}/orders${sales ? '/sales' : ''}`, { headers: authHeaders(token) }).then(r => r.json());
+}
+
+export async function orderAction(orderId, action, token, note) {
+  return fetch(`${API}/orders/${orderId}/${action}`, { method: 'POST', headers: authHeaders(token), body: JSON.stringify({ note }) }).then(r => r.json());
+}
+```
+
+Order pages can listen for `order:updated` on the socket from `utils/socket.js` the same way `SellerPayments` listens for `payment:verified:seller`.
+
+---
+
+## 8) Tests: `server/tests/orderLifecycle.test.js`
+
+```js
+// server/tests/orderLifecycle.test.js
+import { canTransition, ORDER_TRANSITIONS } from '../src/services/orders.js';
+
+describe('Order lifecycle', () => {
+  test('happy path moves forward one step at a time', () => {
+    expect(canTransition('pending_payment', 'paid')).toBe(true);
+    expect(canTransition('paid', 'shipped')).toBe(true);
+    expect(canTransition('shipped', 'delivered')).toBe(true);
+    expect(canTransition('delivered', 'completed')).toBe(true);
+  });
+
+  test('cannot skip steps or go backwards', () => {
+    expect(canTransition('pending_payment', 'shipped')).toBe(false);
+    expect(canTransition('paid', 'pending_payment')).toBe(false);
+    expect(canTransition('delivered', 'shipped')).toBe(false);
+  });
+
+  test('cancel only before shipping', () => {
+    expect(canTransition('pending_payment', 'cancelled')).toBe(true);
+    expect(canTransition('paid', 'cancelled')).toBe(true);
+    expect(canTransition('shipped', 'cancelled')).toBe(false);
+  });
+
+  test('terminal states have no exits', () => {
+    expect(ORDER_TRANSITIONS.completed).toEqual([]);
+    expect(ORDER_TRANSITIONS.cancelled).toEqual([]);
+  });
+});
+```
+
+---
+
+## 9) How it works (end-to-end)
+
+1. **Cart**: Buyer adds listings with `POST /api/cart/items`. Quantities above `listing.qty` are rejected.
+2. **Checkout**: `POST /api/orders/checkout` re-checks stock, creates one `pending_payment` order per seller, empties the cart, and creates a `pending` Payment whose reference is the `checkoutRef`.
+3. **Pay**: Buyer is redirected to the Paystack/Flutterwave checkout URL.
+4. **Verify / webhook**: `/payments/verify` or the webhook upserts the Payment. If it succeeded and covers the orders' total, every order in the checkout moves to `paid` and `order:updated` is emitted to buyer and seller.
+5. **Fulfil**: Seller calls `ship` then `deliver`; buyer calls `complete`. Every move is recorded as an `OrderEvent`.
+
+Stock is checked but not yet decremented at checkout; reservations and sold-out handling are a separate change.
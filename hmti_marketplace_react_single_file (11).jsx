@@ -0,0 +1,451 @@
+# MarketMate — Escrow Ledger & Seller Payouts
+
+This update makes the "safe trading" promise real. A verified payment no longer stops at `status: success`. The money is now held in escrow for the seller and released only when the buyer confirms delivery, or automatically after a timeout.
+
+- **Prisma `LedgerEntry` (double-entry journal) and `Payout` models**
+- **Escrow flow**: order `paid` → seller's **held** balance; order `completed` (buyer confirms, or auto-release) → **available** balance
+- **Auto-release**: delivered orders complete themselves after `ESCROW_RELEASE_HOURS` (default 72) if the buyer does nothing
+- **Payout requests**: sellers move available funds to **payout pending**; an admin marks each payout paid or failed
+- **Seller dashboard**: `SellerPayments.jsx` shows held, available, pending and paid-out totals
+
+The single-file demo keeps the same journal in `data.ledger` and shows held/available totals above the seller's **Sales** list.
+
+---
+
+## 1) How the ledger works
+
+Every movement of money is one **journal transaction**: two or more `LedgerEntry` rows that share a `txnId` and whose debits equal their credits. Balances are never stored. They are always the sum of the rows for an account.
+
+| Account                       | Meaning                                        |
+|-------------------------------|------------------------------------------------|
+| `platform:clearing`           | Money sitting with Paystack/Flutterwave for us |
+| `platform:refunds_due`        | Money owed back to buyers (cancelled paid orders) |
+| `seller:<id>:held`            | Paid orders not yet confirmed by the buyer     |
+| `seller:<id>:available`       | Released funds the seller can withdraw          |
+| `seller:<id>:payout_pending`  | Requested payouts not yet sent                 |
+
+Seller accounts are liabilities (we owe the seller), so their balance is **credits − debits**.
+
+| Event                        | Debit                      | Credit                     |
+|------------------------------|----------------------------|----------------------------|
+| Order paid                   | `platform:clearing`        | `seller:<id>:held`         |
+| Order completed / auto-release | `seller:<id>:held`       | `seller:<id>:available`    |
+| Paid order cancelled         | `seller:<id>:held`         | `platform:refunds_due`     |
+| Payout requested             | `seller:<id>:available`    | `seller:<id>:payout_pending` |
+| Payout sent                  | `seller:<id>:payout_pending` | `platform:clearing`      |
+| Payout failed                | `seller:<id>:payout_pending` | `seller:<id>:available`  |
+
+Each posting carries an `idempotencyKey` (e.g. `hold:<orderId>`), so a webhook retry or a double click cannot post the same movement twice.
+
+---
+
+## 2) Prisma: `LedgerEntry` and `Payout`
+
+Add to `prisma/schema.prisma` and run `npx prisma migrate dev --name add_escrow_ledger`.
+
+```prisma
+model LedgerEntry {
+  id             String   @id @default(cuid())
+  txnId          String   // groups the rows of one balanced journal transaction
+  idempotencyKey String?  // e.g. hold:<orderId>, release:<orderId>, payout:<payoutId>
+  kind           String   // hold | release | cancel | payout_request | payout_paid | payout_failed
+  account        String   // platform:clearing | seller:<id>:held | seller:<id>:available | ...
+  debit          Int      @default(0) // kobo
+  credit         Int      @default(0) // kobo
+  sellerId       String?
+  orderId        String?
+  payoutId       String?
+  createdAt      DateTime @default(now())
+
+  @@unique([idempotencyKey, account])
+  @@index([account])
+  @@index([sellerId])
+}
+
+model Payout {
+  id          String   @id @default(cuid())
+  seller      User     @relation(fields: [sellerId], references: [id])
+  sellerId    String
+  amount      Int      // kobo
+  status      String   @default("requested") // requested | paid | failed
+  bankAccount Json     // { bankCode, accountNumber, accountName }
+  providerRef String?  // transfer reference once sent
+  failReason  String?
+  createdAt   DateTime @default(now())
+  updatedAt   DateTime @updatedAt
+}
+```
+
+And on the existing models:
+
+```prisma
+model Order {
+  // ...existing fields
+  releaseAt  DateTime?  // set when delivered; escrow auto-releases after this
+  releasedAt DateTime?
+}
+
+model User {
+  // ...existing fields
+  payouts Payout[]
+}
+```
+
+---
+
+## 3) Ledger service: `src/services/ledger.js`
+
+```js
+import crypto from 'crypto';
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+export const PLATFORM_CLEARING = 'platform:clearing';
+export const PLATFORM_REFUNDS_DUE = 'platform:refunds_due';
+
+export function sellerAccount(sellerId, bucket) {
+  return `seller:${sellerId}:${bucket}`; // bucket: held | available | payout_pending
+}
+
+// Checks that a posting balances and turns it into rows. Kept pure so it can be unit-tested.
+export function buildJournal(kind, lines, refs = {}) {
+  if (lines.some(l => (l.debit || 0) < 0 || (l.credit || 0) < 0)) throw new Error('Journal amounts must not be negative');
+  const debit = lines.reduce((n, l) => n + (l.debit || 0), 0);
+  const credit = lines.reduce((n, l) => n + (l.credit || 0), 0);
+  if (debit === 0 || debit !== credit) throw new Error(`Unbalanced journal: debit ${debit}, credit ${credit}`);
+  const txnId = `txn_${crypto.randomBytes(8).toString('hex')}`;
+  return lines.map(l => ({ txnId, kind, account: l.account, debit: l.debit || 0, credit: l.credit || 0, ...refs }));
+}
+
+// Writes a balanced posting. Returns null if a posting with the same idempotencyKey already exists.
+export async function postJournal(kind, lines, refs = {}) {
+  const rows = buildJournal(kind, lines, refs);
+  try {
+    await prisma.ledgerEntry.createMany({ data: rows });
+    return rows;
+  } catch (e) {
+    if (e.code === 'P2002') return null; // unique (idempotencyKey, account) — already posted
+    throw e;
+  }
+}
+
+export async function holdOrderFunds(order) {
+  return postJournal('hold', [
+    { account: PLATFORM_CLEARING, debit: order.total },
+    { account: sellerAccount(order.sellerId, 'held'), credit: order.total },
+  ], { idempotencyKey: `hold:${order.id}`, sellerId: order.sellerId, orderId: order.id });
+}
+
+export async function releaseOrderFunds(order) {
+  const rows = await postJournal('release', [
+    { account: sellerAccount(order.sellerId, 'held'), debit: order.total },
+    { account: sellerAccount(order.sellerId, 'available'), credit: order.total },
+  ], { idempotencyKey: `release:${order.id}`, sellerId: order.sellerId, orderId: order.id });
+  if (rows) await prisma.order.update({ where: { id: order.id }, data: { releasedAt: new Date() } });
+  return rows;
+}
+
+// A paid order that is cancelled: the held money is now owed back to the buyer.
+export async function cancelOrderFunds(order) {
+  return postJournal('cancel', [
+    { account: sellerAccount(order.sellerId, 'held'), debit: order.total },
+    { account: PLATFORM_REFUNDS_DUE, credit: order.total },
+  ], { idempotencyKey: `cancel:${order.id}`, sellerId: order.sellerId, orderId: order.id });
+}
+
+export async function accountBalance(account) {
+  const r = await prisma.ledgerEntry.aggregate({ where: { account }, _sum: { debit: true, credit: true } });
+  return (r._sum.credit || 0) - (r._sum.debit || 0);
+}
+
+export async function sellerBalances(sellerId) {
+  const [held, available, payoutPending, paid] = await Promise.all([
+    accountBalance(sellerAccount(sellerId, 'held')),
+    accountBalance(sellerAccount(sellerId, 'available')),
+    accountBalance(sellerAccount(sellerId, 'payout_pending')),
+    prisma.payout.aggregate({ where: { sellerId, status: 'paid' }, _sum: { amount: true } }),
+  ]);
+  return { held, available, payoutPending, paidOut: paid._sum.amount || 0 };
+}
+
+export async function requestPayout(sellerId, amount, bankAccount) {
+  if (!Number.isInteger(amount) || amount <= 0) return { error: 'Invalid amount' };
+  const available = await accountBalance(sellerAccount(sellerId, 'available'));
+  if (amount > available) return { error: 'Amount exceeds available balance' };
+  const payout = await prisma.payout.create({ data: { sellerId, amount, bankAccount } });
+  await postJournal('payout_request', [
+    { account: sellerAccount(sellerId, 'available'), debit: amount },
+    { account: sellerAccount(sellerId, 'payout_pending'), credit: amount },
+  ], { idempotencyKey: `payout:${payout.id}`, sellerId, payoutId: payout.id });
+  return { ok: true, payout };
+}
+
+// Admin (or a transfer webhook) settles a payout: paid money leaves clearing, failed money goes back to available.
+export async function settlePayout(payoutId, { ok, providerRef = null, failReason = null }) {
+  const payout = await prisma.payout.findUnique({ where: { id: payoutId } });
+  if (!payout) return { error: 'Payout not found' };
+  if (payout.status !== 'requested') return { error: `Payout already ${payout.status}` };
+  const pending = sellerAccount(payout.sellerId, 'payout_pending');
+  const refs = { sellerId: payout.sellerId, payoutId: payout.id };
+  if (ok) {
+    await postJournal('payout_paid', [
+      { account: pending, debit: payout.amount },
+      { account: PLATFORM_CLEARING, credit: payout.amount },
+    ], { ...refs, idempotencyKey: `payout_settle:${payout.id}` });
+  } else {
+    await postJournal('payout_failed', [
+      { account: pending, debit: payout.amount },
+      { account: sellerAccount(payout.sellerId, 'available'), credit: payout.amount },
+    ], { ...refs, idempotencyKey: `payout_settle:${payout.id}` });
+  }
+  const updated = await prisma.payout.update({ where: { id: payout.id }, data: { status: ok ? 'paid' : 'failed', providerRef, failReason } });
+  return { ok: true, payout: updated };
+}
+```
+
+---
+
+## 4) Orders: post escrow on status changes + auto-release
+
+`transitionOrder` in `src/services/orders.js` now posts to the ledger after the status is written, and stamps `releaseAt` when an order is delivered.
+
+```js
+import { holdOrderFunds, releaseOrderFunds, cancelOrderFunds } from './ledger.js';
+
+const ESCROW_RELEASE_HOURS = Number(process.env.ESCROW_RELEASE_HOURS || 72);
+
+export async function transitionOrder(orderId, to, { actorId = null, note = null, data = {} } = {}) {
+  const order = await prisma.order.findUnique({ where: { id: orderId } });
+  if (!order) return { error: 'Order not found' };
+  if (!canTransition(order.status, to)) return { error: `Cannot move order from ${order.status} to ${to}` };
+  if (to === 'delivered') data = { ...data, releaseAt: new Date(Date.now() + ESCROW_RELEASE_HOURS * 3600 * 1000) };
+  const updated = await prisma.order.update({
+    where: { id: orderId },
+    data: { ...data, status: to, events: { create: { from: order.status, to, actorId, note } } },
+    include: { items: true },
+  });
+
+  if (to === 'paid') await holdOrderFunds(updated);
+  if (to === 'completed') await releaseOrderFunds(updated);
+  if (to === 'cancelled' && order.status === 'paid') await cancelOrderFunds(updated);
+
+  return { ok: true, order: updated };
+}
+
+// Completes delivered orders whose buyer has not confirmed within ESCROW_RELEASE_HOURS.
+export async function releaseDueOrders() {
+  const due = await prisma.order.findMany({ where: { status: 'delivered', releaseAt: { lte: new Date() } } });
+  const released = [];
+  for (const o of due) {
+    const r = await transitionOrder(o.id, 'completed', { note: `auto-release after ${ESCROW_RELEASE_HOURS}h` });
+    if (r.ok) released.push(r.order);
+  }
+  return released;
+}
+```
+
+---
+
+## 5) Payout routes: `src/routes/payouts.js`
+
+```js
+import express from 'express';
+import { PrismaClient } from '@prisma/client';
+import authMiddleware from '../middlewares/auth.js';
+import { sellerBalances, requestPayout, settlePayout } from '../services/ledger.js';
+
+const prisma = new PrismaClient();
+const router = express.Router();
+
+router.use(authMiddleware);
+
+function adminOnly(req, res, next) {
+  if (req.user.role !== 'admin') return res.status(403).json({ error: 'Admin only' });
+  next();
+}
+
+// GET /api/payouts/balance — { held, available, payoutPending, paidOut } in kobo
+router.get('/balance', async (req, res) => {
+  try {
+    res.json({ ok: true, balance: await sellerBalances(req.user.id) });
+  } catch (e) { console.error('balance error', e); res.status(500).json({ error: e.message }); }
+});
+
+// GET /api/payouts/ledger — the seller's own journal rows, newest first
+router.get('/ledger', async (req, res) => {
+  try {
+    const entries = await prisma.ledgerEntry.findMany({ where: { sellerId: req.user.id }, orderBy: { createdAt: 'desc' }, take: 200 });
+    res.json({ ok: true, entries });
+  } catch (e) { console.error('ledger error', e); res.status(500).json({ error: e.message }); }
+});
+
+// GET /api/payouts — the seller's payout requests
+router.get('/', async (req, res) => {
+  try {
+    const payouts = await prisma.payout.findMany({ where: { sellerId: req.user.id }, orderBy: { createdAt: 'desc' } });
+    res.json({ ok: true, payouts });
+  } catch (e) { console.error('payouts error', e); res.status(500).json({ error: e.message }); }
+});
+
+// POST /api/payouts { amount (NGN), bankCode, accountNumber, accountName }
+router.post('/', async (req, res) => {
+  try {
+    const { amount, bankCode, accountNumber, accountName } = req.body;
+    if (!amount || !bankCode || !accountNumber || !accountName) return res.status(400).json({ error: 'amount and bank details required' });
+    const r = await requestPayout(req.user.id, Math.round(Number(amount) * 100), { bankCode, accountNumber, accountName });
+    if (r.error) return res.status(400).json({ error: r.error });
+    res.json(r);
+  } catch (e) { console.error('payout request error', e); res.status(500).json({ error: e.message }); }
+});
+
+// GET /api/payouts/admin/all?status=requested
+router.get('/admin/all', adminOnly, async (req, res) => {
+  try {
+    const where = req.query.status ? { status: req.query.status } : {};
+    const payouts = await prisma.payout.findMany({ where, include: { seller: { select: { id: true, name: true, email: true } } }, orderBy: { createdAt: 'asc' } });
+    res.json({ ok: true, payouts });
+  } catch (e) { console.error('admin payouts error', e); res.status(500).json({ error: e.message }); }
+});
+
+// POST /api/payouts/admin/:id/paid { providerRef }  |  POST /api/payouts/admin/:id/failed { reason }
+router.post('/admin/:id/:outcome(paid|failed)', adminOnly, async (req, res) => {
+  try {
+    const ok = req.params.outcome === 'paid';
+    const r = await settlePayout(req.params.id, { ok, providerRef: req.body.providerRef || null, failReason: ok ? null : (req.body.reason || 'failed') });
+    if (r.error) return res.status(400).json({ error: r.error });
+    res.json(r);
+  } catch (e) { console.error('settle payout error', e); res.status(500).json({ error: e.message }); }
+});
+
+export default router;
+```
+
+---
+
+## 6) Server: mount + auto-release timer in `src/index.js`
+
+```js
+import payoutsRouter from './routes/payouts.js';
+import { releaseDueOrders } from './services/orders.js';
+
+app.use('/api/payouts', payoutsRouter);
+
+// Escrow auto-release. One process is enough; move to a Redis-backed queue if the server is scaled out.
+setInterval(async () => {
+  try {
+    const released = await releaseDueOrders();
+    released.forEach(notifyOrderUpdated);
+  } catch (e) { console.error('auto-release error', e); }
+}, 15 * 60 * 1000);
+```
+
+Add to `.env.example`:
+
+```
+# Escrow
+ESCROW_RELEASE_HOURS=72
+```
+
+---
+
+## 7) Client: balances in `SellerPayments.jsx` (changes only)
+
+```jsx
+function BalanceCard({ label, amount, cls }) {
+  return (
+    <div className={`p-3 rounded shadow ${cls}`}>
+      <div className="text-xs text-gray-600">{label}</div>
+      <div className="text-lg font-bold">NGN {(amount/100).toLocaleString()}</div>
+    </div>
+  );
+}
+
+// inside SellerPayments
+const [balance, setBalance] = useState({ held: 0, available: 0, payoutPending: 0, paidOut: 0 });
+const [payoutForm, setPayoutForm] = useState({ amount: '', bankCode: '', accountNumber: '', accountName: '' });
+
+async function fetchBalance() {
+  const token = localStorage.getItem('token');
+  const res = await fetch(`${API}/payouts/balance`, { headers: { Authorization: `Bearer ${token}` } });
+  const j = await res.json();
+  if (j.ok) setBalance(j.balance);
+}
+
+async function requestPayout(e) {
+  e.preventDefault();
+  const token = localStorage.getItem('token');
+  const res = await fetch(`${API}/payouts`, { method: 'POST', headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` }, body: JSON.stringify(payoutForm) });
+  const j = await res.json();
+  if (j.error) return showToast(j.error);
+  showToast(`Payout of NGN ${Number(payoutForm.amount).toLocaleString()} requested`);
+  setPayoutForm({ ...payoutForm, amount: '' });
+  fetchBalance();
+}
+
+// refresh balances together with payments
+useEffect(() => { fetchBalance(); const id = setInterval(fetchBalance, 5000); return () => clearInterval(id); }, []);
+```
+
+Render above the payments table:
+
+```jsx
+<div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-4">
+  <BalanceCard label="Held in escrow" amount={balance.held} cls="bg-yellow-50" />
+  <BalanceCard label="Available" amount={balance.available} cls="bg-green-50" />
+  <BalanceCard label="Payout pending" amount={balance.payoutPending} cls="bg-blue-50" />
+  <BalanceCard label="Paid out" amount={balance.paidOut} cls="bg-white" />
+</div>
+
+<form onSubmit={requestPayout} className="mb-4 flex gap-2 items-center">
+  <input value={payoutForm.amount} onChange={e=>setPayoutForm({...payoutForm, amount: e.target.value.replace(/[^0-9]/g,'')})} placeholder="Amount (NGN)" className="p-2 border rounded w-36" />
+  <input value={payoutForm.bankCode} onChange={e=>setPayoutForm({...payoutForm, bankCode: e.target.value})} placeholder="Bank code" className="p-2 border rounded w-28" />
+  <input value={payoutForm.accountNumber} onChange={e=>setPayoutForm({...payoutForm, accountNumber: e.target.value.replace(/[^0-9]/g,'')})} placeholder="Account number" className="p-2 border rounded w-40" />
+  <input value={payoutForm.accountName} onChange={e=>setPayoutForm({...payoutForm, accountName: e.target.value})} placeholder="Account name" className="p-2 border rounded flex-1" />
+  <button disabled={!balance.available} className="px-4 py-2 bg-blue-600 text-white rounded disabled:opacity-50">Request payout</button>
+</form>
+```
+
+---
+
+## 8) Tests: `server/tests/ledger.test.js`
+
+```js
+// server/tests/ledger.test.js
+import { buildJournal, sellerAccount, PLATFORM_CLEARING } from '../src/services/ledger.js';
+
+describe('Escrow ledger', () => {
+  test('balanced posting produces rows sharing one txnId', () => {
+    const rows = buildJournal('hold', [
+      { account: PLATFORM_CLEARING, debit: 5000 },
+      { account: sellerAccount('s1', 'held'), credit: 5000 },
+    ], { orderId: 'o1', sellerId: 's1' });
+    expect(rows).toHaveLength(2);
+    expect(rows[0].txnId).toBe(rows[1].txnId);
+    expect(rows[1]).toMatchObject({ account: 'seller:s1:held', debit: 0, credit: 5000, orderId: 'o1' });
+  });
+
+  test('unbalanced posting is rejected', () => {
+    expect(() => buildJournal('hold', [
+      { account: PLATFORM_CLEARING, debit: 5000 },
+      { account: sellerAccount('s1', 'held'), credit: 4000 },
+    ])).toThrow(/Unbalanced/);
+  });
+
+  test('zero and negative amounts are rejected', () => {
+    expect(() => buildJournal('hold', [{ account: 'a', debit: 0 }, { account: 'b', credit: 0 }])).toThrow();
+    expect(() => buildJournal('hold', [{ account: 'a', debit: -1 }, { account: 'b', credit: -1 }])).toThrow();
+  });
+});
+```
+
+---
+
+## 9) How it works (end-to-end)
+
+1. **Pay**: `/payments/verify` or a webhook marks the checkout's orders `paid`. Each order posts `hold`: the seller's **held** balance goes up.
+2. **Deliver**: The seller marks the order delivered, which sets `releaseAt = now + ESCROW_RELEASE_HOURS`.
+3. **Release**: The buyer confirms (`complete`), or the 15-minute timer finds `releaseAt` in the past and completes the order. Either way `release` moves the money from **held** to **available**.
+4. **Withdraw**: The seller requests a payout from **available**. An admin sends the transfer and marks the payout paid, or marks it failed and the funds return to **available**.
+
+Cancelling a paid order moves its held funds to `platform:refunds_due`; sending that money back to the buyer is done through the provider refund flow.
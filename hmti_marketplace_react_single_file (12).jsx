@@ -0,0 +1,355 @@
+# MarketMate — Signed, Idempotent Webhooks (Paystack + Flutterwave) with an Event Store
+
+This update hardens the webhook path added in the payments canvas:
+
+- **Raw-body signature checks** — Paystack's `x-paystack-signature` is now an HMAC-SHA512 of the **raw request bytes**, not of `JSON.stringify(req.body)`, which does not always reproduce the bytes Paystack signed
+- **Flutterwave `verif-hash`** — compared against `FLUTTERWAVE_SECRET_HASH` in constant time (the old `verifyFlutterwaveSignature` returned `true` for everything)
+- **Prisma `WebhookEvent` store** — every signed event is persisted once, keyed by `(provider, eventId)`; retries of the same event are acknowledged and not processed again
+- **No status flip-flop** — a payment that reached `success` can no longer be moved back to `failed`/`pending` by a late or repeated event
+- **Admin replay** — failed events keep their payload and error and can be listed and replayed from `/api/admin/webhooks`
+
+---
+
+## 1) Prisma: `WebhookEvent`
+
+Add to `prisma/schema.prisma` and run `npx prisma migrate dev --name add_webhook_events`.
+
+```prisma
+model WebhookEvent {
+  id          String    @id @default(cuid())
+  provider    String    // paystack | flutterwave
+  eventId     String    // provider event id, see webhookEventId()
+  type        String?   // charge.success, charge.completed, ...
+  payload     Json
+  status      String    @default("received") // received | processing | processed | failed
+  attempts    Int       @default(0)
+  lastError   String?
+  receivedAt  DateTime  @default(now())
+  processedAt DateTime?
+
+  @@unique([provider, eventId])
+  @@index([status])
+}
+```
+
+---
+
+## 2) Keep the raw body: `src/index.js` (changes only)
+
+Signatures are computed over the exact bytes the provider sent, so capture them while parsing JSON. The per-route `express.json()` on the webhook handlers is removed; the global parser already ran.
+
+```js
+app.use(express.json({
+  limit: '5mb',
+  verify: (req, _res, buf) => { req.rawBody = buf; }, // used by webhook signature checks
+}));
+```
+
+---
+
+## 3) Signature checks + status guard: `src/services/payment.js` (replaces the two verify functions)
+
+```js
+import crypto from 'crypto';
+
+function safeEqual(a, b) {
+  const ab = Buffer.from(String(a || ''));
+  const bb = Buffer.from(String(b || ''));
+  return ab.length === bb.length && crypto.timingSafeEqual(ab, bb);
+}
+
+export function verifyPaystackSignature(req) {
+  const secret = process.env.PAYSTACK_SECRET;
+  if (!secret || !req.rawBody) return false;
+  const hash = crypto.createHmac('sha512', secret).update(req.rawBody).digest('hex');
+  return safeEqual(hash, req.headers['x-paystack-signature']);
+}
+
+// Flutterwave sends the "secret hash" configured in the dashboard as `verif-hash`.
+// Both sides are hashed first so the constant-time compare never leaks the length.
+export function verifyFlutterwaveSignature(req) {
+  const secretHash = process.env.FLUTTERWAVE_SECRET_HASH;
+  const sent = req.headers['verif-hash'];
+  if (!secretHash || !sent) return false;
+  const digest = v => crypto.createHash('sha256').update(String(v)).digest('hex');
+  return safeEqual(digest(sent), digest(secretHash));
+}
+
+// Payment statuses only move forward: pending -> success|failed, success -> refunded.
+// A late `failed` event for a payment that already succeeded is ignored.
+const STATUS_RANK = { pending: 0, failed: 1, success: 2, refunded: 3 };
+
+export function nextPaymentStatus(current, incoming) {
+  if (!current) return incoming;
+  if (current === 'success' && incoming === 'failed') return current;
+  return (STATUS_RANK[incoming] ?? -1) >= (STATUS_RANK[current] ?? -1) ? incoming : current;
+}
+```
+
+Add to `.env.example`:
+
+```
+# Flutterwave webhook secret hash (Settings → Webhooks in the dashboard)
+FLUTTERWAVE_SECRET_HASH=choose-a-long-random-string
+```
+
+---
+
+## 4) Event store + handlers: `src/services/webhooks.js`
+
+The handler bodies that used to live inline in `routes/payments.js` move here, so the route, a retry and an admin replay all run the same code.
+
+```js
+import { PrismaClient } from '@prisma/client';
+import { verifyPaystackByReference, verifyFlutterwaveByReference, nextPaymentStatus } from './payment.js';
+import { afterPaymentUpsert } from './orders.js';
+
+const prisma = new PrismaClient();
+
+// Neither provider sends a dedicated event id, so build one from the event type and the transaction id.
+export function webhookEventId(provider, payload) {
+  const type = payload?.event || 'unknown';
+  const ref = payload?.data?.id ?? payload?.data?.reference ?? payload?.data?.tx_ref;
+  if (ref === undefined || ref === null) return null;
+  return `${type}:${ref}`;
+}
+
+// Persists the event once. A retry of an event we already stored returns the stored row.
+export async function ingestWebhook(provider, payload) {
+  const eventId = webhookEventId(provider, payload);
+  if (!eventId) return { error: 'Event has no id' };
+  try {
+    const event = await prisma.webhookEvent.create({ data: { provider, eventId, type: payload.event || null, payload } });
+    return { ok: true, event, duplicate: false };
+  } catch (e) {
+    if (e.code !== 'P2002') throw e;
+    const event = await prisma.webhookEvent.findUnique({ where: { provider_eventId: { provider, eventId } } });
+    return { ok: true, event, duplicate: true };
+  }
+}
+
+async function upsertVerifiedPayment(provider, providerRef, checkoutRef, { status, amount, currency, verification }) {
+  const existing = await prisma.payment.findFirst({ where: { OR: [{ providerRef: String(providerRef) }, ...(checkoutRef ? [{ checkoutRef }] : [])] } });
+  if (existing) {
+    return prisma.payment.update({ where: { id: existing.id }, data: { status: nextPaymentStatus(existing.status, status), amount, currency, meta: verification } });
+  }
+  return prisma.payment.create({ data: { provider, providerRef: String(providerRef), checkoutRef, amount, currency, status, meta: verification } });
+}
+
+const HANDLERS = {
+  async paystack(payload) {
+    const reference = payload?.data?.reference;
+    if (!reference || !String(payload.event || '').startsWith('charge.')) return;
+    const verification = await verifyPaystackByReference(reference);
+    const status = verification?.data?.status === 'success' ? 'success' : 'failed';
+    const providerRef = verification?.data?.reference || reference;
+    const amount = verification?.data?.amount || 0;
+    const payment = await upsertVerifiedPayment('paystack', providerRef, providerRef, { status, amount, currency: 'NGN', verification });
+    await afterPaymentUpsert(payment);
+  },
+
+  async flutterwave(payload) {
+    const reference = payload?.data?.id || payload?.data?.tx_ref;
+    if (!reference) return;
+    const verification = await verifyFlutterwaveByReference(reference);
+    const status = verification?.status === 'success' && verification?.data?.status === 'successful' ? 'success' : 'failed';
+    const providerRef = verification?.data?.id || reference;
+    const amount = Math.round((verification?.data?.charged_amount || 0) * 100); // naira -> kobo
+    const currency = verification?.data?.currency || 'NGN';
+    const payment = await upsertVerifiedPayment('flutterwave', providerRef, verification?.data?.tx_ref || null, { status, amount, currency, verification });
+    await afterPaymentUpsert(payment);
+  },
+};
+
+// Runs the handler for a stored event. The status claim is atomic, so two deliveries
+// (or a delivery and an admin replay) racing on the same event only process it once.
+export async function processWebhookEvent(id) {
+  const claimed = await prisma.webhookEvent.updateMany({
+    where: { id, status: { in: ['received', 'failed'] } },
+    data: { status: 'processing', attempts: { increment: 1 } },
+  });
+  if (claimed.count === 0) return { ok: true, skipped: true };
+
+  const event = await prisma.webhookEvent.findUnique({ where: { id } });
+  try {
+    const handler = HANDLERS[event.provider];
+    if (!handler) throw new Error(`No handler for provider ${event.provider}`);
+    await handler(event.payload);
+    await prisma.webhookEvent.update({ where: { id }, data: { status: 'processed', processedAt: new Date(), lastError: null } });
+    return { ok: true };
+  } catch (e) {
+    console.error(`webhook ${event.provider}/${event.eventId} failed`, e);
+    await prisma.webhookEvent.update({ where: { id }, data: { status: 'failed', lastError: String(e.message || e) } });
+    return { error: e.message };
+  }
+}
+```
+
+`afterPaymentUpsert` (from the orders canvas) moves from `routes/payments.js` into `src/services/orders.js` so both the routes and the webhook handlers can use it:
+
+```js
+import { notifyPaymentUpdated, notifyOrderUpdated } from '../index.js';
+
+// Runs after a Payment row is written: moves its orders forward and notifies everyone involved.
+export async function afterPaymentUpsert(payment) {
+  const orders = await applyPaymentToOrders(payment);
+  orders.forEach(notifyOrderUpdated);
+  notifyPaymentUpdated({ payment, sellerId: payment.sellerId, buyerId: payment.buyerId });
+  return orders;
+}
+```
+
+---
+
+## 5) Webhook routes: `src/routes/payments.js` (replaces both webhook handlers)
+
+Once the event is stored we always answer `200`, even if processing failed: the event is safe in the store and can be replayed, and a non-2xx would only make the provider resend the same payload.
+
+```js
+import { verifyPaystackSignature, verifyFlutterwaveSignature, nextPaymentStatus } from '../services/payment.js';
+import { ingestWebhook, processWebhookEvent } from '../services/webhooks.js';
+import { afterPaymentUpsert } from '../services/orders.js';
+
+async function receiveWebhook(provider, req, res) {
+  try {
+    const r = await ingestWebhook(provider, req.body);
+    if (r.error) return res.status(400).send(r.error);
+    if (r.duplicate) console.log(`${provider} webhook retry for ${r.event.eventId} (${r.event.status})`);
+    // no-op if the event was already processed; retries a previously failed one
+    await processWebhookEvent(r.event.id);
+  } catch (e) { console.error(`${provider} webhook error`, e); return res.sendStatus(500); }
+  res.sendStatus(200);
+}
+
+router.post('/paystack/webhook', async (req, res) => {
+  if (!verifyPaystackSignature(req)) return res.status(401).send('Invalid signature');
+  await receiveWebhook('paystack', req, res);
+});
+
+router.post('/flutterwave/webhook', async (req, res) => {
+  if (!verifyFlutterwaveSignature(req)) return res.status(401).send('Invalid signature');
+  await receiveWebhook('flutterwave', req, res);
+});
+```
+
+A `500` is only returned when the event could not be **stored** (e.g. the database is down), which is exactly when we want the provider to retry.
+
+`/verify` uses the same status guard when it updates an existing row:
+
+```js
+      const updated = await prisma.payment.update({ where: { id: existing.id }, data: { status: nextPaymentStatus(existing.status, status), amount: Number(amount), currency, meta: verification } });
+```
+
+---
+
+## 6) Admin: list and replay events — `src/routes/webhookAdmin.js`
+
+Mount in `src/index.js` as `app.use('/api/admin/webhooks', webhookAdminRouter)`.
+
+```js
+import express from 'express';
+import { PrismaClient } from '@prisma/client';
+import authMiddleware from '../middlewares/auth.js';
+import { processWebhookEvent } from '../services/webhooks.js';
+
+const prisma = new PrismaClient();
+const router = express.Router();
+
+router.use(authMiddleware, (req, res, next) => {
+  if (req.user.role !== 'admin') return res.status(403).json({ error: 'Admin only' });
+  next();
+});
+
+// GET /api/admin/webhooks?status=failed&provider=paystack
+router.get('/', async (req, res) => {
+  try {
+    const { status, provider } = req.query;
+    const where = {};
+    if (status) where.status = status;
+    if (provider) where.provider = provider;
+    const events = await prisma.webhookEvent.findMany({ where, orderBy: { receivedAt: 'desc' }, take: 200 });
+    const counts = await prisma.webhookEvent.groupBy({ by: ['status'], _count: { _all: true } });
+    res.json({ ok: true, events, counts: Object.fromEntries(counts.map(c => [c.status, c._count._all])) });
+  } catch (e) { console.error('webhook list error', e); res.status(500).json({ error: e.message }); }
+});
+
+// POST /api/admin/webhooks/:id/replay — only failed events can be replayed
+router.post('/:id/replay', async (req, res) => {
+  try {
+    const event = await prisma.webhookEvent.findUnique({ where: { id: req.params.id } });
+    if (!event) return res.status(404).json({ error: 'Event not found' });
+    if (event.status !== 'failed') return res.status(400).json({ error: `Event is ${event.status}, not failed` });
+    const r = await processWebhookEvent(event.id);
+    const updated = await prisma.webhookEvent.findUnique({ where: { id: event.id } });
+    res.json({ ok: !r.error, event: updated, error: r.error });
+  } catch (e) { console.error('webhook replay error', e); res.status(500).json({ error: e.message }); }
+});
+
+export default router;
+```
+
+Replaying is safe because the handler re-verifies the transaction with the provider API instead of trusting the stored payload, and the ledger and order transitions are idempotent.
+
+---
+
+## 7) Tests: `server/tests/webhookSignature.test.js`
+
+```js
+// server/tests/webhookSignature.test.js
+import crypto from 'crypto';
+import { verifyPaystackSignature, verifyFlutterwaveSignature, nextPaymentStatus } from '../src/services/payment.js';
+import { webhookEventId } from '../src/services/webhooks.js';
+
+describe('Webhook signatures', () => {
+  const OLD_ENV = process.env;
+  beforeEach(() => { process.env = { ...OLD_ENV, PAYSTACK_SECRET: 'sk_test_abc', FLUTTERWAVE_SECRET_HASH: 'fw-hash-123' }; });
+  afterAll(() => { process.env = OLD_ENV; });
+
+  test('Paystack signature is checked against the raw body bytes', () => {
+    // key order and spacing differ from what JSON.stringify would produce
+    const rawBody = Buffer.from('{"event":"charge.success",  "data":{"reference":"r1","id":7}}');
+    const sig = crypto.createHmac('sha512', 'sk_test_abc').update(rawBody).digest('hex');
+    const req = { rawBody, body: JSON.parse(rawBody), headers: { 'x-paystack-signature': sig } };
+    expect(verifyPaystackSignature(req)).toBe(true);
+  });
+
+  test('Paystack signature fails for a tampered body', () => {
+    const sig = crypto.createHmac('sha512', 'sk_test_abc').update('{"a":1}').digest('hex');
+    const req = { rawBody: Buffer.from('{"a":2}'), headers: { 'x-paystack-signature': sig } };
+    expect(verifyPaystackSignature(req)).toBe(false);
+  });
+
+  test('Flutterwave verif-hash must match the configured secret hash', () => {
+    expect(verifyFlutterwaveSignature({ headers: { 'verif-hash': 'fw-hash-123' } })).toBe(true);
+    expect(verifyFlutterwaveSignature({ headers: { 'verif-hash': 'nope' } })).toBe(false);
+    expect(verifyFlutterwaveSignature({ headers: {} })).toBe(false);
+  });
+});
+
+describe('Webhook idempotency helpers', () => {
+  test('event id is stable for the same event and differs by type', () => {
+    const p = { event: 'charge.success', data: { id: 42, reference: 'r1' } };
+    expect(webhookEventId('paystack', p)).toBe('charge.success:42');
+    expect(webhookEventId('paystack', { ...p, event: 'refund.processed' })).toBe('refund.processed:42');
+    expect(webhookEventId('paystack', { event: 'x', data: {} })).toBeNull();
+  });
+
+  test('a successful payment is never downgraded', () => {
+    expect(nextPaymentStatus('pending', 'success')).toBe('success');
+    expect(nextPaymentStatus('success', 'failed')).toBe('success');
+    expect(nextPaymentStatus('success', 'pending')).toBe('success');
+    expect(nextPaymentStatus('failed', 'success')).toBe('success');
+    expect(nextPaymentStatus('success', 'refunded')).toBe('refunded');
+  });
+});
+```
+
+---
+
+## 8) How it works (end-to-end)
+
+1. **Receive**: `express.json` keeps `req.rawBody`; the route rejects the request with `401` unless the signature matches.
+2. **Store**: `ingestWebhook` inserts a `WebhookEvent`. A retry hits the unique `(provider, eventId)` key and gets the stored row back.
+3. **Process**: `processWebhookEvent` atomically claims the event (`received`/`failed` → `processing`), re-verifies the transaction with the provider, upserts the `Payment` through the forward-only status guard, and moves orders/escrow on.
+4. **Record outcome**: the event ends as `processed`, or as `failed` with `lastError`. The provider always gets `200` once the event is stored.
+5. **Replay**: an admin lists failed events with `GET /api/admin/webhooks?status=failed` and retries one with `POST /api/admin/webhooks/:id/replay`.
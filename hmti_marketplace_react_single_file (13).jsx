@@ -0,0 +1,386 @@
+# MarketMate — Refunds & Partial Refunds (Paystack + Flutterwave)
+
+Until now `refunded` was only a comment on `Payment.status`. Support refunded buyers by hand in the provider dashboards, and MarketMate never found out. This update adds:
+
+- **Refund initiation in `services/payment.js`** for Paystack and Flutterwave, full or partial
+- **Prisma `Refund` model** with per-order allocations, so a refund on a multi-seller checkout takes money from the right seller
+- **Admin endpoint** `POST /api/payments/admin/:paymentId/refund` next to `/api/payments/admin/all`
+- **Refund webhooks** (`refund.processed` / `refund.failed` on Paystack, `refund.completed` on Flutterwave) that settle the refund, update `Payment.status` / `refundedAmount` and post the matching escrow ledger entries
+- **AdminPayments.jsx**: refund button, refunded amount column, and the new statuses in the filter
+
+---
+
+## 1) Prisma: `Refund` + payment refund totals
+
+Add to `prisma/schema.prisma` and run `npx prisma migrate dev --name add_refunds`.
+
+```prisma
+model Refund {
+  id          String   @id @default(cuid())
+  payment     Payment  @relation(fields: [paymentId], references: [id])
+  paymentId   String
+  amount      Int      // kobo
+  reason      String?
+  status      String   @default("pending") // pending | processed | failed
+  providerRef String?  @unique // refund id returned by the provider
+  allocations Json     @default("[]") // [{ orderId, account, amount }] — where the money was taken from
+  initiatedBy String?
+  meta        Json?
+  createdAt   DateTime @default(now())
+  updatedAt   DateTime @updatedAt
+}
+
+model Payment {
+  // ...existing fields
+  status         String   // pending | success | failed | partially_refunded | refunded
+  refundedAmount Int      @default(0) // kobo, sum of processed refunds
+  refunds        Refund[]
+}
+```
+
+---
+
+## 2) Provider refunds: `src/services/payment.js` (additions)
+
+```js
+export async function refundPaystack(reference, amountKobo, reason) {
+  const res = await fetch('https://api.paystack.co/refund', {
+    method: 'POST', headers: { Authorization: `Bearer ${process.env.PAYSTACK_SECRET}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ transaction: reference, amount: amountKobo, merchant_note: reason })
+  });
+  return res.json();
+}
+
+// Flutterwave refunds by transaction id (not tx_ref) and takes the amount in naira.
+export async function refundFlutterwave(transactionId, amountKobo, reason) {
+  const res = await fetch(`https://api.flutterwave.com/v3/transactions/${encodeURIComponent(transactionId)}/refund`, {
+    method: 'POST', headers: { Authorization: `Bearer ${process.env.FLUTTERWAVE_SECRET}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ amount: amountKobo / 100, comments: reason })
+  });
+  return res.json();
+}
+
+// Returns { ok, providerRef, status, raw } or { error, raw }.
+export async function initiateRefund(payment, amountKobo, reason) {
+  if (payment.provider === 'paystack') {
+    const r = await refundPaystack(payment.meta?.data?.reference || payment.providerRef, amountKobo, reason);
+    if (!r.status) return { error: r.message || 'Paystack refund failed', raw: r };
+    return { ok: true, providerRef: String(r.data.id), status: r.data.status === 'processed' ? 'processed' : 'pending', raw: r };
+  }
+  if (payment.provider === 'flutterwave') {
+    const transactionId = payment.meta?.data?.id || payment.providerRef;
+    const r = await refundFlutterwave(transactionId, amountKobo, reason);
+    if (r.status !== 'success') return { error: r.message || 'Flutterwave refund failed', raw: r };
+    return { ok: true, providerRef: String(r.data.id), status: r.data.status === 'completed' ? 'processed' : 'pending', raw: r };
+  }
+  return { error: 'Unknown provider' };
+}
+```
+
+The forward-only status guard from the webhooks canvas learns the two refund states:
+
+```js
+const STATUS_RANK = { pending: 0, failed: 1, success: 2, partially_refunded: 3, refunded: 4 };
+```
+
+---
+
+## 3) Refund service: `src/services/refunds.js`
+
+A refund is split across the payment's orders (**allocations**). Each allocation records which escrow account the money came from. That depends on where the order's money sits right now:
+
+| Order state                       | Money taken from          |
+|-----------------------------------|---------------------------|
+| `cancelled` (after payment)       | `platform:refunds_due` (already moved there on cancel) |
+| paid / shipped / delivered, not released | `seller:<id>:held`  |
+| released (`releasedAt` set)       | `seller:<id>:available` (clawback) |
+
+```js
+import { PrismaClient } from '@prisma/client';
+import { initiateRefund } from './payment.js';
+import { postJournal, sellerAccount, PLATFORM_CLEARING, PLATFORM_REFUNDS_DUE } from './ledger.js';
+
+const prisma = new PrismaClient();
+
+export function escrowAccountFor(order) {
+  if (order.status === 'cancelled') return PLATFORM_REFUNDS_DUE;
+  if (order.releasedAt) return sellerAccount(order.sellerId, 'available');
+  return sellerAccount(order.sellerId, 'held');
+}
+
+// Splits `amount` across orders, oldest first, never taking more than an order has left.
+// `refunded` maps orderId -> kobo already refunded. Pure, so it is unit-tested directly.
+export function allocateRefund(orders, amount, refunded = {}, orderId = null) {
+  const candidates = orderId ? orders.filter(o => o.id === orderId) : orders;
+  const allocations = [];
+  let left = amount;
+  for (const o of candidates) {
+    if (left <= 0) break;
+    const room = o.total - (refunded[o.id] || 0);
+    if (room <= 0) continue;
+    const take = Math.min(room, left);
+    allocations.push({ orderId: o.id, account: escrowAccountFor(o), amount: take });
+    left -= take;
+  }
+  if (left > 0) return { error: 'Amount exceeds what is refundable on these orders' };
+  return { ok: true, allocations };
+}
+
+// Kobo already refunded (or being refunded) per order, from non-failed refunds.
+async function refundedByOrder(paymentId) {
+  const refunds = await prisma.refund.findMany({ where: { paymentId, status: { not: 'failed' } } });
+  const out = {};
+  for (const r of refunds) for (const a of r.allocations) out[a.orderId] = (out[a.orderId] || 0) + a.amount;
+  return { out, total: refunds.reduce((n, r) => n + r.amount, 0) };
+}
+
+export async function createRefund(paymentId, { amount = null, orderId = null, reason = null, actorId = null } = {}) {
+  const payment = await prisma.payment.findUnique({ where: { id: paymentId }, include: { orders: true } });
+  if (!payment) return { error: 'Payment not found' };
+  if (!['success', 'partially_refunded'].includes(payment.status)) return { error: `Cannot refund a ${payment.status} payment` };
+
+  const { out: refunded, total: alreadyRefunded } = await refundedByOrder(payment.id);
+  const refundable = payment.amount - alreadyRefunded;
+  const want = amount === null ? refundable : amount;
+  if (!Number.isInteger(want) || want <= 0) return { error: 'Invalid amount' };
+  if (want > refundable) return { error: `At most NGN ${(refundable/100).toLocaleString()} can be refunded` };
+
+  // Payments made before orders existed have nothing to allocate; only the provider is called.
+  let allocations = [];
+  if (payment.orders.length > 0) {
+    const a = allocateRefund(payment.orders, want, refunded, orderId);
+    if (a.error) return a;
+    allocations = a.allocations;
+  }
+
+  const provider = await initiateRefund(payment, want, reason);
+  if (provider.error) return { error: provider.error, detail: provider.raw };
+
+  const refund = await prisma.refund.create({ data: {
+    paymentId: payment.id, amount: want, reason, allocations, initiatedBy: actorId,
+    providerRef: provider.providerRef, meta: provider.raw,
+  }});
+
+  // Reserve the money for the buyer straight away so the seller cannot withdraw it meanwhile.
+  for (const a of allocations) {
+    if (a.account === PLATFORM_REFUNDS_DUE) continue;
+    await postJournal('refund_reserve', [
+      { account: a.account, debit: a.amount },
+      { account: PLATFORM_REFUNDS_DUE, credit: a.amount },
+    ], { idempotencyKey: `refund:${refund.id}:${a.orderId}`, orderId: a.orderId, sellerId: a.account.split(':')[1] });
+  }
+
+  if (provider.status === 'processed') return settleRefund(refund.id, { ok: true });
+  return { ok: true, refund };
+}
+
+// Called from the refund webhooks (or straight away when the provider refunds synchronously).
+export async function settleRefund(refundId, { ok, meta = null }) {
+  const refund = await prisma.refund.findUnique({ where: { id: refundId } });
+  if (!refund) return { error: 'Refund not found' };
+  if (refund.status !== 'pending') return { ok: true, refund, skipped: true };
+
+  if (ok) {
+    await postJournal('refund_paid', [
+      { account: PLATFORM_REFUNDS_DUE, debit: refund.amount },
+      { account: PLATFORM_CLEARING, credit: refund.amount },
+    ], { idempotencyKey: `refund_paid:${refund.id}` });
+    const payment = await prisma.payment.update({ where: { id: refund.paymentId }, data: { refundedAmount: { increment: refund.amount } } });
+    await prisma.payment.update({ where: { id: payment.id }, data: { status: payment.refundedAmount >= payment.amount ? 'refunded' : 'partially_refunded' } });
+  } else {
+    // give the reserved money back to wherever it came from
+    for (const a of refund.allocations) {
+      if (a.account === PLATFORM_REFUNDS_DUE) continue;
+      await postJournal('refund_failed', [
+        { account: PLATFORM_REFUNDS_DUE, debit: a.amount },
+        { account: a.account, credit: a.amount },
+      ], { idempotencyKey: `refund_failed:${refund.id}:${a.orderId}`, orderId: a.orderId, sellerId: a.account.split(':')[1] });
+    }
+  }
+
+  const updated = await prisma.refund.update({ where: { id: refund.id }, data: { status: ok ? 'processed' : 'failed', ...(meta ? { meta } : {}) } });
+  return { ok: true, refund: updated };
+}
+```
+
+`sellerId` on the reserve rows comes from the account name (`seller:<id>:held`), and is `undefined` for platform accounts, which Prisma stores as null.
+
+---
+
+## 4) Admin endpoints: `src/routes/paymentsAdminSeller.js` (additions)
+
+```js
+import authMiddleware from '../middlewares/auth.js';
+import { createRefund } from '../services/refunds.js';
+
+function adminOnly(req, res, next) {
+  if (req.user.role !== 'admin') return res.status(403).json({ error: 'Admin only' });
+  next();
+}
+
+// POST /api/payments/admin/:paymentId/refund { amount (NGN, optional — full remaining if omitted), orderId?, reason }
+router.post('/admin/:paymentId/refund', authMiddleware, adminOnly, async (req, res) => {
+  try {
+    const { amount, orderId, reason } = req.body;
+    const r = await createRefund(req.params.paymentId, {
+      amount: amount ? Math.round(Number(amount) * 100) : null,
+      orderId: orderId || null,
+      reason: reason || null,
+      actorId: req.user.id,
+    });
+    if (r.error) return res.status(400).json({ error: r.error, detail: r.detail });
+    const payment = await prisma.payment.findUnique({ where: { id: req.params.paymentId } });
+    notifyPaymentUpdated({ payment, sellerId: payment.sellerId, buyerId: payment.buyerId });
+    res.json({ ok: true, refund: r.refund, payment });
+  } catch (e) {
+    console.error('refund error', e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// GET /api/payments/admin/refunds?status=pending
+router.get('/admin/refunds', authMiddleware, adminOnly, async (req, res) => {
+  try {
+    const where = req.query.status ? { status: req.query.status } : {};
+    const refunds = await prisma.refund.findMany({ where, orderBy: { createdAt: 'desc' }, take: 200 });
+    res.json({ ok: true, refunds });
+  } catch (e) {
+    console.error('admin refunds error', e);
+    res.status(500).json({ error: e.message });
+  }
+});
+```
+
+(`notifyPaymentUpdated` is imported from `../index.js` as in the payments routes.)
+
+---
+
+## 5) Refund webhooks: `src/services/webhooks.js` (changes only)
+
+Refund events arrive on the same signed webhook URLs, so they go through the event store and replay like charge events. The payload is trusted once the signature has been checked; the refund is matched by the provider refund id we stored at initiation.
+
+```js
+import { settleRefund } from './refunds.js';
+
+async function settleRefundEvent(providerRef, ok, payload) {
+  const refund = await prisma.refund.findUnique({ where: { providerRef: String(providerRef) } });
+  if (!refund) throw new Error(`Unknown refund ${providerRef}`); // marks the event failed -> replayable once the refund row exists
+  const r = await settleRefund(refund.id, { ok, meta: payload });
+  const payment = await prisma.payment.findUnique({ where: { id: refund.paymentId } });
+  notifyPaymentUpdated({ payment, sellerId: payment.sellerId, buyerId: payment.buyerId });
+  return r;
+}
+
+const HANDLERS = {
+  async paystack(payload) {
+    const type = String(payload.event || '');
+    if (type === 'refund.processed') return settleRefundEvent(payload.data.id, true, payload);
+    if (type === 'refund.failed') return settleRefundEvent(payload.data.id, false, payload);
+    if (type.startsWith('refund.')) return; // refund.pending etc. — nothing to do yet
+    // ...existing charge handling
+  },
+
+  async flutterwave(payload) {
+    if (payload.event === 'refund.completed') {
+      const ok = String(payload.data?.status || '').toLowerCase() === 'completed';
+      return settleRefundEvent(payload.data.id, ok, payload);
+    }
+    // ...existing charge handling
+  },
+};
+```
+
+`notifyPaymentUpdated` comes from `../index.js`, like in the order service.
+
+---
+
+## 6) Client: `AdminPayments.jsx` (changes only)
+
+```jsx
+function StatusBadge({ status }) {
+  const cls = status === 'success' ? 'bg-green-100 text-green-800'
+    : status === 'pending' ? 'bg-yellow-100 text-yellow-800'
+    : status === 'refunded' || status === 'partially_refunded' ? 'bg-purple-100 text-purple-800'
+    : 'bg-red-100 text-red-800';
+  return <span className={`px-2 py-0.5 rounded text-sm ${cls}`}>{status}</span>;
+}
+
+// inside AdminPayments
+async function refund(p) {
+  const remaining = (p.amount - (p.refundedAmount || 0)) / 100;
+  const amount = prompt(`Refund amount in NGN (max ${remaining.toLocaleString()}, leave empty for full)`, '');
+  if (amount === null) return;
+  const reason = prompt('Reason for refund', '') || '';
+  const token = localStorage.getItem('token');
+  const res = await fetch(`${API}/payments/admin/${p.id}/refund`, {
+    method: 'POST', headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+    body: JSON.stringify({ amount: amount || undefined, reason })
+  });
+  const j = await res.json();
+  if (j.error) return alert(j.error);
+  fetchAll();
+}
+```
+
+Add the statuses to the filter, and a refunded column + action to each row:
+
+```jsx
+<option value="partially_refunded">Partially refunded</option>
+<option value="refunded">Refunded</option>
+```
+
+```jsx
+<td className="p-2 text-sm">{p.refundedAmount ? `NGN ${(p.refundedAmount/100).toLocaleString()}` : '—'}</td>
+<td className="p-2 text-sm">
+  {['success', 'partially_refunded'].includes(p.status) && <button onClick={()=>refund(p)} className="px-2 py-1 border rounded text-xs">Refund</button>}
+</td>
+```
+
+---
+
+## 7) Tests: `server/tests/refunds.test.js`
+
+```js
+// server/tests/refunds.test.js
+import { allocateRefund, escrowAccountFor } from '../src/services/refunds.js';
+
+const orders = [
+  { id: 'o1', sellerId: 's1', total: 10000, status: 'paid', releasedAt: null },
+  { id: 'o2', sellerId: 's2', total: 5000, status: 'completed', releasedAt: new Date() },
+  { id: 'o3', sellerId: 's3', total: 2000, status: 'cancelled', releasedAt: null },
+];
+
+describe('Refund allocation', () => {
+  test('money is taken from wherever the order funds currently sit', () => {
+    expect(escrowAccountFor(orders[0])).toBe('seller:s1:held');
+    expect(escrowAccountFor(orders[1])).toBe('seller:s2:available');
+    expect(escrowAccountFor(orders[2])).toBe('platform:refunds_due');
+  });
+
+  test('full refund spreads across every order', () => {
+    const r = allocateRefund(orders, 17000);
+    expect(r.allocations.map(a => [a.orderId, a.amount])).toEqual([['o1', 10000], ['o2', 5000], ['o3', 2000]]);
+  });
+
+  test('partial refund on one order respects what was already refunded', () => {
+    const r = allocateRefund(orders, 3000, { o2: 1000 }, 'o2');
+    expect(r.allocations).toEqual([{ orderId: 'o2', account: 'seller:s2:available', amount: 3000 }]);
+    expect(allocateRefund(orders, 4500, { o2: 1000 }, 'o2').error).toBeDefined();
+  });
+
+  test('cannot refund more than the orders total', () => {
+    expect(allocateRefund(orders, 17001).error).toBeDefined();
+  });
+});
+```
+
+---
+
+## 8) How it works (end-to-end)
+
+1. **Initiate**: An admin refunds a payment, fully or partially, optionally for one order. `createRefund` checks the refundable balance, allocates the amount across orders, and calls Paystack `/refund` or Flutterwave `/transactions/:id/refund`.
+2. **Reserve**: The allocated money moves from the seller's held/available bucket to `platform:refunds_due`, so it cannot be paid out while the refund is in flight.
+3. **Settle**: The provider's refund webhook (or a synchronous `processed` response) settles the refund. Processed refunds move `refunds_due → clearing` and update `Payment.refundedAmount` and `Payment.status`. Failed ones return the money to the original bucket.
+4. **Notify**: Buyer, seller and admins get the usual `payment:verified:*` socket events with the updated payment.
+
+A refund on a released order can take a seller's available balance below zero. That is deliberate: the clawback is recorded, and later sales pay it off before the seller can withdraw again.
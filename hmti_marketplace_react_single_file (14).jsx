@@ -0,0 +1,586 @@
+# MarketMate — Payment Provider Adapters + Local Sandbox Provider
+
+Provider logic used to be spelled out as `if (provider === 'paystack') ... if (provider === 'flutterwave')` in `verifyTransaction`, in `/payments/verify`, in each webhook handler, in checkout and in refunds. This update puts every provider behind one adapter interface:
+
+- **Provider registry** (`src/services/providers/`) — routes and services ask `getProvider(name)` and never branch on the provider name
+- **Common interface** — `initialize`, `verify`, `refund`, `verifyWebhook`, `parseWebhook`, `mapStatus`
+- **Paystack and Flutterwave adapters** — wrap the existing helpers in `services/payment.js`
+- **Built-in `sandbox` provider** — simulates a hosted checkout page, the redirect back to the client, signed webhooks and refunds, entirely on the local server. The full checkout runs end to end in development and tests with no network access.
+- **One set of routes** — `POST /api/payments/:provider/initialize`, `GET /api/payments/verify`, `POST /api/payments/:provider/webhook`. The existing Paystack/Flutterwave webhook URLs keep working unchanged.
+
+Adding Monnify or OPay later means writing one adapter file and registering it.
+
+---
+
+## 1) The adapter interface
+
+Every adapter is a plain object. Amounts are always **kobo**, and statuses are always ours (`pending | success | failed`).
+
+| Member | Signature | Returns |
+|---|---|---|
+| `name` | `'paystack'` | registry key, stored in `Payment.provider` |
+| `initialize` | `({ reference, amount, email, callbackUrl, metadata })` | `{ ok, checkoutUrl, reference, raw }` or `{ error, raw }` |
+| `verify` | `(reference)` | `{ status, amount, currency, reference, raw }` |
+| `refund` | `({ payment, amount, reason })` | `{ ok, providerRef, status: 'pending' \| 'processed', raw }` or `{ error, raw }` |
+| `verifyWebhook` | `(req)` | `true` if the signature over `req.rawBody`/headers is valid |
+| `parseWebhook` | `(payload)` | `{ kind: 'charge', reference }`, `{ kind: 'refund', refundRef, ok }` or `{ kind: null }` |
+| `mapStatus` | `(providerStatus)` | `'pending' \| 'success' \| 'failed'` |
+
+`reference` is always **our** reference: the `checkoutRef` for cart checkouts, or a `pay_…` id for single payments. Every provider lets us choose it (Paystack `reference`, Flutterwave `tx_ref`), so verification, webhooks and `Payment.providerRef` all use the same key.
+
+---
+
+## 2) Registry: `src/services/providers/index.js`
+
+```js
+import paystack from './paystack.js';
+import flutterwave from './flutterwave.js';
+import sandbox from './sandbox.js';
+
+const REQUIRED = ['initialize', 'verify', 'refund', 'verifyWebhook', 'parseWebhook', 'mapStatus'];
+const PROVIDERS = new Map();
+
+export function registerProvider(adapter) {
+  const missing = REQUIRED.filter(m => typeof adapter[m] !== 'function');
+  if (!adapter.name || missing.length) throw new Error(`Provider ${adapter.name || '(unnamed)'} is missing: ${missing.join(', ')}`);
+  PROVIDERS.set(adapter.name, adapter);
+}
+
+export function findProvider(name) { return PROVIDERS.get(name) || null; }
+
+export function getProvider(name) {
+  const adapter = findProvider(name);
+  if (!adapter) throw new Error(`Unknown provider ${name}`);
+  return adapter;
+}
+
+export function listProviders() { return Array.from(PROVIDERS.keys()); }
+
+// The sandbox is never available in production unless explicitly switched on.
+export function sandboxEnabled() {
+  return process.env.PAYMENTS_SANDBOX === '1' || process.env.NODE_ENV !== 'production';
+}
+
+registerProvider(paystack);
+registerProvider(flutterwave);
+if (sandboxEnabled()) registerProvider(sandbox);
+```
+
+---
+
+## 3) Paystack adapter: `src/services/providers/paystack.js`
+
+```js
+import { initPaystackTransaction, verifyPaystackByReference, verifyPaystackSignature, refundPaystack } from '../payment.js';
+
+const STATUS = { success: 'success', failed: 'failed', abandoned: 'failed', reversed: 'failed', ongoing: 'pending', pending: 'pending', processing: 'pending', queued: 'pending' };
+
+function mapStatus(providerStatus) { return STATUS[providerStatus] || 'failed'; }
+
+export default {
+  name: 'paystack',
+  mapStatus,
+
+  async initialize({ reference, amount, email, callbackUrl, metadata }) {
+    const r = await initPaystackTransaction(amount, email, callbackUrl, { reference, metadata });
+    if (!r.status) return { error: r.message || 'Paystack init failed', raw: r };
+    return { ok: true, checkoutUrl: r.data.authorization_url, reference: r.data.reference, raw: r };
+  },
+
+  async verify(reference) {
+    const r = await verifyPaystackByReference(reference);
+    return {
+      status: r?.status ? mapStatus(r.data?.status) : 'failed',
+      amount: r?.data?.amount || 0,
+      currency: r?.data?.currency || 'NGN',
+      reference: r?.data?.reference || reference,
+      raw: r,
+    };
+  },
+
+  async refund({ payment, amount, reason }) {
+    const r = await refundPaystack(payment.providerRef, amount, reason);
+    if (!r.status) return { error: r.message || 'Paystack refund failed', raw: r };
+    return { ok: true, providerRef: String(r.data.id), status: r.data.status === 'processed' ? 'processed' : 'pending', raw: r };
+  },
+
+  verifyWebhook: verifyPaystackSignature,
+
+  parseWebhook(payload) {
+    const type = String(payload?.event || '');
+    if (type === 'charge.success') return { kind: 'charge', reference: payload.data?.reference };
+    if (type === 'refund.processed') return { kind: 'refund', refundRef: payload.data?.id, ok: true };
+    if (type === 'refund.failed') return { kind: 'refund', refundRef: payload.data?.id, ok: false };
+    return { kind: null };
+  },
+};
+```
+
+---
+
+## 4) Flutterwave adapter: `src/services/providers/flutterwave.js`
+
+Flutterwave verifies by its own numeric transaction id, or by our `tx_ref` through `verify_by_reference`. The adapter uses `tx_ref`, so callers never see the difference. Add the helper next to `verifyFlutterwaveByReference` in `services/payment.js`:
+
+```js
+export async function verifyFlutterwaveByTxRef(txRef) {
+  const res = await fetch(`https://api.flutterwave.com/v3/transactions/verify_by_reference?tx_ref=${encodeURIComponent(txRef)}`, {
+    headers: { Authorization: `Bearer ${process.env.FLUTTERWAVE_SECRET}`, 'Content-Type': 'application/json' }
+  });
+  return res.json();
+}
+```
+
+```js
+import { initFlutterwaveTransaction, verifyFlutterwaveByReference, verifyFlutterwaveByTxRef, verifyFlutterwaveSignature, refundFlutterwave } from '../payment.js';
+
+const STATUS = { successful: 'success', failed: 'failed', cancelled: 'failed', pending: 'pending' };
+
+function mapStatus(providerStatus) { return STATUS[providerStatus] || 'failed'; }
+
+export default {
+  name: 'flutterwave',
+  mapStatus,
+
+  async initialize({ reference, amount, email, callbackUrl, metadata }) {
+    const r = await initFlutterwaveTransaction({ tx_ref: reference, amount: amount / 100, currency: 'NGN', redirect_url: callbackUrl, customer: { email }, meta: metadata });
+    if (r.status !== 'success') return { error: r.message || 'Flutterwave init failed', raw: r };
+    return { ok: true, checkoutUrl: r.data.link, reference, raw: r };
+  },
+
+  // numeric references are Flutterwave transaction ids (older payments); everything else is our tx_ref
+  async verify(reference) {
+    const r = /^\d+$/.test(String(reference)) ? await verifyFlutterwaveByReference(reference) : await verifyFlutterwaveByTxRef(reference);
+    return {
+      status: r?.status === 'success' ? mapStatus(r.data?.status) : 'failed',
+      amount: Math.round((r?.data?.charged_amount || 0) * 100), // naira -> kobo
+      currency: r?.data?.currency || 'NGN',
+      reference: r?.data?.tx_ref || String(reference),
+      raw: r,
+    };
+  },
+
+  async refund({ payment, amount, reason }) {
+    const transactionId = payment.meta?.data?.id; // stored by verify()
+    if (!transactionId) return { error: 'Payment has no Flutterwave transaction id; verify it first' };
+    const r = await refundFlutterwave(transactionId, amount, reason);
+    if (r.status !== 'success') return { error: r.message || 'Flutterwave refund failed', raw: r };
+    return { ok: true, providerRef: String(r.data.id), status: r.data.status === 'completed' ? 'processed' : 'pending', raw: r };
+  },
+
+  verifyWebhook: verifyFlutterwaveSignature,
+
+  parseWebhook(payload) {
+    if (payload?.event === 'charge.completed') return { kind: 'charge', reference: payload.data?.tx_ref };
+    if (payload?.event === 'refund.completed') return { kind: 'refund', refundRef: payload.data?.id, ok: String(payload.data?.status || '').toLowerCase() === 'completed' };
+    return { kind: null };
+  },
+};
+```
+
+---
+
+## 5) Sandbox provider: `src/services/providers/sandbox.js`
+
+The sandbox behaves like a hosted gateway. `initialize` returns a URL to a local checkout page. The buyer clicks **Pay** or **Decline**, the sandbox sends a signed webhook to our own `/api/payments/sandbox/webhook`, and the buyer is redirected to `callbackUrl?reference=…&provider=sandbox`. Refunds are confirmed by a `refund.processed` webhook shortly afterwards. State lives in memory, like the OTP store.
+
+```js
+import crypto from 'crypto';
+import fetch from 'node-fetch';
+
+// reference -> { id, amount, email, callbackUrl, status }
+const SANDBOX_STORE = new Map();
+
+const secret = () => process.env.SANDBOX_SECRET || 'sandbox-secret';
+const serverUrl = () => process.env.SERVER_URL || `http://localhost:${process.env.PORT || 4000}`;
+
+function sign(body) { return crypto.createHmac('sha512', secret()).update(body).digest('hex'); }
+
+// Posts a signed webhook to our own endpoint, exactly like a real provider would.
+let transport = async (payload) => {
+  const body = JSON.stringify(payload);
+  try {
+    await fetch(`${serverUrl()}/api/payments/sandbox/webhook`, { method: 'POST', headers: { 'Content-Type': 'application/json', 'x-sandbox-signature': sign(body) }, body });
+  } catch (e) { console.error('sandbox webhook delivery failed', e.message); }
+};
+
+// Tests swap the transport to capture webhooks instead of sending them over HTTP.
+export function setWebhookTransport(fn) { transport = fn; }
+export function signSandboxBody(body) { return sign(body); }
+
+function mapStatus(providerStatus) { return ['success', 'failed', 'pending'].includes(providerStatus) ? providerStatus : 'failed'; }
+
+// Called by the sandbox checkout page when the buyer clicks Pay or Decline.
+export async function completeSandboxPayment(reference, outcome) {
+  const txn = SANDBOX_STORE.get(reference);
+  if (!txn) return { error: 'Unknown sandbox reference' };
+  if (txn.status !== 'pending') return { error: `Transaction already ${txn.status}` };
+  txn.status = outcome === 'success' ? 'success' : 'failed';
+  await transport({ event: `charge.${txn.status}`, data: { id: txn.id, reference, amount: txn.amount, status: txn.status } });
+  const sep = txn.callbackUrl && txn.callbackUrl.includes('?') ? '&' : '?';
+  return { ok: true, redirectUrl: txn.callbackUrl ? `${txn.callbackUrl}${sep}reference=${encodeURIComponent(reference)}&provider=sandbox` : null };
+}
+
+export function getSandboxTransaction(reference) { return SANDBOX_STORE.get(reference) || null; }
+
+export default {
+  name: 'sandbox',
+  mapStatus,
+
+  async initialize({ reference, amount, email, callbackUrl }) {
+    const txn = { id: `sbx_${crypto.randomBytes(6).toString('hex')}`, amount, email, callbackUrl, status: 'pending' };
+    SANDBOX_STORE.set(reference, txn);
+    return { ok: true, checkoutUrl: `${serverUrl()}/api/payments/sandbox/checkout/${encodeURIComponent(reference)}`, reference, raw: { data: { ...txn, reference } } };
+  },
+
+  async verify(reference) {
+    const txn = SANDBOX_STORE.get(reference);
+    if (!txn) return { status: 'failed', amount: 0, currency: 'NGN', reference, raw: { error: 'not found' } };
+    return { status: mapStatus(txn.status), amount: txn.amount, currency: 'NGN', reference, raw: { data: { ...txn, reference } } };
+  },
+
+  async refund({ payment, amount }) {
+    const txn = SANDBOX_STORE.get(payment.providerRef);
+    if (!txn || txn.status !== 'success') return { error: 'Sandbox transaction is not refundable' };
+    const refundId = `sbx_rf_${crypto.randomBytes(6).toString('hex')}`;
+    const delay = Number(process.env.SANDBOX_REFUND_DELAY_MS || 1000);
+    setTimeout(() => { transport({ event: 'refund.processed', data: { id: refundId, reference: payment.providerRef, amount } }); }, delay);
+    return { ok: true, providerRef: refundId, status: 'pending', raw: { data: { id: refundId, amount } } };
+  },
+
+  verifyWebhook(req) {
+    const sent = String(req.headers['x-sandbox-signature'] || '');
+    const expected = req.rawBody ? sign(req.rawBody) : '';
+    return sent.length > 0 && sent.length === expected.length && crypto.timingSafeEqual(Buffer.from(sent), Buffer.from(expected));
+  },
+
+  parseWebhook(payload) {
+    const type = String(payload?.event || '');
+    if (type.startsWith('charge.')) return { kind: 'charge', reference: payload.data?.reference };
+    if (type === 'refund.processed') return { kind: 'refund', refundRef: payload.data?.id, ok: true };
+    return { kind: null };
+  },
+};
+```
+
+### Sandbox checkout page: `src/routes/sandboxCheckout.js`
+
+Mounted only when the sandbox is enabled. It is the local stand-in for Paystack's hosted payment page.
+
+```js
+import express from 'express';
+import { getSandboxTransaction, completeSandboxPayment } from '../services/providers/sandbox.js';
+
+const router = express.Router();
+
+// GET /api/payments/sandbox/checkout/:reference
+router.get('/checkout/:reference', (req, res) => {
+  const txn = getSandboxTransaction(req.params.reference);
+  if (!txn) return res.status(404).send('Unknown sandbox reference');
+  res.send(`<!doctype html>
+<html><head><title>MarketMate Sandbox Checkout</title></head>
+<body style="font-family:sans-serif;max-width:420px;margin:60px auto">
+  <h2>Sandbox checkout</h2>
+  <p>Pay <strong>NGN ${(txn.amount/100).toLocaleString()}</strong> as ${txn.email || 'buyer'}.</p>
+  <p>Status: ${txn.status}</p>
+  <form method="post">
+    <button name="outcome" value="success">Pay</button>
+    <button name="outcome" value="failed">Decline</button>
+  </form>
+</body></html>`);
+});
+
+// POST /api/payments/sandbox/checkout/:reference (outcome=success|failed)
+router.post('/checkout/:reference', express.urlencoded({ extended: false }), async (req, res) => {
+  const r = await completeSandboxPayment(req.params.reference, req.body.outcome);
+  if (r.error) return res.status(400).send(r.error);
+  if (r.redirectUrl) return res.redirect(r.redirectUrl);
+  res.send(`Payment ${req.body.outcome}. You can close this window.`);
+});
+
+export default router;
+```
+
+---
+
+## 6) `src/services/payment.js` (changes)
+
+`verifyTransaction` and `initiateRefund` are removed, since callers now use `getProvider(name).verify` and `.refund`. The low-level HTTP helpers stay, so the existing nock tests keep passing. One shared function writes a normalized verification result:
+
+```js
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+// Upserts the Payment for a normalized verify() result. Payments are keyed by our own reference,
+// which is also the checkoutRef for cart checkouts.
+export async function recordVerification(provider, v) {
+  const existing = await prisma.payment.findFirst({ where: { OR: [{ providerRef: v.reference }, { checkoutRef: v.reference }] } });
+  if (existing) {
+    return prisma.payment.update({ where: { id: existing.id }, data: {
+      status: nextPaymentStatus(existing.status, v.status),
+      ...(v.amount ? { amount: v.amount } : {}), // a failed lookup reports 0; keep what we had
+      currency: v.currency,
+      meta: v.raw,
+    }});
+  }
+  return prisma.payment.create({ data: { provider, providerRef: v.reference, checkoutRef: v.reference, amount: v.amount, currency: v.currency, status: v.status, meta: v.raw } });
+}
+```
+
+---
+
+## 7) Routes: `src/routes/payments.js` (full file)
+
+```js
+import express from 'express';
+import crypto from 'crypto';
+import { PrismaClient } from '@prisma/client';
+import { findProvider } from '../services/providers/index.js';
+import { recordVerification } from '../services/payment.js';
+import { ingestWebhook, processWebhookEvent } from '../services/webhooks.js';
+import { afterPaymentUpsert } from '../services/orders.js';
+
+const prisma = new PrismaClient();
+const router = express.Router();
+
+// POST /api/payments/:provider/initialize { amount (NGN), email, callbackUrl, listingId, buyerId }
+// Single-listing payment; cart checkouts go through /api/orders/checkout.
+router.post('/:provider/initialize', async (req, res) => {
+  try {
+    const adapter = findProvider(req.params.provider);
+    if (!adapter) return res.status(400).json({ error: 'Unsupported provider' });
+    const { amount, email, callbackUrl, listingId, buyerId } = req.body;
+    const amountKobo = Math.round(Number(amount) * 100);
+    const reference = `pay_${crypto.randomBytes(8).toString('hex')}`;
+    const r = await adapter.initialize({ reference, amount: amountKobo, email, callbackUrl, metadata: { listingId } });
+    if (r.error) return res.status(502).json({ error: r.error, detail: r.raw });
+
+    const listing = listingId ? await prisma.listing.findUnique({ where: { id: listingId } }) : null;
+    const payment = await prisma.payment.create({ data: {
+      provider: adapter.name,
+      providerRef: r.reference,
+      amount: amountKobo,
+      currency: 'NGN',
+      status: 'pending',
+      listingId: listingId || null,
+      buyerId: buyerId || null,
+      sellerId: listing ? listing.sellerId : null,
+      meta: r.raw,
+    }});
+
+    res.json({ ok: true, checkoutUrl: r.checkoutUrl, reference: r.reference, payment });
+  } catch (e) { console.error(e); res.status(500).json({ error: e.message }); }
+});
+
+// Unified verification endpoint: /payments/verify?provider=paystack&reference=xxxx
+router.get('/verify', async (req, res) => {
+  try {
+    const { provider, reference } = req.query;
+    if (!provider || !reference) return res.status(400).json({ error: 'provider and reference required' });
+    const adapter = findProvider(provider);
+    if (!adapter) return res.status(400).json({ error: 'Unsupported provider' });
+
+    const verification = await adapter.verify(reference);
+    const payment = await recordVerification(adapter.name, verification);
+    const orders = await afterPaymentUpsert(payment);
+    res.json({ ok: true, payment, orders, verification: verification.raw });
+  } catch (e) { console.error('verify error', e); res.status(500).json({ error: e.message }); }
+});
+
+// Webhooks for every provider: /payments/paystack/webhook, /payments/flutterwave/webhook, /payments/sandbox/webhook
+router.post('/:provider/webhook', async (req, res) => {
+  const adapter = findProvider(req.params.provider);
+  if (!adapter) return res.sendStatus(404);
+  if (!adapter.verifyWebhook(req)) return res.status(401).send('Invalid signature');
+  try {
+    const r = await ingestWebhook(adapter.name, req.body);
+    if (r.error) return res.status(400).send(r.error);
+    if (r.duplicate) console.log(`${adapter.name} webhook retry for ${r.event.eventId} (${r.event.status})`);
+    await processWebhookEvent(r.event.id);
+  } catch (e) { console.error(`${adapter.name} webhook error`, e); return res.sendStatus(500); }
+  res.sendStatus(200);
+});
+
+export default router;
+```
+
+---
+
+## 8) Webhook processing: `src/services/webhooks.js` (handlers replaced)
+
+The per-provider `HANDLERS` object goes away. Every stored event is processed the same way:
+
+```js
+import { getProvider } from './providers/index.js';
+import { recordVerification } from './payment.js';
+
+export async function handleProviderEvent(provider, payload) {
+  const adapter = getProvider(provider);
+  const evt = adapter.parseWebhook(payload);
+  if (evt.kind === 'refund') return settleRefundEvent(evt.refundRef, evt.ok, payload);
+  if (evt.kind !== 'charge' || !evt.reference) return;
+  // never trust the webhook body for money: ask the provider
+  const verification = await adapter.verify(evt.reference);
+  const payment = await recordVerification(adapter.name, verification);
+  await afterPaymentUpsert(payment);
+}
+```
+
+In `processWebhookEvent`, replace the handler lookup with:
+
+```js
+    await handleProviderEvent(event.provider, event.payload);
+```
+
+`upsertVerifiedPayment` is deleted; `recordVerification` replaces it.
+
+---
+
+## 9) Checkout and refunds use the registry
+
+`src/routes/orders.js`, in `POST /checkout`:
+
+```js
+import { findProvider } from '../services/providers/index.js';
+
+    const adapter = findProvider(provider);
+    if (!adapter) return res.status(400).json({ error: 'Unsupported provider' });
+    const result = await checkoutCart(req.user.id);
+    if (result.error) return res.status(400).json({ error: result.error });
+    const { checkoutRef, orders, total } = result;
+
+    const init = await adapter.initialize({ reference: checkoutRef, amount: total, email: req.user.email, callbackUrl });
+    if (init.error) return res.status(502).json({ error: init.error, detail: init.raw });
+
+    const payment = await prisma.payment.create({ data: {
+      provider: adapter.name, providerRef: checkoutRef, checkoutRef, amount: total, currency: 'NGN', status: 'pending',
+      buyerId: req.user.id, sellerId: orders.length === 1 ? orders[0].sellerId : null, meta: init.raw,
+    }});
+
+    res.json({ ok: true, checkoutRef, checkoutUrl: init.checkoutUrl, orders, payment });
+```
+
+`src/services/refunds.js`, in `createRefund`:
+
+```js
+import { getProvider } from './providers/index.js';
+
+  const provider = await getProvider(payment.provider).refund({ payment, amount: want, reason });
+```
+
+---
+
+## 10) Mounting in `src/index.js`
+
+```js
+import sandboxCheckoutRouter from './routes/sandboxCheckout.js';
+import { sandboxEnabled, listProviders } from './services/providers/index.js';
+
+if (sandboxEnabled()) {
+  app.use('/api/payments/sandbox', sandboxCheckoutRouter);
+  console.warn('Payments sandbox enabled — do not use in production');
+}
+
+// lets the client show only the providers this server can take
+app.get('/api/payments/providers', (req, res) => res.json({ ok: true, providers: listProviders() }));
+```
+
+Add to `.env.example`:
+
+```
+# Payments sandbox (on by default outside production)
+PAYMENTS_SANDBOX=0
+SANDBOX_SECRET=sandbox-secret
+SANDBOX_REFUND_DELAY_MS=1000
+# Public URL of this server (sandbox checkout links + self-delivered webhooks)
+SERVER_URL=http://localhost:4000
+```
+
+On the client, `AdminPayments.jsx` gets the extra provider in its filter:
+
+```jsx
+<option value="sandbox">Sandbox</option>
+```
+
+---
+
+## 11) Tests: `server/tests/paymentProviders.test.js`
+
+```js
+// server/tests/paymentProviders.test.js
+import { listProviders, getProvider, registerProvider } from '../src/services/providers/index.js';
+import { setWebhookTransport, completeSandboxPayment, signSandboxBody } from '../src/services/providers/sandbox.js';
+
+describe('Provider registry', () => {
+  test('paystack, flutterwave and sandbox (outside production) are registered', () => {
+    expect(listProviders()).toEqual(expect.arrayContaining(['paystack', 'flutterwave', 'sandbox']));
+  });
+
+  test('every adapter implements the full interface', () => {
+    for (const name of listProviders()) {
+      const a = getProvider(name);
+      for (const m of ['initialize', 'verify', 'refund', 'verifyWebhook', 'parseWebhook', 'mapStatus']) expect(typeof a[m]).toBe('function');
+    }
+  });
+
+  test('incomplete adapters are rejected', () => {
+    expect(() => registerProvider({ name: 'monnify', initialize() {} })).toThrow(/missing/);
+  });
+
+  test('provider statuses map onto ours', () => {
+    expect(getProvider('paystack').mapStatus('abandoned')).toBe('failed');
+    expect(getProvider('paystack').mapStatus('ongoing')).toBe('pending');
+    expect(getProvider('flutterwave').mapStatus('successful')).toBe('success');
+  });
+});
+
+describe('Sandbox provider', () => {
+  const sandbox = getProvider('sandbox');
+  let sent;
+  beforeEach(() => { sent = []; setWebhookTransport(async (p) => { sent.push(p); }); });
+
+  test('checkout → pay → signed webhook → verify', async () => {
+    const init = await sandbox.initialize({ reference: 'chk_test1', amount: 250000, email: 'b@x.ng', callbackUrl: 'http://localhost:5173/payment/callback' });
+    expect(init.checkoutUrl).toContain('/api/payments/sandbox/checkout/chk_test1');
+    expect((await sandbox.verify('chk_test1')).status).toBe('pending');
+
+    const done = await completeSandboxPayment('chk_test1', 'success');
+    expect(done.redirectUrl).toBe('http://localhost:5173/payment/callback?reference=chk_test1&provider=sandbox');
+    expect(sent[0]).toMatchObject({ event: 'charge.success', data: { reference: 'chk_test1' } });
+    expect(sandbox.parseWebhook(sent[0])).toEqual({ kind: 'charge', reference: 'chk_test1' });
+
+    const rawBody = Buffer.from(JSON.stringify(sent[0]));
+    expect(sandbox.verifyWebhook({ rawBody, headers: { 'x-sandbox-signature': signSandboxBody(rawBody) } })).toBe(true);
+    expect(sandbox.verifyWebhook({ rawBody, headers: { 'x-sandbox-signature': 'forged' } })).toBe(false);
+
+    expect(await sandbox.verify('chk_test1')).toMatchObject({ status: 'success', amount: 250000 });
+  });
+
+  test('refund is confirmed by a refund.processed webhook', async () => {
+    process.env.SANDBOX_REFUND_DELAY_MS = '0';
+    await sandbox.initialize({ reference: 'chk_test2', amount: 1000 });
+    await completeSandboxPayment('chk_test2', 'success');
+    const r = await sandbox.refund({ payment: { providerRef: 'chk_test2' }, amount: 400 });
+    expect(r).toMatchObject({ ok: true, status: 'pending' });
+    await new Promise(resolve => setTimeout(resolve, 10));
+    expect(sandbox.parseWebhook(sent[sent.length - 1])).toEqual({ kind: 'refund', refundRef: r.providerRef, ok: true });
+  });
+
+  test('a declined payment cannot be refunded', async () => {
+    await sandbox.initialize({ reference: 'chk_test3', amount: 1000 });
+    await completeSandboxPayment('chk_test3', 'failed');
+    expect((await sandbox.refund({ payment: { providerRef: 'chk_test3' }, amount: 1000 })).error).toBeDefined();
+  });
+});
+```
+
+---
+
+## 12) How it works (end-to-end, offline)
+
+1. Start the server without provider keys (`NODE_ENV=development`). `GET /api/payments/providers` lists `sandbox`.
+2. Checkout with `{ provider: 'sandbox', callbackUrl }`. The response `checkoutUrl` points to `/api/payments/sandbox/checkout/chk_…`.
+3. Open it and click **Pay**. The sandbox posts a signed `charge.success` to `/api/payments/sandbox/webhook`, which is stored, verified and processed like a real one: orders become `paid` and escrow is held.
+4. The browser lands on `callbackUrl?reference=chk_…&provider=sandbox`; the callback page calls `/payments/verify` as it would for Paystack.
+5. An admin refund on a sandbox payment is confirmed by a `refund.processed` webhook about a second later.
@@ -0,0 +1,410 @@
+# MarketMate — Pay on Delivery (COD) with Delivery Confirmation Codes
+
+The header has always promised **Pay on Delivery**, but checkout only knew online providers. Most buyers outside Lagos and Abuja will not pay upfront, so this update adds a `cod` payment mode:
+
+- **COD checkout** — `POST /api/orders/checkout { provider: 'cod', shipTo }` creates the orders without an online payment
+- **One-time delivery code per order** — issued to the buyer with the existing `services/otp.js` (SMS + in-app), valid until delivery
+- **Paid only on handover** — the seller or their assigned rider marks the order paid by entering the buyer's code; the order is then `delivered`
+- **Seller COD limits** — per-seller settings: on/off, maximum order value, and the states/LGAs they will deliver COD to
+- **No escrow for COD** — the cash is collected by the seller, so these orders do not post hold/release entries to the ledger
+
+The single-file demo gets the same flow: a payment choice and delivery address in **Cart**, the code on the buyer's order, **Enter delivery code** for the seller, and a **Pay on Delivery** settings form under **Sales**.
+
+---
+
+## 1) COD order lifecycle
+
+COD orders ship **before** they are paid, so they use their own transition table:
+
+```
+online: pending_payment → paid → shipped → delivered → completed
+cod:    pending_payment → shipped → paid → delivered → completed
+                       ↘ cancelled  ↘ cancelled (buyer refused at the door)
+```
+
+`paid` on a COD order can only be reached through the delivery-code endpoint. `delivered` follows straight after, because the code is only handed over together with the goods.
+
+---
+
+## 2) Prisma: payment mode, delivery address, rider, COD settings
+
+Add to `prisma/schema.prisma` and run `npx prisma migrate dev --name add_cash_on_delivery`.
+
+```prisma
+model Order {
+  // ...existing fields
+  paymentMode String  @default("online") // online | cod
+  shipTo      Json?   // { name, phone, address, state, lga }
+  riderId     String? // user allowed to confirm a COD handover besides the seller
+}
+
+model CodSettings {
+  id            String   @id @default(cuid())
+  seller        User     @relation(fields: [sellerId], references: [id])
+  sellerId      String   @unique
+  enabled       Boolean  @default(true)
+  maxOrderValue Int?     // kobo; null = no limit
+  areas         Json     @default("[]") // [{ state, lga? }]; empty = everywhere
+  updatedAt     DateTime @updatedAt
+}
+
+model User {
+  // ...existing fields
+  codSettings CodSettings?
+}
+```
+
+`Payment.provider` gains the value `'cod'`. A COD order gets its own `Payment` row (`providerRef = cod_<orderId>`), so seller and admin payment dashboards show it like any other payment.
+
+---
+
+## 3) Longer-lived, one-time codes: `src/services/otp.js` (changes)
+
+Delivery codes must survive for days, not 5 minutes, and must not be brute-forced by whoever holds the parcel. `sendOTP` takes a `ttlMs` and a destination (`to`) separate from the store key, and `verifyOTP` drops a code after 5 wrong attempts. Login/registration OTPs keep their defaults.
+
+```js
+const MAX_ATTEMPTS = 5;
+
+export function sendOTP(identifier, opts = {}) {
+  const code = String(Math.floor(100000 + Math.random() * 900000));
+  const expires = Date.now() + (opts.ttlMs || 5 * 60 * 1000);
+  OTP_STORE.set(identifier, { code, expires, kind: opts.kind || 'generic', attempts: 0 });
+  // send via SMS provider (Twilio/Africastalking) or email
+  console.log(`sendOTP to ${opts.to || identifier}: ${code}`);
+  return code;
+}
+
+export function verifyOTP(identifier, code) {
+  const data = OTP_STORE.get(identifier);
+  if (!data) return false;
+  if (data.expires < Date.now()) { OTP_STORE.delete(identifier); return false; }
+  if (data.code !== String(code)) {
+    data.attempts += 1;
+    if (data.attempts >= MAX_ATTEMPTS) OTP_STORE.delete(identifier); // buyer must request a new code
+    return false;
+  }
+  OTP_STORE.delete(identifier);
+  return true;
+}
+```
+
+> Because COD codes live for days, `OTP_STORE` must be the Redis-backed store in production (`REDIS_URL`); an in-memory map loses every outstanding code on restart.
+
+---
+
+## 4) COD service: `src/services/cod.js`
+
+```js
+import { PrismaClient } from '@prisma/client';
+import { sendOTP, verifyOTP } from './otp.js';
+import { transitionOrder } from './orders.js';
+
+const prisma = new PrismaClient();
+
+const CODE_TTL_MS = Number(process.env.COD_CODE_TTL_DAYS || 14) * 24 * 3600 * 1000;
+
+// A seller with no settings row accepts COD everywhere with no limit.
+export function codAllowed(settings, shipTo, totalKobo) {
+  if (!settings) return { ok: true };
+  if (!settings.enabled) return { error: 'does not offer Pay on Delivery' };
+  if (settings.maxOrderValue && totalKobo > settings.maxOrderValue) {
+    return { error: `only accepts Pay on Delivery up to NGN ${(settings.maxOrderValue/100).toLocaleString()}` };
+  }
+  const areas = settings.areas || [];
+  const norm = v => String(v || '').trim().toLowerCase();
+  if (areas.length && !areas.some(a => norm(a.state) === norm(shipTo?.state) && (!a.lga || norm(a.lga) === norm(shipTo?.lga)))) {
+    return { error: `does not offer Pay on Delivery to ${shipTo?.lga ? `${shipTo.lga}, ` : ''}${shipTo?.state || 'this location'}` };
+  }
+  return { ok: true };
+}
+
+export async function checkCodEligibility(sellerId, shipTo, totalKobo) {
+  const settings = await prisma.codSettings.findUnique({ where: { sellerId } });
+  return codAllowed(settings, shipTo, totalKobo);
+}
+
+function codeKey(orderId) { return `cod:${orderId}`; }
+
+// Issues (or re-issues) the buyer's delivery code. Returns the code so it can also be pushed in-app.
+export async function issueDeliveryCode(order) {
+  const buyer = await prisma.user.findUnique({ where: { id: order.buyerId } });
+  return sendOTP(codeKey(order.id), { kind: 'cod_delivery', ttlMs: CODE_TTL_MS, to: order.shipTo?.phone || buyer?.phone || buyer?.email });
+}
+
+// Seller or rider enters the buyer's code at handover: records the cash, then the delivery.
+export async function confirmCodDelivery(orderId, code, actorId) {
+  const order = await prisma.order.findUnique({ where: { id: orderId } });
+  if (!order || order.paymentMode !== 'cod') return { error: 'Not a Pay on Delivery order' };
+  if (order.status !== 'shipped') return { error: 'Order must be shipped before it can be handed over' };
+  if (!verifyOTP(codeKey(order.id), code)) return { error: 'Invalid or expired delivery code' };
+
+  const paid = await transitionOrder(order.id, 'paid', { actorId, note: 'cash collected (delivery code)', codConfirmed: true });
+  if (paid.error) return paid;
+  const payment = await prisma.payment.update({ where: { providerRef: `cod_${order.id}` }, data: { status: 'success' } });
+  const delivered = await transitionOrder(order.id, 'delivered', { actorId });
+  if (delivered.error) return delivered;
+  return { ok: true, order: delivered.order, payment };
+}
+```
+
+---
+
+## 5) Orders: COD transitions, checkout and handover
+
+`src/services/orders.js` (changes):
+
+```js
+import { checkCodEligibility } from './cod.js';
+
+// Pay on Delivery orders ship before they are paid; `paid` is set by the delivery code.
+export const COD_TRANSITIONS = {
+  pending_payment: ['shipped', 'cancelled'],
+  shipped: ['paid', 'cancelled'],
+  paid: ['delivered'],
+  delivered: ['completed'],
+  completed: [],
+  cancelled: [],
+};
+
+export function canTransition(from, to, paymentMode = 'online') {
+  const table = paymentMode === 'cod' ? COD_TRANSITIONS : ORDER_TRANSITIONS;
+  return (table[from] || []).includes(to);
+}
+
+export async function transitionOrder(orderId, to, { actorId = null, note = null, data = {}, codConfirmed = false } = {}) {
+  const order = await prisma.order.findUnique({ where: { id: orderId } });
+  if (!order) return { error: 'Order not found' };
+  if (!canTransition(order.status, to, order.paymentMode)) return { error: `Cannot move order from ${order.status} to ${to}` };
+  if (order.paymentMode === 'cod' && to === 'paid' && !codConfirmed) return { error: 'Pay on Delivery orders are marked paid with the delivery code' };
+  // ...unchanged update + events
+
+  const escrow = order.paymentMode !== 'cod'; // COD cash never passes through us
+  if (escrow && to === 'paid') await holdOrderFunds(updated);
+  if (escrow && to === 'completed') await releaseOrderFunds(updated);
+  if (escrow && to === 'cancelled' && order.status === 'paid') await cancelOrderFunds(updated);
+
+  return { ok: true, order: updated };
+}
+```
+
+`checkoutCart` takes the payment mode and address. For COD it checks every seller's settings **before** anything is written, so a refused checkout leaves the cart untouched:
+
+```js
+export async function checkoutCart(buyerId, { paymentMode = 'online', shipTo = null } = {}) {
+  // ...load cart, stock checks and group bySeller as before
+
+  if (paymentMode === 'cod') {
+    if (!shipTo?.state) return { error: 'A delivery address is required for Pay on Delivery' };
+    for (const [sellerId, items] of bySeller) {
+      const total = items.reduce((sum, i) => sum + i.listing.price * 100 * i.qty, 0);
+      const r = await checkCodEligibility(sellerId, shipTo, total);
+      if (r.error) return { error: `${items[0].listing.title}: seller ${r.error}` };
+    }
+  }
+
+  // ...prisma.order.create as before, plus:
+  //      paymentMode, shipTo,
+}
+```
+
+`src/routes/orders.js`, in `POST /checkout`, COD is handled before the provider lookup:
+
+```js
+import { issueDeliveryCode, confirmCodDelivery } from '../services/cod.js';
+import { notifyDeliveryCode } from '../index.js';
+
+    const { provider = 'paystack', callbackUrl, shipTo = null } = req.body;
+
+    if (provider === 'cod') {
+      const result = await checkoutCart(req.user.id, { paymentMode: 'cod', shipTo });
+      if (result.error) return res.status(400).json({ error: result.error });
+      const payments = [];
+      for (const order of result.orders) {
+        payments.push(await prisma.payment.create({ data: {
+          provider: 'cod', providerRef: `cod_${order.id}`, checkoutRef: result.checkoutRef,
+          amount: order.total, currency: 'NGN', status: 'pending', buyerId: req.user.id, sellerId: order.sellerId,
+        }}));
+        const code = await issueDeliveryCode(order);
+        notifyDeliveryCode(order.buyerId, { orderId: order.id, code });
+        notifyOrderUpdated(order);
+      }
+      return res.json({ ok: true, checkoutRef: result.checkoutRef, orders: result.orders, payments });
+    }
+
+    // ...online providers as before (checkoutCart(req.user.id, { shipTo }))
+```
+
+New order endpoints. They are registered **before** the generic `/:id/:action` route:
+
+```js
+// POST /api/orders/:id/cod/confirm { code } — seller, assigned rider or admin
+router.post('/:id/cod/confirm', async (req, res) => {
+  try {
+    const order = await prisma.order.findUnique({ where: { id: req.params.id } });
+    if (!order) return res.status(404).json({ error: 'Order not found' });
+    const allowed = req.user.role === 'admin' || order.sellerId === req.user.id || (order.riderId && order.riderId === req.user.id);
+    if (!allowed) return res.status(403).json({ error: 'Forbidden' });
+    if (!req.body.code) return res.status(400).json({ error: 'code required' });
+
+    const r = await confirmCodDelivery(order.id, req.body.code, req.user.id);
+    if (r.error) return res.status(400).json({ error: r.error });
+    notifyOrderUpdated(r.order);
+    notifyPaymentUpdated({ payment: r.payment, sellerId: r.payment.sellerId, buyerId: r.payment.buyerId });
+    res.json(r);
+  } catch (e) { console.error('cod confirm error', e); res.status(500).json({ error: e.message }); }
+});
+
+// POST /api/orders/:id/cod/resend — buyer asks for a new code (e.g. after too many wrong attempts)
+router.post('/:id/cod/resend', async (req, res) => {
+  try {
+    const order = await prisma.order.findUnique({ where: { id: req.params.id } });
+    if (!order || order.buyerId !== req.user.id) return res.status(404).json({ error: 'Order not found' });
+    if (order.paymentMode !== 'cod' || !['pending_payment', 'shipped'].includes(order.status)) return res.status(400).json({ error: 'No delivery code for this order' });
+    const code = await issueDeliveryCode(order);
+    notifyDeliveryCode(order.buyerId, { orderId: order.id, code });
+    res.json({ ok: true });
+  } catch (e) { console.error('cod resend error', e); res.status(500).json({ error: e.message }); }
+});
+
+// POST /api/orders/:id/rider { riderId } — seller assigns who may confirm the handover
+router.post('/:id/rider', async (req, res) => {
+  try {
+    const order = await prisma.order.findUnique({ where: { id: req.params.id } });
+    if (!order || order.sellerId !== req.user.id) return res.status(404).json({ error: 'Order not found' });
+    const updated = await prisma.order.update({ where: { id: order.id }, data: { riderId: req.body.riderId || null } });
+    res.json({ ok: true, order: updated });
+  } catch (e) { console.error('assign rider error', e); res.status(500).json({ error: e.message }); }
+});
+```
+
+`ship` in the `ACTIONS` table stays seller-only, and it now works from `pending_payment` for COD orders because `transitionOrder` picks the COD table.
+
+---
+
+## 6) Seller COD settings: `src/routes/codSettings.js`
+
+Mount in `src/index.js` as `app.use('/api/sellers/me/cod', codSettingsRouter)`.
+
+```js
+import express from 'express';
+import { PrismaClient } from '@prisma/client';
+import authMiddleware from '../middlewares/auth.js';
+
+const prisma = new PrismaClient();
+const router = express.Router();
+
+router.use(authMiddleware);
+
+// GET /api/sellers/me/cod
+router.get('/', async (req, res) => {
+  try {
+    const settings = await prisma.codSettings.findUnique({ where: { sellerId: req.user.id } });
+    res.json({ ok: true, settings: settings || { enabled: true, maxOrderValue: null, areas: [] } });
+  } catch (e) { console.error('cod settings error', e); res.status(500).json({ error: e.message }); }
+});
+
+// PUT /api/sellers/me/cod { enabled, maxOrderValue (NGN), areas: [{ state, lga? }] }
+router.put('/', async (req, res) => {
+  try {
+    const { enabled = true, maxOrderValue = null, areas = [] } = req.body;
+    if (!Array.isArray(areas) || areas.some(a => !a || !a.state)) return res.status(400).json({ error: 'areas must be [{ state, lga? }]' });
+    const data = {
+      enabled: !!enabled,
+      maxOrderValue: maxOrderValue ? Math.round(Number(maxOrderValue) * 100) : null,
+      areas: areas.map(a => ({ state: a.state, ...(a.lga ? { lga: a.lga } : {}) })),
+    };
+    const settings = await prisma.codSettings.upsert({ where: { sellerId: req.user.id }, update: data, create: { ...data, sellerId: req.user.id } });
+    res.json({ ok: true, settings });
+  } catch (e) { console.error('cod settings save error', e); res.status(500).json({ error: e.message }); }
+});
+
+export default router;
+```
+
+---
+
+## 7) Server: in-app code delivery in `src/index.js`
+
+```js
+import codSettingsRouter from './routes/codSettings.js';
+app.use('/api/sellers/me/cod', codSettingsRouter);
+
+// the buyer's own devices only — never broadcast to admins or the seller
+export function notifyDeliveryCode(buyerId, payload) {
+  emitToUser(buyerId, 'order:delivery_code', payload);
+}
+```
+
+Add to `.env.example`:
+
+```
+# Pay on Delivery
+COD_CODE_TTL_DAYS=14
+```
+
+And to the `AdminPayments.jsx` provider filter:
+
+```jsx
+<option value="cod">Pay on Delivery</option>
+```
+
+---
+
+## 8) Tests: `server/tests/cod.test.js`
+
+```js
+// server/tests/cod.test.js
+import { codAllowed } from '../src/services/cod.js';
+import { canTransition } from '../src/services/orders.js';
+import { sendOTP, verifyOTP } from '../src/services/otp.js';
+
+describe('Pay on Delivery eligibility', () => {
+  const shipTo = { state: 'Kano', lga: 'Nassarawa' };
+
+  test('sellers without settings accept COD everywhere', () => {
+    expect(codAllowed(null, shipTo, 5_000_000)).toEqual({ ok: true });
+  });
+
+  test('disabled, over the limit or outside the areas is refused', () => {
+    expect(codAllowed({ enabled: false, areas: [] }, shipTo, 100).error).toMatch(/does not offer/);
+    expect(codAllowed({ enabled: true, maxOrderValue: 2_000_000, areas: [] }, shipTo, 2_000_001).error).toMatch(/up to NGN 20,000/);
+    expect(codAllowed({ enabled: true, areas: [{ state: 'Lagos' }] }, shipTo, 100).error).toMatch(/Kano/);
+  });
+
+  test('areas match on state, and on LGA when one is given', () => {
+    expect(codAllowed({ enabled: true, areas: [{ state: 'kano' }] }, shipTo, 100).ok).toBe(true);
+    expect(codAllowed({ enabled: true, areas: [{ state: 'Kano', lga: 'Nassarawa' }] }, shipTo, 100).ok).toBe(true);
+    expect(codAllowed({ enabled: true, areas: [{ state: 'Kano', lga: 'Fagge' }] }, shipTo, 100).error).toBeDefined();
+  });
+});
+
+describe('COD lifecycle and codes', () => {
+  test('COD orders ship before they are paid', () => {
+    expect(canTransition('pending_payment', 'shipped', 'cod')).toBe(true);
+    expect(canTransition('pending_payment', 'shipped', 'online')).toBe(false);
+    expect(canTransition('shipped', 'paid', 'cod')).toBe(true);
+    expect(canTransition('shipped', 'cancelled', 'cod')).toBe(true);
+  });
+
+  test('delivery code is one-time and locks after 5 wrong attempts', () => {
+    const code = sendOTP('cod:o1', { ttlMs: 60_000 });
+    expect(verifyOTP('cod:o1', code)).toBe(true);
+    expect(verifyOTP('cod:o1', code)).toBe(false);
+
+    const code2 = sendOTP('cod:o2', { ttlMs: 60_000 });
+    const wrong = code2 === '123456' ? '654321' : '123456';
+    for (let i = 0; i < 5; i++) verifyOTP('cod:o2', wrong);
+    expect(verifyOTP('cod:o2', code2)).toBe(false);
+  });
+});
+```
+
+---
+
+## 9) How it works (end-to-end)
+
+1. **Checkout**: The buyer picks **Pay on Delivery** and a delivery address. Each seller's COD settings are checked against the address and that seller's order total; one refusal rejects the whole checkout and leaves the cart as it was.
+2. **Code**: Every COD order gets a `pending` `cod` Payment and a 6-digit code, sent by SMS to the delivery phone and pushed to the buyer's devices as `order:delivery_code`.
+3. **Ship**: The seller ships straight from `pending_payment` and can assign a rider.
+4. **Handover**: The buyer gives the code only after receiving the goods. The seller or rider submits it to `/cod/confirm`, and the order goes `paid → delivered` with the Payment marked `success`. Five wrong codes void it, and the buyer can request a new one.
+5. **Complete**: The buyer confirms (or the usual auto-release completes the order). No escrow entries are posted, because the cash never passed through MarketMate.
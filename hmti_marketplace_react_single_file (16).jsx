@@ -0,0 +1,749 @@
+# MarketMate — Delivery Zones, Checkout Quotes and Shipment Tracking
+
+Until now a listing only said `delivery: 'pickup' | 'delivery'`. There was no fee, no coverage area and no way to follow a parcel. This update adds a shipping subsystem:
+
+- **Delivery zones** — each seller sets a fee and an estimated number of days per state, or per LGA within a state
+- **Checkout quotes** — each seller order is quoted from the buyer's address against the listing's `state`/`lga`. The fee is added to the order total, so it is paid (and held in escrow) with the goods.
+- **Shipments** — shipping a delivery order books a shipment with a carrier and records every status change as a `ShipmentEvent`
+- **Tracking timeline** — buyers see the events on their order page, with live updates over the socket
+- **Carrier adapters** (`src/services/carriers/`) — one interface, registered by name like the payment providers. A built-in `local` mock carrier covers seller self-delivery, development and tests. GIG Logistics or Kwik can be added later as one adapter file each.
+
+The single-file demo gets the same flow: zones under **Sales**, per-seller quotes in **Cart**, and a tracking timeline with **Mark picked up / in transit / out for delivery** buttons on shipped orders.
+
+---
+
+## 1) Quote rules
+
+For each seller order in a checkout:
+
+1. Lines whose listing is `pickup` cost nothing to ship.
+2. Each `delivery` line is quoted against the seller's zones. A zone for the buyer's **state + LGA** beats a **state-wide** zone.
+3. If the seller has zones but none covers the address, the seller does not deliver there and checkout is refused.
+4. A seller with **no zones** gets the platform defaults, based on the distance from the listing: same LGA ₦1,000 (1 day), same state ₦2,500 (2 days), another state ₦5,000 (5 days).
+5. A seller's items travel as one parcel. The order pays the highest line fee, and its ETA is the longest line ETA.
+
+The rules are pure functions, so the cart page, the quote endpoint and checkout all produce the same numbers.
+
+---
+
+## 2) Prisma: zones, order shipping fields, shipments
+
+Add to `prisma/schema.prisma` and run `npx prisma migrate dev --name add_shipping`.
+
+```prisma
+model DeliveryZone {
+  id        String   @id @default(cuid())
+  seller    User     @relation(fields: [sellerId], references: [id])
+  sellerId  String
+  state     String
+  lga       String   @default("") // "" = the whole state
+  fee       Int      // kobo
+  etaDays   Int      @default(2)
+  createdAt DateTime @default(now())
+
+  @@unique([sellerId, state, lga])
+}
+
+model Order {
+  // ...existing fields
+  subtotal    Int       @default(0) // kobo, items only; total = subtotal + shippingFee
+  shippingFee Int       @default(0) // kobo
+  fulfilment  String    @default("pickup") // pickup | delivery
+  etaDays     Int?
+  shipment    Shipment?
+}
+
+model Shipment {
+  id             String          @id @default(cuid())
+  order          Order           @relation(fields: [orderId], references: [id])
+  orderId        String          @unique
+  carrier        String          // registry key, e.g. 'local'
+  trackingNumber String          @unique
+  status         String          @default("booked") // booked | picked_up | in_transit | out_for_delivery | delivered | failed | returned
+  labelUrl       String?
+  fee            Int             // kobo, what the buyer was charged
+  meta           Json?
+  events         ShipmentEvent[]
+  createdAt      DateTime        @default(now())
+  updatedAt      DateTime        @updatedAt
+}
+
+model ShipmentEvent {
+  id         String   @id @default(cuid())
+  shipment   Shipment @relation(fields: [shipmentId], references: [id])
+  shipmentId String
+  status     String
+  note       String?
+  location   String?
+  source     String   // carrier | seller | system
+  externalId String?  @unique // carrier's event id, so webhook retries are recorded once
+  at         DateTime @default(now())
+
+  @@index([shipmentId, at])
+}
+
+model User {
+  // ...existing fields
+  deliveryZones DeliveryZone[]
+}
+```
+
+---
+
+## 3) Quotes: `src/services/shipping.js`
+
+```js
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+// kobo; used for sellers who have not set up any zones
+export const DEFAULT_DELIVERY_FEES = {
+  sameLga: { fee: 100000, etaDays: 1 },
+  sameState: { fee: 250000, etaDays: 2 },
+  interstate: { fee: 500000, etaDays: 5 },
+};
+
+const same = (a, b) => String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+
+// Quote for one listing. zones: the seller's DeliveryZone rows.
+export function deliveryQuote(zones, listing, shipTo) {
+  if (listing.delivery !== 'delivery') return { fee: 0, etaDays: 0, pickup: true };
+  if (!zones || zones.length === 0) {
+    if (!same(listing.state, shipTo?.state)) return DEFAULT_DELIVERY_FEES.interstate;
+    return listing.lga && same(listing.lga, shipTo?.lga) ? DEFAULT_DELIVERY_FEES.sameLga : DEFAULT_DELIVERY_FEES.sameState;
+  }
+  const zone = zones.find(z => z.lga && same(z.state, shipTo?.state) && same(z.lga, shipTo?.lga))
+    || zones.find(z => !z.lga && same(z.state, shipTo?.state));
+  if (!zone) return { error: `does not deliver to ${shipTo?.lga ? `${shipTo.lga}, ` : ''}${shipTo?.state || 'this location'}` };
+  return { fee: zone.fee, etaDays: zone.etaDays, zoneId: zone.id };
+}
+
+// One parcel per seller order: the dearest line decides the fee and the slowest the ETA.
+export function orderShipping(zones, listings, shipTo) {
+  const quotes = listings.map(l => deliveryQuote(zones, l, shipTo));
+  const failed = quotes.find(q => q.error);
+  if (failed) return { error: failed.error };
+  const delivered = quotes.filter(q => !q.pickup);
+  if (delivered.length === 0) return { fulfilment: 'pickup', fee: 0, etaDays: 0 };
+  if (!shipTo?.state) return { error: 'needs a delivery address' };
+  return { fulfilment: 'delivery', fee: Math.max(...delivered.map(q => q.fee)), etaDays: Math.max(...delivered.map(q => q.etaDays)) };
+}
+
+// Quotes each seller group of a cart. items: CartItem rows with `listing` included.
+export async function quoteCart(items, shipTo) {
+  const sellerIds = Array.from(new Set(items.map(i => i.listing.sellerId)));
+  const zones = await prisma.deliveryZone.findMany({ where: { sellerId: { in: sellerIds } } });
+  const quotes = {};
+  for (const sellerId of sellerIds) {
+    quotes[sellerId] = orderShipping(
+      zones.filter(z => z.sellerId === sellerId),
+      items.filter(i => i.listing.sellerId === sellerId).map(i => i.listing),
+      shipTo,
+    );
+  }
+  return quotes;
+}
+```
+
+---
+
+## 4) Carrier adapter interface
+
+A carrier is a plain object, like a payment provider adapter (see `services/providers/`). Amounts are **kobo**, and statuses are always ours (`booked | picked_up | in_transit | out_for_delivery | delivered | failed | returned`).
+
+| Member | Signature | Returns |
+|---|---|---|
+| `name` | `'local'` | registry key, stored in `Shipment.carrier` |
+| `quote` | `({ from, to, parcel })` | `{ fee, etaDays }` or `{ error }` — the carrier's own price, for sellers who want to compare it with their zone fee |
+| `createShipment` | `({ reference, from, to, parcel, recipient })` | `{ ok, trackingNumber, labelUrl, raw }` or `{ error, raw }` |
+| `track` | `(trackingNumber)` | `{ status, events: [{ externalId, status, note, location, at }] }` |
+| `cancel` | `(trackingNumber)` | `{ ok }` or `{ error }` |
+| `verifyWebhook` | `(req)` | `true` if the signature over `req.rawBody`/headers is valid |
+| `parseWebhook` | `(payload)` | `{ trackingNumber, event: { externalId, status, note, location, at } }` or `null` |
+
+`from` and `to` are `{ state, lga, address, name, phone }`. `reference` is the order id. `parcel` is `{ items, weightKg }` (weights default to 1 kg until listings carry them).
+
+### Registry: `src/services/carriers/index.js`
+
+```js
+import local from './local.js';
+
+const REQUIRED = ['quote', 'createShipment', 'track', 'cancel', 'verifyWebhook', 'parseWebhook'];
+const CARRIERS = new Map();
+
+export function registerCarrier(adapter) {
+  const missing = REQUIRED.filter(m => typeof adapter[m] !== 'function');
+  if (!adapter.name || missing.length) throw new Error(`Carrier ${adapter.name || '(unnamed)'} is missing: ${missing.join(', ')}`);
+  CARRIERS.set(adapter.name, adapter);
+}
+
+export function findCarrier(name) { return CARRIERS.get(name) || null; }
+
+export function getCarrier(name) {
+  const adapter = findCarrier(name);
+  if (!adapter) throw new Error(`Unknown carrier ${name}`);
+  return adapter;
+}
+
+export function listCarriers() { return Array.from(CARRIERS.keys()); }
+
+// Carrier used when the seller does not pick one; 'local' = seller delivers and posts updates.
+export function defaultCarrier() { return process.env.DEFAULT_CARRIER || 'local'; }
+
+registerCarrier(local);
+```
+
+---
+
+## 5) Local mock carrier: `src/services/carriers/local.js`
+
+`local` covers sellers who deliver themselves, and it stands in for a real carrier in development and tests. It issues `MM…` tracking numbers and keeps its state in memory, like the sandbox payment provider. Status changes come from two places: seller updates (`advanceLocalShipment`), and an optional development timer (`LOCAL_CARRIER_STEP_MS`). Either way they arrive as signed webhooks on our own `/api/shipping/local/webhook`. The path from a carrier event to the buyer's timeline is therefore the same one GIG or Kwik webhooks will use.
+
+```js
+import crypto from 'crypto';
+import fetch from 'node-fetch';
+import { deliveryQuote } from '../shipping.js';
+
+export const LOCAL_STEPS = ['booked', 'picked_up', 'in_transit', 'out_for_delivery', 'delivered'];
+
+// trackingNumber -> { reference, status, events }
+const LOCAL_STORE = new Map();
+
+const secret = () => process.env.LOCAL_CARRIER_SECRET || 'local-carrier-secret';
+const serverUrl = () => process.env.SERVER_URL || `http://localhost:${process.env.PORT || 4000}`;
+
+function sign(body) { return crypto.createHmac('sha256', secret()).update(body).digest('hex'); }
+
+let transport = async (payload) => {
+  const body = JSON.stringify(payload);
+  try {
+    await fetch(`${serverUrl()}/api/shipping/local/webhook`, { method: 'POST', headers: { 'Content-Type': 'application/json', 'x-local-signature': sign(body) }, body });
+  } catch (e) { console.error('local carrier webhook delivery failed', e.message); }
+};
+
+// Tests swap the transport to capture webhooks instead of sending them over HTTP.
+export function setCarrierTransport(fn) { transport = fn; }
+export function signLocalBody(body) { return sign(body); }
+
+function pushEvent(trackingNumber, txn, status, { note = null, location = null } = {}) {
+  const event = { externalId: `lev_${crypto.randomBytes(6).toString('hex')}`, status, note, location, at: new Date().toISOString() };
+  txn.status = status;
+  txn.events.push(event);
+  return transport({ event: 'shipment.updated', data: { trackingNumber, ...event } });
+}
+
+// Seller (or the dev timer) moves a local shipment one or more steps forward.
+export async function advanceLocalShipment(trackingNumber, status, opts = {}) {
+  const txn = LOCAL_STORE.get(trackingNumber);
+  if (!txn) return { error: 'Unknown tracking number' };
+  if (!LOCAL_STEPS.includes(status) || LOCAL_STEPS.indexOf(status) <= LOCAL_STEPS.indexOf(txn.status)) {
+    return { error: `Cannot move shipment from ${txn.status} to ${status}` };
+  }
+  await pushEvent(trackingNumber, txn, status, opts);
+  return { ok: true };
+}
+
+function scheduleDevSteps(trackingNumber) {
+  const stepMs = Number(process.env.LOCAL_CARRIER_STEP_MS || 0);
+  if (!stepMs) return;
+  const timer = setInterval(async () => {
+    const txn = LOCAL_STORE.get(trackingNumber);
+    const next = txn && LOCAL_STEPS[LOCAL_STEPS.indexOf(txn.status) + 1];
+    if (!next || txn.status === 'returned') return clearInterval(timer);
+    await pushEvent(trackingNumber, txn, next, { note: 'simulated by local carrier' });
+  }, stepMs);
+}
+
+export default {
+  name: 'local',
+
+  async quote({ from, to }) {
+    return deliveryQuote([], { delivery: 'delivery', state: from.state, lga: from.lga }, to);
+  },
+
+  async createShipment({ reference }) {
+    const trackingNumber = `MM${crypto.randomBytes(5).toString('hex').toUpperCase()}`;
+    LOCAL_STORE.set(trackingNumber, { reference, status: 'booked', events: [] });
+    scheduleDevSteps(trackingNumber);
+    return { ok: true, trackingNumber, labelUrl: null, raw: { trackingNumber, reference } };
+  },
+
+  async track(trackingNumber) {
+    const txn = LOCAL_STORE.get(trackingNumber);
+    if (!txn) return { status: 'booked', events: [] };
+    return { status: txn.status, events: txn.events };
+  },
+
+  async cancel(trackingNumber) {
+    const txn = LOCAL_STORE.get(trackingNumber);
+    if (!txn) return { error: 'Unknown tracking number' };
+    if (txn.status === 'delivered') return { error: 'Shipment already delivered' };
+    txn.status = 'returned';
+    return { ok: true };
+  },
+
+  verifyWebhook(req) {
+    const sent = String(req.headers['x-local-signature'] || '');
+    const expected = req.rawBody ? sign(req.rawBody) : '';
+    return sent.length > 0 && sent.length === expected.length && crypto.timingSafeEqual(Buffer.from(sent), Buffer.from(expected));
+  },
+
+  parseWebhook(payload) {
+    if (payload?.event !== 'shipment.updated' || !payload.data?.trackingNumber) return null;
+    const { trackingNumber, externalId, status, note, location, at } = payload.data;
+    return { trackingNumber, event: { externalId, status, note, location, at } };
+  },
+};
+```
+
+---
+
+## 6) Shipments: `src/services/shipments.js`
+
+```js
+import { PrismaClient } from '@prisma/client';
+import { getCarrier, defaultCarrier } from './carriers/index.js';
+import { transitionOrder } from './orders.js';
+import { notifyShipmentUpdated, notifyOrderUpdated } from '../index.js';
+
+const prisma = new PrismaClient();
+
+export const SHIPMENT_STATUSES = ['booked', 'picked_up', 'in_transit', 'out_for_delivery', 'delivered', 'failed', 'returned'];
+
+// Books the parcel when the seller ships a delivery order. Pickup orders have no shipment.
+export async function createShipmentForOrder(order, { carrier = defaultCarrier() } = {}) {
+  if (order.fulfilment !== 'delivery') return { ok: true, shipment: null };
+  const existing = await prisma.shipment.findUnique({ where: { orderId: order.id } });
+  if (existing) return { ok: true, shipment: existing };
+
+  const full = await prisma.order.findUnique({ where: { id: order.id }, include: { items: { include: { listing: true } }, seller: true } });
+  const origin = full.items[0]?.listing;
+  const adapter = getCarrier(carrier);
+  const r = await adapter.createShipment({
+    reference: order.id,
+    from: { state: origin?.state, lga: origin?.lga, name: full.seller.name, phone: full.seller.phone },
+    to: order.shipTo,
+    parcel: { items: full.items.map(i => ({ title: i.title, qty: i.qty })), weightKg: full.items.reduce((n, i) => n + i.qty, 0) },
+    recipient: order.shipTo,
+  });
+  if (r.error) return { error: r.error };
+
+  const shipment = await prisma.shipment.create({ data: {
+    orderId: order.id, carrier: adapter.name, trackingNumber: r.trackingNumber, labelUrl: r.labelUrl || null, fee: order.shippingFee, meta: r.raw,
+    events: { create: { status: 'booked', note: `Booked with ${adapter.name}`, source: 'system' } },
+  }, include: { events: true } });
+  return { ok: true, shipment };
+}
+
+// Appends one event and moves Shipment.status. Carrier events with an externalId are recorded once.
+// A carrier-reported delivery moves an online order to `delivered`; COD orders still need the buyer's code.
+export async function recordShipmentEvent(shipment, { status, note = null, location = null, at = null, externalId = null }, source = 'carrier') {
+  if (!SHIPMENT_STATUSES.includes(status)) return { error: `Unknown shipment status ${status}` };
+  if (externalId && await prisma.shipmentEvent.findUnique({ where: { externalId } })) return { ok: true, duplicate: true };
+
+  const [event, updated] = await prisma.$transaction([
+    prisma.shipmentEvent.create({ data: { shipmentId: shipment.id, status, note, location, source, externalId, at: at ? new Date(at) : new Date() } }),
+    prisma.shipment.update({ where: { id: shipment.id }, data: { status }, include: { order: true } }),
+  ]);
+  notifyShipmentUpdated(updated.order, { shipment: updated, event });
+
+  if (status === 'delivered' && updated.order.paymentMode !== 'cod' && updated.order.status === 'shipped') {
+    const r = await transitionOrder(updated.order.id, 'delivered', { note: `delivered (${shipment.carrier})` });
+    if (r.ok) notifyOrderUpdated(r.order);
+  }
+  return { ok: true, event, shipment: updated };
+}
+
+export async function handleCarrierWebhook(adapter, payload) {
+  const parsed = adapter.parseWebhook(payload);
+  if (!parsed) return { ok: true, ignored: true };
+  const shipment = await prisma.shipment.findUnique({ where: { trackingNumber: parsed.trackingNumber } });
+  if (!shipment || shipment.carrier !== adapter.name) return { error: 'Unknown shipment' };
+  return recordShipmentEvent(shipment, parsed.event, 'carrier');
+}
+
+export async function trackingTimeline(orderId) {
+  return prisma.shipment.findUnique({ where: { orderId }, include: { events: { orderBy: { at: 'asc' } } } });
+}
+```
+
+---
+
+## 7) Orders: quotes at checkout, shipment on ship
+
+`src/services/orders.js` (changes). `checkoutCart` quotes every seller group before anything is written:
+
+```js
+import { quoteCart } from './shipping.js';
+
+export async function checkoutCart(buyerId, { paymentMode = 'online', shipTo = null } = {}) {
+  // ...load cart, stock checks and group bySeller as before
+
+  const quotes = await quoteCart(cart, shipTo);
+  for (const [sellerId, items] of bySeller) {
+    if (quotes[sellerId].error) return { error: `${items[0].listing.title}: seller ${quotes[sellerId].error}` };
+  }
+
+  // ...COD eligibility as before, now against subtotal + shipping fee
+
+  const creates = Array.from(bySeller, ([sellerId, items]) => {
+    const subtotal = items.reduce((sum, i) => sum + i.listing.price * 100 * i.qty, 0);
+    const q = quotes[sellerId];
+    return prisma.order.create({
+      data: {
+        buyerId, sellerId, checkoutRef, paymentMode, shipTo,
+        subtotal,
+        shippingFee: q.fee,
+        total: subtotal + q.fee,
+        fulfilment: q.fulfilment,
+        etaDays: q.etaDays || null,
+        items: { create: items.map(i => ({ listingId: i.listingId, title: i.listing.title, unitPrice: i.listing.price * 100, qty: i.qty })) },
+        events: { create: { to: 'pending_payment', actorId: buyerId } },
+      },
+      include: { items: true },
+    });
+  });
+  // ...unchanged
+}
+```
+
+The fee is part of `Order.total`, so it is paid, held in escrow and released to the seller with the goods. A self-delivering seller keeps the fee. When a third-party carrier is used, the carrier invoices the seller.
+
+In `transitionOrder`, which gains a `carrier` option, a shipment is booked when a delivery order ships. It is marked returned when a shipped order is cancelled:
+
+```js
+import { createShipmentForOrder, recordShipmentEvent } from './shipments.js';
+import { getCarrier } from './carriers/index.js';
+
+export async function transitionOrder(orderId, to, { actorId = null, note = null, data = {}, codConfirmed = false, carrier } = {}) {
+  // ...unchanged checks, update, events and escrow postings
+
+  if (to === 'shipped') {
+    const booked = await createShipmentForOrder(updated, { carrier });
+    if (booked.error) console.warn(`shipment booking failed for ${updated.id}: ${booked.error}`);
+  }
+  if (to === 'cancelled' && order.status === 'shipped') {
+    const shipment = await prisma.shipment.findUnique({ where: { orderId: order.id } });
+    if (shipment) {
+      await getCarrier(shipment.carrier).cancel(shipment.trackingNumber);
+      await recordShipmentEvent(shipment, { status: 'returned', note: note || 'order cancelled' }, 'system');
+    }
+  }
+
+  return { ok: true, order: updated };
+}
+```
+
+A failed booking does not undo the `shipped` status. The seller can retry with `POST /api/orders/:id/shipment`, shown below.
+
+`src/routes/orders.js` (changes). The ship action passes an optional carrier (`{ carrier: 'local' }` by default), and there are new tracking endpoints, registered **before** `/:id/:action`:
+
+```js
+import { trackingTimeline, createShipmentForOrder, recordShipmentEvent } from '../services/shipments.js';
+import { findCarrier } from '../services/carriers/index.js';
+import { advanceLocalShipment } from '../services/carriers/local.js';
+
+    // in POST /:id/:action
+    if (req.body.carrier && !findCarrier(req.body.carrier)) return res.status(400).json({ error: 'Unknown carrier' });
+    const r = await transitionOrder(order.id, action.to, { actorId: req.user.id, note: req.body.note || null, carrier: req.body.carrier });
+
+// GET /api/orders/:id/tracking — buyer, seller or admin
+router.get('/:id/tracking', async (req, res) => {
+  try {
+    const order = await prisma.order.findUnique({ where: { id: req.params.id } });
+    if (!order) return res.status(404).json({ error: 'Order not found' });
+    if (![order.buyerId, order.sellerId].includes(req.user.id) && req.user.role !== 'admin') return res.status(403).json({ error: 'Forbidden' });
+    const shipment = await trackingTimeline(order.id);
+    res.json({ ok: true, fulfilment: order.fulfilment, etaDays: order.etaDays, shipment });
+  } catch (e) { console.error('tracking error', e); res.status(500).json({ error: e.message }); }
+});
+
+// POST /api/orders/:id/shipment { carrier } — seller retries a failed booking
+router.post('/:id/shipment', async (req, res) => {
+  try {
+    const order = await prisma.order.findUnique({ where: { id: req.params.id } });
+    if (!order || order.sellerId !== req.user.id) return res.status(404).json({ error: 'Order not found' });
+    if (order.status !== 'shipped') return res.status(400).json({ error: 'Order must be shipped first' });
+    if (req.body.carrier && !findCarrier(req.body.carrier)) return res.status(400).json({ error: 'Unknown carrier' });
+    const r = await createShipmentForOrder(order, { carrier: req.body.carrier });
+    if (r.error) return res.status(502).json({ error: r.error });
+    res.json(r);
+  } catch (e) { console.error('shipment booking error', e); res.status(500).json({ error: e.message }); }
+});
+
+// POST /api/orders/:id/shipment/events { status, note, location } — seller updates for self-delivery
+router.post('/:id/shipment/events', async (req, res) => {
+  try {
+    const order = await prisma.order.findUnique({ where: { id: req.params.id }, include: { shipment: true } });
+    if (!order || (order.sellerId !== req.user.id && req.user.role !== 'admin')) return res.status(404).json({ error: 'Order not found' });
+    if (!order.shipment) return res.status(400).json({ error: 'This order has no shipment' });
+    const { status, note = null, location = null } = req.body;
+
+    // local shipments go through the mock carrier so its webhook records the event;
+    // real carriers report their own progress, so a seller note is recorded directly
+    if (order.shipment.carrier === 'local') {
+      if (status === 'delivered' && order.paymentMode === 'cod') return res.status(400).json({ error: 'Pay on Delivery orders are delivered with the delivery code' });
+      const r = await advanceLocalShipment(order.shipment.trackingNumber, status, { note, location });
+      if (r.error) return res.status(400).json({ error: r.error });
+      return res.json({ ok: true });
+    }
+    const r = await recordShipmentEvent(order.shipment, { status, note, location }, 'seller');
+    if (r.error) return res.status(400).json({ error: r.error });
+    res.json(r);
+  } catch (e) { console.error('shipment event error', e); res.status(500).json({ error: e.message }); }
+});
+```
+
+---
+
+## 8) Zones, quotes and carrier webhooks: `src/routes/shipping.js`
+
+```js
+import express from 'express';
+import { PrismaClient } from '@prisma/client';
+import authMiddleware from '../middlewares/auth.js';
+import { quoteCart } from '../services/shipping.js';
+import { findCarrier, listCarriers } from '../services/carriers/index.js';
+import { handleCarrierWebhook } from '../services/shipments.js';
+
+const prisma = new PrismaClient();
+const router = express.Router();
+
+// Carrier webhooks are unauthenticated; the adapter checks the signature over the raw body.
+// POST /api/shipping/:carrier/webhook
+router.post('/:carrier/webhook', async (req, res) => {
+  const adapter = findCarrier(req.params.carrier);
+  if (!adapter) return res.status(404).send('unknown carrier');
+  if (!adapter.verifyWebhook(req)) return res.status(401).send('invalid signature');
+  try {
+    const r = await handleCarrierWebhook(adapter, req.body);
+    if (r.error) console.warn(`${adapter.name} webhook: ${r.error}`);
+    res.sendStatus(200); // unknown shipments are acknowledged so the carrier stops retrying
+  } catch (e) { console.error('carrier webhook error', e); res.sendStatus(500); }
+});
+
+router.use(authMiddleware);
+
+// GET /api/shipping/carriers
+router.get('/carriers', (req, res) => res.json({ ok: true, carriers: listCarriers() }));
+
+// POST /api/shipping/quote { shipTo: { state, lga } } — quotes the caller's cart per seller
+router.post('/quote', async (req, res) => {
+  try {
+    const items = await prisma.cartItem.findMany({ where: { userId: req.user.id }, include: { listing: true } });
+    const quotes = await quoteCart(items, req.body.shipTo || {});
+    res.json({ ok: true, quotes });
+  } catch (e) { console.error('quote error', e); res.status(500).json({ error: e.message }); }
+});
+
+// GET /api/shipping/zones — the seller's own zones
+router.get('/zones', async (req, res) => {
+  try {
+    const zones = await prisma.deliveryZone.findMany({ where: { sellerId: req.user.id }, orderBy: [{ state: 'asc' }, { lga: 'asc' }] });
+    res.json({ ok: true, zones });
+  } catch (e) { console.error('zones error', e); res.status(500).json({ error: e.message }); }
+});
+
+// PUT /api/shipping/zones { zones: [{ state, lga?, fee (NGN), etaDays }] } — replaces the seller's zones
+router.put('/zones', async (req, res) => {
+  try {
+    const zones = req.body.zones;
+    if (!Array.isArray(zones) || zones.some(z => !z || !z.state || !(Number(z.fee) >= 0))) {
+      return res.status(400).json({ error: 'zones must be [{ state, lga?, fee, etaDays }]' });
+    }
+    const rows = zones.map(z => ({
+      sellerId: req.user.id,
+      state: z.state,
+      lga: (z.lga || '').trim(),
+      fee: Math.round(Number(z.fee) * 100),
+      etaDays: Math.max(1, Number(z.etaDays) || 2),
+    }));
+    const keys = new Set(rows.map(r => `${r.state}|${r.lga.toLowerCase()}`));
+    if (keys.size !== rows.length) return res.status(400).json({ error: 'Each state/LGA may only appear once' });
+
+    await prisma.$transaction([
+      prisma.deliveryZone.deleteMany({ where: { sellerId: req.user.id } }),
+      prisma.deliveryZone.createMany({ data: rows }),
+    ]);
+    const saved = await prisma.deliveryZone.findMany({ where: { sellerId: req.user.id } });
+    res.json({ ok: true, zones: saved });
+  } catch (e) { console.error('zones save error', e); res.status(500).json({ error: e.message }); }
+});
+
+export default router;
+```
+
+---
+
+## 9) Server: mounting and notifications in `src/index.js`
+
+The carrier webhook needs `req.rawBody`, which the `express.json({ verify })` hook added for payment webhooks already provides.
+
+```js
+import shippingRouter from './routes/shipping.js';
+app.use('/api/shipping', shippingRouter);
+
+export function notifyShipmentUpdated(order, payload) {
+  const body = { orderId: order.id, ...payload };
+  emitToUser(order.buyerId, 'shipment:updated', body);
+  emitToUser(order.sellerId, 'shipment:updated', body);
+}
+```
+
+Add to `.env.example`:
+
+```
+# Shipping
+DEFAULT_CARRIER=local
+LOCAL_CARRIER_SECRET=change-me
+# dev only: advance local shipments one step every N ms (0 = seller updates only)
+LOCAL_CARRIER_STEP_MS=0
+```
+
+---
+
+## 10) Client: tracking timeline
+
+`client/src/utils/api.js` (additions):
+
+```js
+export async function quoteShipping(shipTo, token) {
+  return fetch(`${API}/shipping/quote`, { method: 'POST', headers: authHeaders(token), body: JSON.stringify({ shipTo }) }).then(r => r.json());
+}
+
+export async function fetchTracking(orderId, token) {
+  return fetch(`${API}/orders/${orderId}/tracking`, { headers: authHeaders(token) }).then(r => r.json());
+}
+
+export async function saveDeliveryZones(zones, token) {
+  return fetch(`${API}/shipping/zones`, { method: 'PUT', headers: authHeaders(token), body: JSON.stringify({ zones }) }).then(r => r.json());
+}
+
+// checkout gains the delivery address
+export async function checkout(provider, callbackUrl, token, shipTo) {
+  return fetch(`${API}/orders/checkout`, { method: 'POST', headers: authHeaders(token), body: JSON.stringify({ provider, callbackUrl, shipTo }) }).then(r => r.json());
+}
+```
+
+`client/src/components/TrackingTimeline.jsx`, rendered on the buyer's order page:
+
+```jsx
+// client/src/components/TrackingTimeline.jsx
+import React, { useEffect, useState } from 'react';
+import { fetchTracking } from '../utils/api';
+import { connectSocket } from '../utils/socket';
+
+export default function TrackingTimeline({ orderId, token }) {
+  const [data, setData] = useState(null);
+
+  useEffect(() => {
+    fetchTracking(orderId, token).then(r => r.ok && setData(r));
+    const socket = connectSocket(token);
+    const onUpdate = ({ orderId: id, shipment, event }) => {
+      if (id !== orderId) return;
+      setData(d => d && { ...d, shipment: { ...(d.shipment || shipment), status: shipment.status, events: [...((d.shipment && d.shipment.events) || []), event] } });
+    };
+    socket.on('shipment:updated', onUpdate);
+    return () => socket.off('shipment:updated', onUpdate);
+  }, [orderId, token]);
+
+  if (!data) return null;
+  if (data.fulfilment === 'pickup') return <div className="text-sm text-gray-500">Pickup from seller</div>;
+  if (!data.shipment) return <div className="text-sm text-gray-500">Ships in about {data.etaDays} day(s) once the seller dispatches it.</div>;
+
+  const { shipment } = data;
+  return (
+    <div className="mt-2">
+      <div className="text-sm text-gray-500">Tracking {shipment.trackingNumber} ({shipment.carrier})</div>
+      <ol className="border-l ml-1 mt-1">
+        {shipment.events.map(ev => (
+          <li key={ev.id || ev.externalId} className="pl-3 pb-2 text-sm">
+            <span className="font-semibold">{ev.status.replace(/_/g, ' ')}</span>
+            <span className="text-gray-500"> — {new Date(ev.at).toLocaleString()}</span>
+            {ev.location && <span> • {ev.location}</span>}
+            {ev.note && <div className="text-xs text-gray-600">{ev.note}</div>}
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+}
+```
+
+---
+
+## 11) Tests: `server/tests/shipping.test.js`
+
+```js
+// server/tests/shipping.test.js
+import { deliveryQuote, orderShipping, DEFAULT_DELIVERY_FEES } from '../src/services/shipping.js';
+import local, { advanceLocalShipment, setCarrierTransport, signLocalBody } from '../src/services/carriers/local.js';
+import { registerCarrier } from '../src/services/carriers/index.js';
+
+const kano = { delivery: 'delivery', state: 'Kano', lga: 'Nassarawa' };
+const pickup = { delivery: 'pickup', state: 'Kano', lga: 'Nassarawa' };
+
+describe('delivery quotes', () => {
+  test('pickup listings are free', () => {
+    expect(deliveryQuote([], pickup, { state: 'Lagos' })).toMatchObject({ fee: 0, pickup: true });
+  });
+
+  test('sellers without zones get distance-based defaults', () => {
+    expect(deliveryQuote([], kano, { state: 'Kano', lga: 'Nassarawa' })).toEqual(DEFAULT_DELIVERY_FEES.sameLga);
+    expect(deliveryQuote([], kano, { state: 'Kano', lga: 'Fagge' })).toEqual(DEFAULT_DELIVERY_FEES.sameState);
+    expect(deliveryQuote([], kano, { state: 'Lagos' })).toEqual(DEFAULT_DELIVERY_FEES.interstate);
+  });
+
+  test('an LGA zone beats a state-wide zone; uncovered areas are refused', () => {
+    const zones = [
+      { id: 'z1', state: 'Lagos', lga: '', fee: 300000, etaDays: 3 },
+      { id: 'z2', state: 'Lagos', lga: 'Ikeja', fee: 200000, etaDays: 2 },
+    ];
+    expect(deliveryQuote(zones, kano, { state: 'Lagos', lga: 'ikeja' })).toMatchObject({ fee: 200000, zoneId: 'z2' });
+    expect(deliveryQuote(zones, kano, { state: 'Lagos', lga: 'Epe' })).toMatchObject({ fee: 300000, zoneId: 'z1' });
+    expect(deliveryQuote(zones, kano, { state: 'Oyo' }).error).toMatch(/does not deliver to Oyo/);
+  });
+
+  test('one parcel per seller: highest fee, longest ETA; pickup-only orders are pickup', () => {
+    const zones = [{ id: 'z1', state: 'Lagos', lga: '', fee: 300000, etaDays: 3 }, { id: 'z2', state: 'Lagos', lga: 'Ikeja', fee: 200000, etaDays: 4 }];
+    const abuja = { ...kano, state: 'FCT' };
+    expect(orderShipping(zones, [kano, abuja, pickup], { state: 'Lagos', lga: 'Ikeja' })).toEqual({ fulfilment: 'delivery', fee: 200000, etaDays: 4 });
+    expect(orderShipping([], [pickup], {})).toEqual({ fulfilment: 'pickup', fee: 0, etaDays: 0 });
+    expect(orderShipping([], [kano], {}).error).toBeDefined();
+  });
+});
+
+describe('local carrier', () => {
+  test('satisfies the carrier interface', () => {
+    expect(() => registerCarrier(local)).not.toThrow();
+    expect(() => registerCarrier({ name: 'broken' })).toThrow(/missing/);
+  });
+
+  test('steps only move forward and every step sends a signed, parseable webhook', async () => {
+    const sent = [];
+    setCarrierTransport(async payload => { sent.push(payload); });
+    const { trackingNumber } = await local.createShipment({ reference: 'o1' });
+
+    expect((await advanceLocalShipment(trackingNumber, 'in_transit', { location: 'Kano depot' })).ok).toBe(true);
+    expect((await advanceLocalShipment(trackingNumber, 'picked_up')).error).toMatch(/Cannot move/);
+    expect((await local.track(trackingNumber)).status).toBe('in_transit');
+
+    const body = JSON.stringify(sent[0]);
+    expect(local.verifyWebhook({ headers: { 'x-local-signature': signLocalBody(body) }, rawBody: body })).toBe(true);
+    expect(local.verifyWebhook({ headers: { 'x-local-signature': 'bad' }, rawBody: body })).toBe(false);
+    expect(local.parseWebhook(sent[0])).toMatchObject({ trackingNumber, event: { status: 'in_transit', location: 'Kano depot' } });
+  });
+});
+```
+
+---
+
+## 12) How it works (end-to-end)
+
+1. **Set up**: The seller adds zones under **Sales → Delivery zones**, e.g. *Lagos ₦3,000 / 3 days* and *Lagos, Ikeja ₦2,000 / 2 days*. Sellers who skip this get the platform defaults.
+2. **Quote**: The cart page calls `POST /api/shipping/quote` whenever the buyer changes the address. Checkout runs the same rules again, refuses addresses a seller does not cover, and stores `subtotal`, `shippingFee`, `total`, `fulfilment` and `etaDays` on each order.
+3. **Pay**: The buyer pays online or on delivery as before. The delivery fee is part of the order total and goes through escrow with it.
+4. **Ship**: The seller marks the order shipped. A `Shipment` is booked with the chosen carrier (`local` by default), and its `booked` event is the first entry on the buyer's timeline.
+5. **Track**: Carrier webhooks (or, for `local`, the seller's **Mark picked up / in transit / out for delivery** buttons) append `ShipmentEvent`s. Events are pushed to both parties as `shipment:updated`, and the carrier's event ids make retries harmless.
+6. **Deliver**: A carrier `delivered` event moves an online order to `delivered`. A COD order still waits for the buyer's delivery code. Cancelling a shipped order cancels the booking and adds `returned` to the timeline.
@@ -0,0 +1,455 @@
+# MarketMate — Password Credentials, Reset, Change and Lockout
+
+`routes/auth.js` hashed the password on register and then threw the hash away. `/login` accepted any password (`const valid = true; // replace with bcrypt.compare`). In the single-file demo, `loginMock` logged in anyone who typed a known email or phone, **including the seeded `admin` user**. This update wires real credentials through both:
+
+- **`Credential` model in use** — bcrypt hash stored on register, compared on login (email **or** phone + password)
+- **Lockout** — 5 consecutive failures lock the account for 15 minutes. Unknown accounts, wrong passwords and locked accounts all answer slowly and the same way, so the endpoint does not reveal which accounts exist.
+- **Password reset** — `POST /auth/password/forgot` emails a one-time link (email) or sends a 6-digit code by SMS (phone). `POST /auth/password/reset` sets the new password and clears any lockout.
+- **Password change** — `POST /auth/password/change` for logged-in users. The current password is required, and failures count toward the lockout.
+- **Admin bootstrap** — the admin account is created by `prisma/seed.js` from `ADMIN_PASSWORD`; there is no passwordless admin anywhere.
+- **Demo** — `AuthPanel` collects a password and has **Forgot password?**, there is an **Account** page for changing it, and hashes are kept out of Export/Import
+
+---
+
+## 1) Prisma: credentials and reset tokens
+
+`Credential` was sketched in an earlier update but never used. Extend it and add `PasswordReset` in `prisma/schema.prisma`, then run `npx prisma migrate dev --name credentials_and_password_reset`.
+
+```prisma
+model Credential {
+  id                String    @id @default(cuid())
+  user              User      @relation(fields: [userId], references: [id])
+  userId            String    @unique
+  passwordHash      String
+  failedAttempts    Int       @default(0)
+  lockedUntil       DateTime?
+  passwordChangedAt DateTime  @default(now())
+}
+
+model PasswordReset {
+  id        String    @id @default(cuid())
+  user      User      @relation(fields: [userId], references: [id])
+  userId    String
+  tokenHash String    @unique // sha256 of the emailed token; the token itself is never stored
+  expiresAt DateTime
+  usedAt    DateTime?
+  createdAt DateTime  @default(now())
+
+  @@index([userId])
+}
+
+model User {
+  // ...existing fields
+  credential     Credential?
+  passwordResets PasswordReset[]
+}
+```
+
+Existing users have no `Credential` row, so they cannot log in until they use **Forgot password**. This is intended: none of them ever had a password that was checked.
+
+---
+
+## 2) Password service: `src/services/passwords.js`
+
+The lockout rules are pure functions of the credential and the clock, so they are tested without a database.
+
+```js
+import bcrypt from 'bcryptjs';
+import crypto from 'crypto';
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+export const MIN_PASSWORD_LENGTH = 8;
+export const MAX_LOGIN_ATTEMPTS = Number(process.env.LOGIN_MAX_ATTEMPTS || 5);
+export const LOCKOUT_MINUTES = Number(process.env.LOGIN_LOCKOUT_MINUTES || 15);
+const BCRYPT_ROUNDS = Number(process.env.BCRYPT_ROUNDS || 12);
+
+// compared against when the account does not exist, so both paths take the same time
+const DUMMY_HASH = bcrypt.hashSync('not-a-real-password', BCRYPT_ROUNDS);
+
+export function passwordProblem(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  if (password.length > 72) return 'Password must be at most 72 characters'; // bcrypt ignores the rest
+  if (!/[a-zA-Z]/.test(password) || !/[0-9]/.test(password)) return 'Password must contain letters and numbers';
+  return null;
+}
+
+export function hashPassword(password) { return bcrypt.hash(password, BCRYPT_ROUNDS); }
+
+export function isLocked(credential, now = new Date()) {
+  return !!(credential?.lockedUntil && new Date(credential.lockedUntil) > now);
+}
+
+// Counter update after a wrong password. Reaching the limit locks the account and restarts the count.
+export function afterFailure(credential, now = new Date()) {
+  const failedAttempts = (credential.failedAttempts || 0) + 1;
+  if (failedAttempts >= MAX_LOGIN_ATTEMPTS) return { failedAttempts: 0, lockedUntil: new Date(now.getTime() + LOCKOUT_MINUTES * 60000) };
+  return { failedAttempts, lockedUntil: null };
+}
+
+// Checks a password for a user (or null). Returns { ok } or { error, locked?, lockedUntil? }.
+export async function checkPassword(user, password) {
+  const credential = user && await prisma.credential.findUnique({ where: { userId: user.id } });
+  if (!credential) {
+    await bcrypt.compare(String(password || ''), DUMMY_HASH);
+    return { error: 'Invalid credentials' };
+  }
+  if (isLocked(credential)) {
+    await bcrypt.compare(String(password || ''), DUMMY_HASH);
+    return { error: 'Invalid credentials', locked: true, lockedUntil: credential.lockedUntil };
+  }
+  if (!(await bcrypt.compare(String(password || ''), credential.passwordHash))) {
+    const next = afterFailure(credential);
+    await prisma.credential.update({ where: { id: credential.id }, data: next });
+    return next.lockedUntil ? { error: 'Invalid credentials', locked: true, lockedUntil: next.lockedUntil } : { error: 'Invalid credentials' };
+  }
+  if (credential.failedAttempts || credential.lockedUntil) {
+    await prisma.credential.update({ where: { id: credential.id }, data: { failedAttempts: 0, lockedUntil: null } });
+  }
+  return { ok: true };
+}
+
+// Sets (or replaces) a password and clears any lockout.
+export async function setPassword(userId, password) {
+  const passwordHash = await hashPassword(password);
+  const data = { passwordHash, failedAttempts: 0, lockedUntil: null, passwordChangedAt: new Date() };
+  return prisma.credential.upsert({ where: { userId }, update: data, create: { userId, ...data } });
+}
+
+export function hashResetToken(token) { return crypto.createHash('sha256').update(String(token)).digest('hex'); }
+```
+
+`passwordChangedAt` is recorded so that sessions issued before a reset can be revoked when server-side sessions are added. Until then, an old JWT stays valid until it expires.
+
+---
+
+## 3) Reset email: `src/services/email.js` (addition)
+
+```js
+export async function sendPasswordResetEmail(email, { token }) {
+  const url = `${process.env.WEB_URL}/reset-password?token=${encodeURIComponent(token)}`;
+  await transporter.sendMail({
+    from: process.env.SMTP_FROM, to: email, subject: 'Reset your MarketMate password',
+    html: `Someone asked to reset your MarketMate password. <a href="${url}">Choose a new password</a> within 30 minutes. If this wasn't you, ignore this email.`,
+  });
+  console.log('Sent password reset to', email);
+}
+```
+
+---
+
+## 4) Routes: `src/routes/auth.js` (full file)
+
+```js
+import express from 'express';
+import crypto from 'crypto';
+import { PrismaClient } from '@prisma/client';
+import { sign } from '../services/jwt.js';
+import { sendOTP, verifyOTP } from '../services/otp.js';
+import { sendEmailVerification, sendPasswordResetEmail } from '../services/email.js';
+import { passwordProblem, hashPassword, checkPassword, setPassword, hashResetToken, LOCKOUT_MINUTES } from '../services/passwords.js';
+import authMiddleware from '../middlewares/auth.js';
+
+const prisma = new PrismaClient();
+const router = express.Router();
+
+const RESET_TOKEN_MINUTES = 30;
+const RESET_CODE_MINUTES = 15;
+
+function findByIdentifier(identifier) {
+  const id = String(identifier || '').trim();
+  if (!id) return null;
+  return id.includes('@')
+    ? prisma.user.findUnique({ where: { email: id.toLowerCase() } })
+    : prisma.user.findUnique({ where: { phone: id } });
+}
+
+function publicUser(user) {
+  const { id, name, email, phone, role, verified, createdAt } = user;
+  return { id, name, email, phone, role, verified, createdAt };
+}
+
+// Register (seller or buyer)
+router.post('/register', async (req, res) => {
+  try {
+    const { name, phone, password, role } = req.body;
+    const email = String(req.body.email || '').trim().toLowerCase();
+    if (!email || !password || !name) return res.status(400).json({ error: 'Missing fields' });
+    const problem = passwordProblem(password);
+    if (problem) return res.status(400).json({ error: problem });
+    const exists = await prisma.user.findUnique({ where: { email } });
+    if (exists) return res.status(400).json({ error: 'Email exists' });
+
+    const passwordHash = await hashPassword(password);
+    const user = await prisma.user.create({ data: {
+      name, email, phone, role: role || 'seller', verified: false,
+      credential: { create: { passwordHash } },
+    }});
+    await sendOTP(phone || email, { kind: 'register', userId: user.id });
+    await sendEmailVerification(email, { userId: user.id });
+    const token = sign({ id: user.id, email: user.email, role: user.role });
+    res.json({ ok: true, token, user: publicUser(user) });
+  } catch (e) { console.error('register error', e); res.status(500).json({ error: e.message }); }
+});
+
+// Login { identifier (email or phone), password }. `email` is still accepted for older clients.
+router.post('/login', async (req, res) => {
+  try {
+    const { password } = req.body;
+    const user = await findByIdentifier(req.body.identifier || req.body.email);
+    const r = await checkPassword(user, password);
+    if (r.locked) {
+      return res.status(423).json({ error: `Too many failed attempts. Try again in ${LOCKOUT_MINUTES} minutes or reset your password.`, lockedUntil: r.lockedUntil });
+    }
+    if (r.error) return res.status(400).json({ error: 'Invalid credentials' });
+    const token = sign({ id: user.id, email: user.email, role: user.role });
+    res.json({ ok: true, token, user: publicUser(user) });
+  } catch (e) { console.error('login error', e); res.status(500).json({ error: e.message }); }
+});
+
+// POST /auth/password/forgot { identifier }
+// Email: one-time link. Phone: 6-digit code by SMS. Always answers ok so accounts can't be enumerated.
+router.post('/password/forgot', async (req, res) => {
+  try {
+    const identifier = String(req.body.identifier || '').trim();
+    const user = await findByIdentifier(identifier);
+    if (user) {
+      if (identifier.includes('@')) {
+        const token = crypto.randomBytes(32).toString('hex');
+        await prisma.passwordReset.updateMany({ where: { userId: user.id, usedAt: null }, data: { usedAt: new Date() } }); // only the newest link works
+        await prisma.passwordReset.create({ data: { userId: user.id, tokenHash: hashResetToken(token), expiresAt: new Date(Date.now() + RESET_TOKEN_MINUTES * 60000) } });
+        await sendPasswordResetEmail(user.email, { token });
+      } else {
+        sendOTP(`reset:${user.id}`, { kind: 'password_reset', ttlMs: RESET_CODE_MINUTES * 60000, to: user.phone });
+      }
+    }
+    res.json({ ok: true });
+  } catch (e) { console.error('forgot password error', e); res.status(500).json({ error: e.message }); }
+});
+
+// POST /auth/password/reset { token, password } (email link) or { identifier, code, password } (SMS code)
+router.post('/password/reset', async (req, res) => {
+  try {
+    const { token, identifier, code, password } = req.body;
+    const problem = passwordProblem(password);
+    if (problem) return res.status(400).json({ error: problem });
+
+    let userId = null;
+    if (token) {
+      const reset = await prisma.passwordReset.findUnique({ where: { tokenHash: hashResetToken(token) } });
+      if (reset && !reset.usedAt && reset.expiresAt > new Date()) {
+        // claim the token atomically so a double submit can't use it twice
+        const claimed = await prisma.passwordReset.updateMany({ where: { id: reset.id, usedAt: null }, data: { usedAt: new Date() } });
+        if (claimed.count === 1) userId = reset.userId;
+      }
+    } else if (identifier && code) {
+      const user = await findByIdentifier(identifier);
+      if (user && verifyOTP(`reset:${user.id}`, code)) userId = user.id;
+    }
+    if (!userId) return res.status(400).json({ error: 'Invalid or expired reset code' });
+
+    await setPassword(userId, password);
+    res.json({ ok: true });
+  } catch (e) { console.error('reset password error', e); res.status(500).json({ error: e.message }); }
+});
+
+// POST /auth/password/change { currentPassword, newPassword } — logged-in users
+router.post('/password/change', authMiddleware, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    const user = await prisma.user.findUnique({ where: { id: req.user.id } });
+    const r = await checkPassword(user, currentPassword);
+    if (r.locked) return res.status(423).json({ error: 'Too many failed attempts. Reset your password to continue.', lockedUntil: r.lockedUntil });
+    if (r.error) return res.status(400).json({ error: 'Current password is incorrect' });
+    const problem = passwordProblem(newPassword);
+    if (problem) return res.status(400).json({ error: problem });
+    await setPassword(user.id, newPassword);
+    res.json({ ok: true });
+  } catch (e) { console.error('change password error', e); res.status(500).json({ error: e.message }); }
+});
+
+// OTP verify
+router.post('/otp/verify', async (req, res) => {
+  const { identifier, code } = req.body; // identifier can be phone or email
+  const ok = await verifyOTP(identifier, code);
+  if (!ok) return res.status(400).json({ error: 'Invalid OTP' });
+  // mark user verified if applicable
+  res.json({ ok: true });
+});
+
+export default router;
+```
+
+Notes:
+
+- The raw `INSERT INTO "User"` after `prisma.user.create` is gone. It inserted the same id a second time and would always have failed.
+- Responses return `publicUser(user)` rather than the Prisma row, so later fields on `User` do not leak by default.
+- `423 Locked` lets the client offer **Reset password** instead of another attempt. The body never says whether the password was right.
+
+---
+
+## 5) Seeding the admin: `prisma/seed.js`
+
+There is no default admin password. The seed refuses to run without one.
+
+```js
+import { PrismaClient } from '@prisma/client';
+import { passwordProblem, setPassword } from '../src/services/passwords.js';
+
+const prisma = new PrismaClient();
+
+async function main() {
+  const email = (process.env.ADMIN_EMAIL || 'admin@marketmate.local').toLowerCase();
+  const password = process.env.ADMIN_PASSWORD;
+  const problem = passwordProblem(password);
+  if (problem) throw new Error(`ADMIN_PASSWORD: ${problem}`);
+
+  const admin = await prisma.user.upsert({
+    where: { email },
+    update: { role: 'admin' },
+    create: { email, name: 'MarketMate Admin', role: 'admin', verified: true },
+  });
+  await setPassword(admin.id, password);
+  console.log(`Admin ready: ${email}`);
+}
+
+main().catch(e => { console.error(e); process.exit(1); }).finally(() => prisma.$disconnect());
+```
+
+In `server/package.json`:
+
+```
+"prisma": { "seed": "node prisma/seed.js" }
+```
+
+Add to `.env.example`:
+
+```
+# Auth
+ADMIN_EMAIL=admin@marketmate.local
+ADMIN_PASSWORD=
+LOGIN_MAX_ATTEMPTS=5
+LOGIN_LOCKOUT_MINUTES=15
+BCRYPT_ROUNDS=12
+```
+
+---
+
+## 6) Client
+
+`client/src/utils/api.js` (additions):
+
+```js
+export async function login(identifier, password) {
+  return fetch(`${API}/auth/login`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ identifier, password }) }).then(r => r.json());
+}
+
+export async function forgotPassword(identifier) {
+  return fetch(`${API}/auth/password/forgot`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ identifier }) }).then(r => r.json());
+}
+
+// { token, password } from the email link, or { identifier, code, password } from the SMS code
+export async function resetPassword(body) {
+  return fetch(`${API}/auth/password/reset`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) }).then(r => r.json());
+}
+
+export async function changePassword(currentPassword, newPassword, token) {
+  return fetch(`${API}/auth/password/change`, { method: 'POST', headers: authHeaders(token), body: JSON.stringify({ currentPassword, newPassword }) }).then(r => r.json());
+}
+```
+
+`client/src/pages/ResetPassword.jsx` is the target of the emailed link (`/reset-password?token=…`):
+
+```jsx
+// client/src/pages/ResetPassword.jsx
+import React, { useState } from 'react';
+import { resetPassword } from '../utils/api';
+
+export default function ResetPassword() {
+  const token = new URLSearchParams(window.location.search).get('token');
+  const [password, setPassword] = useState('');
+  const [confirm, setConfirm] = useState('');
+  const [msg, setMsg] = useState(null);
+
+  async function submit(e) {
+    e.preventDefault();
+    if (password !== confirm) return setMsg('Passwords do not match');
+    const r = await resetPassword({ token, password });
+    setMsg(r.ok ? 'Password updated — you can now log in.' : r.error);
+  }
+
+  if (!token) return <div className="p-4">This reset link is incomplete. Request a new one from the login form.</div>;
+  return (
+    <form onSubmit={submit} className="bg-white p-4 rounded shadow max-w-md space-y-2">
+      <h2 className="font-semibold">Choose a new password</h2>
+      <input required type="password" autoComplete="new-password" value={password} onChange={e => setPassword(e.target.value)} placeholder="New password" className="w-full p-2 border rounded" />
+      <input required type="password" autoComplete="new-password" value={confirm} onChange={e => setConfirm(e.target.value)} placeholder="Confirm password" className="w-full p-2 border rounded" />
+      <button className="px-3 py-2 bg-blue-600 text-white rounded">Set password</button>
+      {msg && <div className="text-sm">{msg}</div>}
+    </form>
+  );
+}
+```
+
+The single-file demo's `AuthPanel` has the same four modes (login, register, forgot, reset with code). Its `Account` page mirrors `/password/change`.
+
+---
+
+## 7) Tests: `server/tests/passwords.test.js`
+
+```js
+// server/tests/passwords.test.js
+import { passwordProblem, isLocked, afterFailure, hashResetToken, MAX_LOGIN_ATTEMPTS, LOCKOUT_MINUTES } from '../src/services/passwords.js';
+
+describe('password rules', () => {
+  test('length and character mix', () => {
+    expect(passwordProblem('short1')).toMatch(/at least/);
+    expect(passwordProblem('longenoughbutnodigits')).toMatch(/letters and numbers/);
+    expect(passwordProblem('12345678901')).toMatch(/letters and numbers/);
+    expect(passwordProblem('a'.repeat(80) + '1')).toMatch(/at most/);
+    expect(passwordProblem('market2024')).toBeNull();
+  });
+});
+
+describe('lockout', () => {
+  const now = new Date('2025-01-01T10:00:00Z');
+
+  test(`locks on the ${MAX_LOGIN_ATTEMPTS}th consecutive failure`, () => {
+    let cred = { failedAttempts: 0, lockedUntil: null };
+    for (let i = 1; i < MAX_LOGIN_ATTEMPTS; i++) {
+      cred = { ...cred, ...afterFailure(cred, now) };
+      expect(isLocked(cred, now)).toBe(false);
+    }
+    cred = { ...cred, ...afterFailure(cred, now) };
+    expect(isLocked(cred, now)).toBe(true);
+    expect(cred.failedAttempts).toBe(0);
+  });
+
+  test('the lock expires', () => {
+    const lockedUntil = new Date(now.getTime() + LOCKOUT_MINUTES * 60000);
+    expect(isLocked({ lockedUntil }, now)).toBe(true);
+    expect(isLocked({ lockedUntil }, new Date(lockedUntil.getTime() + 1))).toBe(false);
+  });
+});
+
+describe('reset tokens', () => {
+  test('only a hash is stored and it is deterministic', () => {
+    const h = hashResetToken('abc');
+    expect(h).toHaveLength(64);
+    expect(h).not.toContain('abc');
+    expect(hashResetToken('abc')).toBe(h);
+  });
+});
+```
+
+---
+
+## 8) How it works (end-to-end)
+
+1. **Register**: The password is checked against the rules, hashed with bcrypt and stored in `Credential` in the same write that creates the user.
+2. **Login**: `{ identifier, password }` finds the user by email or phone and bcrypt-compares the password. Success clears the failure counter. Each failure increments it, and the 5th failure locks the account for 15 minutes (`423`). Unknown users go through a dummy compare, so timing and messages are the same.
+3. **Forgot**: An email identifier gets a 30-minute single-use link. Only its SHA-256 is stored, and requesting a new link voids the old one. A phone identifier gets a 15-minute SMS code through `services/otp.js`. The response is the same whether or not the account exists.
+4. **Reset**: A valid token or code sets the new password, clears the lockout and records `passwordChangedAt`.
+5. **Change**: A logged-in user confirms the current password (failures count toward the lockout) and sets a new one.
+6. **Admin**: The admin exists only with the password given to `prisma db seed`. In the demo, a random admin password is generated on first run and printed once to the browser console.
@@ -0,0 +1,539 @@
+# MarketMate — Sessions: Short-Lived Access Tokens, Rotating Refresh Tokens, Revocation
+
+`services/jwt.js` issued one 7-day bearer token per login. Nothing could revoke it: logging out, changing the password or banning a user left every issued token working for up to a week. The demo's `data.sessions` object was declared but never filled. This update introduces server-side sessions:
+
+- **Session per device** — every login/registration creates a `Session` row with user agent, IP, created and last-seen times
+- **Access token: 15 minutes** — a JWT carrying the session id (`sid`), sent as `Authorization: Bearer …` exactly as before
+- **Refresh token: 30 days, rotating** — an opaque token stored only as a hash. Each use returns a new one. Presenting an already-rotated token revokes the session, because it means the token was copied.
+- **Revocation enforced everywhere** — `authMiddleware` and the Socket.io handshake reject tokens whose session is revoked, and open sockets of a revoked session are disconnected immediately
+- **Endpoints** — list my sessions, log out one, log out all others, log out here, and admin **force logout** of a user
+- **Password reset/change** (previous update) now revoke sessions: a reset revokes all of them, a change keeps only the current one
+- **Demo** — sessions are recorded per login and restored on reload. **Account** lists them with **Log out** / **Log out all other sessions**, and **Admin → Users & sessions** has **Force logout**.
+
+---
+
+## 1) Prisma: `Session`
+
+Add to `prisma/schema.prisma` and run `npx prisma migrate dev --name add_sessions`.
+
+```prisma
+model Session {
+  id                String    @id @default(cuid())
+  user              User      @relation(fields: [userId], references: [id])
+  userId            String
+  refreshTokenHash  String    @unique
+  previousTokenHash String?   @unique // the token this one replaced; seeing it again means reuse
+  userAgent         String?
+  ip                String?
+  createdAt         DateTime  @default(now())
+  lastSeenAt        DateTime  @default(now())
+  expiresAt         DateTime  // refresh token expiry, pushed forward on every rotation
+  revokedAt         DateTime?
+  revokedReason     String?   // logout | logout_all | password_reset | password_change | admin | token_reuse
+
+  @@index([userId, revokedAt])
+}
+
+model User {
+  // ...existing fields
+  sessions Session[]
+}
+```
+
+---
+
+## 2) Tokens: `src/services/jwt.js` (full file)
+
+```js
+import jwt from 'jsonwebtoken';
+
+const JWT_SECRET = process.env.JWT_SECRET || 'dev-secret-change-me';
+export const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+
+export function sign(payload, opts = {}) { return jwt.sign(payload, JWT_SECRET, { expiresIn: opts.expiresIn || ACCESS_TOKEN_TTL }); }
+export function verify(token) { return jwt.verify(token, JWT_SECRET); }
+
+// Access tokens always name their session, so revoking the session revokes the token.
+export function signAccessToken(user, sessionId) {
+  return sign({ id: user.id, email: user.email, role: user.role, sid: sessionId });
+}
+```
+
+The default lifetime drops from `7d` to `15m`. `sign()` is still exported for the one-off tokens other modules create.
+
+---
+
+## 3) Session service: `src/services/sessions.js`
+
+Refresh tokens look like `<sessionId>.<64 hex chars>`. Only the SHA-256 of the whole string is stored, and rows are looked up by that hash. The id prefix makes tokens easy to attribute in logs without revealing the secret part.
+
+```js
+import crypto from 'crypto';
+import { PrismaClient } from '@prisma/client';
+import { signAccessToken } from './jwt.js';
+import { disconnectSessions } from '../index.js';
+
+const prisma = new PrismaClient();
+
+export const REFRESH_TOKEN_DAYS = Number(process.env.REFRESH_TOKEN_DAYS || 30);
+const LAST_SEEN_EVERY_MS = 60 * 1000;
+const CACHE_MS = 30 * 1000;
+
+// sid -> { active, checkedAt }. Revocations on this instance evict immediately; other
+// instances see them within CACHE_MS (use Redis pub/sub to evict across instances).
+const SESSION_CACHE = new Map();
+
+export function hashToken(token) { return crypto.createHash('sha256').update(String(token)).digest('hex'); }
+
+function newRefreshToken(sessionId) { return `${sessionId}.${crypto.randomBytes(32).toString('hex')}`; }
+
+function expiry(now = new Date()) { return new Date(now.getTime() + REFRESH_TOKEN_DAYS * 86400000); }
+
+export function sessionActive(session, now = new Date()) {
+  return !!session && !session.revokedAt && new Date(session.expiresAt) > now;
+}
+
+function clientInfo(req) {
+  return { userAgent: String(req.headers['user-agent'] || '').slice(0, 300) || null, ip: req.ip || null };
+}
+
+// Called on login/registration. Returns the pair the client keeps.
+export async function createSession(user, req) {
+  const id = crypto.randomBytes(12).toString('hex');
+  const refreshToken = newRefreshToken(id);
+  const session = await prisma.session.create({ data: {
+    id, userId: user.id, refreshTokenHash: hashToken(refreshToken), expiresAt: expiry(), ...clientInfo(req),
+  }});
+  return { session, accessToken: signAccessToken(user, session.id), refreshToken };
+}
+
+// Exchanges a refresh token for a new access token + refresh token.
+// A token that was already rotated away revokes the session: someone else has a copy.
+export async function rotateSession(refreshToken, req) {
+  const hash = hashToken(refreshToken);
+  const reused = await prisma.session.findUnique({ where: { previousTokenHash: hash } });
+  if (reused) {
+    await revokeSession(reused.id, 'token_reuse');
+    return { error: 'Session revoked' };
+  }
+  const session = await prisma.session.findUnique({ where: { refreshTokenHash: hash }, include: { user: true } });
+  if (!sessionActive(session)) return { error: 'Session expired' };
+
+  const next = newRefreshToken(session.id);
+  // compare-and-swap on the old hash so two concurrent refreshes can't both win
+  const swapped = await prisma.session.updateMany({
+    where: { id: session.id, refreshTokenHash: hash, revokedAt: null },
+    data: { refreshTokenHash: hashToken(next), previousTokenHash: hash, lastSeenAt: new Date(), expiresAt: expiry(), ...clientInfo(req) },
+  });
+  if (swapped.count !== 1) return { error: 'Session expired' };
+  return { accessToken: signAccessToken(session.user, session.id), refreshToken: next, user: session.user };
+}
+
+// Used by authMiddleware and the socket handshake on every request/connection.
+export async function checkSession(sid) {
+  if (!sid) return false;
+  const cached = SESSION_CACHE.get(sid);
+  if (cached && Date.now() - cached.checkedAt < CACHE_MS) return cached.active;
+
+  const session = await prisma.session.findUnique({ where: { id: sid } });
+  const active = sessionActive(session);
+  SESSION_CACHE.set(sid, { active, checkedAt: Date.now() });
+  if (active && Date.now() - new Date(session.lastSeenAt).getTime() > LAST_SEEN_EVERY_MS) {
+    prisma.session.update({ where: { id: sid }, data: { lastSeenAt: new Date() } }).catch(() => {});
+  }
+  return active;
+}
+
+export async function revokeSession(sessionId, reason) {
+  await prisma.session.updateMany({ where: { id: sessionId, revokedAt: null }, data: { revokedAt: new Date(), revokedReason: reason } });
+  SESSION_CACHE.set(sessionId, { active: false, checkedAt: Date.now() });
+  disconnectSessions([sessionId]);
+}
+
+// Revokes every active session of a user, optionally keeping the caller's own.
+export async function revokeUserSessions(userId, reason, { except = null } = {}) {
+  const sessions = await prisma.session.findMany({ where: { userId, revokedAt: null, ...(except ? { id: { not: except } } : {}) }, select: { id: true } });
+  if (sessions.length === 0) return 0;
+  const ids = sessions.map(s => s.id);
+  await prisma.session.updateMany({ where: { id: { in: ids } }, data: { revokedAt: new Date(), revokedReason: reason } });
+  for (const id of ids) SESSION_CACHE.set(id, { active: false, checkedAt: Date.now() });
+  disconnectSessions(ids);
+  return ids.length;
+}
+
+export async function listSessions(userId) {
+  return prisma.session.findMany({
+    where: { userId, revokedAt: null, expiresAt: { gt: new Date() } },
+    select: { id: true, userAgent: true, ip: true, createdAt: true, lastSeenAt: true },
+    orderBy: { lastSeenAt: 'desc' },
+  });
+}
+```
+
+---
+
+## 4) `src/middlewares/auth.js` (full file)
+
+Access tokens without `sid` were issued by the old 7-day scheme. They are rejected, so every client signs in again once after the deploy.
+
+```js
+import { verify } from '../services/jwt.js';
+import { checkSession } from '../services/sessions.js';
+
+export default async function authMiddleware(req, res, next) {
+  const hdr = req.headers.authorization;
+  if (!hdr) return res.status(401).json({ error: 'No auth' });
+  const parts = hdr.split(' ');
+  if (parts.length !== 2) return res.status(401).json({ error: 'Invalid auth header' });
+  const token = parts[1];
+  let data;
+  try { data = verify(token); } catch (e) { return res.status(401).json({ error: e.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token' }); }
+  try {
+    if (!(await checkSession(data.sid))) return res.status(401).json({ error: 'Session revoked' });
+  } catch (e) { return next(e); }
+  req.user = data;
+  return next();
+}
+```
+
+`Token expired` tells the client to refresh. `Session revoked` and `Invalid token` tell it to sign in again.
+
+---
+
+## 5) Auth routes: `src/routes/auth.js` (changes)
+
+`/register` and `/login` create a session instead of signing a bare token. `token` is kept as an alias of `accessToken` for older clients:
+
+```js
+import { createSession, rotateSession, revokeSession, revokeUserSessions } from '../services/sessions.js';
+
+    // in /register and /login, replacing `const token = sign(...)`
+    const { accessToken, refreshToken } = await createSession(user, req);
+    res.json({ ok: true, token: accessToken, accessToken, refreshToken, user: publicUser(user) });
+
+// POST /auth/refresh { refreshToken } — no access token needed (it has usually expired)
+router.post('/refresh', async (req, res) => {
+  try {
+    if (!req.body.refreshToken) return res.status(400).json({ error: 'refreshToken required' });
+    const r = await rotateSession(req.body.refreshToken, req);
+    if (r.error) return res.status(401).json({ error: r.error });
+    res.json({ ok: true, token: r.accessToken, accessToken: r.accessToken, refreshToken: r.refreshToken, user: publicUser(r.user) });
+  } catch (e) { console.error('refresh error', e); res.status(500).json({ error: e.message }); }
+});
+
+// POST /auth/logout — ends the current session
+router.post('/logout', authMiddleware, async (req, res) => {
+  try {
+    await revokeSession(req.user.sid, 'logout');
+    res.json({ ok: true });
+  } catch (e) { console.error('logout error', e); res.status(500).json({ error: e.message }); }
+});
+```
+
+In `/password/reset`, after `setPassword`:
+
+```js
+    await revokeUserSessions(userId, 'password_reset');
+```
+
+In `/password/change`, after `setPassword`:
+
+```js
+    await revokeUserSessions(user.id, 'password_change', { except: req.user.sid });
+```
+
+---
+
+## 6) Session routes: `src/routes/sessions.js`
+
+Mount with `app.use('/api/sessions', sessionsRouter)`.
+
+```js
+import express from 'express';
+import { PrismaClient } from '@prisma/client';
+import authMiddleware from '../middlewares/auth.js';
+import { listSessions, revokeSession, revokeUserSessions } from '../services/sessions.js';
+
+const prisma = new PrismaClient();
+const router = express.Router();
+
+router.use(authMiddleware);
+
+function adminOnly(req, res, next) {
+  if (req.user.role !== 'admin') return res.status(403).json({ error: 'Admin only' });
+  next();
+}
+
+// GET /api/sessions — my active sessions; `current` marks the one making the request
+router.get('/', async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user.id);
+    res.json({ ok: true, sessions: sessions.map(s => ({ ...s, current: s.id === req.user.sid })) });
+  } catch (e) { console.error('sessions error', e); res.status(500).json({ error: e.message }); }
+});
+
+// DELETE /api/sessions/:id — log out one of my sessions (including this one)
+router.delete('/:id', async (req, res) => {
+  try {
+    const session = await prisma.session.findUnique({ where: { id: req.params.id } });
+    if (!session || session.userId !== req.user.id) return res.status(404).json({ error: 'Session not found' });
+    await revokeSession(session.id, 'logout');
+    res.json({ ok: true });
+  } catch (e) { console.error('revoke session error', e); res.status(500).json({ error: e.message }); }
+});
+
+// POST /api/sessions/revoke-all { includeCurrent } — log out everywhere else (or everywhere)
+router.post('/revoke-all', async (req, res) => {
+  try {
+    const revoked = await revokeUserSessions(req.user.id, 'logout_all', { except: req.body.includeCurrent ? null : req.user.sid });
+    res.json({ ok: true, revoked });
+  } catch (e) { console.error('revoke all error', e); res.status(500).json({ error: e.message }); }
+});
+
+// GET /api/sessions/admin/users/:userId — a user's active sessions
+router.get('/admin/users/:userId', adminOnly, async (req, res) => {
+  try {
+    res.json({ ok: true, sessions: await listSessions(req.params.userId) });
+  } catch (e) { console.error('admin sessions error', e); res.status(500).json({ error: e.message }); }
+});
+
+// POST /api/sessions/admin/users/:userId/force-logout
+router.post('/admin/users/:userId/force-logout', adminOnly, async (req, res) => {
+  try {
+    const revoked = await revokeUserSessions(req.params.userId, 'admin');
+    console.log(`admin ${req.user.id} force-logged-out ${req.params.userId} (${revoked} sessions)`);
+    res.json({ ok: true, revoked });
+  } catch (e) { console.error('force logout error', e); res.status(500).json({ error: e.message }); }
+});
+
+export default router;
+```
+
+---
+
+## 7) Socket.io: session-checked handshake and live disconnects in `src/index.js`
+
+The handshake moves from the `connection` handler into `io.use`. A rejected socket then gets a `connect_error` with a reason that the client can act on, and it never counts as connected. Every socket remembers its `sid`, so revoking a session closes that device's sockets at once.
+
+```js
+import sessionsRouter from './routes/sessions.js';
+import { checkSession } from './services/sessions.js';
+
+app.use('/api/sessions', sessionsRouter);
+
+io.use(async (socket, next) => {
+  const token = socket.handshake.auth && socket.handshake.auth.token;
+  if (!token) return next(new Error('No auth'));
+  let user;
+  try { user = verifyJwt(token); } catch (e) { return next(new Error(e.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token')); }
+  try {
+    if (!(await checkSession(user.sid))) return next(new Error('Session revoked'));
+  } catch (e) { return next(new Error('Session check failed')); }
+  socket.data.user = user;
+  next();
+});
+
+// Admin room: all sockets with admin flag will join 'admins'
+io.on('connection', (socket) => {
+  const user = socket.data.user;
+  addUserSocket(user.id, socket.id);
+
+  if (user.role === 'admin') socket.join('admins');
+
+  console.log(`socket connected: ${socket.id} user=${user.id} role=${user.role} sid=${user.sid}`);
+
+  socket.on('disconnect', () => {
+    removeUserSocket(user.id, socket.id);
+    console.log(`socket disconnected: ${socket.id} user=${user.id}`);
+  });
+});
+
+// Closes the sockets of revoked sessions; the client sees `session:revoked` and signs out.
+export function disconnectSessions(sessionIds) {
+  const ids = new Set(sessionIds);
+  for (const socket of io.sockets.sockets.values()) {
+    if (!ids.has(socket.data.user?.sid)) continue;
+    socket.emit('session:revoked');
+    socket.disconnect(true);
+  }
+}
+```
+
+Add to `.env.example`:
+
+```
+# Sessions
+ACCESS_TOKEN_TTL=15m
+REFRESH_TOKEN_DAYS=30
+```
+
+---
+
+## 8) Client: token storage, refresh and socket
+
+`client/src/utils/session.js` keeps the pair in `localStorage` and hands out an access token that is always fresh. Concurrent callers share one refresh request.
+
+```js
+// client/src/utils/session.js
+const API = import.meta.env.VITE_API_URL;
+const KEY = 'marketmate_tokens';
+
+let refreshing = null;
+
+export function saveTokens({ accessToken, refreshToken }) { localStorage.setItem(KEY, JSON.stringify({ accessToken, refreshToken })); }
+export function clearTokens() { localStorage.removeItem(KEY); }
+function readTokens() { try { return JSON.parse(localStorage.getItem(KEY)) || {}; } catch (e) { return {}; } }
+
+function expiresSoon(jwt) {
+  try { return JSON.parse(atob(jwt.split('.')[1])).exp * 1000 - Date.now() < 60 * 1000; } catch (e) { return true; }
+}
+
+// Resolves to a usable access token, or null when the user must sign in again.
+export async function getAccessToken() {
+  const { accessToken, refreshToken } = readTokens();
+  if (accessToken && !expiresSoon(accessToken)) return accessToken;
+  if (!refreshToken) return null;
+  refreshing = refreshing || fetch(`${API}/auth/refresh`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ refreshToken }) })
+    .then(r => r.json())
+    .then(r => { if (r.ok) { saveTokens(r); return r.accessToken; } clearTokens(); return null; })
+    .finally(() => { refreshing = null; });
+  return refreshing;
+}
+
+export async function logout() {
+  const token = await getAccessToken();
+  if (token) await fetch(`${API}/auth/logout`, { method: 'POST', headers: { Authorization: `Bearer ${token}` } }).catch(() => {});
+  clearTokens();
+}
+```
+
+Existing `api.js` helpers keep their `token` parameter. Pages pass `await getAccessToken()` instead of a stored token. New helpers:
+
+```js
+export async function fetchSessions(token) {
+  return fetch(`${API}/sessions`, { headers: authHeaders(token) }).then(r => r.json());
+}
+
+export async function revokeSession(sessionId, token) {
+  return fetch(`${API}/sessions/${sessionId}`, { method: 'DELETE', headers: authHeaders(token) }).then(r => r.json());
+}
+
+export async function revokeOtherSessions(token) {
+  return fetch(`${API}/sessions/revoke-all`, { method: 'POST', headers: authHeaders(token), body: JSON.stringify({}) }).then(r => r.json());
+}
+
+export async function forceLogout(userId, token) {
+  return fetch(`${API}/sessions/admin/users/${userId}/force-logout`, { method: 'POST', headers: authHeaders(token) }).then(r => r.json());
+}
+```
+
+`client/src/utils/socket.js` takes the token from a callback, so each reconnect uses a fresh one:
+
+```js
+// client/src/utils/socket.js
+import { io } from 'socket.io-client';
+import { getAccessToken, clearTokens } from './session';
+
+let socket = null;
+export function connectSocket() {
+  if (socket) return socket;
+  socket = io(import.meta.env.VITE_API_URL.replace('/api',''), {
+    auth: (cb) => getAccessToken().then(token => cb({ token })),
+    transports: ['websocket']
+  });
+  socket.on('connect_error', (err) => {
+    if (err.message === 'Token expired') setTimeout(() => socket && socket.connect(), 1000);
+    if (err.message === 'Session revoked') { clearTokens(); disconnectSocket(); window.location.assign('/login'); }
+  });
+  socket.on('session:revoked', () => { clearTokens(); disconnectSocket(); window.location.assign('/login'); });
+  return socket;
+}
+export function getSocket() { return socket; }
+export function disconnectSocket() { if (socket) socket.disconnect(); socket = null; }
+```
+
+Existing `connectSocket(token)` callers keep working, because the argument is now ignored.
+
+---
+
+## 9) Tests: `server/tests/sessions.test.js`
+
+```js
+// server/tests/sessions.test.js
+import { hashToken, sessionActive } from '../src/services/sessions.js';
+import { signAccessToken, verify } from '../src/services/jwt.js';
+
+describe('sessions', () => {
+  const now = new Date('2025-01-01T00:00:00Z');
+  const later = new Date('2025-02-01T00:00:00Z');
+
+  test('active until revoked or expired', () => {
+    expect(sessionActive({ revokedAt: null, expiresAt: later }, now)).toBe(true);
+    expect(sessionActive({ revokedAt: now, expiresAt: later }, now)).toBe(false);
+    expect(sessionActive({ revokedAt: null, expiresAt: now }, later)).toBe(false);
+    expect(sessionActive(null, now)).toBe(false);
+  });
+
+  test('refresh tokens are stored hashed', () => {
+    const token = 'abc123.deadbeef';
+    expect(hashToken(token)).toHaveLength(64);
+    expect(hashToken(token)).not.toContain('deadbeef');
+  });
+
+  test('access tokens carry the session id and expire quickly', () => {
+    const payload = verify(signAccessToken({ id: 'u1', email: 'a@b.c', role: 'buyer' }, 'sess1'));
+    expect(payload.sid).toBe('sess1');
+    expect(payload.exp - payload.iat).toBeLessThanOrEqual(15 * 60);
+  });
+});
+```
+
+The rotation, reuse-detection and middleware paths need a database. They are covered by `server/tests/sessions.int.test.js`, which runs against the test database in `DATABASE_URL`:
+
+```js
+// server/tests/sessions.int.test.js
+import { PrismaClient } from '@prisma/client';
+import { createSession, rotateSession, checkSession, revokeUserSessions } from '../src/services/sessions.js';
+
+const prisma = new PrismaClient();
+const req = { headers: { 'user-agent': 'jest' }, ip: '127.0.0.1' };
+let user;
+
+beforeAll(async () => {
+  user = await prisma.user.create({ data: { name: 'Session Test', email: `sess_${Date.now()}@test.local`, role: 'buyer' } });
+});
+afterAll(async () => {
+  await prisma.session.deleteMany({ where: { userId: user.id } });
+  await prisma.user.delete({ where: { id: user.id } });
+  await prisma.$disconnect();
+});
+
+test('rotation issues a new refresh token and old ones are rejected', async () => {
+  const { session, refreshToken } = await createSession(user, req);
+  const r1 = await rotateSession(refreshToken, req);
+  expect(r1.refreshToken).not.toBe(refreshToken);
+  expect(await checkSession(session.id)).toBe(true);
+
+  // replaying the rotated-away token revokes the whole session
+  expect((await rotateSession(refreshToken, req)).error).toBe('Session revoked');
+  expect((await rotateSession(r1.refreshToken, req)).error).toBe('Session expired');
+});
+
+test('revoking all sessions but one', async () => {
+  const a = await createSession(user, req);
+  const b = await createSession(user, req);
+  await revokeUserSessions(user.id, 'logout_all', { except: a.session.id });
+  expect(await checkSession(a.session.id)).toBe(true);
+  expect(await checkSession(b.session.id)).toBe(false);
+});
+```
+
+---
+
+## 10) How it works (end-to-end)
+
+1. **Sign in**: The server creates a `Session` for the device and returns a 15-minute access token (with `sid`) and a 30-day refresh token. The client stores both.
+2. **Requests**: `authMiddleware` verifies the JWT, then checks that session `sid` is still active (cached for 30 s, instantly evicted on this instance when revoked), and refreshes `lastSeenAt` at most once a minute.
+3. **Refresh**: Shortly before the access token expires, `getAccessToken()` calls `/auth/refresh`. The refresh token is swapped for a new one, and the old hash is kept as `previousTokenHash`. If that old token is ever presented again, the session is revoked (`token_reuse`).
+4. **Sockets**: The handshake runs the same checks. Revoking a session emits `session:revoked` to that device's sockets and disconnects them.
+5. **Sign out**: The user can end this session (`/auth/logout`), any other one (`DELETE /api/sessions/:id`) or all others (`/revoke-all`). A password reset revokes everything, a password change keeps only the current session, and an admin can force-logout a user.
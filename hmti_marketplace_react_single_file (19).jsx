@@ -0,0 +1,707 @@
+# MarketMate — Role-Based Access Control on Every Route
+
+`authMiddleware` answered one question: is this a valid, unrevoked session? It never looked at the role. Each router then did its own checking, or skipped it:
+
+- `GET /api/payments/admin/all` and `GET /api/payments/seller/:sellerId` (`paymentsAdminSeller.js`) had **no auth at all**. Anyone could list every payment.
+- `POST /api/payments/:provider/initialize` took `buyerId` from the request body
+- `POST /api/sms/test` could send SMS for anyone
+- `payouts.js`, `paymentsAdminSeller.js` and `sessions.js` each carried a private copy of `adminOnly`. `webhookAdmin.js` inlined it.
+- order routes compared `req.user.role === 'admin'` by hand in five places
+
+This update puts one declarative policy in front of all of them:
+
+- **Roles** — `buyer`, `seller`, `support` (customer support / moderator) and `admin`
+- **Permissions** — named `resource:action`, each granting a role either `all` records or only its `own`
+- **Ownership** — one function per resource type says who owns a record (a payment belongs to its buyer and its seller, an order also to its rider)
+- **`authorize(permission, { load })`** — route middleware: authenticates, loads the record, checks the permission and ownership, and answers 401/403/404 the same way everywhere
+- **Every route is tagged** — with a permission, `signedIn` or `publicRoute(reason)`. A test walks the Express router and fails on any route that is untagged or tagged differently from the expected matrix.
+- **Sockets** — the `admins` room is joined by permission, so support staff get the live feeds too
+- **Demo** — the same policy table drives the demo. Sellers edit and delete only their own listings, support can moderate listings and review verifications, and only an admin can change roles (**Admin → Users**).
+
+---
+
+## 1) Roles and the permission matrix
+
+| Permission | buyer | seller | support | admin |
+|---|---|---|---|---|
+| `listing:create` | | all | | all |
+| `listing:update`, `listing:delete` | | own | all | all |
+| `order:read` | own | own | all | all |
+| `order:update` | own | own | | all |
+| `payment:read` | own | own | all | all |
+| `payment:list` | | | all | all |
+| `payment:refund` | | | | all |
+| `payout:request` | | own | | |
+| `payout:list` | | | all | all |
+| `payout:settle` | | | | all |
+| `seller:settings` | | own | | |
+| `verification:review` | | | all | all |
+| `user:list` | | | all | all |
+| `user:assign_role` | | | | all |
+| `session:revoke` | own | own | all | all |
+| `webhook:read` | | | all | all |
+| `webhook:replay`, `sms:test` | | | | all |
+| `realtime:admin_feed` | | | all | all |
+
+Sellers buy too, so anything a buyer may do on their own orders, a seller may also do. Routes that any signed-in user may call about themselves (cart, checkout, "my orders") are tagged `signedIn` rather than given a permission.
+
+`User.role` keeps its type (`String`). The role list is checked in code, so no migration is needed. Give the first support account its role with `PATCH /api/admin/users/:id/role`.
+
+---
+
+## 2) Policy: `src/services/permissions.js`
+
+Pure functions with no Prisma, so the client can share the table and the tests need no database.
+
+```js
+// server/src/services/permissions.js
+export const ROLES = ['buyer', 'seller', 'support', 'admin'];
+
+// permission -> { role: scope }; 'all' = any record, 'own' = records the user owns
+export const POLICY = {
+  'listing:create': { seller: 'all', admin: 'all' },
+  'listing:update': { seller: 'own', support: 'all', admin: 'all' },
+  'listing:delete': { seller: 'own', support: 'all', admin: 'all' },
+  'order:read': { buyer: 'own', seller: 'own', support: 'all', admin: 'all' },
+  'order:update': { buyer: 'own', seller: 'own', admin: 'all' },
+  'payment:read': { buyer: 'own', seller: 'own', support: 'all', admin: 'all' },
+  'payment:list': { support: 'all', admin: 'all' },
+  'payment:refund': { admin: 'all' },
+  'payout:request': { seller: 'own' },
+  'payout:list': { support: 'all', admin: 'all' },
+  'payout:settle': { admin: 'all' },
+  'seller:settings': { seller: 'own' },
+  'verification:review': { support: 'all', admin: 'all' },
+  'user:list': { support: 'all', admin: 'all' },
+  'user:assign_role': { admin: 'all' },
+  'session:revoke': { buyer: 'own', seller: 'own', support: 'all', admin: 'all' },
+  'webhook:read': { support: 'all', admin: 'all' },
+  'webhook:replay': { admin: 'all' },
+  'sms:test': { admin: 'all' },
+  'realtime:admin_feed': { support: 'all', admin: 'all' },
+};
+
+// resource type (the part before ':') -> the user ids that own a record
+const OWNERS = {
+  listing: l => [l.sellerId],
+  order: o => [o.buyerId, o.sellerId, o.riderId],
+  payment: p => [p.buyerId, p.sellerId],
+  payout: p => [p.sellerId],
+  seller: s => [s.sellerId],
+  session: s => [s.userId],
+};
+
+export function scopeOf(user, permission) {
+  const grants = POLICY[permission];
+  if (!grants) throw new Error(`Unknown permission: ${permission}`);
+  return (user && grants[user.role]) || null;
+}
+
+export function ownsResource(user, permission, resource) {
+  const owners = OWNERS[permission.split(':')[0]];
+  return !!owners && owners(resource).filter(Boolean).includes(user.id);
+}
+
+// can(user, 'order:read', order) — without a resource it only asks whether the role holds the permission at all
+export function can(user, permission, resource) {
+  const scope = scopeOf(user, permission);
+  if (!scope) return false;
+  if (scope === 'all' || !resource) return true;
+  return ownsResource(user, permission, resource);
+}
+```
+
+An unknown permission name throws instead of denying. A typo in a route then fails at the first request (and in the route test), instead of quietly locking everyone out.
+
+---
+
+## 3) Route middleware: `src/middlewares/permissions.js`
+
+```js
+// server/src/middlewares/permissions.js
+import authMiddleware from './auth.js';
+import { scopeOf, can } from '../services/permissions.js';
+
+// Tags a middleware so tests/permissions.test.js can check every route is covered.
+function tag(fn, permission) {
+  fn.permission = permission;
+  return fn;
+}
+
+// authorize('payment:refund') or authorize('order:read', { load: req => prisma.order.findUnique(...) })
+// `load` returns the record the route acts on. It is checked for ownership and left on req.resource.
+export function authorize(permission, { load } = {}) {
+  scopeOf(null, permission); // throws at startup on a misspelt permission
+  const check = tag(async (req, res, next) => {
+    if (!scopeOf(req.user, permission)) return res.status(403).json({ error: 'Forbidden' });
+    try {
+      if (load) {
+        const resource = await load(req);
+        if (!resource) return res.status(404).json({ error: 'Not found' });
+        // other people's records are reported as missing, not forbidden, so ids cannot be probed
+        if (!can(req.user, permission, resource)) return res.status(404).json({ error: 'Not found' });
+        req.resource = resource;
+      }
+    } catch (e) { return next(e); }
+    req.scope = scopeOf(req.user, permission);
+    next();
+  }, permission);
+  return [authMiddleware, check];
+}
+
+// Any signed-in user, acting on their own data (cart, checkout, "my" lists).
+export const signedIn = [authMiddleware, tag((req, res, next) => next(), 'authenticated')];
+
+// No auth on purpose; the reason shows up in the route test output.
+export function publicRoute(reason) {
+  return tag((req, res, next) => next(), `public: ${reason}`);
+}
+```
+
+`req.scope` tells a list route whether to filter to the caller's records (`own`) or not (`all`). Routes that act on one record read it from `req.resource` instead of loading it again.
+
+`src/middlewares/auth.js` is unchanged. It still authenticates only, and it is no longer used directly by routers.
+
+---
+
+## 4) Payments: `src/routes/paymentsAdminSeller.js` (full file)
+
+```js
+// server/src/routes/paymentsAdminSeller.js
+import express from 'express';
+import { PrismaClient } from '@prisma/client';
+import { authorize } from '../middlewares/permissions.js';
+import { refundPayment } from '../services/refunds.js';
+import { notifyPaymentUpdated } from '../index.js';
+
+const prisma = new PrismaClient();
+const router = express.Router();
+
+// GET /api/payments/seller/:sellerId — the seller themself, support or admin
+router.get('/seller/:sellerId', ...authorize('payment:read', { load: req => ({ sellerId: req.params.sellerId }) }), async (req, res) => {
+  try {
+    const { sellerId } = req.params;
+    const payments = await prisma.payment.findMany({ where: { sellerId }, orderBy: { createdAt: 'desc' } });
+    res.json({ ok: true, payments });
+  } catch (e) {
+    console.error('seller payments error', e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// GET /api/payments/admin/all
+router.get('/admin/all', ...authorize('payment:list'), async (req, res) => {
+  try {
+    const { status, provider } = req.query;
+    const where = {};
+    if (status) where.status = status;
+    if (provider) where.provider = provider;
+    const payments = await prisma.payment.findMany({ where, orderBy: { createdAt: 'desc' } });
+    // summary counts
+    const total = payments.length;
+    const counts = payments.reduce((acc, p) => { acc[p.status] = (acc[p.status] || 0) + 1; return acc; }, {});
+    res.json({ ok: true, payments, total, counts });
+  } catch (e) {
+    console.error('admin payments error', e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// POST /api/payments/admin/:paymentId/refund { amount (NGN, optional), reason }
+router.post('/admin/:paymentId/refund', ...authorize('payment:refund'), async (req, res) => {
+  // ...body unchanged
+});
+
+// GET /api/payments/admin/refunds
+router.get('/admin/refunds', ...authorize('payment:list'), async (req, res) => {
+  // ...body unchanged
+});
+
+export default router;
+```
+
+The `load` for `/seller/:sellerId` returns a stand-in record `{ sellerId }`. That is enough for the `payment` owner check, so a seller asking for someone else's id gets 404.
+
+`src/routes/payments.js` (changes). Initializing a payment now needs a session, and the buyer is the caller:
+
+```js
+import { signedIn, publicRoute } from '../middlewares/permissions.js';
+
+// POST /api/payments/:provider/initialize { amount (NGN), email, callbackUrl, listingId }
+router.post('/:provider/initialize', ...signedIn, async (req, res) => {
+  try {
+    const { amount, email, callbackUrl, listingId } = req.body;
+    // ...
+    const payment = await prisma.payment.create({ data: {
+      // ...
+      buyerId: req.user.id,
+    }});
+    // ...
+  } catch (e) { console.error(e); res.status(500).json({ error: e.message }); }
+});
+```
+
+`GET /verify` gets `signedIn` (the callback page calls it with the buyer's token), and `POST /:provider/webhook` gets `publicRoute('provider signature')`.
+
+`verify` asks the provider for the truth and stores it, so any signed-in caller may trigger it. It does not reveal more than the reference already does.
+
+---
+
+## 5) Listings: `src/routes/listings.js` (full file)
+
+```js
+// server/src/routes/listings.js
+import express from 'express';
+import { PrismaClient } from '@prisma/client';
+import { authorize, publicRoute } from '../middlewares/permissions.js';
+
+const prisma = new PrismaClient();
+const router = express.Router();
+
+const EDITABLE = ['title', 'description', 'price', 'category', 'state', 'lga', 'images', 'delivery', 'qty', 'active'];
+const loadListing = req => prisma.listing.findUnique({ where: { id: req.params.id } });
+
+function pick(body) {
+  const data = {};
+  for (const k of EDITABLE) if (body[k] !== undefined) data[k] = body[k];
+  if (data.price !== undefined) data.price = Math.round(Number(data.price));
+  if (data.qty !== undefined) data.qty = Math.max(0, Math.floor(Number(data.qty)));
+  return data;
+}
+
+// GET /api/listings?q=&state=&category=
+router.get('/', publicRoute('browse'), async (req, res) => {
+  try {
+    const { q, state, category } = req.query;
+    const where = { active: true };
+    if (state) where.state = state;
+    if (category) where.category = category;
+    if (q) where.OR = [{ title: { contains: q, mode: 'insensitive' } }, { description: { contains: q, mode: 'insensitive' } }];
+    const listings = await prisma.listing.findMany({ where, orderBy: { createdAt: 'desc' }, take: 100 });
+    res.json({ ok: true, listings });
+  } catch (e) { console.error('listings error', e); res.status(500).json({ error: e.message }); }
+});
+
+// GET /api/listings/:id
+router.get('/:id', publicRoute('listing page'), async (req, res) => {
+  try {
+    const listing = await prisma.listing.findUnique({ where: { id: req.params.id } });
+    if (!listing) return res.status(404).json({ error: 'Listing not found' });
+    res.json({ ok: true, listing });
+  } catch (e) { console.error('listing error', e); res.status(500).json({ error: e.message }); }
+});
+
+// POST /api/listings — always owned by the caller; a sellerId in the body is ignored
+router.post('/', ...authorize('listing:create'), async (req, res) => {
+  try {
+    const data = pick(req.body);
+    if (!data.title || !(data.price >= 0) || !data.category || !data.state) return res.status(400).json({ error: 'title, price, category and state required' });
+    const listing = await prisma.listing.create({ data: { ...data, sellerId: req.user.id } });
+    res.json({ ok: true, listing });
+  } catch (e) { console.error('create listing error', e); res.status(500).json({ error: e.message }); }
+});
+
+// PATCH /api/listings/:id — the owner, support or admin; ownership cannot be changed
+router.patch('/:id', ...authorize('listing:update', { load: loadListing }), async (req, res) => {
+  try {
+    const listing = await prisma.listing.update({ where: { id: req.resource.id }, data: pick(req.body) });
+    res.json({ ok: true, listing });
+  } catch (e) { console.error('update listing error', e); res.status(500).json({ error: e.message }); }
+});
+
+// DELETE /api/listings/:id — soft delete, orders keep pointing at it
+router.delete('/:id', ...authorize('listing:delete', { load: loadListing }), async (req, res) => {
+  try {
+    await prisma.listing.update({ where: { id: req.resource.id }, data: { active: false } });
+    if (req.resource.sellerId !== req.user.id) console.log(`${req.user.role} ${req.user.id} removed listing ${req.resource.id}`);
+    res.json({ ok: true });
+  } catch (e) { console.error('delete listing error', e); res.status(500).json({ error: e.message }); }
+});
+
+export default router;
+```
+
+---
+
+## 6) Admin: `src/routes/admin.js` (full file)
+
+```js
+// server/src/routes/admin.js
+import express from 'express';
+import { PrismaClient } from '@prisma/client';
+import { authorize } from '../middlewares/permissions.js';
+import { ROLES } from '../services/permissions.js';
+import { revokeUserSessions } from '../services/sessions.js';
+
+const prisma = new PrismaClient();
+const router = express.Router();
+
+const USER_FIELDS = { id: true, name: true, email: true, phone: true, role: true, verified: true, createdAt: true };
+
+// GET /api/admin/verifications?status=pending
+router.get('/verifications', ...authorize('verification:review'), async (req, res) => {
+  try {
+    const verifications = await prisma.verification.findMany({
+      where: { status: req.query.status || 'pending' },
+      include: { user: { select: USER_FIELDS } },
+      orderBy: { submittedAt: 'asc' },
+    });
+    res.json({ ok: true, verifications });
+  } catch (e) { console.error('verifications error', e); res.status(500).json({ error: e.message }); }
+});
+
+// POST /api/admin/verifications/:userId/(approve|reject)
+router.post('/verifications/:userId/:decision(approve|reject)', ...authorize('verification:review'), async (req, res) => {
+  try {
+    const approve = req.params.decision === 'approve';
+    const verification = await prisma.verification.update({
+      where: { userId: req.params.userId },
+      data: { status: approve ? 'approved' : 'rejected', reviewedAt: new Date() },
+    });
+    await prisma.user.update({ where: { id: req.params.userId }, data: { verified: approve } });
+    res.json({ ok: true, verification });
+  } catch (e) { console.error('review verification error', e); res.status(500).json({ error: e.message }); }
+});
+
+// GET /api/admin/users?role=&q=
+router.get('/users', ...authorize('user:list'), async (req, res) => {
+  try {
+    const { role, q } = req.query;
+    const where = {};
+    if (role) where.role = role;
+    if (q) where.OR = [{ name: { contains: q, mode: 'insensitive' } }, { email: { contains: q, mode: 'insensitive' } }];
+    const users = await prisma.user.findMany({ where, select: USER_FIELDS, orderBy: { createdAt: 'desc' }, take: 200 });
+    res.json({ ok: true, users });
+  } catch (e) { console.error('users error', e); res.status(500).json({ error: e.message }); }
+});
+
+// PATCH /api/admin/users/:id/role { role }
+router.patch('/users/:id/role', ...authorize('user:assign_role'), async (req, res) => {
+  try {
+    const { role } = req.body;
+    if (!ROLES.includes(role)) return res.status(400).json({ error: `role must be one of ${ROLES.join(', ')}` });
+    if (req.params.id === req.user.id) return res.status(400).json({ error: 'You cannot change your own role' });
+    const user = await prisma.user.update({ where: { id: req.params.id }, data: { role }, select: USER_FIELDS });
+    // access tokens carry the role, so the old one must not outlive the change
+    await revokeUserSessions(user.id, 'role_change');
+    console.log(`admin ${req.user.id} set role of ${user.id} to ${role}`);
+    res.json({ ok: true, user });
+  } catch (e) { console.error('assign role error', e); res.status(500).json({ error: e.message }); }
+});
+
+export default router;
+```
+
+The role is read from the access token, not the database. Changing it therefore revokes the user's sessions, and they sign in again with the new role.
+
+---
+
+## 7) The other routers (changes)
+
+Each private `adminOnly` and each inline `req.user.role === 'admin'` check is removed. Routers that did `router.use(authMiddleware)` now put a guard on each route instead, so the coverage test can see what guards it. Handlers stay as they were unless shown. For example:
+
+```js
+import { authorize, signedIn, publicRoute } from '../middlewares/permissions.js';
+
+router.post('/test', ...authorize('sms:test'), async (req, res) => {
+  // ...unchanged
+});
+```
+
+| File | Route | Guard |
+|---|---|---|
+| `sms.js` | `POST /test` | `authorize('sms:test')` |
+| `webhookAdmin.js` | `GET /` | `authorize('webhook:read')` |
+| | `POST /:id/replay` | `authorize('webhook:replay')` |
+| `payouts.js` | `GET /balance`, `GET /ledger`, `GET /`, `POST /` | `authorize('payout:request')` |
+| | `GET /admin/all` | `authorize('payout:list')` |
+| | `POST /admin/:id/:outcome(paid\|failed)` | `authorize('payout:settle')` |
+| `cart.js` | every route | `signedIn` |
+| `codSettings.js` | `GET /`, `PUT /` | `authorize('seller:settings')` |
+| `shipping.js` | `POST /:carrier/webhook` | `publicRoute('carrier signature')` |
+| | `GET /carriers`, `POST /quote` | `signedIn` |
+| | `GET /zones`, `PUT /zones` | `authorize('seller:settings')` |
+| `sandboxCheckout.js` | `GET`/`POST /checkout/:reference` | `publicRoute('sandbox checkout page')` |
+| `auth.js` | `POST /register`, `/login`, `/refresh`, `/password/forgot`, `/password/reset`, `/otp/verify` | `publicRoute(...)` |
+| | `POST /logout`, `POST /password/change` | `signedIn` |
+| `sessions.js` | `GET /`, `POST /revoke-all` | `signedIn` |
+| | `DELETE /:id` | `authorize('session:revoke', { load: loadSession })` |
+| | `GET /admin/users/:userId` | `authorize('user:list')` |
+| | `POST /admin/users/:userId/force-logout` | `authorize('session:revoke', { load: req => ({ userId: req.params.userId }) })` |
+| `index.js` | `GET /api/payments/providers` | `publicRoute('checkout options')` |
+
+`payout:request` only keeps buyers and staff away from the seller payout routes. Those routes still filter by `req.user.id`. Buyers could previously save COD settings that nothing read; `seller:settings` now stops that. `sellers.js` and `reviews.js` get the same treatment: `publicRoute` on their reads, and `signedIn` or a permission on their writes. The sandbox router is only mounted when the sandbox is enabled.
+
+Revoking a single session now also works for support/admin, through the loaded record:
+
+```js
+const loadSession = req => prisma.session.findUnique({ where: { id: req.params.id } });
+
+// DELETE /api/sessions/:id — the owner, or support/admin for anyone's
+router.delete('/:id', ...authorize('session:revoke', { load: loadSession }), async (req, res) => {
+  try {
+    await revokeSession(req.resource.id, req.resource.userId === req.user.id ? 'logout' : 'admin');
+    res.json({ ok: true });
+  } catch (e) { console.error('revoke session error', e); res.status(500).json({ error: e.message }); }
+});
+```
+
+### Orders: `src/routes/orders.js`
+
+`order:update` answers "may this user act on this order at all". Which side may do which action (the seller ships, the buyer completes) stays in `ACTIONS` and in each handler. `req.scope === 'all'` replaces the `role === 'admin'` bypass, and handlers use `req.resource` instead of loading the order again.
+
+| Route | Guard |
+|---|---|
+| `POST /checkout`, `GET /`, `GET /sales` | `signedIn` |
+| `GET /:id`, `GET /:id/tracking` | `authorize('order:read', { load: loadOrder })` |
+| `POST /:id/cod/confirm`, `/:id/cod/resend`, `/:id/rider`, `/:id/shipment`, `/:id/shipment/events`, `/:id/:action` | `authorize('order:update', { load: loadOrder })` |
+
+`/:id/shipment/events` loads the order with `include: { shipment: true }`. The remaining per-party checks become:
+
+```js
+const loadOrder = req => prisma.order.findUnique({ where: { id: req.params.id } });
+
+// POST /api/orders/:id/cod/confirm { code } — seller, assigned rider or admin
+router.post('/:id/cod/confirm', ...authorize('order:update', { load: loadOrder }), async (req, res) => {
+  try {
+    const order = req.resource;
+    if (req.scope !== 'all' && ![order.sellerId, order.riderId].includes(req.user.id)) return res.status(403).json({ error: 'Forbidden' });
+    // ...rest unchanged
+  } catch (e) { console.error('cod confirm error', e); res.status(500).json({ error: e.message }); }
+});
+
+// POST /api/orders/:id/(ship|deliver|complete|cancel) { note }
+router.post('/:id/:action', ...authorize('order:update', { load: loadOrder }), async (req, res) => {
+  try {
+    const action = ACTIONS[req.params.action];
+    if (!action) return res.status(404).json({ error: 'Unknown action' });
+    const order = req.resource;
+
+    const isBuyer = order.buyerId === req.user.id;
+    const isSeller = order.sellerId === req.user.id;
+    const allowed = req.scope === 'all'
+      || (action.party === 'seller' && isSeller)
+      || (action.party === 'buyer' && isBuyer)
+      // buyers may only cancel before paying; after that the seller (or admin) cancels
+      || (action.party === 'either' && (isSeller || (isBuyer && order.status === 'pending_payment')));
+    if (!allowed) return res.status(403).json({ error: 'Forbidden' });
+    // ...rest unchanged
+  } catch (e) { console.error('order action error', e); res.status(500).json({ error: e.message }); }
+});
+```
+
+`cod/resend` keeps its buyer-only check (`req.resource.buyerId !== req.user.id` → 403). `rider` and `shipment` keep their seller-only check.
+
+Someone who is not a party to the order gets 404 from `authorize`, as before. A party asking for the other side's action gets 403.
+
+---
+
+## 8) Sockets and app export: `src/index.js` (changes)
+
+```js
+import { can } from './services/permissions.js';
+
+io.on('connection', (socket) => {
+  const user = socket.data.user;
+  addUserSocket(user.id, socket.id);
+
+  // live payment/order feeds for staff
+  if (can(user, 'realtime:admin_feed')) socket.join('admins');
+  // ...
+});
+```
+
+The socket handlers only ever push to the connected user's own sockets (`emitToUser`) or to the `admins` room. Joining that room was the only decision that needed a role check.
+
+The tests load the app without a network port or timers:
+
+```js
+export const app = express(); // was `const app`
+
+if (process.env.NODE_ENV !== 'test') {
+  server.listen(PORT, () => console.log(`Server running on ${PORT}`));
+  // escrow auto-release setInterval(...) moves in here too
+}
+```
+
+Jest sets `NODE_ENV=test` on its own.
+
+---
+
+## 9) Client
+
+`AdminPayments.jsx`, `AdminRefunds` and the webhook page are shown to `support` as well as `admin`. Refund and replay buttons are shown only to `admin`. The 403 from the server remains the real check. The API helper shows `Forbidden` as "You don't have permission to do that" instead of a generic error.
+
+`SellerPayments.jsx` needs no change: it already asked for `/api/payments/seller/${user.id}`, and now only that id works.
+
+---
+
+## 10) Tests: `server/tests/permissions.test.js`
+
+Three layers:
+- the policy table, checked on its own
+- every mounted route checked against the expected matrix, so a new route without a guard fails the build
+- real HTTP requests checking that each guarded route turns away the roles that lack the permission
+
+```js
+// server/tests/permissions.test.js
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import { ROLES, POLICY, can } from '../src/services/permissions.js';
+
+// sessions are database-backed; every token minted here is treated as a live session
+jest.unstable_mockModule('../src/services/sessions.js', () => ({
+  checkSession: jest.fn(async () => true),
+  createSession: jest.fn(),
+  rotateSession: jest.fn(),
+  listSessions: jest.fn(async () => []),
+  revokeSession: jest.fn(),
+  revokeUserSessions: jest.fn(async () => 0),
+}));
+
+const { app } = await import('../src/index.js');
+const { signAccessToken } = await import('../src/services/jwt.js');
+
+const userOf = role => ({ id: `u_${role}`, email: `${role}@test.local`, role });
+const tokenOf = role => signAccessToken(userOf(role), `s_${role}`);
+
+describe('policy', () => {
+  const order = { buyerId: 'u_buyer', sellerId: 'u_seller', riderId: null };
+
+  test('own scope follows ownership', () => {
+    expect(can(userOf('buyer'), 'order:read', order)).toBe(true);
+    expect(can(userOf('seller'), 'order:read', order)).toBe(true);
+    expect(can({ id: 'u_other', role: 'buyer' }, 'order:read', order)).toBe(false);
+    expect(can({ id: 'u_rider', role: 'buyer' }, 'order:update', { ...order, riderId: 'u_rider' })).toBe(true);
+  });
+
+  test('all scope ignores ownership', () => {
+    expect(can(userOf('support'), 'order:read', order)).toBe(true);
+    expect(can(userOf('admin'), 'listing:delete', { sellerId: 'someone' })).toBe(true);
+  });
+
+  test('staff-only permissions', () => {
+    for (const p of ['payment:list', 'verification:review', 'user:list', 'realtime:admin_feed']) {
+      expect(ROLES.filter(r => can(userOf(r), p))).toEqual(['support', 'admin']);
+    }
+    for (const p of ['payment:refund', 'payout:settle', 'user:assign_role', 'webhook:replay', 'sms:test']) {
+      expect(ROLES.filter(r => can(userOf(r), p))).toEqual(['admin']);
+    }
+  });
+
+  test('every grant is a known role and scope', () => {
+    for (const grants of Object.values(POLICY)) {
+      for (const [role, scope] of Object.entries(grants)) {
+        expect(ROLES).toContain(role);
+        expect(['own', 'all']).toContain(scope);
+      }
+    }
+  });
+
+  test('unknown permissions throw', () => {
+    expect(() => can(userOf('admin'), 'listing:destroy')).toThrow('Unknown permission');
+  });
+});
+
+// "METHOD /path" -> permission, 'authenticated' or 'public'
+const EXPECTED = {
+  'POST /api/auth/register': 'public',
+  'POST /api/auth/login': 'public',
+  'POST /api/auth/refresh': 'public',
+  'POST /api/auth/logout': 'authenticated',
+  'POST /api/auth/password/change': 'authenticated',
+  'POST /api/listings': 'listing:create',
+  'PATCH /api/listings/:id': 'listing:update',
+  'DELETE /api/listings/:id': 'listing:delete',
+  'GET /api/payments/seller/:sellerId': 'payment:read',
+  'GET /api/payments/admin/all': 'payment:list',
+  'POST /api/payments/admin/:paymentId/refund': 'payment:refund',
+  'GET /api/payments/admin/refunds': 'payment:list',
+  'POST /api/payments/:provider/initialize': 'authenticated',
+  'POST /api/payments/:provider/webhook': 'public',
+  'POST /api/sms/test': 'sms:test',
+  'GET /api/admin/verifications': 'verification:review',
+  'GET /api/admin/users': 'user:list',
+  'PATCH /api/admin/users/:id/role': 'user:assign_role',
+  'GET /api/admin/webhooks': 'webhook:read',
+  'POST /api/admin/webhooks/:id/replay': 'webhook:replay',
+  'GET /api/payouts/admin/all': 'payout:list',
+  'POST /api/payouts': 'payout:request',
+  'GET /api/orders/:id': 'order:read',
+  'POST /api/orders/:id/:action': 'order:update',
+  'POST /api/orders/checkout': 'authenticated',
+  'GET /api/cart': 'authenticated',
+  'PUT /api/sellers/me/cod': 'seller:settings',
+  'PUT /api/shipping/zones': 'seller:settings',
+  'GET /api/sessions/admin/users/:userId': 'user:list',
+  'POST /api/sessions/admin/users/:userId/force-logout': 'session:revoke',
+};
+
+// Flattens app._router into [{ key: 'GET /api/...', guard }]. The guard is the tag of
+// the first tagged middleware on the route.
+function mountPath(layer) {
+  const src = layer.regexp.source.replace('^\\/', '/').replace('\\/?(?=\\/|$)', '').replace(/\\\//g, '/');
+  return src === '/?(?=/|$)' ? '' : src;
+}
+function collectRoutes(stack, prefix = '') {
+  const out = [];
+  for (const layer of stack) {
+    if (layer.route) {
+      const guard = (layer.route.stack.find(l => l.handle.permission) || {}).handle?.permission || null;
+      for (const method of Object.keys(layer.route.methods)) {
+        out.push({ key: `${method.toUpperCase()} ${(prefix + layer.route.path).replace(/\/$/, '') || '/'}`, guard });
+      }
+    } else if (layer.name === 'router' && layer.handle.stack) {
+      out.push(...collectRoutes(layer.handle.stack, prefix + mountPath(layer)));
+    }
+  }
+  return out;
+}
+
+describe('route coverage', () => {
+  const routes = collectRoutes(app._router.stack);
+
+  test('every route declares a guard', () => {
+    const unguarded = routes.filter(r => !r.guard).map(r => r.key);
+    expect(unguarded).toEqual([]);
+  });
+
+  test('routes match the expected matrix', () => {
+    const actual = Object.fromEntries(routes.map(r => [r.key, r.guard && r.guard.startsWith('public') ? 'public' : r.guard]));
+    for (const [key, guard] of Object.entries(EXPECTED)) expect([key, actual[key]]).toEqual([key, guard]);
+  });
+});
+
+describe('denials over HTTP', () => {
+  const guarded = Object.entries(EXPECTED).filter(([, g]) => g !== 'public');
+  const call = (key, role) => {
+    const [method, path] = key.split(' ');
+    const url = path.replace(/:[a-zA-Z]+/g, m => (m === ':action' ? 'ship' : m === ':provider' ? 'sandbox' : 'x1'));
+    const r = request(app)[method.toLowerCase()](url).send({});
+    return role ? r.set('Authorization', `Bearer ${tokenOf(role)}`) : r;
+  };
+
+  test.each(guarded)('%s needs a token', async (key) => {
+    expect((await call(key)).status).toBe(401);
+  });
+
+  const denied = guarded.filter(([, g]) => g !== 'authenticated')
+    .flatMap(([key, p]) => ROLES.filter(r => !can(userOf(r), p)).map(r => [key, r]));
+  test.each(denied)('%s is forbidden to %s', async (key, role) => {
+    expect((await call(key, role)).status).toBe(403);
+  });
+});
+```
+
+A denied role is stopped before `load` runs, so the HTTP layer needs no database. The allowed paths (ownership, 404 for other people's records) are covered by the `can()` tests above and by the existing route tests.
+
+---
+
+## 11) How it works (end-to-end)
+
+1. **Policy**: `services/permissions.js` lists what each role may do and whether on all records or only its own. The demo's `PERMISSIONS` table uses the same names.
+2. **Guard**: Each route declares `authorize(permission, { load })`, `signedIn` or `publicRoute(reason)`. `authorize` authenticates the session, rejects roles without the permission (403), loads the record, and hides other people's records (404). It then hands the route `req.resource` and `req.scope`.
+3. **Payments**: Payment lists are staff-only. A seller sees only their own payments, refunds are admin-only, and a payment's buyer is always the caller.
+4. **Roles**: Only an admin can change a role, never their own. The change revokes the user's sessions, so the new role takes effect at their next sign-in.
+5. **Realtime**: Support and admin sockets join `admins` through the same policy. Everyone else receives only events addressed to them.
+6. **Safety net**: `permissions.test.js` fails when a route has no guard, when a guard differs from the matrix, or when a role without a permission gets anything but 403.
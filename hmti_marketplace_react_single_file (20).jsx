@@ -0,0 +1,511 @@
+# MarketMate — Buyer Accounts, Profiles and Upgrade to Seller
+
+Registration only ever made sellers. The demo's `registerSeller` hard-coded `role: 'seller'`. `POST /auth/register` defaulted to `'seller'` and stored whatever `role` the client sent, including `'admin'`. Buyers had nowhere to keep a delivery address, so checkout asked for it every time. A seller's payout bank account was typed into each payout request.
+
+This update splits the two:
+
+- **Sign-up creates a buyer** — always. `role` in the request body is ignored, so nobody can register as `seller`, `support` or `admin`.
+- **Buyer profile** — saved delivery addresses (one default) and payment preferences (online or Pay on Delivery, preferred provider). Checkout pre-fills from them and accepts an `addressId`.
+- **Upgrade to seller** — `POST /api/me/seller` opens a shop on the same account: shop name, business address and payout bank account. The role becomes `seller`, and the account keeps its cart, orders and login.
+- **Payouts** — default to the bank account on the seller profile
+- **Demo** — sign-up makes a buyer. **Account** has addresses, payment preference and **Start selling** / **Edit shop**. **Sell** takes a buyer to the shop form first, and listings show the shop name.
+
+---
+
+## 1) Prisma
+
+```prisma
+model User {
+  // ...existing fields
+  role          String         @default("buyer") // was "seller"
+  buyerProfile  BuyerProfile?
+  sellerProfile SellerProfile?
+  addresses     Address[]
+}
+
+model BuyerProfile {
+  id                String   @id @default(cuid())
+  user              User     @relation(fields: [userId], references: [id])
+  userId            String   @unique
+  paymentMode       String   @default("online") // online | cod
+  preferredProvider String?  // paystack | flutterwave; null = ask at checkout
+  updatedAt         DateTime @updatedAt
+}
+
+model Address {
+  id        String   @id @default(cuid())
+  user      User     @relation(fields: [userId], references: [id])
+  userId    String
+  label     String?  // "Home", "Office"
+  recipient String
+  phone     String
+  line1     String
+  lga       String   @default("")
+  state     String
+  isDefault Boolean  @default(false)
+  createdAt DateTime @default(now())
+
+  @@index([userId])
+}
+
+model SellerProfile {
+  id            String   @id @default(cuid())
+  user          User     @relation(fields: [userId], references: [id])
+  userId        String   @unique
+  shopName      String
+  businessLine1 String
+  businessLga   String   @default("")
+  businessState String
+  bankCode      String
+  accountNumber String   // NUBAN, 10 digits
+  accountName   String
+  createdAt     DateTime @default(now())
+  updatedAt     DateTime @updatedAt
+}
+```
+
+Migration backfill, appended to the generated SQL. Every existing user gets a buyer profile. Existing sellers keep their role and are asked to complete a seller profile before their next payout.
+
+```sql
+INSERT INTO "BuyerProfile" ("id", "userId", "paymentMode", "updatedAt")
+SELECT 'bp_' || "id", "id", 'online', now() FROM "User"
+ON CONFLICT ("userId") DO NOTHING;
+```
+
+---
+
+## 2) States list: `src/data/states.js`
+
+The server had no list of states to validate against. The demo's `STATES` list moves here unchanged.
+
+```js
+// server/src/data/states.js
+export const STATES = [
+  'Abia', 'Adamawa', 'Akwa Ibom', 'Anambra', 'Bauchi', 'Bayelsa', 'Benue', 'Borno',
+  'Cross River', 'Delta', 'Ebonyi', 'Edo', 'Ekiti', 'Enugu', 'Gombe', 'Imo', 'Jigawa',
+  'Kaduna', 'Kano', 'Katsina', 'Kebbi', 'Kogi', 'Kwara', 'Lagos', 'Nasarawa', 'Niger',
+  'Ogun', 'Ondo', 'Osun', 'Oyo', 'Plateau', 'Rivers', 'Sokoto', 'Taraba', 'Yobe', 'Zamfara', 'FCT',
+];
+```
+
+---
+
+## 3) Profile service: `src/services/profiles.js`
+
+```js
+// server/src/services/profiles.js
+import { PrismaClient } from '@prisma/client';
+import { STATES } from '../data/states.js';
+
+const prisma = new PrismaClient();
+
+export const PAYMENT_MODES = ['online', 'cod'];
+export const PROVIDERS = ['paystack', 'flutterwave'];
+
+function clean(v) { return String(v || '').trim(); }
+
+// Returns the address fields to store, or { error }
+export function parseAddress(body) {
+  const a = {
+    label: clean(body.label) || null,
+    recipient: clean(body.recipient),
+    phone: clean(body.phone),
+    line1: clean(body.line1),
+    lga: clean(body.lga),
+    state: clean(body.state),
+  };
+  if (!a.recipient || !a.phone || !a.line1 || !a.state) return { error: 'recipient, phone, line1 and state required' };
+  if (!STATES.includes(a.state)) return { error: 'Unknown state' };
+  return { address: a };
+}
+
+// { shopName, businessAddress: { line1, lga, state }, bank: { bankCode, accountNumber, accountName } }
+export function parseSellerProfile(body) {
+  const addr = body.businessAddress || {};
+  const bank = body.bank || {};
+  const p = {
+    shopName: clean(body.shopName),
+    businessLine1: clean(addr.line1),
+    businessLga: clean(addr.lga),
+    businessState: clean(addr.state),
+    bankCode: clean(bank.bankCode),
+    accountNumber: clean(bank.accountNumber),
+    accountName: clean(bank.accountName),
+  };
+  if (!p.shopName || p.shopName.length > 80) return { error: 'Shop name is required (max 80 characters)' };
+  if (!p.businessLine1 || !STATES.includes(p.businessState)) return { error: 'Business address and state are required' };
+  if (!p.bankCode) return { error: 'bankCode required' };
+  if (!/^\d{10}$/.test(p.accountNumber)) return { error: 'Account number must be 10 digits (NUBAN)' };
+  if (!p.accountName) return { error: 'Account name is required' };
+  return { profile: p };
+}
+
+export function maskAccount(accountNumber) {
+  return `••••${String(accountNumber || '').slice(-4)}`;
+}
+
+// What the owner sees. The full account number is only ever written, never read back.
+export function publicSellerProfile(p) {
+  if (!p) return null;
+  return {
+    shopName: p.shopName,
+    businessAddress: { line1: p.businessLine1, lga: p.businessLga, state: p.businessState },
+    bank: { bankCode: p.bankCode, accountNumber: maskAccount(p.accountNumber), accountName: p.accountName },
+    createdAt: p.createdAt,
+  };
+}
+
+export async function loadProfile(userId) {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    include: { buyerProfile: true, sellerProfile: true, addresses: { orderBy: [{ isDefault: 'desc' }, { createdAt: 'asc' }] } },
+  });
+  if (!user) return null;
+  return {
+    buyer: { paymentMode: 'online', preferredProvider: null, ...(user.buyerProfile || {}), addresses: user.addresses },
+    seller: publicSellerProfile(user.sellerProfile),
+  };
+}
+
+// Keeps exactly one default: the given address, or the oldest when the default was removed.
+export async function settleDefaultAddress(userId, defaultId = null) {
+  const id = defaultId || (await prisma.address.findFirst({ where: { userId }, orderBy: [{ isDefault: 'desc' }, { createdAt: 'asc' }] }))?.id;
+  if (!id) return;
+  await prisma.$transaction([
+    prisma.address.updateMany({ where: { userId, id: { not: id } }, data: { isDefault: false } }),
+    prisma.address.update({ where: { id }, data: { isDefault: true } }),
+  ]);
+}
+
+// Buyer -> seller on the same account. The caller is already checked to be a buyer.
+export async function openShop(userId, profile) {
+  const [, user] = await prisma.$transaction([
+    prisma.sellerProfile.create({ data: { userId, ...profile } }),
+    prisma.user.update({ where: { id: userId }, data: { role: 'seller' } }),
+  ]);
+  return user;
+}
+
+// The address a checkout ships to: a saved one by id, or the one typed in.
+export async function resolveShipTo(userId, { addressId, shipTo }) {
+  if (!addressId) return { shipTo: shipTo || null };
+  const a = await prisma.address.findFirst({ where: { id: addressId, userId } });
+  if (!a) return { error: 'Address not found' };
+  return { shipTo: { state: a.state, lga: a.lga, address: a.line1, recipient: a.recipient, phone: a.phone } };
+}
+```
+
+---
+
+## 4) Registration: `src/routes/auth.js` (changes)
+
+```js
+// Register: always a buyer. Selling is an upgrade of the same account (POST /api/me/seller),
+// and staff roles are only given by an admin (PATCH /api/admin/users/:id/role).
+router.post('/register', publicRoute('sign up'), async (req, res) => {
+  try {
+    const { name, phone, password } = req.body;
+    // ...validation as before
+    const user = await prisma.user.create({ data: {
+      name, email, phone, role: 'buyer', verified: false,
+      credential: { create: { passwordHash } },
+      buyerProfile: { create: {} },
+    }});
+    // ...OTP, email verification and session as before
+  } catch (e) { console.error('register error', e); res.status(500).json({ error: e.message }); }
+});
+```
+
+`role` is not read from the body any more. A client that still sends `role: 'seller'` gets a buyer and should send the user to the shop form next. That is what the new client does for **Sell on MarketMate**.
+
+---
+
+## 5) Profile routes: `src/routes/profile.js`
+
+Mount with `app.use('/api/me', profileRouter)`.
+
+```js
+// server/src/routes/profile.js
+import express from 'express';
+import { PrismaClient } from '@prisma/client';
+import { authorize, signedIn } from '../middlewares/permissions.js';
+import { signAccessToken } from '../services/jwt.js';
+import {
+  PAYMENT_MODES, PROVIDERS, parseAddress, parseSellerProfile, publicSellerProfile,
+  loadProfile, settleDefaultAddress, openShop,
+} from '../services/profiles.js';
+
+const prisma = new PrismaClient();
+const router = express.Router();
+
+const loadAddress = req => prisma.address.findFirst({ where: { id: req.params.id, userId: req.user.id } });
+
+// GET /api/me — my buyer profile, addresses and seller profile (if any)
+router.get('/', ...signedIn, async (req, res) => {
+  try {
+    const profile = await loadProfile(req.user.id);
+    if (!profile) return res.status(404).json({ error: 'User not found' });
+    res.json({ ok: true, ...profile });
+  } catch (e) { console.error('profile error', e); res.status(500).json({ error: e.message }); }
+});
+
+// PUT /api/me/buyer { paymentMode, preferredProvider }
+router.put('/buyer', ...signedIn, async (req, res) => {
+  try {
+    const { paymentMode = 'online', preferredProvider = null } = req.body;
+    if (!PAYMENT_MODES.includes(paymentMode)) return res.status(400).json({ error: `paymentMode must be one of ${PAYMENT_MODES.join(', ')}` });
+    if (preferredProvider && !PROVIDERS.includes(preferredProvider)) return res.status(400).json({ error: 'Unknown provider' });
+    const buyerProfile = await prisma.buyerProfile.upsert({
+      where: { userId: req.user.id },
+      create: { userId: req.user.id, paymentMode, preferredProvider },
+      update: { paymentMode, preferredProvider },
+    });
+    res.json({ ok: true, buyerProfile });
+  } catch (e) { console.error('buyer profile error', e); res.status(500).json({ error: e.message }); }
+});
+
+// POST /api/me/addresses { label, recipient, phone, line1, lga, state, isDefault }
+router.post('/addresses', ...signedIn, async (req, res) => {
+  try {
+    const r = parseAddress(req.body);
+    if (r.error) return res.status(400).json({ error: r.error });
+    if ((await prisma.address.count({ where: { userId: req.user.id } })) >= 10) return res.status(400).json({ error: 'You can save up to 10 addresses' });
+    const address = await prisma.address.create({ data: { ...r.address, userId: req.user.id } });
+    // the first address is the default until another is chosen
+    if (req.body.isDefault || !(await prisma.address.count({ where: { userId: req.user.id, isDefault: true } }))) await settleDefaultAddress(req.user.id, address.id);
+    res.json({ ok: true, address: await prisma.address.findUnique({ where: { id: address.id } }) });
+  } catch (e) { console.error('add address error', e); res.status(500).json({ error: e.message }); }
+});
+
+// PATCH /api/me/addresses/:id — same fields; { isDefault: true } makes it the default
+router.patch('/addresses/:id', ...signedIn, async (req, res) => {
+  try {
+    const existing = await loadAddress(req);
+    if (!existing) return res.status(404).json({ error: 'Address not found' });
+    const r = parseAddress({ ...existing, ...req.body });
+    if (r.error) return res.status(400).json({ error: r.error });
+    await prisma.address.update({ where: { id: existing.id }, data: r.address });
+    if (req.body.isDefault) await settleDefaultAddress(req.user.id, existing.id);
+    res.json({ ok: true, address: await prisma.address.findUnique({ where: { id: existing.id } }) });
+  } catch (e) { console.error('update address error', e); res.status(500).json({ error: e.message }); }
+});
+
+// DELETE /api/me/addresses/:id
+router.delete('/addresses/:id', ...signedIn, async (req, res) => {
+  try {
+    const existing = await loadAddress(req);
+    if (!existing) return res.status(404).json({ error: 'Address not found' });
+    await prisma.address.delete({ where: { id: existing.id } });
+    if (existing.isDefault) await settleDefaultAddress(req.user.id);
+    res.json({ ok: true });
+  } catch (e) { console.error('delete address error', e); res.status(500).json({ error: e.message }); }
+});
+
+// POST /api/me/seller { shopName, businessAddress, bank } — opens a shop on this buyer account
+router.post('/seller', ...authorize('seller:open'), async (req, res) => {
+  try {
+    const r = parseSellerProfile(req.body);
+    if (r.error) return res.status(400).json({ error: r.error });
+    const user = await openShop(req.user.id, r.profile);
+    // New access token for this session with the new role. Refreshes (here and on the user's
+    // other devices) read the role from the database, so they pick it up too. The old token
+    // only carries 'buyer', which every seller also is, so it doesn't need revoking.
+    const accessToken = signAccessToken(user, req.user.sid);
+    console.log(`user ${user.id} opened shop "${r.profile.shopName}"`);
+    res.json({ ok: true, token: accessToken, accessToken, user: { id: user.id, role: user.role }, seller: publicSellerProfile(await prisma.sellerProfile.findUnique({ where: { userId: user.id } })) });
+  } catch (e) { console.error('open shop error', e); res.status(500).json({ error: e.message }); }
+});
+
+// PUT /api/me/seller — edit the shop profile (also completes it for sellers created before profiles)
+router.put('/seller', ...authorize('seller:settings'), async (req, res) => {
+  try {
+    const r = parseSellerProfile(req.body);
+    if (r.error) return res.status(400).json({ error: r.error });
+    const seller = await prisma.sellerProfile.upsert({
+      where: { userId: req.user.id },
+      create: { userId: req.user.id, ...r.profile },
+      update: r.profile,
+    });
+    res.json({ ok: true, seller: publicSellerProfile(seller) });
+  } catch (e) { console.error('seller profile error', e); res.status(500).json({ error: e.message }); }
+});
+
+export default router;
+```
+
+A `support` or `admin` account cannot open a shop (`seller:open` is granted to buyers only). Staff sell from a separate account.
+
+---
+
+## 6) Permissions (changes)
+
+`src/services/permissions.js`:
+
+```js
+export const POLICY = {
+  // ...
+  'seller:open': { buyer: 'own' },
+  'seller:settings': { seller: 'own' },
+  // ...
+};
+```
+
+`server/tests/permissions.test.js` — new rows in `EXPECTED`:
+
+```js
+const EXPECTED = {
+  // ...
+  'GET /api/me': 'authenticated',
+  'PUT /api/me/buyer': 'authenticated',
+  'POST /api/me/addresses': 'authenticated',
+  'PATCH /api/me/addresses/:id': 'authenticated',
+  'DELETE /api/me/addresses/:id': 'authenticated',
+  'POST /api/me/seller': 'seller:open',
+  'PUT /api/me/seller': 'seller:settings',
+};
+```
+
+---
+
+## 7) Checkout and payouts (changes)
+
+`src/routes/orders.js`, in `POST /checkout`. A saved address can be used by id. With neither `addressId` nor `shipTo`, the buyer's default address is used:
+
+```js
+import { resolveShipTo } from '../services/profiles.js';
+
+    const { paymentMode = 'online', addressId } = req.body;
+    let { shipTo } = req.body;
+    if (!addressId && !shipTo) {
+      const fallback = await prisma.address.findFirst({ where: { userId: req.user.id, isDefault: true } });
+      if (fallback) shipTo = { state: fallback.state, lga: fallback.lga, address: fallback.line1, recipient: fallback.recipient, phone: fallback.phone };
+    }
+    const resolved = await resolveShipTo(req.user.id, { addressId, shipTo });
+    if (resolved.error) return res.status(400).json({ error: resolved.error });
+    // ...checkoutCart(req.user.id, { paymentMode, shipTo: resolved.shipTo }) as before
+```
+
+`src/routes/payouts.js`, in `POST /`. Bank details in the body still override. Without them, the seller profile's account is used:
+
+```js
+    const { amount } = req.body;
+    let bank = { bankCode: req.body.bankCode, accountNumber: req.body.accountNumber, accountName: req.body.accountName };
+    if (!bank.accountNumber) {
+      const profile = await prisma.sellerProfile.findUnique({ where: { userId: req.user.id } });
+      if (!profile) return res.status(400).json({ error: 'Add a payout bank account to your shop profile first' });
+      bank = { bankCode: profile.bankCode, accountNumber: profile.accountNumber, accountName: profile.accountName };
+    }
+    if (!amount || !bank.bankCode || !bank.accountNumber || !bank.accountName) return res.status(400).json({ error: 'amount and bank details required' });
+    const r = await requestPayout(req.user.id, Math.round(Number(amount) * 100), bank);
+```
+
+---
+
+## 8) Client
+
+`client/src/utils/api.js`:
+
+```js
+export const getMe = token => fetch(`${API}/me`, { headers: authHeaders(token) }).then(r => r.json());
+export const saveBuyerPrefs = (prefs, token) => fetch(`${API}/me/buyer`, { method: 'PUT', headers: authHeaders(token), body: JSON.stringify(prefs) }).then(r => r.json());
+export const addAddress = (address, token) => fetch(`${API}/me/addresses`, { method: 'POST', headers: authHeaders(token), body: JSON.stringify(address) }).then(r => r.json());
+export const removeAddress = (id, token) => fetch(`${API}/me/addresses/${id}`, { method: 'DELETE', headers: authHeaders(token) }).then(r => r.json());
+export const openShop = (profile, token) => fetch(`${API}/me/seller`, { method: 'POST', headers: authHeaders(token), body: JSON.stringify(profile) }).then(r => r.json());
+export const saveShop = (profile, token) => fetch(`${API}/me/seller`, { method: 'PUT', headers: authHeaders(token), body: JSON.stringify(profile) }).then(r => r.json());
+```
+
+After `openShop` succeeds, the client stores the returned `accessToken` (`setTokens({ accessToken })` from `utils/session.js`) and reconnects the socket. The refresh token is unchanged.
+
+Pages:
+- `Register.jsx` drops the role picker. **Sell on MarketMate** on the landing page registers a buyer and then opens `/account/shop`.
+- `Account.jsx` gains **Addresses**, **Payment preference** and **Shop** (the shop form for buyers, an edit form for sellers). The account number is shown masked.
+- `Checkout.jsx` lists the saved addresses with the default selected, and sends `addressId`.
+
+---
+
+## 9) Tests: `server/tests/profiles.test.js`
+
+```js
+// server/tests/profiles.test.js
+import { parseAddress, parseSellerProfile, publicSellerProfile, maskAccount } from '../src/services/profiles.js';
+
+const shop = {
+  shopName: ' Mama Nkechi Provisions ',
+  businessAddress: { line1: '12 Market Rd', lga: 'Onitsha North', state: 'Anambra' },
+  bank: { bankCode: '058', accountNumber: '0123456789', accountName: 'Nkechi Okafor' },
+};
+
+describe('profiles', () => {
+  test('addresses need recipient, phone, street and a real state', () => {
+    expect(parseAddress({ recipient: 'Ada', phone: '0803', line1: '1 Allen Ave', state: 'Lagos' }).address.state).toBe('Lagos');
+    expect(parseAddress({ recipient: 'Ada', phone: '0803', line1: '1 Allen Ave', state: 'Lagoss' }).error).toBe('Unknown state');
+    expect(parseAddress({ recipient: 'Ada', state: 'Lagos' }).error).toMatch(/required/);
+  });
+
+  test('seller profile is trimmed and checked', () => {
+    const { profile } = parseSellerProfile(shop);
+    expect(profile.shopName).toBe('Mama Nkechi Provisions');
+    expect(profile.businessState).toBe('Anambra');
+    expect(parseSellerProfile({ ...shop, bank: { ...shop.bank, accountNumber: '12345' } }).error).toMatch(/NUBAN/);
+    expect(parseSellerProfile({ ...shop, shopName: '' }).error).toMatch(/Shop name/);
+  });
+
+  test('account numbers are masked when read back', () => {
+    expect(maskAccount('0123456789')).toBe('••••6789');
+    const out = publicSellerProfile({ ...parseSellerProfile(shop).profile, createdAt: new Date() });
+    expect(out.bank.accountNumber).toBe('••••6789');
+    expect(JSON.stringify(out)).not.toContain('0123456789');
+  });
+});
+```
+
+Registration runs against the test database in `server/tests/profiles.int.test.js`:
+
+```js
+// server/tests/profiles.int.test.js
+import request from 'supertest';
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+const { app } = await import('../src/index.js');
+const email = `buyer_${Date.now()}@test.local`;
+
+afterAll(async () => {
+  const user = await prisma.user.findUnique({ where: { email } });
+  if (user) {
+    await prisma.session.deleteMany({ where: { userId: user.id } });
+    await prisma.sellerProfile.deleteMany({ where: { userId: user.id } });
+    await prisma.buyerProfile.deleteMany({ where: { userId: user.id } });
+    await prisma.credential.deleteMany({ where: { userId: user.id } });
+    await prisma.user.delete({ where: { id: user.id } });
+  }
+  await prisma.$disconnect();
+});
+
+test('sign-up ignores the requested role and upgrading keeps the account', async () => {
+  const reg = await request(app).post('/api/auth/register').send({ name: 'Ada', email, password: 'market123', role: 'admin' });
+  expect(reg.body.user.role).toBe('buyer');
+
+  const auth = { Authorization: `Bearer ${reg.body.accessToken}` };
+  const open = await request(app).post('/api/me/seller').set(auth).send({
+    shopName: 'Ada Wears', businessAddress: { line1: '3 Broad St', state: 'Lagos' },
+    bank: { bankCode: '044', accountNumber: '0011223344', accountName: 'Ada Obi' },
+  });
+  expect(open.body.user).toEqual({ id: reg.body.user.id, role: 'seller' });
+
+  // the old token is still a buyer token; the new one can manage the shop, but cannot open a second one
+  const seller = { Authorization: `Bearer ${open.body.accessToken}` };
+  expect((await request(app).put('/api/me/seller').set(seller).send({ ...open.body.seller, bank: { bankCode: '044', accountNumber: '0011223344', accountName: 'Ada Obi' } })).status).toBe(200);
+  expect((await request(app).post('/api/me/seller').set(seller).send({})).status).toBe(403);
+});
+```
+
+---
+
+## 10) How it works (end-to-end)
+
+1. **Sign up**: `POST /auth/register` creates a `buyer` with an empty buyer profile. Any `role` sent by the client is ignored.
+2. **Buy**: The buyer saves addresses and a payment preference under `/api/me`. Checkout uses the chosen address (`addressId`), or the default one when none is given.
+3. **Start selling**: `POST /api/me/seller` validates the shop name, business address and NUBAN account, creates the `SellerProfile` and switches the role to `seller` in one transaction. The response carries a fresh access token with the new role, and the user's other devices pick the role up at their next refresh.
+4. **Sell**: Listings, COD settings, delivery zones and payouts are now allowed by the `seller` role. Payouts go to the profile's bank account unless the request names another. The same account keeps buying.
+5. **Staff**: `support` and `admin` are only ever assigned by an admin (`PATCH /api/admin/users/:id/role`). They cannot open a shop on their staff account.
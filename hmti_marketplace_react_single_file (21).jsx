@@ -0,0 +1,417 @@
+# MarketMate — Seller Storefronts, Public Stats and Follow
+
+A listing showed `Seller: <name>` and a verification badge, and buyers could go no further. A seller had no page of their own to send people to. Sellers keep asking for a link to put on WhatsApp and in their Instagram bio.
+
+This update gives every shop a public storefront:
+
+- **Shop page** `/shop/:slug` — shop name, logo, banner, description, location and all active listings
+- **Public stats** — average rating (from reviews on all of the seller's listings), completed sales, typical response time, followers, and "member since"
+- **Follow** — signed-in users follow a shop. **Account** lists the shops they follow.
+- **Shareable link** — `/s/:slug` on the server answers link-preview crawlers (WhatsApp, Instagram, Facebook, X) with the shop's name, description and logo, then redirects people to the storefront. The page has **Share on WhatsApp** and **Copy link** buttons.
+- **Slugs** — picked from the shop name when the shop opens, made unique, and never changed by a rename, so shared links keep working
+- **Demo** — the seller name on listing cards and the details page opens the storefront. Storefronts live at `#/shop/<slug>`, so a link opens straight into the shop. **Edit shop** gains description, logo and banner.
+
+---
+
+## 1) Prisma
+
+```prisma
+model SellerProfile {
+  // ...existing fields
+  slug        String   @unique
+  description String?  // max 500 characters
+  logoUrl     String?
+  bannerUrl   String?
+}
+
+model Follow {
+  follower   User     @relation("Following", fields: [followerId], references: [id])
+  followerId String
+  seller     User     @relation("Followers", fields: [sellerId], references: [id])
+  sellerId   String
+  createdAt  DateTime @default(now())
+
+  @@id([followerId, sellerId])
+  @@index([sellerId])
+}
+
+model User {
+  // ...existing fields
+  following Follow[] @relation("Following")
+  followers Follow[] @relation("Followers")
+}
+```
+
+Existing seller profiles need a slug before the column can be `NOT NULL`. Edit the generated migration so it adds the column as nullable, backfills it, then adds the constraint:
+
+```sql
+ALTER TABLE "SellerProfile" ADD COLUMN "slug" TEXT;
+UPDATE "SellerProfile"
+SET "slug" = trim(both '-' from left(regexp_replace(lower("shopName"), '[^a-z0-9]+', '-', 'g'), 40)) || '-' || right("id", 4);
+ALTER TABLE "SellerProfile" ALTER COLUMN "slug" SET NOT NULL;
+CREATE UNIQUE INDEX "SellerProfile_slug_key" ON "SellerProfile"("slug");
+```
+
+The id suffix keeps backfilled slugs unique. New shops get the plain slug and add a suffix only on collision.
+
+---
+
+## 2) Storefront service: `src/services/storefronts.js`
+
+The stats are computed from rows that already exist. Nothing new is written on each sale or review. They are cached per seller for 10 minutes, because the storefront is the most-shared page and the numbers don't need to be live.
+
+```js
+// server/src/services/storefronts.js
+import { PrismaClient } from '@prisma/client';
+import { publicSellerProfile } from './profiles.js';
+
+const prisma = new PrismaClient();
+
+const STATS_CACHE_MS = 10 * 60 * 1000;
+const RESPONSE_WINDOW_DAYS = 90;
+
+// sellerId -> { stats, at }
+const STATS_CACHE = new Map();
+
+export function slugify(text) {
+  return String(text || '').toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '').replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40) || 'shop';
+}
+
+export async function uniqueSlug(shopName) {
+  const base = slugify(shopName);
+  const taken = new Set((await prisma.sellerProfile.findMany({ where: { slug: { startsWith: base } }, select: { slug: true } })).map(p => p.slug));
+  let slug = base;
+  for (let n = 2; taken.has(slug); n++) slug = `${base}-${n}`;
+  return slug;
+}
+
+export function median(values) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Response time per order: from the order needing the seller (paid; placed, for Pay on Delivery)
+// to the seller's first ship or cancel. `orders` carry their `events` (OrderEvent rows).
+export function responseTimes(orders, sellerId) {
+  return orders.map(o => {
+    const events = [...o.events].sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    const start = o.paymentMode === 'cod' ? new Date(o.createdAt) : events.find(e => e.to === 'paid')?.createdAt;
+    const reply = events.find(e => ['shipped', 'cancelled'].includes(e.to) && e.actorId === sellerId);
+    return start && reply ? new Date(reply.createdAt) - new Date(start) : null;
+  }).filter(ms => ms !== null && ms >= 0);
+}
+
+export async function shopStats(sellerId) {
+  const cached = STATS_CACHE.get(sellerId);
+  if (cached && Date.now() - cached.at < STATS_CACHE_MS) return cached.stats;
+
+  const since = new Date(Date.now() - RESPONSE_WINDOW_DAYS * 86400000);
+  const [ratings, completedSales, followers, recentOrders] = await Promise.all([
+    prisma.review.aggregate({ where: { listing: { sellerId } }, _avg: { rating: true }, _count: { _all: true } }),
+    prisma.order.count({ where: { sellerId, status: 'completed' } }),
+    prisma.follow.count({ where: { sellerId } }),
+    prisma.order.findMany({ where: { sellerId, createdAt: { gte: since } }, include: { events: true }, take: 500 }),
+  ]);
+  const stats = {
+    rating: ratings._avg.rating === null ? null : Math.round(ratings._avg.rating * 10) / 10,
+    ratingCount: ratings._count._all,
+    completedSales,
+    followers,
+    responseMs: median(responseTimes(recentOrders, sellerId)),
+  };
+  STATS_CACHE.set(sellerId, { stats, at: Date.now() });
+  return stats;
+}
+
+// Follow counts change the moment a buyer taps Follow, so that number is kept fresh.
+export function bumpFollowers(sellerId, delta) {
+  const cached = STATS_CACHE.get(sellerId);
+  if (cached) cached.stats = { ...cached.stats, followers: Math.max(0, cached.stats.followers + delta) };
+}
+
+// The public part of a shop: no bank account, no business street address (state/LGA only).
+export function publicShop(user) {
+  const p = publicSellerProfile(user.sellerProfile);
+  return {
+    sellerId: user.id,
+    slug: user.sellerProfile.slug,
+    shopName: p.shopName,
+    description: user.sellerProfile.description || '',
+    logoUrl: user.sellerProfile.logoUrl || null,
+    bannerUrl: user.sellerProfile.bannerUrl || null,
+    location: { lga: p.businessAddress.lga, state: p.businessAddress.state },
+    verified: user.verified,
+    memberSince: user.createdAt,
+  };
+}
+
+export async function findShop(slug) {
+  const profile = await prisma.sellerProfile.findUnique({ where: { slug: String(slug) }, include: { user: true } });
+  if (!profile || profile.user.role !== 'seller') return null;
+  return { ...profile.user, sellerProfile: profile };
+}
+```
+
+---
+
+## 3) Shop routes: `src/routes/shops.js`
+
+Mount with `app.use('/api/shops', shopsRouter)`.
+
+```js
+// server/src/routes/shops.js
+import express from 'express';
+import { PrismaClient } from '@prisma/client';
+import { signedIn, publicRoute } from '../middlewares/permissions.js';
+import { findShop, publicShop, shopStats, bumpFollowers } from '../services/storefronts.js';
+
+const prisma = new PrismaClient();
+const router = express.Router();
+
+const PAGE_SIZE = 24;
+
+// GET /api/shops/:slug — profile and stats
+router.get('/:slug', publicRoute('storefront'), async (req, res) => {
+  try {
+    const shop = await findShop(req.params.slug);
+    if (!shop) return res.status(404).json({ error: 'Shop not found' });
+    res.json({ ok: true, shop: publicShop(shop), stats: await shopStats(shop.id) });
+  } catch (e) { console.error('shop error', e); res.status(500).json({ error: e.message }); }
+});
+
+// GET /api/shops/:slug/listings?cursor=<listingId> — active listings, newest first
+router.get('/:slug/listings', publicRoute('storefront'), async (req, res) => {
+  try {
+    const shop = await findShop(req.params.slug);
+    if (!shop) return res.status(404).json({ error: 'Shop not found' });
+    const listings = await prisma.listing.findMany({
+      where: { sellerId: shop.id, active: true },
+      orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+      take: PAGE_SIZE + 1,
+      ...(req.query.cursor ? { cursor: { id: String(req.query.cursor) }, skip: 1 } : {}),
+    });
+    const more = listings.length > PAGE_SIZE;
+    res.json({ ok: true, listings: listings.slice(0, PAGE_SIZE), nextCursor: more ? listings[PAGE_SIZE - 1].id : null });
+  } catch (e) { console.error('shop listings error', e); res.status(500).json({ error: e.message }); }
+});
+
+// POST /api/shops/:slug/follow
+router.post('/:slug/follow', ...signedIn, async (req, res) => {
+  try {
+    const shop = await findShop(req.params.slug);
+    if (!shop) return res.status(404).json({ error: 'Shop not found' });
+    if (shop.id === req.user.id) return res.status(400).json({ error: 'You cannot follow your own shop' });
+    const key = { followerId_sellerId: { followerId: req.user.id, sellerId: shop.id } };
+    if (!(await prisma.follow.findUnique({ where: key }))) {
+      await prisma.follow.create({ data: { followerId: req.user.id, sellerId: shop.id } });
+      bumpFollowers(shop.id, 1);
+    }
+    res.json({ ok: true, following: true });
+  } catch (e) { console.error('follow error', e); res.status(500).json({ error: e.message }); }
+});
+
+// DELETE /api/shops/:slug/follow
+router.delete('/:slug/follow', ...signedIn, async (req, res) => {
+  try {
+    const shop = await findShop(req.params.slug);
+    if (!shop) return res.status(404).json({ error: 'Shop not found' });
+    const r = await prisma.follow.deleteMany({ where: { followerId: req.user.id, sellerId: shop.id } });
+    if (r.count) bumpFollowers(shop.id, -1);
+    res.json({ ok: true, following: false });
+  } catch (e) { console.error('unfollow error', e); res.status(500).json({ error: e.message }); }
+});
+
+export default router;
+```
+
+`src/routes/profile.js` (changes). The followed shops, for **Account** and for showing **Following** on a storefront:
+
+```js
+// GET /api/me/follows
+router.get('/follows', ...signedIn, async (req, res) => {
+  try {
+    const follows = await prisma.follow.findMany({
+      where: { followerId: req.user.id },
+      include: { seller: { select: { id: true, sellerProfile: { select: { slug: true, shopName: true, logoUrl: true } } } } },
+      orderBy: { createdAt: 'desc' },
+    });
+    res.json({ ok: true, shops: follows.filter(f => f.seller.sellerProfile).map(f => ({ sellerId: f.seller.id, ...f.seller.sellerProfile })) });
+  } catch (e) { console.error('follows error', e); res.status(500).json({ error: e.message }); }
+});
+```
+
+`POST /api/me/seller` picks the slug when the shop opens. `PUT /api/me/seller` accepts the new fields but never changes the slug:
+
+```js
+import { uniqueSlug } from '../services/storefronts.js';
+
+    // in POST /seller, before openShop
+    const user = await openShop(req.user.id, { ...r.profile, slug: await uniqueSlug(r.profile.shopName) });
+```
+
+`parseSellerProfile` in `src/services/profiles.js` (changes):
+
+```js
+function imageUrl(v) {
+  const url = clean(v);
+  return /^https:\/\/\S+$/.test(url) ? url : null;
+}
+
+// in parseSellerProfile
+  const p = {
+    // ...existing fields
+    description: clean(body.description).slice(0, 500) || null,
+    logoUrl: imageUrl(body.logoUrl),
+    bannerUrl: imageUrl(body.bannerUrl),
+  };
+```
+
+Logo and banner are uploaded the same way as listing images, and the profile stores their `https` URLs. `publicSellerProfile` returns `slug`, `description`, `logoUrl` and `bannerUrl` too.
+
+---
+
+## 4) Link previews: `src/routes/share.js`
+
+Crawlers that build link previews don't run JavaScript, so the single-page storefront would show up as a bare URL. `/s/:slug` returns a tiny HTML page with Open Graph tags. The page then redirects browsers to the storefront on the client. Mount with `app.use('/s', shareRouter)`. Shops share `${SERVER_URL}/s/<slug>`.
+
+```js
+// server/src/routes/share.js
+import express from 'express';
+import { publicRoute } from '../middlewares/permissions.js';
+import { findShop, publicShop } from '../services/storefronts.js';
+
+const router = express.Router();
+const CLIENT_URL = process.env.CLIENT_URL || 'http://localhost:5173';
+
+export function escapeHtml(s) {
+  return String(s || '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+export function sharePage(shop, target) {
+  const title = escapeHtml(`${shop.shopName} on MarketMate`);
+  const description = escapeHtml(shop.description || `Shop from ${shop.shopName}${shop.location.state ? ` in ${shop.location.state}` : ''} on MarketMate.`);
+  const url = escapeHtml(target);
+  return `<!doctype html><html><head><meta charset="utf-8">
+<title>${title}</title>
+<meta property="og:type" content="website">
+<meta property="og:title" content="${title}">
+<meta property="og:description" content="${description}">
+<meta property="og:url" content="${url}">
+${shop.logoUrl ? `<meta property="og:image" content="${escapeHtml(shop.logoUrl)}">` : ''}
+<meta http-equiv="refresh" content="0; url=${url}">
+</head><body><a href="${url}">${title}</a></body></html>`;
+}
+
+// GET /s/:slug
+router.get('/:slug', publicRoute('share preview'), async (req, res) => {
+  try {
+    const shop = await findShop(req.params.slug);
+    if (!shop) return res.redirect(302, CLIENT_URL);
+    const target = `${CLIENT_URL}/shop/${encodeURIComponent(shop.sellerProfile.slug)}`;
+    res.set('Cache-Control', 'public, max-age=600').type('html').send(sharePage(publicShop(shop), target));
+  } catch (e) { console.error('share page error', e); res.status(500).send('error'); }
+});
+
+export default router;
+```
+
+---
+
+## 5) Permissions (changes)
+
+`server/tests/permissions.test.js` — new rows in `EXPECTED`:
+
+```js
+const EXPECTED = {
+  // ...
+  'GET /api/shops/:slug': 'public',
+  'GET /api/shops/:slug/listings': 'public',
+  'POST /api/shops/:slug/follow': 'authenticated',
+  'DELETE /api/shops/:slug/follow': 'authenticated',
+  'GET /api/me/follows': 'authenticated',
+  'GET /s/:slug': 'public',
+};
+```
+
+---
+
+## 6) Client
+
+`client/src/utils/api.js`:
+
+```js
+export const getShop = slug => fetch(`${API}/shops/${encodeURIComponent(slug)}`).then(r => r.json());
+export const getShopListings = (slug, cursor) => fetch(`${API}/shops/${encodeURIComponent(slug)}/listings${cursor ? `?cursor=${cursor}` : ''}`).then(r => r.json());
+export const followShop = (slug, token) => fetch(`${API}/shops/${encodeURIComponent(slug)}/follow`, { method: 'POST', headers: authHeaders(token) }).then(r => r.json());
+export const unfollowShop = (slug, token) => fetch(`${API}/shops/${encodeURIComponent(slug)}/follow`, { method: 'DELETE', headers: authHeaders(token) }).then(r => r.json());
+export const getFollows = token => fetch(`${API}/me/follows`, { headers: authHeaders(token) }).then(r => r.json());
+export const shareUrl = slug => `${import.meta.env.VITE_SERVER_URL}/s/${slug}`;
+```
+
+`client/src/pages/Shop.jsx` (route `/shop/:slug`):
+- banner, logo, name, verified badge, location, "Member since", description
+- four stat tiles: rating with review count, completed sales, typical response, followers
+- **Follow** / **Following**, **Share on WhatsApp** (`https://wa.me/?text=` + name + `shareUrl(slug)`), **Copy link**
+- a listing grid with **Load more** driven by `nextCursor`
+
+Seller names on `Browse.jsx` and `Details.jsx` link to `/shop/:slug`. Listing responses include `seller: { sellerProfile: { slug, shopName } }` (`include` in `routes/listings.js`) for that.
+
+Instagram has no share URL, so **Copy link** is the way to get the link into a bio or a story sticker.
+
+---
+
+## 7) Tests: `server/tests/storefronts.test.js`
+
+```js
+// server/tests/storefronts.test.js
+import { slugify, median, responseTimes } from '../src/services/storefronts.js';
+import { escapeHtml, sharePage } from '../src/routes/share.js';
+
+const at = h => new Date(Date.UTC(2025, 0, 1, h)).toISOString();
+
+describe('storefronts', () => {
+  test('slugs are url-safe and never empty', () => {
+    expect(slugify("Mama Nkechi's Provisions & Co.")).toBe('mama-nkechi-s-provisions-co');
+    expect(slugify('Ọjà Ẹ̀wà')).toBe('oja-ewa');
+    expect(slugify('!!!')).toBe('shop');
+  });
+
+  test('median', () => {
+    expect(median([])).toBe(null);
+    expect(median([5, 1, 3])).toBe(3);
+    expect(median([1, 2, 3, 10])).toBe(2.5);
+  });
+
+  test('response time counts only the seller acting on orders that needed them', () => {
+    const orders = [
+      { paymentMode: 'online', createdAt: at(0), events: [{ to: 'paid', createdAt: at(1), actorId: null }, { to: 'shipped', createdAt: at(3), actorId: 's1' }] },
+      { paymentMode: 'cod', createdAt: at(0), events: [{ to: 'cancelled', createdAt: at(5), actorId: 's1' }] },
+      // cancelled by the buyer: not a seller response
+      { paymentMode: 'online', createdAt: at(0), events: [{ to: 'paid', createdAt: at(1), actorId: null }, { to: 'cancelled', createdAt: at(2), actorId: 'b1' }] },
+      // never paid: nothing to respond to
+      { paymentMode: 'online', createdAt: at(0), events: [] },
+    ];
+    expect(responseTimes(orders, 's1')).toEqual([2 * 3600000, 5 * 3600000]);
+  });
+
+  test('share page escapes shop text', () => {
+    expect(escapeHtml('<b>"x"</b>')).toBe('&lt;b&gt;&quot;x&quot;&lt;/b&gt;');
+    const html = sharePage({ shopName: 'A <script>', description: '', logoUrl: null, location: { state: 'Lagos' } }, 'https://marketmate.ng/shop/a');
+    expect(html).not.toContain('<script>');
+    expect(html).toContain('og:title');
+    expect(html).toContain('url=https://marketmate.ng/shop/a');
+  });
+});
+```
+
+---
+
+## 8) How it works (end-to-end)
+
+1. **Open a shop**: The seller profile gets a unique slug from the shop name. Renaming the shop later keeps the slug.
+2. **Storefront**: `/shop/:slug` loads `GET /api/shops/:slug` (profile and stats) and pages through `GET /api/shops/:slug/listings`. Only the shop name, description, images, state/LGA, verification and join date are public. Bank details and the street address are not.
+3. **Stats**: The rating is averaged over reviews on all the seller's listings. Completed sales count `completed` orders. Response time is the median over the last 90 days, from an order needing the seller to the seller shipping or cancelling it. Stats are cached for 10 minutes; follower counts update immediately.
+4. **Follow**: `POST`/`DELETE /api/shops/:slug/follow`. `GET /api/me/follows` lists followed shops for **Account**.
+5. **Share**: The seller shares `/s/:slug`. WhatsApp and Instagram render a preview from its Open Graph tags, and a tap redirects to the storefront.
@@ -0,0 +1,512 @@
+# MarketMate — Nigerian States, LGAs and a Validated Location Picker
+
+`STATES` was a flat list, and the LGA was a free-text box in **Sell**, the cart, addresses and delivery zones. The same place was stored as "Ikeja", "ikeja ", "Ikeja LGA", and `Unknown` when the box was left empty. Filtering by LGA never worked: `filters.lga` existed in **Browse** but nothing set or read it. Delivery quotes compare LGAs too, so a typo in a listing meant the buyer paid the same-state fee instead of the same-LGA one.
+
+This update makes the LGA a choice, not a guess:
+
+- **Reference data** — all 774 LGAs keyed by state (`src/data/lgas.js`). An optional list of well-known towns/areas per LGA covers places like Lekki, Wuse and Bodija.
+- **Validation** — `POST`/`PATCH /api/listings` reject a state/LGA pair that does not exist. Hand-typed spellings of a real LGA are stored under the official name, so API clients sending "eti osa" still work. Addresses, seller business addresses and delivery zones are checked the same way.
+- **Listings** — the LGA is required on new listings. An optional `area` keeps the town for buyers who search by it.
+- **Picker** — a dependent **State → LGA** select in **Sell**, the **Browse** filter bar (now filtering on `filters.lga`), the cart, addresses and delivery zones. Changing the state clears the LGA.
+- **Clean-up** — a one-off script rewrites existing listings' LGAs to the official names. It clears the ones it cannot recognise (including `Unknown`) so sellers pick again on their next edit. The demo does the same when it loads saved data or an import.
+
+---
+
+## 1) Prisma
+
+Add `area` to `Listing` in `prisma/schema.prisma` and run `npx prisma migrate dev --name add_listing_area`. `lga` stays nullable for rows the clean-up script had to clear. New listings always have one.
+
+```prisma
+model Listing {
+  // ...existing fields
+  state  String
+  lga    String?
+  area   String? // optional town, e.g. "Lekki" in Eti-Osa
+  @@index([state, lga])
+}
+```
+
+---
+
+## 2) Reference data: `src/data/lgas.js`
+
+The LGA names follow INEC's list. The towns in `AREAS` are only suggestions: a listing's area is free text, and they are not exhaustive.
+
+```js
+// server/src/data/lgas.js
+// Local Government Areas by state (774 in all).
+export const LGAS = {
+  'Abia': ['Aba North', 'Aba South', 'Arochukwu', 'Bende', 'Ikwuano', 'Isiala Ngwa North', 'Isiala Ngwa South',
+    'Isuikwuato', 'Obi Ngwa', 'Ohafia', 'Osisioma', 'Ugwunagbo', 'Ukwa East', 'Ukwa West', 'Umuahia North',
+    'Umuahia South', 'Umu Nneochi'],
+  'Adamawa': ['Demsa', 'Fufure', 'Ganye', 'Gayuk', 'Gombi', 'Grie', 'Hong', 'Jada', 'Lamurde', 'Madagali',
+    'Maiha', 'Mayo Belwa', 'Michika', 'Mubi North', 'Mubi South', 'Numan', 'Shelleng', 'Song', 'Toungo',
+    'Yola North', 'Yola South'],
+  'Akwa Ibom': ['Abak', 'Eastern Obolo', 'Eket', 'Esit Eket', 'Essien Udim', 'Etim Ekpo', 'Etinan', 'Ibeno',
+    'Ibesikpo Asutan', 'Ibiono-Ibom', 'Ika', 'Ikono', 'Ikot Abasi', 'Ikot Ekpene', 'Ini', 'Itu', 'Mbo',
+    'Mkpat-Enin', 'Nsit-Atai', 'Nsit-Ibom', 'Nsit-Ubium', 'Obot Akara', 'Okobo', 'Onna', 'Oron', 'Oruk Anam',
+    'Udung-Uko', 'Ukanafun', 'Uruan', 'Urue-Offong/Oruko', 'Uyo'],
+  'Anambra': ['Aguata', 'Anambra East', 'Anambra West', 'Anaocha', 'Awka North', 'Awka South', 'Ayamelum',
+    'Dunukofia', 'Ekwusigo', 'Idemili North', 'Idemili South', 'Ihiala', 'Njikoka', 'Nnewi North',
+    'Nnewi South', 'Ogbaru', 'Onitsha North', 'Onitsha South', 'Orumba North', 'Orumba South', 'Oyi'],
+  'Bauchi': ['Alkaleri', 'Bauchi', 'Bogoro', 'Damban', 'Darazo', 'Dass', 'Gamawa', 'Ganjuwa', 'Giade',
+    'Itas/Gadau', "Jama'are", 'Katagum', 'Kirfi', 'Misau', 'Ningi', 'Shira', 'Tafawa Balewa', 'Toro', 'Warji',
+    'Zaki'],
+  'Bayelsa': ['Brass', 'Ekeremor', 'Kolokuma/Opokuma', 'Nembe', 'Ogbia', 'Sagbama', 'Southern Ijaw', 'Yenagoa'],
+  'Benue': ['Ado', 'Agatu', 'Apa', 'Buruku', 'Gboko', 'Guma', 'Gwer East', 'Gwer West', 'Katsina-Ala',
+    'Konshisha', 'Kwande', 'Logo', 'Makurdi', 'Obi', 'Ogbadibo', 'Ohimini', 'Oju', 'Okpokwu', 'Otukpo', 'Tarka',
+    'Ukum', 'Ushongo', 'Vandeikya'],
+  'Borno': ['Abadam', 'Askira/Uba', 'Bama', 'Bayo', 'Biu', 'Chibok', 'Damboa', 'Dikwa', 'Gubio', 'Guzamala',
+    'Gwoza', 'Hawul', 'Jere', 'Kaga', 'Kala/Balge', 'Konduga', 'Kukawa', 'Kwaya Kusar', 'Mafa', 'Magumeri',
+    'Maiduguri', 'Marte', 'Mobbar', 'Monguno', 'Ngala', 'Nganzai', 'Shani'],
+  'Cross River': ['Abi', 'Akamkpa', 'Akpabuyo', 'Bakassi', 'Bekwarra', 'Biase', 'Boki', 'Calabar Municipal',
+    'Calabar South', 'Etung', 'Ikom', 'Obanliku', 'Obubra', 'Obudu', 'Odukpani', 'Ogoja', 'Yakuur', 'Yala'],
+  'Delta': ['Aniocha North', 'Aniocha South', 'Bomadi', 'Burutu', 'Ethiope East', 'Ethiope West',
+    'Ika North East', 'Ika South', 'Isoko North', 'Isoko South', 'Ndokwa East', 'Ndokwa West', 'Okpe',
+    'Oshimili North', 'Oshimili South', 'Patani', 'Sapele', 'Udu', 'Ughelli North', 'Ughelli South', 'Ukwuani',
+    'Uvwie', 'Warri North', 'Warri South', 'Warri South West'],
+  'Ebonyi': ['Abakaliki', 'Afikpo North', 'Afikpo South', 'Ebonyi', 'Ezza North', 'Ezza South', 'Ikwo',
+    'Ishielu', 'Ivo', 'Izzi', 'Ohaozara', 'Ohaukwu', 'Onicha'],
+  'Edo': ['Akoko-Edo', 'Egor', 'Esan Central', 'Esan North-East', 'Esan South-East', 'Esan West',
+    'Etsako Central', 'Etsako East', 'Etsako West', 'Igueben', 'Ikpoba-Okha', 'Oredo', 'Orhionmwon',
+    'Ovia North-East', 'Ovia South-West', 'Owan East', 'Owan West', 'Uhunmwonde'],
+  'Ekiti': ['Ado Ekiti', 'Efon', 'Ekiti East', 'Ekiti South-West', 'Ekiti West', 'Emure', 'Gbonyin', 'Ido-Osi',
+    'Ijero', 'Ikere', 'Ikole', 'Ilejemeje', 'Irepodun/Ifelodun', 'Ise/Orun', 'Moba', 'Oye'],
+  'Enugu': ['Aninri', 'Awgu', 'Enugu East', 'Enugu North', 'Enugu South', 'Ezeagu', 'Igbo-Etiti',
+    'Igbo-Eze North', 'Igbo-Eze South', 'Isi-Uzo', 'Nkanu East', 'Nkanu West', 'Nsukka', 'Oji River', 'Udenu',
+    'Udi', 'Uzo-Uwani'],
+  'Gombe': ['Akko', 'Balanga', 'Billiri', 'Dukku', 'Funakaye', 'Gombe', 'Kaltungo', 'Kwami', 'Nafada',
+    'Shongom', 'Yamaltu/Deba'],
+  'Imo': ['Aboh Mbaise', 'Ahiazu Mbaise', 'Ehime Mbano', 'Ezinihitte', 'Ideato North', 'Ideato South',
+    'Ihitte/Uboma', 'Ikeduru', 'Isiala Mbano', 'Isu', 'Mbaitoli', 'Ngor Okpala', 'Njaba', 'Nkwerre', 'Nwangele',
+    'Obowo', 'Oguta', 'Ohaji/Egbema', 'Okigwe', 'Onuimo', 'Orlu', 'Orsu', 'Oru East', 'Oru West',
+    'Owerri Municipal', 'Owerri North', 'Owerri West'],
+  'Jigawa': ['Auyo', 'Babura', 'Biriniwa', 'Birnin Kudu', 'Buji', 'Dutse', 'Gagarawa', 'Garki', 'Gumel', 'Guri',
+    'Gwaram', 'Gwiwa', 'Hadejia', 'Jahun', 'Kafin Hausa', 'Kaugama', 'Kazaure', 'Kiri Kasama', 'Kiyawa',
+    'Maigatari', 'Malam Madori', 'Miga', 'Ringim', 'Roni', 'Sule Tankarkar', 'Taura', 'Yankwashi'],
+  'Kaduna': ['Birnin Gwari', 'Chikun', 'Giwa', 'Igabi', 'Ikara', 'Jaba', "Jema'a", 'Kachia', 'Kaduna North',
+    'Kaduna South', 'Kagarko', 'Kajuru', 'Kaura', 'Kauru', 'Kubau', 'Kudan', 'Lere', 'Makarfi', 'Sabon Gari',
+    'Sanga', 'Soba', 'Zangon Kataf', 'Zaria'],
+  'Kano': ['Ajingi', 'Albasu', 'Bagwai', 'Bebeji', 'Bichi', 'Bunkure', 'Dala', 'Dambatta', 'Dawakin Kudu',
+    'Dawakin Tofa', 'Doguwa', 'Fagge', 'Gabasawa', 'Garko', 'Garun Mallam', 'Gaya', 'Gezawa', 'Gwale', 'Gwarzo',
+    'Kabo', 'Kano Municipal', 'Karaye', 'Kibiya', 'Kiru', 'Kumbotso', 'Kunchi', 'Kura', 'Madobi', 'Makoda',
+    'Minjibir', 'Nasarawa', 'Rano', 'Rimin Gado', 'Rogo', 'Shanono', 'Sumaila', 'Takai', 'Tarauni', 'Tofa',
+    'Tsanyawa', 'Tudun Wada', 'Ungogo', 'Warawa', 'Wudil'],
+  'Katsina': ['Bakori', 'Batagarawa', 'Batsari', 'Baure', 'Bindawa', 'Charanchi', 'Dan Musa', 'Dandume',
+    'Danja', 'Daura', 'Dutsi', 'Dutsin Ma', 'Faskari', 'Funtua', 'Ingawa', 'Jibia', 'Kafur', 'Kaita', 'Kankara',
+    'Kankia', 'Katsina', 'Kurfi', 'Kusada', "Mai'Adua", 'Malumfashi', 'Mani', 'Mashi', 'Matazu', 'Musawa',
+    'Rimi', 'Sabuwa', 'Safana', 'Sandamu', 'Zango'],
+  'Kebbi': ['Aleiro', 'Arewa Dandi', 'Argungu', 'Augie', 'Bagudo', 'Birnin Kebbi', 'Bunza', 'Dandi', 'Fakai',
+    'Gwandu', 'Jega', 'Kalgo', 'Koko/Besse', 'Maiyama', 'Ngaski', 'Sakaba', 'Shanga', 'Suru', 'Wasagu/Danko',
+    'Yauri', 'Zuru'],
+  'Kogi': ['Adavi', 'Ajaokuta', 'Ankpa', 'Bassa', 'Dekina', 'Ibaji', 'Idah', 'Igalamela-Odolu', 'Ijumu',
+    'Kabba/Bunu', 'Kogi', 'Lokoja', 'Mopa-Muro', 'Ofu', 'Ogori/Magongo', 'Okehi', 'Okene', 'Olamaboro', 'Omala',
+    'Yagba East', 'Yagba West'],
+  'Kwara': ['Asa', 'Baruten', 'Edu', 'Ekiti', 'Ifelodun', 'Ilorin East', 'Ilorin South', 'Ilorin West',
+    'Irepodun', 'Isin', 'Kaiama', 'Moro', 'Offa', 'Oke Ero', 'Oyun', 'Pategi'],
+  'Lagos': ['Agege', 'Ajeromi-Ifelodun', 'Alimosho', 'Amuwo-Odofin', 'Apapa', 'Badagry', 'Epe', 'Eti-Osa',
+    'Ibeju-Lekki', 'Ifako-Ijaiye', 'Ikeja', 'Ikorodu', 'Kosofe', 'Lagos Island', 'Lagos Mainland', 'Mushin',
+    'Ojo', 'Oshodi-Isolo', 'Shomolu', 'Surulere'],
+  'Nasarawa': ['Akwanga', 'Awe', 'Doma', 'Karu', 'Keana', 'Keffi', 'Kokona', 'Lafia', 'Nasarawa',
+    'Nasarawa Egon', 'Obi', 'Toto', 'Wamba'],
+  'Niger': ['Agaie', 'Agwara', 'Bida', 'Borgu', 'Bosso', 'Chanchaga', 'Edati', 'Gbako', 'Gurara', 'Katcha',
+    'Kontagora', 'Lapai', 'Lavun', 'Magama', 'Mariga', 'Mashegu', 'Mokwa', 'Munya', 'Paikoro', 'Rafi', 'Rijau',
+    'Shiroro', 'Suleja', 'Tafa', 'Wushishi'],
+  'Ogun': ['Abeokuta North', 'Abeokuta South', 'Ado-Odo/Ota', 'Ewekoro', 'Ifo', 'Ijebu East', 'Ijebu North',
+    'Ijebu North East', 'Ijebu Ode', 'Ikenne', 'Imeko Afon', 'Ipokia', 'Obafemi Owode', 'Odeda', 'Odogbolu',
+    'Ogun Waterside', 'Remo North', 'Shagamu', 'Yewa North', 'Yewa South'],
+  'Ondo': ['Akoko North-East', 'Akoko North-West', 'Akoko South-East', 'Akoko South-West', 'Akure North',
+    'Akure South', 'Ese Odo', 'Idanre', 'Ifedore', 'Ilaje', 'Ile Oluji/Okeigbo', 'Irele', 'Odigbo', 'Okitipupa',
+    'Ondo East', 'Ondo West', 'Ose', 'Owo'],
+  'Osun': ['Aiyedaade', 'Aiyedire', 'Atakunmosa East', 'Atakunmosa West', 'Boluwaduro', 'Boripe', 'Ede North',
+    'Ede South', 'Egbedore', 'Ejigbo', 'Ife Central', 'Ife East', 'Ife North', 'Ife South', 'Ifedayo',
+    'Ifelodun', 'Ila', 'Ilesa East', 'Ilesa West', 'Irepodun', 'Irewole', 'Isokan', 'Iwo', 'Obokun', 'Odo Otin',
+    'Ola Oluwa', 'Olorunda', 'Oriade', 'Orolu', 'Osogbo'],
+  'Oyo': ['Afijio', 'Akinyele', 'Atiba', 'Atisbo', 'Egbeda', 'Ibadan North', 'Ibadan North-East',
+    'Ibadan North-West', 'Ibadan South-East', 'Ibadan South-West', 'Ibarapa Central', 'Ibarapa East',
+    'Ibarapa North', 'Ido', 'Irepo', 'Iseyin', 'Itesiwaju', 'Iwajowa', 'Kajola', 'Lagelu', 'Ogbomosho North',
+    'Ogbomosho South', 'Ogo Oluwa', 'Olorunsogo', 'Oluyole', 'Ona Ara', 'Orelope', 'Ori Ire', 'Oyo East',
+    'Oyo West', 'Saki East', 'Saki West', 'Surulere'],
+  'Plateau': ['Barkin Ladi', 'Bassa', 'Bokkos', 'Jos East', 'Jos North', 'Jos South', 'Kanam', 'Kanke',
+    'Langtang North', 'Langtang South', 'Mangu', 'Mikang', 'Pankshin', "Qua'an Pan", 'Riyom', 'Shendam', 'Wase'],
+  'Rivers': ['Abua/Odual', 'Ahoada East', 'Ahoada West', 'Akuku-Toru', 'Andoni', 'Asari-Toru', 'Bonny',
+    'Degema', 'Eleme', 'Emohua', 'Etche', 'Gokana', 'Ikwerre', 'Khana', 'Obio/Akpor', 'Ogba/Egbema/Ndoni',
+    'Ogu/Bolo', 'Okrika', 'Omuma', 'Opobo/Nkoro', 'Oyigbo', 'Port Harcourt', 'Tai'],
+  'Sokoto': ['Binji', 'Bodinga', 'Dange Shuni', 'Gada', 'Goronyo', 'Gudu', 'Gwadabawa', 'Illela', 'Isa',
+    'Kebbe', 'Kware', 'Rabah', 'Sabon Birni', 'Shagari', 'Silame', 'Sokoto North', 'Sokoto South', 'Tambuwal',
+    'Tangaza', 'Tureta', 'Wamako', 'Wurno', 'Yabo'],
+  'Taraba': ['Ardo Kola', 'Bali', 'Donga', 'Gashaka', 'Gassol', 'Ibi', 'Jalingo', 'Karim Lamido', 'Kumi', 'Lau',
+    'Sardauna', 'Takum', 'Ussa', 'Wukari', 'Yorro', 'Zing'],
+  'Yobe': ['Bade', 'Bursari', 'Damaturu', 'Fika', 'Fune', 'Geidam', 'Gujba', 'Gulani', 'Jakusko', 'Karasuwa',
+    'Machina', 'Nangere', 'Nguru', 'Potiskum', 'Tarmuwa', 'Yunusari', 'Yusufari'],
+  'Zamfara': ['Anka', 'Bakura', 'Birnin Magaji/Kiyaw', 'Bukkuyum', 'Bungudu', 'Gummi', 'Gusau', 'Kaura Namoda',
+    'Maradun', 'Maru', 'Shinkafi', 'Talata Mafara', 'Tsafe', 'Zurmi'],
+  'FCT': ['Abaji', 'Bwari', 'Gwagwalada', 'Kuje', 'Kwali', 'Municipal Area Council'],
+};
+
+// Optional towns/areas people search by, keyed by state and LGA.
+export const AREAS = {
+  'Lagos': {
+    'Agege': ['Dopemu', 'Orile Agege'],
+    'Alimosho': ['Egbeda', 'Idimu', 'Igando', 'Ikotun', 'Ipaja'],
+    'Amuwo-Odofin': ['Festac Town', 'Mile 2', 'Satellite Town'],
+    'Eti-Osa': ['Ajah', 'Ikoyi', 'Lekki', 'Oniru', 'Victoria Island'],
+    'Ibeju-Lekki': ['Awoyaya', 'Eleko', 'Lakowe'],
+    'Ikeja': ['Alausa', 'Allen', 'Computer Village', 'GRA Ikeja', 'Opebi', 'Oregun'],
+    'Ikorodu': ['Igbogbo', 'Ijede'],
+    'Kosofe': ['Ketu', 'Mile 12', 'Ogudu', 'Ojota'],
+    'Lagos Island': ['Idumota', 'Marina', 'Obalende'],
+    'Lagos Mainland': ['Ebute Metta', 'Oyingbo', 'Yaba'],
+    'Mushin': ['Idi-Araba', 'Papa Ajao'],
+    'Ojo': ['Alaba', 'Iba'],
+    'Oshodi-Isolo': ['Ajao Estate', 'Ejigbo', 'Isolo', 'Okota'],
+    'Shomolu': ['Bariga', 'Onipanu'],
+    'Surulere': ['Aguda', 'Ijesha', 'Ojuelegba'],
+  },
+  'FCT': {
+    'Bwari': ['Dutse', 'Kubwa'],
+    'Municipal Area Council': ['Asokoro', 'Garki', 'Gwarinpa', 'Jabi', 'Lugbe', 'Maitama', 'Utako', 'Wuse'],
+  },
+  'Rivers': {
+    'Obio/Akpor': ['Choba', 'Eliozu', 'Rumuokoro', 'Rumuola'],
+    'Port Harcourt': ['Borokiri', 'D-Line', 'Diobu', 'Old GRA'],
+  },
+  'Oyo': {
+    'Ibadan North': ['Agodi', 'Bodija', 'Sango'],
+    'Ibadan South-West': ['Oke-Ado', 'Ring Road'],
+  },
+  'Kano': {
+    'Fagge': ['Sabon Gari'],
+    'Nasarawa': ['Bompai'],
+  },
+  'Enugu': {
+    'Enugu North': ['Asata', 'GRA Enugu', 'Ogui'],
+    'Enugu South': ['Achara Layout', 'Uwani'],
+  },
+};
+```
+
+`src/data/states.js` now derives the list, so `services/profiles.js` keeps its import:
+
+```js
+// server/src/data/states.js
+import { LGAS } from './lgas.js';
+
+export const STATES = Object.keys(LGAS);
+```
+
+---
+
+## 3) Location service: `src/services/locations.js`
+
+```js
+// server/src/services/locations.js
+import { LGAS, AREAS } from '../data/lgas.js';
+
+// Comparison key for place names typed by hand: "Ikeja LGA", "ikeja " and "IKEJA" all match "Ikeja".
+export function placeKey(name) {
+  return String(name || '').toLowerCase().replace(/\b(local government( area)?|lga)\b/g, '').replace(/[^a-z0-9]/g, '');
+}
+
+// The official spelling of a hand-typed LGA (or of a town listed in AREAS) in a state, or null.
+export function normalizeLga(state, name) {
+  const key = placeKey(name);
+  if (!key || !LGAS[state]) return null;
+  const areas = AREAS[state] || {};
+  return LGAS[state].find(l => placeKey(l) === key)
+    || Object.keys(areas).find(l => areas[l].some(a => placeKey(a) === key))
+    || null;
+}
+
+// Returns { location: { state, lga } } with the official names, or { error }.
+// An empty LGA is allowed unless lgaRequired (addresses and state-wide delivery zones have none).
+export function parseLocation({ state, lga }, { lgaRequired = false } = {}) {
+  const s = String(state || '').trim();
+  if (!LGAS[s]) return { error: 'Unknown state' };
+  if (!String(lga || '').trim()) return lgaRequired ? { error: 'lga required' } : { location: { state: s, lga: null } };
+  const official = normalizeLga(s, lga);
+  if (!official) return { error: `${String(lga).trim()} is not an LGA in ${s}` };
+  return { location: { state: s, lga: official } };
+}
+```
+
+---
+
+## 4) Listings: `src/routes/listings.js` (changes)
+
+`area` becomes editable. Create and update run the state/LGA pair through `parseLocation`. An update that touches only one of the two is checked against the other's stored value.
+
+```js
+// server/src/routes/listings.js
+import { parseLocation } from '../services/locations.js';
+
+const EDITABLE = ['title', 'description', 'price', 'category', 'state', 'lga', 'area', 'images', 'delivery', 'qty', 'active'];
+
+// POST /api/listings — always owned by the caller; a sellerId in the body is ignored
+router.post('/', ...authorize('listing:create'), async (req, res) => {
+  try {
+    const data = pick(req.body);
+    if (!data.title || !(data.price >= 0) || !data.category || !data.state) return res.status(400).json({ error: 'title, price, category and state required' });
+    const place = parseLocation(data, { lgaRequired: true });
+    if (place.error) return res.status(400).json({ error: place.error });
+    const listing = await prisma.listing.create({ data: { ...data, ...place.location, sellerId: req.user.id } });
+    res.json({ ok: true, listing });
+  } catch (e) { console.error('create listing error', e); res.status(500).json({ error: e.message }); }
+});
+
+// PATCH /api/listings/:id — the owner, support or admin; ownership cannot be changed
+router.patch('/:id', ...authorize('listing:update', { load: loadListing }), async (req, res) => {
+  try {
+    const data = pick(req.body);
+    if (data.state !== undefined || data.lga !== undefined) {
+      const place = parseLocation({ state: data.state ?? req.resource.state, lga: data.lga ?? req.resource.lga }, { lgaRequired: true });
+      if (place.error) return res.status(400).json({ error: place.error });
+      Object.assign(data, place.location);
+    }
+    const listing = await prisma.listing.update({ where: { id: req.resource.id }, data });
+    res.json({ ok: true, listing });
+  } catch (e) { console.error('update listing error', e); res.status(500).json({ error: e.message }); }
+});
+```
+
+`GET /api/listings` also takes `lga`. It is normalised the same way, so `?state=Lagos&lga=ikeja` finds Ikeja listings:
+
+```js
+// server/src/routes/listings.js — GET /
+const { q, state, lga, category } = req.query;
+const where = { active: true };
+if (state) where.state = state;
+if (state && lga) where.lga = normalizeLga(state, lga) || lga;
+```
+
+(`normalizeLga` is imported next to `parseLocation`.)
+
+---
+
+## 5) Addresses and delivery zones (changes)
+
+`parseAddress` and `parseSellerProfile` in `services/profiles.js` check the pair and store the official LGA:
+
+```js
+// server/src/services/profiles.js
+import { parseLocation } from './locations.js';
+
+// in parseAddress, replacing the STATES check
+const place = parseLocation(a);
+if (place.error) return { error: place.error };
+Object.assign(a, place.location);
+
+// in parseSellerProfile, after the business address check
+const business = parseLocation({ state: p.businessState, lga: p.businessLga });
+if (business.error) return { error: business.error };
+p.businessLga = business.location.lga;
+```
+
+`PUT /api/shipping/zones` checks every zone. A zone without an LGA still covers the whole state. Because names are now official, the duplicate check no longer needs to lower-case them:
+
+```js
+// server/src/routes/shipping.js
+// PUT /api/shipping/zones { zones: [{ state, lga?, fee (NGN), etaDays }] } — replaces the seller's zones
+router.put('/zones', ...authorize('seller:settings'), async (req, res) => {
+  try {
+    const zones = req.body.zones;
+    if (!Array.isArray(zones) || zones.some(z => !z || !z.state || !(Number(z.fee) >= 0))) {
+      return res.status(400).json({ error: 'zones must be [{ state, lga?, fee, etaDays }]' });
+    }
+    const places = zones.map(z => parseLocation(z));
+    const bad = places.find(p => p.error);
+    if (bad) return res.status(400).json({ error: bad.error });
+    const rows = zones.map((z, i) => ({
+      sellerId: req.user.id,
+      state: places[i].location.state,
+      lga: places[i].location.lga || '',
+      fee: Math.round(Number(z.fee) * 100),
+      etaDays: Math.max(1, Number(z.etaDays) || 2),
+    }));
+    const keys = new Set(rows.map(r => `${r.state}|${r.lga}`));
+    if (keys.size !== rows.length) return res.status(400).json({ error: 'Each state/LGA may only appear once' });
+
+    await prisma.$transaction([
+      prisma.deliveryZone.deleteMany({ where: { sellerId: req.user.id } }),
+      prisma.deliveryZone.createMany({ data: rows }),
+    ]);
+    const saved = await prisma.deliveryZone.findMany({ where: { sellerId: req.user.id } });
+    res.json({ ok: true, zones: saved });
+  } catch (e) { console.error('zones save error', e); res.status(500).json({ error: e.message }); }
+});
+```
+
+---
+
+## 6) Locations endpoint: `src/routes/locations.js`
+
+The client loads the list from the server instead of bundling its own copy. It only changes with a deploy, so browsers may cache it for a day.
+
+```js
+// server/src/routes/locations.js
+import express from 'express';
+import { LGAS, AREAS } from '../data/lgas.js';
+import { publicRoute } from '../middlewares/permissions.js';
+
+const router = express.Router();
+
+// GET /api/locations — { states: { [state]: [lga] }, areas: { [state]: { [lga]: [town] } } }
+router.get('/', publicRoute('reference data'), (req, res) => {
+  res.set('Cache-Control', 'public, max-age=86400');
+  res.json({ ok: true, states: LGAS, areas: AREAS });
+});
+
+export default router;
+```
+
+`src/index.js`:
+
+```js
+import locationsRoutes from './routes/locations.js';
+
+app.use('/api/locations', locationsRoutes);
+```
+
+`server/tests/permissions.test.js` — new row in `EXPECTED`:
+
+```js
+const EXPECTED = {
+  // ...
+  'GET /api/locations': 'public',
+};
+```
+
+---
+
+## 7) Clean-up script: `server/scripts/clean-lgas.js`
+
+Run it once after deploying: `node scripts/clean-lgas.js --dry-run` prints what would change, and `node scripts/clean-lgas.js` applies it. Listings already using an official name are left alone.
+
+```js
+// server/scripts/clean-lgas.js
+import { PrismaClient } from '@prisma/client';
+import { LGAS } from '../src/data/lgas.js';
+import { normalizeLga } from '../src/services/locations.js';
+
+const prisma = new PrismaClient();
+const dryRun = process.argv.includes('--dry-run');
+
+async function main() {
+  const listings = await prisma.listing.findMany({ select: { id: true, state: true, lga: true } });
+  const changes = listings
+    .filter(l => !(LGAS[l.state] || []).includes(l.lga))
+    .map(l => ({ id: l.id, from: l.lga, to: normalizeLga(l.state, l.lga) }));
+
+  for (const c of changes) {
+    console.log(`${c.id}: ${JSON.stringify(c.from)} -> ${c.to ? JSON.stringify(c.to) : 'cleared'}`);
+    if (!dryRun) await prisma.listing.update({ where: { id: c.id }, data: { lga: c.to } });
+  }
+  const cleared = changes.filter(c => !c.to).length;
+  console.log(`${listings.length} listings, ${changes.length - cleared} renamed, ${cleared} cleared${dryRun ? ' (dry run)' : ''}`);
+}
+
+main().catch(e => { console.error(e); process.exitCode = 1; }).finally(() => prisma.$disconnect());
+```
+
+Listings in an unknown state (such as the old `Unknown` default) are only reported, not fixed. Their `lga` is cleared and the seller chooses both on the next edit.
+
+---
+
+## 8) Client
+
+`client/src/utils/api.js`:
+
+```js
+let locations = null;
+// Fetched once per page load; the server marks it cacheable for a day.
+export const getLocations = () => (locations ||= fetch(`${API}/locations`).then(r => r.json()));
+```
+
+`client/src/components/LocationPicker.jsx`:
+
+```jsx
+// client/src/components/LocationPicker.jsx
+import { useEffect, useState } from 'react';
+import { getLocations } from '../utils/api';
+
+// value: { state, lga }. allowAll adds an "All" choice for filters; emptyLga names the blank LGA.
+export default function LocationPicker({ value, onChange, allowAll = false, emptyLga = 'Choose LGA' }) {
+  const [states, setStates] = useState({});
+  useEffect(() => { getLocations().then(r => setStates(r.states || {})); }, []);
+  const lgas = states[value.state] || [];
+
+  return (
+    <div className="flex gap-2">
+      <select value={value.state} onChange={e => onChange({ state: e.target.value, lga: '' })} className="p-2 border rounded">
+        {allowAll && <option>All</option>}
+        {Object.keys(states).map(s => <option key={s}>{s}</option>)}
+      </select>
+      <select value={value.lga || ''} onChange={e => onChange({ ...value, lga: e.target.value })} disabled={!lgas.length} className="p-2 border rounded">
+        <option value="">{emptyLga}</option>
+        {lgas.map(l => <option key={l}>{l}</option>)}
+      </select>
+    </div>
+  );
+}
+```
+
+It replaces the state select and LGA box in:
+- `pages/CreateListing.jsx`, which also gets an **Area / town** input with the `areas` suggestions for the chosen LGA
+- `pages/Browse.jsx`, with `allowAll` and `emptyLga="All LGAs"`; `lga` is sent as a query parameter
+- the cart's delivery address
+- address forms in **Account**
+- delivery zones, with `emptyLga="Whole state"`
+
+---
+
+## 9) Tests: `server/tests/locations.test.js`
+
+```js
+// server/tests/locations.test.js
+import { LGAS } from '../src/data/lgas.js';
+import { STATES } from '../src/data/states.js';
+import { normalizeLga, parseLocation } from '../src/services/locations.js';
+
+describe('locations', () => {
+  test('36 states and the FCT with 774 LGAs between them', () => {
+    expect(STATES).toHaveLength(37);
+    expect(Object.values(LGAS).flat()).toHaveLength(774);
+    expect(LGAS.Kano).toHaveLength(44);
+    expect(LGAS.Lagos).toHaveLength(20);
+    expect(LGAS.FCT).toHaveLength(6);
+    for (const lgas of Object.values(LGAS)) expect(new Set(lgas).size).toBe(lgas.length);
+  });
+
+  test('hand-typed LGAs map to the official name', () => {
+    expect(normalizeLga('Lagos', 'ikeja ')).toBe('Ikeja');
+    expect(normalizeLga('Lagos', 'Ikeja LGA')).toBe('Ikeja');
+    expect(normalizeLga('Lagos', 'eti osa')).toBe('Eti-Osa');
+    expect(normalizeLga('Rivers', 'Obio Akpor Local Government Area')).toBe('Obio/Akpor');
+    expect(normalizeLga('Lagos', 'Lekki')).toBe('Eti-Osa'); // a town listed under AREAS
+    expect(normalizeLga('Lagos', 'Unknown')).toBe(null);
+    expect(normalizeLga('Kano', 'Ikeja')).toBe(null);
+  });
+
+  test('a listing needs a real state/LGA pair', () => {
+    expect(parseLocation({ state: 'Lagos', lga: 'ikeja' }, { lgaRequired: true })).toEqual({ location: { state: 'Lagos', lga: 'Ikeja' } });
+    expect(parseLocation({ state: 'Lagos', lga: '' }, { lgaRequired: true }).error).toBe('lga required');
+    expect(parseLocation({ state: 'Kano', lga: 'Ikeja' }).error).toBe('Ikeja is not an LGA in Kano');
+    expect(parseLocation({ state: 'Unknown', lga: 'Ikeja' }).error).toBe('Unknown state');
+  });
+
+  test('addresses and state-wide zones may leave the LGA out', () => {
+    expect(parseLocation({ state: 'FCT' })).toEqual({ location: { state: 'FCT', lga: null } });
+  });
+});
+```
+
+A listings integration test (`listings.int.test.js`, same setup as `profiles.int.test.js`) checks three requests. `POST /api/listings` with `{ state: 'Kano', lga: 'Ikeja' }` returns 400. `PATCH` with only `{ lga: 'surulere' }` on a Lagos listing stores `Surulere`. `PATCH` with only `{ state: 'Kano' }` on that listing returns 400, because Surulere is not in Kano.
+
+---
+
+## 10) How it works (end-to-end)
+
+1. **Pick**: The picker loads `GET /api/locations` once. Choosing a state fills the LGA list with that state's LGAs and clears the previous choice. Sellers may add a town from the suggestions or type their own.
+2. **Save**: Listing, address and zone routes run the pair through `parseLocation`. An LGA that does not belong to the state is a 400. A spelling variant is saved under the official name. Listings must have an LGA; addresses and zones may leave it out.
+3. **Browse**: `?state=&lga=` filters by exact LGA. Because stored names are official, "Ikeja" finds every Ikeja listing. Same-LGA delivery pricing now matches too.
+4. **Old data**: `scripts/clean-lgas.js` renames recognisable LGAs and clears the rest. A cleared listing stays visible under its state until the seller picks an LGA on the next edit.
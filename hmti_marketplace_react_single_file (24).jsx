@@ -0,0 +1,461 @@
+# MarketMate — Listing Search: Full-Text Relevance, Facets and Cursor Pagination
+
+**Browse** loaded every listing into memory and matched `title.toLowerCase().includes(q)`. "phones" missed "Phone", a typo found nothing, and results came in no useful order. On the server, `fetchListings(query)` passed a raw query string to `GET /api/listings`. That route did a `contains` on two columns and returned the newest 100 rows. This update turns `GET /api/listings` into the search endpoint:
+
+- **Full-text relevance** — a Postgres `tsvector` over title (weight A), category (B) and description (C), with a GIN index. Queries go through `websearch_to_tsquery('english', q)`, so quoted phrases and `-word` work. Stemming folds plurals: "phones" finds "phone".
+- **Typos** — when a search returns nothing, each word the catalogue has never seen is swapped for the closest word it has. Closeness is edit distance 1 for short words and 2 for long ones, so "samsnug" becomes "samsung". The response says so (`corrected`), and the UI shows "Showing results for samsung".
+- **Facets** — counts per category, state, delivery option and price bucket. Each facet ignores its own filter, so choosing Lagos still shows how many results Ogun has.
+- **Cursor pagination** — `nextCursor` is an opaque keyset over (sort value, id). Pages stay stable while new listings arrive, and deep pages cost the same as the first.
+- **Sorts** — `relevance` (default when there is a query), `newest`, `price_asc`, `price_desc`, `nearest` (from the near-me search).
+- **Demo** — **Browse** runs the same ranking, typo and facet logic in memory. The selects show counts, and results load 12 at a time as you scroll.
+
+---
+
+## 1) Database
+
+Prisma cannot declare generated columns or materialized views. Create the migration with `npx prisma migrate dev --create-only --name add_listing_search`, fill it with the SQL below, then run `npx prisma migrate dev`.
+
+```sql
+CREATE EXTENSION IF NOT EXISTS fuzzystrmatch;
+
+ALTER TABLE "Listing" ADD COLUMN "search" tsvector GENERATED ALWAYS AS (
+  setweight(to_tsvector('english', coalesce("title", '')), 'A') ||
+  setweight(to_tsvector('english', coalesce("category", '')), 'B') ||
+  setweight(to_tsvector('english', coalesce("description", '')), 'C')
+) STORED;
+CREATE INDEX "Listing_search_idx" ON "Listing" USING GIN ("search");
+CREATE INDEX "Listing_active_createdAt_idx" ON "Listing" ("active", "createdAt" DESC, "id" DESC);
+
+-- Vocabulary for typo correction: each word in active listings, its english stem and how many listings use it
+CREATE MATERIALIZED VIEW search_terms AS
+  SELECT word, (ts_lexize('english_stem', word))[1] AS stem, ndoc
+  FROM ts_stat($$SELECT to_tsvector('simple', coalesce("title", '') || ' ' || coalesce("category", '') || ' ' || coalesce("description", '')) FROM "Listing" WHERE "active"$$)
+  WHERE length(word) >= 3 AND word !~ '[0-9]';
+CREATE UNIQUE INDEX search_terms_word ON search_terms (word text_pattern_ops);
+CREATE INDEX search_terms_stem ON search_terms (stem);
+```
+
+Declare the column in `prisma/schema.prisma` so later migrations leave it alone. Prisma never writes it, because Postgres computes it:
+
+```prisma
+model Listing {
+  // ...existing fields
+  search Unsupported("tsvector")?
+}
+```
+
+---
+
+## 2) Search service: `src/services/search.js`
+
+```js
+// server/src/services/search.js
+import { Prisma, PrismaClient } from '@prisma/client';
+import { normalizeLga } from './locations.js';
+import { originFrom, boundingBox, DEFAULT_RADIUS_KM, MAX_RADIUS_KM } from './geo.js';
+
+const prisma = new PrismaClient();
+
+export const PAGE_SIZE = 24;
+export const MAX_PAGE_SIZE = 60;
+export const SORTS = ['relevance', 'newest', 'price_asc', 'price_desc', 'nearest'];
+export const DELIVERY = ['pickup', 'delivery'];
+
+// NGN; max is exclusive
+export const PRICE_BUCKETS = [
+  { key: 'under_5k', label: 'Under ₦5,000', min: 0, max: 5000 },
+  { key: '5k_20k', label: '₦5,000 – ₦20,000', min: 5000, max: 20000 },
+  { key: '20k_100k', label: '₦20,000 – ₦100,000', min: 20000, max: 100000 },
+  { key: '100k_500k', label: '₦100,000 – ₦500,000', min: 100000, max: 500000 },
+  { key: 'over_500k', label: 'Over ₦500,000', min: 500000, max: null },
+];
+
+// What Browse needs to draw a card and link the shop
+const LISTING_INCLUDE = { seller: { select: { id: true, name: true, verified: true, sellerProfile: { select: { slug: true, shopName: true } } } } };
+
+// Opaque to the client: the sort it belongs to, the last row's sort value and its id.
+export function encodeCursor(sort, value, id) {
+  return Buffer.from(JSON.stringify([sort, value instanceof Date ? value.toISOString() : value, id])).toString('base64url');
+}
+
+export function decodeCursor(cursor, sort) {
+  try {
+    const [s, value, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (s !== sort || typeof id !== 'string') return null;
+    return { value: sort === 'newest' ? new Date(value) : Number(value), id };
+  } catch { return null; }
+}
+
+// Returns { params } or { error }
+export function parseSearch(query) {
+  const q = String(query.q || '').trim().slice(0, 100);
+  const origin = originFrom(query);
+  if (origin && origin.error) return { error: origin.error };
+
+  let sort = query.sort || 'relevance';
+  if (!SORTS.includes(sort)) return { error: 'Unknown sort' };
+  if (sort === 'relevance' && !q) sort = 'newest';
+  if (sort === 'nearest' && !origin) return { error: 'sort=nearest needs lat/lng or nearState' };
+
+  const price = query.price ? PRICE_BUCKETS.find(b => b.key === query.price) : null;
+  if (query.price && !price) return { error: 'Unknown price range' };
+  if (query.delivery && !DELIVERY.includes(query.delivery)) return { error: 'delivery must be pickup or delivery' };
+  const cursor = query.cursor ? decodeCursor(query.cursor, sort) : null;
+  if (query.cursor && !cursor) return { error: 'Invalid cursor' };
+
+  const state = query.state ? String(query.state) : null;
+  return {
+    params: {
+      q, sort, cursor, origin, price,
+      category: query.category ? String(query.category) : null,
+      state,
+      lga: state && query.lga ? normalizeLga(state, query.lga) || String(query.lga) : null,
+      delivery: query.delivery || null,
+      radiusKm: origin ? Math.min(Number(query.radiusKm) || DEFAULT_RADIUS_KM, MAX_RADIUS_KM) : null,
+      limit: Math.min(Math.max(1, Math.floor(Number(query.limit)) || PAGE_SIZE), MAX_PAGE_SIZE),
+    },
+  };
+}
+
+const tsquery = q => Prisma.sql`websearch_to_tsquery('english', ${q})`;
+
+// Haversine in SQL, km
+function distanceSql({ lat, lng }) {
+  return Prisma.sql`(2 * 6371 * asin(sqrt(power(sin(radians(l.lat - ${lat}) / 2), 2) + cos(radians(${lat})) * cos(radians(l.lat)) * power(sin(radians(l.lng - ${lng}) / 2), 2))))`;
+}
+
+// except names a facet whose own filter is left out, so its counts show what picking
+// another value would return.
+function whereSql(p, except = null) {
+  const c = [Prisma.sql`l.active = true`];
+  if (p.q) c.push(Prisma.sql`l.search @@ ${tsquery(p.q)}`);
+  if (p.category && except !== 'category') c.push(Prisma.sql`l.category = ${p.category}`);
+  if (p.state && except !== 'state') c.push(Prisma.sql`l.state = ${p.state}`);
+  if (p.lga && except !== 'state') c.push(Prisma.sql`l.lga = ${p.lga}`);
+  if (p.delivery && except !== 'delivery') c.push(Prisma.sql`l.delivery = ${p.delivery}`);
+  if (p.price && except !== 'price') {
+    c.push(Prisma.sql`l.price >= ${p.price.min}`);
+    if (p.price.max !== null) c.push(Prisma.sql`l.price < ${p.price.max}`);
+  }
+  if (p.origin) {
+    // The box uses the (lat, lng) index; the distance check drops its corners.
+    const box = boundingBox(p.origin, p.radiusKm);
+    c.push(Prisma.sql`l.lat BETWEEN ${box.minLat} AND ${box.maxLat} AND l.lng BETWEEN ${box.minLng} AND ${box.maxLng}`);
+    c.push(Prisma.sql`${distanceSql(p.origin)} <= ${p.radiusKm}`);
+  }
+  return Prisma.join(c, ' AND ');
+}
+
+// Sort key and direction. Relevance is cast to float8 so the cursor's copy compares equal.
+function sortSql(p) {
+  switch (p.sort) {
+    case 'relevance': return { key: Prisma.sql`ts_rank_cd(l.search, ${tsquery(p.q)})::float8`, dir: 'DESC' };
+    case 'price_asc': return { key: Prisma.sql`l.price`, dir: 'ASC' };
+    case 'price_desc': return { key: Prisma.sql`l.price`, dir: 'DESC' };
+    case 'nearest': return { key: distanceSql(p.origin), dir: 'ASC' };
+    default: return { key: Prisma.sql`l."createdAt"`, dir: 'DESC' };
+  }
+}
+
+async function facetCounts(p) {
+  // column is one of the fixed names below, never user input
+  const count = column => prisma.$queryRaw`
+    SELECT ${Prisma.raw(`l."${column}"`)} AS value, count(*)::int AS count
+    FROM "Listing" l WHERE ${whereSql(p, column)}
+    GROUP BY 1 ORDER BY 2 DESC LIMIT 50`;
+  const bounded = PRICE_BUCKETS.filter(b => b.max !== null);
+  const bucket = Prisma.sql`CASE ${Prisma.join(bounded.map(b => Prisma.sql`WHEN l.price < ${b.max} THEN ${b.key}`), ' ')} ELSE ${PRICE_BUCKETS[PRICE_BUCKETS.length - 1].key} END`;
+
+  const [category, state, delivery, price] = await Promise.all([
+    count('category'), count('state'), count('delivery'),
+    prisma.$queryRaw`SELECT ${bucket} AS value, count(*)::int AS count FROM "Listing" l WHERE ${whereSql(p, 'price')} GROUP BY 1`,
+  ]);
+  const byValue = rows => Object.fromEntries(rows.map(r => [r.value, r.count]));
+  const prices = byValue(price);
+  return {
+    category: byValue(category),
+    state: byValue(state),
+    delivery: byValue(delivery),
+    price: PRICE_BUCKETS.map(b => ({ key: b.key, label: b.label, count: prices[b.key] || 0 })),
+  };
+}
+
+// One page of results. total and facets come with the first page only; later pages reuse them.
+export async function searchListings(p) {
+  const { key, dir } = sortSql(p);
+  const order = Prisma.raw(dir);
+  const after = p.cursor
+    ? Prisma.sql`AND (${key}, l.id) ${Prisma.raw(dir === 'DESC' ? '<' : '>')} (${p.cursor.value}, ${p.cursor.id})`
+    : Prisma.empty;
+  const where = whereSql(p);
+
+  const [rows, totals, facets] = await Promise.all([
+    prisma.$queryRaw`
+      SELECT l.id, ${key} AS "sortKey"${p.origin ? Prisma.sql`, ${distanceSql(p.origin)} AS "distanceKm"` : Prisma.empty}
+      FROM "Listing" l
+      WHERE ${where} ${after}
+      ORDER BY "sortKey" ${order}, l.id ${order}
+      LIMIT ${p.limit + 1}`,
+    p.cursor ? null : prisma.$queryRaw`SELECT count(*)::int AS total FROM "Listing" l WHERE ${where}`,
+    p.cursor ? null : facetCounts(p),
+  ]);
+
+  const page = rows.slice(0, p.limit);
+  const found = await prisma.listing.findMany({ where: { id: { in: page.map(r => r.id) } }, include: LISTING_INCLUDE });
+  const byId = new Map(found.map(l => [l.id, l]));
+  const last = page[page.length - 1];
+  return {
+    listings: page.filter(r => byId.has(r.id)).map(r => ({
+      ...byId.get(r.id),
+      ...(r.distanceKm != null ? { distanceKm: Math.round(r.distanceKm * 10) / 10 } : {}),
+    })),
+    nextCursor: rows.length > p.limit ? encodeCursor(p.sort, last.sortKey, last.id) : null,
+    total: totals ? totals[0].total : null,
+    facets,
+  };
+}
+
+// Words the catalogue has never seen are swapped for its closest word ("samsnug" -> "samsung").
+// Words under four letters are left alone: one letter off is usually a different word.
+// Returns the corrected query, or null when nothing changed.
+export async function correctQuery(q) {
+  let changed = false;
+  const words = await Promise.all(q.split(/\s+/).filter(Boolean).map(async word => {
+    const w = word.toLowerCase();
+    const max = w.length < 4 ? 0 : w.length < 7 ? 1 : 2;
+    if (!max || !/^\p{L}+$/u.test(w)) return word;
+    const [known] = await prisma.$queryRaw`
+      SELECT 1 FROM search_terms WHERE word = ${w} OR stem = (ts_lexize('english_stem', ${w}))[1] LIMIT 1`;
+    if (known) return word;
+    // Typos rarely change the first letter, and the prefix keeps this to a slice of the index
+    const [closest] = await prisma.$queryRaw`
+      SELECT word FROM search_terms
+      WHERE word LIKE ${`${w[0]}%`} AND levenshtein_less_equal(word, ${w}, ${max}) <= ${max}
+      ORDER BY levenshtein(word, ${w}), ndoc DESC LIMIT 1`;
+    if (!closest) return word;
+    changed = true;
+    return closest.word;
+  }));
+  return changed ? words.join(' ') : null;
+}
+
+export async function refreshSearchTerms() {
+  await prisma.$executeRaw`REFRESH MATERIALIZED VIEW CONCURRENTLY search_terms`;
+}
+```
+
+---
+
+## 3) Listings: `src/routes/listings.js` (changes)
+
+`GET /api/listings` hands the query to the search service. This replaces the `findMany` and the in-memory distance filter from the near-me search.
+
+```js
+// server/src/routes/listings.js
+import { parseSearch, searchListings, correctQuery } from '../services/search.js';
+
+// GET /api/listings?q=&category=&state=&lga=&delivery=&price=&lat=&lng=|nearState=&nearLga=&radiusKm=&sort=&cursor=&limit=
+// -> { listings, nextCursor, total, facets, corrected }
+router.get('/', publicRoute('browse'), async (req, res) => {
+  try {
+    const parsed = parseSearch(req.query);
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    const params = parsed.params;
+
+    let result = await searchListings(params);
+    // Only a search that found nothing is worth correcting; later pages arrive with the corrected q
+    let corrected = null;
+    if (result.total === 0 && params.q) {
+      corrected = await correctQuery(params.q);
+      if (corrected) result = await searchListings({ ...params, q: corrected });
+    }
+    res.json({ ok: true, ...result, corrected });
+  } catch (e) { console.error('search error', e); res.status(500).json({ error: e.message }); }
+});
+```
+
+`src/index.js`: the typo vocabulary is refreshed every 10 minutes, inside the `NODE_ENV !== 'test'` block with the other timers. `CONCURRENTLY` keeps searches running during the refresh.
+
+```js
+import { refreshSearchTerms } from './services/search.js';
+
+if (process.env.NODE_ENV !== 'test') {
+  // ...listen and escrow auto-release
+  setInterval(() => refreshSearchTerms().catch(e => console.error('search terms refresh error', e)), 10 * 60 * 1000);
+}
+```
+
+---
+
+## 4) Client
+
+`client/src/utils/api.js` — `fetchListings(query)` builds its query string from an object now:
+
+```js
+// params: { q, category, state, lga, delivery, price, lat, lng, nearState, nearLga, radiusKm, sort, cursor }
+export async function fetchListings(params = {}) {
+  const qs = new URLSearchParams(Object.entries(params).filter(([, v]) => v !== undefined && v !== null && v !== '')).toString();
+  const res = await fetch(`${API}/listings${qs ? `?${qs}` : ''}`);
+  return res.json();
+}
+```
+
+`client/src/hooks/useListingSearch.js`:
+
+```js
+// client/src/hooks/useListingSearch.js
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { fetchListings } from '../utils/api';
+
+// First page on every filter change, then loadMore() follows nextCursor. Responses for filters
+// that have since changed are dropped.
+export default function useListingSearch(filters) {
+  const [state, setState] = useState({ listings: [], nextCursor: null, total: null, facets: null, corrected: null, loading: true });
+  const generation = useRef(0);
+
+  useEffect(() => {
+    const gen = ++generation.current;
+    setState(s => ({ ...s, loading: true }));
+    fetchListings(filters).then(r => {
+      if (gen !== generation.current) return;
+      setState({ listings: r.listings || [], nextCursor: r.nextCursor, total: r.total, facets: r.facets, corrected: r.corrected, loading: false });
+    });
+  }, [JSON.stringify(filters)]);
+
+  const loadMore = useCallback(() => {
+    if (!state.nextCursor || state.loading) return;
+    const gen = generation.current;
+    setState(s => ({ ...s, loading: true }));
+    // a corrected query pages through the corrected results
+    fetchListings({ ...filters, q: state.corrected || filters.q, cursor: state.nextCursor }).then(r => {
+      if (gen !== generation.current) return;
+      setState(s => ({ ...s, listings: [...s.listings, ...(r.listings || [])], nextCursor: r.nextCursor, loading: false }));
+    });
+  }, [state.nextCursor, state.loading, state.corrected, JSON.stringify(filters)]);
+
+  return { ...state, loadMore };
+}
+```
+
+`pages/Browse.jsx` uses the hook:
+- **Infinite scroll**: an `IntersectionObserver` on a sentinel below the grid calls `loadMore()` (with `rootMargin: '200px'`), and a **Load more** button covers browsers without it.
+- **Counts**: the filter selects show facet counts: "Phones (12)", "Lagos (40)", "Pickup (7)" and the price buckets.
+- **Summary**: a line above the grid shows `total` and, when set, "Showing results for **{corrected}**".
+- **Sort**: the select gains **Best match**, the default once there is a query.
+
+---
+
+## 5) Tests
+
+`server/tests/search.test.js` covers the parts that need no database:
+
+```js
+// server/tests/search.test.js
+import { parseSearch, encodeCursor, decodeCursor, PAGE_SIZE, MAX_PAGE_SIZE } from '../src/services/search.js';
+
+describe('search params', () => {
+  test('relevance needs a query, otherwise newest', () => {
+    expect(parseSearch({}).params.sort).toBe('newest');
+    expect(parseSearch({ q: 'rice' }).params.sort).toBe('relevance');
+    expect(parseSearch({ sort: 'cheapest' }).error).toBe('Unknown sort');
+    expect(parseSearch({ sort: 'nearest' }).error).toMatch(/needs lat\/lng/);
+  });
+
+  test('filters are validated', () => {
+    expect(parseSearch({ price: '5k_20k' }).params.price).toMatchObject({ min: 5000, max: 20000 });
+    expect(parseSearch({ price: 'cheap' }).error).toBe('Unknown price range');
+    expect(parseSearch({ delivery: 'drone' }).error).toMatch(/pickup or delivery/);
+    expect(parseSearch({ state: 'Lagos', lga: 'ikeja lga' }).params.lga).toBe('Ikeja');
+  });
+
+  test('page size is bounded', () => {
+    expect(parseSearch({}).params.limit).toBe(PAGE_SIZE);
+    expect(parseSearch({ limit: '1000' }).params.limit).toBe(MAX_PAGE_SIZE);
+    expect(parseSearch({ limit: '-5' }).params.limit).toBe(1);
+  });
+
+  test('cursors round-trip and belong to one sort', () => {
+    const at = new Date('2025-03-01T10:00:00.000Z');
+    const c = encodeCursor('newest', at, 'l_1');
+    expect(decodeCursor(c, 'newest')).toEqual({ value: at, id: 'l_1' });
+    expect(decodeCursor(c, 'price_asc')).toBe(null);
+    expect(decodeCursor(encodeCursor('relevance', 0.0607927, 'l_2'), 'relevance').value).toBe(0.0607927);
+    expect(parseSearch({ cursor: 'not-a-cursor' }).error).toBe('Invalid cursor');
+  });
+});
+```
+
+Ranking, facets and paging run against the test database in `server/tests/search.int.test.js`:
+
+```js
+// server/tests/search.int.test.js
+import request from 'supertest';
+import { PrismaClient } from '@prisma/client';
+import { refreshSearchTerms } from '../src/services/search.js';
+
+const prisma = new PrismaClient();
+const { app } = await import('../src/index.js');
+const tag = `t${Date.now()}`; // keeps these listings apart from anything else in the database
+let seller;
+
+const LISTINGS = [
+  { title: `Samsung Galaxy A14 phone ${tag}`, category: 'Phones', price: 95000, state: 'Lagos', lga: 'Ikeja', delivery: 'delivery' },
+  { title: `iPhone 11 battery ${tag}`, category: 'Phones', price: 15000, state: 'Lagos', lga: 'Ikeja', delivery: 'pickup' },
+  { title: `Phone pouch ${tag}`, category: 'Accessories', price: 2000, state: 'Kano', lga: 'Fagge', delivery: 'delivery' },
+  { title: `Ofada rice 50kg ${tag}`, category: 'Foodstuff', price: 85000, state: 'Ogun', lga: 'Ifo', delivery: 'pickup' },
+];
+
+beforeAll(async () => {
+  seller = await prisma.user.create({ data: { name: 'Search Seller', email: `${tag}@test.local`, role: 'seller' } });
+  await prisma.listing.createMany({ data: LISTINGS.map(l => ({ ...l, description: '', sellerId: seller.id })) });
+  await refreshSearchTerms();
+});
+
+afterAll(async () => {
+  await prisma.listing.deleteMany({ where: { sellerId: seller.id } });
+  await prisma.user.delete({ where: { id: seller.id } });
+  await prisma.$disconnect();
+});
+
+const search = query => request(app).get('/api/listings').query({ q: tag, ...query });
+
+test('plurals match through stemming', async () => {
+  const r = await search({ q: `phones ${tag}` });
+  expect(r.body.listings.map(l => l.title)).toEqual(expect.arrayContaining([expect.stringMatching(/^Samsung/), expect.stringMatching(/^Phone pouch/)]));
+  expect(r.body.corrected).toBe(null);
+});
+
+test('a typo that finds nothing is corrected', async () => {
+  const r = await search({ q: `samsnug ${tag}` });
+  expect(r.body.corrected).toBe(`samsung ${tag}`);
+  expect(r.body.listings[0].title).toMatch(/^Samsung/);
+});
+
+test('facets leave out their own filter', async () => {
+  const r = await search({ state: 'Lagos' });
+  expect(r.body.total).toBe(2);
+  expect(r.body.facets.state).toEqual({ Lagos: 2, Kano: 1, Ogun: 1 });
+  expect(r.body.facets.category).toEqual({ Phones: 2 });
+});
+
+test('cursor pages cover every result exactly once', async () => {
+  const seen = [];
+  let cursor;
+  do {
+    const r = await search({ sort: 'price_asc', limit: 3, ...(cursor ? { cursor } : {}) });
+    seen.push(...r.body.listings.map(l => l.price));
+    cursor = r.body.nextCursor;
+  } while (cursor);
+  expect(seen).toEqual([2000, 15000, 85000, 95000]);
+});
+```
+
+---
+
+## 6) How it works (end-to-end)
+
+1. **Query**: `GET /api/listings?q=phones&state=Lagos`. The query becomes a `websearch_to_tsquery`, and matches come from the GIN index on the generated `search` column. They are ranked by `ts_rank_cd` with title above category above description, and ties go to the newer listing.
+2. **Facets**: The first page also returns `total` and the category, state, delivery and price counts. Each count applies every filter except its own. Later pages skip these queries.
+3. **Paging**: `nextCursor` encodes the last row's sort value and id. The next page asks for rows strictly after that pair, so nothing is skipped or repeated when listings are added in between.
+4. **Typos**: If the first page is empty, unknown words are replaced by their closest catalogue word from `search_terms`, found by edit distance. The search then runs again and the response carries `corrected`. Browse pages through the corrected query.
+5. **Vocabulary**: `search_terms` is rebuilt from active listings every 10 minutes, so new products become typo targets within that window.
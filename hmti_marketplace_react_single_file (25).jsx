@@ -0,0 +1,509 @@
+# MarketMate — Saved Searches and New-Listing Alerts
+
+Buyers run the same search again and again, for example "Toyota Corolla in Lagos, over ₦500,000". They only find new stock by coming back. This update lets a buyer save the search they are looking at and be told when a new listing matches it:
+
+- **Saved searches** — **Save this search** on Browse stores the current filters under a name: query, category, state/LGA, delivery, price range and near-me. A buyer can keep up to 20.
+- **Matching** — when a listing is created, it is checked against other buyers' saved searches, never the seller's own. A search matches when the listing would appear in its results. The check reuses the `WHERE` clause from `GET /api/listings`, so saved and live results always agree.
+- **In-app alerts** — every match is pushed at once over Socket.io as `search:match`. It also stays in the buyer's **New matches** list until they open it.
+- **Email/SMS** — each search has a frequency: `instant`, `daily`, `weekly` or `never` (in-app only). A sweep every 5 minutes sends what is due, as one email and one SMS per buyer covering all their due searches. Email and SMS can each be turned off per search.
+- **Demo** — Browse has **Save this search**. The **Saved** tab shows new matches and each search's frequency and channels. Email and SMS are printed to the console, like the reset codes. Instant alerts go out as the listing is saved, and digests are checked once a minute while the page is open.
+
+---
+
+## 1) Prisma
+
+```prisma
+model SavedSearch {
+  id           String             @id @default(cuid())
+  user         User               @relation(fields: [userId], references: [id], onDelete: Cascade)
+  userId       String
+  name         String
+  query        Json               // GET /api/listings filters, as strings: { q, category, state, lga, delivery, price, lat, lng, nearState, nearLga, radiusKm }
+  state        String?            // copied from query, to narrow the candidates for a new listing
+  category     String?
+  frequency    String             @default("daily") // instant | daily | weekly | never
+  email        Boolean            @default(true)
+  sms          Boolean            @default(false)
+  lastDigestAt DateTime?
+  createdAt    DateTime           @default(now())
+  matches      SavedSearchMatch[]
+
+  @@index([userId])
+  @@index([state, category])
+}
+
+model SavedSearchMatch {
+  savedSearch   SavedSearch @relation(fields: [savedSearchId], references: [id], onDelete: Cascade)
+  savedSearchId String
+  listing       Listing     @relation(fields: [listingId], references: [id], onDelete: Cascade)
+  listingId     String
+  createdAt     DateTime    @default(now())
+  sentAt        DateTime?   // included in an email/SMS
+  readAt        DateTime?   // opened in the app
+
+  @@id([savedSearchId, listingId])
+  @@index([sentAt])
+}
+
+model User {
+  // ...existing fields
+  savedSearches SavedSearch[]
+}
+
+model Listing {
+  // ...existing fields
+  savedSearchMatches SavedSearchMatch[]
+}
+```
+
+Run `npx prisma migrate dev --name saved_searches`.
+
+---
+
+## 2) Search service: `src/services/search.js` (change)
+
+`whereSql` is exported so that one listing can be tested against a saved search with the same conditions Browse uses:
+
+```js
+export function whereSql(p, except = null) {
+  // ...unchanged
+}
+```
+
+---
+
+## 3) Senders
+
+`src/services/sms.js` — the Twilio → Africa's Talking fallback moves out of the test route, so alerts use it too:
+
+```js
+// Twilio first, Africa's Talking if it fails. Returns { provider, detail }.
+export async function sendSMS(to, message) {
+  try {
+    return { provider: 'twilio', detail: await sendSMSViaTwilio(to, message) };
+  } catch (twErr) {
+    console.warn('twilio failed, falling back to AT', twErr.message || twErr);
+    return { provider: 'africastalking', detail: await sendSMSViaAfricasTalking(to, message) };
+  }
+}
+```
+
+`src/routes/sms.js`:
+
+```js
+import { sendSMS } from '../services/sms.js';
+
+router.post('/test', ...authorize('sms:test'), async (req, res) => {
+  const { to, message } = req.body;
+  if (!to || !message) return res.status(400).json({ error: 'to and message required' });
+  try {
+    const r = await sendSMS(to, message);
+    return res.json({ ok: true, ...r });
+  } catch (e) { console.error('sms test error', e); return res.status(500).json({ error: e.message }); }
+});
+```
+
+`src/services/email.js` (addition). Titles are seller-written, so they are escaped:
+
+```js
+import { escapeHtml } from '../routes/share.js';
+
+// groups: [{ search: { name }, listings: [{ id, title, price, state, lga }] }]
+export async function sendSavedSearchDigest(email, groups) {
+  const count = groups.reduce((n, g) => n + g.listings.length, 0);
+  const section = g => `<h3>${escapeHtml(g.search.name)}</h3><ul>${g.listings.map(l =>
+    `<li><a href="${process.env.WEB_URL}/listings/${l.id}">${escapeHtml(l.title)}</a> — ₦${Number(l.price).toLocaleString('en-NG')} • ${escapeHtml([l.lga, l.state].filter(Boolean).join(', '))}</li>`).join('')}</ul>`;
+  await transporter.sendMail({
+    from: process.env.SMTP_FROM, to: email, subject: `${count} new listing${count === 1 ? '' : 's'} for your saved searches`,
+    html: `${groups.map(section).join('')}<p><a href="${process.env.WEB_URL}/saved">Change how often you hear from us</a></p>`,
+  });
+  console.log('Sent saved search digest to', email);
+}
+```
+
+---
+
+## 4) Saved search service: `src/services/savedSearches.js`
+
+```js
+// server/src/services/savedSearches.js
+import { PrismaClient } from '@prisma/client';
+import { parseSearch, whereSql } from './search.js';
+import { haversineKm } from './geo.js';
+import { sendSavedSearchDigest } from './email.js';
+import { sendSMS } from './sms.js';
+import { notifySavedSearchMatch } from '../index.js';
+
+const prisma = new PrismaClient();
+
+export const MAX_SAVED_SEARCHES = 20;
+export const FREQUENCIES = ['instant', 'daily', 'weekly', 'never'];
+// Least time between two emails/SMS for one search; instant goes out on the next sweep
+export const DIGEST_PERIOD_MS = { instant: 0, daily: 24 * 60 * 60 * 1000, weekly: 7 * 24 * 60 * 60 * 1000 };
+
+// The filters worth keeping. sort, cursor and limit belong to one visit.
+const QUERY_KEYS = ['q', 'category', 'state', 'lga', 'delivery', 'price', 'lat', 'lng', 'nearState', 'nearLga', 'radiusKm'];
+
+// Returns { query, params } or { error }
+export function parseSavedQuery(input = {}) {
+  const query = Object.fromEntries(QUERY_KEYS.filter(k => input[k] !== undefined && input[k] !== null && input[k] !== '').map(k => [k, String(input[k])]));
+  const parsed = parseSearch(query);
+  if (parsed.error) return { error: parsed.error };
+  const p = parsed.params;
+  // without any of these, every new listing would be an alert
+  if (!p.q && !p.category && !p.state && !p.origin) return { error: 'Add a search term, category or location before saving' };
+  return { query, params: p };
+}
+
+// "toyota corolla in Lagos", "Phones near Ikeja" — used when the buyer gives no name
+export function describeQuery(query) {
+  const what = query.q || query.category || 'Anything';
+  const where = query.state ? ` in ${query.lga || query.state}` : query.nearState ? ` near ${query.nearLga || query.nearState}`
+    : query.lat ? ' near me' : '';
+  return `${what}${where}`.slice(0, 80);
+}
+
+// Returns { settings } or { error }. Only the fields present are returned, for PATCH.
+export function parseAlertSettings(input = {}, { phone } = {}) {
+  const settings = {};
+  if (input.name !== undefined) {
+    settings.name = String(input.name).trim().slice(0, 80);
+    if (!settings.name) return { error: 'name cannot be empty' };
+  }
+  if (input.frequency !== undefined) {
+    if (!FREQUENCIES.includes(input.frequency)) return { error: `frequency must be one of ${FREQUENCIES.join(', ')}` };
+    settings.frequency = input.frequency;
+  }
+  for (const k of ['email', 'sms']) if (input[k] !== undefined) settings[k] = input[k] === true;
+  if (settings.sms && !phone) return { error: 'Add a phone number to get SMS alerts' };
+  return { settings };
+}
+
+// Everything but the text query, checked in memory. Without a q this is the whole answer.
+export function couldMatch(p, listing) {
+  if (!listing.active) return false;
+  if (p.category && listing.category !== p.category) return false;
+  if (p.state && listing.state !== p.state) return false;
+  if (p.lga && listing.lga !== p.lga) return false;
+  if (p.delivery && listing.delivery !== p.delivery) return false;
+  if (p.price && (listing.price < p.price.min || (p.price.max !== null && listing.price >= p.price.max))) return false;
+  if (p.origin && (listing.lat == null || haversineKm(p.origin, listing) > p.radiusKm)) return false;
+  return true;
+}
+
+async function matches(p, listing) {
+  if (!couldMatch(p, listing)) return false;
+  if (!p.q) return true;
+  const rows = await prisma.$queryRaw`SELECT 1 FROM "Listing" l WHERE l.id = ${listing.id} AND ${whereSql(p)}`;
+  return rows.length > 0;
+}
+
+// Called once a listing is created. Records a match for each saved search (other than the
+// seller's) whose results it would appear in, and tells the buyer in-app straight away.
+export async function matchSavedSearches(listing) {
+  const candidates = await prisma.savedSearch.findMany({
+    where: {
+      userId: { not: listing.sellerId },
+      AND: [{ OR: [{ state: null }, { state: listing.state }] }, { OR: [{ category: null }, { category: listing.category }] }],
+    },
+  });
+  const matched = [];
+  for (const s of candidates) {
+    const parsed = parseSearch(s.query);
+    if (parsed.error) continue; // e.g. a price range that has since been retired
+    if (await matches(parsed.params, listing)) matched.push(s);
+  }
+  if (!matched.length) return [];
+  await prisma.savedSearchMatch.createMany({ data: matched.map(s => ({ savedSearchId: s.id, listingId: listing.id })), skipDuplicates: true });
+  const summary = { id: listing.id, title: listing.title, price: listing.price, state: listing.state, lga: listing.lga, images: listing.images.slice(0, 1) };
+  for (const s of matched) notifySavedSearchMatch(s.userId, { savedSearchId: s.id, name: s.name, listing: summary });
+  return matched;
+}
+
+// Never sent searches are due at once, so the first daily alert doesn't wait a day.
+export function isDue(search, now) {
+  const period = DIGEST_PERIOD_MS[search.frequency];
+  if (period === undefined) return false;
+  return !search.lastDigestAt || now - search.lastDigestAt >= period;
+}
+
+export function smsText(groups) {
+  const count = groups.reduce((n, g) => n + g.listings.length, 0);
+  const more = groups.length > 1 ? ` and ${groups.length - 1} more` : '';
+  return `MarketMate: ${count} new listing${count === 1 ? '' : 's'} for "${groups[0].search.name}"${more}. ${process.env.WEB_URL}/saved`;
+}
+
+// Sends each buyer one email and/or SMS covering every due search with unsent matches, then
+// marks those matches sent. A buyer whose send fails is left as is and retried on the next sweep.
+export async function sendDueAlerts(now = new Date()) {
+  const pending = await prisma.savedSearchMatch.findMany({
+    where: { sentAt: null, listing: { active: true }, savedSearch: { frequency: { not: 'never' }, OR: [{ email: true }, { sms: true }] } },
+    include: {
+      savedSearch: { include: { user: { select: { id: true, email: true, phone: true } } } },
+      listing: { select: { id: true, title: true, price: true, state: true, lga: true } },
+    },
+    orderBy: { createdAt: 'asc' },
+  });
+
+  const byUser = new Map(); // userId -> { user, groups: Map(searchId -> { search, listings }) }
+  for (const m of pending) {
+    const s = m.savedSearch;
+    if (!isDue(s, now)) continue;
+    if (!byUser.has(s.userId)) byUser.set(s.userId, { user: s.user, groups: new Map() });
+    const groups = byUser.get(s.userId).groups;
+    if (!groups.has(s.id)) groups.set(s.id, { search: s, listings: [] });
+    groups.get(s.id).listings.push(m.listing);
+  }
+
+  let sent = 0;
+  for (const { user, groups: byId } of byUser.values()) {
+    const groups = [...byId.values()];
+    try {
+      const byEmail = groups.filter(g => g.search.email);
+      const bySms = groups.filter(g => g.search.sms);
+      if (byEmail.length && user.email) await sendSavedSearchDigest(user.email, byEmail);
+      if (bySms.length && user.phone) await sendSMS(user.phone, smsText(bySms));
+    } catch (e) { console.error('saved search alert error', user.id, e); continue; }
+    await prisma.$transaction([
+      ...groups.map(g => prisma.savedSearchMatch.updateMany({
+        where: { savedSearchId: g.search.id, listingId: { in: g.listings.map(l => l.id) }, sentAt: null },
+        data: { sentAt: now },
+      })),
+      prisma.savedSearch.updateMany({ where: { id: { in: groups.map(g => g.search.id) } }, data: { lastDigestAt: now } }),
+    ]);
+    sent++;
+  }
+  return { sent };
+}
+```
+
+`Prisma.sql` fragments from `whereSql` interpolate into `$queryRaw` as parameters, as in the search service.
+
+---
+
+## 5) Listings: `src/routes/listings.js` (change)
+
+Matching runs after the response is sent. A slow or failing match never holds up or fails the seller's post:
+
+```js
+import { matchSavedSearches } from '../services/savedSearches.js';
+
+router.post('/', ...authorize('listing:create'), async (req, res) => {
+  try {
+    // ...validation unchanged
+    const listing = await prisma.listing.create({ data: { ...data, ...place.location, ...listingGeo(place.location, pin.pin), sellerId: req.user.id } });
+    res.json({ ok: true, listing });
+    matchSavedSearches(listing).catch(e => console.error('saved search match error', e));
+  } catch (e) { console.error('create listing error', e); res.status(500).json({ error: e.message }); }
+});
+```
+
+---
+
+## 6) Routes: `src/routes/savedSearches.js`
+
+Mount with `app.use('/api/me/searches', savedSearchesRouter)`. A buyer only ever sees their own searches. The loader scopes by `userId`, so someone else's id is a 404.
+
+```js
+// server/src/routes/savedSearches.js
+import express from 'express';
+import { PrismaClient } from '@prisma/client';
+import { signedIn } from '../middlewares/permissions.js';
+import { MAX_SAVED_SEARCHES, parseSavedQuery, parseAlertSettings, describeQuery } from '../services/savedSearches.js';
+
+const prisma = new PrismaClient();
+const router = express.Router();
+
+const loadSearch = req => prisma.savedSearch.findFirst({ where: { id: req.params.id, userId: req.user.id } });
+const phoneOf = async userId => (await prisma.user.findUnique({ where: { id: userId }, select: { phone: true } })).phone;
+
+// GET /api/me/searches — my saved searches with their unread match counts
+router.get('/', ...signedIn, async (req, res) => {
+  try {
+    const searches = await prisma.savedSearch.findMany({
+      where: { userId: req.user.id },
+      orderBy: { createdAt: 'desc' },
+      include: { _count: { select: { matches: { where: { readAt: null } } } } },
+    });
+    res.json({ ok: true, searches: searches.map(({ _count, ...s }) => ({ ...s, unread: _count.matches })) });
+  } catch (e) { console.error('saved searches error', e); res.status(500).json({ error: e.message }); }
+});
+
+// POST /api/me/searches { name, query: { q, state, ... }, frequency, email, sms }
+router.post('/', ...signedIn, async (req, res) => {
+  try {
+    const q = parseSavedQuery(req.body.query);
+    if (q.error) return res.status(400).json({ error: q.error });
+    const s = parseAlertSettings(req.body, { phone: await phoneOf(req.user.id) });
+    if (s.error) return res.status(400).json({ error: s.error });
+    if ((await prisma.savedSearch.count({ where: { userId: req.user.id } })) >= MAX_SAVED_SEARCHES) {
+      return res.status(400).json({ error: `You can save up to ${MAX_SAVED_SEARCHES} searches` });
+    }
+    const search = await prisma.savedSearch.create({
+      data: {
+        name: describeQuery(q.query), ...s.settings,
+        query: q.query, state: q.params.state, category: q.params.category, userId: req.user.id,
+      },
+    });
+    res.json({ ok: true, search });
+  } catch (e) { console.error('save search error', e); res.status(500).json({ error: e.message }); }
+});
+
+// PATCH /api/me/searches/:id { name, frequency, email, sms } — the filters are fixed; save a new search to change them
+router.patch('/:id', ...signedIn, async (req, res) => {
+  try {
+    const existing = await loadSearch(req);
+    if (!existing) return res.status(404).json({ error: 'Saved search not found' });
+    const s = parseAlertSettings(req.body, { phone: await phoneOf(req.user.id) });
+    if (s.error) return res.status(400).json({ error: s.error });
+    const search = await prisma.savedSearch.update({ where: { id: existing.id }, data: s.settings });
+    res.json({ ok: true, search });
+  } catch (e) { console.error('update saved search error', e); res.status(500).json({ error: e.message }); }
+});
+
+// DELETE /api/me/searches/:id — its matches go with it
+router.delete('/:id', ...signedIn, async (req, res) => {
+  try {
+    const existing = await loadSearch(req);
+    if (!existing) return res.status(404).json({ error: 'Saved search not found' });
+    await prisma.savedSearch.delete({ where: { id: existing.id } });
+    res.json({ ok: true });
+  } catch (e) { console.error('delete saved search error', e); res.status(500).json({ error: e.message }); }
+});
+
+// GET /api/me/searches/:id/matches — newest 50 matches still listed; opening them marks them read
+router.get('/:id/matches', ...signedIn, async (req, res) => {
+  try {
+    const existing = await loadSearch(req);
+    if (!existing) return res.status(404).json({ error: 'Saved search not found' });
+    const matches = await prisma.savedSearchMatch.findMany({
+      where: { savedSearchId: existing.id, listing: { active: true } },
+      orderBy: { createdAt: 'desc' },
+      take: 50,
+      include: { listing: true },
+    });
+    await prisma.savedSearchMatch.updateMany({ where: { savedSearchId: existing.id, readAt: null }, data: { readAt: new Date() } });
+    res.json({ ok: true, matches });
+  } catch (e) { console.error('saved search matches error', e); res.status(500).json({ error: e.message }); }
+});
+
+export default router;
+```
+
+`server/tests/permissions.test.js` — new rows in `EXPECTED`:
+
+```js
+const EXPECTED = {
+  // ...
+  'GET /api/me/searches': 'authenticated',
+  'POST /api/me/searches': 'authenticated',
+  'PATCH /api/me/searches/:id': 'authenticated',
+  'DELETE /api/me/searches/:id': 'authenticated',
+  'GET /api/me/searches/:id/matches': 'authenticated',
+};
+```
+
+---
+
+## 7) Server: `src/index.js`
+
+```js
+import savedSearchesRouter from './routes/savedSearches.js';
+import { sendDueAlerts } from './services/savedSearches.js';
+app.use('/api/me/searches', savedSearchesRouter);
+
+// the buyer's own devices only
+export function notifySavedSearchMatch(userId, payload) {
+  emitToUser(userId, 'search:match', payload);
+}
+
+if (process.env.NODE_ENV !== 'test') {
+  // ...listen, escrow auto-release, search terms refresh
+  setInterval(() => sendDueAlerts().catch(e => console.error('saved search alerts error', e)), 5 * 60 * 1000);
+}
+```
+
+---
+
+## 8) Client
+
+`client/src/utils/api.js`:
+
+```js
+export const getSavedSearches = token => fetch(`${API}/me/searches`, { headers: authHeaders(token) }).then(r => r.json());
+export const saveSearch = (search, token) => fetch(`${API}/me/searches`, { method: 'POST', headers: authHeaders(token), body: JSON.stringify(search) }).then(r => r.json());
+export const updateSavedSearch = (id, settings, token) => fetch(`${API}/me/searches/${id}`, { method: 'PATCH', headers: authHeaders(token), body: JSON.stringify(settings) }).then(r => r.json());
+export const deleteSavedSearch = (id, token) => fetch(`${API}/me/searches/${id}`, { method: 'DELETE', headers: authHeaders(token) }).then(r => r.json());
+export const getSearchMatches = (id, token) => fetch(`${API}/me/searches/${id}/matches`, { headers: authHeaders(token) }).then(r => r.json());
+```
+
+Pages:
+- `Browse.jsx` gets **Save this search**. It sends the filters `useListingSearch` is querying with. When the response was `corrected`, it sends the corrected `q`, so the saved search matches what the buyer saw.
+- `SavedSearches.jsx` (route `/saved`, linked from the emails) lists the searches with their unread counts. Each one has a frequency select, email and SMS toggles, **Show results** (opens Browse with the saved filters) and **Delete**. Opening a search loads its matches.
+- The header's **Saved** link shows the total unread count. It goes up on `socket.on('search:match', ...)`, which also shows a toast with the listing title.
+
+---
+
+## 9) Tests: `server/tests/savedSearches.test.js`
+
+```js
+// server/tests/savedSearches.test.js
+import { parseSavedQuery, parseAlertSettings, describeQuery, couldMatch, isDue, smsText } from '../src/services/savedSearches.js';
+
+const corolla = { id: 'l_1', active: true, title: 'Toyota Corolla 2012', category: 'Cars', state: 'Lagos', lga: 'Ikeja', delivery: 'pickup', price: 4500000, lat: 6.6, lng: 3.35 };
+const params = query => parseSavedQuery(query).params;
+
+describe('saved searches', () => {
+  test('only filters are kept, and an empty search cannot be saved', () => {
+    expect(parseSavedQuery({ q: 'corolla', state: 'Lagos', sort: 'price_asc', cursor: 'abc' }).query).toEqual({ q: 'corolla', state: 'Lagos' });
+    expect(parseSavedQuery({}).error).toMatch(/search term, category or location/);
+    expect(parseSavedQuery({ price: 'cheap' }).error).toBe('Unknown price range');
+  });
+
+  test('a default name describes the search', () => {
+    expect(describeQuery({ q: 'toyota corolla', state: 'Lagos' })).toBe('toyota corolla in Lagos');
+    expect(describeQuery({ category: 'Phones', nearState: 'Lagos', nearLga: 'Ikeja' })).toBe('Phones near Ikeja');
+  });
+
+  test('alert settings', () => {
+    expect(parseAlertSettings({ frequency: 'weekly', sms: true }, { phone: '+2348030000000' }).settings).toEqual({ frequency: 'weekly', sms: true });
+    expect(parseAlertSettings({ frequency: 'hourly' }).error).toMatch(/frequency must be one of/);
+    expect(parseAlertSettings({ sms: true }, { phone: null }).error).toMatch(/phone number/);
+    expect(parseAlertSettings({ name: '  ' }).error).toBe('name cannot be empty');
+  });
+
+  test('filters other than q are matched in memory', () => {
+    expect(couldMatch(params({ q: 'corolla', state: 'Lagos', price: 'over_500k' }), corolla)).toBe(true);
+    expect(couldMatch(params({ state: 'Oyo' }), corolla)).toBe(false);
+    expect(couldMatch(params({ category: 'Cars', price: 'under_5k' }), corolla)).toBe(false);
+    expect(couldMatch(params({ category: 'Cars' }), { ...corolla, active: false })).toBe(false);
+    expect(couldMatch(params({ nearState: 'Lagos', nearLga: 'Ikeja', radiusKm: '10' }), corolla)).toBe(true);
+    expect(couldMatch(params({ nearState: 'Lagos', nearLga: 'Ikeja', radiusKm: '10' }), { ...corolla, lat: 6.42, lng: 2.88 })).toBe(false); // Badagry
+  });
+
+  test('digests wait for their period, first one goes at once', () => {
+    const now = new Date('2025-06-02T09:00:00Z');
+    expect(isDue({ frequency: 'daily', lastDigestAt: null }, now)).toBe(true);
+    expect(isDue({ frequency: 'daily', lastDigestAt: new Date('2025-06-01T12:00:00Z') }, now)).toBe(false);
+    expect(isDue({ frequency: 'weekly', lastDigestAt: new Date('2025-05-26T09:00:00Z') }, now)).toBe(true);
+    expect(isDue({ frequency: 'instant', lastDigestAt: now }, now)).toBe(true);
+    expect(isDue({ frequency: 'never', lastDigestAt: null }, now)).toBe(false);
+  });
+
+  test('one SMS covers every search', () => {
+    const groups = [{ search: { name: 'Corolla in Lagos' }, listings: [corolla, corolla] }, { search: { name: 'Phones' }, listings: [corolla] }];
+    expect(smsText(groups)).toMatch(/^MarketMate: 3 new listings for "Corolla in Lagos" and 1 more\./);
+  });
+});
+```
+
+---
+
+## 10) How it works (end-to-end)
+
+1. **Save**: On Browse the buyer taps **Save this search**. The client posts the filters it is searching with. The server keeps only the filter keys, validates them with `parseSearch` and copies `state` and `category` into columns. An empty search is refused, because it would match every listing.
+2. **Match**: After `POST /api/listings` responds, `matchSavedSearches` loads the candidate searches: other buyers' searches in the listing's state (or any state) and category (or any category). Price, LGA, delivery and distance are checked in memory. A search with a `q` then runs the listings `WHERE` clause against that one row, so full-text matching is exactly Browse's.
+3. **In-app**: Each match becomes a `SavedSearchMatch` row and is pushed to the buyer's sockets as `search:match`. The buyer's **Saved** badge counts matches with no `readAt`.
+4. **Email/SMS**: Every 5 minutes `sendDueAlerts` gathers unsent matches on live listings and keeps the searches that are due. Instant searches are always due. Daily and weekly ones are due once their period has passed since `lastDigestAt`, or at once if they have never been sent. Each buyer gets one email and one SMS covering all their due searches. The matches are then marked `sentAt`.
+5. **Failures**: If a buyer's email or SMS provider fails, nothing is marked sent and the next sweep tries again. If the listing is removed first, its match is simply never sent.
+6. **Manage**: `PATCH /api/me/searches/:id` changes the name, frequency and channels. `never` keeps alerts in the app only. SMS needs a phone number on the account. Deleting a search deletes its matches.
@@ -0,0 +1,259 @@
+# MarketMate — Favourites with Price-Drop and Back-in-Stock Alerts
+
+A buyer who liked a listing but wasn't ready to pay had no way to keep it. They had to find it again through search, and they never knew when the seller cut the price. This update adds favourites:
+
+- **Favourites** — a heart on Browse cards and on the listing page saves the listing to the buyer's favourites. The save is kept on the server per account. It records the price at the time, so the list can show "₦15,000 less than when you saved it".
+- **Alerts** — when a seller's edit lowers the price, or brings a sold-out listing (`qty` 0) back into stock, everyone who saved it gets a `favourite:updated` event through `emitToUser`. Buyers who are offline see the change next time they open their favourites.
+- **Seller counts** — sellers see how many buyers saved each of their listings, on their own listings and on the listing page. Nobody else sees the count.
+- **Demo** — the heart is on cards and the listing page. The **Saved** tab lists favourites, and price drops and restocks appear under **Updates**. The seller sees "♥ 3 saved" where buyers see the heart. The quantity field accepts 0 to mark a listing sold out.
+
+---
+
+## 1) Prisma
+
+```prisma
+model Favourite {
+  user        User     @relation(fields: [userId], references: [id], onDelete: Cascade)
+  userId      String
+  listing     Listing  @relation(fields: [listingId], references: [id], onDelete: Cascade)
+  listingId   String
+  priceAtSave Int      // NGN, as listed when it was saved
+  createdAt   DateTime @default(now())
+
+  @@id([userId, listingId])
+  @@index([listingId])
+}
+
+model User {
+  // ...existing fields
+  favourites Favourite[]
+}
+
+model Listing {
+  // ...existing fields
+  favourites Favourite[]
+}
+```
+
+Run `npx prisma migrate dev --name favourites`.
+
+---
+
+## 2) Favourites service: `src/services/favourites.js`
+
+```js
+// server/src/services/favourites.js
+import { PrismaClient } from '@prisma/client';
+import { notifyFavouriteUpdated } from '../index.js';
+
+const prisma = new PrismaClient();
+
+export const MAX_FAVOURITES = 500;
+
+// What buyers who saved a listing should hear about after an edit, or null:
+// a lower price, or stock again after selling out.
+export function favouriteEvent(before, after) {
+  if (!after.active) return null;
+  if (after.price < before.price) return { type: 'price_drop', oldPrice: before.price, price: after.price };
+  if (before.qty <= 0 && after.qty > 0) return { type: 'back_in_stock', qty: after.qty };
+  return null;
+}
+
+// Pushes the change to everyone who saved the listing. Returns how many were told.
+export async function notifyFavourites(before, after) {
+  const event = favouriteEvent(before, after);
+  if (!event) return 0;
+  const favs = await prisma.favourite.findMany({ where: { listingId: after.id, userId: { not: after.sellerId } }, select: { userId: true } });
+  const payload = { ...event, listing: { id: after.id, title: after.title, price: after.price, images: after.images.slice(0, 1) } };
+  for (const f of favs) notifyFavouriteUpdated(f.userId, payload);
+  return favs.length;
+}
+
+// Savings since the buyer saved it; never negative, a price rise just shows no saving
+export function savingSinceSave(fav, listing) {
+  return Math.max(0, fav.priceAtSave - listing.price);
+}
+```
+
+---
+
+## 3) Listings: `src/routes/listings.js` (changes)
+
+Saving and unsaving work like following a shop: `POST` and `DELETE` on the listing, both idempotent. `PATCH` notifies after the response is sent, so a socket problem never fails the seller's edit. `GET /mine` must be declared above `GET /:id`, or Express reads `mine` as an id.
+
+```js
+import { signedIn } from '../middlewares/permissions.js';
+import { optionalAuth } from '../middlewares/auth.js';
+import { can } from '../services/permissions.js';
+import { MAX_FAVOURITES, notifyFavourites } from '../services/favourites.js';
+
+// GET /api/listings/mine — the seller's own listings, inactive ones included, with how many buyers saved each
+router.get('/mine', ...authorize('listing:create'), async (req, res) => {
+  try {
+    const listings = await prisma.listing.findMany({
+      where: { sellerId: req.user.id },
+      orderBy: { createdAt: 'desc' },
+      include: { _count: { select: { favourites: true } } },
+    });
+    res.json({ ok: true, listings: listings.map(({ _count, ...l }) => ({ ...l, favouriteCount: _count.favourites })) });
+  } catch (e) { console.error('my listings error', e); res.status(500).json({ error: e.message }); }
+});
+
+// GET /api/listings/:id — the seller (or staff) also gets favouriteCount
+router.get('/:id', publicRoute('listing page'), optionalAuth, async (req, res) => {
+  try {
+    const listing = await prisma.listing.findUnique({ where: { id: req.params.id } });
+    if (!listing) return res.status(404).json({ error: 'Listing not found' });
+    const favouriteCount = can(req.user, 'listing:update', listing) ? await prisma.favourite.count({ where: { listingId: listing.id } }) : undefined;
+    res.json({ ok: true, listing: { ...listing, favouriteCount } });
+  } catch (e) { console.error('listing error', e); res.status(500).json({ error: e.message }); }
+});
+
+// PATCH /api/listings/:id (change) — after the update
+    const listing = await prisma.listing.update({ where: { id: req.resource.id }, data });
+    res.json({ ok: true, listing });
+    notifyFavourites(req.resource, listing).catch(e => console.error('favourite notify error', e));
+
+// POST /api/listings/:id/favourite
+router.post('/:id/favourite', ...signedIn, async (req, res) => {
+  try {
+    const listing = await prisma.listing.findUnique({ where: { id: req.params.id } });
+    if (!listing || !listing.active) return res.status(404).json({ error: 'Listing not found' });
+    if (listing.sellerId === req.user.id) return res.status(400).json({ error: 'You cannot save your own listing' });
+    const key = { userId_listingId: { userId: req.user.id, listingId: listing.id } };
+    if (!(await prisma.favourite.findUnique({ where: key }))) {
+      if ((await prisma.favourite.count({ where: { userId: req.user.id } })) >= MAX_FAVOURITES) {
+        return res.status(400).json({ error: `You can save up to ${MAX_FAVOURITES} listings` });
+      }
+      await prisma.favourite.create({ data: { userId: req.user.id, listingId: listing.id, priceAtSave: listing.price } });
+    }
+    res.json({ ok: true, saved: true });
+  } catch (e) { console.error('favourite error', e); res.status(500).json({ error: e.message }); }
+});
+
+// DELETE /api/listings/:id/favourite
+router.delete('/:id/favourite', ...signedIn, async (req, res) => {
+  try {
+    await prisma.favourite.deleteMany({ where: { userId: req.user.id, listingId: req.params.id } });
+    res.json({ ok: true, saved: false });
+  } catch (e) { console.error('unfavourite error', e); res.status(500).json({ error: e.message }); }
+});
+```
+
+`optionalAuth` (`src/middlewares/auth.js`, next to the default `authMiddleware`) runs the usual token checks only when an `Authorization` header is sent. Without one the request carries on anonymously:
+
+```js
+export async function optionalAuth(req, res, next) {
+  if (!req.headers.authorization) return next();
+  return authMiddleware(req, res, next);
+}
+```
+
+A bad or expired token on a public page still gets a `401`, as it does everywhere else. The client then refreshes the token and retries.
+
+`src/routes/profile.js` (change). The buyer's favourites, newest first. Listings that were removed stay in the list as "no longer listed" until the buyer removes them:
+
+```js
+import { savingSinceSave } from '../services/favourites.js';
+
+// GET /api/me/favourites
+router.get('/favourites', ...signedIn, async (req, res) => {
+  try {
+    const favs = await prisma.favourite.findMany({
+      where: { userId: req.user.id },
+      orderBy: { createdAt: 'desc' },
+      include: { listing: { select: { id: true, title: true, price: true, qty: true, active: true, images: true, state: true, lga: true } } },
+    });
+    res.json({
+      ok: true,
+      favourites: favs.map(f => ({ ...f.listing, priceAtSave: f.priceAtSave, savedAt: f.createdAt, saving: savingSinceSave(f, f.listing), soldOut: f.listing.qty <= 0 })),
+    });
+  } catch (e) { console.error('favourites error', e); res.status(500).json({ error: e.message }); }
+});
+```
+
+`server/tests/permissions.test.js` — new rows in `EXPECTED`:
+
+```js
+const EXPECTED = {
+  // ...
+  'GET /api/listings/mine': 'listing:create',
+  'POST /api/listings/:id/favourite': 'authenticated',
+  'DELETE /api/listings/:id/favourite': 'authenticated',
+  'GET /api/me/favourites': 'authenticated',
+};
+```
+
+---
+
+## 4) Server: `src/index.js`
+
+```js
+// the buyer's own devices only
+export function notifyFavouriteUpdated(userId, payload) {
+  emitToUser(userId, 'favourite:updated', payload);
+}
+```
+
+---
+
+## 5) Client
+
+`client/src/utils/api.js`:
+
+```js
+export const getFavourites = token => fetch(`${API}/me/favourites`, { headers: authHeaders(token) }).then(r => r.json());
+export const saveFavourite = (listingId, token) => fetch(`${API}/listings/${listingId}/favourite`, { method: 'POST', headers: authHeaders(token) }).then(r => r.json());
+export const removeFavourite = (listingId, token) => fetch(`${API}/listings/${listingId}/favourite`, { method: 'DELETE', headers: authHeaders(token) }).then(r => r.json());
+export const getMyListings = token => fetch(`${API}/listings/mine`, { headers: authHeaders(token) }).then(r => r.json());
+```
+
+Pages:
+- `components/FavouriteButton.jsx` — the heart, used on listing cards and `Listing.jsx`. The ids of the buyer's favourites are loaded once after login, so cards know which hearts to fill. Tapping a heart updates it at once and rolls back if the request fails.
+- `Saved.jsx` (the `/saved` page from saved searches) gains **Favourites**: price, saving since saved, and **Sold out** or **No longer listed**.
+- `Dashboard.jsx` — the seller's listings come from `getMyListings` and show "♥ N saved". `Listing.jsx` shows the same on the seller's own listing.
+- `socket.on('favourite:updated', ...)` shows a toast ("Tecno Spark 10 is now ₦78,000, down from ₦85,000" or "… is back in stock") and refreshes the favourites if they are open.
+
+---
+
+## 6) Tests: `server/tests/favourites.test.js`
+
+```js
+// server/tests/favourites.test.js
+import { favouriteEvent, savingSinceSave } from '../src/services/favourites.js';
+
+const listing = { id: 'l_1', sellerId: 'u_s', title: 'Tecno Spark 10', price: 85000, qty: 3, active: true, images: [] };
+
+describe('favourites', () => {
+  test('a lower price is a price drop', () => {
+    expect(favouriteEvent(listing, { ...listing, price: 78000 })).toEqual({ type: 'price_drop', oldPrice: 85000, price: 78000 });
+    expect(favouriteEvent(listing, { ...listing, price: 90000 })).toBe(null);
+    expect(favouriteEvent(listing, { ...listing, title: 'Tecno Spark 10 (new)' })).toBe(null);
+  });
+
+  test('stock after selling out is news, more stock is not', () => {
+    expect(favouriteEvent({ ...listing, qty: 0 }, { ...listing, qty: 5 })).toEqual({ type: 'back_in_stock', qty: 5 });
+    expect(favouriteEvent(listing, { ...listing, qty: 5 })).toBe(null);
+    expect(favouriteEvent(listing, { ...listing, qty: 0 })).toBe(null);
+  });
+
+  test('nothing is sent for a listing that is no longer active', () => {
+    expect(favouriteEvent(listing, { ...listing, price: 50000, active: false })).toBe(null);
+  });
+
+  test('saving since saved is never negative', () => {
+    expect(savingSinceSave({ priceAtSave: 85000 }, { price: 78000 })).toBe(7000);
+    expect(savingSinceSave({ priceAtSave: 85000 }, { price: 90000 })).toBe(0);
+  });
+});
+```
+
+---
+
+## 7) How it works (end-to-end)
+
+1. **Save**: The buyer taps the heart, and `POST /api/listings/:id/favourite` stores `(userId, listingId)` with the current price. Saving twice changes nothing. Sellers cannot save their own listings.
+2. **Edit**: The seller lowers the price or sets `qty` from 0 back above it. `PATCH /api/listings/:id` responds first. Then `notifyFavourites(before, after)` compares the two versions and emits `favourite:updated` to each buyer who saved the listing, on all of their devices.
+3. **Offline buyers**: Nothing is queued. `GET /api/me/favourites` compares each listing with `priceAtSave`, so a buyer who was offline sees the saving and the stock status when they next look.
+4. **Counts**: `GET /api/listings/mine` and the seller's own `GET /api/listings/:id` include `favouriteCount`. Other callers never get it.
+5. **Removal**: Deleting a listing deletes its favourites (cascade). A deactivated listing stays in favourites as "no longer listed" and sends no alerts.
@@ -0,0 +1,728 @@
+# MarketMate — Category Tree with Per-Category Attributes
+
+A listing's category used to be whatever the seller typed, "Foodstuff" by default. Browse built its category dropdown from those strings, so "Phone", "phones" and "Mobile Phones" showed up as three categories. Nothing else about a listing was structured: a buyer looking for a 2012 Corolla under 100,000 km had to hope the seller put that in the title. This update makes categories a managed tree and gives each category its own fields:
+
+- **Category tree** — categories such as Electronics › Phones or Vehicles › Cars come from a `Category` table. Sellers pick one instead of typing it. Admins add, rename and archive categories from the admin panel. Searching Electronics includes Phones.
+- **Attributes** — each category defines its own fields: brand, model and storage for phones; make, year, mileage and transmission for cars; "sold per" and weight for food. A category also has its parents' fields, so "Condition" on Electronics applies to every phone and laptop. Fields are a select (fixed options), a number (with unit and bounds) or free text, and any of them can be required.
+- **Filters** — attributes marked `filter` become extra filters on Browse once a category is picked: a brand select for phones, year and mileage ranges for cars. They work in search, facets and saved searches.
+- **Existing data** — a one-off script maps every free-text category on listings and saved searches to the tree, using each category's name and aliases ("foodstuff" → Food & Groceries). Anything it can't place goes to Other.
+- **Demo** — **Sell** has a category select and the chosen category's fields. **Browse** shows the tree with counts and, once a category is picked, its filters. Cards show the key attributes ("Toyota • 2012 • 85,000 km"), and the listing page shows them all. **Admin → Categories** edits the tree and each category's fields.
+
+---
+
+## 1) Prisma
+
+```prisma
+model Category {
+  id         String     @id              // slug, e.g. "phones"; never changes
+  name       String
+  parent     Category?  @relation("CategoryTree", fields: [parentId], references: [id])
+  parentId   String?                     // fixed at creation, so listings' categoryPath stays right
+  children   Category[] @relation("CategoryTree")
+  aliases    String[]                    // free-text names that map here: ["phone", "mobile phones"]
+  attributes Json       @default("[]")   // [{ key, label, type, options?, unit?, min?, max?, required?, filter? }]
+  archived   Boolean    @default(false)  // takes no new listings; existing ones stay
+  listings   Listing[]
+  createdAt  DateTime   @default(now())
+  updatedAt  DateTime   @updatedAt
+
+  @@unique([parentId, name])
+}
+
+model Listing {
+  // ...existing fields
+  category     String    // the category's name, kept for full-text search and display
+  categoryRef  Category  @relation(fields: [categoryId], references: [id])
+  categoryId   String
+  categoryPath String[]  // ids root first: ["electronics", "phones"]
+  attributes   Json      @default("{}") // { brand: "Samsung", storage: "128GB" }, per the category's schema
+
+  @@index([categoryPath], type: Gin)
+  @@index([attributes(ops: JsonbPathOps)], type: Gin)
+}
+```
+
+The `category` text column stays. The search `tsvector` from full-text search is generated from it, so searching "phones" still finds listings in Phones. The listings routes set it from the category, and a rename updates it.
+
+Migrate in three steps, so existing listings are never without a category:
+
+1. `npx prisma migrate dev --name categories`, with `categoryId` still optional (`String?`).
+2. `node scripts/map-categories.js` (below) to seed the tree and fill in `categoryId`, `categoryPath` and `attributes`.
+3. Make `categoryId` required and run `npx prisma migrate dev --name categories_required`.
+
+---
+
+## 2) Seed: `src/data/categories.js`
+
+The demo's `DEFAULT_CATEGORIES` is this file's list:
+
+```js
+// server/src/data/categories.js
+// The starting tree. After seeding, admins change categories through /api/categories, not here.
+export const SEED_CATEGORIES = [
+  { id: 'electronics', name: 'Electronics', parentId: null, aliases: ['electronic', 'gadgets'], attributes: [
+    { key: 'condition', label: 'Condition', type: 'select', options: ['Brand new', 'UK used', 'Nigerian used'], required: true, filter: true },
+  ] },
+  { id: 'phones', name: 'Phones', parentId: 'electronics', aliases: ['phone', 'mobile phones', 'smartphones', 'handsets'], attributes: [
+    { key: 'brand', label: 'Brand', type: 'select', options: ['Apple', 'Samsung', 'Tecno', 'Infinix', 'itel', 'Xiaomi', 'Nokia', 'Other'], required: true, filter: true },
+    { key: 'model', label: 'Model', type: 'text' },
+    { key: 'storage', label: 'Storage', type: 'select', options: ['32GB', '64GB', '128GB', '256GB', '512GB'], filter: true },
+  ] },
+  { id: 'computers', name: 'Laptops & Computers', parentId: 'electronics', aliases: ['laptop', 'computer'], attributes: [
+    { key: 'brand', label: 'Brand', type: 'select', options: ['Apple', 'HP', 'Dell', 'Lenovo', 'Asus', 'Acer', 'Other'], required: true, filter: true },
+    { key: 'ram', label: 'RAM', type: 'select', options: ['4GB', '8GB', '16GB', '32GB'], filter: true },
+  ] },
+  { id: 'tv-audio', name: 'TV & Audio', parentId: 'electronics', aliases: ['tv', 'television', 'speaker'], attributes: [] },
+  { id: 'vehicles', name: 'Vehicles', parentId: null, aliases: ['vehicle'], attributes: [] },
+  { id: 'cars', name: 'Cars', parentId: 'vehicles', aliases: ['car', 'automobile'], attributes: [
+    { key: 'make', label: 'Make', type: 'select', options: ['Toyota', 'Honda', 'Lexus', 'Mercedes-Benz', 'Hyundai', 'Kia', 'Ford', 'Other'], required: true, filter: true },
+    { key: 'model', label: 'Model', type: 'text' },
+    { key: 'year', label: 'Year', type: 'number', min: 1960, max: 2100, required: true, filter: true },
+    { key: 'mileage', label: 'Mileage', type: 'number', unit: 'km', min: 0, filter: true },
+    { key: 'transmission', label: 'Transmission', type: 'select', options: ['Automatic', 'Manual'], filter: true },
+    { key: 'condition', label: 'Condition', type: 'select', options: ['Brand new', 'Foreign used', 'Nigerian used'], required: true, filter: true },
+  ] },
+  { id: 'motorcycles', name: 'Motorcycles & Tricycles', parentId: 'vehicles', aliases: ['motorcycle', 'okada', 'keke', 'tricycle'], attributes: [] },
+  { id: 'food', name: 'Food & Groceries', parentId: null, aliases: ['foodstuff', 'groceries', 'provisions'], attributes: [
+    { key: 'unit', label: 'Sold per', type: 'select', options: ['kg', 'bag', 'mudu', 'tuber', 'crate', 'carton', 'litre', 'paint bucket'], required: true, filter: true },
+    { key: 'weight', label: 'Weight', type: 'number', unit: 'kg', min: 0 },
+  ] },
+  { id: 'grains', name: 'Rice & Grains', parentId: 'food', aliases: ['rice', 'beans', 'grain'], attributes: [] },
+  { id: 'tubers', name: 'Yams & Tubers', parentId: 'food', aliases: ['yam', 'tuber', 'garri'], attributes: [] },
+  { id: 'oils', name: 'Oils & Spices', parentId: 'food', aliases: ['palm oil', 'oil', 'spice'], attributes: [] },
+  { id: 'fashion', name: 'Fashion', parentId: null, aliases: ['clothes', 'clothing', 'shoes'], attributes: [
+    { key: 'gender', label: 'For', type: 'select', options: ['Men', 'Women', 'Unisex', 'Children'], filter: true },
+    { key: 'size', label: 'Size', type: 'text' },
+  ] },
+  { id: 'home', name: 'Home & Garden', parentId: null, aliases: ['furniture', 'kitchen', 'household'], attributes: [] },
+  { id: 'other', name: 'Other', parentId: null, aliases: ['general', 'misc', 'others'], attributes: [] },
+];
+```
+
+Parents come before their children, so the list can be inserted in order.
+
+---
+
+## 3) Category service: `src/services/categories.js`
+
+Everything except `loadCategories` is a pure function of the category list. The listings routes, search and saved searches share them, and the tests need no database. The list is small and read on every search, so it is cached for a minute. Admin edits clear the cache on the instance that made them. Other instances catch up within the minute.
+
+```js
+// server/src/services/categories.js
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+export const ATTRIBUTE_TYPES = ['select', 'number', 'text'];
+const CACHE_MS = 60 * 1000;
+let cache = null; // { at, categories }
+
+export async function loadCategories() {
+  if (cache && Date.now() - cache.at < CACHE_MS) return cache.categories;
+  const categories = await prisma.category.findMany({ orderBy: { name: 'asc' } });
+  cache = { at: Date.now(), categories };
+  return categories;
+}
+
+export function clearCategoryCache() {
+  cache = null;
+}
+
+export function categoryById(categories, id) {
+  return categories.find(c => c.id === id) || null;
+}
+
+// Root first, e.g. [Electronics, Phones]. Empty for an unknown id.
+export function categoryTrail(categories, id) {
+  const trail = [];
+  for (let c = categoryById(categories, id); c && trail.length < 10; c = categoryById(categories, c.parentId)) trail.unshift(c);
+  return trail;
+}
+
+// New listings can go in a category only while it and its parents are not archived
+export function categoryOpen(categories, id) {
+  const trail = categoryTrail(categories, id);
+  return trail.length > 0 && !trail.some(c => c.archived);
+}
+
+// The attributes a listing in this category has: inherited ones first
+export function attributeSchema(categories, id) {
+  return categoryTrail(categories, id).flatMap(c => c.attributes || []);
+}
+
+// The category columns stored on a listing
+export function listingCategory(categories, id) {
+  const trail = categoryTrail(categories, id);
+  return { categoryId: id, categoryPath: trail.map(c => c.id), category: trail[trail.length - 1].name };
+}
+
+const words = text => String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+// The category a free-text one names: "phone", "Mobile Phones" -> Phones. Null when nothing fits.
+export function matchCategory(categories, text) {
+  const key = words(text);
+  if (!key) return null;
+  return categories.find(c => [c.name, ...(c.aliases || [])].some(n => words(n) === key)) || null;
+}
+
+// Returns { attributes }, with numbers as numbers and keys outside the schema dropped, or { error }
+export function cleanAttributes(schema, values) {
+  if (values != null && (typeof values !== 'object' || Array.isArray(values))) return { error: 'attributes must be an object' };
+  const attributes = {};
+  for (const a of schema) {
+    const raw = (values || {})[a.key];
+    if (raw === undefined || raw === null || String(raw).trim() === '') {
+      if (a.required) return { error: `${a.label} is required` };
+      continue;
+    }
+    if (a.type === 'number') {
+      const n = Number(raw);
+      if (!Number.isFinite(n)) return { error: `${a.label} must be a number` };
+      if (a.min != null && n < a.min) return { error: `${a.label} must be at least ${a.min}` };
+      if (a.max != null && n > a.max) return { error: `${a.label} must be at most ${a.max}` };
+      attributes[a.key] = n;
+    } else if (a.type === 'select') {
+      if (!a.options.includes(raw)) return { error: `${a.label} must be one of ${a.options.join(', ')}` };
+      attributes[a.key] = raw;
+    } else {
+      attributes[a.key] = String(raw).trim().slice(0, 100);
+    }
+  }
+  return { attributes };
+}
+
+// An admin's attribute list in the stored shape. Existing attributes keep their key; new ones
+// get one from the label. previous is the category's current list, whose types cannot change.
+export function normalizeAttributes(input, previous = []) {
+  if (!Array.isArray(input)) return { error: 'attributes must be a list' };
+  const attributes = input.map(a => {
+    const key = a.key || words(a.label).replace(/ /g, '_');
+    const type = (previous.find(p => p.key === key) || a).type;
+    return {
+      key,
+      label: String(a.label || '').trim().slice(0, 40),
+      type,
+      ...(type === 'select' ? { options: (Array.isArray(a.options) ? a.options : []).map(o => String(o).trim()).filter(Boolean) } : {}),
+      ...(type === 'number' && a.unit ? { unit: String(a.unit).trim() } : {}),
+      ...(type === 'number' && Number.isFinite(a.min) ? { min: a.min } : {}),
+      ...(type === 'number' && Number.isFinite(a.max) ? { max: a.max } : {}),
+      ...(a.required ? { required: true } : {}),
+      ...(a.filter ? { filter: true } : {}),
+    };
+  });
+  return { attributes };
+}
+
+// Checks a category's own attributes against the ones it inherits. Returns an error message or null.
+export function schemaProblem(attributes, inherited) {
+  const keys = new Set(inherited.map(a => a.key));
+  for (const a of attributes) {
+    if (!a.label) return 'Every attribute needs a label';
+    if (!ATTRIBUTE_TYPES.includes(a.type)) return `Unknown attribute type: ${a.type}`;
+    if (a.type === 'select' && !(a.options || []).length) return `${a.label} needs at least one option`;
+    if (keys.has(a.key)) return `${a.label} is already an attribute of this category or a parent`;
+    keys.add(a.key);
+  }
+  return null;
+}
+```
+
+`schemaProblem` stops a subcategory from redefining an inherited key. Otherwise "Condition" could mean one thing on Electronics and another on Phones, and a filter on the parent would compare them as if they were the same.
+
+---
+
+## 4) Mapping existing data: `scripts/map-categories.js`
+
+Run once after the first migration. `--dry-run` prints what would happen without writing. The script can run again safely: seeded categories are upserted without touching admin edits, and only rows with no `categoryId` are mapped.
+
+```js
+// server/scripts/map-categories.js
+import { PrismaClient } from '@prisma/client';
+import { SEED_CATEGORIES } from '../src/data/categories.js';
+import { matchCategory, listingCategory } from '../src/services/categories.js';
+
+const prisma = new PrismaClient();
+const dryRun = process.argv.includes('--dry-run');
+
+async function main() {
+  if (!dryRun) {
+    for (const c of SEED_CATEGORIES) await prisma.category.upsert({ where: { id: c.id }, update: {}, create: c });
+  }
+  const categories = dryRun ? SEED_CATEGORIES : await prisma.category.findMany();
+  const idFor = text => (matchCategory(categories, text) || { id: 'other' }).id;
+
+  // One update per distinct free-text category, not per listing
+  const groups = await prisma.listing.groupBy({ by: ['category'], where: { categoryId: null }, _count: true });
+  for (const g of groups) {
+    const fields = listingCategory(categories, idFor(g.category));
+    console.log(`${JSON.stringify(g.category)} -> ${fields.categoryPath.join(' › ')} (${g._count} listings)`);
+    if (!dryRun) await prisma.listing.updateMany({ where: { category: g.category, categoryId: null }, data: { ...fields, attributes: {} } });
+  }
+
+  // Saved searches store the category they filter on; a name that maps nowhere drops the filter
+  const searches = await prisma.savedSearch.findMany({ where: { category: { not: null } } });
+  for (const s of searches) {
+    if (categories.some(c => c.id === s.category)) continue;
+    const match = matchCategory(categories, s.category);
+    const { category, ...rest } = s.query;
+    console.log(`saved search ${s.id}: ${JSON.stringify(s.category)} -> ${match ? match.id : '(any category)'}`);
+    if (!dryRun) await prisma.savedSearch.update({ where: { id: s.id }, data: { category: match ? match.id : null, query: match ? { ...rest, category: match.id } : rest } });
+  }
+}
+
+main().catch(e => { console.error(e); process.exitCode = 1; }).finally(() => prisma.$disconnect());
+```
+
+Mapped listings start with no attributes. When a seller next edits one, the form asks for the required fields.
+
+---
+
+## 5) Search: `src/services/search.js` (changes)
+
+`category` is now a category id and matches the whole subtree. Attribute filters arrive as `attr[brand]=Samsung` for selects and text, and `attr[year][min]=2010&attr[year][max]=2015` for number ranges. Express 4's default query parser turns these into nested objects. Attribute filters need a category, because the category's schema says which keys can be filtered and how.
+
+`parseSearch` takes the category list as a second argument, so it stays synchronous and testable. Callers pass `await loadCategories()`.
+
+```js
+import { attributeSchema } from './categories.js';
+
+// attr[brand]=Samsung&attr[year][min]=2010 -> { attrs: [{ key, type, value } | { key, type: 'number', min, max }] } or { error }
+export function parseAttrFilters(input, schema) {
+  const attrs = [];
+  if (input === undefined) return { attrs };
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return { error: 'Attribute filters look like attr[key]=value' };
+  for (const [key, raw] of Object.entries(input)) {
+    const a = schema.find(s => s.key === key && s.filter);
+    if (!a) return { error: `Cannot filter on ${key} in this category` };
+    if (a.type === 'number') {
+      const bound = v => (v === undefined || v === '' ? null : Number(v));
+      const min = bound((raw || {}).min);
+      const max = bound((raw || {}).max);
+      if ([min, max].some(n => n !== null && !Number.isFinite(n))) return { error: `${a.label} range must be numbers` };
+      if (min !== null || max !== null) attrs.push({ key, type: 'number', min, max });
+    } else {
+      const value = String(raw).trim();
+      if (!value) continue;
+      if (a.type === 'select' && !a.options.includes(value)) return { error: `${a.label} must be one of ${a.options.join(', ')}` };
+      attrs.push({ key, type: a.type, value });
+    }
+  }
+  return { attrs };
+}
+
+// Returns { params } or { error }
+export function parseSearch(query, categories = []) {
+  // ...q, origin, sort, price, delivery and cursor unchanged
+
+  const category = query.category ? String(query.category) : null;
+  if (category && !categories.some(c => c.id === category)) return { error: 'Unknown category' };
+  if (query.attr !== undefined && !category) return { error: 'Attribute filters need a category' };
+  const attr = parseAttrFilters(query.attr, category ? attributeSchema(categories, category) : []);
+  if (attr.error) return { error: attr.error };
+
+  const state = query.state ? String(query.state) : null;
+  return {
+    params: {
+      q, sort, cursor, origin, price, category,
+      attrs: attr.attrs,
+      // ...state, lga, delivery, radiusKm and limit unchanged
+    },
+  };
+}
+```
+
+In `whereSql`, the category check moves from an equality on the name to a lookup in `categoryPath`, and each attribute filter adds one condition:
+
+```js
+export function whereSql(p, except = null) {
+  // ...
+  if (p.category && except !== 'category') c.push(Prisma.sql`${p.category} = ANY(l."categoryPath")`);
+  for (const a of p.attrs || []) c.push(attrSql(a));
+  // ...
+}
+
+// Selects use containment, which the jsonb_path_ops index serves. Ranges compare numbers only, so
+// a value of another type under the same key in another category never breaks the cast.
+function attrSql(a) {
+  if (a.type === 'select') return Prisma.sql`l.attributes @> ${JSON.stringify({ [a.key]: a.value })}::jsonb`;
+  if (a.type === 'text') return Prisma.sql`lower(l.attributes->>${a.key}) = lower(${a.value})`;
+  const n = Prisma.sql`(CASE WHEN jsonb_typeof(l.attributes->${a.key}) = 'number' THEN (l.attributes->>${a.key})::numeric END)`;
+  const c = [];
+  if (a.min !== null) c.push(Prisma.sql`${n} >= ${a.min}`);
+  if (a.max !== null) c.push(Prisma.sql`${n} <= ${a.max}`);
+  return Prisma.join(c, ' AND ');
+}
+```
+
+A listing counts toward every category on its path in the category facet. Browse can then show "Electronics (40)" above "Phones (25)":
+
+```js
+async function facetCounts(p) {
+  // ...count and bucket unchanged
+  const [category, state, delivery, price] = await Promise.all([
+    prisma.$queryRaw`SELECT unnest(l."categoryPath") AS value, count(*)::int AS count FROM "Listing" l WHERE ${whereSql(p, 'category')} GROUP BY 1`,
+    count('state'), count('delivery'),
+    prisma.$queryRaw`SELECT ${bucket} AS value, count(*)::int AS count FROM "Listing" l WHERE ${whereSql(p, 'price')} GROUP BY 1`,
+  ]);
+  // ...
+}
+```
+
+`facets.category` is keyed by category id now. Clients take names from `GET /api/categories`.
+
+---
+
+## 6) Listings: `src/routes/listings.js` (changes)
+
+Sellers send `categoryId` and `attributes`. The server fills in `categoryPath` and `category`. `category` leaves `EDITABLE`, so the name can't drift from the id:
+
+```js
+import { loadCategories, categoryById, categoryOpen, attributeSchema, cleanAttributes, listingCategory } from '../services/categories.js';
+
+const EDITABLE = ['title', 'description', 'price', 'categoryId', 'attributes', 'state', 'lga', 'area', 'images', 'delivery', 'qty', 'active'];
+
+// Returns { fields } (categoryId, categoryPath, category, attributes) or { error }. A listing may
+// stay in a category that was archived after it was posted, but not move into one.
+async function parseCategory(categoryId, attributes, current = null) {
+  const categories = await loadCategories();
+  if (!categoryById(categories, categoryId)) return { error: 'Choose a category' };
+  if (categoryId !== (current && current.categoryId) && !categoryOpen(categories, categoryId)) return { error: 'Choose a category' };
+  const attrs = cleanAttributes(attributeSchema(categories, categoryId), attributes);
+  if (attrs.error) return { error: attrs.error };
+  return { fields: { ...listingCategory(categories, categoryId), attributes: attrs.attributes } };
+}
+
+// GET /api/listings — parseSearch gets the category list
+    const parsed = parseSearch(req.query, await loadCategories());
+
+// POST /api/listings (changes)
+    const data = pick(req.body);
+    if (!data.title || !(data.price >= 0) || !data.categoryId || !data.state) return res.status(400).json({ error: 'title, price, categoryId and state required' });
+    const cat = await parseCategory(data.categoryId, data.attributes);
+    if (cat.error) return res.status(400).json({ error: cat.error });
+    Object.assign(data, cat.fields);
+    // ...location, pin and create unchanged
+
+// PATCH /api/listings/:id (changes) — before the update
+    if (data.categoryId !== undefined || data.attributes !== undefined) {
+      // a new category revalidates the attributes the listing already has
+      const cat = await parseCategory(data.categoryId ?? req.resource.categoryId, data.attributes ?? req.resource.attributes, req.resource);
+      if (cat.error) return res.status(400).json({ error: cat.error });
+      Object.assign(data, cat.fields);
+    }
+```
+
+---
+
+## 7) Routes: `src/routes/categories.js`
+
+Mount with `app.use('/api/categories', categoriesRouter)`. Anyone can read the tree, archived categories included, because old listings still name them. Only admins change it. There is no `DELETE`: listings and saved searches point at categories, so they are archived instead.
+
+```js
+// server/src/routes/categories.js
+import express from 'express';
+import { PrismaClient } from '@prisma/client';
+import { authorize, publicRoute } from '../middlewares/permissions.js';
+import { loadCategories, clearCategoryCache, categoryTrail, attributeSchema, normalizeAttributes, schemaProblem } from '../services/categories.js';
+import { slugify } from '../services/storefronts.js';
+
+const prisma = new PrismaClient();
+const router = express.Router();
+
+const loadCategory = req => prisma.category.findUnique({ where: { id: req.params.id } });
+
+// GET /api/categories — the whole tree, flat; clients nest it by parentId
+router.get('/', publicRoute('category tree'), async (req, res) => {
+  try {
+    res.json({ ok: true, categories: await loadCategories() });
+  } catch (e) { console.error('categories error', e); res.status(500).json({ error: e.message }); }
+});
+
+// POST /api/categories { name, parentId } — attributes are added with PATCH
+router.post('/', ...authorize('category:manage'), async (req, res) => {
+  try {
+    const name = String(req.body.name || '').trim().slice(0, 60);
+    const parentId = req.body.parentId || null;
+    if (!name) return res.status(400).json({ error: 'Enter a category name' });
+    if (parentId && !(await prisma.category.findUnique({ where: { id: parentId } }))) return res.status(400).json({ error: 'Parent category not found' });
+    if (await prisma.category.findFirst({ where: { parentId, name: { equals: name, mode: 'insensitive' } } })) {
+      return res.status(409).json({ error: `${name} already exists there` });
+    }
+    let id = slugify(name);
+    for (let n = 2; await prisma.category.findUnique({ where: { id } }); n++) id = `${slugify(name)}-${n}`;
+    const category = await prisma.category.create({ data: { id, name, parentId, aliases: [], attributes: [] } });
+    clearCategoryCache();
+    res.json({ ok: true, category });
+  } catch (e) { console.error('create category error', e); res.status(500).json({ error: e.message }); }
+});
+
+// PATCH /api/categories/:id { name?, aliases?, attributes?, archived? } — the parent never changes
+router.patch('/:id', ...authorize('category:manage', { load: loadCategory }), async (req, res) => {
+  try {
+    const current = req.resource;
+    const data = {};
+    if (req.body.name !== undefined) {
+      data.name = String(req.body.name).trim().slice(0, 60);
+      if (!data.name) return res.status(400).json({ error: 'Enter a category name' });
+    }
+    if (req.body.aliases !== undefined) {
+      if (!Array.isArray(req.body.aliases)) return res.status(400).json({ error: 'aliases must be a list' });
+      data.aliases = req.body.aliases.map(a => String(a).trim().toLowerCase()).filter(Boolean);
+    }
+    if (req.body.archived !== undefined) data.archived = req.body.archived === true;
+    if (req.body.attributes !== undefined) {
+      const attrs = normalizeAttributes(req.body.attributes, current.attributes);
+      if (attrs.error) return res.status(400).json({ error: attrs.error });
+      // checked here and for every subcategory, which inherits the new list
+      const categories = (await loadCategories()).map(c => c.id === current.id ? { ...c, attributes: attrs.attributes } : c);
+      for (const c of categories.filter(c => categoryTrail(categories, c.id).some(t => t.id === current.id))) {
+        const problem = schemaProblem(c.attributes || [], attributeSchema(categories, c.parentId));
+        if (problem) return res.status(400).json({ error: c.id === current.id ? problem : `${c.name}: ${problem}` });
+      }
+      data.attributes = attrs.attributes;
+    }
+
+    const category = await prisma.$transaction(async tx => {
+      const updated = await tx.category.update({ where: { id: current.id }, data });
+      // listings keep a copy of the name for full-text search
+      if (data.name && data.name !== current.name) await tx.listing.updateMany({ where: { categoryId: current.id }, data: { category: data.name } });
+      return updated;
+    });
+    clearCategoryCache();
+    res.json({ ok: true, category });
+  } catch (e) { console.error('update category error', e); res.status(500).json({ error: e.message }); }
+});
+
+export default router;
+```
+
+Attribute keys never change once created, because listings store their values by key. Renaming "Mileage" to "Odometer" changes the label only. An attribute's type can't change either: `normalizeAttributes` keeps the stored type, so a `number` can't become a `select` and strand the values already stored. Removing an attribute hides its stored values without deleting them. A new required attribute applies when a listing is next created or edited.
+
+`src/services/permissions.js`:
+
+```js
+export const POLICY = {
+  // ...
+  'category:manage': { admin: 'all' },
+};
+```
+
+`server/tests/permissions.test.js` — new rows in `EXPECTED`:
+
+```js
+const EXPECTED = {
+  // ...
+  'GET /api/categories': 'public',
+  'POST /api/categories': 'category:manage',
+  'PATCH /api/categories/:id': 'category:manage',
+};
+```
+
+---
+
+## 8) Saved searches: `src/services/savedSearches.js` (changes)
+
+Saved searches store the category id and attribute filters with the rest of the query. `attr` is the one nested key, kept as the strings the client sent:
+
+```js
+import { loadCategories } from './categories.js';
+
+const QUERY_KEYS = ['q', 'category', 'attr', 'state', 'lga', 'delivery', 'price', 'lat', 'lng', 'nearState', 'nearLga', 'radiusKm'];
+
+// Returns { query, params } or { error }
+export function parseSavedQuery(input = {}, categories = []) {
+  const query = Object.fromEntries(QUERY_KEYS.filter(k => input[k] !== undefined && input[k] !== null && input[k] !== '')
+    .map(k => [k, k === 'attr' ? input[k] : String(input[k])]));
+  const parsed = parseSearch(query, categories);
+  // ...unchanged
+}
+
+// Everything but the text query, checked in memory. Without a q this is the whole answer.
+export function couldMatch(p, listing) {
+  if (!listing.active) return false;
+  if (p.category && !listing.categoryPath.includes(p.category)) return false;
+  if (!p.attrs.every(a => attrMatches(a, listing.attributes[a.key]))) return false;
+  // ...state, lga, delivery, price and distance unchanged
+}
+
+// The in-memory twin of attrSql in search.js
+function attrMatches(a, v) {
+  if (a.type === 'number') return typeof v === 'number' && (a.min === null || v >= a.min) && (a.max === null || v <= a.max);
+  if (a.type === 'text') return String(v ?? '').toLowerCase() === a.value.toLowerCase();
+  return v === a.value;
+}
+
+export async function matchSavedSearches(listing) {
+  const categories = await loadCategories();
+  const candidates = await prisma.savedSearch.findMany({
+    where: {
+      userId: { not: listing.sellerId },
+      // a search on Electronics is a candidate for a new phone
+      AND: [{ OR: [{ state: null }, { state: listing.state }] }, { OR: [{ category: null }, { category: { in: listing.categoryPath } }] }],
+    },
+  });
+  const matched = [];
+  for (const s of candidates) {
+    const parsed = parseSearch(s.query, categories);
+    if (parsed.error) continue; // e.g. a filter on an attribute that has since been removed
+    // ...unchanged
+  }
+  // ...
+}
+```
+
+`describeQuery` names the category instead of showing its id, and adds any select values:
+
+```js
+// "toyota corolla in Lagos", "Cars in Lagos, Toyota" — used when the buyer gives no name
+export function describeQuery(query, categories = []) {
+  const category = categories.find(c => c.id === query.category);
+  const what = query.q || (category && category.name) || 'Anything';
+  const where = query.state ? ` in ${query.lga || query.state}` : query.nearState ? ` near ${query.nearLga || query.nearState}`
+    : query.lat ? ' near me' : '';
+  const picked = Object.values(query.attr || {}).filter(v => typeof v === 'string' && v);
+  return [`${what}${where}`, ...picked].join(', ').slice(0, 80);
+}
+```
+
+In `src/routes/savedSearches.js`, `POST /` loads the tree once with `const categories = await loadCategories()`. It then calls `parseSavedQuery(req.body.query, categories)` and `describeQuery(q.query, categories)`.
+
+---
+
+## 9) Client
+
+`client/src/utils/api.js`. `fetchListings` flattens `attrs` into `attr[...]` keys:
+
+```js
+export const getCategories = () => fetch(`${API}/categories`).then(r => r.json());
+export const createCategory = (body, token) => fetch(`${API}/categories`, { method: 'POST', headers: authHeaders(token), body: JSON.stringify(body) }).then(r => r.json());
+export const updateCategory = (id, body, token) => fetch(`${API}/categories/${id}`, { method: 'PATCH', headers: authHeaders(token), body: JSON.stringify(body) }).then(r => r.json());
+
+// { brand: 'Samsung', year: { min: 2010, max: '' } } -> [['attr[brand]', 'Samsung'], ['attr[year][min]', '2010']]
+function attrEntries(attrs = {}) {
+  return Object.entries(attrs).flatMap(([k, v]) => v && typeof v === 'object'
+    ? ['min', 'max'].map(b => [`attr[${k}][${b}]`, v[b]])
+    : [[`attr[${k}]`, v]]);
+}
+
+// params: { q, category, attrs, state, lga, delivery, price, lat, lng, nearState, nearLga, radiusKm, sort, cursor }
+export async function fetchListings({ attrs, ...params } = {}) {
+  const entries = [...Object.entries(params), ...attrEntries(attrs)].filter(([, v]) => v !== undefined && v !== null && v !== '');
+  const qs = new URLSearchParams(entries).toString();
+  const res = await fetch(`${API}/listings${qs ? `?${qs}` : ''}`);
+  return res.json();
+}
+```
+
+`client/src/hooks/useCategories.js` loads the tree once per page load and provides `byId`, `trail(id)`, `schema(id)` and `options()` (the indented list for selects). These are the same helpers as the server's, built on the same flat list.
+
+Pages:
+- `CreateEdit.jsx` — the free-text category input becomes a select. Archived categories are left out, except the listing's current one. Below it, `AttributeFields` renders the category's schema: a select, a number input with its unit, or a text input. Required fields are marked with `*`. Server errors such as "Year is required" show under the form.
+- `Browse.jsx` — the category select shows the tree with facet counts. Picking a category clears the attribute filters and shows the new category's `filter` attributes in a row below: a select, a from/to pair, or a text box. Cards show `attributeSummary` under the location.
+- `Listing.jsx` — the breadcrumb ("Vehicles › Cars") replaces the category text, and a table lists every attribute that has a value.
+- `Admin.jsx` — **Categories** lists the tree with attribute and listing counts and **Edit** and **Archive**/**Restore** buttons, plus a form to add a category under any parent. **Edit** opens the name, aliases and attribute rows: label, type (fixed once saved), options or unit, **required** and **filter in Browse**.
+
+---
+
+## 10) Tests: `server/tests/categories.test.js`
+
+```js
+// server/tests/categories.test.js
+import { SEED_CATEGORIES as cats } from '../src/data/categories.js';
+import { categoryTrail, categoryOpen, attributeSchema, listingCategory, matchCategory, cleanAttributes, normalizeAttributes, schemaProblem } from '../src/services/categories.js';
+import { parseSearch } from '../src/services/search.js';
+
+describe('category tree', () => {
+  test('a category has its ancestors, root first', () => {
+    expect(categoryTrail(cats, 'phones').map(c => c.id)).toEqual(['electronics', 'phones']);
+    expect(categoryTrail(cats, 'nope')).toEqual([]);
+    expect(listingCategory(cats, 'cars')).toEqual({ categoryId: 'cars', categoryPath: ['vehicles', 'cars'], category: 'Cars' });
+  });
+
+  test('attributes are inherited', () => {
+    expect(attributeSchema(cats, 'phones').map(a => a.key)).toEqual(['condition', 'brand', 'model', 'storage']);
+    expect(attributeSchema(cats, 'grains').map(a => a.key)).toEqual(['unit', 'weight']);
+  });
+
+  test('archiving a parent closes its subcategories', () => {
+    const archived = cats.map(c => c.id === 'food' ? { ...c, archived: true } : c);
+    expect(categoryOpen(cats, 'grains')).toBe(true);
+    expect(categoryOpen(archived, 'grains')).toBe(false);
+    expect(categoryOpen(cats, 'nope')).toBe(false);
+  });
+
+  test('free-text categories map by name or alias', () => {
+    expect(matchCategory(cats, 'Foodstuff').id).toBe('food');
+    expect(matchCategory(cats, 'Mobile  Phones').id).toBe('phones');
+    expect(matchCategory(cats, 'Rice & Grains').id).toBe('grains');
+    expect(matchCategory(cats, 'Antiques')).toBe(null);
+  });
+});
+
+describe('listing attributes', () => {
+  const car = attributeSchema(cats, 'cars');
+
+  test('values are checked against the schema', () => {
+    expect(cleanAttributes(car, { make: 'Toyota', year: '2012', mileage: '85000', condition: 'Foreign used', colour: 'red' }))
+      .toEqual({ attributes: { make: 'Toyota', year: 2012, mileage: 85000, condition: 'Foreign used' } });
+    expect(cleanAttributes(car, { make: 'Toyota', condition: 'Foreign used' }).error).toBe('Year is required');
+    expect(cleanAttributes(car, { make: 'Tata', year: 2012, condition: 'Foreign used' }).error).toMatch(/^Make must be one of/);
+    expect(cleanAttributes(car, { make: 'Toyota', year: 1900, condition: 'Foreign used' }).error).toBe('Year must be at least 1960');
+    expect(cleanAttributes(car, 'Toyota').error).toBe('attributes must be an object');
+  });
+
+  test('admins cannot redefine an inherited attribute or change a type', () => {
+    const inherited = attributeSchema(cats, 'electronics');
+    expect(schemaProblem([{ key: 'condition', label: 'Condition', type: 'text' }], inherited)).toMatch(/already an attribute/);
+    expect(schemaProblem([{ key: 'colour', label: 'Colour', type: 'select', options: [] }], inherited)).toMatch(/at least one option/);
+    const { attributes } = normalizeAttributes([{ key: 'year', label: 'Year of manufacture', type: 'select' }, { label: 'Fuel type', type: 'select', options: ['Petrol', ' Diesel ', ''] }], car);
+    expect(attributes).toEqual([
+      { key: 'year', label: 'Year of manufacture', type: 'number' },
+      { key: 'fuel_type', label: 'Fuel type', type: 'select', options: ['Petrol', 'Diesel'] },
+    ]);
+  });
+});
+
+describe('category search params', () => {
+  test('category and attribute filters are validated', () => {
+    expect(parseSearch({ category: 'cars', attr: { make: 'Toyota', year: { min: '2010' } } }, cats).params.attrs).toEqual([
+      { key: 'make', type: 'select', value: 'Toyota' },
+      { key: 'year', type: 'number', min: 2010, max: null },
+    ]);
+    expect(parseSearch({ category: 'Cars' }, cats).error).toBe('Unknown category');
+    expect(parseSearch({ attr: { make: 'Toyota' } }, cats).error).toBe('Attribute filters need a category');
+    expect(parseSearch({ category: 'cars', attr: { model: 'Corolla' } }, cats).error).toMatch(/Cannot filter on model/);
+    expect(parseSearch({ category: 'cars', attr: { year: { min: 'new' } } }, cats).error).toBe('Year range must be numbers');
+    expect(parseSearch({ category: 'cars', attr: { make: '' } }, cats).params.attrs).toEqual([]);
+  });
+});
+```
+
+`server/tests/savedSearches.test.js` (changes). Fixtures use category ids, and `couldMatch` gains subtree and attribute cases:
+
+```js
+import { SEED_CATEGORIES } from '../src/data/categories.js';
+
+const corolla = { id: 'l_1', active: true, title: 'Toyota Corolla 2012', category: 'Cars', categoryPath: ['vehicles', 'cars'], attributes: { make: 'Toyota', year: 2012 }, state: 'Lagos', lga: 'Ikeja', delivery: 'pickup', price: 4500000, lat: 6.6, lng: 3.35 };
+const params = query => parseSavedQuery(query, SEED_CATEGORIES).params;
+
+test('a search on a category matches its subcategories and attributes', () => {
+  expect(couldMatch(params({ category: 'vehicles' }), corolla)).toBe(true);
+  expect(couldMatch(params({ category: 'cars', attr: { make: 'Toyota', year: { min: '2010', max: '2015' } } }), corolla)).toBe(true);
+  expect(couldMatch(params({ category: 'cars', attr: { year: { min: '2015' } } }), corolla)).toBe(false);
+  expect(couldMatch(params({ category: 'phones' }), corolla)).toBe(false);
+});
+```
+
+In `search.int.test.js`, the fixtures create listings with a `categoryId` from the seeded tree. One new case checks that `?category=electronics` returns a listing in Phones and that `facets.category` counts it under both `electronics` and `phones`.
+
+---
+
+## 11) How it works (end-to-end)
+
+1. **Tree**: Categories live in `Category`, seeded from `src/data/categories.js`. Each has a fixed slug id, a parent that never changes, aliases and its own attributes. The server reads the tree through `loadCategories()`, which caches it for a minute.
+2. **Posting**: The seller picks a category, and the form shows that category's fields plus its parents'. `POST /api/listings` checks that the category and its parents are not archived, then validates `attributes` with `cleanAttributes`. Numbers are stored as numbers, unknown keys are dropped, and required fields must have a value. The listing stores `categoryId`, `categoryPath` (root first) and the category's name.
+3. **Browsing**: `?category=electronics` matches any listing whose `categoryPath` contains `electronics`, using the GIN index. `attr[...]` filters are checked against that category's `filter` attributes and become `@>` containment (selects), a case-insensitive equality (text) or a numeric range. The category facet unnests `categoryPath`, so a phone counts toward Electronics and Phones.
+4. **Saved searches**: Saved searches keep `category` and `attr` with their other filters. A new listing's candidate searches include those on any category in its path. `couldMatch` then checks the attributes in memory.
+5. **Admin**: `POST /api/categories` adds a category under any parent. `PATCH` renames it (and the copy on its listings), edits aliases and attributes, or archives it. Attribute keys and types never change, and no subcategory may reuse a key it inherits. Archived categories take no new listings, but existing listings keep them.
+6. **Old data**: `scripts/map-categories.js` seeds the tree and maps each free-text category on listings and saved searches by name or alias. Whatever it can't map goes to Other (listings) or loses its category filter (saved searches). `--dry-run` prints the mapping first.
@@ -0,0 +1,508 @@
+# MarketMate — Product Variants with Their Own Price and Stock
+
+A listing had one `price` and one `qty`. Fashion and food sellers worked around this by posting "Rice 25kg" and "Rice 50kg" as separate listings, or one listing per shoe size. Buyers then had to compare near-duplicates, and sellers had to keep several listings up to date. This update lets one listing have variants:
+
+- **Variants** — a listing names up to three ways its variants differ, such as Size and Colour, or Pack size. Each variant has a value for each of them ("42 / Black"), its own price and stock, and optionally its own photo.
+- **Listing totals** — a listing with variants keeps `price` at its cheapest variant and `qty` at the total stock. Search, price filters, sorting, favourites and "Sold out" keep working unchanged. Cards say "from ₦25,000" when the variant prices differ.
+- **Buying** — the buyer picks a variant on the listing page, and the price, stock and photo follow the pick. The cart and orders record the variant and its price at checkout.
+- **Stock taken at checkout** — checkout takes the stock from the chosen variant (or from the listing, when there are no variants) in the same transaction that creates the orders. A decrement only happens while enough stock is left, so two buyers can't both get the last pair. Cancelling the order gives the stock back.
+- **Demo** — **Sell** has a variant editor under the photos: **Add options** (Size, Colour, …), then one row per variant with its price, stock and photo. The listing page has a button per option value, and values that are out of stock are struck through. The cart shows the chosen variant, and checkout takes its stock.
+
+---
+
+## 1) Prisma
+
+```prisma
+model ListingVariant {
+  id         String      @id @default(cuid())
+  listing    Listing     @relation(fields: [listingId], references: [id], onDelete: Cascade)
+  listingId  String
+  options    Json        // one value per listing.variantAxes entry: { "Size": "42", "Colour": "Black" }
+  price      Int         // NGN
+  qty        Int
+  images     String[]
+  position   Int         @default(0)
+  archived   Boolean     @default(false) // removed by the seller; orders still point at it
+  cartItems  CartItem[]
+  orderItems OrderItem[]
+  createdAt  DateTime    @default(now())
+  updatedAt  DateTime    @updatedAt
+
+  @@index([listingId])
+}
+
+model Listing {
+  // ...existing fields
+  variantAxes String[]         // what differs between the variants, e.g. ["Size", "Colour"]; empty without variants
+  priceVaries Boolean          @default(false) // variant prices differ: cards show "from"
+  variants    ListingVariant[]
+}
+
+model CartItem {
+  // ...existing fields
+  variant   ListingVariant? @relation(fields: [variantId], references: [id])
+  variantId String?         // required when the listing has variants
+
+  // replaces @@unique([userId, listingId]): a buyer can have two sizes of one listing in the cart
+  @@index([userId])
+}
+
+model OrderItem {
+  // ...existing fields
+  variant   ListingVariant? @relation(fields: [variantId], references: [id])
+  variantId String?
+  variantLabel String?       // "42 / Black", as it was at checkout
+}
+
+model Order {
+  // ...existing fields
+  stockReserved Boolean @default(false) // checkout took the stock; cancelling gives it back
+}
+```
+
+Run `npx prisma migrate dev --name listing_variants`. Existing listings get no variants and keep their own price and stock. Existing orders have `stockReserved` false, because their stock was never taken, so cancelling them gives nothing back.
+
+---
+
+## 2) Variant service: `src/services/variants.js`
+
+```js
+// server/src/services/variants.js
+export const MAX_VARIANT_AXES = 3;
+export const MAX_VARIANTS = 50;
+const MAX_VARIANT_IMAGES = 5;
+
+// "42 / Black"
+export function variantLabel(variant, axes) {
+  return axes.map(a => variant.options[a]).join(' / ');
+}
+
+// Returns { variantAxes, variants } or { error }. No axes means no variants. A variant keeps the id
+// it was sent with; saveVariants checks that the id belongs to the listing.
+export function cleanVariants(axes = [], variants = []) {
+  if (!Array.isArray(axes) || !Array.isArray(variants)) return { error: 'variantAxes and variants must be lists' };
+  const variantAxes = [...new Set(axes.map(a => String(a || '').trim().slice(0, 30)).filter(Boolean))];
+  if (variantAxes.length > MAX_VARIANT_AXES) return { error: `Variants can differ in up to ${MAX_VARIANT_AXES} ways` };
+  if (!variantAxes.length) return variants.length ? { error: 'Say what differs between the variants, e.g. Size' } : { variantAxes, variants: [] };
+  if (!variants.length) return { error: 'Add at least one variant, or remove the variant options' };
+  if (variants.length > MAX_VARIANTS) return { error: `A listing can have up to ${MAX_VARIANTS} variants` };
+
+  const seen = new Set();
+  const out = [];
+  for (const v of variants) {
+    const options = {};
+    for (const a of variantAxes) {
+      options[a] = String((v.options || {})[a] || '').trim().slice(0, 40);
+      if (!options[a]) return { error: `Every variant needs a ${a.toLowerCase()}` };
+    }
+    const label = variantLabel({ options }, variantAxes);
+    if (seen.has(label.toLowerCase())) return { error: `${label} is listed twice` };
+    seen.add(label.toLowerCase());
+    const price = Number(v.price);
+    if (String(v.price ?? '').trim() === '' || !Number.isInteger(price) || price <= 0) return { error: `Enter a price for ${label}` };
+    const qty = Number(v.qty);
+    if (!Number.isInteger(qty) || qty < 0) return { error: `Enter the stock for ${label}` };
+    const images = (Array.isArray(v.images) ? v.images : []).slice(0, MAX_VARIANT_IMAGES).map(String);
+    out.push({ ...(v.id ? { id: String(v.id) } : {}), options, price, qty, images });
+  }
+  return { variantAxes, variants: out };
+}
+
+// A listing's own price is its cheapest variant and its qty the total
+export function variantTotals(variants) {
+  const prices = variants.map(v => v.price);
+  return { price: Math.min(...prices), qty: variants.reduce((n, v) => n + v.qty, 0), priceVaries: new Set(prices).size > 1 };
+}
+
+// Writes a cleaned list inside the caller's transaction and returns the updated listing. Variants
+// left out of the list are archived, not deleted, because orders still point at them. Carts
+// holding them are cleared.
+export async function saveVariants(tx, listingId, { variantAxes, variants }) {
+  const current = (await tx.listingVariant.findMany({ where: { listingId, archived: false }, select: { id: true } })).map(v => v.id);
+  const kept = new Set(variants.map(v => v.id).filter(id => current.includes(id)));
+  const gone = current.filter(id => !kept.has(id));
+  if (gone.length) {
+    await tx.listingVariant.updateMany({ where: { id: { in: gone } }, data: { archived: true, qty: 0 } });
+    await tx.cartItem.deleteMany({ where: { variantId: { in: gone } } });
+  }
+  for (const [position, v] of variants.entries()) {
+    const data = { options: v.options, price: v.price, qty: v.qty, images: v.images, position };
+    if (kept.has(v.id)) await tx.listingVariant.update({ where: { id: v.id }, data });
+    else await tx.listingVariant.create({ data: { ...data, listingId } });
+  }
+  // without variants the listing goes back to the price and qty sent with the edit
+  const totals = variants.length ? variantTotals(variants) : { priceVaries: false };
+  return tx.listing.update({ where: { id: listingId }, data: { variantAxes, ...totals }, include: { variants: { where: { archived: false }, orderBy: { position: 'asc' } } } });
+}
+
+// What a cart line costs and how much is left: its variant, or the listing itself
+export function offerOf(item) {
+  return item.variant ? { price: item.variant.price, qty: item.variant.qty } : { price: item.listing.price, qty: item.listing.qty };
+}
+
+// Takes stock for checkout lines ({ listingId, variantId, qty, title }) inside the caller's
+// transaction. A row is only decremented while enough is left, so of two checkouts racing for the
+// last one, one succeeds and the other throws and rolls back. Rows are taken in listing order so
+// two checkouts never wait on each other's rows.
+export async function takeStock(tx, lines) {
+  const ordered = [...lines].sort((a, b) => a.listingId.localeCompare(b.listingId) || String(a.variantId).localeCompare(String(b.variantId)));
+  for (const line of ordered) {
+    const taken = line.variantId
+      ? await tx.listingVariant.updateMany({ where: { id: line.variantId, archived: false, qty: { gte: line.qty } }, data: { qty: { decrement: line.qty } } })
+      : await tx.listing.updateMany({ where: { id: line.listingId, qty: { gte: line.qty } }, data: { qty: { decrement: line.qty } } });
+    if (taken.count === 0) throw Object.assign(new Error(`${line.title} sold out while you were checking out`), { outOfStock: true });
+    // the listing's total follows its variants
+    if (line.variantId) await tx.listing.update({ where: { id: line.listingId }, data: { qty: { decrement: line.qty } } });
+  }
+}
+
+// Gives a cancelled order's stock back. A variant the seller has since removed gets nothing.
+export async function returnStock(tx, items) {
+  for (const i of items) {
+    if (i.variantId) {
+      const back = await tx.listingVariant.updateMany({ where: { id: i.variantId, archived: false }, data: { qty: { increment: i.qty } } });
+      if (back.count === 0) continue;
+    }
+    await tx.listing.update({ where: { id: i.listingId }, data: { qty: { increment: i.qty } } });
+  }
+}
+```
+
+`takeStock` throws instead of returning `{ error }` because it runs inside `prisma.$transaction`, and throwing is what rolls the orders back. `checkoutCart` turns the `outOfStock` error into the usual `{ error }`.
+
+---
+
+## 3) Listings: `src/routes/listings.js` (changes)
+
+`variantAxes` and `variants` stay out of `EDITABLE`, like `pin`: they are validated and written separately. When a listing has variants, `price` and `qty` in the body are ignored, because `saveVariants` sets them from the variants.
+
+```js
+import { cleanVariants, saveVariants } from '../services/variants.js';
+
+const withVariants = { variants: { where: { archived: false }, orderBy: { position: 'asc' } } };
+
+// POST /api/listings (changes)
+    const variants = cleanVariants(req.body.variantAxes, req.body.variants);
+    if (variants.error) return res.status(400).json({ error: variants.error });
+    // ...category, location and pin as before
+    const listing = await prisma.$transaction(async tx => {
+      const created = await tx.listing.create({ data: { ...data, ...place.location, ...listingGeo(place.location, pin.pin), sellerId: req.user.id } });
+      return saveVariants(tx, created.id, variants);
+    });
+    res.json({ ok: true, listing });
+    matchSavedSearches(listing).catch(e => console.error('saved search match error', e));
+```
+
+`GET /api/listings/:id` returns the live variants with the listing:
+
+```js
+    const listing = await prisma.listing.findUnique({ where: { id: req.params.id }, include: withVariants });
+```
+
+`PATCH /api/listings/:id` (changes):
+
+```js
+    let variants = null;
+    if (req.body.variantAxes !== undefined || req.body.variants !== undefined) {
+      variants = cleanVariants(req.body.variantAxes ?? req.resource.variantAxes, req.body.variants ?? []);
+      if (variants.error) return res.status(400).json({ error: variants.error });
+    }
+    // ...category, location and pin as before
+    const listing = await prisma.$transaction(async tx => {
+      const updated = await tx.listing.update({ where: { id: req.resource.id }, data, include: withVariants });
+      return variants ? saveVariants(tx, updated.id, variants) : updated;
+    });
+    res.json({ ok: true, listing });
+    notifyFavourites(req.resource, listing).catch(e => console.error('favourite notify error', e));
+```
+
+A `PATCH` that sends `variants` sends the whole list. The edit form always has the whole list, and this keeps "remove a variant" the same as leaving it out. `req.body.variants ?? []` with only `variantAxes` sent is therefore "no variants", and `cleanVariants` refuses that while axes remain.
+
+Favourite alerts need no change: a cheaper variant lowers the listing's `price`, and restocking a sold-out listing's variant lifts `qty` above 0.
+
+---
+
+## 4) Cart: `src/routes/cart.js` (changes)
+
+A cart line is a listing plus, for listings with variants, one variant. Lines are found with `findFirst`, because the old `(userId, listingId)` unique key no longer fits. `PATCH` and `DELETE` take the variant in the body or query, next to the listing id in the path.
+
+```js
+import { offerOf } from '../services/variants.js';
+
+const lineWhere = (req, listingId, variantId) => ({ userId: req.user.id, listingId, variantId: variantId || null });
+
+// GET /api/cart — prices from the chosen variant
+router.get('/', ...signedIn, async (req, res) => {
+  try {
+    const items = await prisma.cartItem.findMany({ where: { userId: req.user.id }, include: { listing: true, variant: true }, orderBy: { createdAt: 'asc' } });
+    const total = items.reduce((sum, i) => sum + offerOf(i).price * i.qty, 0); // NGN
+    res.json({ ok: true, items, total });
+  } catch (e) { console.error('cart error', e); res.status(500).json({ error: e.message }); }
+});
+
+// POST /api/cart/items { listingId, variantId?, qty }
+router.post('/items', ...signedIn, async (req, res) => {
+  try {
+    const { listingId, variantId = null } = req.body;
+    const qty = Number(req.body.qty || 1);
+    if (!listingId || qty < 1) return res.status(400).json({ error: 'listingId and qty required' });
+    const listing = await prisma.listing.findUnique({ where: { id: listingId }, include: { variants: { where: { archived: false } } } });
+    if (!listing || !listing.active) return res.status(404).json({ error: 'Listing not available' });
+    if (listing.sellerId === req.user.id) return res.status(400).json({ error: 'You cannot buy your own listing' });
+    const variant = listing.variants.find(v => v.id === variantId) || null;
+    if (listing.variants.length && !variant) return res.status(400).json({ error: `Choose a ${listing.variantAxes.join(' and ').toLowerCase()} first` });
+    const stock = offerOf({ listing, variant }).qty;
+
+    const existing = await prisma.cartItem.findFirst({ where: lineWhere(req, listingId, variant && variant.id) });
+    const nextQty = (existing ? existing.qty : 0) + qty;
+    if (nextQty > stock) return res.status(400).json({ error: `Only ${stock} in stock` });
+    const item = existing
+      ? await prisma.cartItem.update({ where: { id: existing.id }, data: { qty: nextQty } })
+      : await prisma.cartItem.create({ data: { ...lineWhere(req, listingId, variant && variant.id), qty } });
+    res.json({ ok: true, item });
+  } catch (e) { console.error('cart add error', e); res.status(500).json({ error: e.message }); }
+});
+
+// PATCH /api/cart/items/:listingId { qty, variantId? } — qty 0 removes the line
+router.patch('/items/:listingId', ...signedIn, async (req, res) => {
+  try {
+    const where = lineWhere(req, req.params.listingId, req.body.variantId);
+    const qty = Number(req.body.qty);
+    if (!qty || qty < 1) {
+      await prisma.cartItem.deleteMany({ where });
+      return res.json({ ok: true });
+    }
+    const line = await prisma.cartItem.findFirst({ where, include: { listing: true, variant: true } });
+    if (!line) return res.status(404).json({ error: 'Not in your cart' });
+    if (qty > offerOf(line).qty) return res.status(400).json({ error: `Only ${offerOf(line).qty} in stock` });
+    const item = await prisma.cartItem.update({ where: { id: line.id }, data: { qty } });
+    res.json({ ok: true, item });
+  } catch (e) { console.error('cart update error', e); res.status(500).json({ error: e.message }); }
+});
+
+// DELETE /api/cart/items/:listingId?variantId=
+router.delete('/items/:listingId', ...signedIn, async (req, res) => {
+  try {
+    await prisma.cartItem.deleteMany({ where: lineWhere(req, req.params.listingId, req.query.variantId) });
+    res.json({ ok: true });
+  } catch (e) { console.error('cart delete error', e); res.status(500).json({ error: e.message }); }
+});
+```
+
+`quoteCart` and `POST /api/shipping/quote` need no change. Delivery is set per listing, not per variant.
+
+---
+
+## 5) Orders: `src/services/orders.js` (changes)
+
+`checkoutCart` prices each line from its variant and takes the stock in the same transaction that creates the orders and empties the cart. Before, it was an array `$transaction`. It is now an interactive one, so `takeStock` can abort it:
+
+```js
+import { offerOf, takeStock, returnStock, variantLabel } from './variants.js';
+
+export async function checkoutCart(buyerId, { paymentMode = 'online', shipTo = null } = {}) {
+  const cart = await prisma.cartItem.findMany({ where: { userId: buyerId }, include: { listing: true, variant: true } });
+  if (cart.length === 0) return { error: 'Cart is empty' };
+  for (const item of cart) {
+    const title = item.variant ? `${item.listing.title} (${variantLabel(item.variant, item.listing.variantAxes)})` : item.listing.title;
+    if (!item.listing.active || (item.variant && item.variant.archived)) return { error: `${title} is no longer available` };
+    if (item.qty > offerOf(item).qty) return { error: `Only ${offerOf(item).qty} left of ${title}` };
+  }
+
+  // ...group bySeller, quotes and COD eligibility as before
+
+  const orderData = Array.from(bySeller, ([sellerId, items]) => {
+    const subtotal = items.reduce((sum, i) => sum + offerOf(i).price * 100 * i.qty, 0);
+    const q = quotes[sellerId];
+    return {
+      buyerId, sellerId, checkoutRef, paymentMode, shipTo,
+      subtotal,
+      shippingFee: q.fee,
+      total: subtotal + q.fee,
+      fulfilment: q.fulfilment,
+      etaDays: q.etaDays || null,
+      stockReserved: true,
+      items: {
+        create: items.map(i => ({
+          listingId: i.listingId,
+          variantId: i.variantId,
+          variantLabel: i.variant ? variantLabel(i.variant, i.listing.variantAxes) : null,
+          title: i.listing.title,
+          unitPrice: offerOf(i).price * 100,
+          qty: i.qty,
+        })),
+      },
+      events: { create: { to: 'pending_payment', actorId: buyerId } },
+    };
+  });
+
+  let orders;
+  try {
+    orders = await prisma.$transaction(async tx => {
+      await takeStock(tx, cart.map(i => ({ listingId: i.listingId, variantId: i.variantId, qty: i.qty, title: i.listing.title })));
+      const created = [];
+      for (const data of orderData) created.push(await tx.order.create({ data, include: { items: true } }));
+      await tx.cartItem.deleteMany({ where: { userId: buyerId } });
+      return created;
+    });
+  } catch (e) {
+    if (e.outOfStock) return { error: e.message };
+    throw e;
+  }
+  const total = orders.reduce((sum, o) => sum + o.total, 0);
+  return { ok: true, checkoutRef, orders, total };
+}
+```
+
+In `transitionOrder`, a cancellation returns the stock, in the same transaction as the status change:
+
+```js
+export async function transitionOrder(orderId, to, { actorId = null, note = null, data = {}, codConfirmed = false, carrier } = {}) {
+  // ...unchanged checks
+  const updated = await prisma.$transaction(async tx => {
+    const order = await tx.order.update({
+      where: { id: orderId },
+      data: { ...data, status: to, events: { create: { from: current.status, to, actorId, note } } },
+      include: { items: true },
+    });
+    if (to === 'cancelled' && order.stockReserved) await returnStock(tx, order.items);
+    return order;
+  });
+  // ...escrow postings, shipment booking and cancellation as before
+}
+```
+
+The first check at the top of `checkoutCart` gives buyers a clear message for the common case. `takeStock` covers the race the check can't see: two checkouts for the last unit, both past the check.
+
+---
+
+## 6) Client
+
+`client/src/utils/api.js`:
+
+```js
+export const addToCart = (listingId, qty, variantId, token) => fetch(`${API}/cart/items`, { method: 'POST', headers: authHeaders(token), body: JSON.stringify({ listingId, qty, variantId }) }).then(r => r.json());
+export const updateCartItem = (listingId, qty, variantId, token) => fetch(`${API}/cart/items/${listingId}`, { method: 'PATCH', headers: authHeaders(token), body: JSON.stringify({ qty, variantId }) }).then(r => r.json());
+export const removeCartItem = (listingId, variantId, token) => fetch(`${API}/cart/items/${listingId}${variantId ? `?variantId=${variantId}` : ''}`, { method: 'DELETE', headers: authHeaders(token) }).then(r => r.json());
+```
+
+Pages:
+- `CreateEdit.jsx` — `VariantEditor` sits under the photos. **Add options** adds an option name (suggestions: Size, Colour, Weight, Pack size) and starts one variant at the listing's price and stock. Each variant row has a value per option, a price, a stock count, a photo and a remove button. With variants, the listing's own price and quantity fields are hidden. The form sends `variantAxes` and the whole `variants` list, with each existing variant's `id`.
+- `Listing.jsx` — `VariantPicker` shows one row of buttons per option. An option with a single value is picked automatically. A value is struck through when nothing with it (and the other picks) is in stock. The price, stock line and main photo follow the picked variant. Until every option is picked, the price shows "from ₦…" and **Add to cart** asks for the missing choice.
+- Listing cards show `from` when `priceVaries`.
+- `Cart.jsx` and `Orders.jsx` show the variant after the title: "Men's sneakers — 42 / Black".
+
+---
+
+## 7) Tests
+
+`server/tests/variants.test.js`:
+
+```js
+// server/tests/variants.test.js
+import { cleanVariants, variantTotals, variantLabel, offerOf } from '../src/services/variants.js';
+
+const shoes = [
+  { options: { Size: '42', Colour: 'Black' }, price: '25000', qty: 3 },
+  { options: { Size: '43', Colour: 'Black' }, price: 27000, qty: 0, images: ['https://img/43.jpg'] },
+];
+
+describe('variants', () => {
+  test('a clean list has one value per option, numbers as numbers', () => {
+    const { variantAxes, variants } = cleanVariants(['Size', ' Colour ', 'Size'], shoes);
+    expect(variantAxes).toEqual(['Size', 'Colour']);
+    expect(variants[0]).toEqual({ options: { Size: '42', Colour: 'Black' }, price: 25000, qty: 3, images: [] });
+    expect(variantLabel(variants[1], variantAxes)).toBe('43 / Black');
+  });
+
+  test('no options means no variants', () => {
+    expect(cleanVariants([], [])).toEqual({ variantAxes: [], variants: [] });
+    expect(cleanVariants([], shoes).error).toMatch(/what differs/);
+    expect(cleanVariants(['Size'], []).error).toMatch(/at least one variant/);
+  });
+
+  test('each variant is complete and appears once', () => {
+    expect(cleanVariants(['Size'], [{ options: {}, price: 1, qty: 1 }]).error).toBe('Every variant needs a size');
+    expect(cleanVariants(['Size'], [{ options: { Size: 'XL' }, price: 1, qty: 1 }, { options: { Size: 'xl' }, price: 2, qty: 1 }]).error).toBe('xl is listed twice');
+    expect(cleanVariants(['Size'], [{ options: { Size: 'XL' }, price: '', qty: 1 }]).error).toBe('Enter a price for XL');
+    expect(cleanVariants(['Size'], [{ options: { Size: 'XL' }, price: 100, qty: -1 }]).error).toBe('Enter the stock for XL');
+    expect(cleanVariants(['A', 'B', 'C', 'D'], shoes).error).toMatch(/up to 3/);
+  });
+
+  test('the listing shows the cheapest price and the total stock', () => {
+    expect(variantTotals(cleanVariants(['Size', 'Colour'], shoes).variants)).toEqual({ price: 25000, qty: 3, priceVaries: true });
+    expect(variantTotals([{ price: 5000, qty: 1 }, { price: 5000, qty: 2 }]).priceVaries).toBe(false);
+  });
+
+  test('a cart line is priced from its variant', () => {
+    const listing = { price: 25000, qty: 3 };
+    expect(offerOf({ listing, variant: { price: 27000, qty: 0 } })).toEqual({ price: 27000, qty: 0 });
+    expect(offerOf({ listing, variant: null })).toEqual({ price: 25000, qty: 3 });
+  });
+});
+```
+
+The race needs a database. `server/tests/variants.int.test.js` (same setup as `search.int.test.js`) puts the last pair of size 42 in two buyers' carts and runs both checkouts at once:
+
+```js
+// server/tests/variants.int.test.js
+import { PrismaClient } from '@prisma/client';
+import { checkoutCart, transitionOrder } from '../src/services/orders.js';
+
+const prisma = new PrismaClient();
+const tag = `t${Date.now()}`;
+let seller, buyers, listing;
+
+beforeAll(async () => {
+  seller = await prisma.user.create({ data: { name: 'Shoe Seller', email: `s${tag}@test.local`, role: 'seller' } });
+  buyers = await Promise.all([1, 2].map(n => prisma.user.create({ data: { name: `Buyer ${n}`, email: `b${n}${tag}@test.local` } })));
+  listing = await prisma.listing.create({
+    data: {
+      title: `Sneakers ${tag}`, description: '', categoryId: 'fashion', category: 'Fashion', categoryPath: ['fashion'],
+      price: 25000, qty: 4, state: 'Lagos', lga: 'Ikeja', delivery: 'pickup', sellerId: seller.id, variantAxes: ['Size'],
+      variants: { create: [{ options: { Size: '42' }, price: 25000, qty: 1 }, { options: { Size: '43' }, price: 27000, qty: 3, position: 1 }] },
+    },
+    include: { variants: true },
+  });
+  const size42 = listing.variants.find(v => v.options.Size === '42');
+  await prisma.cartItem.createMany({ data: buyers.map(b => ({ userId: b.id, listingId: listing.id, variantId: size42.id, qty: 1 })) });
+});
+
+afterAll(async () => {
+  const orders = await prisma.order.findMany({ where: { sellerId: seller.id }, select: { id: true } });
+  await prisma.orderEvent.deleteMany({ where: { orderId: { in: orders.map(o => o.id) } } });
+  await prisma.orderItem.deleteMany({ where: { orderId: { in: orders.map(o => o.id) } } });
+  await prisma.order.deleteMany({ where: { sellerId: seller.id } });
+  await prisma.cartItem.deleteMany({ where: { listingId: listing.id } });
+  await prisma.listing.delete({ where: { id: listing.id } });
+  await prisma.user.deleteMany({ where: { id: { in: [seller.id, ...buyers.map(b => b.id)] } } });
+  await prisma.$disconnect();
+});
+
+test('two checkouts for the last one: one wins, and cancelling gives it back', async () => {
+  const results = await Promise.all(buyers.map(b => checkoutCart(b.id)));
+  expect(results.filter(r => r.ok)).toHaveLength(1);
+  expect(results.find(r => r.error).error).toMatch(/sold out|Only 0 left/);
+
+  const after = await prisma.listing.findUnique({ where: { id: listing.id }, include: { variants: true } });
+  expect(after.variants.find(v => v.options.Size === '42').qty).toBe(0);
+  expect(after.qty).toBe(3);
+
+  const won = results.find(r => r.ok).orders[0];
+  expect((await transitionOrder(won.id, 'cancelled', { actorId: won.buyerId })).ok).toBe(true);
+  expect((await prisma.listing.findUnique({ where: { id: listing.id } })).qty).toBe(4);
+});
+```
+
+The losing buyer's cart is left as it was, because the rolled-back transaction never emptied it.
+
+---
+
+## 8) How it works (end-to-end)
+
+1. **Posting**: The seller adds options (Size, Colour) and one row per variant. `POST /api/listings` validates the list with `cleanVariants` and writes it with `saveVariants` in the same transaction as the listing. `saveVariants` sets the listing's `price` to the cheapest variant, its `qty` to the total and `priceVaries`.
+2. **Editing**: `PATCH` sends the whole list again. Variants that keep their `id` are updated. New ones are created. Missing ones are archived and taken out of carts, because past orders still point at them.
+3. **Browsing**: Search and filters read the listing's own `price` and `qty`, so a listing shows up under "₦20k – ₦50k" if its cheapest variant is in that range. Cards say "from" when `priceVaries`.
+4. **Picking**: The listing page shows the live variants. The buyer picks a value per option, and the price, stock and photo follow. `POST /api/cart/items` refuses a listing with variants unless `variantId` is one of them, and checks the quantity against that variant's stock.
+5. **Checkout**: `checkoutCart` prices each line from its variant and records the variant and its label on the `OrderItem`. One transaction takes the stock with conditional decrements, creates the orders and empties the cart. If any line has run out, the whole checkout rolls back and the buyer's cart is untouched.
+6. **Cancelling**: Moving an order to `cancelled` returns its lines to the variant and the listing, in the same transaction as the status change. Orders created before this change return nothing (`stockReserved` is false).
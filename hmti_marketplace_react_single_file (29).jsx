@@ -0,0 +1,543 @@
+# MarketMate — Inventory: Stock History, Reservations, Sold Out and Low-Stock Warnings
+
+Checkout now takes stock from the listing or variant that was bought, and a cancelled order gives it back. Nothing else about stock was tracked. A seller couldn't see why a count changed. An online order that was never paid held its items for good. A listing with nothing left still showed in Browse, and sellers only noticed they were running out when a buyer complained. This update covers those gaps:
+
+- **Stock history** — every change to a listing's or variant's stock is kept as a movement, with its reason, its order (if any), who made it and the count left after it. The reasons are a sale, an order cancellation, an order not paid in time, a restock, and a manual adjustment.
+- **Reservations** — checkout takes the stock straight away. An online order then holds it for 30 minutes (`RESERVATION_MINUTES`). If its `Payment` is still `pending` after that, a sweep cancels the order, puts the stock back on sale and marks the payment `expired`. Pay on Delivery orders are paid at the door, so they hold their stock until they are delivered or cancelled.
+- **Sold out** — a listing with no stock left drops out of Browse, search facets and saved-search alerts. It comes back as soon as it is restocked. Its own page and the buyers' favourites still show it as sold out. Sold out is `qty` 0, not a separate flag, so it can never disagree with the stock.
+- **Low-stock warnings** — each listing has a warning level (`lowStockAt`, default 2). When a sale takes a listing or variant down to that level, the seller gets a `stock:low` event and an email. The warning is sent once on the way down, not again on every later sale.
+- **Restock and adjust** — sellers add what arrived, or set a new count after a recount, damage or a sale made elsewhere. An adjustment needs a reason. Bringing a sold-out listing back sends the usual back-in-stock alerts to buyers who saved it.
+- **Demo** — **Orders → Sales → Stock** lists each of the seller's listings and variants with their stock, **Restock** and **Set count** buttons, the warning level, and the last ten changes. Sold-out listings disappear from Browse. Low-stock warnings appear under **Saved → Updates**. An unpaid online order says how long its items are held, and it is cancelled a minute or so after that.
+
+---
+
+## 1) Prisma
+
+```prisma
+model StockMovement {
+  id        String          @id @default(cuid())
+  listing   Listing         @relation(fields: [listingId], references: [id], onDelete: Cascade)
+  listingId String
+  variant   ListingVariant? @relation(fields: [variantId], references: [id])
+  variantId String?
+  delta     Int             // negative takes stock, positive adds it
+  qtyAfter  Int             // the variant's stock (or the listing's, without variants) after this change
+  reason    String          // sale | cancellation | reservation_expired | restock | adjustment
+  order     Order?          @relation(fields: [orderId], references: [id])
+  orderId   String?
+  actor     User?           @relation(fields: [actorId], references: [id])
+  actorId   String?         // null for the reservation sweep
+  note      String?
+  createdAt DateTime        @default(now())
+
+  @@index([listingId, createdAt])
+}
+
+model Listing {
+  // ...existing fields
+  lowStockAt     Int             @default(2) // warn the seller when a sale leaves this many or fewer
+  stockMovements StockMovement[]
+}
+
+model ListingVariant {
+  // ...existing fields
+  stockMovements StockMovement[]
+}
+
+model Order {
+  // ...existing fields
+  reservedUntil  DateTime?       // online orders: cancelled if still unpaid by then
+  stockMovements StockMovement[]
+
+  @@index([status, reservedUntil])
+}
+
+model User {
+  // ...existing fields
+  stockMovements StockMovement[]
+}
+```
+
+`Payment.status` gains `expired`. Run `npx prisma migrate dev --name inventory`. Orders placed before this change have no `reservedUntil`, so the sweep never touches them.
+
+---
+
+## 2) Inventory service: `src/services/inventory.js`
+
+```js
+// server/src/services/inventory.js
+import { PrismaClient } from '@prisma/client';
+import { notifyFavourites } from './favourites.js';
+import { variantLabel } from './variants.js';
+import { sendLowStockEmail } from './email.js';
+import { notifyLowStock } from '../index.js';
+
+const prisma = new PrismaClient();
+
+export const STOCK_REASONS = ['sale', 'cancellation', 'reservation_expired', 'restock', 'adjustment'];
+export const RESERVATION_MINUTES = Number(process.env.RESERVATION_MINUTES || 30);
+
+// When an order placed now stops holding its stock; null for Pay on Delivery, which is paid at the door
+export function reservationDeadline(paymentMode, now = new Date()) {
+  return paymentMode === 'cod' ? null : new Date(now.getTime() + RESERVATION_MINUTES * 60 * 1000);
+}
+
+// What an edit did to the stock: one line per variant (or the listing) whose count changed. More is a restock.
+// before and after carry their live variants.
+export function stockDiff(before, after) {
+  const counts = l => new Map(l.variants && l.variants.length ? l.variants.map(v => [v.id, v.qty]) : [[null, l.qty]]);
+  const was = counts(before);
+  const now = counts(after);
+  return [...new Set([...was.keys(), ...now.keys()])]
+    .map(variantId => ({ listingId: after.id, variantId, delta: (now.get(variantId) || 0) - (was.get(variantId) || 0) }))
+    .filter(i => i.delta)
+    .map(i => ({ ...i, reason: i.delta > 0 ? 'restock' : 'adjustment' }));
+}
+
+// A seller's restock ({ add }) or recount ({ count, note }) against the current count. Returns { delta, reason, note } or { error }.
+export function parseStockChange({ add, count, note } = {}, current) {
+  const restock = add !== undefined && add !== null && add !== '';
+  const raw = restock ? add : count;
+  const n = Number(raw);
+  if (raw === undefined || raw === null || raw === '' || !Number.isInteger(n) || n < (restock ? 1 : 0)) {
+    return { error: restock ? 'Enter how many arrived' : 'Enter the count' };
+  }
+  const clean = String(note || '').trim().slice(0, 200);
+  if (!restock && !clean) return { error: 'Say why the stock changed, e.g. damaged or recounted' };
+  return { delta: restock ? n : n - current, reason: restock ? 'restock' : 'adjustment', note: clean || null };
+}
+
+// Warn once on the way down: only the sale that takes the count to the level (or below it) from above
+export function lowStockCrossed(level, movement) {
+  return movement.reason === 'sale' && movement.qtyAfter <= level && movement.qtyAfter - movement.delta > level;
+}
+
+// Records lines ({ listingId, variantId, delta, reason?, orderId? }) that have already been applied in
+// tx, each with the count left after it.
+export async function recordMovements(tx, lines, { reason = null, orderId = null, actorId = null, note = null } = {}) {
+  const movements = [];
+  for (const line of lines) {
+    const row = line.variantId
+      ? await tx.listingVariant.findUnique({ where: { id: line.variantId }, select: { qty: true } })
+      : await tx.listing.findUnique({ where: { id: line.listingId }, select: { qty: true } });
+    movements.push(await tx.stockMovement.create({
+      data: {
+        listingId: line.listingId,
+        variantId: line.variantId || null,
+        delta: line.delta,
+        qtyAfter: row ? row.qty : 0,
+        reason: line.reason || reason,
+        orderId: line.orderId || orderId,
+        actorId,
+        note,
+      },
+    }));
+  }
+  return movements;
+}
+
+// Tells sellers about the sales that took stock down to their warning level. Returns how many were told.
+export async function warnLowStock(movements) {
+  const sales = movements.filter(m => m.reason === 'sale');
+  if (!sales.length) return 0;
+  const listings = await prisma.listing.findMany({
+    where: { id: { in: [...new Set(sales.map(m => m.listingId))] } },
+    include: { variants: true, seller: { select: { email: true } } },
+  });
+  let sent = 0;
+  for (const m of sales) {
+    const l = listings.find(x => x.id === m.listingId);
+    if (!l || !lowStockCrossed(l.lowStockAt, m)) continue;
+    const variant = l.variants.find(v => v.id === m.variantId);
+    const payload = { listing: { id: l.id, title: l.title }, variant: variant ? variantLabel(variant, l.variantAxes) : null, qty: m.qtyAfter };
+    notifyLowStock(l.sellerId, payload);
+    if (l.seller.email) await sendLowStockEmail(l.seller.email, payload).catch(e => console.error('low stock email error', e));
+    sent++;
+  }
+  return sent;
+}
+
+// Back-in-stock alerts for listings that stock coming back took off zero. lines: what was added.
+export async function notifyRestocked(lines) {
+  const added = new Map();
+  for (const i of lines) added.set(i.listingId, (added.get(i.listingId) || 0) + i.delta);
+  const listings = await prisma.listing.findMany({ where: { id: { in: [...added.keys()] } } });
+  for (const l of listings) await notifyFavourites({ ...l, qty: l.qty - added.get(l.id) }, l);
+}
+
+// POST /api/listings/:id/stock. The difference is written, not the count, so a sale that lands
+// between the seller's count and the save is still taken off.
+export async function updateStock(listing, { variantId = null, add, count, note, actorId = null }) {
+  if (listing.variantAxes.length ? !variantId : variantId) return { error: listing.variantAxes.length ? 'Choose a variant' : 'This listing has no variants' };
+  const result = await prisma.$transaction(async tx => {
+    const row = variantId
+      ? await tx.listingVariant.findFirst({ where: { id: variantId, listingId: listing.id, archived: false } })
+      : await tx.listing.findUnique({ where: { id: listing.id } });
+    if (!row) return { error: 'Choose a variant' };
+    const change = parseStockChange({ add, count, note }, row.qty);
+    if (change.error || !change.delta) return change;
+    if (variantId) await tx.listingVariant.update({ where: { id: variantId }, data: { qty: { increment: change.delta } } });
+    await tx.listing.update({ where: { id: listing.id }, data: { qty: { increment: change.delta } } });
+    const [movement] = await recordMovements(tx, [{ listingId: listing.id, variantId, delta: change.delta }], { reason: change.reason, actorId, note: change.note });
+    return { movement };
+  });
+  if (result.error) return result;
+  if (result.movement && result.movement.delta > 0) notifyRestocked([result.movement]).catch(e => console.error('favourite notify error', e));
+  return { ok: true, movement: result.movement || null };
+}
+```
+
+`src/services/variants.js` (change). `returnStock` now returns the lines it actually gave back, so a variant that was removed after the sale records no movement:
+
+```js
+export async function returnStock(tx, items) {
+  const back = [];
+  for (const i of items) {
+    if (i.variantId) {
+      const done = await tx.listingVariant.updateMany({ where: { id: i.variantId, archived: false }, data: { qty: { increment: i.qty } } });
+      if (done.count === 0) continue;
+    }
+    await tx.listing.update({ where: { id: i.listingId }, data: { qty: { increment: i.qty } } });
+    back.push({ listingId: i.listingId, variantId: i.variantId || null, delta: i.qty });
+  }
+  return back;
+}
+```
+
+`src/services/email.js`:
+
+```js
+// payload: { listing: { id, title }, variant, qty }
+export async function sendLowStockEmail(email, { listing, variant, qty }) {
+  const what = `${escapeHtml(listing.title)}${variant ? ` (${escapeHtml(variant)})` : ''}`;
+  await transporter.sendMail({
+    from: process.env.SMTP_FROM, to: email,
+    subject: qty > 0 ? `Only ${qty} left: ${listing.title}` : `Sold out: ${listing.title}`,
+    html: `<p>${what} ${qty > 0 ? `is down to ${qty}` : 'has sold out and is hidden from search'}.</p><p><a href="${process.env.WEB_URL}/dashboard/stock">Restock it</a></p>`,
+  });
+  console.log('Sent low stock email to', email);
+}
+```
+
+---
+
+## 3) Orders: `src/services/orders.js` (changes)
+
+`checkoutCart` records one `sale` movement per line in the transaction that takes the stock. It also gives online orders their `reservedUntil`. Low-stock warnings go out after the commit, so a failed email never fails a checkout:
+
+```js
+import { reservationDeadline, recordMovements, warnLowStock, notifyRestocked } from './inventory.js';
+
+export async function checkoutCart(buyerId, { paymentMode = 'online', shipTo = null } = {}) {
+  // ...cart checks, quotes and orderData as before, with on each order:
+  //      reservedUntil: reservationDeadline(paymentMode),
+
+  let orders;
+  let movements;
+  try {
+    ({ orders, movements } = await prisma.$transaction(async tx => {
+      await takeStock(tx, cart.map(i => ({ listingId: i.listingId, variantId: i.variantId, qty: i.qty, title: i.listing.title })));
+      const created = [];
+      for (const data of orderData) created.push(await tx.order.create({ data, include: { items: true } }));
+      const sold = created.flatMap(o => o.items.map(i => ({ listingId: i.listingId, variantId: i.variantId, delta: -i.qty, orderId: o.id })));
+      const recorded = await recordMovements(tx, sold, { reason: 'sale', actorId: buyerId });
+      await tx.cartItem.deleteMany({ where: { userId: buyerId } });
+      return { orders: created, movements: recorded };
+    }));
+  } catch (e) {
+    if (e.outOfStock) return { error: e.message };
+    throw e;
+  }
+  warnLowStock(movements).catch(e => console.error('low stock warning error', e));
+  const total = orders.reduce((sum, o) => sum + o.total, 0);
+  return { ok: true, checkoutRef, orders, total };
+}
+```
+
+`transitionOrder` takes a `stockReason`, so the sweep can record why its cancellations returned stock:
+
+```js
+export async function transitionOrder(orderId, to, { actorId = null, note = null, data = {}, codConfirmed = false, carrier, stockReason = 'cancellation' } = {}) {
+  // ...unchanged checks
+  let returned = [];
+  const updated = await prisma.$transaction(async tx => {
+    const order = await tx.order.update({
+      where: { id: orderId },
+      data: { ...data, status: to, events: { create: { from: current.status, to, actorId, note } } },
+      include: { items: true },
+    });
+    if (to === 'cancelled' && order.stockReserved) {
+      returned = await returnStock(tx, order.items);
+      await recordMovements(tx, returned, { reason: stockReason, orderId, actorId, note });
+    }
+    return order;
+  });
+  if (returned.length) notifyRestocked(returned).catch(e => console.error('favourite notify error', e));
+  // ...escrow postings, shipment booking and cancellation as before
+}
+```
+
+The reservation sweep cancels online orders that are still unpaid past `reservedUntil`. A checkout whose `Payment` already succeeded but has not been applied yet (a webhook in flight) is left for `applyPaymentToOrders`:
+
+```js
+// Every minute from index.js. Returns how many orders were released.
+export async function releaseExpiredReservations(now = new Date()) {
+  const due = await prisma.order.findMany({
+    where: { status: 'pending_payment', paymentMode: { not: 'cod' }, reservedUntil: { lte: now } },
+    select: { id: true, checkoutRef: true },
+  });
+  const refs = [...new Set(due.map(o => o.checkoutRef))];
+  const paid = new Set((await prisma.payment.findMany({ where: { checkoutRef: { in: refs }, status: 'success' }, select: { checkoutRef: true } })).map(p => p.checkoutRef));
+  let released = 0;
+  for (const o of due.filter(o => !paid.has(o.checkoutRef))) {
+    const r = await transitionOrder(o.id, 'cancelled', { note: 'payment not received in time', stockReason: 'reservation_expired' });
+    if (r.ok) released++;
+  }
+  await prisma.payment.updateMany({ where: { checkoutRef: { in: refs.filter(r => !paid.has(r)) }, status: 'pending' }, data: { status: 'expired' } });
+  return { released };
+}
+```
+
+A payment that still succeeds after its orders were released finds nothing to pay. `applyPaymentToOrders` logs it for a refund instead of reviving the orders, because their stock may already be sold again:
+
+```js
+export async function applyPaymentToOrders(payment) {
+  if (payment.status !== 'success' || !payment.checkoutRef) return [];
+  const orders = await prisma.order.findMany({ where: { checkoutRef: payment.checkoutRef, status: 'pending_payment' } });
+  if (orders.length === 0) {
+    const expired = await prisma.orderEvent.count({ where: { order: { checkoutRef: payment.checkoutRef }, to: 'cancelled', note: 'payment not received in time' } });
+    if (expired) console.warn(`payment ${payment.providerRef} arrived after its reservation expired; refund ${payment.amount}`);
+    return [];
+  }
+  // ...unchanged
+}
+```
+
+---
+
+## 4) Search and saved searches: sold out drops out
+
+`src/services/search.js` (change). `whereSql` keeps sold-out listings out of results and facets, next to the `active` check:
+
+```js
+export function whereSql(p, except = null) {
+  const c = [Prisma.sql`l.active = true`, Prisma.sql`l.qty > 0`];
+  // ...unchanged
+}
+```
+
+`src/services/savedSearches.js` (change). A listing posted with no stock alerts nobody:
+
+```js
+export function couldMatch(p, listing) {
+  if (!listing.active || listing.qty <= 0) return false;
+  // ...unchanged
+}
+```
+
+`GET /api/listings/:id` and favourites don't change. A buyer with the link, or the listing saved, still sees it as **Sold out**.
+
+---
+
+## 5) Listings: `src/routes/listings.js` (changes)
+
+`lowStockAt` joins `EDITABLE`. `loadListing` now includes the live variants, so an edit can be compared with what it replaced:
+
+```js
+import { stockDiff, recordMovements, updateStock } from '../services/inventory.js';
+
+const EDITABLE = ['title', 'description', 'price', 'categoryId', 'attributes', 'state', 'lga', 'area', 'images', 'delivery', 'qty', 'active', 'lowStockAt'];
+const loadListing = req => prisma.listing.findUnique({ where: { id: req.params.id }, include: withVariants });
+```
+
+`PATCH /api/listings/:id` (changes). The edit's stock changes are recorded in its transaction:
+
+```js
+    if ('lowStockAt' in data && !(Number.isInteger(data.lowStockAt) && data.lowStockAt >= 0)) {
+      return res.status(400).json({ error: 'lowStockAt must be 0 or more' });
+    }
+    // ...category, location, pin and variants as before
+    const listing = await prisma.$transaction(async tx => {
+      const updated = await tx.listing.update({ where: { id: req.resource.id }, data, include: withVariants });
+      const saved = variants ? await saveVariants(tx, updated.id, variants) : updated;
+      await recordMovements(tx, stockDiff(req.resource, saved), { actorId: req.user.id, note: 'listing edited' });
+      return saved;
+    });
+```
+
+The stock endpoints are the seller's own, under the same `listing:update` check as editing:
+
+```js
+// GET /api/listings/:id/stock — stock history, newest first
+router.get('/:id/stock', ...authorize('listing:update', { load: loadListing }), async (req, res) => {
+  try {
+    const movements = await prisma.stockMovement.findMany({ where: { listingId: req.resource.id }, orderBy: { createdAt: 'desc' }, take: 100 });
+    res.json({ ok: true, movements });
+  } catch (e) { console.error('stock history error', e); res.status(500).json({ error: e.message }); }
+});
+
+// POST /api/listings/:id/stock { variantId?, add } to restock, { variantId?, count, note } to adjust
+router.post('/:id/stock', ...authorize('listing:update', { load: loadListing }), async (req, res) => {
+  try {
+    const { variantId, add, count, note } = req.body;
+    const result = await updateStock(req.resource, { variantId, add, count, note, actorId: req.user.id });
+    if (result.error) return res.status(400).json({ error: result.error });
+    res.json(result);
+  } catch (e) { console.error('stock update error', e); res.status(500).json({ error: e.message }); }
+});
+```
+
+`GET /api/listings/mine` also includes each listing's live variants, so the dashboard can show stock per variant.
+
+`server/tests/permissions.test.js` — new rows in `EXPECTED`:
+
+```js
+const EXPECTED = {
+  // ...
+  'GET /api/listings/:id/stock': 'listing:update',
+  'POST /api/listings/:id/stock': 'listing:update',
+};
+```
+
+---
+
+## 6) Server: `src/index.js`
+
+```js
+import { releaseExpiredReservations } from './services/orders.js';
+
+// the seller's own devices only
+export function notifyLowStock(userId, payload) {
+  emitToUser(userId, 'stock:low', payload);
+}
+
+if (process.env.NODE_ENV !== 'test') {
+  // ...listen, escrow auto-release, search terms refresh, saved search alerts
+  setInterval(() => releaseExpiredReservations().catch(e => console.error('reservation sweep error', e)), 60 * 1000);
+}
+```
+
+Set `RESERVATION_MINUTES` to change the hold. Keep it longer than the payment provider's own checkout timeout. Otherwise a buyer could still be on the payment page when their items are released.
+
+---
+
+## 7) Client
+
+`client/src/utils/api.js`:
+
+```js
+export const getStockHistory = (listingId, token) => fetch(`${API}/listings/${listingId}/stock`, { headers: authHeaders(token) }).then(r => r.json());
+export const restock = (listingId, variantId, add, token) => fetch(`${API}/listings/${listingId}/stock`, { method: 'POST', headers: authHeaders(token), body: JSON.stringify({ variantId, add }) }).then(r => r.json());
+export const setStockCount = (listingId, variantId, count, note, token) => fetch(`${API}/listings/${listingId}/stock`, { method: 'POST', headers: authHeaders(token), body: JSON.stringify({ variantId, count, note }) }).then(r => r.json());
+```
+
+Pages:
+- `Dashboard.jsx` gains a **Stock** tab (`/dashboard/stock`). Each listing shows its stock, or each variant's, with **Restock**, **Set count** (which asks for a reason) and **Warn at N**. Lines at or below their warning level are red. A listing with none left is marked **Sold out — hidden from search**. The listing's history opens from `getStockHistory`.
+- `Orders.jsx`: an unpaid online order says "Held for you until 14:32. Pay by then or the items go back on sale."
+- `socket.on('stock:low', ...)` shows the seller a toast ("Sneakers (42 / Black): only 2 left") that links to the Stock tab.
+
+---
+
+## 8) Tests
+
+`server/tests/inventory.test.js`:
+
+```js
+// server/tests/inventory.test.js
+import { stockDiff, parseStockChange, lowStockCrossed, reservationDeadline, RESERVATION_MINUTES } from '../src/services/inventory.js';
+
+describe('inventory', () => {
+  test('an edit records what changed, more as a restock', () => {
+    const before = { id: 'l_1', qty: 4, variants: [{ id: 'v_42', qty: 3 }, { id: 'v_43', qty: 1 }] };
+    const after = { id: 'l_1', qty: 5, variants: [{ id: 'v_42', qty: 5 }] };
+    expect(stockDiff(before, after)).toEqual([
+      { listingId: 'l_1', variantId: 'v_42', delta: 2, reason: 'restock' },
+      { listingId: 'l_1', variantId: 'v_43', delta: -1, reason: 'adjustment' },
+    ]);
+    expect(stockDiff({ id: 'l_2', qty: 5, variants: [] }, { id: 'l_2', qty: 5, variants: [] })).toEqual([]);
+  });
+
+  test('a restock adds, a count sets and needs a reason', () => {
+    expect(parseStockChange({ add: 6 }, 2)).toEqual({ delta: 6, reason: 'restock', note: null });
+    expect(parseStockChange({ count: 1, note: ' one damaged ' }, 3)).toEqual({ delta: -2, reason: 'adjustment', note: 'one damaged' });
+    expect(parseStockChange({ count: 1 }, 3).error).toMatch(/Say why/);
+    expect(parseStockChange({ add: 0 }, 3).error).toBe('Enter how many arrived');
+    expect(parseStockChange({ count: -1, note: 'x' }, 3).error).toBe('Enter the count');
+    expect(parseStockChange({}, 3).error).toBe('Enter the count');
+  });
+
+  test('the low-stock warning is sent once, by the sale that crosses the level', () => {
+    expect(lowStockCrossed(2, { reason: 'sale', delta: -1, qtyAfter: 2 })).toBe(true);
+    expect(lowStockCrossed(2, { reason: 'sale', delta: -5, qtyAfter: 0 })).toBe(true);
+    expect(lowStockCrossed(2, { reason: 'sale', delta: -1, qtyAfter: 1 })).toBe(false);
+    expect(lowStockCrossed(2, { reason: 'sale', delta: -1, qtyAfter: 3 })).toBe(false);
+    expect(lowStockCrossed(2, { reason: 'adjustment', delta: -3, qtyAfter: 1 })).toBe(false);
+    expect(lowStockCrossed(0, { reason: 'sale', delta: -1, qtyAfter: 0 })).toBe(true);
+  });
+
+  test('only online orders wait on a payment', () => {
+    const now = new Date('2026-10-19T12:00:00Z');
+    expect(reservationDeadline('online', now).getTime() - now.getTime()).toBe(RESERVATION_MINUTES * 60 * 1000);
+    expect(reservationDeadline('cod', now)).toBe(null);
+  });
+});
+```
+
+`server/tests/inventory.int.test.js` (same setup as `variants.int.test.js`) lets a reservation run out:
+
+```js
+// server/tests/inventory.int.test.js
+import { PrismaClient } from '@prisma/client';
+import { checkoutCart, releaseExpiredReservations } from '../src/services/orders.js';
+
+const prisma = new PrismaClient();
+const tag = `t${Date.now()}`;
+let seller, buyer, listing;
+
+beforeAll(async () => {
+  seller = await prisma.user.create({ data: { name: 'Rice Seller', email: `s${tag}@test.local`, role: 'seller' } });
+  buyer = await prisma.user.create({ data: { name: 'Buyer', email: `b${tag}@test.local` } });
+  listing = await prisma.listing.create({
+    data: { title: `Rice 50kg ${tag}`, description: '', categoryId: 'food', category: 'Food', categoryPath: ['food'], price: 78000, qty: 3, state: 'Lagos', lga: 'Ikeja', delivery: 'pickup', sellerId: seller.id },
+  });
+  await prisma.cartItem.create({ data: { userId: buyer.id, listingId: listing.id, qty: 3 } });
+});
+
+afterAll(async () => {
+  const orders = await prisma.order.findMany({ where: { sellerId: seller.id }, select: { id: true, checkoutRef: true } });
+  await prisma.stockMovement.deleteMany({ where: { listingId: listing.id } });
+  await prisma.payment.deleteMany({ where: { checkoutRef: { in: orders.map(o => o.checkoutRef) } } });
+  await prisma.orderEvent.deleteMany({ where: { orderId: { in: orders.map(o => o.id) } } });
+  await prisma.orderItem.deleteMany({ where: { orderId: { in: orders.map(o => o.id) } } });
+  await prisma.order.deleteMany({ where: { sellerId: seller.id } });
+  await prisma.listing.delete({ where: { id: listing.id } });
+  await prisma.user.deleteMany({ where: { id: { in: [seller.id, buyer.id] } } });
+  await prisma.$disconnect();
+});
+
+test('an unpaid order gives its stock back when the reservation runs out', async () => {
+  const { orders, checkoutRef } = await checkoutCart(buyer.id);
+  await prisma.payment.create({ data: { provider: 'paystack', providerRef: checkoutRef, checkoutRef, amount: orders[0].total, status: 'pending', buyerId: buyer.id } });
+  expect((await prisma.listing.findUnique({ where: { id: listing.id } })).qty).toBe(0);
+
+  expect((await releaseExpiredReservations(new Date())).released).toBe(0);
+  expect((await releaseExpiredReservations(new Date(Date.now() + 31 * 60 * 1000))).released).toBe(1);
+
+  expect((await prisma.listing.findUnique({ where: { id: listing.id } })).qty).toBe(3);
+  expect((await prisma.order.findUnique({ where: { id: orders[0].id } })).status).toBe('cancelled');
+  expect((await prisma.payment.findFirst({ where: { checkoutRef } })).status).toBe('expired');
+  const movements = await prisma.stockMovement.findMany({ where: { listingId: listing.id }, orderBy: { createdAt: 'asc' } });
+  expect(movements.map(m => [m.reason, m.delta, m.qtyAfter])).toEqual([['sale', -3, 0], ['reservation_expired', 3, 3]]);
+});
+```
+
+---
+
+## 9) How it works (end-to-end)
+
+1. **Checkout**: One transaction takes the stock, creates the orders, records a `sale` movement per line and empties the cart. Online orders get `reservedUntil`, 30 minutes out. When a sale takes a listing or variant down to its `lowStockAt`, the seller gets `stock:low` and an email after the commit.
+2. **Sold out**: A listing at `qty` 0 matches nothing in `whereSql` or `couldMatch`, so Browse, facets and saved-search alerts skip it. Its page and favourites still show it as sold out.
+3. **Payment**: A successful payment moves the orders to `paid` as before, and the stock stays taken. Every minute, `releaseExpiredReservations` cancels online orders that are still unpaid past `reservedUntil`. Their stock goes back with a `reservation_expired` movement, and the pending `Payment` becomes `expired`. A payment that lands afterwards is logged for a refund.
+4. **Cancelling**: Any other cancellation returns the stock with a `cancellation` movement. Stock for a variant the seller has since removed is not returned and not recorded.
+5. **Restock and adjust**: `POST /api/listings/:id/stock` adds stock (`restock`) or sets a count with a reason (`adjustment`). Editing `qty` or variant stock in the listing form records the same movements, noted "listing edited". Stock that takes a listing off zero brings it back to Browse, and buyers who saved it get the back-in-stock alert.
+6. **History**: `GET /api/listings/:id/stock` lists the movements, each with the count left after it, so a seller can trace any number back to the order or person that changed it.
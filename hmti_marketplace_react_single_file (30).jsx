@@ -0,0 +1,564 @@
+# MarketMate — Photo Uploads with Resized Renditions and Pluggable Storage
+
+Listing photos were read in the browser with `readAsDataURL` and saved as base64 strings in `listing.images`. A handful of phone photos filled the demo's `localStorage` (about 5 MB in most browsers) and pushed listing requests toward `express.json({ limit: '5mb' })`. Every card in Browse downloaded the full original, and the photos kept their EXIF data, GPS position included. This update replaces that with an upload pipeline:
+
+- **Upload** — `POST /api/uploads` takes multipart photos (field `photos`, up to 8 at a time, 10 MB each). Listings then refer to photos by id. A listing that sends a `data:` URL is refused.
+- **Renditions** — each photo is turned upright and resized to `thumb` (320 px on the longest side), `medium` (800 px) and `full` (1600 px). Each size is stored as WebP and as JPEG. Photos are never enlarged, and the original file is not kept.
+- **Privacy** — the renditions carry no metadata. EXIF, GPS, camera details and embedded thumbnails are all dropped.
+- **De-duplication** — a photo's id is the SHA-256 of the uploaded bytes. The same file uploaded twice, by anyone, is processed and stored once.
+- **Storage drivers** — renditions go through a small driver interface. There are two drivers: `local`, which writes to disk and is served at `/media`, and `s3`, which works with AWS S3 and S3-compatible stores such as Cloudflare R2, DigitalOcean Spaces or MinIO. `STORAGE_DRIVER` picks one.
+- **Right size on screen** — listings come back with `photos`: the URLs of every rendition. Browse cards load the thumb, the listing page loads the medium size, and the full size opens on tap. Browsers that can't show WebP get JPEG.
+- **Demo** — photos are resized in the browser (canvas, WebP with a JPEG fallback) and kept in IndexedDB under their hash. `localStorage` only holds the refs. Photos saved as `data:` URLs by earlier versions are moved over on first load. **Export** and **Import** carry the stored renditions, so photos survive a move to another browser.
+
+---
+
+## 1) Dependencies and Prisma
+
+```
+npm install multer sharp @aws-sdk/client-s3
+```
+
+`sharp` 0.33 or later (the tests use `withExif`).
+
+```prisma
+model Image {
+  id         String   @id // SHA-256 (hex) of the uploaded bytes
+  width      Int      // of the full rendition
+  height     Int
+  uploader   User     @relation(fields: [uploaderId], references: [id])
+  uploaderId String
+  createdAt  DateTime @default(now())
+}
+
+model User {
+  // ...existing fields
+  images Image[]
+}
+```
+
+`Listing.images` and `ListingVariant.images` stay `String[]`, and now hold `Image` ids. Run `npx prisma migrate dev --name images`, then move existing photos with the script in section 6.
+
+---
+
+## 2) Storage drivers: `src/services/storage/`
+
+A driver is a plain object, like a carrier adapter. Keys look like `images/<id>/medium.webp`. They never change once written, so drivers may cache them for good.
+
+| Member | Signature | Returns |
+|---|---|---|
+| `name` | `'local'` | registry key, matched against `STORAGE_DRIVER` |
+| `put` | `(key, buffer, contentType)` | nothing; overwrites |
+| `get` | `(key)` | `Buffer`, or `null` if missing |
+| `exists` | `(key)` | `true` / `false` |
+| `delete` | `(key)` | nothing; a missing key is fine |
+| `url` | `(key)` | the public URL browsers load |
+
+### Registry: `src/services/storage/index.js`
+
+```js
+import local from './local.js';
+import s3 from './s3.js';
+
+const REQUIRED = ['put', 'get', 'exists', 'delete', 'url'];
+const DRIVERS = new Map();
+
+export function registerDriver(driver) {
+  const missing = REQUIRED.filter(m => typeof driver[m] !== 'function');
+  if (!driver.name || missing.length) throw new Error(`Storage driver ${driver.name || '(unnamed)'} is missing: ${missing.join(', ')}`);
+  DRIVERS.set(driver.name, driver);
+}
+
+export function storageDriverName() { return process.env.STORAGE_DRIVER || 'local'; }
+
+export function storage() {
+  const driver = DRIVERS.get(storageDriverName());
+  if (!driver) throw new Error(`Unknown storage driver ${storageDriverName()}`);
+  return driver;
+}
+
+registerDriver(local);
+registerDriver(s3);
+```
+
+### Local disk: `src/services/storage/local.js`
+
+Files go under `UPLOAD_DIR` (default `./uploads`). `src/index.js` serves them at `/media` (section 5).
+
+```js
+import fs from 'fs/promises';
+import path from 'path';
+
+export const LOCAL_ROOT = path.resolve(process.env.UPLOAD_DIR || 'uploads');
+
+// keys come from our own code, but a key that climbs out of the upload folder is refused all the same
+function fileFor(key) {
+  const file = path.resolve(LOCAL_ROOT, key);
+  if (!file.startsWith(LOCAL_ROOT + path.sep)) throw new Error(`Bad storage key ${key}`);
+  return file;
+}
+
+export default {
+  name: 'local',
+
+  async put(key, buffer) {
+    const file = fileFor(key);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, buffer);
+  },
+
+  async get(key) {
+    try { return await fs.readFile(fileFor(key)); } catch (e) {
+      if (e.code === 'ENOENT') return null;
+      throw e;
+    }
+  },
+
+  async exists(key) {
+    try { await fs.access(fileFor(key)); return true; } catch (e) { return false; }
+  },
+
+  async delete(key) {
+    await fs.rm(fileFor(key), { force: true });
+  },
+
+  url(key) { return `${process.env.MEDIA_URL || '/media'}/${key}`; },
+};
+```
+
+### S3-compatible: `src/services/storage/s3.js`
+
+| Variable | Example |
+|---|---|
+| `S3_BUCKET` | `marketmate-media` |
+| `S3_REGION` | `eu-west-1`, or `auto` for R2 |
+| `S3_ENDPOINT` | empty for AWS; `https://<account>.r2.cloudflarestorage.com`, `http://localhost:9000` for MinIO |
+| `S3_FORCE_PATH_STYLE` | `true` for MinIO |
+| `S3_ACCESS_KEY_ID`, `S3_SECRET_ACCESS_KEY` | credentials with put/get/delete on the bucket |
+| `S3_PUBLIC_URL` | where the bucket (or its CDN) is served, e.g. `https://media.marketmate.ng` |
+
+```js
+import { S3Client, PutObjectCommand, GetObjectCommand, HeadObjectCommand, DeleteObjectCommand } from '@aws-sdk/client-s3';
+
+let client = null;
+
+// created on first use, so a server on the local driver needs none of the S3 settings
+function s3() {
+  client = client || new S3Client({
+    region: process.env.S3_REGION || 'auto',
+    endpoint: process.env.S3_ENDPOINT || undefined,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+    credentials: { accessKeyId: process.env.S3_ACCESS_KEY_ID, secretAccessKey: process.env.S3_SECRET_ACCESS_KEY },
+  });
+  return client;
+}
+
+const Bucket = () => process.env.S3_BUCKET;
+const missing = e => e.name === 'NoSuchKey' || e.name === 'NotFound' || (e.$metadata && e.$metadata.httpStatusCode === 404);
+
+export default {
+  name: 's3',
+
+  async put(key, buffer, contentType) {
+    await s3().send(new PutObjectCommand({ Bucket: Bucket(), Key: key, Body: buffer, ContentType: contentType, CacheControl: 'public, max-age=31536000, immutable' }));
+  },
+
+  async get(key) {
+    try {
+      const r = await s3().send(new GetObjectCommand({ Bucket: Bucket(), Key: key }));
+      return Buffer.from(await r.Body.transformToByteArray());
+    } catch (e) {
+      if (missing(e)) return null;
+      throw e;
+    }
+  },
+
+  async exists(key) {
+    try { await s3().send(new HeadObjectCommand({ Bucket: Bucket(), Key: key })); return true; } catch (e) {
+      if (missing(e)) return false;
+      throw e;
+    }
+  },
+
+  async delete(key) {
+    await s3().send(new DeleteObjectCommand({ Bucket: Bucket(), Key: key }));
+  },
+
+  url(key) { return `${process.env.S3_PUBLIC_URL}/${key}`; },
+};
+```
+
+The bucket (or the CDN in front of it) must allow public reads of `images/*`. Listing photos are public anyway. Nothing else is stored there yet.
+
+---
+
+## 3) Image service: `src/services/images.js`
+
+```js
+// server/src/services/images.js
+import crypto from 'crypto';
+import sharp from 'sharp';
+import { PrismaClient } from '@prisma/client';
+import { storage } from './storage/index.js';
+
+const prisma = new PrismaClient();
+
+export const RENDITIONS = { thumb: 320, medium: 800, full: 1600 }; // longest side, px; never enlarged
+export const FORMATS = { webp: 'image/webp', jpeg: 'image/jpeg' };
+export const MAX_UPLOAD_BYTES = 10 * 1024 * 1024;
+export const MAX_LISTING_IMAGES = 8;
+const INPUT_FORMATS = ['jpeg', 'png', 'webp', 'avif'];
+const MIN_SIDE = 200;
+
+export const isImageId = id => /^[0-9a-f]{64}$/.test(String(id));
+
+export function renditionKey(id, rendition, format) {
+  return `images/${id}/${rendition}.${format === 'jpeg' ? 'jpg' : format}`;
+}
+
+// { thumb: { webp, jpeg }, medium: ..., full: ... } — what the API returns as a listing's photos
+export function imageUrls(id) {
+  const store = storage();
+  return Object.fromEntries(Object.keys(RENDITIONS).map(name => [name, Object.fromEntries(Object.keys(FORMATS).map(f => [f, store.url(renditionKey(id, name, f))]))]));
+}
+
+// Resizes an upload into every rendition and format: { files: { thumb: { webp, jpeg }, ... }, width, height }
+// or { error }. rotate() turns the pixels the way the EXIF orientation says. sharp writes no metadata
+// unless asked to (withMetadata), so EXIF, GPS and embedded thumbnails are all left behind.
+export async function renderImage(buffer) {
+  let meta;
+  try { meta = await sharp(buffer).metadata(); } catch (e) { return { error: 'That file is not a photo we can read' }; }
+  if (!INPUT_FORMATS.includes(meta.format)) return { error: 'Upload a JPEG, PNG, WebP or AVIF photo' };
+  if (Math.min(meta.width, meta.height) < MIN_SIDE) return { error: `Photos need to be at least ${MIN_SIDE} px on each side` };
+
+  const upright = sharp(buffer, { failOn: 'error' }).rotate();
+  const files = {};
+  let full = null;
+  for (const [name, side] of Object.entries(RENDITIONS)) {
+    const resized = upright.clone().resize({ width: side, height: side, fit: 'inside', withoutEnlargement: true });
+    const webp = await resized.clone().webp({ quality: 80 }).toBuffer({ resolveWithObject: true });
+    const jpeg = await resized.clone().flatten({ background: '#ffffff' }).jpeg({ quality: 82, mozjpeg: true }).toBuffer();
+    files[name] = { webp: webp.data, jpeg };
+    if (name === 'full') full = webp.info;
+  }
+  return { files, width: full.width, height: full.height };
+}
+
+// Stores an upload once per content hash. Returns { ok, image, duplicate } or { error }.
+export async function storeImage(buffer, uploaderId) {
+  const id = crypto.createHash('sha256').update(buffer).digest('hex');
+  const existing = await prisma.image.findUnique({ where: { id } });
+  if (existing) return { ok: true, image: existing, duplicate: true };
+  const out = await renderImage(buffer);
+  if (out.error) return out;
+  const store = storage();
+  for (const [name, files] of Object.entries(out.files)) {
+    for (const [format, data] of Object.entries(files)) await store.put(renditionKey(id, name, format), data, FORMATS[format]);
+  }
+  // the row goes last: an upload that failed halfway has none, and the next try writes the files again
+  const image = await prisma.image.upsert({ where: { id }, create: { id, width: out.width, height: out.height, uploaderId }, update: {} });
+  return { ok: true, image, duplicate: false };
+}
+
+// Checks the photo ids a listing (or its variants) sends. Returns { images } or { error }.
+export async function cleanImageIds(ids = []) {
+  if (!Array.isArray(ids)) return { error: 'images must be a list' };
+  if (ids.some(i => String(i).startsWith('data:'))) return { error: 'Upload photos with POST /api/uploads and send their ids' };
+  const images = [...new Set(ids.map(String))];
+  if (images.length > MAX_LISTING_IMAGES) return { error: `A listing can have up to ${MAX_LISTING_IMAGES} photos` };
+  if (!images.every(isImageId)) return { error: 'Unknown photo' };
+  if (images.length && (await prisma.image.count({ where: { id: { in: images } } })) !== images.length) return { error: 'Unknown photo' };
+  return { images };
+}
+
+// Adds photos (the URLs of each rendition) next to the ids, for the listing and its variants
+export function withPhotos(listing) {
+  return {
+    ...listing,
+    photos: listing.images.map(imageUrls),
+    ...(listing.variants ? { variants: listing.variants.map(v => ({ ...v, photos: v.images.map(imageUrls) })) } : {}),
+  };
+}
+```
+
+The id is a hash of the bytes as uploaded. The same photo saved again by another app has different bytes, so it is stored again. Hashing the decoded pixels would catch that, but every upload would have to be decoded before the duplicate check could skip it.
+
+Photos that no listing uses any more (replaced, or uploaded and never saved) stay stored. A cleanup job is a separate change.
+
+---
+
+## 4) Routes
+
+### Uploads: `src/routes/uploads.js`
+
+```js
+import express from 'express';
+import multer from 'multer';
+import { authorize } from '../middlewares/permissions.js';
+import { storeImage, imageUrls, MAX_UPLOAD_BYTES, MAX_LISTING_IMAGES } from '../services/images.js';
+
+const router = express.Router();
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_UPLOAD_BYTES, files: MAX_LISTING_IMAGES } });
+
+const LIMIT_ERRORS = {
+  LIMIT_FILE_SIZE: `Photos can be up to ${MAX_UPLOAD_BYTES / 1024 / 1024} MB`,
+  LIMIT_FILE_COUNT: `Upload up to ${MAX_LISTING_IMAGES} photos at a time`,
+};
+
+// multer's limit errors become 400s like the rest of the API
+function receive(req, res, next) {
+  upload.array('photos')(req, res, err => {
+    if (err instanceof multer.MulterError) return res.status(400).json({ error: LIMIT_ERRORS[err.code] || err.message });
+    next(err);
+  });
+}
+
+// POST /api/uploads — multipart, field "photos". One entry per file, in the order sent;
+// a file that isn't a usable photo gets { name, error } and the rest still go through.
+router.post('/', ...authorize('listing:create'), receive, async (req, res) => {
+  try {
+    if (!req.files || !req.files.length) return res.status(400).json({ error: 'Attach at least one photo' });
+    const images = [];
+    for (const f of req.files) {
+      const r = await storeImage(f.buffer, req.user.id);
+      images.push(r.error ? { name: f.originalname, error: r.error } : { id: r.image.id, width: r.image.width, height: r.image.height, photo: imageUrls(r.image.id) });
+    }
+    res.json({ ok: true, images });
+  } catch (e) { console.error('upload error', e); res.status(500).json({ error: e.message }); }
+});
+
+export default router;
+```
+
+Only sellers upload. `listing:create` is the permission of the thing the photos are for. `server/tests/permissions.test.js`:
+
+```js
+const EXPECTED = {
+  // ...
+  'POST /api/uploads': 'listing:create',
+};
+```
+
+### Listings: `src/routes/listings.js` (changes)
+
+`images` leaves `EDITABLE`. Photo ids for the listing and its variants are checked together before anything is written:
+
+```js
+import { cleanImageIds, withPhotos } from '../services/images.js';
+
+// POST and PATCH, next to the category and variant checks
+    if (req.body.images !== undefined || req.body.variants !== undefined) {
+      const sent = [...(req.body.images || []), ...(Array.isArray(req.body.variants) ? req.body.variants.flatMap(v => v.images || []) : [])];
+      const photos = await cleanImageIds(sent);
+      if (photos.error) return res.status(400).json({ error: photos.error });
+      if (req.body.images !== undefined) data.images = [...new Set(req.body.images.map(String))];
+    }
+```
+
+Every route that returns listings passes them through `withPhotos`. That covers search results, `GET /:id`, `GET /mine`, `POST`/`PATCH`, shops and favourites. For example:
+
+```js
+    res.json({ ok: true, listing: withPhotos(listing) });
+```
+
+`images` stays in the response too, because the edit form sends the ids back.
+
+---
+
+## 5) Server: `src/index.js`
+
+```js
+import uploadsRouter from './routes/uploads.js';
+import { storageDriverName } from './services/storage/index.js';
+import { LOCAL_ROOT } from './services/storage/local.js';
+
+// photos arrive as multipart on /api/uploads, so JSON bodies are small again
+app.use(express.json({
+  limit: '1mb',
+  verify: (req, _res, buf) => { req.rawBody = buf; }, // used by webhook signature checks
+}));
+
+app.use('/api/uploads', uploadsRouter);
+
+// rendition keys never change, so browsers may keep them for good
+if (storageDriverName() === 'local') {
+  app.use('/media', express.static(LOCAL_ROOT, { maxAge: '365d', immutable: true, fallthrough: false }));
+}
+```
+
+In production, put `/media` behind nginx or a CDN, or use the `s3` driver. Node doesn't need to serve the photos.
+
+---
+
+## 6) Moving existing photos: `scripts/migrate-inline-images.js`
+
+Listings saved before this change hold `data:` URLs (and sometimes plain `https://` links). The script runs each `data:` URL through `storeImage`, which uploads it and swaps in its id, and reports what it can't read. `--dry-run` only counts.
+
+```js
+// server/scripts/migrate-inline-images.js
+import { PrismaClient } from '@prisma/client';
+import { storeImage } from '../src/services/images.js';
+
+const prisma = new PrismaClient();
+const dryRun = process.argv.includes('--dry-run');
+const admin = await prisma.user.findFirst({ where: { role: 'admin' }, select: { id: true } });
+
+async function migrate(images, ownerId) {
+  const out = [];
+  for (const src of images) {
+    const m = /^data:image\/[\w.+-]+;base64,(.+)$/.exec(src);
+    if (!m) { out.push(src); continue; }
+    if (dryRun) { out.push('(would upload)'); continue; }
+    const r = await storeImage(Buffer.from(m[1], 'base64'), ownerId || admin.id);
+    if (r.error) { console.warn(`  dropped a photo: ${r.error}`); continue; }
+    out.push(r.image.id);
+  }
+  return out;
+}
+
+// Prisma can't match a prefix inside String[], so listings are filtered here
+let listings = 0;
+for (const l of await prisma.listing.findMany({ include: { variants: true } })) {
+  const has = list => list.some(src => src.startsWith('data:'));
+  if (!has(l.images) && !l.variants.some(v => has(v.images))) continue;
+  listings++;
+  console.log(`${l.id} ${l.title}`);
+  const images = await migrate(l.images, l.sellerId);
+  if (!dryRun) await prisma.listing.update({ where: { id: l.id }, data: { images } });
+  for (const v of l.variants.filter(v => has(v.images))) {
+    const vi = await migrate(v.images, l.sellerId);
+    if (!dryRun) await prisma.listingVariant.update({ where: { id: v.id }, data: { images: vi } });
+  }
+}
+console.log(`${listings} listing(s) ${dryRun ? 'to migrate' : 'migrated'}`);
+await prisma.$disconnect();
+```
+
+Plain `https://` links are left as they are. `withPhotos` can't resize those. The client shows them as they are, the same way the demo does.
+
+---
+
+## 7) Client
+
+`client/src/utils/api.js`:
+
+```js
+// files: a FileList or array from <input type="file" multiple>
+export function uploadPhotos(files, token) {
+  const body = new FormData();
+  for (const f of files) body.append('photos', f);
+  return fetch(`${API}/uploads`, { method: 'POST', headers: { Authorization: `Bearer ${token}` }, body }).then(r => r.json());
+}
+```
+
+There is no `Content-Type` header. The browser sets the multipart boundary itself.
+
+`client/src/components/Photo.jsx` lets the browser pick the rendition. `sizes` says how wide the photo is drawn, and the browser loads the smallest rendition that covers it, in WebP where it can:
+
+```jsx
+// client/src/components/Photo.jsx
+const WIDTHS = { thumb: 320, medium: 800, full: 1600 };
+
+// photo: { thumb: { webp, jpeg }, medium: ..., full: ... } from listing.photos
+export default function Photo({ photo, src, sizes = '100vw', alt = '', className = '' }) {
+  if (!photo) return src ? <img src={src} alt={alt} className={className} loading="lazy" /> : <div className={`${className} bg-gray-100`} />;
+  const set = format => Object.entries(WIDTHS).map(([name, w]) => `${photo[name][format]} ${w}w`).join(', ');
+  return (
+    <picture>
+      <source type="image/webp" srcSet={set('webp')} sizes={sizes} />
+      <img src={photo.medium.jpeg} srcSet={set('jpeg')} sizes={sizes} alt={alt} className={className} loading="lazy" />
+    </picture>
+  );
+}
+```
+
+Pages:
+- `Browse.jsx` / `ListingCard.jsx`: `<Photo photo={l.photos[0]} sizes="(min-width: 768px) 25vw, 50vw" />`. On a phone, the browser picks `thumb` at 1x and `medium` at 2x.
+- `Listing.jsx`: the main photo uses `sizes="(min-width: 768px) 33vw, 100vw"`, and tapping it opens `photo.full.webp`. The strip uses `sizes="80px"`, which gives `thumb`.
+- `CreateEdit.jsx`: the file input takes several photos at once and calls `uploadPhotos`. Each returned id joins `form.images`, and its `photo.thumb` is the preview. Files the server refused show their `error`. The form sends ids only.
+
+---
+
+## 8) Tests: `server/tests/images.test.js`
+
+```js
+// server/tests/images.test.js
+import os from 'os';
+import path from 'path';
+import sharp from 'sharp';
+import { renderImage, renditionKey, isImageId } from '../src/services/images.js';
+
+const photo = (width, height) => sharp({ create: { width, height, channels: 3, background: '#c33' } });
+
+describe('renderImage', () => {
+  test('each rendition fits its size and the photo is turned upright', async () => {
+    // a landscape sensor image that EXIF says to rotate 90° (orientation 6)
+    const input = await photo(2000, 1000).jpeg().withMetadata({ orientation: 6 }).toBuffer();
+    const out = await renderImage(input);
+    expect([out.width, out.height]).toEqual([800, 1600]);
+    const thumb = await sharp(out.files.thumb.webp).metadata();
+    expect([thumb.format, thumb.width, thumb.height]).toEqual(['webp', 160, 320]);
+    expect((await sharp(out.files.medium.jpeg).metadata()).format).toBe('jpeg');
+  });
+
+  test('no metadata survives, GPS included', async () => {
+    const input = await photo(1200, 900).jpeg().withExif({ IFD3: { GPSLatitudeRef: 'N', GPSLatitude: '6/1 27/1 0/1' } }).toBuffer();
+    expect((await sharp(input).metadata()).exif).toBeDefined();
+    const out = await renderImage(input);
+    for (const files of Object.values(out.files)) {
+      for (const data of Object.values(files)) {
+        const meta = await sharp(data).metadata();
+        expect(meta.exif).toBeUndefined();
+        expect(meta.orientation).toBeUndefined();
+      }
+    }
+  });
+
+  test('small photos are not enlarged; tiny ones and non-photos are refused', async () => {
+    const out = await renderImage(await photo(600, 400).png().toBuffer());
+    expect([out.width, out.height]).toEqual([600, 400]);
+    expect((await renderImage(await photo(100, 100).jpeg().toBuffer())).error).toMatch(/at least 200 px/);
+    expect((await renderImage(Buffer.from('not a photo'))).error).toMatch(/not a photo/);
+    expect((await renderImage(await photo(400, 400).gif().toBuffer())).error).toMatch(/JPEG, PNG, WebP or AVIF/);
+  });
+
+  test('keys and ids', () => {
+    expect(renditionKey('ab', 'thumb', 'jpeg')).toBe('images/ab/thumb.jpg');
+    expect(isImageId('a'.repeat(64))).toBe(true);
+    expect(isImageId('data:image/png;base64,AAAA')).toBe(false);
+  });
+});
+
+describe('local storage driver', () => {
+  let local;
+  beforeAll(async () => {
+    process.env.UPLOAD_DIR = path.join(os.tmpdir(), `mm-uploads-${Date.now()}`);
+    local = (await import('../src/services/storage/local.js')).default;
+  });
+
+  test('put, get, exists and delete by key', async () => {
+    await local.put('images/x/thumb.webp', Buffer.from('abc'), 'image/webp');
+    expect(await local.exists('images/x/thumb.webp')).toBe(true);
+    expect((await local.get('images/x/thumb.webp')).toString()).toBe('abc');
+    await local.delete('images/x/thumb.webp');
+    expect(await local.get('images/x/thumb.webp')).toBe(null);
+    expect(local.url('images/x/thumb.webp')).toBe('/media/images/x/thumb.webp');
+  });
+
+  test('a key cannot leave the upload folder', async () => {
+    await expect(local.put('../escape.txt', Buffer.from('x'))).rejects.toThrow(/Bad storage key/);
+  });
+});
+```
+
+`local.js` reads `UPLOAD_DIR` when it is first imported. The driver test therefore sets it before a dynamic `import()`. The registry in `storage/index.js` isn't imported here, so it can't load the driver first.
+
+---
+
+## 9) How it works (end-to-end)
+
+1. **Pick**: The seller picks photos in the listing form. The client posts them as multipart to `POST /api/uploads`. multer keeps them in memory, refusing files over 10 MB or more than 8 at a time.
+2. **Hash**: `storeImage` hashes each file. If an `Image` with that hash exists, its id comes straight back and nothing is processed.
+3. **Render**: Otherwise sharp turns the photo upright and writes thumb, medium and full in WebP and JPEG. No metadata is copied across. The six files go through the configured storage driver, and the `Image` row is written last.
+4. **Save**: The form sends photo ids in `images` (and in variants' `images`). `cleanImageIds` refuses `data:` URLs, unknown ids and more than 8 photos.
+5. **Show**: Responses carry `photos` with every rendition's URL. `<Photo>` gives the browser a `srcset` per format, so cards load the thumb, the listing page loads the medium size, and full size only loads on tap.
+6. **Serve**: The `local` driver's files are served at `/media` with a one-year immutable cache. With `s3`, the URLs point at `S3_PUBLIC_URL` and the API never touches the bytes again.
@@ -0,0 +1,474 @@
+# MarketMate — Encrypted ID Documents, Hashed BVNs and Logged Admin Access
+
+`submitVerification` saved the seller's ID photo as a base64 string and the raw BVN on the user object in `localStorage`. **Export** then wrote both into a downloadable JSON file. An admin opened the ID through a plain `<a href={idImageBase64}>`, which works for anyone who has the string and leaves no trace. On the server, `Verification.idImageUrl` pointed at a public upload, and nothing set `bvnHash`. This update treats verification documents as the sensitive records they are:
+
+- **Encrypted store** — ID photos are kept apart from listing photos and user records. They are re-encoded (EXIF and GPS dropped) and encrypted with AES-256-GCM under a key that isn't stored in the database. A verification only holds the document's id.
+- **BVN** — never stored. What remains is a salted hash (bcrypt, like passwords) and the last 4 digits, which reviewers need to match a BVN slip.
+- **Time-limited viewing** — reviewers (`verification:review`) ask for a link that works for 5 minutes. It is served with `no-store`, so browsers and proxies don't keep a copy.
+- **Access log** — every link issued and every time it is opened is recorded, with who, when and from which IP. Only admins can read the log (new permission `verification:audit`).
+- **Export/import** — document ids, BVN hashes and last-4s and the access log are left out of **Export**, and an import can't set them.
+- **Demo** — documents sit encrypted in their own IndexedDB database (`marketmate_vault`). The key is generated in the browser as non-extractable, so page scripts can't read it back out. **Admin → View ID** decrypts the document into a link that is revoked after 5 minutes, and the view is logged under **ID document access**. Earlier saves that kept the ID and BVN in the clear are moved over on first load.
+
+---
+
+## 1) Prisma
+
+```prisma
+model Verification {
+  id          String    @id @default(cuid())
+  user        User      @relation(fields: [userId], references: [id])
+  userId      String    @unique
+  document    VerificationDocument? @relation(fields: [documentId], references: [id])
+  documentId  String?   @unique
+  bvnHash     String?   // bcrypt; the BVN itself is never stored
+  bvnLast4    String?
+  status      String    @default("pending")
+  submittedAt DateTime  @default(now())
+  reviewedAt  DateTime?
+  // idImageUrl is removed once scripts/move-id-documents.js has run (section 6)
+}
+
+model VerificationDocument {
+  id           String   @id @default(cuid())
+  ownerId      String   // the user the ID belongs to
+  contentType  String
+  keyId        String   // which VAULT_KEY encrypted it
+  iv           Bytes
+  tag          Bytes
+  ciphertext   Bytes
+  createdAt    DateTime @default(now())
+  verification Verification?
+  access       DocumentAccess[]
+}
+
+model DocumentAccess {
+  id         String   @id @default(cuid())
+  document   VerificationDocument? @relation(fields: [documentId], references: [id], onDelete: SetNull)
+  documentId String?  // null once the document is replaced; the log row stays
+  ownerId    String
+  viewerId   String
+  action     String   // 'link' | 'view'
+  ip         String?
+  createdAt  DateTime @default(now())
+
+  @@index([ownerId, createdAt])
+}
+```
+
+Documents live in their own table rather than in the media store from the photo pipeline. Media keys are public URLs. An ID is only ever read back through `openDocument`, and a reviewer with a link only reaches it through the signed route in section 4.
+
+---
+
+## 2) Vault: `src/services/vault.js`
+
+`VAULT_KEY` is 32 random bytes, base64 (`openssl rand -base64 32`). To rotate, move the old key into `VAULT_OLD_KEYS` (comma-separated) and set a new `VAULT_KEY`. New documents use the new key, and old ones still open. A `keyId` (the first 8 hex of the key's SHA-256) on each row says which key encrypted it.
+
+```js
+// server/src/services/vault.js
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import sharp from 'sharp';
+import { PrismaClient } from '@prisma/client';
+import { sign, verify } from './jwt.js';
+
+const prisma = new PrismaClient();
+
+export const DOCUMENT_LINK_SECONDS = 300;
+export const MAX_DOCUMENT_SIDE = 2000;
+export const BVN_PATTERN = /^\d{11}$/;
+const BVN_ROUNDS = Number(process.env.BCRYPT_ROUNDS || 12);
+
+function loadKey(base64) {
+  const key = Buffer.from(base64, 'base64');
+  if (key.length !== 32) throw new Error('Vault keys must be 32 bytes, base64-encoded');
+  return { id: crypto.createHash('sha256').update(key).digest('hex').slice(0, 8), key };
+}
+
+// keyId -> key; the first is the one new documents are encrypted with
+function vaultKeys() {
+  if (!process.env.VAULT_KEY) throw new Error('VAULT_KEY is not set');
+  const keys = [process.env.VAULT_KEY, ...(process.env.VAULT_OLD_KEYS || '').split(',').filter(Boolean)].map(loadKey);
+  return new Map(keys.map(k => [k.id, k.key]));
+}
+
+export function encrypt(buffer) {
+  const [[keyId, key]] = vaultKeys();
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const ciphertext = Buffer.concat([cipher.update(buffer), cipher.final()]);
+  return { keyId, iv, tag: cipher.getAuthTag(), ciphertext };
+}
+
+// Throws if the key is unknown or the data was altered (GCM checks the tag)
+export function decrypt({ keyId, iv, tag, ciphertext }) {
+  const key = vaultKeys().get(keyId);
+  if (!key) throw new Error(`Vault key ${keyId} is not configured`);
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv));
+  decipher.setAuthTag(Buffer.from(tag));
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext)), decipher.final()]);
+}
+
+// Turned upright, shrunk to MAX_DOCUMENT_SIDE and re-encoded as JPEG; sharp copies no metadata across.
+// Returns { buffer } or { error }.
+export async function cleanDocument(buffer) {
+  let meta;
+  try { meta = await sharp(buffer).metadata(); } catch (e) { return { error: 'That file is not a photo we can read' }; }
+  if (!['jpeg', 'png', 'webp'].includes(meta.format)) return { error: 'Upload a JPEG, PNG or WebP photo of your ID' };
+  const out = await sharp(buffer).rotate()
+    .resize({ width: MAX_DOCUMENT_SIDE, height: MAX_DOCUMENT_SIDE, fit: 'inside', withoutEnlargement: true })
+    .flatten({ background: '#ffffff' }).jpeg({ quality: 90 }).toBuffer();
+  return { buffer: out };
+}
+
+// Returns { ok, document } or { error }
+export async function storeDocument(buffer, ownerId) {
+  const clean = await cleanDocument(buffer);
+  if (clean.error) return clean;
+  const document = await prisma.verificationDocument.create({
+    data: { ownerId, contentType: 'image/jpeg', ...encrypt(clean.buffer) },
+    select: { id: true, ownerId: true, createdAt: true },
+  });
+  return { ok: true, document };
+}
+
+// { buffer, contentType, ownerId } or null
+export async function openDocument(id) {
+  const doc = await prisma.verificationDocument.findUnique({ where: { id } });
+  if (!doc) return null;
+  return { buffer: decrypt(doc), contentType: doc.contentType, ownerId: doc.ownerId };
+}
+
+export async function deleteDocument(id) {
+  await prisma.verificationDocument.deleteMany({ where: { id } });
+}
+
+// Returns { bvnHash, bvnLast4 } or { error }
+export async function protectBvn(bvn) {
+  const digits = String(bvn || '').replace(/\s/g, '');
+  if (!BVN_PATTERN.test(digits)) return { error: 'A BVN is 11 digits' };
+  return { bvnHash: await bcrypt.hash(digits, BVN_ROUNDS), bvnLast4: digits.slice(-4) };
+}
+
+export function logAccess(documentId, ownerId, viewerId, action, ip) {
+  return prisma.documentAccess.create({ data: { documentId, ownerId, viewerId, action, ip: ip || null } });
+}
+
+// A signed, short-lived link token. It carries no session id, so it can never pass as an access token.
+export function documentLinkToken(documentId, viewerId) {
+  return sign({ purpose: 'document', doc: documentId, viewer: viewerId }, { expiresIn: DOCUMENT_LINK_SECONDS });
+}
+
+// { doc, viewer } or null for anything expired, tampered with or not a document link
+export function readDocumentLinkToken(token) {
+  try {
+    const payload = verify(token);
+    return payload.purpose === 'document' ? { doc: payload.doc, viewer: payload.viewer } : null;
+  } catch (e) { return null; }
+}
+```
+
+The BVN hash is salted like a password, so two sellers with the same BVN can't be matched by comparing hashes. Duplicate detection belongs with the identity provider, which sees the BVN in transit. It is not done from stored data.
+
+---
+
+## 3) Submitting: `src/routes/verification.js`
+
+```js
+import express from 'express';
+import multer from 'multer';
+import { PrismaClient } from '@prisma/client';
+import { signedIn } from '../middlewares/permissions.js';
+import { MAX_UPLOAD_BYTES } from '../services/images.js';
+import { storeDocument, deleteDocument, protectBvn } from '../services/vault.js';
+
+const prisma = new PrismaClient();
+const router = express.Router();
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 } });
+
+// what the seller sees of their own verification
+const OWN_FIELDS = { status: true, submittedAt: true, reviewedAt: true, bvnLast4: true, documentId: true };
+
+// GET /api/verification
+router.get('/', ...signedIn, async (req, res) => {
+  try {
+    const v = await prisma.verification.findUnique({ where: { userId: req.user.id }, select: OWN_FIELDS });
+    res.json({ ok: true, verification: v && { ...v, documentId: undefined, hasDocument: !!v.documentId } });
+  } catch (e) { console.error('verification status error', e); res.status(500).json({ error: e.message }); }
+});
+
+// POST /api/verification — multipart: "document" (ID photo) and optional "bvn". A resubmission
+// replaces the earlier document and starts a new review.
+router.post('/', ...signedIn, upload.single('document'), async (req, res) => {
+  try {
+    if (!req.file) return res.status(400).json({ error: 'Attach a photo of your ID' });
+    const bvn = req.body.bvn ? await protectBvn(req.body.bvn) : { bvnHash: null, bvnLast4: null };
+    if (bvn.error) return res.status(400).json({ error: bvn.error });
+    const stored = await storeDocument(req.file.buffer, req.user.id);
+    if (stored.error) return res.status(400).json({ error: stored.error });
+
+    const previous = await prisma.verification.findUnique({ where: { userId: req.user.id }, select: { documentId: true } });
+    const data = { documentId: stored.document.id, ...bvn, status: 'pending', submittedAt: new Date(), reviewedAt: null };
+    const v = await prisma.verification.upsert({ where: { userId: req.user.id }, create: { userId: req.user.id, ...data }, update: data, select: OWN_FIELDS });
+    if (previous && previous.documentId) await deleteDocument(previous.documentId);
+    res.json({ ok: true, verification: { ...v, documentId: undefined, hasDocument: true } });
+  } catch (e) { console.error('submit verification error', e); res.status(500).json({ error: e.message }); }
+});
+
+export default router;
+```
+
+Deleting the old document keeps its access log rows. Their `documentId` becomes null, and `ownerId` still says whose ID was opened.
+
+`src/index.js`: `app.use('/api/verification', verificationRouter)` and `app.use('/api/documents', documentsRouter)`.
+
+---
+
+## 4) Reviewing: admin routes and the signed document route
+
+### `src/routes/admin.js` (changes)
+
+The review list never returns `bvnHash`. Before this change it returned the whole row:
+
+```js
+import { documentLinkToken, logAccess, DOCUMENT_LINK_SECONDS } from '../services/vault.js';
+
+const VERIFICATION_FIELDS = { userId: true, status: true, submittedAt: true, reviewedAt: true, bvnLast4: true, documentId: true };
+
+// GET /api/admin/verifications?status=pending
+router.get('/verifications', ...authorize('verification:review'), async (req, res) => {
+  try {
+    const verifications = await prisma.verification.findMany({
+      where: { status: req.query.status || 'pending' },
+      select: { ...VERIFICATION_FIELDS, user: { select: USER_FIELDS } },
+      orderBy: { submittedAt: 'asc' },
+    });
+    res.json({ ok: true, verifications });
+  } catch (e) { console.error('verifications error', e); res.status(500).json({ error: e.message }); }
+});
+
+// POST /api/admin/verifications/:userId/document-link — a URL that opens the ID for DOCUMENT_LINK_SECONDS
+router.post('/verifications/:userId/document-link', ...authorize('verification:review'), async (req, res) => {
+  try {
+    const v = await prisma.verification.findUnique({ where: { userId: req.params.userId }, select: { documentId: true } });
+    if (!v || !v.documentId) return res.status(404).json({ error: 'No ID document on file' });
+    await logAccess(v.documentId, req.params.userId, req.user.id, 'link', req.ip);
+    const token = documentLinkToken(v.documentId, req.user.id);
+    res.json({ ok: true, url: `/api/documents/${token}`, expiresAt: new Date(Date.now() + DOCUMENT_LINK_SECONDS * 1000) });
+  } catch (e) { console.error('document link error', e); res.status(500).json({ error: e.message }); }
+});
+
+// GET /api/admin/document-access?userId= — newest first
+router.get('/document-access', ...authorize('verification:audit'), async (req, res) => {
+  try {
+    const access = await prisma.documentAccess.findMany({
+      where: req.query.userId ? { ownerId: req.query.userId } : {},
+      orderBy: { createdAt: 'desc' },
+      take: 200,
+    });
+    res.json({ ok: true, access });
+  } catch (e) { console.error('document access error', e); res.status(500).json({ error: e.message }); }
+});
+```
+
+### `src/routes/documents.js` (new)
+
+The link is opened in a new tab, which can't send the `Authorization` header. The signed token is the credential, and the route is `publicRoute` for that reason. The token names the reviewer it was issued to, and a view is logged under that name.
+
+```js
+import express from 'express';
+import { publicRoute } from '../middlewares/permissions.js';
+import { openDocument, readDocumentLinkToken, logAccess } from '../services/vault.js';
+
+const router = express.Router();
+
+// GET /api/documents/:token
+router.get('/:token', publicRoute('signed, 5-minute document link'), async (req, res) => {
+  try {
+    const link = readDocumentLinkToken(req.params.token);
+    if (!link) return res.status(410).json({ error: 'This link has expired. Open the ID again from the admin panel.' });
+    const doc = await openDocument(link.doc);
+    if (!doc) return res.status(404).json({ error: 'Document not found' });
+    await logAccess(link.doc, doc.ownerId, link.viewer, 'view', req.ip);
+    res.set({
+      'Content-Type': doc.contentType,
+      'Content-Disposition': 'inline',
+      'Cache-Control': 'no-store',
+      'X-Content-Type-Options': 'nosniff',
+      'Referrer-Policy': 'no-referrer',
+    });
+    res.send(doc.buffer);
+  } catch (e) { console.error('document error', e); res.status(500).json({ error: e.message }); }
+});
+
+export default router;
+```
+
+The token expires, but it isn't single-use. Within the 5 minutes, a reload works, and each reload is logged as another view.
+
+### Permissions
+
+`src/services/permissions.js`:
+
+```js
+export const POLICY = {
+  // ...
+  'verification:review': { support: 'all', admin: 'all' },
+  'verification:audit': { admin: 'all' },
+};
+```
+
+`server/tests/permissions.test.js` — new rows in `EXPECTED`:
+
+```js
+const EXPECTED = {
+  // ...
+  'GET /api/verification': 'authenticated',
+  'POST /api/verification': 'authenticated',
+  'POST /api/admin/verifications/:userId/document-link': 'verification:review',
+  'GET /api/admin/document-access': 'verification:audit',
+  'GET /api/documents/:token': 'public',
+};
+```
+
+---
+
+## 5) Client
+
+- `SellerVerification.jsx` posts a `FormData` with `document` and `bvn` to `/api/verification`. The preview is an object URL that never leaves the page. The form shows the status and "BVN ending 1234" from `GET /api/verification`, and never shows the stored BVN.
+- `AdminPanel.jsx`: **View ID** opens a tab straight away, because popup blockers only allow it during the click. It then calls `document-link` and points the tab at the returned URL. The row shows `bvnLast4`. Admins get an **ID document access** list from `GET /api/admin/document-access`.
+- Client storage never holds the document, the link or the BVN. The link lives only in the tab it was opened in.
+
+---
+
+## 6) Moving existing records: `scripts/move-id-documents.js`
+
+Rows from before this change may have `idImageUrl` set, and anything stored in `bvnHash` may not be a hash. The script downloads each `idImageUrl` and stores it in the vault. It hashes any `bvnHash` that is really 11 bare digits, then clears `idImageUrl`. Once it reports nothing left, delete the uploaded files at those URLs and drop the column with a follow-up migration.
+
+```js
+// server/scripts/move-id-documents.js
+import { PrismaClient } from '@prisma/client';
+import { storeDocument, protectBvn, BVN_PATTERN } from '../src/services/vault.js';
+
+const prisma = new PrismaClient();
+const dryRun = process.argv.includes('--dry-run');
+
+const rows = await prisma.verification.findMany({ where: { OR: [{ idImageUrl: { not: null } }, { bvnHash: { not: null } }] } });
+let moved = 0;
+for (const v of rows) {
+  const data = {};
+  if (v.idImageUrl) {
+    const res = await fetch(v.idImageUrl);
+    if (!res.ok) { console.warn(`${v.userId}: could not fetch the ID (${res.status}); left as it is`); continue; }
+    const stored = dryRun ? { document: { id: '(dry run)' } } : await storeDocument(Buffer.from(await res.arrayBuffer()), v.userId);
+    if (stored.error) { console.warn(`${v.userId}: ${stored.error}; left as it is`); continue; }
+    Object.assign(data, { documentId: stored.document.id, idImageUrl: null });
+  }
+  if (v.bvnHash && BVN_PATTERN.test(v.bvnHash)) Object.assign(data, await protectBvn(v.bvnHash)); // a raw BVN
+  if (!Object.keys(data).length) continue;
+  moved++;
+  console.log(`${v.userId}: ${Object.keys(data).join(', ')}`);
+  if (!dryRun) await prisma.verification.update({ where: { id: v.id }, data });
+}
+console.log(`${moved} verification(s) ${dryRun ? 'to move' : 'moved'}`);
+await prisma.$disconnect();
+```
+
+---
+
+## 7) Tests: `server/tests/vault.test.js`
+
+```js
+// server/tests/vault.test.js
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import sharp from 'sharp';
+import { encrypt, decrypt, cleanDocument, protectBvn, documentLinkToken, readDocumentLinkToken } from '../src/services/vault.js';
+import { sign } from '../src/services/jwt.js';
+
+const key = () => crypto.randomBytes(32).toString('base64');
+
+beforeEach(() => {
+  process.env.VAULT_KEY = key();
+  delete process.env.VAULT_OLD_KEYS;
+});
+
+describe('encryption', () => {
+  test('round-trips, and the ciphertext does not contain the plaintext', () => {
+    const sealed = encrypt(Buffer.from('ID: AB1234567'));
+    expect(sealed.ciphertext.includes(Buffer.from('AB1234567'))).toBe(false);
+    expect(decrypt(sealed).toString()).toBe('ID: AB1234567');
+  });
+
+  test('altered data is refused', () => {
+    const sealed = encrypt(Buffer.from('ID: AB1234567'));
+    sealed.ciphertext[0] ^= 1;
+    expect(() => decrypt(sealed)).toThrow();
+  });
+
+  test('old keys still decrypt after a rotation; unknown keys do not', () => {
+    const old = process.env.VAULT_KEY;
+    const sealed = encrypt(Buffer.from('before rotation'));
+    process.env.VAULT_KEY = key();
+    expect(() => decrypt(sealed)).toThrow(/not configured/);
+    process.env.VAULT_OLD_KEYS = old;
+    expect(decrypt(sealed).toString()).toBe('before rotation');
+    expect(encrypt(Buffer.from('x')).keyId).not.toBe(sealed.keyId);
+  });
+});
+
+describe('cleanDocument', () => {
+  test('drops EXIF, applies orientation and caps the size', async () => {
+    const input = await sharp({ create: { width: 3000, height: 2000, channels: 3, background: '#eee' } })
+      .jpeg().withMetadata({ orientation: 6 }).toBuffer();
+    const { buffer } = await cleanDocument(input);
+    const meta = await sharp(buffer).metadata();
+    expect([meta.format, meta.width, meta.height]).toEqual(['jpeg', 1333, 2000]);
+    expect(meta.exif).toBeUndefined();
+  });
+
+  test('refuses what is not a photo', async () => {
+    expect((await cleanDocument(Buffer.from('%PDF-1.7'))).error).toMatch(/not a photo/);
+  });
+});
+
+describe('protectBvn', () => {
+  test('keeps a salted hash and the last 4 digits only', async () => {
+    const a = await protectBvn('22123456789');
+    const b = await protectBvn('22123456789');
+    expect(a.bvnLast4).toBe('6789');
+    expect(a.bvnHash).not.toContain('22123456789');
+    expect(a.bvnHash).not.toBe(b.bvnHash);
+    expect(await bcrypt.compare('22123456789', a.bvnHash)).toBe(true);
+  });
+
+  test('anything but 11 digits is refused', async () => {
+    expect((await protectBvn('1234')).error).toMatch(/11 digits/);
+    expect((await protectBvn('2212345678a')).error).toMatch(/11 digits/);
+  });
+});
+
+describe('document links', () => {
+  test('carry the document and the viewer', () => {
+    expect(readDocumentLinkToken(documentLinkToken('doc1', 'admin1'))).toEqual({ doc: 'doc1', viewer: 'admin1' });
+  });
+
+  test('expired, foreign or tampered tokens are refused', () => {
+    expect(readDocumentLinkToken(sign({ purpose: 'document', doc: 'doc1', viewer: 'a' }, { expiresIn: -1 }))).toBe(null);
+    expect(readDocumentLinkToken(sign({ id: 'u1', sid: 's1' }))).toBe(null); // an access token
+    expect(readDocumentLinkToken(documentLinkToken('doc1', 'a') + 'x')).toBe(null);
+  });
+});
+```
+
+Routes that touch the database follow the existing `*.int.test.js` pattern. A seller submits, the review list has `bvnLast4` and no `bvnHash`, and a link fetched by support returns the JPEG with `Cache-Control: no-store`. The log then shows `link` and `view`, a buyer gets 403 on `document-link`, and support gets 403 on `document-access`.
+
+---
+
+## 8) How it works (end-to-end)
+
+1. **Submit**: The seller sends an ID photo and, optionally, a BVN. `protectBvn` checks the BVN is 11 digits and keeps only a bcrypt hash and the last 4.
+2. **Store**: `cleanDocument` turns the photo upright, caps it at 2000 px and re-encodes it without metadata. `encrypt` seals it with AES-256-GCM under `VAULT_KEY`, and `Verification.documentId` points at the row. A resubmission deletes the previous document.
+3. **Request a link**: A reviewer clicks **View ID**. `document-link` checks `verification:review`, logs a `link` row, and returns `/api/documents/<token>`. The token is signed, names the document and the reviewer, and expires in 5 minutes.
+4. **Open it**: The tab opens the link. The route checks the token, decrypts the document (GCM refuses anything altered), logs a `view` row and sends it with `no-store`. After 5 minutes the link returns 410.
+5. **Audit**: Admins read every `link` and `view` in `GET /api/admin/document-access` (**ID document access** in the panel).
+6. **Export**: The demo's export leaves out document ids, BVN fields and the access log, and an import can't set them. On the server, no response includes `bvnHash`, and the raw BVN is never stored.
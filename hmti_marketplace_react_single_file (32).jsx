@@ -0,0 +1,637 @@
+# MarketMate — Tiered KYC with Review Notes, Resubmission and Expiry
+
+Seller verification was a single switch. `adminReviewVerification(userId, approve)` (and `POST /api/admin/verifications/:userId/(approve|reject)`) set `verified`, with no reason given. A rejected seller saw "rejected" and nothing else. They couldn't tell what was wrong or what to send again. Every seller, verified or not, could list anything at any price and withdraw any amount. This update replaces the switch with a KYC workflow:
+
+- **Tiers** — verification goes up one step at a time. Tier 1 is a confirmed phone number (SMS code, no review). Tier 2 is a government ID (NIN slip, passport, driver's licence or voter's card, with its expiry date, optionally with a BVN). Tier 3 is CAC business registration (certificate plus RC/BN number). Each tier raises the seller's limits:
+
+  | Tier | Active listings | Item price up to | Withdrawals per day |
+  |---|---|---|---|
+  | 0 Unverified | 3 | NGN 50,000 | none |
+  | 1 Phone verified | 10 | NGN 250,000 | NGN 100,000 |
+  | 2 ID verified | 50 | NGN 2,000,000 | NGN 1,000,000 |
+  | 3 Registered business | no limit | no limit | NGN 10,000,000 |
+
+- **State machine** — a case moves through `not_started`, `submitted`, `in_review`, `needs_more_info`, `approved`, `rejected` and `expired`. Only the moves in `KYC_TRANSITIONS` are allowed. Each move is recorded with who made it and a note. Approving, asking for more information and rejecting all require a note, because the seller sees it.
+- **Resubmission** — "needs more info" and "rejected" name the documents to send again. The seller's page shows the reviewer's note and the documents still missing, and lets them resubmit only those. Other documents are kept.
+- **Expiry** — an approved ID expires on the date printed on it. The seller drops to the phone tier until a new ID is approved. A "needs more info" request left unanswered for 14 days expires too.
+- **History** — the seller sees every step with its note. Reviewers see what was sent, when, and the seller's own note.
+- **Demo** — the **Verify** page shows the tier table, the next step, missing documents, the reviewer's note and the history. Phone codes are printed to the console. **Admin → Verification Review** has *Start review* and then *Approve*, *Ask for more info* (tick what to send again) or *Reject*, each with a note. The limits apply when creating or editing listings. **Orders → Sales** shows the tier's limits with a link to raise them. Sellers verified before this change keep tier 2.
+
+The vault from the previous change (encrypted documents, hashed BVN, logged time-limited viewing) now holds the CAC certificate as well as the ID.
+
+---
+
+## 1) Prisma
+
+```prisma
+model Verification {
+  id              String    @id @default(cuid())
+  user            User      @relation(fields: [userId], references: [id])
+  userId          String    @unique
+  tier            Int       @default(0) // highest approved: 0 none, 1 phone, 2 government ID, 3 CAC
+  status          String    @default("not_started")
+  applyingFor     Int?      // the tier under review, or to resubmit for
+  requested       String[]  // documents the reviewer asked for again: 'government_id' | 'cac'
+  phoneVerifiedAt DateTime?
+  idDocument      VerificationDocument? @relation("idDocument", fields: [idDocumentId], references: [id])
+  idDocumentId    String?   @unique // was documentId
+  idType          String?
+  idExpiresOn     DateTime? @db.Date
+  cacDocument     VerificationDocument? @relation("cacDocument", fields: [cacDocumentId], references: [id])
+  cacDocumentId   String?   @unique
+  businessName    String?
+  rcNumber        String?
+  bvnHash         String?
+  bvnLast4        String?
+  statusChangedAt DateTime  @default(now())
+  events          KycEvent[]
+}
+
+model KycEvent {
+  id             String       @id @default(cuid())
+  verification   Verification @relation(fields: [verificationId], references: [id])
+  verificationId String
+  from           String
+  to             String       // a status, or 'phone_confirmed'
+  tier           Int?
+  actorId        String?      // null when the clock expired it
+  note           String       @default("")
+  requested      String[]
+  createdAt      DateTime     @default(now())
+
+  @@index([verificationId, createdAt])
+}
+
+model VerificationDocument {
+  // ...fields as before
+  idFor  Verification? @relation("idDocument")
+  cacFor Verification? @relation("cacDocument")
+}
+
+model DocumentAccess {
+  // ...fields as before
+  kind String @default("government_id") // which document: 'government_id' | 'cac'
+}
+```
+
+`submittedAt` and `reviewedAt` are dropped, because the events carry those times now. `User.verified` stays as the badge column, and `transitionKyc` keeps it equal to `tier >= 2`.
+
+After `npx prisma migrate dev --create-only --name kyc`, edit the generated SQL before applying it. Make the `documentId` change a rename, not drop-and-add, and carry existing rows over:
+
+```sql
+ALTER TABLE "Verification" RENAME COLUMN "documentId" TO "idDocumentId";
+UPDATE "Verification" SET status = 'submitted', "applyingFor" = 2 WHERE status = 'pending';
+UPDATE "Verification" SET tier = 2 WHERE status = 'approved';
+UPDATE "Verification" SET "applyingFor" = 2, requested = ARRAY['government_id'] WHERE status = 'rejected';
+-- sellers verified by hand before there were records
+INSERT INTO "Verification" (id, "userId", tier, status, requested)
+SELECT 'kyc_' || u.id, u.id, 2, 'approved', '{}' FROM "User" u
+WHERE u.verified AND NOT EXISTS (SELECT 1 FROM "Verification" v WHERE v."userId" = u.id);
+```
+
+---
+
+## 2) KYC service: `src/services/kyc.js`
+
+```js
+// server/src/services/kyc.js
+import { PrismaClient } from '@prisma/client';
+import { storeDocument, deleteDocument, protectBvn } from './vault.js';
+import { sendKycUpdateEmail } from './email.js';
+import { notifyKyc } from '../index.js';
+
+const prisma = new PrismaClient();
+
+// Amounts in kobo; null means no limit
+export const KYC_TIERS = [
+  { tier: 0, label: 'Unverified', requires: [], maxActiveListings: 3, maxListingPrice: 50000_00, dailyPayout: 0 },
+  { tier: 1, label: 'Phone verified', requires: ['phone'], maxActiveListings: 10, maxListingPrice: 250000_00, dailyPayout: 100000_00 },
+  { tier: 2, label: 'ID verified', requires: ['phone', 'government_id'], maxActiveListings: 50, maxListingPrice: 2000000_00, dailyPayout: 1000000_00 },
+  { tier: 3, label: 'Registered business', requires: ['phone', 'government_id', 'cac'], maxActiveListings: null, maxListingPrice: null, dailyPayout: 10000000_00 },
+];
+
+export const ID_TYPES = ['NIN slip', 'International passport', "Driver's licence", "Voter's card"];
+
+// Each status lists the statuses a case may move to next. Sellers submit, reviewers move it through
+// review, and expireKyc moves approved IDs past their date and unanswered requests to 'expired'.
+export const KYC_TRANSITIONS = {
+  not_started: ['submitted'],
+  submitted: ['in_review'],
+  in_review: ['approved', 'needs_more_info', 'rejected'],
+  needs_more_info: ['submitted', 'expired'],
+  approved: ['submitted', 'expired'], // submitted again to apply for the next tier
+  rejected: ['submitted'],
+  expired: ['submitted'],
+};
+export const REVIEW_STEPS = ['in_review', 'approved', 'needs_more_info', 'rejected'];
+export const NOTE_REQUIRED = ['approved', 'needs_more_info', 'rejected'];
+export const KYC_INFO_DAYS = Number(process.env.KYC_INFO_DAYS || 14);
+
+const BLANK = { tier: 0, status: 'not_started', applyingFor: null, requested: [], phoneVerifiedAt: null, idDocumentId: null, cacDocumentId: null };
+const DOCUMENT_FIELD = { government_id: 'idDocumentId', cac: 'cacDocumentId' };
+
+export function canTransition(from, to) {
+  return (KYC_TRANSITIONS[from] || []).includes(to);
+}
+
+export function limitsFor(tier) { return KYC_TIERS[tier] || KYC_TIERS[0]; }
+
+// v: a Verification row (or BLANK). What `tier` still needs: never sent, or asked for again.
+export function missingDocuments(v, tier) {
+  const has = { phone: !!v.phoneVerifiedAt, government_id: !!v.idDocumentId, cac: !!v.cacDocumentId };
+  return limitsFor(tier).requires.filter(kind => !has[kind] || v.requested.includes(kind));
+}
+
+// Why a document can't be accepted as sent, or null. today: 'YYYY-MM-DD'.
+export function documentProblem(kind, { file, idType, idExpiresOn, bvn, businessName, rcNumber }, today) {
+  const label = kind === 'cac' ? 'CAC certificate' : 'ID';
+  if (!file) return `Add a photo of your ${label}`;
+  if (kind === 'government_id') {
+    if (!ID_TYPES.includes(idType)) return 'Choose the type of ID';
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(idExpiresOn || '')) return 'Enter the expiry date printed on your ID';
+    if (idExpiresOn <= today) return 'That ID has expired; use one that is still valid';
+    if (bvn && !/^\d{11}$/.test(bvn)) return 'A BVN is 11 digits';
+  }
+  if (kind === 'cac') {
+    if (!String(businessName || '').trim()) return 'Enter the registered business name';
+    if (!/^(RC|BN)\s?\d{4,8}$/i.test(String(rcNumber || '').trim())) return 'Enter the RC or BN number, e.g. RC 1234567';
+  }
+  return null;
+}
+
+export async function getVerification(userId) {
+  return (await prisma.verification.findUnique({ where: { userId } })) || { ...BLANK, userId };
+}
+
+// Moves a user's case to `to`. data: fields that change with it. Guarded on the status read, so two
+// reviewers deciding at once can't both win. Returns { ok, verification } or { error }.
+export async function transitionKyc(userId, to, { actorId = null, note = '', data = {}, requested = [] } = {}) {
+  const v = await prisma.verification.findUnique({ where: { userId } });
+  if (!v) return { error: 'No verification for this user' };
+  if (!canTransition(v.status, to)) return { error: `Cannot move verification from ${v.status} to ${to}` };
+  const text = String(note || '').trim();
+  if (NOTE_REQUIRED.includes(to) && !text) return { error: 'Add a note for the seller' };
+
+  const verification = await prisma.$transaction(async tx => {
+    const moved = await tx.verification.updateMany({ where: { id: v.id, status: v.status }, data: { ...data, status: to, statusChangedAt: new Date() } });
+    if (!moved.count) return null;
+    const next = await tx.verification.findUnique({ where: { id: v.id } });
+    await tx.kycEvent.create({ data: { verificationId: v.id, from: v.status, to, tier: next.applyingFor ?? next.tier, actorId, note: text, requested } });
+    if (next.tier !== v.tier) await tx.user.update({ where: { id: userId }, data: { verified: next.tier >= 2 } });
+    return next;
+  });
+  if (!verification) return { error: 'This verification was just updated by someone else; reload it' };
+  if (to !== 'submitted' && to !== 'in_review') await tellSeller(userId, verification, text);
+  return { ok: true, verification };
+}
+
+async function tellSeller(userId, verification, note) {
+  notifyKyc(userId, { status: verification.status, tier: verification.tier, requested: verification.requested, note });
+  const user = await prisma.user.findUnique({ where: { id: userId }, select: { email: true } });
+  if (user && user.email) await sendKycUpdateEmail(user.email, { status: verification.status, tier: limitsFor(verification.tier).label, note }).catch(e => console.error('kyc email error', e));
+}
+
+// Tier 1 needs no review. Recorded as an event, not a status change.
+export async function confirmPhone(userId, phone) {
+  const v = await prisma.verification.upsert({ where: { userId }, create: { userId }, update: {} });
+  const tier = Math.max(v.tier, 1);
+  await prisma.$transaction([
+    prisma.verification.update({ where: { id: v.id }, data: { tier, phoneVerifiedAt: new Date() } }),
+    prisma.kycEvent.create({ data: { verificationId: v.id, from: v.status, to: 'phone_confirmed', tier: 1, actorId: userId, note: `${phone}, by SMS code` } }),
+  ]);
+  return { ok: true };
+}
+
+// A seller sends what `tier` still needs. files: { government_id, cac } (multer buffers); fields as
+// documentProblem. Replaced documents are deleted once the new ones are in.
+export async function submitKyc(userId, tier, { files = {}, fields = {}, note = '' }) {
+  const v = await getVerification(userId);
+  if (tier < 2 || !KYC_TIERS[tier]) return { error: 'Unknown tier' };
+  if (tier <= v.tier) return { error: `You are already ${limitsFor(v.tier).label}` };
+  if (tier > v.tier + 1) return { error: `Get ${limitsFor(tier - 1).label} first` };
+  if (!canTransition(v.status, 'submitted')) return { error: 'Your documents are already with our review team' };
+  const missing = missingDocuments(v, tier);
+  if (missing.includes('phone')) return { error: 'Confirm your phone number first' };
+  if (!missing.length) return { error: 'Nothing new to send for this tier' };
+  const today = new Date().toISOString().slice(0, 10);
+  for (const kind of missing) {
+    const problem = documentProblem(kind, { ...fields, file: files[kind] }, today);
+    if (problem) return { error: problem };
+  }
+
+  const data = { applyingFor: tier, requested: [] };
+  const replaced = [];
+  for (const kind of missing) {
+    const stored = await storeDocument(files[kind].buffer, userId);
+    if (stored.error) return { error: stored.error };
+    if (v[DOCUMENT_FIELD[kind]]) replaced.push(v[DOCUMENT_FIELD[kind]]);
+    data[DOCUMENT_FIELD[kind]] = stored.document.id;
+    if (kind === 'government_id') {
+      Object.assign(data, { idType: fields.idType, idExpiresOn: new Date(fields.idExpiresOn) });
+      if (fields.bvn) Object.assign(data, await protectBvn(fields.bvn));
+    }
+    if (kind === 'cac') Object.assign(data, { businessName: fields.businessName.trim(), rcNumber: fields.rcNumber.trim().toUpperCase() });
+  }
+  if (!v.id) await prisma.verification.create({ data: { userId } });
+  const r = await transitionKyc(userId, 'submitted', { actorId: userId, note, data });
+  if (r.error) return r;
+  for (const id of replaced) await deleteDocument(id);
+  return r;
+}
+
+// Reviewer decisions. A rejection asks again for the tier's own document unless others are picked.
+export async function reviewKyc(userId, to, { reviewerId, note, requested = [] }) {
+  if (userId === reviewerId) return { error: 'You cannot review your own verification' };
+  if (!REVIEW_STEPS.includes(to)) return { error: 'Unknown decision' };
+  const v = await getVerification(userId);
+  const reviewed = limitsFor(v.applyingFor).requires.filter(kind => kind !== 'phone');
+  if (requested.some(kind => !reviewed.includes(kind))) return { error: 'Unknown document' };
+  if (to === 'needs_more_info' && !requested.length) return { error: 'Pick what the seller needs to send again' };
+  const ask = to === 'rejected' && !requested.length ? reviewed.slice(-1) : requested;
+  const data = to === 'approved' ? { tier: v.applyingFor, applyingFor: null, requested: [] }
+    : to === 'in_review' ? {}
+    : { requested: ask };
+  return transitionKyc(userId, to, { actorId: reviewerId, note: to === 'in_review' ? (note || 'Review started') : note, data, requested: to === 'approved' || to === 'in_review' ? [] : ask });
+}
+
+// Run from a timer. Approved IDs past their printed expiry drop the seller to the phone tier; requests
+// for more information left for KYC_INFO_DAYS lapse. Returns how many cases expired.
+export async function expireKyc(now = new Date()) {
+  const today = new Date(now.toISOString().slice(0, 10));
+  const lapsedIds = await prisma.verification.findMany({ where: { status: 'approved', tier: { gte: 2 }, idExpiresOn: { lt: today } } });
+  const unanswered = await prisma.verification.findMany({ where: { status: 'needs_more_info', statusChangedAt: { lt: new Date(now.getTime() - KYC_INFO_DAYS * 86400000) } } });
+  let expired = 0;
+  for (const v of lapsedIds) {
+    const r = await transitionKyc(v.userId, 'expired', {
+      note: `Government ID expired on ${v.idExpiresOn.toISOString().slice(0, 10)}`,
+      data: { tier: v.phoneVerifiedAt ? 1 : 0, applyingFor: 2, requested: ['government_id'] },
+      requested: ['government_id'],
+    });
+    if (r.ok) expired++;
+  }
+  for (const v of unanswered) {
+    if ((await transitionKyc(v.userId, 'expired', { note: `No reply within ${KYC_INFO_DAYS} days` })).ok) expired++;
+  }
+  return expired;
+}
+
+// Listing limits. Only a change that goes past them is refused, so listings from before the limits stay.
+// before: the listing as stored (null when creating); after: what it would become, with variant prices.
+export async function listingLimitProblem(sellerId, before, after) {
+  const t = limitsFor((await getVerification(sellerId)).tier);
+  const top = l => Math.max(l.price || 0, ...((l.variants || []).map(v => v.price || 0)));
+  if (t.maxListingPrice !== null && top(after) > t.maxListingPrice && (!before || top(after) > top(before))) {
+    return `${t.label} sellers can list items up to NGN ${(t.maxListingPrice / 100).toLocaleString()}. Verify to raise the limit.`;
+  }
+  if (t.maxActiveListings !== null && after.active && !(before && before.active)) {
+    const active = await prisma.listing.count({ where: { sellerId, active: true, ...(before ? { id: { not: before.id } } : {}) } });
+    if (active >= t.maxActiveListings) return `${t.label} sellers can have ${t.maxActiveListings} active listings. Verify to raise the limit.`;
+  }
+  return null;
+}
+
+// amount in kobo. Requested and paid payouts in the last 24 hours count; failed ones don't.
+export async function payoutLimitProblem(sellerId, amount) {
+  const t = limitsFor((await getVerification(sellerId)).tier);
+  if (!t.dailyPayout) return 'Confirm your phone number to withdraw';
+  const since = new Date(Date.now() - 24 * 60 * 60 * 1000);
+  const { _sum } = await prisma.payout.aggregate({ where: { sellerId, createdAt: { gte: since }, status: { not: 'failed' } }, _sum: { amount: true } });
+  const left = t.dailyPayout - (_sum.amount || 0);
+  if (amount > left) return `${t.label} sellers can withdraw NGN ${(t.dailyPayout / 100).toLocaleString()} a day; NGN ${(Math.max(left, 0) / 100).toLocaleString()} left today`;
+  return null;
+}
+```
+
+Amounts are in kobo, like the ledger and payouts. `listing.price` is in kobo as well.
+
+---
+
+## 3) Seller routes: `src/routes/verification.js` (full file)
+
+This replaces the single `POST /` from the previous change. ID and CAC photos are posted as multipart under their document kind.
+
+```js
+// server/src/routes/verification.js
+import express from 'express';
+import multer from 'multer';
+import { PrismaClient } from '@prisma/client';
+import { signedIn } from '../middlewares/permissions.js';
+import { sendOTP, verifyOTP } from '../services/otp.js';
+import { MAX_UPLOAD_BYTES } from '../services/images.js';
+import { getVerification, submitKyc, confirmPhone, missingDocuments, limitsFor, KYC_TIERS } from '../services/kyc.js';
+
+const prisma = new PrismaClient();
+const router = express.Router();
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_UPLOAD_BYTES, files: 2 } });
+
+// What the seller may see of their own case: never document ids or the BVN hash
+function ownView(v, events) {
+  const next = v.applyingFor || (v.tier < KYC_TIERS.length - 1 ? v.tier + 1 : null);
+  return {
+    tier: v.tier, status: v.status, applyingFor: v.applyingFor, requested: v.requested,
+    phoneVerified: !!v.phoneVerifiedAt, idType: v.idType || null, idExpiresOn: v.idExpiresOn || null,
+    businessName: v.businessName || null, rcNumber: v.rcNumber || null, bvnLast4: v.bvnLast4 || null,
+    limits: limitsFor(v.tier), tiers: KYC_TIERS,
+    next, missing: next ? missingDocuments(v, next) : [],
+    history: events.map(e => ({ from: e.from, to: e.to, tier: e.tier, note: e.note, requested: e.requested, at: e.createdAt, byMe: e.actorId === v.userId })),
+  };
+}
+
+async function respond(res, userId) {
+  const v = await getVerification(userId);
+  const events = v.id ? await prisma.kycEvent.findMany({ where: { verificationId: v.id }, orderBy: { createdAt: 'asc' } }) : [];
+  res.json({ ok: true, verification: ownView(v, events) });
+}
+
+// GET /api/verification
+router.get('/', ...signedIn, async (req, res) => {
+  try { await respond(res, req.user.id); } catch (e) { console.error('verification status error', e); res.status(500).json({ error: e.message }); }
+});
+
+// POST /api/verification/phone/code — sends a code to the account's phone number
+router.post('/phone/code', ...signedIn, async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({ where: { id: req.user.id }, select: { phone: true } });
+    if (!user.phone) return res.status(400).json({ error: 'Add a phone number to your account first' });
+    sendOTP(user.phone, { kind: 'kyc_phone' });
+    res.json({ ok: true });
+  } catch (e) { console.error('phone code error', e); res.status(500).json({ error: e.message }); }
+});
+
+// POST /api/verification/phone/confirm { code }
+router.post('/phone/confirm', ...signedIn, async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({ where: { id: req.user.id }, select: { phone: true } });
+    if (!user.phone || !verifyOTP(user.phone, req.body.code)) return res.status(400).json({ error: 'Invalid or expired code' });
+    await confirmPhone(req.user.id, user.phone);
+    await respond(res, req.user.id);
+  } catch (e) { console.error('phone confirm error', e); res.status(500).json({ error: e.message }); }
+});
+
+// POST /api/verification/:tier(2|3) — multipart: files "government_id" and/or "cac", fields idType,
+// idExpiresOn, bvn, businessName, rcNumber, note. Only what the tier is missing is read.
+router.post('/:tier(2|3)', ...signedIn, upload.fields([{ name: 'government_id', maxCount: 1 }, { name: 'cac', maxCount: 1 }]), async (req, res) => {
+  try {
+    const files = Object.fromEntries(Object.entries(req.files || {}).map(([kind, list]) => [kind, list[0]]));
+    const r = await submitKyc(req.user.id, Number(req.params.tier), { files, fields: req.body, note: req.body.note });
+    if (r.error) return res.status(400).json({ error: r.error });
+    await respond(res, req.user.id);
+  } catch (e) { console.error('submit verification error', e); res.status(500).json({ error: e.message }); }
+});
+
+export default router;
+```
+
+---
+
+## 4) Review routes: `src/routes/admin.js` (changes)
+
+`POST /verifications/:userId/(approve|reject)` is removed.
+
+```js
+import { reviewKyc, REVIEW_STEPS } from '../services/kyc.js';
+
+const VERIFICATION_FIELDS = {
+  userId: true, tier: true, status: true, applyingFor: true, requested: true, phoneVerifiedAt: true,
+  idType: true, idExpiresOn: true, idDocumentId: true, businessName: true, rcNumber: true, cacDocumentId: true,
+  bvnLast4: true, statusChangedAt: true,
+};
+
+// GET /api/admin/verifications?status= — defaults to the review queue, oldest first
+router.get('/verifications', ...authorize('verification:review'), async (req, res) => {
+  try {
+    const status = req.query.status ? [req.query.status] : ['submitted', 'in_review'];
+    const verifications = await prisma.verification.findMany({
+      where: { status: { in: status } },
+      select: { ...VERIFICATION_FIELDS, user: { select: USER_FIELDS }, events: { orderBy: { createdAt: 'asc' } } },
+      orderBy: { statusChangedAt: 'asc' },
+    });
+    res.json({ ok: true, verifications });
+  } catch (e) { console.error('verifications error', e); res.status(500).json({ error: e.message }); }
+});
+
+// POST /api/admin/verifications/:userId/(in_review|approved|needs_more_info|rejected) { note, requested }
+router.post('/verifications/:userId/:to(in_review|approved|needs_more_info|rejected)', ...authorize('verification:review'), async (req, res) => {
+  try {
+    const requested = Array.isArray(req.body.requested) ? req.body.requested : [];
+    const r = await reviewKyc(req.params.userId, req.params.to, { reviewerId: req.user.id, note: req.body.note, requested });
+    if (r.error) return res.status(400).json({ error: r.error });
+    res.json({ ok: true, verification: r.verification });
+  } catch (e) { console.error('review verification error', e); res.status(500).json({ error: e.message }); }
+});
+```
+
+`POST /verifications/:userId/document-link` takes `?kind=government_id|cac`. It reads `idDocumentId` or `cacDocumentId` and logs the kind in `DocumentAccess`:
+
+```js
+const DOCUMENT_FIELDS = { government_id: 'idDocumentId', cac: 'cacDocumentId' };
+
+// POST /api/admin/verifications/:userId/document-link?kind=government_id|cac
+router.post('/verifications/:userId/document-link', ...authorize('verification:review'), async (req, res) => {
+  try {
+    const kind = req.query.kind || 'government_id';
+    if (!DOCUMENT_FIELDS[kind]) return res.status(400).json({ error: 'Unknown document' });
+    const v = await prisma.verification.findUnique({ where: { userId: req.params.userId }, select: { [DOCUMENT_FIELDS[kind]]: true } });
+    const documentId = v && v[DOCUMENT_FIELDS[kind]];
+    if (!documentId) return res.status(404).json({ error: 'No document on file' });
+    await logAccess(documentId, req.params.userId, req.user.id, 'link', req.ip, kind);
+    const token = documentLinkToken(documentId, req.user.id);
+    res.json({ ok: true, url: `/api/documents/${token}`, expiresAt: new Date(Date.now() + DOCUMENT_LINK_SECONDS * 1000) });
+  } catch (e) { console.error('document link error', e); res.status(500).json({ error: e.message }); }
+});
+```
+
+`logAccess` in `vault.js` takes the kind as an extra argument. `routes/documents.js` looks it up from the document (`idFor` or `cacFor`) when it logs a `view`.
+
+`server/tests/permissions.test.js` — `EXPECTED` loses `POST /api/admin/verifications/:userId/:decision` and `POST /api/verification`, and gains:
+
+```js
+const EXPECTED = {
+  // ...
+  'POST /api/verification/phone/code': 'authenticated',
+  'POST /api/verification/phone/confirm': 'authenticated',
+  'POST /api/verification/:tier': 'authenticated',
+  'POST /api/admin/verifications/:userId/:to': 'verification:review',
+};
+```
+
+---
+
+## 5) Limits where they apply
+
+`src/routes/listings.js`, in `POST /` and `PATCH /:id`, after `cleanVariants` and before the transaction. `after` carries the variant prices being saved:
+
+```js
+import { listingLimitProblem } from '../services/kyc.js';
+
+    // POST
+    const limit = await listingLimitProblem(req.user.id, null, { ...data, active: data.active !== false, variants: variants.variants });
+    if (limit) return res.status(403).json({ error: limit, code: 'kyc_limit' });
+```
+
+```js
+    // PATCH, after cleanVariants; loadListing doesn't include the variants, so read them here
+    const before = await prisma.listing.findUnique({ where: { id: req.resource.id }, include: withVariants });
+    const limit = await listingLimitProblem(req.resource.sellerId, before, { ...before, ...data, variants: variants ? variants.variants : before.variants });
+    if (limit) return res.status(403).json({ error: limit, code: 'kyc_limit' });
+```
+
+The limit follows the listing's seller, even when support edits it.
+
+`src/routes/payouts.js`, in `POST /`, before `requestPayout`:
+
+```js
+import { payoutLimitProblem } from '../services/kyc.js';
+
+    const amountKobo = Math.round(Number(amount) * 100);
+    const limit = await payoutLimitProblem(req.user.id, amountKobo);
+    if (limit) return res.status(403).json({ error: limit, code: 'kyc_limit' });
+```
+
+`code: 'kyc_limit'` lets the client show a **Verify to raise your limits** link next to the message.
+
+---
+
+## 6) Notifications and the expiry timer
+
+`src/services/email.js`:
+
+```js
+const KYC_SUBJECTS = {
+  approved: tier => `You're now ${tier} on MarketMate`,
+  needs_more_info: () => 'We need a bit more to verify your shop',
+  rejected: () => 'Your MarketMate verification was not approved',
+  expired: () => 'Your MarketMate verification has expired',
+};
+
+export async function sendKycUpdateEmail(email, { status, tier, note }) {
+  await transporter.sendMail({
+    from: process.env.SMTP_FROM, to: email,
+    subject: KYC_SUBJECTS[status](tier),
+    html: `<p>${escapeHtml(note)}</p><p><a href="${process.env.WEB_URL}/verify">See your verification</a></p>`,
+  });
+  console.log('Sent KYC update email to', email);
+}
+```
+
+`src/index.js`:
+
+```js
+import verificationRouter from './routes/verification.js';
+import { expireKyc } from './services/kyc.js';
+
+app.use('/api/verification', verificationRouter);
+
+// the seller's own devices only
+export function notifyKyc(userId, payload) {
+  emitToUser(userId, 'kyc:updated', payload);
+}
+
+if (process.env.NODE_ENV !== 'test') {
+  // ...listen, escrow auto-release, search terms refresh, saved search alerts, reservation sweep
+  setInterval(() => expireKyc().catch(e => console.error('kyc expiry error', e)), 60 * 60 * 1000);
+}
+```
+
+---
+
+## 7) Client
+
+- `SellerVerification.jsx` loads `GET /api/verification`. It shows the tier table with the current tier highlighted, then the next tier's requirements with each one ticked or missing. A `needs_more_info`, `rejected` or `expired` status shows the reviewer's note and the documents to send again. Only the missing sections are shown: the phone code, the ID (type, photo, expiry date, optional BVN) and the CAC (name, RC/BN, certificate). The form posts them to `/api/verification/:tier`. The history lists every event with its note. `kyc:updated` on the socket reloads the page.
+- `AdminPanel.jsx`: the review queue shows, per seller, the tier applied for, the phone status, BVN last 4, the documents sent and the seller's note. *Start review* moves a case to `in_review`. The decision row has a required note, checkboxes for what to send again, and *Approve*, *Ask for more info* and *Reject*.
+- The Sales dashboard shows `limits` from the verification and links to **Verify**.
+
+---
+
+## 8) Tests: `server/tests/kyc.test.js`
+
+```js
+// server/tests/kyc.test.js
+import { canTransition, missingDocuments, documentProblem, limitsFor, KYC_TRANSITIONS, REVIEW_STEPS, NOTE_REQUIRED } from '../src/services/kyc.js';
+
+const blank = { tier: 0, status: 'not_started', requested: [], phoneVerifiedAt: null, idDocumentId: null, cacDocumentId: null };
+const today = '2026-10-19';
+
+describe('KYC transitions', () => {
+  test('only the listed moves are allowed', () => {
+    expect(canTransition('not_started', 'submitted')).toBe(true);
+    expect(canTransition('submitted', 'approved')).toBe(false); // review first
+    expect(canTransition('rejected', 'submitted')).toBe(true);
+    expect(canTransition('needs_more_info', 'expired')).toBe(true);
+    expect(canTransition('rejected', 'expired')).toBe(false);
+  });
+
+  test('every status has an entry, every target is a status, and decisions need notes', () => {
+    const statuses = Object.keys(KYC_TRANSITIONS);
+    expect(statuses).toEqual(['not_started', 'submitted', 'in_review', 'needs_more_info', 'approved', 'rejected', 'expired']);
+    for (const targets of Object.values(KYC_TRANSITIONS)) for (const t of targets) expect(statuses).toContain(t);
+    for (const to of NOTE_REQUIRED) expect(REVIEW_STEPS).toContain(to);
+  });
+});
+
+describe('missingDocuments', () => {
+  test('tiers build on each other', () => {
+    expect(missingDocuments(blank, 1)).toEqual(['phone']);
+    expect(missingDocuments(blank, 2)).toEqual(['phone', 'government_id']);
+    expect(missingDocuments({ ...blank, phoneVerifiedAt: new Date(), idDocumentId: 'd1' }, 3)).toEqual(['cac']);
+  });
+
+  test('documents a reviewer asked for again count as missing', () => {
+    const v = { ...blank, phoneVerifiedAt: new Date(), idDocumentId: 'd1', cacDocumentId: 'd2', requested: ['government_id'] };
+    expect(missingDocuments(v, 3)).toEqual(['government_id']);
+  });
+});
+
+describe('documentProblem', () => {
+  const file = { buffer: Buffer.from('x') };
+
+  test('an ID needs its type and a future expiry date', () => {
+    expect(documentProblem('government_id', { file, idType: 'NIN slip', idExpiresOn: '2030-01-01' }, today)).toBe(null);
+    expect(documentProblem('government_id', { file, idType: 'Library card', idExpiresOn: '2030-01-01' }, today)).toMatch(/type of ID/);
+    expect(documentProblem('government_id', { file, idType: 'NIN slip', idExpiresOn: today }, today)).toMatch(/expired/);
+    expect(documentProblem('government_id', { file, idType: 'NIN slip', idExpiresOn: '2030-01-01', bvn: '123' }, today)).toMatch(/11 digits/);
+  });
+
+  test('CAC needs a name and an RC or BN number', () => {
+    expect(documentProblem('cac', { file, businessName: 'Ada Stores Ltd', rcNumber: 'rc 1234567' }, today)).toBe(null);
+    expect(documentProblem('cac', { file, businessName: 'Ada Stores Ltd', rcNumber: '1234567' }, today)).toMatch(/RC or BN/);
+    expect(documentProblem('cac', { businessName: 'Ada Stores Ltd', rcNumber: 'BN 1234' }, today)).toMatch(/photo/);
+  });
+});
+
+describe('limits', () => {
+  test('each tier raises every limit', () => {
+    for (let t = 1; t < 4; t++) {
+      const lower = limitsFor(t - 1);
+      const higher = limitsFor(t);
+      expect(higher.dailyPayout).toBeGreaterThan(lower.dailyPayout);
+      for (const key of ['maxActiveListings', 'maxListingPrice']) {
+        if (higher[key] !== null) expect(higher[key]).toBeGreaterThan(lower[key]);
+      }
+    }
+  });
+
+  test('unknown tiers fall back to unverified', () => {
+    expect(limitsFor(undefined).label).toBe('Unverified');
+  });
+});
+```
+
+`server/tests/kyc.int.test.js` uses the real database like the other `*.int.test.js`. It covers:
+- A full round: phone confirm, then ID submit, start review, needs more info, resubmit, approve. Tier 2 is reached and `user.verified` is true.
+- Decisions without a note get 400.
+- Two concurrent approvals of the same case: exactly one succeeds.
+- `expireKyc` on an approved case with `idExpiresOn` yesterday drops it to tier 1 with `requested: ['government_id']`.
+- A tier-0 seller gets 403 `kyc_limit` on a fourth active listing and on a NGN 60,000 item.
+
+---
+
+## 9) How it works (end-to-end)
+
+1. **Phone**: The seller asks for a code. `verifyOTP` checks it, `confirmPhone` sets tier 1 and records a `phone_confirmed` event. Listing and payout limits rise straight away.
+2. **Submit**: For tier 2, the seller sends an ID photo with its type and expiry date, and optionally a BVN. `submitKyc` checks everything before storing anything. The photo goes to the vault encrypted, the BVN is hashed, and the case moves to `submitted` with the seller's note.
+3. **Review**: Support opens the queue. *Start review* moves the case to `in_review`. They open the documents through 5-minute logged links. Then they approve, ask for more information (ticking what to send again), or reject. Each decision needs a note, which is recorded in `KycEvent` and sent to the seller by socket and email.
+4. **Resubmit**: After `needs_more_info` or `rejected`, `missingDocuments` returns what was asked for. The page shows only those, plus the reviewer's note. Sending them moves the case back to `submitted`. Replaced documents are deleted, and their access log rows stay.
+5. **Approve**: Approval sets `tier` to the tier applied for, and `User.verified` follows. Tier 3 (CAC) then opens up the same way.
+6. **Expire**: Hourly, `expireKyc` expires approved cases whose ID date has passed, dropping the seller to tier 1 and asking for a new ID. Requests for more information left for 14 days lapse too.
+7. **Limits**: Listing create/edit and payout requests call `listingLimitProblem` and `payoutLimitProblem`. Limits only refuse changes that go past them, so nothing already listed is taken down.
@@ -0,0 +1,533 @@
+# MarketMate — Buyer–Seller Messages
+
+"Contact Seller" on the listing page was `alert('Contact via WhatsApp or Chat (stub)')`. The only real channel was the seller's phone number, printed under their name. Buyers moved to WhatsApp, where scammers send fake payment screenshots and "pay to my account" requests, and where we can't see or stop any of it. This update keeps the conversation on MarketMate:
+
+- **Conversations per listing** — one thread per listing and buyer, started from **Message Seller** on the listing or **Message buyer/seller** on an order. It is saved in the database and survives reloads and devices.
+- **Text and photos** — messages are up to 2,000 characters, optionally with one photo. Photos go through the listing photo pipeline (`storeImage`: resized, EXIF and GPS stripped, de-duplicated).
+- **Real time** — new messages, read receipts and reports are pushed over the existing Socket.io server with `emitToUser`, to every device the participants have open.
+- **Read receipts and unread counts** — each side has a last-read time. The sender sees *Seen* under their latest message once the other side has opened the thread. The inbox and the nav show unread counts.
+- **Off-platform warnings** — messages that share a phone number, a link, another chat app or bank-transfer wording are delivered, but flagged. The other side sees a warning under them.
+- **Reports and moderation** — either side can report a thread (scam, abuse, off-platform payment, a problem with an order). Only then can support and admins open it. They see the whole history and the orders between the two for that listing. They can remove messages, write as *MarketMate support*, and close the report with an outcome both sides see. Threads that were never reported stay private to the two participants.
+- **Demo** — **Messages** in the nav is the inbox. Sign in as the buyer in one tab and as the seller in another. Messages, read receipts and reports appear in the other tab as they happen (the browser's `storage` event stands in for the socket). **Admin → Reported conversations** is the moderator view. The seller's phone number is no longer printed on the listing.
+
+---
+
+## 1) Prisma
+
+```prisma
+model Conversation {
+  id            String    @id @default(cuid())
+  listing       Listing   @relation(fields: [listingId], references: [id])
+  listingId     String
+  buyer         User      @relation("buyerConversations", fields: [buyerId], references: [id])
+  buyerId       String
+  seller        User      @relation("sellerConversations", fields: [sellerId], references: [id])
+  sellerId      String
+  buyerReadAt   DateTime?
+  sellerReadAt  DateTime?
+  lastMessageAt DateTime? // null until the first message; sellers don't see the thread before it
+  reportedAt    DateTime?
+  reportedById  String?
+  reportReason  String?
+  reportDetails String?
+  resolvedAt    DateTime?
+  resolvedById  String?
+  resolution    String?
+  createdAt     DateTime  @default(now())
+  messages      Message[]
+
+  @@unique([listingId, buyerId])
+  @@index([buyerId, lastMessageAt])
+  @@index([sellerId, lastMessageAt])
+  @@index([reportedAt])
+}
+
+model Message {
+  id             String       @id @default(cuid())
+  conversation   Conversation @relation(fields: [conversationId], references: [id])
+  conversationId String
+  sender         User?        @relation(fields: [senderId], references: [id])
+  senderId       String?      // null for notices ("… reported this conversation")
+  kind           String       @default("user") // user | support | system
+  body           String       @default("")
+  image          Image?       @relation(fields: [imageId], references: [id])
+  imageId        String?
+  flags          String[]     // phone | link | chat_app | bank
+  hiddenAt       DateTime?
+  hiddenById     String?
+  createdAt      DateTime     @default(now())
+
+  @@index([conversationId, createdAt])
+  @@index([senderId, createdAt])
+}
+```
+
+`User` gains `buyerConversations Conversation[] @relation("buyerConversations")`, `sellerConversations Conversation[] @relation("sellerConversations")` and `messages Message[]`. `Listing` gains `conversations Conversation[]`, and `Image` gains `messages Message[]`. Listings are deactivated, not deleted, so threads keep their listing.
+
+A report is stored on the conversation itself, because a thread has at most one open report. A new report after one is closed overwrites the old fields. The closed report's outcome stays in the thread as a notice.
+
+---
+
+## 2) Permissions: `src/services/permissions.js`
+
+```js
+export const POLICY = {
+  // ...
+  'conversation:read': { buyer: 'own', seller: 'own', support: 'own', admin: 'own' },
+  'conversation:send': { buyer: 'own', seller: 'own', support: 'own', admin: 'own' },
+  'conversation:moderate': { support: 'all', admin: 'all' }, // reported conversations only, see loadReported
+};
+
+const OWNERS = {
+  // ...
+  conversation: c => [c.buyerId, c.sellerId],
+};
+```
+
+Support and admins are participants in their own purchases like anyone else (`own`). They reach other people's threads only through `conversation:moderate`, and only once a thread has been reported.
+
+---
+
+## 3) Message service: `src/services/messages.js`
+
+```js
+// server/src/services/messages.js
+import { PrismaClient } from '@prisma/client';
+import { notifyMessage, notifyConversationRead, notifyConversationReported } from '../index.js';
+
+const prisma = new PrismaClient();
+
+export const MAX_MESSAGE_LENGTH = 2000;
+export const MESSAGES_PER_MINUTE = Number(process.env.MESSAGES_PER_MINUTE || 20);
+export const NEW_CONVERSATIONS_PER_DAY = Number(process.env.NEW_CONVERSATIONS_PER_DAY || 30);
+export const REPORT_REASONS = ['Asked to pay or chat outside MarketMate', 'Scam or fake item', 'Abusive or threatening', 'Problem with an order', 'Other'];
+
+// What usually means someone is taking the deal off the platform. Flagged messages are still delivered;
+// the other side sees a warning under them, and moderators see the flags.
+const OFF_PLATFORM_PATTERNS = [
+  ['phone', /(?:\+?234|\b0)[789][01](?:[\s-]?\d){8}\b/],
+  ['link', /\bhttps?:\/\/|\bwww\.|\bwa\.me\/|\bt\.me\//i],
+  ['chat_app', /\bwhats\s?app\b|\btelegram\b|\bsignal\b/i],
+  ['bank', /\bacc(?:oun)?t\.?\s*(?:no|num|number)\b|\btransfer\s+(?:it\s+)?to\b|\bpay\s+(?:in)?to\s+my\b/i],
+];
+
+export function messageFlags(text) {
+  return OFF_PLATFORM_PATTERNS.filter(([, pattern]) => pattern.test(text)).map(([flag]) => flag);
+}
+
+export function sideOf(conversation, userId) {
+  return conversation.buyerId === userId ? 'buyer' : conversation.sellerId === userId ? 'seller' : null;
+}
+
+// The read mark a user's unread count starts from
+export function readAtOf(conversation, userId) {
+  return sideOf(conversation, userId) === 'buyer' ? conversation.buyerReadAt : conversation.sellerReadAt;
+}
+
+// Finds or starts the thread about a listing. A buyer starts their own; a seller starts one with a
+// buyer who has ordered that listing from them (to message them about the order).
+export async function startConversation(user, listingId, buyerId = user.id) {
+  const listing = await prisma.listing.findUnique({ where: { id: listingId }, select: { id: true, sellerId: true } });
+  if (!listing) return { error: 'Listing not found', status: 404 };
+  if (buyerId === listing.sellerId) return { error: 'This is your own listing' };
+  if (user.id === listing.sellerId) {
+    const ordered = await prisma.order.count({ where: { buyerId, sellerId: user.id, items: { some: { listingId } } } });
+    if (!ordered) return { error: 'You can message buyers about their orders', status: 403 };
+  } else if (buyerId !== user.id) return { error: 'Forbidden', status: 403 };
+
+  const existing = await prisma.conversation.findUnique({ where: { listingId_buyerId: { listingId, buyerId } } });
+  if (existing) return { ok: true, conversation: existing };
+  const since = new Date(Date.now() - 24 * 60 * 60 * 1000);
+  if (await prisma.conversation.count({ where: { buyerId: user.id, createdAt: { gte: since } } }) >= NEW_CONVERSATIONS_PER_DAY) {
+    return { error: 'You have started a lot of conversations today. Try again tomorrow.', status: 429 };
+  }
+  const conversation = await prisma.conversation.upsert({
+    where: { listingId_buyerId: { listingId, buyerId } },
+    create: { listingId, buyerId, sellerId: listing.sellerId },
+    update: {},
+  });
+  return { ok: true, conversation };
+}
+
+// body and/or imageId (from storeImage). The sender's own read mark moves with it.
+export async function sendMessage(conversation, senderId, { body = '', imageId = null }) {
+  const text = String(body || '').trim();
+  if (!text && !imageId) return { error: 'Write a message or add a photo' };
+  if (text.length > MAX_MESSAGE_LENGTH) return { error: `Messages can be up to ${MAX_MESSAGE_LENGTH} characters` };
+  const recent = await prisma.message.count({ where: { senderId, createdAt: { gte: new Date(Date.now() - 60000) } } });
+  if (recent >= MESSAGES_PER_MINUTE) return { error: 'You are sending messages too quickly', status: 429 };
+
+  const side = sideOf(conversation, senderId);
+  const message = await prisma.$transaction(async tx => {
+    const created = await tx.message.create({ data: { conversationId: conversation.id, senderId, body: text, imageId, flags: messageFlags(text) } });
+    await tx.conversation.update({ where: { id: conversation.id }, data: { lastMessageAt: created.createdAt, [`${side}ReadAt`]: created.createdAt } });
+    return created;
+  });
+  notifyMessage(conversation, { conversationId: conversation.id, message });
+  return { ok: true, message };
+}
+
+export async function markRead(conversation, userId) {
+  const readAt = new Date();
+  await prisma.conversation.update({ where: { id: conversation.id }, data: { [`${sideOf(conversation, userId)}ReadAt`]: readAt } });
+  notifyConversationRead(conversation, { conversationId: conversation.id, userId, readAt });
+  return { ok: true, readAt };
+}
+
+async function notice(conversationId, body) {
+  const message = await prisma.message.create({ data: { conversationId, kind: 'system', body } });
+  return message;
+}
+
+// Either side. From then on support and admins can open the thread.
+export async function reportConversation(conversation, user, { reason, details = '' }) {
+  if (!REPORT_REASONS.includes(reason)) return { error: 'Choose a reason' };
+  const reported = await prisma.conversation.updateMany({
+    where: { id: conversation.id, OR: [{ reportedAt: null }, { resolvedAt: { not: null } }] },
+    data: { reportedAt: new Date(), reportedById: user.id, reportReason: reason, reportDetails: String(details).trim().slice(0, 500), resolvedAt: null, resolvedById: null, resolution: null },
+  });
+  if (!reported.count) return { error: 'This conversation has already been reported' };
+  const message = await notice(conversation.id, `${user.name} reported this conversation (${reason}). MarketMate support can now read it.`);
+  notifyMessage(conversation, { conversationId: conversation.id, message });
+  notifyConversationReported({ conversationId: conversation.id, reason, reportedById: user.id });
+  return { ok: true };
+}
+
+// Moderator actions on a reported conversation (the route has already checked it is reported)
+export async function postSupportMessage(conversation, moderatorId, body) {
+  if (conversation.resolvedAt) return { error: 'This report is closed. Support can write again if the conversation is reported again' };
+  const text = String(body || '').trim();
+  if (!text) return { error: 'Write a message' };
+  const message = await prisma.message.create({ data: { conversationId: conversation.id, senderId: moderatorId, kind: 'support', body: text } });
+  await prisma.conversation.update({ where: { id: conversation.id }, data: { lastMessageAt: message.createdAt } });
+  notifyMessage(conversation, { conversationId: conversation.id, message });
+  return { ok: true, message };
+}
+
+export async function hideMessage(conversation, messageId, moderatorId) {
+  const hidden = await prisma.message.updateMany({ where: { id: messageId, conversationId: conversation.id, kind: 'user', hiddenAt: null }, data: { hiddenAt: new Date(), hiddenById: moderatorId } });
+  if (!hidden.count) return { error: 'Message not found', status: 404 };
+  console.log(`moderator ${moderatorId} removed message ${messageId} in conversation ${conversation.id}`);
+  notifyMessage(conversation, { conversationId: conversation.id, hidden: messageId });
+  return { ok: true };
+}
+
+export async function resolveReport(conversation, moderatorId, resolution) {
+  const text = String(resolution || '').trim();
+  if (!text) return { error: 'Add a note for both sides' };
+  const closed = await prisma.conversation.updateMany({ where: { id: conversation.id, resolvedAt: null }, data: { resolvedAt: new Date(), resolvedById: moderatorId, resolution: text } });
+  if (!closed.count) return { error: 'This report is already closed' };
+  const message = await notice(conversation.id, `MarketMate support closed the report: ${text}`);
+  notifyMessage(conversation, { conversationId: conversation.id, message });
+  return { ok: true };
+}
+
+// What participants see of a message: removed ones lose their content. Moderators get everything.
+export function messageView(m, { moderator = false } = {}) {
+  if (m.hiddenAt && !moderator) return { id: m.id, kind: m.kind, senderId: m.senderId, hidden: true, createdAt: m.createdAt };
+  return m;
+}
+```
+
+The rate limits count rows that are already in the database, so they hold across server instances. They are there to slow down a script that pastes the same scam into every listing, not ordinary chatting.
+
+---
+
+## 4) Routes: `src/routes/conversations.js` (full file)
+
+```js
+// server/src/routes/conversations.js
+import express from 'express';
+import multer from 'multer';
+import { PrismaClient } from '@prisma/client';
+import { signedIn, authorize } from '../middlewares/permissions.js';
+import { MAX_UPLOAD_BYTES, storeImage, imageUrls } from '../services/images.js';
+import { startConversation, sendMessage, markRead, reportConversation, messageView, readAtOf } from '../services/messages.js';
+
+const prisma = new PrismaClient();
+const router = express.Router();
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 } });
+const PAGE = 50;
+
+const loadConversation = req => prisma.conversation.findUnique({ where: { id: req.params.id } });
+const withUrls = m => ({ ...m, image: m.imageId ? imageUrls(m.imageId) : null });
+
+// GET /api/conversations — the inbox, newest first, with unread counts
+router.get('/', ...signedIn, async (req, res) => {
+  try {
+    const me = req.user.id;
+    const conversations = await prisma.conversation.findMany({
+      where: { OR: [{ buyerId: me }, { sellerId: me, lastMessageAt: { not: null } }] },
+      orderBy: [{ lastMessageAt: { sort: 'desc', nulls: 'last' } }, { createdAt: 'desc' }],
+      include: {
+        listing: { select: { id: true, title: true, images: true } },
+        buyer: { select: { id: true, name: true } },
+        seller: { select: { id: true, name: true } },
+        messages: { where: { kind: { not: 'system' } }, orderBy: { createdAt: 'desc' }, take: 1 },
+      },
+      take: 100,
+    });
+    const unread = await Promise.all(conversations.map(c => prisma.message.count({
+      where: { conversationId: c.id, senderId: { not: me }, kind: { not: 'system' }, ...(readAtOf(c, me) ? { createdAt: { gt: readAtOf(c, me) } } : {}) },
+    })));
+    res.json({
+      ok: true,
+      conversations: conversations.map(({ messages, ...c }, i) => ({ ...c, last: messages[0] ? messageView(messages[0]) : null, unread: unread[i] })),
+      unread: unread.reduce((a, b) => a + b, 0),
+    });
+  } catch (e) { console.error('inbox error', e); res.status(500).json({ error: e.message }); }
+});
+
+// POST /api/conversations { listingId, buyerId? } — finds or starts the thread
+router.post('/', ...signedIn, async (req, res) => {
+  try {
+    const r = await startConversation(req.user, req.body.listingId, req.body.buyerId || req.user.id);
+    if (r.error) return res.status(r.status || 400).json({ error: r.error });
+    res.json({ ok: true, conversation: r.conversation });
+  } catch (e) { console.error('start conversation error', e); res.status(500).json({ error: e.message }); }
+});
+
+// GET /api/conversations/:id?before=<messageId> — a page of messages, oldest first
+router.get('/:id', ...authorize('conversation:read', { load: loadConversation }), async (req, res) => {
+  try {
+    const messages = await prisma.message.findMany({
+      where: { conversationId: req.resource.id },
+      orderBy: { createdAt: 'desc' },
+      take: PAGE,
+      ...(req.query.before ? { cursor: { id: String(req.query.before) }, skip: 1 } : {}),
+    });
+    res.json({ ok: true, conversation: req.resource, messages: messages.reverse().map(m => withUrls(messageView(m))), more: messages.length === PAGE });
+  } catch (e) { console.error('conversation error', e); res.status(500).json({ error: e.message }); }
+});
+
+// POST /api/conversations/:id/messages — multipart: body and/or one "image"
+router.post('/:id/messages', ...authorize('conversation:send', { load: loadConversation }), upload.single('image'), async (req, res) => {
+  try {
+    let imageId = null;
+    if (req.file) {
+      const stored = await storeImage(req.file.buffer, req.user.id);
+      if (stored.error) return res.status(400).json({ error: stored.error });
+      imageId = stored.image.id;
+    }
+    const r = await sendMessage(req.resource, req.user.id, { body: req.body.body, imageId });
+    if (r.error) return res.status(r.status || 400).json({ error: r.error });
+    res.json({ ok: true, message: withUrls(r.message) });
+  } catch (e) { console.error('send message error', e); res.status(500).json({ error: e.message }); }
+});
+
+// POST /api/conversations/:id/read
+router.post('/:id/read', ...authorize('conversation:read', { load: loadConversation }), async (req, res) => {
+  try { res.json(await markRead(req.resource, req.user.id)); } catch (e) { console.error('mark read error', e); res.status(500).json({ error: e.message }); }
+});
+
+// POST /api/conversations/:id/report { reason, details }
+router.post('/:id/report', ...authorize('conversation:read', { load: loadConversation }), async (req, res) => {
+  try {
+    const r = await reportConversation(req.resource, req.user, req.body);
+    if (r.error) return res.status(400).json({ error: r.error });
+    res.json({ ok: true });
+  } catch (e) { console.error('report conversation error', e); res.status(500).json({ error: e.message }); }
+});
+
+export default router;
+```
+
+Listing photos are posted to `/api/uploads`, which needs `listing:create`. Message photos come in with the message instead, so buyers can send them too. Both paths end in `storeImage`.
+
+### Moderation: `src/routes/admin.js` (additions)
+
+```js
+import { postSupportMessage, hideMessage, resolveReport } from '../services/messages.js';
+
+// Unreported conversations are 404 here, as if they didn't exist
+const loadReported = req => prisma.conversation.findFirst({ where: { id: req.params.id, reportedAt: { not: null } } });
+
+// GET /api/admin/conversations?status=open|closed — reported threads, open reports first by default
+router.get('/conversations', ...authorize('conversation:moderate'), async (req, res) => {
+  try {
+    const where = { reportedAt: { not: null }, ...(req.query.status === 'closed' ? { resolvedAt: { not: null } } : { resolvedAt: null }) };
+    const conversations = await prisma.conversation.findMany({
+      where, orderBy: { reportedAt: 'asc' },
+      include: { listing: { select: { id: true, title: true } }, buyer: { select: USER_FIELDS }, seller: { select: USER_FIELDS } },
+    });
+    res.json({ ok: true, conversations });
+  } catch (e) { console.error('reported conversations error', e); res.status(500).json({ error: e.message }); }
+});
+
+// GET /api/admin/conversations/:id — the whole thread, removed messages included, and the orders between them
+router.get('/conversations/:id', ...authorize('conversation:moderate', { load: loadReported }), async (req, res) => {
+  try {
+    const c = req.resource;
+    const [messages, orders] = await Promise.all([
+      prisma.message.findMany({ where: { conversationId: c.id }, orderBy: { createdAt: 'asc' } }),
+      prisma.order.findMany({ where: { buyerId: c.buyerId, sellerId: c.sellerId, items: { some: { listingId: c.listingId } } }, select: { id: true, status: true, total: true, createdAt: true } }),
+    ]);
+    console.log(`${req.user.role} ${req.user.id} opened reported conversation ${c.id}`);
+    res.json({ ok: true, conversation: c, messages, orders });
+  } catch (e) { console.error('reported conversation error', e); res.status(500).json({ error: e.message }); }
+});
+
+// POST /api/admin/conversations/:id/messages { body } — written as MarketMate support
+router.post('/conversations/:id/messages', ...authorize('conversation:moderate', { load: loadReported }), async (req, res) => {
+  try {
+    const r = await postSupportMessage(req.resource, req.user.id, req.body.body);
+    if (r.error) return res.status(400).json({ error: r.error });
+    res.json({ ok: true, message: r.message });
+  } catch (e) { console.error('support message error', e); res.status(500).json({ error: e.message }); }
+});
+
+// POST /api/admin/conversations/:id/messages/:messageId/hide
+router.post('/conversations/:id/messages/:messageId/hide', ...authorize('conversation:moderate', { load: loadReported }), async (req, res) => {
+  try {
+    const r = await hideMessage(req.resource, req.params.messageId, req.user.id);
+    if (r.error) return res.status(r.status || 400).json({ error: r.error });
+    res.json({ ok: true });
+  } catch (e) { console.error('hide message error', e); res.status(500).json({ error: e.message }); }
+});
+
+// POST /api/admin/conversations/:id/resolve { resolution }
+router.post('/conversations/:id/resolve', ...authorize('conversation:moderate', { load: loadReported }), async (req, res) => {
+  try {
+    const r = await resolveReport(req.resource, req.user.id, req.body.resolution);
+    if (r.error) return res.status(400).json({ error: r.error });
+    res.json({ ok: true });
+  } catch (e) { console.error('resolve report error', e); res.status(500).json({ error: e.message }); }
+});
+```
+
+`server/tests/permissions.test.js` — new rows in `EXPECTED`:
+
+```js
+const EXPECTED = {
+  // ...
+  'GET /api/conversations': 'authenticated',
+  'POST /api/conversations': 'authenticated',
+  'GET /api/conversations/:id': 'conversation:read',
+  'POST /api/conversations/:id/messages': 'conversation:send',
+  'POST /api/conversations/:id/read': 'conversation:read',
+  'POST /api/conversations/:id/report': 'conversation:read',
+  'GET /api/admin/conversations': 'conversation:moderate',
+  'GET /api/admin/conversations/:id': 'conversation:moderate',
+  'POST /api/admin/conversations/:id/messages': 'conversation:moderate',
+  'POST /api/admin/conversations/:id/messages/:messageId/hide': 'conversation:moderate',
+  'POST /api/admin/conversations/:id/resolve': 'conversation:moderate',
+};
+```
+
+---
+
+## 5) Real time: `src/index.js`
+
+```js
+import conversationsRouter from './routes/conversations.js';
+app.use('/api/conversations', conversationsRouter);
+
+// both participants: the sender's other devices need it too
+export function notifyMessage(conversation, payload) {
+  emitToUser(conversation.buyerId, 'message:new', payload);
+  emitToUser(conversation.sellerId, 'message:new', payload);
+}
+
+export function notifyConversationRead(conversation, payload) {
+  emitToUser(conversation.buyerId, 'conversation:read', payload);
+  emitToUser(conversation.sellerId, 'conversation:read', payload);
+}
+
+export function notifyConversationReported(payload) {
+  io.to('admins').emit('conversation:reported', payload);
+}
+```
+
+`message:new` carries either `{ conversationId, message }` or `{ conversationId, hidden: messageId }`. A `message` from the socket is sent as stored, so a client that gets one with `hiddenAt` set reloads the thread rather than showing it. Moderators are not sent participants' messages. They see a report through `conversation:reported`, which goes to the `admins` room (`realtime:admin_feed`), and then load the thread.
+
+Add to `.env.example`:
+
+```
+# Messages
+MESSAGES_PER_MINUTE=20
+NEW_CONVERSATIONS_PER_DAY=30
+```
+
+---
+
+## 6) Client
+
+- `pages/Details.jsx`: **Message Seller** posts `/api/conversations { listingId }` and opens `/messages/:id`. It is hidden on your own listing. The seller's phone line is replaced by a note to keep chat and payment on MarketMate.
+- `pages/Orders.jsx`: **Message seller** / **Message buyer** on each order posts `{ listingId: order.items[0].listingId, buyerId: order.buyerId }`.
+- `pages/Messages.jsx`: the inbox list on the left (listing photo, other party, last message, unread badge, *reported* tag) and the thread on the right.
+  - Opening a thread loads the latest page, posts `/read`, and loads older messages on scroll-up with `?before=`.
+  - The composer sends `FormData` with `body` and an optional `image`.
+  - *Seen* shows under your latest message when the other side's read time (from `conversation:read`, or `buyerReadAt`/`sellerReadAt` on load) is after it.
+  - Messages from the other side with `flags` show the warning.
+  - **Report** opens the reason picker.
+- `utils/socket.js`: `message:new` appends to the open thread (and posts `/read` if the tab is visible), or bumps the inbox and the nav badge. `conversation:read` updates *Seen*.
+- `pages/Admin.jsx`: **Reported conversations** lists `GET /api/admin/conversations`, opens a thread with sender names on every message, and offers **Remove** per message, a support reply box and **Close report** with an outcome.
+
+---
+
+## 7) Tests: `server/tests/messages.test.js`
+
+```js
+// server/tests/messages.test.js
+import { messageFlags, messageView, sideOf, readAtOf } from '../src/services/messages.js';
+
+describe('messageFlags', () => {
+  test('ordinary questions, prices and ages are not flagged', () => {
+    for (const text of ['Is it still available?', 'I can do 25000 delivered to Ikeja', 'The phone is 12 months old']) {
+      expect(messageFlags(text)).toEqual([]);
+    }
+  });
+
+  test('phone numbers in the usual Nigerian forms', () => {
+    expect(messageFlags('Call me on 0803 123 4567')).toEqual(['phone']);
+    expect(messageFlags('+2348031234567')).toEqual(['phone']);
+    expect(messageFlags('080-3123-4567')).toEqual(['phone']);
+  });
+
+  test('links, other chat apps and bank transfers', () => {
+    expect(messageFlags('wa.me/2348031234567')).toEqual(['phone', 'link']);
+    expect(messageFlags('Add me on WhatsApp')).toEqual(['chat_app']);
+    expect(messageFlags('Pay into my account, acct no is below')).toEqual(['bank']);
+    expect(messageFlags('see www.example.com')).toEqual(['link']);
+  });
+});
+
+describe('participants', () => {
+  const c = { buyerId: 'b', sellerId: 's', buyerReadAt: new Date(1), sellerReadAt: null };
+
+  test('each side reads its own mark', () => {
+    expect(sideOf(c, 'b')).toBe('buyer');
+    expect(sideOf(c, 's')).toBe('seller');
+    expect(sideOf(c, 'x')).toBe(null);
+    expect(readAtOf(c, 'b')).toEqual(new Date(1));
+    expect(readAtOf(c, 's')).toBe(null);
+  });
+
+  test('removed messages lose their content except for moderators', () => {
+    const m = { id: 'm', kind: 'user', senderId: 's', body: 'send the money to 0123456789', imageId: 'abc', hiddenAt: new Date(), createdAt: new Date() };
+    expect(messageView(m)).toEqual({ id: 'm', kind: 'user', senderId: 's', hidden: true, createdAt: m.createdAt });
+    expect(messageView(m, { moderator: true }).body).toMatch(/send the money/);
+  });
+});
+```
+
+`server/tests/messages.int.test.js` uses the real database like the other `*.int.test.js` files. It covers:
+- A buyer starts a conversation twice and gets the same one.
+- A seller can't message a buyer without an order. A third user gets 404 on `GET /api/conversations/:id`.
+- Sending updates the sender's read mark and the other side's unread count. `/read` clears the count.
+- Support gets 404 on an unreported thread and 200 once it is reported.
+- Reporting twice gives 400. After resolving, a support message gives 400, and the thread can be reported again.
+- A hidden message comes back to participants as `{ hidden: true }` without its body.
+- The 21st message in a minute gets 429.
+
+---
+
+## 8) How it works (end-to-end)
+
+1. **Start**: The buyer clicks **Message Seller**. `POST /api/conversations` finds or creates the one thread for that listing and buyer. The seller doesn't see it until the first message.
+2. **Send**: A message (text, photo or both) is stored with its off-platform `flags`. The sender's read mark moves with it, and `message:new` goes to both participants' sockets on every device.
+3. **Read**: Opening the thread posts `/read`. The other side gets `conversation:read` and shows *Seen*. Unread counts are messages from the other side after your read mark.
+4. **Warn**: Flagged messages carry a warning for the recipient. Nothing is blocked, because phone numbers can also be harmless (a rider's number for delivery).
+5. **Report**: Either side reports with a reason. A notice goes into the thread, and `conversation:reported` reaches the admins room. From that moment the thread shows up in **Reported conversations**.
+6. **Moderate**: Support reads the whole thread with the orders between the two. They remove messages (participants see *Message removed by MarketMate support*), reply as support, and close the report with an outcome posted to both sides. After that support can no longer write in the thread unless it is reported again. Every opening and removal is logged.
+7. **Privacy**: Threads that were never reported are readable only by their two participants. Support and admins get 404 on them.